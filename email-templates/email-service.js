@@ -7,6 +7,13 @@ import nodemailer from 'nodemailer';
 import { 
     generateOrderConfirmationEmail, 
     generateOrderStatusEmail,
+    generateReturnEmail,
+    generateRefundEmail,
+    generateVerificationEmail,
+    generateLoginLinkEmail,
+    generateCartReminderEmail,
+    generateRaffleWinEmail,
+    generateGiftCardEmail,
     generateTestEmail 
 } from './order-email-template.js';
 
@@ -160,7 +167,8 @@ class EmailQueue {
                 to: [{ email: job.to }],
                 subject: job.subject,
                 htmlContent: job.mailOptions.html,
-                textContent: job.mailOptions.text
+                textContent: job.mailOptions.text,
+                headers: job.mailOptions.headers
             })
         });
 
@@ -199,7 +207,7 @@ const emailQueue = new EmailQueue();
 /**
  * Send email with queue support
  */
-async function sendEmail({ to, subject, html, text, from, replyTo }) {
+async function sendEmail({ to, subject, html, text, from, replyTo, headers }) {
     // Professional sender logic: 
     // Brevo REQUIRES the 'from' email to be a verified sender in your dashboard.
     // If you verified official@lavague.store, you MUST use that here.
@@ -212,7 +220,8 @@ async function sendEmail({ to, subject, html, text, from, replyTo }) {
         subject,
         html,
         text: text || '',
-        replyTo: replyTo || senderEmail
+        replyTo: replyTo || senderEmail,
+        headers
     };
 
     // Add to queue for reliability
@@ -271,6 +280,142 @@ export async function sendOrderStatusUpdate(order, newStatus) {
     }
 }
 
+/**
+ * Send return request (RMA) confirmation with return instructions
+ */
+export async function sendReturnInstructions(rma, order) {
+    try {
+        const { subject, html } = generateReturnEmail(rma, order);
+
+        return await sendEmail({
+            to: order.customer_email || order.customerEmail,
+            subject,
+            html,
+            text: `We've received your return request ${rma.id} for order ${order.id}. We'll email you a prepaid return label within 24 hours. Write ${rma.id} on the outside of your package.`
+        });
+    } catch (error) {
+        console.error('[EMAIL SERVICE] Failed to send return instructions:', error);
+        throw error;
+    }
+}
+
+/**
+ * Send refund confirmation
+ */
+export async function sendRefundNotification(refund, order) {
+    try {
+        const { subject, html } = generateRefundEmail(refund, order);
+
+        return await sendEmail({
+            to: order.customer_email || order.customerEmail,
+            subject,
+            html,
+            text: `We've refunded ₦${Number(refund.amount).toLocaleString('en-NG')} for order ${order.id} to your original payment method. Reference: ${refund.id}.`
+        });
+    } catch (error) {
+        console.error('[EMAIL SERVICE] Failed to send refund notification:', error);
+        throw error;
+    }
+}
+
+/**
+ * Send the account email verification link
+ */
+export async function sendEmailVerification(customer, link) {
+    try {
+        const { subject, html } = generateVerificationEmail(customer, link);
+
+        return await sendEmail({
+            to: customer.email,
+            subject,
+            html,
+            text: `Confirm your email address for your LA VAGUE account: ${link} (expires in 48 hours)`
+        });
+    } catch (error) {
+        console.error('[EMAIL SERVICE] Failed to send email verification:', error);
+        throw error;
+    }
+}
+
+/**
+ * Send a passwordless sign-in link
+ */
+export async function sendLoginLink(email, link) {
+    try {
+        const { subject, html } = generateLoginLinkEmail(link);
+
+        return await sendEmail({
+            to: email,
+            subject,
+            html,
+            text: `Sign in to LA VAGUE: ${link} (works once, expires in 15 minutes)`
+        });
+    } catch (error) {
+        console.error('[EMAIL SERVICE] Failed to send login link:', error);
+        throw error;
+    }
+}
+
+/**
+ * Send an abandoned cart reminder
+ */
+export async function sendCartReminder(email, cart, options) {
+    try {
+        const { subject, html } = generateCartReminderEmail(cart, options);
+        const offer = options.coupon ? ` Use ${options.coupon.code} for ${options.coupon.percent}% off.` : '';
+
+        return await sendEmail({
+            to: email,
+            subject,
+            html,
+            text: `Your LA VAGUE cart is saved and ready when you are.${offer} Return to your cart: ${options.links.restore}\n\nUnsubscribe from cart reminders: ${options.links.unsubscribe}`,
+            headers: { 'List-Unsubscribe': `<${options.links.unsubscribe}>` }
+        });
+    } catch (error) {
+        console.error('[EMAIL SERVICE] Failed to send cart reminder:', error);
+        throw error;
+    }
+}
+
+/**
+ * Send a raffle winner their claim link
+ */
+export async function sendRaffleWin(email, raffle, options) {
+    try {
+        const { subject, html } = generateRaffleWinEmail(raffle, options);
+
+        return await sendEmail({
+            to: email,
+            subject,
+            html,
+            text: `You won the ${raffle.productName} raffle. Claim your item by ${new Date(options.expiresAt).toUTCString()}: ${options.link}`
+        });
+    } catch (error) {
+        console.error('[EMAIL SERVICE] Failed to send raffle win:', error);
+        throw error;
+    }
+}
+
+/**
+ * Send a gift card to its recipient
+ */
+export async function sendGiftCard(email, card, { code }) {
+    try {
+        const link = `${process.env.FRONTEND_URL || 'https://la-vague.store'}/shop`;
+        const { subject, html } = generateGiftCardEmail(card, { code, link });
+
+        return await sendEmail({
+            to: email,
+            subject,
+            html,
+            text: `${card.purchaserName} sent you a ₦${Number(card.initialAmount).toLocaleString()} LA VAGUE gift card.${card.message ? `\n\n"${card.message}"` : ''}\n\nYour code: ${code}\nEnter it at checkout: ${link}`
+        });
+    } catch (error) {
+        console.error('[EMAIL SERVICE] Failed to send gift card:', error);
+        throw error;
+    }
+}
+
 /**
  * Test email configuration
  */
@@ -492,6 +637,13 @@ export async function sendContactNotification({ name, email, subject, message })
 export default {
     sendOrderConfirmation,
     sendOrderStatusUpdate,
+    sendReturnInstructions,
+    sendRefundNotification,
+    sendEmailVerification,
+    sendLoginLink,
+    sendCartReminder,
+    sendRaffleWin,
+    sendGiftCard,
     testEmailConfig,
     previewEmail,
     sendTestEmail,
@@ -7,12 +7,26 @@ export {
     generateOrderEmail, 
     generateOrderConfirmationEmail, 
     generateOrderStatusEmail,
+    generateReturnEmail,
+    generateRefundEmail,
+    generateVerificationEmail,
+    generateLoginLinkEmail,
+    generateCartReminderEmail,
+    generateRaffleWinEmail,
+    generateGiftCardEmail,
     generateTestEmail 
 } from './order-email-template.js';
 
 export { 
     sendOrderConfirmation, 
     sendOrderStatusUpdate, 
+    sendReturnInstructions,
+    sendRefundNotification,
+    sendEmailVerification,
+    sendLoginLink,
+    sendCartReminder,
+    sendRaffleWin,
+    sendGiftCard,
     testEmailConfig, 
     previewEmail, 
     sendTestEmail,
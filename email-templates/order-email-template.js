@@ -277,6 +277,396 @@ export function generateOrderStatusEmail(order, newStatus) {
     return generateOrderEmail(order, newStatus);
 }
 
+/**
+ * Generate the return request (RMA) email with return instructions
+ */
+export function generateReturnEmail(rma, order) {
+    const subject = `Return Request ${rma.id} - Order ${order.id}`;
+    const items = (rma.items || []).map(item => ({ ...item, price: item.unit_price }));
+
+    const steps = [
+        'We\'ll review your request and email you a prepaid return label within 24 hours.',
+        'Pack the items unworn and unwashed, with all original tags attached.',
+        `Write <strong>${rma.id}</strong> clearly on the outside of the package.`,
+        'Drop the package off at any of our partner locations.',
+        'Once we receive and inspect your return, your refund is processed within 5-7 business days.'
+    ];
+
+    const content = `
+        <!-- Hero Message -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px; text-align: center;">
+                <h2 style="margin: 0 0 15px 0; font-size: 24px; font-weight: 700; color: ${BRAND.secondary}; letter-spacing: -0.5px;">RETURN REQUESTED</h2>
+                <p style="margin: 0; font-size: 15px; color: ${BRAND.textLight}; line-height: 1.6;">Hi ${order.customer_name || 'there'}, we've received your return request for order ${order.id}.</p>
+            </td>
+        </tr>
+
+        <!-- RMA Number -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px;">
+                <table cellpadding="0" cellspacing="0" border="0" width="100%" style="border-top: 1px solid ${BRAND.border}; border-bottom: 1px solid ${BRAND.border}; padding: 25px 0;">
+                    <tr>
+                        <td width="50%" style="vertical-align: top;">
+                            <p style="margin: 0 0 5px 0; font-size: 11px; font-weight: 700; color: ${BRAND.textLight}; text-transform: uppercase; letter-spacing: 1px;">Return Number</p>
+                            <p style="margin: 0; font-size: 14px; font-weight: 700; color: ${BRAND.secondary};">${rma.id}</p>
+                        </td>
+                        <td width="50%" style="vertical-align: top; text-align: right;">
+                            <p style="margin: 0 0 5px 0; font-size: 11px; font-weight: 700; color: ${BRAND.textLight}; text-transform: uppercase; letter-spacing: 1px;">Requested</p>
+                            <p style="margin: 0; font-size: 14px; font-weight: 700; color: ${BRAND.secondary};">${formatDate(rma.created_at)}</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+
+        <!-- Returned Items -->
+        <tr>
+            <td style="padding: 0 40px;">
+                <h3 style="margin: 0 0 10px 0; font-size: 13px; font-weight: 700; color: ${BRAND.secondary}; text-transform: uppercase; letter-spacing: 1px;">Items To Return</h3>
+                <table cellpadding="0" cellspacing="0" border="0" width="100%">
+                    ${generateOrderItems(items)}
+                </table>
+            </td>
+        </tr>
+
+        <!-- Instructions -->
+        <tr>
+            <td style="padding: 30px 40px 40px 40px;">
+                <h3 style="margin: 0 0 15px 0; font-size: 13px; font-weight: 700; color: ${BRAND.secondary}; text-transform: uppercase; letter-spacing: 1px;">How To Return</h3>
+                <ol style="margin: 0; padding-left: 20px; font-size: 14px; line-height: 1.8; color: ${BRAND.text};">
+                    ${steps.map(step => `<li>${step}</li>`).join('')}
+                </ol>
+            </td>
+        </tr>
+    `;
+
+    return {
+        subject,
+        html: baseTemplate(content, subject, order.id)
+    };
+}
+
+/**
+ * Generate the refund confirmation email
+ */
+export function generateRefundEmail(refund, order) {
+    const subject = `Refund Issued - Order ${order.id}`;
+    const items = refund.items || [];
+
+    const content = `
+        <!-- Hero Message -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px; text-align: center;">
+                <h2 style="margin: 0 0 15px 0; font-size: 24px; font-weight: 700; color: ${BRAND.secondary}; letter-spacing: -0.5px;">REFUND ISSUED</h2>
+                <p style="margin: 0; font-size: 15px; color: ${BRAND.textLight}; line-height: 1.6;">Hi ${order.customer_name || 'there'}, we've refunded ${formatPrice(refund.amount)} for order ${order.id} to your original payment method.</p>
+            </td>
+        </tr>
+
+        <!-- Refund Details -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px;">
+                <table cellpadding="0" cellspacing="0" border="0" width="100%" style="border-top: 1px solid ${BRAND.border}; border-bottom: 1px solid ${BRAND.border}; padding: 25px 0;">
+                    <tr>
+                        <td width="50%" style="vertical-align: top;">
+                            <p style="margin: 0 0 5px 0; font-size: 11px; font-weight: 700; color: ${BRAND.textLight}; text-transform: uppercase; letter-spacing: 1px;">Refund Amount</p>
+                            <p style="margin: 0; font-size: 14px; font-weight: 700; color: ${BRAND.secondary};">${formatPrice(refund.amount)}</p>
+                        </td>
+                        <td width="50%" style="vertical-align: top; text-align: right;">
+                            <p style="margin: 0 0 5px 0; font-size: 11px; font-weight: 700; color: ${BRAND.textLight}; text-transform: uppercase; letter-spacing: 1px;">Reference</p>
+                            <p style="margin: 0; font-size: 14px; font-weight: 700; color: ${BRAND.secondary};">${refund.id}</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+        ${items.length > 0 ? `
+        <!-- Refunded Items -->
+        <tr>
+            <td style="padding: 0 40px;">
+                <h3 style="margin: 0 0 10px 0; font-size: 13px; font-weight: 700; color: ${BRAND.secondary}; text-transform: uppercase; letter-spacing: 1px;">Refunded Items</h3>
+                <table cellpadding="0" cellspacing="0" border="0" width="100%">
+                    ${generateOrderItems(items)}
+                </table>
+            </td>
+        </tr>` : ''}
+
+        <!-- Timing -->
+        <tr>
+            <td style="padding: 30px 40px 40px 40px;">
+                <p style="margin: 0; font-size: 14px; line-height: 1.8; color: ${BRAND.text};">Depending on your bank, the refund can take 5-10 business days to appear on your statement.</p>
+            </td>
+        </tr>
+    `;
+
+    return {
+        subject,
+        html: baseTemplate(content, subject, order.id)
+    };
+}
+
+/**
+ * Generate the account email verification message
+ */
+export function generateVerificationEmail(customer, link) {
+    const subject = 'Verify Your Email - LA VAGUE';
+
+    const content = `
+        <!-- Hero Message -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px; text-align: center;">
+                <h2 style="margin: 0 0 15px 0; font-size: 24px; font-weight: 700; color: ${BRAND.secondary}; letter-spacing: -0.5px;">CONFIRM YOUR EMAIL</h2>
+                <p style="margin: 0; font-size: 15px; color: ${BRAND.textLight}; line-height: 1.6;">Hi ${customer.name || 'there'}, thanks for creating a LA VAGUE account. Confirm this is your email address to see your past orders in one place.</p>
+            </td>
+        </tr>
+
+        <!-- Call To Action -->
+        <tr>
+            <td align="center" style="padding: 0 40px 40px 40px;">
+                <a href="${link}" style="display: inline-block; background-color: ${BRAND.primary}; color: #ffffff; padding: 16px 32px; text-decoration: none; font-size: 13px; font-weight: 700; text-transform: uppercase; letter-spacing: 2px;">Verify Email</a>
+            </td>
+        </tr>
+
+        <!-- Expiry -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px;">
+                <p style="margin: 0; font-size: 13px; line-height: 1.8; color: ${BRAND.textLight};">This link expires in 48 hours. If you didn't create an account, you can ignore this email.</p>
+            </td>
+        </tr>
+    `;
+
+    return {
+        subject,
+        html: baseTemplate(content, subject)
+    };
+}
+
+/**
+ * Generate the passwordless sign-in email
+ */
+export function generateLoginLinkEmail(link) {
+    const subject = 'Your Sign-In Link - LA VAGUE';
+
+    const content = `
+        <!-- Hero Message -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px; text-align: center;">
+                <h2 style="margin: 0 0 15px 0; font-size: 24px; font-weight: 700; color: ${BRAND.secondary}; letter-spacing: -0.5px;">SIGN IN TO LA VAGUE</h2>
+                <p style="margin: 0; font-size: 15px; color: ${BRAND.textLight}; line-height: 1.6;">Tap the button below to see your orders, returns and reviews. No password needed.</p>
+            </td>
+        </tr>
+
+        <!-- Call To Action -->
+        <tr>
+            <td align="center" style="padding: 0 40px 40px 40px;">
+                <a href="${link}" style="display: inline-block; background-color: ${BRAND.primary}; color: #ffffff; padding: 16px 32px; text-decoration: none; font-size: 13px; font-weight: 700; text-transform: uppercase; letter-spacing: 2px;">Sign In</a>
+            </td>
+        </tr>
+
+        <!-- Expiry -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px;">
+                <p style="margin: 0; font-size: 13px; line-height: 1.8; color: ${BRAND.textLight};">This link works once and expires in 15 minutes. If you didn't ask to sign in, you can ignore this email.</p>
+            </td>
+        </tr>
+    `;
+
+    return {
+        subject,
+        html: baseTemplate(content, subject)
+    };
+}
+
+/**
+ * Generate an abandoned cart reminder. The last one in the sequence can
+ * carry a coupon.
+ */
+export function generateCartReminderEmail(cart, { step = 0, final = false, coupon = null, links }) {
+    let subject = step === 0 ? 'You Left Something Behind - LA VAGUE' : 'Your Cart Is Still Waiting - LA VAGUE';
+    if (final) subject = 'Last Call On Your Cart - LA VAGUE';
+    if (coupon) subject = `${coupon.percent}% Off Your Cart - LA VAGUE`;
+
+    const content = `
+        <!-- Hero Message -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px; text-align: center;">
+                <h2 style="margin: 0 0 15px 0; font-size: 24px; font-weight: 700; color: ${BRAND.secondary}; letter-spacing: -0.5px;">${final ? 'LAST CALL' : 'STILL THINKING IT OVER?'}</h2>
+                <p style="margin: 0; font-size: 15px; color: ${BRAND.textLight}; line-height: 1.6;">Your cart is saved and ready when you are. Stock moves fast, so we can't hold these pieces for long.</p>
+            </td>
+        </tr>
+
+        <!-- Cart Items -->
+        <tr>
+            <td style="padding: 0 40px;">
+                <table cellpadding="0" cellspacing="0" border="0" width="100%">
+                    ${generateOrderItems(cart.items)}
+                </table>
+            </td>
+        </tr>
+
+        <!-- Subtotal -->
+        <tr>
+            <td style="padding: 20px 40px 40px 40px;">
+                <table cellpadding="0" cellspacing="0" border="0" width="100%">
+                    <tr>
+                        <td style="font-size: 14px; font-weight: 700; color: ${BRAND.secondary}; text-transform: uppercase; letter-spacing: 1px;">Subtotal</td>
+                        <td style="font-size: 14px; font-weight: 700; color: ${BRAND.secondary}; text-align: right;">${formatPrice(cart.subtotal)}</td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+        ${coupon ? `
+        <!-- Coupon -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px;">
+                <table cellpadding="0" cellspacing="0" border="0" width="100%" style="border: 1px dashed ${BRAND.primary};">
+                    <tr>
+                        <td style="padding: 25px; text-align: center;">
+                            <p style="margin: 0 0 10px 0; font-size: 11px; font-weight: 700; color: ${BRAND.textLight}; text-transform: uppercase; letter-spacing: 1px;">${coupon.percent}% off with code</p>
+                            <p style="margin: 0 0 10px 0; font-size: 20px; font-weight: 700; color: ${BRAND.primary}; letter-spacing: 2px;">${coupon.code}</p>
+                            <p style="margin: 0; font-size: 12px; color: ${BRAND.textLight};">One use, valid until ${formatDate(coupon.endDate)}</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>` : ''}
+
+        <!-- Call To Action -->
+        <tr>
+            <td align="center" style="padding: 0 40px 40px 40px;">
+                <a href="${links.restore}" style="display: inline-block; background-color: ${BRAND.primary}; color: #ffffff; padding: 16px 32px; text-decoration: none; font-size: 13px; font-weight: 700; text-transform: uppercase; letter-spacing: 2px;">Return To Your Cart</a>
+            </td>
+        </tr>
+
+        <!-- Unsubscribe -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px; text-align: center;">
+                <p style="margin: 0; font-size: 12px; line-height: 1.8; color: ${BRAND.textLight};">Don't want cart reminders? <a href="${links.unsubscribe}" style="color: ${BRAND.textLight};">Unsubscribe</a></p>
+            </td>
+        </tr>
+    `;
+
+    return {
+        subject,
+        html: baseTemplate(content, subject)
+    };
+}
+
+/**
+ * Generate the email telling a raffle winner how to claim their item
+ */
+export function generateRaffleWinEmail(raffle, { name, link, expiresAt }) {
+    const subject = `You Won The ${raffle.productName} Raffle - LA VAGUE`;
+    const deadline = new Date(expiresAt).toLocaleString('en-NG', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+
+    const content = `
+        <!-- Hero Message -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px; text-align: center;">
+                <h2 style="margin: 0 0 15px 0; font-size: 24px; font-weight: 700; color: ${BRAND.secondary}; letter-spacing: -0.5px;">YOU WON, ${String(name).toUpperCase()}</h2>
+                <p style="margin: 0; font-size: 15px; color: ${BRAND.textLight}; line-height: 1.6;">Your name came up in the draw. We're holding your piece for you, ready to check out.</p>
+            </td>
+        </tr>
+
+        <!-- Item -->
+        <tr>
+            <td style="padding: 0 40px;">
+                <table cellpadding="0" cellspacing="0" border="0" width="100%">
+                    ${generateOrderItems([{
+                        name: raffle.productName,
+                        image: raffle.image,
+                        color: raffle.variant.color,
+                        size: raffle.variant.size,
+                        price: raffle.price,
+                        quantity: 1
+                    }])}
+                </table>
+            </td>
+        </tr>
+
+        <!-- Call To Action -->
+        <tr>
+            <td align="center" style="padding: 40px;">
+                <a href="${link}" style="display: inline-block; background-color: ${BRAND.primary}; color: #ffffff; padding: 16px 32px; text-decoration: none; font-size: 13px; font-weight: 700; text-transform: uppercase; letter-spacing: 2px;">Claim Your Item</a>
+            </td>
+        </tr>
+
+        <!-- Expiry -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px;">
+                <p style="margin: 0; font-size: 13px; line-height: 1.8; color: ${BRAND.textLight};">Check out by ${deadline} with this email address. After that your item goes to the next name in the draw.</p>
+            </td>
+        </tr>
+    `;
+
+    return {
+        subject,
+        html: baseTemplate(content, subject)
+    };
+}
+
+/**
+ * Generate the email delivering a gift card to its recipient
+ */
+export function generateGiftCardEmail(card, { code, link }) {
+    const subject = `${card.purchaserName} Sent You A LA VAGUE Gift Card`;
+
+    const content = `
+        <!-- Hero Message -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px; text-align: center;">
+                <h2 style="margin: 0 0 15px 0; font-size: 24px; font-weight: 700; color: ${BRAND.secondary}; letter-spacing: -0.5px;">A GIFT FOR YOU, ${String(card.recipientName).toUpperCase()}</h2>
+                <p style="margin: 0; font-size: 15px; color: ${BRAND.textLight}; line-height: 1.6;">${card.purchaserName} sent you a LA VAGUE gift card to spend on anything in the store.</p>
+            </td>
+        </tr>
+        ${card.message ? `
+        <!-- Personal Message -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px;">
+                <p style="margin: 0; padding: 20px; background-color: ${BRAND.bg}; font-size: 15px; font-style: italic; line-height: 1.6; color: ${BRAND.secondary};">"${card.message}"</p>
+            </td>
+        </tr>` : ''}
+
+        <!-- Card -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px;">
+                <table cellpadding="0" cellspacing="0" border="0" width="100%" style="border: 1px dashed ${BRAND.primary};">
+                    <tr>
+                        <td style="padding: 25px; text-align: center;">
+                            <p style="margin: 0 0 10px 0; font-size: 28px; font-weight: 700; color: ${BRAND.secondary};">${formatPrice(card.initialAmount)}</p>
+                            <p style="margin: 0 0 10px 0; font-size: 11px; font-weight: 700; color: ${BRAND.textLight}; text-transform: uppercase; letter-spacing: 1px;">Your gift card code</p>
+                            <p style="margin: 0; font-size: 20px; font-weight: 700; color: ${BRAND.primary}; letter-spacing: 2px;">${code}</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+
+        <!-- Call To Action -->
+        <tr>
+            <td align="center" style="padding: 0 40px 40px 40px;">
+                <a href="${link}" style="display: inline-block; background-color: ${BRAND.primary}; color: #ffffff; padding: 16px 32px; text-decoration: none; font-size: 13px; font-weight: 700; text-transform: uppercase; letter-spacing: 2px;">Start Shopping</a>
+            </td>
+        </tr>
+
+        <!-- How To Use -->
+        <tr>
+            <td style="padding: 0 40px 40px 40px;">
+                <p style="margin: 0; font-size: 13px; line-height: 1.8; color: ${BRAND.textLight};">Enter the code at checkout. Anything you don't spend stays on the card for next time. Keep this email safe: the code is like cash and we can't send it again.</p>
+            </td>
+        </tr>
+    `;
+
+    return {
+        subject,
+        html: baseTemplate(content, subject)
+    };
+}
+
 /**
  * Generate test email preview
  */
@@ -315,5 +705,12 @@ export default {
     generateOrderEmail,
     generateOrderConfirmationEmail,
     generateOrderStatusEmail,
+    generateReturnEmail,
+    generateRefundEmail,
+    generateVerificationEmail,
+    generateLoginLinkEmail,
+    generateCartReminderEmail,
+    generateRaffleWinEmail,
+    generateGiftCardEmail,
     generateTestEmail
 };
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * LA VAGUE - Database Migration CLI
+ * Usage:
+ *   node scripts/migrate.js            Apply pending migrations
+ *   node scripts/migrate.js status     Show applied/pending migrations
+ *   node scripts/migrate.js rollback [--steps N]
+ */
+
+import { adapter } from '../src/config/db.js';
+import { migrate, rollback, getMigrationStatus, formatMigration } from '../src/services/migrationService.js';
+
+function parseSteps(args) {
+    const index = args.indexOf('--steps');
+    if (index === -1) return 1;
+    const steps = parseInt(args[index + 1], 10);
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive integer');
+    }
+    return steps;
+}
+
+async function run() {
+    const [command = 'up', ...args] = process.argv.slice(2);
+
+    switch (command) {
+        case 'up': {
+            const applied = await migrate();
+            console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+            break;
+        }
+        case 'status': {
+            const status = await getMigrationStatus();
+            for (const m of status) {
+                const state = m.missing ? 'missing' : m.applied ? 'applied' : 'pending';
+                const when = m.appliedAt ? `  (${m.appliedAt})` : '';
+                console.log(`${formatMigration(m)}  ${state}${when}`);
+            }
+            const pending = status.filter(m => !m.applied).length;
+            console.log(`\n${status.length - pending} applied, ${pending} pending`);
+            break;
+        }
+        case 'rollback': {
+            const reverted = await rollback(parseSteps(args));
+            console.log(reverted.length ? `Rolled back ${reverted.length} migration(s)` : 'Nothing to roll back');
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}". Use up, status or rollback.`);
+    }
+}
+
+try {
+    await run();
+    await adapter.close();
+} catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    await adapter.close().catch(() => {});
+    process.exit(1);
+}
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * LA VAGUE - Payment Reconciliation CLI
+ * Runs one reconciliation now, e.g. from cron when the server's own nightly
+ * schedule is turned off (RECONCILIATION_ENABLED=false).
+ * Usage:
+ *   node scripts/reconcile.js
+ * Exits with 2 when the run found issues that need an admin.
+ */
+
+import { adapter, USE_POSTGRES } from '../src/config/db.js';
+import { InventoryService } from '../src/services/inventory.js';
+import { runReconciliation } from '../src/services/reconciliationService.js';
+
+try {
+    const run = await runReconciliation({ inventoryService: new InventoryService(adapter, USE_POSTGRES), trigger: 'cli' });
+    const { checked, paid, failed, expired } = run.summary;
+
+    console.log(`Reconciliation ${run.id}: checked ${checked}, marked paid ${paid}, marked failed ${failed}, expired ${expired}`);
+    for (const issue of run.issues) {
+        console.log(`  ${issue.type.padEnd(16)} ${issue.orderId || issue.reference || '-'}  ${issue.details}`);
+    }
+    console.log(run.issues.length ? `\n${run.issues.length} issue(s) to review` : 'No issues found');
+
+    await adapter.close();
+    process.exit(run.issues.length ? 2 : 0);
+} catch (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    await adapter.close().catch(() => {});
+    process.exit(1);
+}
@@ -37,6 +37,12 @@ import gdprRoutes from './src/routes/gdpr.js';
 import configRoutes from './src/routes/config.js';
 import paymentRoutes from './src/routes/payment.js';
 import adminRoutes from './src/routes/admin.js';
+import returnRoutes from './src/routes/returns.js';
+import accountRoutes from './src/routes/account.js';
+import cartRoutes from './src/routes/cart.js';
+import dropRoutes from './src/routes/drops.js';
+import raffleRoutes from './src/routes/raffles.js';
+import giftCardRoutes from './src/routes/giftCards.js';
 
 dotenv.config();
 
@@ -124,7 +130,7 @@ const allowedOrigins = process.env.NODE_ENV === 'production'
 app.use(cors({
     origin: allowedOrigins,
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'sentry-trace', 'baggage', 'X-CSRF-Token']
 }));
 
@@ -210,7 +216,9 @@ app.use(express.static('.', {
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 100,
-    message: { success: false, error: 'Too many requests.', code: 'RATE_LIMIT' }
+    message: { success: false, error: 'Too many requests.', code: 'RATE_LIMIT' },
+    // Waiting room polling has its own limit (see routes/drops.js)
+    skip: req => req.method === 'GET' && req.path.startsWith('/drops/')
 });
 app.use('/api/', apiLimiter);
 
@@ -285,8 +293,14 @@ app.get('/api/csrf-token', csrfToken, (req, res) => {
 });
 
 // Mount Routes
-app.use('/api/products', productRoutes);
+app.use('/api/products', productRoutes(productService, inventoryService));
 app.use('/api/orders', orderRoutes(productService, inventoryService));
+app.use('/api/returns', returnRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/drops', dropRoutes);
+app.use('/api/raffles', raffleRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
 app.use('/api/gdpr', gdprRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/payment', paymentRoutes(inventoryService));
@@ -0,0 +1,245 @@
+/**
+ * LA VAGUE - Database Adapter
+ * One query API over PostgreSQL (pg Pool) and SQLite (better-sqlite3)
+ *
+ *   one(sql, params)     -> first row or null
+ *   many(sql, params)    -> array of rows
+ *   exec(sql, params)    -> { rowCount, rows, lastInsertId }
+ *   transaction(fn)      -> runs fn(adapter) inside BEGIN/COMMIT, rolls back on throw
+ *
+ * SQL may be written with either `$1` or `?` placeholders; they are rewritten
+ * for the active dialect. Calls made anywhere inside a transaction callback
+ * (including from other services) automatically join that transaction.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createDialect } from './dialect.js';
+
+/**
+ * Walk SQL outside of quoted strings/identifiers, calling onChar for each
+ * unquoted character. onChar returns the replacement text.
+ */
+function mapUnquoted(sql, onChar) {
+    let out = '';
+    let quote = null;
+
+    for (let i = 0; i < sql.length; i++) {
+        const ch = sql[i];
+        if (quote) {
+            out += ch;
+            if (ch === quote) {
+                // Doubled quote is an escaped quote inside the literal
+                if (sql[i + 1] === quote) {
+                    out += sql[++i];
+                } else {
+                    quote = null;
+                }
+            }
+            continue;
+        }
+        if (ch === '\'' || ch === '"') {
+            quote = ch;
+            out += ch;
+            continue;
+        }
+        const replaced = onChar(ch, i, sql);
+        out += replaced.text;
+        i += replaced.skip || 0;
+    }
+
+    return out;
+}
+
+/**
+ * Rewrite placeholders for the target dialect
+ * @param {string} sql - SQL using `$n` or `?` placeholders
+ * @param {Array} params - Positional parameters
+ * @param {boolean} usePostgres - Target dialect
+ * @returns {{sql: string, params: Array}}
+ */
+export function rewritePlaceholders(sql, params = [], usePostgres = false) {
+    if (usePostgres) {
+        if (/\$\d+/.test(sql)) return { sql, params };
+        let index = 0;
+        const text = mapUnquoted(sql, ch => ({ text: ch === '?' ? `$${++index}` : ch }));
+        return { sql: text, params };
+    }
+
+    const ordered = [];
+    let sawNumbered = false;
+    const text = mapUnquoted(sql, (ch, i, source) => {
+        if (ch === '$') {
+            const match = /^\$(\d+)/.exec(source.slice(i));
+            if (match) {
+                sawNumbered = true;
+                ordered.push(params[parseInt(match[1], 10) - 1]);
+                return { text: '?', skip: match[0].length - 1 };
+            }
+        }
+        return { text: ch };
+    });
+
+    return sawNumbered ? { sql: text, params: ordered } : { sql, params };
+}
+
+/**
+ * Format a Date the way SQLite's CURRENT_TIMESTAMP does (UTC, no T/Z)
+ */
+function toSqliteTimestamp(date) {
+    return date.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, '');
+}
+
+function normalizeSqliteParam(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return toSqliteTimestamp(value);
+    if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) {
+        return JSON.stringify(value);
+    }
+    return value;
+}
+
+export class DatabaseAdapter {
+    /**
+     * @param {Object} db - pg Pool or better-sqlite3 Database
+     * @param {boolean} usePostgres - True when db is a pg Pool
+     */
+    constructor(db, usePostgres = false) {
+        this.db = db;
+        this.usePostgres = usePostgres;
+        this.dialect = createDialect(usePostgres);
+        this.context = new AsyncLocalStorage();
+        // Tail of the queue of SQLite transactions waiting for the single connection
+        this.sqliteQueue = Promise.resolve();
+    }
+
+    /**
+     * True when called from inside a transaction callback
+     */
+    get inTransaction() {
+        return !!this.context.getStore();
+    }
+
+    prepare(sql, params) {
+        const rewritten = rewritePlaceholders(sql, params, this.usePostgres);
+        if (this.usePostgres) return rewritten;
+        return {
+            sql: rewritten.sql.replace(/\bILIKE\b/gi, 'LIKE'),
+            params: rewritten.params.map(normalizeSqliteParam)
+        };
+    }
+
+    async run(sql, params = [], mode) {
+        const prepared = this.prepare(sql, params);
+
+        if (this.usePostgres) {
+            const client = this.context.getStore()?.client || this.db;
+            const result = await client.query(prepared.sql, prepared.params);
+            return { rows: result.rows, rowCount: result.rowCount };
+        }
+
+        // SQLite has one connection, so statements outside a transaction must not
+        // slip into another request's open transaction. No await may sit between
+        // this check and the statement below.
+        while (!this.inTransaction && this.db.inTransaction) {
+            await this.sqliteQueue;
+        }
+        const stmt = this.db.prepare(prepared.sql);
+
+        if (mode === 'one') {
+            const row = stmt.get(...prepared.params);
+            return { rows: row ? [row] : [], rowCount: row ? 1 : 0 };
+        }
+        if (mode === 'many' || stmt.reader) {
+            const rows = stmt.all(...prepared.params);
+            return { rows, rowCount: rows.length };
+        }
+        const info = stmt.run(...prepared.params);
+        return { rows: [], rowCount: info.changes, lastInsertId: Number(info.lastInsertRowid) };
+    }
+
+    /**
+     * Fetch the first matching row
+     * @returns {Promise<Object|null>}
+     */
+    async one(sql, params = []) {
+        const result = await this.run(sql, params, 'one');
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Fetch all matching rows
+     * @returns {Promise<Array<Object>>}
+     */
+    async many(sql, params = []) {
+        const result = await this.run(sql, params, 'many');
+        return result.rows;
+    }
+
+    /**
+     * Execute a statement (INSERT/UPDATE/DELETE/DDL)
+     * Rows are returned when the statement has a RETURNING clause.
+     * @returns {Promise<{rowCount: number, rows: Array, lastInsertId?: number}>}
+     */
+    async exec(sql, params = []) {
+        return this.run(sql, params, 'exec');
+    }
+
+    /**
+     * Run fn inside a transaction. Commits when fn resolves, rolls back when it throws.
+     * Nested calls join the outer transaction.
+     * @param {Function} fn - async (adapter) => result
+     */
+    async transaction(fn) {
+        if (this.inTransaction) {
+            return fn(this);
+        }
+
+        if (this.usePostgres) {
+            const client = await this.db.connect();
+            try {
+                await client.query('BEGIN');
+                const result = await this.context.run({ client }, () => fn(this));
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw error;
+            } finally {
+                client.release();
+            }
+        }
+
+        const previous = this.sqliteQueue;
+        let release;
+        this.sqliteQueue = new Promise(resolve => { release = resolve; });
+
+        try {
+            await previous;
+            this.db.exec('BEGIN IMMEDIATE');
+            try {
+                const result = await this.context.run({ sqlite: true }, () => fn(this));
+                this.db.exec('COMMIT');
+                return result;
+            } catch (error) {
+                if (this.db.inTransaction) this.db.exec('ROLLBACK');
+                throw error;
+            }
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Close the underlying connection/pool
+     */
+    async close() {
+        if (this.usePostgres) {
+            await this.db.end();
+        } else {
+            this.db.close();
+        }
+    }
+}
+
+export default DatabaseAdapter;
@@ -0,0 +1,105 @@
+/**
+ * LA VAGUE - Admin Roles
+ * What each admin role may do. The admin API is split into areas; a role has
+ * 'read' access (GET requests) or 'write' access (every method) to an area.
+ */
+
+export const ADMIN_ROLES = ['owner', 'manager', 'fulfillment', 'support', 'content'];
+
+export const ADMIN_AREAS = [
+    'dashboard', 'orders', 'notes', 'payments', 'returns', 'products', 'inventory',
+    'customers', 'reviews', 'marketing', 'analytics', 'settings', 'audit', 'team'
+];
+
+// Roles that must use two-factor authentication once the store requires it
+export const TWO_FACTOR_ROLES = ['owner', 'manager'];
+
+const ROLE_ACCESS = {
+    owner: Object.fromEntries(ADMIN_AREAS.map(area => [area, 'write'])),
+    manager: {
+        dashboard: 'read',
+        orders: 'write',
+        notes: 'write',
+        payments: 'write',
+        returns: 'write',
+        products: 'write',
+        inventory: 'write',
+        customers: 'read',
+        reviews: 'write',
+        marketing: 'write',
+        analytics: 'read',
+        settings: 'write',
+        audit: 'read'
+    },
+    fulfillment: {
+        dashboard: 'read',
+        orders: 'write',
+        notes: 'write',
+        returns: 'write',
+        products: 'read',
+        inventory: 'write'
+    },
+    support: {
+        dashboard: 'read',
+        orders: 'read',
+        notes: 'write',
+        returns: 'write',
+        customers: 'read',
+        reviews: 'write'
+    },
+    content: {
+        dashboard: 'read',
+        products: 'write',
+        inventory: 'read',
+        reviews: 'write'
+    }
+};
+
+// First match wins; paths are relative to /api/admin
+const ROUTE_AREAS = [
+    [/^\/(me|logout)$/, null],
+    [/^\/(two-factor|sessions)(\/|$)/, null],
+    [/^\/orders\/[^/]+\/notes$/, 'notes'],
+    [/^\/orders\/[^/]+\/refunds$/, 'payments'],
+    [/^\/orders(\/|$)/, 'orders'],
+    [/^\/returns(\/|$)/, 'returns'],
+    [/^\/(webhooks|reconciliation|gift-cards)(\/|$)/, 'payments'],
+    [/^\/stats$/, 'dashboard'],
+    [/^\/(analytics|reports|export)(\/|$)/, 'analytics'],
+    [/^\/products(\/|$)/, 'products'],
+    [/^\/raffles(\/|$)/, 'products'],
+    [/^\/inventory(\/|$)/, 'inventory'],
+    [/^\/customers(\/|$)/, 'customers'],
+    [/^\/reviews(\/|$)/, 'reviews'],
+    [/^\/(coupons|promotions)(\/|$)/, 'marketing'],
+    [/^\/(settings|currency-rates|email)(\/|$)/, 'settings'],
+    [/^\/audit-logs$/, 'audit'],
+    [/^\/users(\/|$)/, 'team']
+];
+
+/**
+ * The area and access level a request to the admin API needs. Routes not
+ * listed here are left to the owner.
+ * @returns {{area: string|null, level: 'read'|'write'}} area is null for routes any admin may use
+ */
+export function requiredAccess(method, path) {
+    const match = ROUTE_AREAS.find(([pattern]) => pattern.test(path));
+    return {
+        area: match ? match[1] : 'team',
+        level: method === 'GET' || method === 'HEAD' ? 'read' : 'write'
+    };
+}
+
+export function canAccess(role, area, level) {
+    if (area === null) return true;
+    const access = ROLE_ACCESS[role]?.[area];
+    return access === 'write' || (access === 'read' && level === 'read');
+}
+
+/**
+ * A role's access per area, for the dashboard to hide what it can't use
+ * @returns {Object<string, 'read'|'write'>}
+ */
+export function roleAccess(role) {
+    return { ...ROLE_ACCESS[role] };
+}
@@ -2,6 +2,7 @@ import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { DatabaseAdapter } from './adapter.js';
 
 dotenv.config();
 
@@ -43,18 +44,20 @@ async function getDB() {
         }
     } else {
         const { default: Database } = await import('better-sqlite3');
-        db = new Database('database.sqlite');
+        db = new Database(process.env.SQLITE_PATH || 'database.sqlite');
         console.log('✅ Using SQLite database (local)');
     }
     return db;
 }
 
 const dbInstance = await getDB();
+const adapter = new DatabaseAdapter(dbInstance, USE_POSTGRES);
 
-export { dbInstance as db, USE_POSTGRES };
+export { dbInstance as db, adapter, USE_POSTGRES };
 
 /**
- * Secure database query helper with SQL injection protection
+ * Legacy query helper returning a pg-style { rows } result.
+ * Prefer adapter.one() / many() / exec() in new code.
  */
 export async function query(sql, params = []) {
     try {
@@ -62,26 +65,10 @@ export async function query(sql, params = []) {
             throw new Error('Invalid query type');
         }
 
-        if (USE_POSTGRES) {
-            const result = await dbInstance.query(sql, params);
-            return result;
-        } else {
-            const placeholderCount = (sql.match(/\?/g) || []).length;
-            if (placeholderCount !== params.length) {
-                throw new Error(`Parameter mismatch: expected ${placeholderCount}, got ${params.length}`);
-            }
-
-            const stmt = dbInstance.prepare(sql);
-            if (sql.trim().toLowerCase().startsWith('select')) {
-                if (sql.includes('LIMIT 1') || (sql.includes('WHERE') && sql.includes('= ?') && !sql.includes('IN'))) {
-                    const res = stmt.get(...params);
-                    return { rows: res ? [res] : [] };
-                }
-                return { rows: stmt.all(...params) };
-            } else {
-                return stmt.run(...params);
-            }
+        if (/^\s*SELECT\s/i.test(sql)) {
+            return { rows: await adapter.many(sql, params) };
         }
+        return await adapter.exec(sql, params);
     } catch (error) {
         console.error('[DB ERROR] Query failed:', sql.substring(0, 100), 'Error:', error.message);
         throw error;
@@ -0,0 +1,58 @@
+/**
+ * LA VAGUE - SQL Dialect Layer
+ * Column types and expressions that differ between PostgreSQL and SQLite
+ */
+
+/**
+ * Build the dialect helpers for a backend
+ * @param {boolean} isPostgres - True for PostgreSQL, false for SQLite
+ */
+export function createDialect(isPostgres) {
+    return {
+        name: isPostgres ? 'postgres' : 'sqlite',
+        isPostgres,
+
+        // Column types
+        id: isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        json: isPostgres ? 'JSONB' : 'TEXT',
+        timestamp: isPostgres ? 'TIMESTAMP' : 'DATETIME',
+        boolean: 'BOOLEAN',
+        decimal: (precision, scale) => (isPostgres ? `DECIMAL(${precision},${scale})` : 'REAL'),
+
+        // Literals and expressions
+        true: isPostgres ? 'true' : '1',
+        false: isPostgres ? 'false' : '0',
+        now: isPostgres ? 'NOW()' : 'CURRENT_TIMESTAMP',
+
+        /**
+         * Timestamp expression offset from now, e.g. interval(-30, 'days')
+         */
+        interval(amount, unit) {
+            const value = parseInt(amount, 10);
+            if (isPostgres) {
+                return `NOW() + INTERVAL '${value} ${unit}'`;
+            }
+            return `datetime('now', '${value >= 0 ? '+' : ''}${value} ${unit}')`;
+        },
+
+        /**
+         * ALTER TABLE ... ADD COLUMN, idempotent on PostgreSQL
+         */
+        addColumn(table, column, definition) {
+            return isPostgres
+                ? `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`
+                : `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`;
+        },
+
+        /**
+         * ALTER TABLE ... DROP COLUMN
+         */
+        dropColumn(table, column) {
+            return isPostgres
+                ? `ALTER TABLE ${table} DROP COLUMN IF EXISTS ${column}`
+                : `ALTER TABLE ${table} DROP COLUMN ${column}`;
+        }
+    };
+}
+
+export default createDialect;
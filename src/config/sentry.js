@@ -158,15 +158,18 @@ export function captureException(error, context = {}) {
 
 /**
  * Capture message
+ * @param {string} message
+ * @param {string|{level?: string, extra?: Object}} [context] - A level, or Sentry capture context
  */
-export function captureMessage(message, level = 'info') {
+export function captureMessage(message, context = 'info') {
+    const level = (typeof context === 'string' ? context : context?.level) || 'info';
     if (!isSentryInitialized) {
         console.log(`[${level.toUpperCase()}]`, message);
         return;
     }
     
     try {
-        Sentry.captureMessage(message, level);
+        Sentry.captureMessage(message, typeof context === 'string' ? level : { ...context, level });
     } catch (e) {
         console.log(`[${level.toUpperCase()}]`, message);
     }
@@ -1,6 +1,16 @@
-import { query, USE_POSTGRES } from '../config/db.js';
+import { adapter } from '../config/db.js';
 import { APIError } from './errorHandler.js';
+import { requiredAccess, canAccess, TWO_FACTOR_ROLES } from '../config/adminRoles.js';
+import { TWO_FACTOR_SETTING } from '../services/twoFactorService.js';
+import { liveAdminSession, touchAdminSession } from '../services/adminUserService.js';
 
+/**
+ * Resolve the admin behind a session token and check their role may use the
+ * route, and keep the session from going idle. Sets req.adminToken,
+ * req.adminSessionId and req.admin ({ id, email, name, role }).
+ * An admin the store requires to use two-factor authentication who hasn't
+ * set it up yet may only use the routes open to every admin.
+ */
 export async function verifyAdminToken(req, res, next) {
     const token = req.headers.authorization?.replace('Bearer ', '');
 
@@ -9,20 +19,38 @@ export async function verifyAdminToken(req, res, next) {
     }
 
     try {
-        let session;
+        const row = await adapter.one(`
+            SELECT u.id, u.email, u.name, u.role, u.totp_enabled, s.id AS session_id,
+                (SELECT value FROM settings WHERE key = $3) AS require_two_factor
+            FROM admin_sessions s
+            JOIN admin_users u ON u.id = s.admin_user_id
+            WHERE s.session_key = $1 AND ${liveAdminSession('s')} AND u.active = $2
+        `, [token, true, TWO_FACTOR_SETTING]);
 
-        if (USE_POSTGRES) {
-            const result = await query('SELECT * FROM admin_sessions WHERE session_key = $1 AND expires_at > CURRENT_TIMESTAMP', [token]);
-            session = result.rows[0];
-        } else {
-            session = (await query('SELECT * FROM admin_sessions WHERE session_key = ? AND expires_at > datetime("now")', [token])).rows[0];
+        if (!row) {
+            return res.status(401).json({ success: false, error: 'Invalid or expired token', code: 'AUTH_ERROR' });
         }
 
-        if (!session) {
-            return res.status(401).json({ success: false, error: 'Invalid or expired token', code: 'AUTH_ERROR' });
+        const { id, email, name, role } = row;
+        const { area, level } = requiredAccess(req.method, req.path);
+        if (!canAccess(role, area, level)) {
+            return res.status(403).json({ success: false, error: 'Your role does not allow this action', code: 'FORBIDDEN' });
         }
 
+        const needsTwoFactor = row.require_two_factor === 'true' && TWO_FACTOR_ROLES.includes(role) && !row.totp_enabled;
+        if (needsTwoFactor && area !== null) {
+            return res.status(403).json({
+                success: false,
+                error: 'Set up two-factor authentication to continue',
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+
+        await touchAdminSession(row.session_id, { ipAddress: req.ip, userAgent: req.headers['user-agent'] });
+
         req.adminToken = token;
+        req.adminSessionId = row.session_id;
+        req.admin = { id, email, name, role };
         next();
     } catch (error) {
         console.error('[ADMIN] Token verification error:', error);
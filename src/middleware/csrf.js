@@ -4,6 +4,7 @@
  */
 
 import crypto from 'crypto';
+import { SESSION_COOKIE_NAME, CART_COOKIE_NAME } from './customerAuth.js';
 
 // CSRF Token configuration
 const CSRF_COOKIE_NAME = 'csrf_token';
@@ -13,6 +14,10 @@ const TOKEN_LENGTH = 32;
 // Determine SameSite based on environment
 const SAME_SITE = process.env.NODE_ENV === 'production' ? 'none' : 'lax';
 
+// Cookies that act for a customer. They outlive the CSRF cookie and are sent
+// cross-site in production, so requests carrying them must match the cookie.
+const CREDENTIAL_COOKIES = [SESSION_COOKIE_NAME, CART_COOKIE_NAME];
+
 /**
  * Generate a random CSRF token
  */
@@ -89,10 +94,17 @@ export function csrfProtection(req, res, next) {
                 code: 'CSRF_ERROR'
             });
         }
-    } else if (!cookieToken && requestToken) {
+    } else if (CREDENTIAL_COOKIES.some(name => req.cookies?.[name])) {
+        console.warn('[CSRF] Missing cookie on a request with a customer session or cart');
+        return res.status(403).json({
+            success: false,
+            error: 'Security token expired, please refresh the page',
+            code: 'CSRF_MISSING'
+        });
+    } else {
         console.log('[CSRF] Validating via header only (Safari/Mobile compatibility mode)');
     }
-    // If cookie is missing but requestToken exists, we proceed 
+    // If cookie is missing but requestToken exists, we proceed for anonymous requests
     // (This allows Safari mobile to work while still requiring the explicit header)
 
     // Generate new token after successful validation (token rotation)
@@ -0,0 +1,98 @@
+/**
+ * LA VAGUE - Customer Session Middleware
+ * Customer logins are carried in an httpOnly cookie, so page scripts never
+ * see the session token. State-changing account routes still need CSRF
+ * protection on top of this; csrfProtection won't let a request carrying
+ * these cookies through without its own cookie to match.
+ */
+
+import { getSessionCustomer, SESSION_DAYS } from '../services/customerService.js';
+import { CART_DAYS } from '../services/cartService.js';
+
+export const SESSION_COOKIE_NAME = 'lv_session';
+
+// Anonymous shoppers' carts; a logged-in customer's cart is found by their account
+export const CART_COOKIE_NAME = 'lv_cart';
+
+// Places in limited drop waiting rooms
+export const QUEUE_COOKIE_NAME = 'lv_queue';
+const QUEUE_COOKIE_DAYS = 7;
+
+// The storefront and API are on different sites in production
+const SAME_SITE = process.env.NODE_ENV === 'production' ? 'none' : 'lax';
+
+const cookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: SAME_SITE,
+    path: '/api'
+});
+
+export function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE_NAME, token, { ...cookieOptions(), maxAge: SESSION_DAYS * 24 * 60 * 60 * 1000 });
+}
+
+export function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE_NAME, cookieOptions());
+}
+
+export function setCartCookie(res, token) {
+    res.cookie(CART_COOKIE_NAME, token, { ...cookieOptions(), maxAge: CART_DAYS * 24 * 60 * 60 * 1000 });
+}
+
+export function clearCartCookie(res) {
+    res.clearCookie(CART_COOKIE_NAME, cookieOptions());
+}
+
+export function setQueueCookie(res, token) {
+    res.cookie(QUEUE_COOKIE_NAME, token, { ...cookieOptions(), maxAge: QUEUE_COOKIE_DAYS * 24 * 60 * 60 * 1000 });
+}
+
+const readToken = (req, name) => {
+    const token = req.cookies?.[name];
+    return token && /^[a-f0-9]{64}$/.test(token) ? token : null;
+};
+
+/**
+ * Who a cart request is for: the logged-in customer (run loadCustomer
+ * first), else the anonymous cart cookie. The waiting room cookie comes
+ * along for limited drops.
+ */
+export function cartOwner(req) {
+    return {
+        customerId: req.customer?.id || null,
+        token: readToken(req, CART_COOKIE_NAME),
+        queueToken: readToken(req, QUEUE_COOKIE_NAME)
+    };
+}
+
+/**
+ * Attach the logged-in customer, if any, as req.customer
+ */
+export async function loadCustomer(req, res, next) {
+    const token = req.cookies?.[SESSION_COOKIE_NAME];
+    if (token && /^[a-f0-9]{64}$/.test(token)) {
+        try {
+            const customer = await getSessionCustomer(token);
+            if (customer) {
+                req.customer = customer;
+                req.customerSession = token;
+            }
+        } catch (error) {
+            console.error('[ACCOUNT] Session lookup error:', error.message);
+        }
+    }
+    next();
+}
+
+/**
+ * Reject the request unless a customer is logged in
+ */
+export function requireCustomer(req, res, next) {
+    loadCustomer(req, res, () => {
+        if (!req.customer) {
+            return res.status(401).json({ success: false, error: 'Please log in to continue', code: 'AUTH_REQUIRED' });
+        }
+        next();
+    });
+}
@@ -4,6 +4,10 @@
  */
 
 import { body, param, validationResult } from 'express-validator';
+import { getPaymentProviderNames } from '../services/payments/index.js';
+import { SHIPPING_METHODS } from '../services/shippingService.js';
+import { ADMIN_ROLES } from '../config/adminRoles.js';
+import { ITEM_CONDITIONS } from '../services/returnService.js';
 
 /**
  * Handle validation errors
@@ -72,6 +76,11 @@ export const validateCreateOrder = [
         .isLength({ min: 1, max: 50 })
         .escape()
         .withMessage('Invalid item ID'),
+    body('items.*.variantId')
+        .optional()
+        .trim()
+        .matches(/^[\w-]{1,50}$/)
+        .withMessage('Invalid variant ID'),
     body('items.*.name')
         .trim()
         .isLength({ min: 1, max: 200 })
@@ -86,13 +95,29 @@ export const validateCreateOrder = [
     body('subtotal')
         .isInt({ min: 0, max: 10000000 })
         .withMessage('Invalid subtotal'),
+    body('shippingMethod')
+        .optional()
+        .isIn(SHIPPING_METHODS)
+        .withMessage('Invalid shipping method'),
+    body('shippingCost')
+        .isInt({ min: 0, max: 10000000 })
+        .withMessage('Invalid shipping cost'),
     body('total')
         .isInt({ min: 0, max: 10000000 })
         .withMessage('Invalid total'),
     body('paymentMethod')
         .trim()
-        .isIn(['manual', 'paystack', 'cash'])
+        .isIn(['manual', 'cash', 'gift_card', ...getPaymentProviderNames()])
         .withMessage('Invalid payment method'),
+    body('raffleClaim')
+        .optional({ values: 'falsy' })
+        .matches(/^[a-f0-9]{64}$/)
+        .withMessage('This raffle link is invalid'),
+    body('giftCardCode')
+        .optional({ values: 'falsy' })
+        .isString()
+        .isLength({ max: 40 })
+        .withMessage('Invalid gift card code'),
     handleValidationErrors
 ];
 
@@ -100,6 +125,10 @@ export const validateCreateOrder = [
  * Admin login validation
  */
 export const validateAdminLogin = [
+    body('email')
+        .trim()
+        .isEmail()
+        .withMessage('Valid email is required'),
     body('password')
         .trim()
         .isLength({ min: 1, max: 100 })
@@ -107,6 +136,93 @@ export const validateAdminLogin = [
     handleValidationErrors
 ];
 
+// bcrypt only uses the first 72 bytes of a password
+const newPassword = field => body(field)
+    .isString()
+    .isLength({ min: 8, max: 72 })
+    .withMessage('Password must be between 8 and 72 characters');
+
+const adminName = () => body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters');
+
+const adminRole = () => body('role')
+    .isIn(ADMIN_ROLES)
+    .withMessage(`Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+
+/**
+ * New admin user validation
+ */
+export const validateCreateAdminUser = [
+    body('email')
+        .trim()
+        .isEmail()
+        .withMessage('Valid email is required'),
+    adminName(),
+    adminRole(),
+    newPassword('password'),
+    handleValidationErrors
+];
+
+/**
+ * Admin user update validation; every field is optional
+ */
+export const validateUpdateAdminUser = [
+    adminName().optional(),
+    adminRole().optional(),
+    body('active')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('Active must be true or false'),
+    handleValidationErrors
+];
+
+/**
+ * Admin password reset validation
+ */
+export const validateAdminPassword = [
+    newPassword('password'),
+    handleValidationErrors
+];
+
+// A 6-digit authenticator code, or a recovery code like "a1b2c-3d4e5"
+const twoFactorCode = () => body('code')
+    .trim()
+    .matches(/^[\w\s-]{6,20}$/)
+    .withMessage('Enter the code from your authenticator app or a recovery code');
+
+/**
+ * Second step of an admin login
+ */
+export const validateTwoFactorLogin = [
+    body('challenge')
+        .matches(/^[a-f0-9]{64}$/)
+        .withMessage('Invalid sign-in challenge'),
+    twoFactorCode(),
+    handleValidationErrors
+];
+
+/**
+ * Two-factor actions that need a current code
+ */
+export const validateTwoFactorCode = [
+    twoFactorCode(),
+    handleValidationErrors
+];
+
+/**
+ * Turning two-factor off
+ */
+export const validateDisableTwoFactor = [
+    body('password')
+        .isString()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Password is required'),
+    twoFactorCode(),
+    handleValidationErrors
+];
+
 /**
  * Order status update validation
  */
@@ -117,8 +233,408 @@ export const validateUpdateOrderStatus = [
         .withMessage('Invalid order ID format'),
     body('status')
         .trim()
-        .isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled'])
+        .isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'partially_returned', 'returned', 'refunded'])
         .withMessage('Invalid status value'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .escape()
+        .withMessage('Reason must be 500 characters or fewer'),
+    handleValidationErrors
+];
+
+/**
+ * Admin refund validation; the amount and quantities are checked against the order by the service
+ */
+export const validateCreateRefund = [
+    param('id')
+        .trim()
+        .matches(/^[\w-]{3,50}$/)
+        .withMessage('Invalid order ID format'),
+    body('amount')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1 })
+        .toInt()
+        .withMessage('Refund amount must be a whole number of Naira'),
+    body('reason')
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason must be 500 characters or fewer'),
+    body('items')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('Items must be an array'),
+    body('items.*.variantId')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Invalid item'),
+    body('items.*.quantity')
+        .isInt({ min: 1, max: 100 })
+        .toInt()
+        .withMessage('Quantity must be at least 1'),
+    body('restock')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('Restock must be true or false'),
+    handleValidationErrors
+];
+
+/**
+ * Customer return request validation
+ */
+export const validateCreateReturn = [
+    body('orderId')
+        .trim()
+        .matches(/^[\w-]{3,50}$/)
+        .withMessage('Invalid order ID format'),
+    body('email')
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Valid email is required'),
+    body('items')
+        .isArray({ min: 1, max: 50 })
+        .withMessage('Select at least one item to return'),
+    body('items.*.variantId')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Invalid item'),
+    body('items.*.quantity')
+        .isInt({ min: 1, max: 100 })
+        .toInt()
+        .withMessage('Quantity must be at least 1'),
+    body('items.*.reason')
+        .isIn(['wrong_size', 'not_as_described', 'defective', 'wrong_item', 'changed_mind', 'other'])
+        .withMessage('Invalid return reason'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .escape()
+        .withMessage('Notes must be 1000 characters or fewer'),
+    handleValidationErrors
+];
+
+/**
+ * Admin return action validation (approve, reject, receive, inspect, refund)
+ */
+export const validateReturnAction = [
+    param('id')
+        .trim()
+        .matches(/^[\w-]{3,50}$/)
+        .withMessage('Invalid return ID format'),
+    body('notes')
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes must be 1000 characters or fewer'),
+    body('items')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('Items must be an array'),
+    body('items.*.id')
+        .isInt({ min: 1 })
+        .toInt()
+        .withMessage('Invalid return item'),
+    body('items.*.quantity')
+        .optional()
+        .isInt({ min: 0, max: 100 })
+        .toInt()
+        .withMessage('Received quantity must be 0 or more'),
+    body('items.*.condition')
+        .optional()
+        .isIn(ITEM_CONDITIONS)
+        .withMessage(`Condition must be one of: ${ITEM_CONDITIONS.join(', ')}`),
+    body('amount')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 0 })
+        .toInt()
+        .withMessage('Refund amount must be a whole number of Naira'),
+    handleValidationErrors
+];
+
+const customerName = () => body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .escape()
+    .withMessage('Name must be between 2 and 100 characters');
+
+const customerPhone = () => body('phone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[\d\s\-+()]{7,20}$/)
+    .withMessage('Invalid phone number format');
+
+/**
+ * Customer registration validation
+ */
+export const validateRegister = [
+    body('email')
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Valid email is required'),
+    newPassword('password'),
+    customerName(),
+    customerPhone(),
+    handleValidationErrors
+];
+
+/**
+ * Customer login validation
+ */
+export const validateCustomerLogin = [
+    body('email')
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Valid email is required'),
+    body('password')
+        .isString()
+        .isLength({ min: 1, max: 72 })
+        .withMessage('Password is required'),
+    handleValidationErrors
+];
+
+/**
+ * Customer profile validation
+ */
+export const validateCustomerProfile = [
+    customerName(),
+    customerPhone(),
+    handleValidationErrors
+];
+
+/**
+ * Sign-in link request validation
+ */
+export const validateLoginLinkRequest = [
+    body('email')
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Valid email is required'),
+    handleValidationErrors
+];
+
+/**
+ * Customer password change validation; customers without a password yet
+ * send no currentPassword
+ */
+export const validatePasswordChange = [
+    body('currentPassword')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 72 })
+        .withMessage('Current password is required'),
+    newPassword('newPassword'),
+    handleValidationErrors
+];
+
+/**
+ * Saved address validation; fields match the checkout form
+ */
+export const validateCustomerAddress = [
+    body('label')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 50 })
+        .escape()
+        .withMessage('Label must be 50 characters or fewer'),
+    body(['firstName', 'lastName'])
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .escape()
+        .withMessage('First and last name are required'),
+    body('address')
+        .trim()
+        .isLength({ min: 5, max: 200 })
+        .escape()
+        .withMessage('Address must be between 5 and 200 characters'),
+    body('apartment')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 100 })
+        .escape()
+        .withMessage('Apartment must be 100 characters or fewer'),
+    body('city')
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .escape()
+        .withMessage('City must be between 2 and 50 characters'),
+    body('state')
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .escape()
+        .withMessage('State must be between 2 and 50 characters'),
+    body('zip')
+        .trim()
+        .matches(/^[\w\-\s]{3,10}$/)
+        .withMessage('Invalid zip/postal code'),
+    customerPhone(),
+    body('isDefault')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('isDefault must be true or false'),
+    handleValidationErrors
+];
+
+const cartQuantity = (field, min) => body(field)
+    .isInt({ min, max: 100 })
+    .toInt()
+    .withMessage(`Quantity must be between ${min} and 100`);
+
+/**
+ * Adding an item to the cart; older device carts send colour/size instead
+ * of a variant ID
+ */
+export const validateCartItem = [
+    body('productId')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Invalid product ID'),
+    body('variantId')
+        .if(body('variantId').exists({ values: 'falsy' }))
+        .matches(/^[\w-]{1,50}$/)
+        .withMessage('Invalid variant ID'),
+    body(['color', 'size'])
+        .if(body('variantId').not().exists({ values: 'falsy' }))
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Choose a colour and size'),
+    cartQuantity('quantity', 1),
+    handleValidationErrors
+];
+
+/**
+ * Changing a cart line's quantity; 0 removes it
+ */
+export const validateCartQuantity = [
+    param('itemId')
+        .isInt({ min: 1 })
+        .withMessage('Invalid cart item'),
+    cartQuantity('quantity', 0),
+    handleValidationErrors
+];
+
+/**
+ * Merging a cart kept on the device into the server cart
+ */
+export const validateCartMerge = [
+    body('items')
+        .isArray({ max: 50 })
+        .withMessage('A cart can hold up to 50 items'),
+    body('items.*.productId')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Invalid product ID'),
+    body('items.*.variantId')
+        .optional({ values: 'falsy' })
+        .matches(/^[\w-]{1,50}$/)
+        .withMessage('Invalid variant ID'),
+    body(['items.*.color', 'items.*.size'])
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Invalid colour or size'),
+    cartQuantity('items.*.quantity', 1),
+    handleValidationErrors
+];
+
+/**
+ * Email given at checkout, kept on the cart for reminders
+ */
+export const validateCartEmail = [
+    body('email')
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Valid email is required'),
+    handleValidationErrors
+];
+
+/**
+ * Signed token from a cart reminder's restore or unsubscribe link
+ */
+export const validateCartLink = [
+    body('token')
+        .isString()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('This link is invalid'),
+    handleValidationErrors
+];
+
+/**
+ * Entering a raffle; duplicates are caught by the raffle service, which
+ * normalizes the email and phone itself
+ */
+export const validateRaffleEntry = [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .escape()
+        .withMessage('Name must be between 2 and 100 characters'),
+    body('email')
+        .trim()
+        .isEmail()
+        .withMessage('Valid email is required'),
+    body('phone')
+        .trim()
+        .matches(/^[\d\s\-+()]{7,20}$/)
+        .withMessage('Invalid phone number format'),
+    handleValidationErrors
+];
+
+/**
+ * Gift card purchase validation
+ */
+export const validateGiftCardPurchase = [
+    body('amount')
+        .isInt({ min: 1 })
+        .withMessage('Choose an amount'),
+    body(['purchaserName', 'recipientName'])
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .escape()
+        .withMessage('Names must be between 2 and 100 characters'),
+    body(['purchaserEmail', 'recipientEmail'])
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Valid email is required'),
+    body('message')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 500 })
+        .escape()
+        .withMessage('Messages can be up to 500 characters'),
+    body('sendAt')
+        .optional({ values: 'falsy' })
+        .isISO8601()
+        .withMessage('Invalid send date'),
+    handleValidationErrors
+];
+
+/**
+ * Gift card balance lookup validation
+ */
+export const validateGiftCardCode = [
+    body('code')
+        .isString()
+        .trim()
+        .isLength({ min: 4, max: 40 })
+        .withMessage('Enter your gift card code'),
     handleValidationErrors
 ];
 
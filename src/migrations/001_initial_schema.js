@@ -0,0 +1,226 @@
+/**
+ * LA VAGUE - Migration 001: Initial schema
+ * Tables previously created inline by dbInit.js
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS products (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            slug TEXT UNIQUE NOT NULL,
+            category TEXT NOT NULL,
+            price INTEGER NOT NULL,
+            compare_at_price INTEGER,
+            description TEXT,
+            features ${t.json},
+            images ${t.json},
+            colors ${t.json},
+            sizes ${t.json},
+            inventory ${t.json},
+            tags ${t.json},
+            badge TEXT,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            average_rating ${t.decimal(2, 1)} DEFAULT 0,
+            review_count INTEGER DEFAULT 0
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_products_slug ON products(slug)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_products_category ON products(category)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_products_created ON products(created_at DESC)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS orders (
+            id TEXT PRIMARY KEY,
+            customer_name TEXT NOT NULL,
+            customer_email TEXT NOT NULL,
+            customer_phone TEXT,
+            shipping_address ${t.json} NOT NULL,
+            items ${t.json} NOT NULL,
+            subtotal INTEGER NOT NULL,
+            shipping_cost INTEGER NOT NULL,
+            discount INTEGER DEFAULT 0,
+            total INTEGER NOT NULL,
+            payment_method TEXT NOT NULL,
+            payment_status TEXT DEFAULT 'pending',
+            payment_reference TEXT,
+            order_status TEXT DEFAULT 'pending',
+            notes TEXT,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_orders_email ON orders(customer_email)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(order_status)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_orders_created ON orders(created_at DESC)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS admin_sessions (
+            id ${t.id},
+            session_key TEXT UNIQUE NOT NULL,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            expires_at ${t.timestamp} NOT NULL
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_expires ON admin_sessions(expires_at)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS inventory_reservations (
+            id ${t.id},
+            product_id TEXT NOT NULL,
+            variant_key TEXT NOT NULL,
+            quantity INTEGER NOT NULL,
+            order_id TEXT NOT NULL,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            expires_at ${t.timestamp} NOT NULL
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_reservations_order ON inventory_reservations(order_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_reservations_expires ON inventory_reservations(expires_at)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_logs (
+            id ${t.id},
+            action TEXT NOT NULL,
+            entity_type TEXT NOT NULL,
+            entity_id TEXT,
+            old_data ${t.json},
+            new_data ${t.json},
+            performed_by TEXT,
+            ip_address TEXT,
+            user_agent TEXT,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_logs(entity_type, entity_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_logs(created_at DESC)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS inventory_movements (
+            id ${t.id},
+            product_id TEXT NOT NULL,
+            variant_key TEXT NOT NULL,
+            movement_type TEXT NOT NULL,
+            quantity_change INTEGER NOT NULL,
+            quantity_before INTEGER NOT NULL,
+            quantity_after INTEGER NOT NULL,
+            reference_id TEXT,
+            reference_type TEXT,
+            notes TEXT,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_inventory_movements_product ON inventory_movements(product_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_inventory_movements_created ON inventory_movements(created_at DESC)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS order_notes (
+            id ${t.id},
+            order_id TEXT NOT NULL,
+            note TEXT NOT NULL,
+            is_internal ${t.boolean} DEFAULT ${t.true},
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_order_notes_order ON order_notes(order_id)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS settings (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS coupons (
+            id TEXT PRIMARY KEY,
+            code TEXT UNIQUE NOT NULL,
+            type TEXT NOT NULL,
+            value INTEGER NOT NULL,
+            min_order_amount INTEGER DEFAULT 0,
+            max_discount_amount INTEGER,
+            usage_limit INTEGER,
+            usage_count INTEGER DEFAULT 0,
+            per_customer_limit INTEGER DEFAULT 1,
+            start_date DATE,
+            end_date DATE,
+            applicable_categories ${t.json},
+            applicable_products ${t.json},
+            is_active ${t.boolean} DEFAULT ${t.true},
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_coupons_code ON coupons(code)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_coupons_active ON coupons(is_active)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS reviews (
+            id TEXT PRIMARY KEY,
+            product_id TEXT NOT NULL,
+            order_id TEXT,
+            customer_email TEXT NOT NULL,
+            customer_name TEXT,
+            rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+            title TEXT,
+            review_text TEXT,
+            photos ${t.json},
+            verified_purchase ${t.boolean} DEFAULT ${t.false},
+            status TEXT DEFAULT 'pending',
+            helpful_count INTEGER DEFAULT 0,
+            admin_response TEXT,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_reviews_product ON reviews(product_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS waitlist (
+            id ${t.id},
+            product_id TEXT NOT NULL,
+            customer_email TEXT NOT NULL,
+            customer_name TEXT,
+            variant_key TEXT,
+            status TEXT DEFAULT 'waiting',
+            notified_at ${t.timestamp},
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS coupon_usage (
+            id ${t.id},
+            coupon_id TEXT NOT NULL,
+            order_id TEXT NOT NULL,
+            customer_email TEXT NOT NULL,
+            discount_amount INTEGER NOT NULL,
+            used_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS webhook_logs (
+            id ${t.id},
+            event_type TEXT NOT NULL,
+            reference TEXT,
+            amount INTEGER,
+            customer_email TEXT,
+            raw_data ${t.json},
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+export async function down(db) {
+    const tables = [
+        'webhook_logs', 'coupon_usage', 'waitlist', 'reviews', 'coupons', 'settings',
+        'order_notes', 'inventory_movements', 'audit_logs', 'inventory_reservations',
+        'admin_sessions', 'orders', 'products'
+    ];
+    for (const table of tables) {
+        await db.exec(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
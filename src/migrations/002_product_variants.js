@@ -0,0 +1,110 @@
+/**
+ * LA VAGUE - Migration 002: Product variants
+ * Moves stock out of the products.inventory JSON blob into one row per
+ * colour/size variant, and points reservations at variant IDs.
+ */
+
+import crypto from 'crypto';
+
+const parseJSON = (value, fallback) => {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value); } catch { return fallback; }
+};
+
+/**
+ * Split a legacy `${color}-${size}` key. Colours may contain hyphens, so match
+ * against the product's own size list first and only then fall back to the
+ * last hyphen.
+ */
+export function splitVariantKey(key, sizes = [], colors = []) {
+    const colorNames = colors.map(c => (typeof c === 'string' ? c : c?.name)).filter(Boolean);
+    const bySizeLength = [...sizes].sort((a, b) => String(b).length - String(a).length);
+
+    for (const size of bySizeLength) {
+        const suffix = `-${size}`;
+        if (key.endsWith(suffix)) {
+            const color = key.slice(0, -suffix.length);
+            if (colorNames.length === 0 || colorNames.includes(color)) {
+                return { color, size: String(size) };
+            }
+        }
+    }
+
+    const index = key.lastIndexOf('-');
+    if (index <= 0) return { color: key, size: 'OS' };
+    return { color: key.slice(0, index), size: key.slice(index + 1) };
+}
+
+export function buildSku(productId, color, size) {
+    const part = value => String(value).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+    return [part(productId), part(color), part(size)].filter(Boolean).join('-');
+}
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS product_variants (
+            id TEXT PRIMARY KEY,
+            product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+            sku TEXT UNIQUE,
+            color TEXT NOT NULL,
+            size TEXT NOT NULL,
+            price INTEGER,
+            compare_at_price INTEGER,
+            weight_grams INTEGER,
+            barcode TEXT,
+            stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (product_id, color, size)
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_variants_product ON product_variants(product_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_variants_barcode ON product_variants(barcode)');
+
+    const products = await db.many('SELECT id, colors, sizes, inventory FROM products');
+    for (const product of products) {
+        const inventory = parseJSON(product.inventory, {}) || {};
+        const sizes = parseJSON(product.sizes, []) || [];
+        const colors = parseJSON(product.colors, []) || [];
+
+        for (const [key, quantity] of Object.entries(inventory)) {
+            const { color, size } = splitVariantKey(key, sizes, colors);
+            await db.exec(`
+                INSERT INTO product_variants (id, product_id, sku, color, size, stock)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT (product_id, color, size) DO NOTHING
+            `, [
+                `var-${crypto.randomBytes(4).toString('hex')}`,
+                product.id,
+                buildSku(product.id, color, size),
+                color,
+                size,
+                Math.max(0, parseInt(quantity, 10) || 0)
+            ]);
+        }
+    }
+
+    await db.exec(t.addColumn('inventory_reservations', 'variant_id', 'TEXT'));
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_reservations_variant ON inventory_reservations(variant_id)');
+    await db.exec(t.dropColumn('products', 'inventory'));
+}
+
+export async function down(db, t) {
+    await db.exec(t.addColumn('products', 'inventory', t.json));
+
+    const variants = await db.many('SELECT product_id, color, size, stock FROM product_variants');
+    const byProduct = new Map();
+    for (const v of variants) {
+        const inventory = byProduct.get(v.product_id) || {};
+        inventory[`${v.color}-${v.size}`] = v.stock;
+        byProduct.set(v.product_id, inventory);
+    }
+    for (const [productId, inventory] of byProduct) {
+        await db.exec('UPDATE products SET inventory = $1 WHERE id = $2', [JSON.stringify(inventory), productId]);
+    }
+
+    await db.exec('DROP INDEX IF EXISTS idx_reservations_variant');
+    await db.exec(t.dropColumn('inventory_reservations', 'variant_id'));
+    await db.exec('DROP TABLE IF EXISTS product_variants');
+}
@@ -0,0 +1,17 @@
+/**
+ * LA VAGUE - Migration 003: Reservation status
+ * Reservations are kept after checkout so that confirming an order twice
+ * (webhook and verify-payment) only deducts stock once.
+ */
+
+export async function up(db, t) {
+    await db.exec(t.addColumn('inventory_reservations', 'status', "TEXT NOT NULL DEFAULT 'held'"));
+    await db.exec(
+        'CREATE INDEX IF NOT EXISTS idx_reservations_variant_status ON inventory_reservations(variant_id, status)'
+    );
+}
+
+export async function down(db, t) {
+    await db.exec('DROP INDEX IF EXISTS idx_reservations_variant_status');
+    await db.exec(t.dropColumn('inventory_reservations', 'status'));
+}
@@ -0,0 +1,26 @@
+/**
+ * LA VAGUE - Migration 004: Variant stock ledger
+ * Movements are keyed by variant, and every existing variant gets an opening
+ * balance so that summing quantity_change reproduces current stock.
+ */
+
+export async function up(db, t) {
+    await db.exec(t.addColumn('inventory_movements', 'variant_id', 'TEXT'));
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_inventory_movements_variant ON inventory_movements(variant_id)');
+
+    await db.exec(`
+        INSERT INTO inventory_movements
+            (product_id, variant_id, variant_key, movement_type, quantity_change,
+             quantity_before, quantity_after, reference_id, reference_type, notes)
+        SELECT product_id, id, color || '-' || size, 'adjustment', stock,
+            0, stock, '004', 'migration', 'Opening balance'
+        FROM product_variants
+        WHERE stock > 0
+    `);
+}
+
+export async function down(db, t) {
+    await db.exec("DELETE FROM inventory_movements WHERE reference_type = 'migration' AND reference_id = '004'");
+    await db.exec('DROP INDEX IF EXISTS idx_inventory_movements_variant');
+    await db.exec(t.dropColumn('inventory_movements', 'variant_id'));
+}
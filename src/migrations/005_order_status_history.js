@@ -0,0 +1,35 @@
+/**
+ * LA VAGUE - Migration 005: Order status history
+ * One row per order status change. Existing orders are backfilled with their
+ * placement and, where it has moved on, their current status.
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS order_status_history (
+            id ${t.id},
+            order_id TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            from_status TEXT,
+            to_status TEXT NOT NULL,
+            actor TEXT NOT NULL DEFAULT 'system',
+            reason TEXT,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id, created_at)');
+
+    await db.exec(`
+        INSERT INTO order_status_history (order_id, from_status, to_status, actor, reason, created_at)
+        SELECT id, NULL, 'pending', 'customer', 'Order placed', created_at FROM orders
+    `);
+    await db.exec(`
+        INSERT INTO order_status_history (order_id, from_status, to_status, actor, reason, created_at)
+        SELECT id, 'pending', order_status, 'system', 'Recorded before status history existed', updated_at
+        FROM orders
+        WHERE order_status IS NOT NULL AND order_status <> 'pending'
+    `);
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS order_status_history');
+}
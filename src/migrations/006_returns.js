@@ -0,0 +1,50 @@
+/**
+ * LA VAGUE - Migration 006: Returns
+ * Customer return requests (RMAs) and the order lines on each one
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS returns (
+            id TEXT PRIMARY KEY,
+            order_id TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            customer_email TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'requested',
+            customer_notes TEXT,
+            admin_notes TEXT,
+            refund_amount INTEGER,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            approved_at ${t.timestamp},
+            received_at ${t.timestamp},
+            inspected_at ${t.timestamp},
+            refunded_at ${t.timestamp}
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_returns_order ON returns(order_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_returns_status ON returns(status, created_at)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS return_items (
+            id ${t.id},
+            return_id TEXT NOT NULL REFERENCES returns(id) ON DELETE CASCADE,
+            product_id TEXT NOT NULL,
+            variant_id TEXT,
+            name TEXT NOT NULL,
+            sku TEXT,
+            color TEXT,
+            size TEXT,
+            quantity INTEGER NOT NULL,
+            unit_price INTEGER NOT NULL,
+            reason TEXT NOT NULL,
+            received_quantity INTEGER NOT NULL DEFAULT 0,
+            condition TEXT
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_return_items_return ON return_items(return_id)');
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS return_items');
+    await db.exec('DROP TABLE IF EXISTS returns');
+}
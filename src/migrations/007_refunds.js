@@ -0,0 +1,32 @@
+/**
+ * LA VAGUE - Migration 007: Refunds
+ * One row per refund issued against an order, whether from the admin
+ * dashboard or reported by the payment provider
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS refunds (
+            id TEXT PRIMARY KEY,
+            order_id TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            amount INTEGER NOT NULL,
+            reason TEXT,
+            items ${t.json},
+            restocked ${t.boolean} DEFAULT ${t.false},
+            status TEXT NOT NULL DEFAULT 'pending',
+            provider TEXT NOT NULL DEFAULT 'paystack',
+            provider_reference TEXT,
+            failure_reason TEXT,
+            created_by TEXT NOT NULL DEFAULT 'admin',
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            processed_at ${t.timestamp}
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id, created_at)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_refunds_provider_reference ON refunds(provider_reference)');
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS refunds');
+}
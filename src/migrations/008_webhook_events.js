@@ -0,0 +1,34 @@
+/**
+ * LA VAGUE - Migration 008: Webhook Events
+ * Every payment webhook received, keyed by the provider's event ID so a
+ * redelivered event is recognised and not applied twice
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS webhook_events (
+            id TEXT PRIMARY KEY,
+            provider TEXT NOT NULL,
+            event_id TEXT NOT NULL,
+            event_type TEXT NOT NULL,
+            reference TEXT,
+            order_id TEXT,
+            amount INTEGER,
+            currency TEXT,
+            payload ${t.json} NOT NULL,
+            status TEXT NOT NULL DEFAULT 'received',
+            result TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            duplicates INTEGER NOT NULL DEFAULT 0,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            processed_at ${t.timestamp},
+            UNIQUE (provider, event_id)
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_events_created ON webhook_events(created_at)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_events_reference ON webhook_events(reference)');
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS webhook_events');
+}
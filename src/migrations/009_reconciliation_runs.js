@@ -0,0 +1,25 @@
+/**
+ * LA VAGUE - Migration 009: Reconciliation Runs
+ * One row per payment reconciliation run, with what it fixed and the
+ * issues it found for an admin to look at
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS reconciliation_runs (
+            id TEXT PRIMARY KEY,
+            triggered_by TEXT NOT NULL DEFAULT 'schedule',
+            status TEXT NOT NULL DEFAULT 'running',
+            summary ${t.json},
+            issues ${t.json},
+            error TEXT,
+            started_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            finished_at ${t.timestamp}
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started ON reconciliation_runs(started_at)');
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS reconciliation_runs');
+}
@@ -0,0 +1,66 @@
+/**
+ * LA VAGUE - Migration 010: Customer accounts
+ * Registered customers, their login sessions and saved addresses. Orders
+ * placed while logged in, or claimed later, point at the customer.
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS customers (
+            id TEXT PRIMARY KEY,
+            email TEXT UNIQUE NOT NULL,
+            password_hash TEXT NOT NULL,
+            name TEXT NOT NULL,
+            phone TEXT,
+            email_verified ${t.boolean} NOT NULL DEFAULT ${t.false},
+            verification_token_hash TEXT,
+            verification_expires_at ${t.timestamp},
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            last_login_at ${t.timestamp}
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_customers_verification ON customers(verification_token_hash)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS customer_sessions (
+            id ${t.id},
+            customer_id TEXT NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+            token_hash TEXT UNIQUE NOT NULL,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            expires_at ${t.timestamp} NOT NULL
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_customer_sessions_customer ON customer_sessions(customer_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_customer_sessions_expires ON customer_sessions(expires_at)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS customer_addresses (
+            id ${t.id},
+            customer_id TEXT NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+            label TEXT,
+            first_name TEXT NOT NULL,
+            last_name TEXT NOT NULL,
+            address TEXT NOT NULL,
+            apartment TEXT,
+            city TEXT NOT NULL,
+            state TEXT NOT NULL,
+            zip TEXT NOT NULL,
+            phone TEXT,
+            is_default ${t.boolean} NOT NULL DEFAULT ${t.false},
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_customer_addresses_customer ON customer_addresses(customer_id)');
+
+    await db.exec(t.addColumn('orders', 'customer_id', 'TEXT'));
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_orders_customer ON orders(customer_id, created_at)');
+}
+
+export async function down(db, t) {
+    await db.exec('DROP INDEX IF EXISTS idx_orders_customer');
+    await db.exec(t.dropColumn('orders', 'customer_id'));
+    await db.exec('DROP TABLE IF EXISTS customer_addresses');
+    await db.exec('DROP TABLE IF EXISTS customer_sessions');
+    await db.exec('DROP TABLE IF EXISTS customers');
+}
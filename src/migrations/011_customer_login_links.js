@@ -0,0 +1,23 @@
+/**
+ * LA VAGUE - Migration 011: Customer login links
+ * Single-use email sign-in links. Only a hash of each link's token is kept;
+ * a link is spent by setting used_at.
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS customer_login_links (
+            id ${t.id},
+            email TEXT NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            expires_at ${t.timestamp} NOT NULL,
+            used_at ${t.timestamp}
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_customer_login_links_email ON customer_login_links(email, created_at)');
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS customer_login_links');
+}
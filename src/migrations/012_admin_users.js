@@ -0,0 +1,37 @@
+/**
+ * LA VAGUE - Migration 012: Admin users
+ * Individual admin logins with a role each. Sessions and audit log entries
+ * point at the admin who made them; sessions from the old shared password
+ * can't be attributed to anyone, so they are ended.
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS admin_users (
+            id TEXT PRIMARY KEY,
+            email TEXT UNIQUE NOT NULL,
+            name TEXT NOT NULL,
+            password_hash TEXT NOT NULL,
+            role TEXT NOT NULL,
+            active ${t.boolean} NOT NULL DEFAULT ${t.true},
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            last_login_at ${t.timestamp}
+        )
+    `);
+
+    await db.exec('DELETE FROM admin_sessions');
+    await db.exec(t.addColumn('admin_sessions', 'admin_user_id', 'TEXT'));
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_admin_user ON admin_sessions(admin_user_id)');
+
+    await db.exec(t.addColumn('audit_logs', 'admin_user_id', 'TEXT'));
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_audit_admin_user ON audit_logs(admin_user_id, created_at)');
+}
+
+export async function down(db, t) {
+    await db.exec('DROP INDEX IF EXISTS idx_audit_admin_user');
+    await db.exec(t.dropColumn('audit_logs', 'admin_user_id'));
+    await db.exec('DROP INDEX IF EXISTS idx_sessions_admin_user');
+    await db.exec(t.dropColumn('admin_sessions', 'admin_user_id'));
+    await db.exec('DROP TABLE IF EXISTS admin_users');
+}
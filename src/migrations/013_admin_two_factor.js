@@ -0,0 +1,45 @@
+/**
+ * LA VAGUE - Migration 013: Admin two-factor authentication
+ * An authenticator (TOTP) secret per admin, their single-use recovery codes,
+ * and the short-lived challenges that sit between the password and code steps
+ * of a login. totp_last_step holds the last step a code was accepted for, so
+ * the same code can't be replayed.
+ */
+
+export async function up(db, t) {
+    await db.exec(t.addColumn('admin_users', 'totp_secret', 'TEXT'));
+    await db.exec(t.addColumn('admin_users', 'totp_enabled', `${t.boolean} NOT NULL DEFAULT ${t.false}`));
+    await db.exec(t.addColumn('admin_users', 'totp_enabled_at', t.timestamp));
+    await db.exec(t.addColumn('admin_users', 'totp_last_step', 'INTEGER'));
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+            id ${t.id},
+            admin_user_id TEXT NOT NULL,
+            code_hash TEXT NOT NULL,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            used_at ${t.timestamp}
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_admin ON admin_recovery_codes(admin_user_id)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS admin_login_challenges (
+            id ${t.id},
+            challenge_hash TEXT UNIQUE NOT NULL,
+            admin_user_id TEXT NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            expires_at ${t.timestamp} NOT NULL
+        )
+    `);
+}
+
+export async function down(db, t) {
+    await db.exec('DROP TABLE IF EXISTS admin_login_challenges');
+    await db.exec('DROP TABLE IF EXISTS admin_recovery_codes');
+    await db.exec(t.dropColumn('admin_users', 'totp_last_step'));
+    await db.exec(t.dropColumn('admin_users', 'totp_enabled_at'));
+    await db.exec(t.dropColumn('admin_users', 'totp_enabled'));
+    await db.exec(t.dropColumn('admin_users', 'totp_secret'));
+}
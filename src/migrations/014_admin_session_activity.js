@@ -0,0 +1,18 @@
+/**
+ * LA VAGUE - Migration 014: Admin session activity
+ * Where each admin session was last used from and when, so admins can see
+ * their sessions and sessions left idle can be expired.
+ */
+
+export async function up(db, t) {
+    await db.exec(t.addColumn('admin_sessions', 'ip_address', 'TEXT'));
+    await db.exec(t.addColumn('admin_sessions', 'user_agent', 'TEXT'));
+    await db.exec(t.addColumn('admin_sessions', 'last_seen_at', t.timestamp));
+    await db.exec('UPDATE admin_sessions SET last_seen_at = created_at');
+}
+
+export async function down(db, t) {
+    await db.exec(t.dropColumn('admin_sessions', 'last_seen_at'));
+    await db.exec(t.dropColumn('admin_sessions', 'user_agent'));
+    await db.exec(t.dropColumn('admin_sessions', 'ip_address'));
+}
@@ -0,0 +1,43 @@
+/**
+ * LA VAGUE - Migration 015: Server-side carts
+ * A cart belongs to a logged-in customer or to an anonymous cart cookie.
+ * Items keep the price last shown to the shopper; the live price and stock
+ * are checked again on every change. A cart that became an order keeps its
+ * items and points at the order.
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS carts (
+            id TEXT PRIMARY KEY,
+            token_hash TEXT UNIQUE,
+            customer_id TEXT REFERENCES customers(id) ON DELETE CASCADE,
+            order_id TEXT,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            converted_at ${t.timestamp}
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_carts_customer ON carts(customer_id, converted_at)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_carts_updated ON carts(updated_at)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS cart_items (
+            id ${t.id},
+            cart_id TEXT NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+            product_id TEXT NOT NULL,
+            variant_id TEXT NOT NULL,
+            quantity INTEGER NOT NULL CHECK (quantity > 0),
+            unit_price INTEGER NOT NULL,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (cart_id, variant_id)
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_cart_items_variant ON cart_items(variant_id)');
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS cart_items');
+    await db.exec('DROP TABLE IF EXISTS carts');
+}
@@ -0,0 +1,40 @@
+/**
+ * LA VAGUE - Migration 016: Abandoned cart recovery
+ * Carts remember the email given at checkout and how many reminders have
+ * been sent. Each reminder is logged, with the coupon it carried and when
+ * its restore link was followed, for the recovery metrics. Addresses that
+ * unsubscribed from reminders are kept so they are never emailed again.
+ */
+
+export async function up(db, t) {
+    await db.exec(t.addColumn('carts', 'email', 'TEXT'));
+    await db.exec(t.addColumn('carts', 'reminder_step', 'INTEGER NOT NULL DEFAULT 0'));
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS cart_reminders (
+            id ${t.id},
+            cart_id TEXT NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+            step INTEGER NOT NULL,
+            email TEXT NOT NULL,
+            coupon_code TEXT,
+            sent_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            clicked_at ${t.timestamp}
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_cart_reminders_cart ON cart_reminders(cart_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_cart_reminders_sent ON cart_reminders(sent_at)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS cart_email_unsubscribes (
+            email TEXT PRIMARY KEY,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+export async function down(db, t) {
+    await db.exec('DROP TABLE IF EXISTS cart_email_unsubscribes');
+    await db.exec('DROP TABLE IF EXISTS cart_reminders');
+    await db.exec(t.dropColumn('carts', 'reminder_step'));
+    await db.exec(t.dropColumn('carts', 'email'));
+}
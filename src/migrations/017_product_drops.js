@@ -0,0 +1,38 @@
+/**
+ * LA VAGUE - Migration 017: Limited drops
+ * A product can go on sale at a set time, cap how many of each variant one
+ * customer may buy, and hold a waiting room for its first minutes on sale.
+ * Waiting room entries are admitted to checkout in batches, in queue order.
+ */
+
+export async function up(db, t) {
+    await db.exec(t.addColumn('products', 'publish_at', t.timestamp));
+    await db.exec(t.addColumn('products', 'purchase_limit', 'INTEGER'));
+    await db.exec(t.addColumn('products', 'waiting_room_minutes', 'INTEGER'));
+    await db.exec(t.addColumn('products', 'queue_batch_size', 'INTEGER'));
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS drop_queue (
+            id ${t.id},
+            product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+            token_hash TEXT NOT NULL,
+            customer_id TEXT REFERENCES customers(id) ON DELETE SET NULL,
+            priority BIGINT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'admitted')),
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            admitted_at ${t.timestamp},
+            expires_at ${t.timestamp},
+            UNIQUE (product_id, token_hash)
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_drop_queue_order ON drop_queue(product_id, status, priority)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_drop_queue_customer ON drop_queue(product_id, customer_id)');
+}
+
+export async function down(db, t) {
+    await db.exec('DROP TABLE IF EXISTS drop_queue');
+    await db.exec(t.dropColumn('products', 'queue_batch_size'));
+    await db.exec(t.dropColumn('products', 'waiting_room_minutes'));
+    await db.exec(t.dropColumn('products', 'purchase_limit'));
+    await db.exec(t.dropColumn('products', 'publish_at'));
+}
@@ -0,0 +1,59 @@
+/**
+ * LA VAGUE - Migration 018: Raffles
+ * A raffle sells a set number of one variant by draw instead of first come,
+ * first served. Entries are unique per email, phone and account. The draw's
+ * seed is committed to (by its hash) when the raffle is created and revealed
+ * once drawn, so anyone can check the order winners were picked in.
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS raffles (
+            id TEXT PRIMARY KEY,
+            product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+            variant_id TEXT NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+            quantity INTEGER NOT NULL CHECK (quantity > 0),
+            opens_at ${t.timestamp} NOT NULL,
+            closes_at ${t.timestamp} NOT NULL,
+            claim_hours INTEGER NOT NULL DEFAULT 24,
+            status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'drawn', 'cancelled')),
+            seed TEXT NOT NULL,
+            seed_hash TEXT NOT NULL,
+            drawn_at ${t.timestamp},
+            created_by TEXT,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_raffles_product ON raffles(product_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_raffles_status ON raffles(status, closes_at)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS raffle_entries (
+            id ${t.id},
+            raffle_id TEXT NOT NULL REFERENCES raffles(id) ON DELETE CASCADE,
+            customer_id TEXT REFERENCES customers(id) ON DELETE SET NULL,
+            name TEXT NOT NULL,
+            email TEXT NOT NULL,
+            phone TEXT NOT NULL,
+            ip_address TEXT,
+            draw_position INTEGER,
+            status TEXT NOT NULL DEFAULT 'entered' CHECK (status IN ('entered', 'won', 'claimed', 'lapsed')),
+            claim_token_hash TEXT,
+            claim_expires_at ${t.timestamp},
+            won_at ${t.timestamp},
+            order_id TEXT,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (raffle_id, email),
+            UNIQUE (raffle_id, phone),
+            UNIQUE (raffle_id, customer_id)
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_raffle_entries_draw ON raffle_entries(raffle_id, status, draw_position)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_raffle_entries_ip ON raffle_entries(raffle_id, ip_address)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_raffle_entries_claim ON raffle_entries(claim_token_hash)');
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS raffle_entries');
+    await db.exec('DROP TABLE IF EXISTS raffles');
+}
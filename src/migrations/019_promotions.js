@@ -0,0 +1,32 @@
+/**
+ * LA VAGUE - Migration 019: Automatic promotions
+ * Promotions apply to the cart without a code: buy X get Y, spend
+ * thresholds, category sales and bundle prices. Their rules are kept as JSON
+ * by type. Orders record the promotions they were given.
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS promotions (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            type TEXT NOT NULL CHECK (type IN ('buy_x_get_y', 'spend_threshold', 'category_sale', 'bundle')),
+            rules ${t.json} NOT NULL,
+            combines_with_coupons ${t.boolean} NOT NULL DEFAULT ${t.true},
+            starts_at ${t.timestamp},
+            ends_at ${t.timestamp},
+            is_active ${t.boolean} NOT NULL DEFAULT ${t.true},
+            created_by TEXT,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_promotions_active ON promotions(is_active, starts_at, ends_at)');
+
+    await db.exec(t.addColumn('orders', 'promotions', t.json));
+}
+
+export async function down(db, t) {
+    await db.exec(t.dropColumn('orders', 'promotions'));
+    await db.exec('DROP TABLE IF EXISTS promotions');
+}
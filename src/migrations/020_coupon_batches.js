@@ -0,0 +1,32 @@
+/**
+ * LA VAGUE - Migration 020: Coupon batches
+ * Batches of generated single-use codes for campaigns and influencers. Each
+ * code is an ordinary coupon row tagged with its batch; the batch keeps the
+ * template the codes were made from and the rules they share.
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS coupon_batches (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            prefix TEXT NOT NULL DEFAULT '',
+            code_length INTEGER NOT NULL,
+            alphabet TEXT NOT NULL,
+            quantity INTEGER NOT NULL CHECK (quantity > 0),
+            rules ${t.json} NOT NULL,
+            is_active ${t.boolean} NOT NULL DEFAULT ${t.true},
+            created_by TEXT,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await db.exec(t.addColumn('coupons', 'batch_id', 'TEXT'));
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_coupons_batch ON coupons(batch_id)');
+}
+
+export async function down(db, t) {
+    await db.exec('DROP INDEX IF EXISTS idx_coupons_batch');
+    await db.exec(t.dropColumn('coupons', 'batch_id'));
+    await db.exec('DROP TABLE IF EXISTS coupon_batches');
+}
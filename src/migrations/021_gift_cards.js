@@ -0,0 +1,59 @@
+/**
+ * LA VAGUE - Migration 021: Gift cards
+ * Gift cards bought on the storefront and emailed to their recipient. Only
+ * the hash of a card's code is kept, plus its last four characters to tell
+ * cards apart. Every change to a balance is a row in the ledger, and orders
+ * record the gift card and amount they were part paid with.
+ */
+
+export async function up(db, t) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS gift_cards (
+            id TEXT PRIMARY KEY,
+            code_hash TEXT UNIQUE,
+            last_four TEXT,
+            initial_amount INTEGER NOT NULL CHECK (initial_amount > 0),
+            balance INTEGER NOT NULL DEFAULT 0 CHECK (balance >= 0),
+            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'void')),
+            order_id TEXT,
+            purchaser_name TEXT NOT NULL,
+            purchaser_email TEXT NOT NULL,
+            recipient_name TEXT NOT NULL,
+            recipient_email TEXT NOT NULL,
+            message TEXT,
+            send_at ${t.timestamp} NOT NULL,
+            sent_at ${t.timestamp},
+            activated_at ${t.timestamp},
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_gift_cards_order ON gift_cards(order_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_gift_cards_delivery ON gift_cards(status, sent_at, send_at)');
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS gift_card_transactions (
+            id ${t.id},
+            gift_card_id TEXT NOT NULL REFERENCES gift_cards(id) ON DELETE CASCADE,
+            type TEXT NOT NULL CHECK (type IN ('issue', 'redeem', 'release', 'adjust', 'void')),
+            amount INTEGER NOT NULL,
+            balance_after INTEGER NOT NULL,
+            order_id TEXT,
+            note TEXT,
+            actor TEXT,
+            created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_gift_card_transactions_card ON gift_card_transactions(gift_card_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_gift_card_transactions_order ON gift_card_transactions(order_id)');
+
+    await db.exec(t.addColumn('orders', 'gift_card_id', 'TEXT'));
+    await db.exec(t.addColumn('orders', 'gift_card_amount', 'INTEGER DEFAULT 0'));
+}
+
+export async function down(db, t) {
+    await db.exec(t.dropColumn('orders', 'gift_card_amount'));
+    await db.exec(t.dropColumn('orders', 'gift_card_id'));
+    await db.exec('DROP TABLE IF EXISTS gift_card_transactions');
+    await db.exec('DROP TABLE IF EXISTS gift_cards');
+}
@@ -0,0 +1,182 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { csrfProtection } from '../middleware/csrf.js';
+import {
+    requireCustomer,
+    setSessionCookie,
+    clearSessionCookie,
+    clearCartCookie,
+    cartOwner,
+    SESSION_COOKIE_NAME
+} from '../middleware/customerAuth.js';
+import {
+    validateRegister,
+    validateCustomerLogin,
+    validateLoginLinkRequest,
+    validateCustomerProfile,
+    validatePasswordChange,
+    validateCustomerAddress
+} from '../middleware/validation.js';
+import {
+    registerCustomer,
+    resendVerification,
+    verifyCustomerEmail,
+    authenticateCustomer,
+    requestLoginLink,
+    signInWithLoginLink,
+    createCustomerSession,
+    endCustomerSession,
+    updateCustomerProfile,
+    changeCustomerPassword,
+    listCustomerAddresses,
+    saveCustomerAddress,
+    deleteCustomerAddress,
+    listCustomerOrders,
+    getCustomerOrder,
+    listCustomerReviews,
+    countClaimableOrders,
+    claimGuestOrders
+} from '../services/customerService.js';
+import { claimCart } from '../services/cartService.js';
+
+const router = express.Router();
+
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: { success: false, error: 'Too many attempts, please try again later.', code: 'RATE_LIMIT' }
+});
+
+const emailLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    message: { success: false, error: 'Too many emails requested, please try again later.', code: 'RATE_LIMIT' }
+});
+
+// Registering or signing in always starts a fresh session, and brings along
+// the cart the customer built before logging in
+async function startSession(req, res, customer) {
+    const previous = req.cookies?.[SESSION_COOKIE_NAME];
+    if (previous) await endCustomerSession(previous);
+    setSessionCookie(res, await createCustomerSession(customer.id));
+
+    const { token } = cartOwner(req);
+    if (token) {
+        await claimCart(customer.id, token);
+        clearCartCookie(res);
+    }
+}
+
+router.post('/register', authLimiter, csrfProtection, validateRegister, asyncHandler(async (req, res) => {
+    const { email, password, name, phone } = req.body;
+    const { customer, emailSent } = await registerCustomer({ email, password, name, phone }, req.headers.origin);
+    await startSession(req, res, customer);
+    res.status(201).json({ success: true, customer, emailSent });
+}));
+
+router.post('/login', authLimiter, csrfProtection, validateCustomerLogin, asyncHandler(async (req, res) => {
+    const customer = await authenticateCustomer(req.body.email, req.body.password);
+    await startSession(req, res, customer);
+    res.json({ success: true, customer });
+}));
+
+/**
+ * Email a single-use sign-in link. The response is the same whether or not
+ * the email has an account or any orders.
+ */
+router.post('/magic-link', emailLimiter, csrfProtection, validateLoginLinkRequest, asyncHandler(async (req, res) => {
+    await requestLoginLink(req.body.email, req.headers.origin);
+    res.json({ success: true });
+}));
+
+router.post('/magic-link/verify', authLimiter, csrfProtection, asyncHandler(async (req, res) => {
+    const { customer, claimed } = await signInWithLoginLink(req.body.token || '');
+    await startSession(req, res, customer);
+    res.json({ success: true, customer, claimed });
+}));
+
+router.post('/logout', csrfProtection, asyncHandler(async (req, res) => {
+    const token = req.cookies?.[SESSION_COOKIE_NAME];
+    if (token) await endCustomerSession(token);
+    clearSessionCookie(res);
+    res.json({ success: true });
+}));
+
+/**
+ * Confirm the email address from the link in the verification email. Works
+ * without a session so the link can be opened on another device, and signs
+ * in whoever opened it.
+ */
+router.post('/verify-email', authLimiter, csrfProtection, asyncHandler(async (req, res) => {
+    const customer = await verifyCustomerEmail(req.body.token || '');
+    await startSession(req, res, customer);
+    res.json({ success: true, customer, claimableOrders: await countClaimableOrders(customer) });
+}));
+
+router.post('/resend-verification', emailLimiter, csrfProtection, requireCustomer, asyncHandler(async (req, res) => {
+    const { emailSent } = await resendVerification(req.customer.id, req.headers.origin);
+    res.json({ success: true, emailSent });
+}));
+
+router.get('/me', requireCustomer, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        customer: req.customer,
+        claimableOrders: req.customer.emailVerified ? await countClaimableOrders(req.customer) : 0
+    });
+}));
+
+router.put('/profile', csrfProtection, requireCustomer, validateCustomerProfile, asyncHandler(async (req, res) => {
+    const customer = await updateCustomerProfile(req.customer.id, req.body);
+    res.json({ success: true, customer });
+}));
+
+router.put('/password', authLimiter, csrfProtection, requireCustomer, validatePasswordChange, asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    await changeCustomerPassword(req.customer.id, currentPassword, newPassword, req.customerSession);
+    res.json({ success: true });
+}));
+
+// Saved addresses
+router.get('/addresses', requireCustomer, asyncHandler(async (req, res) => {
+    res.json({ success: true, addresses: await listCustomerAddresses(req.customer.id) });
+}));
+
+router.post('/addresses', csrfProtection, requireCustomer, validateCustomerAddress, asyncHandler(async (req, res) => {
+    const address = await saveCustomerAddress(req.customer.id, req.body);
+    res.status(201).json({ success: true, address });
+}));
+
+router.put('/addresses/:id', csrfProtection, requireCustomer, validateCustomerAddress, asyncHandler(async (req, res) => {
+    const address = await saveCustomerAddress(req.customer.id, req.body, parseInt(req.params.id, 10) || -1);
+    res.json({ success: true, address });
+}));
+
+router.delete('/addresses/:id', csrfProtection, requireCustomer, asyncHandler(async (req, res) => {
+    await deleteCustomerAddress(req.customer.id, parseInt(req.params.id, 10) || -1);
+    res.json({ success: true });
+}));
+
+// Order history
+router.get('/orders', requireCustomer, asyncHandler(async (req, res) => {
+    res.json({ success: true, orders: await listCustomerOrders(req.customer.id) });
+}));
+
+router.get('/orders/:id', requireCustomer, asyncHandler(async (req, res) => {
+    res.json({ success: true, order: await getCustomerOrder(req.customer.id, req.params.id) });
+}));
+
+router.get('/reviews', requireCustomer, asyncHandler(async (req, res) => {
+    res.json({ success: true, reviews: await listCustomerReviews(req.customer) });
+}));
+
+/**
+ * Add guest orders placed with the account's verified email
+ */
+router.post('/orders/claim', csrfProtection, requireCustomer, asyncHandler(async (req, res) => {
+    const { claimed } = await claimGuestOrders(req.customer.id);
+    res.json({ success: true, claimed });
+}));
+
+export default router;
@@ -1,23 +1,101 @@
 import express from 'express';
-import crypto from 'crypto';
 import rateLimit from 'express-rate-limit';
 import { asyncHandler, APIError } from '../middleware/errorHandler.js';
 import { verifyAdminToken } from '../middleware/auth.js';
 import { query, USE_POSTGRES } from '../config/db.js';
 import { logAudit } from '../utils/audit.js';
 import { cacheService } from '../utils/cache.js';
-import { validateUpdateOrderStatus, validateAdminLogin } from '../middleware/validation.js';
+import {
+    validateUpdateOrderStatus,
+    validateAdminLogin,
+    validateCreateAdminUser,
+    validateUpdateAdminUser,
+    validateAdminPassword,
+    validateTwoFactorLogin,
+    validateTwoFactorCode,
+    validateDisableTwoFactor,
+    validateCreateRefund,
+    validateReturnAction
+} from '../middleware/validation.js';
+import { roleAccess } from '../config/adminRoles.js';
+import {
+    authenticateAdmin,
+    createAdminSession,
+    endAdminSession,
+    endAdminSessions,
+    listAdminSessions,
+    revokeAdminSession,
+    rotateAdminSession,
+    getAdminUser,
+    listAdminUsers,
+    createAdminUser,
+    updateAdminUser,
+    setAdminPassword
+} from '../services/adminUserService.js';
+import {
+    TWO_FACTOR_SETTING,
+    isTwoFactorRequired,
+    getTwoFactorStatus,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    resetTwoFactor,
+    createLoginChallenge,
+    completeLoginChallenge
+} from '../services/twoFactorService.js';
 import { upload } from '../middleware/upload.js';
+import { transitionOrder, getAllowedTransitions, getOrderHistory } from '../services/orderStateMachine.js';
+import {
+    listReturns,
+    getReturn,
+    approveReturn,
+    rejectReturn,
+    receiveReturn,
+    inspectReturn,
+    refundReturn
+} from '../services/returnService.js';
+import { createRefund, getOrderRefunds, getRefundedTotal } from '../services/refundService.js';
+import { getPaymentProvider } from '../services/payments/index.js';
+import { replayWebhookEvent } from '../services/paymentService.js';
+import { listWebhookEvents, getWebhookEvent } from '../services/webhookService.js';
+import { runReconciliation, listReconciliationRuns, getReconciliationRun } from '../services/reconciliationService.js';
+import { RECOVERY_SETTINGS, parseReminderDelays, getRecoveryStats } from '../services/cartRecoveryService.js';
+import {
+    createRaffle,
+    listRaffles,
+    getRaffleDetails,
+    drawRaffle,
+    cancelRaffle
+} from '../services/raffleService.js';
+import {
+    validateCouponRules,
+    listPromotions,
+    createPromotion,
+    setPromotionActive,
+    deletePromotion
+} from '../services/promotionService.js';
+import {
+    listCouponBatches,
+    createCouponBatch,
+    getBatchCodes,
+    setBatchActive
+} from '../services/couponBatchService.js';
+import {
+    GIFT_CARD_SETTINGS,
+    parseGiftCardAmounts,
+    listGiftCards,
+    getGiftCard,
+    adjustGiftCard,
+    voidGiftCard
+} from '../services/giftCardService.js';
 import {
-    sendOrderConfirmation,
-    sendOrderStatusUpdate,
     previewEmail,
     testEmailConfig,
     getEmailQueueStats,
     getEmailConfig,
     sendReviewConfirmationEmail,
     sendNewReviewNotification,
-    isEmailConfigured,
     sendTestEmail
 } from '../../email-templates/index.js';
 
@@ -30,72 +108,154 @@ const authLimiter = rateLimit({
     message: { success: false, error: 'Too many login attempts.', code: 'RATE_LIMIT' }
 });
 
+// POST /returns/:id/:action handlers
+const RETURN_ACTIONS = {
+    approve: approveReturn,
+    reject: rejectReturn,
+    receive: receiveReturn,
+    inspect: inspectReturn,
+    refund: refundReturn
+};
+
 const safeParseJSON = (str, defaultValue = null) => {
     if (!str || str === 'null' || str === 'undefined') return defaultValue;
     if (typeof str === 'object') return str;
     try { return JSON.parse(str); } catch (e) { return defaultValue; }
 };
 
-const EMAIL_ENABLED = process.env.EMAIL_TEST_MODE !== 'true' && isEmailConfigured();
-const EMAIL_TEST_MODE = process.env.EMAIL_TEST_MODE === 'true';
-
-async function sendOrderEmailSafely(order, type = 'confirmation', status = null) {
-    if (EMAIL_TEST_MODE) {
-        console.log('[EMAIL TEST MODE] Would send email:', { to: order.customer_email || order.customerEmail, type, status, orderId: order.id });
-        return { success: true, testMode: true };
-    }
-    if (!EMAIL_ENABLED) return { success: false, reason: 'email_not_configured' };
-    try {
-        if (type === 'confirmation') await sendOrderConfirmation(order);
-        else if (type === 'status_update') await sendOrderStatusUpdate(order, status);
-        return { success: true };
-    } catch (error) {
-        console.error('[EMAIL] Failed to send:', error.message);
-        return { success: false, error: error.message };
-    }
+/**
+ * Start a session for an admin who has passed every login step
+ */
+async function signIn(admin, req) {
+    const token = await createAdminSession(admin.id, { ipAddress: req.ip, userAgent: req.headers['user-agent'] });
+    const twoFactorSetupRequired = !admin.twoFactorEnabled && await isTwoFactorRequired(admin.role);
+    return { success: true, token, admin, access: roleAccess(admin.role), twoFactorSetupRequired };
 }
 
 export default function (productService, inventoryService) {
-    // Admin login
+    // Admin login; admins with two-factor on get a challenge for the code step
     router.post('/login', authLimiter, validateAdminLogin, asyncHandler(async (req, res) => {
-        const { password } = req.body;
-        const adminPassword = process.env.ADMIN_PASSWORD;
-
-        if (!adminPassword) {
-            console.error('[AUTH] ADMIN_PASSWORD environment variable is not set');
-            throw new APIError('Server configuration error', 500, 'CONFIG_ERROR');
+        const admin = await authenticateAdmin(req.body.email, req.body.password);
+        if (admin.twoFactorEnabled) {
+            const challenge = await createLoginChallenge(admin.id);
+            return res.json({ success: true, twoFactorRequired: true, challenge });
         }
+        res.json(await signIn(admin, req));
+    }));
 
-        // Use constant-time comparison on hashes to prevent timing attacks and handle different lengths safely
-        const passwordHash = crypto.createHash('sha256').update(password).digest();
-        const adminHash = crypto.createHash('sha256').update(adminPassword).digest();
+    router.post('/login/two-factor', authLimiter, validateTwoFactorLogin, asyncHandler(async (req, res) => {
+        const { adminId } = await completeLoginChallenge(req.body.challenge, req.body.code);
+        res.json(await signIn(await getAdminUser(adminId), req));
+    }));
 
-        if (!crypto.timingSafeEqual(passwordHash, adminHash)) {
-            // Add a small random delay to further mitigate timing attacks
-            await new Promise(resolve => setTimeout(resolve, Math.random() * 100));
-            throw new APIError('Invalid credentials', 401, 'AUTH_ERROR');
-        }
+    // Logout
+    router.post('/logout', verifyAdminToken, asyncHandler(async (req, res) => {
+        await endAdminSession(req.adminToken);
+        res.json({ success: true });
+    }));
+
+    // The signed-in admin and what their role can use
+    router.get('/me', verifyAdminToken, asyncHandler(async (req, res) => {
+        res.json({
+            success: true,
+            admin: req.admin,
+            access: roleAccess(req.admin.role),
+            twoFactor: await getTwoFactorStatus(req.admin.id)
+        });
+    }));
 
-        const token = crypto.randomBytes(32).toString('hex');
-        const expiresAt = new Date();
-        expiresAt.setHours(expiresAt.getHours() + 24);
+    // The signed-in admin's own sessions
+    router.get('/sessions', verifyAdminToken, asyncHandler(async (req, res) => {
+        res.json({ success: true, sessions: await listAdminSessions(req.admin.id, req.adminToken) });
+    }));
 
-        if (USE_POSTGRES) {
-            await query('INSERT INTO admin_sessions (session_key, expires_at) VALUES ($1, $2)', [token, expiresAt]);
-        } else {
-            await query('INSERT INTO admin_sessions (session_key, expires_at) VALUES (?, ?)', [token, expiresAt.toISOString()]);
-        }
+    router.delete('/sessions/:id', verifyAdminToken, asyncHandler(async (req, res) => {
+        await revokeAdminSession(req.admin.id, parseInt(req.params.id, 10));
+        await logAudit('REVOKE_ADMIN_SESSION', 'admin_user', req.admin.id, null, { sessionId: req.params.id }, req);
+        res.json({ success: true });
+    }));
 
-        res.json({ success: true, token });
+    router.post('/sessions/revoke-others', verifyAdminToken, asyncHandler(async (req, res) => {
+        const revoked = await endAdminSessions(req.admin.id, req.adminToken);
+        await logAudit('REVOKE_ADMIN_SESSIONS', 'admin_user', req.admin.id, null, { revoked }, req);
+        res.json({ success: true, revoked });
     }));
 
-    // Logout
-    router.post('/logout', verifyAdminToken, asyncHandler(async (req, res) => {
-        if (USE_POSTGRES) {
-            await query('DELETE FROM admin_sessions WHERE session_key = $1', [req.adminToken]);
-        } else {
-            await query('DELETE FROM admin_sessions WHERE session_key = ?', [req.adminToken]);
-        }
+    // New token for the current session; the old one stops working
+    router.post('/sessions/rotate', verifyAdminToken, asyncHandler(async (req, res) => {
+        res.json({ success: true, token: await rotateAdminSession(req.adminToken) });
+    }));
+
+    // The signed-in admin's own two-factor authentication
+    router.get('/two-factor', verifyAdminToken, asyncHandler(async (req, res) => {
+        res.json({ success: true, twoFactor: await getTwoFactorStatus(req.admin.id) });
+    }));
+
+    router.post('/two-factor/setup', verifyAdminToken, asyncHandler(async (req, res) => {
+        res.json({ success: true, ...(await startTwoFactorSetup(req.admin.id)) });
+    }));
+
+    router.post('/two-factor/enable', verifyAdminToken, validateTwoFactorCode, asyncHandler(async (req, res) => {
+        const recoveryCodes = await enableTwoFactor(req.admin.id, req.body.code);
+        await logAudit('ENABLE_TWO_FACTOR', 'admin_user', req.admin.id, null, null, req);
+        res.json({ success: true, recoveryCodes });
+    }));
+
+    router.post('/two-factor/disable', verifyAdminToken, validateDisableTwoFactor, asyncHandler(async (req, res) => {
+        await disableTwoFactor(req.admin.id, { password: req.body.password, code: req.body.code });
+        await logAudit('DISABLE_TWO_FACTOR', 'admin_user', req.admin.id, null, null, req);
+        res.json({ success: true });
+    }));
+
+    router.post('/two-factor/recovery-codes', verifyAdminToken, validateTwoFactorCode, asyncHandler(async (req, res) => {
+        const recoveryCodes = await regenerateRecoveryCodes(req.admin.id, req.body.code);
+        await logAudit('REGENERATE_RECOVERY_CODES', 'admin_user', req.admin.id, null, null, req);
+        res.json({ success: true, recoveryCodes });
+    }));
+
+    // Admin users (owner only)
+    router.get('/users', verifyAdminToken, asyncHandler(async (req, res) => {
+        res.json({ success: true, users: await listAdminUsers() });
+    }));
+
+    router.post('/users', verifyAdminToken, validateCreateAdminUser, asyncHandler(async (req, res) => {
+        const { email, name, role, password } = req.body;
+        const user = await createAdminUser({ email, name, role, password });
+        await logAudit('CREATE_ADMIN_USER', 'admin_user', user.id, null, { email: user.email, role }, req);
+        res.status(201).json({ success: true, user });
+    }));
+
+    router.put('/users/:id', verifyAdminToken, validateUpdateAdminUser, asyncHandler(async (req, res) => {
+        const { name, role, active } = req.body;
+        const before = await getAdminUser(req.params.id);
+        const user = await updateAdminUser(req.params.id, { name, role, active });
+        await logAudit(
+            'UPDATE_ADMIN_USER', 'admin_user', user.id,
+            { name: before.name, role: before.role, active: before.active },
+            { name: user.name, role: user.role, active: user.active },
+            req
+        );
+        res.json({ success: true, user });
+    }));
+
+    router.post('/users/:id/password', verifyAdminToken, validateAdminPassword, asyncHandler(async (req, res) => {
+        await setAdminPassword(req.params.id, req.body.password, req.adminToken);
+        await logAudit('RESET_ADMIN_PASSWORD', 'admin_user', req.params.id, null, null, req);
+        res.json({ success: true });
+    }));
+
+    // Sign an admin out everywhere, e.g. after a lost laptop
+    router.post('/users/:id/sessions/revoke', verifyAdminToken, asyncHandler(async (req, res) => {
+        await getAdminUser(req.params.id);
+        const revoked = await endAdminSessions(req.params.id, req.adminToken);
+        await logAudit('REVOKE_ADMIN_SESSIONS', 'admin_user', req.params.id, null, { revoked }, req);
+        res.json({ success: true, revoked });
+    }));
+
+    // For an admin who has lost both their phone and recovery codes
+    router.post('/users/:id/two-factor/reset', verifyAdminToken, asyncHandler(async (req, res) => {
+        await resetTwoFactor(req.params.id);
+        await logAudit('RESET_TWO_FACTOR', 'admin_user', req.params.id, null, null, req);
         res.json({ success: true });
     }));
 
@@ -105,35 +265,137 @@ export default function (productService, inventoryService) {
         const orders = result.rows.map(o => ({
             ...o,
             shippingAddress: safeParseJSON(o.shipping_address, {}),
-            items: safeParseJSON(o.items, [])
+            items: safeParseJSON(o.items, []),
+            promotions: safeParseJSON(o.promotions, []),
+            allowedTransitions: getAllowedTransitions(o.order_status)
         }));
         res.json({ success: true, orders });
     }));
 
     router.post('/orders/:id/status', verifyAdminToken, validateUpdateOrderStatus, asyncHandler(async (req, res) => {
-        const { status } = req.body;
+        const { status, reason } = req.body;
         const { id } = req.params;
 
-        const orderResult = await query('SELECT * FROM orders WHERE id = $1', [id]);
-        if (orderResult.rows.length === 0) throw new APIError('Order not found', 404);
-        const order = orderResult.rows[0];
-        const oldStatus = order.order_status;
-
-        await query('UPDATE orders SET order_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [status, id]);
-        await logAudit('UPDATE_STATUS', 'order', id, { status: oldStatus }, { status }, req);
-
-        let emailSent = false;
-        if (oldStatus !== status) {
-            const orderData = {
-                ...order,
-                shipping_address: safeParseJSON(order.shipping_address, {}),
-                items: safeParseJSON(order.items, [])
-            };
-            const emailResult = await sendOrderEmailSafely(orderData, 'status_update', status);
-            emailSent = emailResult.success;
+        const result = await transitionOrder(id, status, {
+            actor: req.admin.email,
+            reason: reason || null,
+            inventoryService
+        });
+        if (result.changed) {
+            await logAudit('UPDATE_STATUS', 'order', id, { status: result.from }, { status, reason }, req);
         }
 
-        res.json({ success: true, emailSent });
+        res.json({ success: true, ...result, allowedTransitions: getAllowedTransitions(status) });
+    }));
+
+    router.get('/orders/:id/history', verifyAdminToken, asyncHandler(async (req, res) => {
+        const order = (await query('SELECT order_status FROM orders WHERE id = $1', [req.params.id])).rows[0];
+        if (!order) throw new APIError('Order not found', 404);
+        const history = await getOrderHistory(req.params.id);
+        res.json({ success: true, history, allowedTransitions: getAllowedTransitions(order.order_status) });
+    }));
+
+    // Refunds
+    router.get('/orders/:id/refunds', verifyAdminToken, asyncHandler(async (req, res) => {
+        const order = (await query(
+            'SELECT total, gift_card_amount, payment_status, payment_method FROM orders WHERE id = $1',
+            [req.params.id]
+        )).rows[0];
+        if (!order) throw new APIError('Order not found', 404);
+        const refunded = await getRefundedTotal(req.params.id);
+        res.json({
+            success: true,
+            refunds: await getOrderRefunds(req.params.id),
+            refunded,
+            refundable: Math.max(0, order.total - (order.gift_card_amount || 0) - refunded),
+            paymentStatus: order.payment_status,
+            // Only gateway payments can be refunded through the provider
+            canRefund: Boolean(getPaymentProvider(order.payment_method))
+        });
+    }));
+
+    router.post('/orders/:id/refunds', verifyAdminToken, validateCreateRefund, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { amount, reason, items = [], restock = false } = req.body;
+
+        const refund = await createRefund(id, {
+            amount,
+            reason: reason?.trim() || null,
+            items,
+            restock: restock === true,
+            actor: req.admin.email,
+            inventoryService
+        });
+        await logAudit('REFUND_ORDER', 'order', id, null, { refundId: refund.id, amount: refund.amount, items, restock, reason }, req);
+        res.json({ success: true, refund });
+    }));
+
+    // Payment webhooks
+    router.get('/webhooks', verifyAdminToken, asyncHandler(async (req, res) => {
+        const { status, provider, search, limit } = req.query;
+        const events = await listWebhookEvents({ status, provider, search: search?.trim(), limit });
+        res.json({ success: true, events });
+    }));
+
+    router.get('/webhooks/:id', verifyAdminToken, asyncHandler(async (req, res) => {
+        const event = await getWebhookEvent(req.params.id);
+        if (!event) throw new APIError('Webhook event not found', 404, 'NOT_FOUND');
+        res.json({ success: true, event });
+    }));
+
+    router.post('/webhooks/:id/replay', verifyAdminToken, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const before = await getWebhookEvent(id);
+        const result = await replayWebhookEvent(id, inventoryService);
+        await logAudit('REPLAY_WEBHOOK', 'webhook_event', id, { status: before?.status }, { status: result.status, result: result.result }, req);
+        res.json({ success: true, event: await getWebhookEvent(id) });
+    }));
+
+    // Payment reconciliation
+    router.get('/reconciliation', verifyAdminToken, asyncHandler(async (req, res) => {
+        const runs = await listReconciliationRuns({ limit: req.query.limit });
+        const latest = runs[0] ? await getReconciliationRun(runs[0].id) : null;
+        res.json({ success: true, runs, latest });
+    }));
+
+    router.get('/reconciliation/:id', verifyAdminToken, asyncHandler(async (req, res) => {
+        const run = await getReconciliationRun(req.params.id);
+        if (!run) throw new APIError('Reconciliation run not found', 404, 'NOT_FOUND');
+        res.json({ success: true, run });
+    }));
+
+    router.post('/reconciliation/run', verifyAdminToken, asyncHandler(async (req, res) => {
+        const run = await runReconciliation({ inventoryService, trigger: 'admin' });
+        await logAudit('RUN_RECONCILIATION', 'reconciliation_run', run.id, null, run.summary, req);
+        res.json({ success: true, run });
+    }));
+
+    // Gift cards and their ledgers
+    router.get('/gift-cards', verifyAdminToken, asyncHandler(async (req, res) => {
+        const giftCards = await listGiftCards({ search: req.query.search?.trim(), status: req.query.status });
+        res.json({ success: true, giftCards });
+    }));
+
+    router.get('/gift-cards/:id', verifyAdminToken, asyncHandler(async (req, res) => {
+        res.json({ success: true, giftCard: await getGiftCard(req.params.id) });
+    }));
+
+    router.post('/gift-cards/:id/adjust', verifyAdminToken, asyncHandler(async (req, res) => {
+        const before = await getGiftCard(req.params.id);
+        const giftCard = await adjustGiftCard(req.params.id, req.body, req.admin.email);
+        await logAudit('ADJUST_GIFT_CARD', 'gift_card', giftCard.id, { balance: before.balance }, {
+            balance: giftCard.balance, note: req.body.note
+        }, req);
+        res.json({ success: true, giftCard });
+    }));
+
+    router.post('/gift-cards/:id/void', verifyAdminToken, asyncHandler(async (req, res) => {
+        const before = await getGiftCard(req.params.id);
+        const giftCard = await voidGiftCard(req.params.id, req.body.note?.trim() || null, req.admin.email);
+        await logAudit('VOID_GIFT_CARD', 'gift_card', giftCard.id, { status: before.status, balance: before.balance }, {
+            status: giftCard.status
+        }, req);
+        res.json({ success: true, giftCard });
     }));
 
     // Order Notes
@@ -152,6 +414,36 @@ export default function (productService, inventoryService) {
         res.json({ success: true, message: 'Note added' });
     }));
 
+    // Returns
+    router.get('/returns', verifyAdminToken, asyncHandler(async (req, res) => {
+        const returns = await listReturns({ status: req.query.status });
+        res.json({ success: true, returns });
+    }));
+
+    router.get('/returns/:id', verifyAdminToken, asyncHandler(async (req, res) => {
+        const rma = await getReturn(req.params.id);
+        if (!rma) throw new APIError('Return not found', 404, 'RETURN_NOT_FOUND');
+        res.json({ success: true, return: rma });
+    }));
+
+    router.post('/returns/:id/:action', verifyAdminToken, validateReturnAction, asyncHandler(async (req, res) => {
+        const { id, action } = req.params;
+        const handler = RETURN_ACTIONS[action];
+        if (!handler) throw new APIError(`Unknown return action: ${action}`, 400, 'VALIDATION_ERROR');
+
+        const { items, amount, notes } = req.body;
+
+        const rma = await handler(id, {
+            items,
+            amount,
+            notes: notes?.trim() || null,
+            inventoryService,
+            actor: req.admin.email
+        });
+        await logAudit(`${action.toUpperCase()}_RETURN`, 'return', id, { status: rma.from }, { status: rma.status, items, amount, notes }, req);
+        res.json({ success: true, return: rma });
+    }));
+
     // Stats & Analytics
     router.get('/stats', verifyAdminToken, asyncHandler(async (req, res) => {
         let totalOrders, pendingOrders, totalRevenue, recentOrdersResult;
@@ -224,6 +516,12 @@ export default function (productService, inventoryService) {
         res.json({ success: true, stats: result.rows[0] });
     }));
 
+    router.get('/analytics/abandoned-carts', verifyAdminToken, asyncHandler(async (req, res) => {
+        const { period = '30d' } = req.query;
+        const days = parseInt(period) || 30;
+        res.json({ success: true, stats: await getRecoveryStats(days) });
+    }));
+
     // Product Management
     router.get('/products', verifyAdminToken, asyncHandler(async (req, res) => {
         const { category, search, limit, offset } = req.query;
@@ -271,6 +569,38 @@ export default function (productService, inventoryService) {
         res.json({ success: true, ...result });
     }));
 
+    // Raffles
+    router.get('/raffles', verifyAdminToken, asyncHandler(async (req, res) => {
+        res.json({ success: true, raffles: await listRaffles() });
+    }));
+
+    router.post('/raffles', verifyAdminToken, asyncHandler(async (req, res) => {
+        const { productId, variantId, quantity, opensAt, closesAt, claimHours } = req.body;
+        const raffle = await createRaffle(
+            { productId, variantId, quantity, opensAt, closesAt, claimHours },
+            req.admin.email
+        );
+        await logAudit('CREATE_RAFFLE', 'raffle', raffle.id, null, { variantId, quantity, opensAt, closesAt }, req);
+        res.status(201).json({ success: true, raffle });
+    }));
+
+    router.get('/raffles/:id', verifyAdminToken, asyncHandler(async (req, res) => {
+        res.json({ success: true, raffle: await getRaffleDetails(req.params.id) });
+    }));
+
+    // Raffles are drawn within a minute of closing; this closes entries early and draws now
+    router.post('/raffles/:id/draw', verifyAdminToken, asyncHandler(async (req, res) => {
+        const raffle = await drawRaffle(req.params.id, inventoryService, { early: true });
+        await logAudit('DRAW_RAFFLE', 'raffle', raffle.id, null, { entries: raffle.entryCount }, req);
+        res.json({ success: true, raffle });
+    }));
+
+    router.post('/raffles/:id/cancel', verifyAdminToken, asyncHandler(async (req, res) => {
+        const raffle = await cancelRaffle(req.params.id, inventoryService);
+        await logAudit('CANCEL_RAFFLE', 'raffle', raffle.id, null, null, req);
+        res.json({ success: true, raffle });
+    }));
+
     // Inventory
     router.get('/inventory/low-stock', verifyAdminToken, asyncHandler(async (req, res) => {
         const threshold = parseInt(req.query.threshold) || 5;
@@ -285,12 +615,22 @@ export default function (productService, inventoryService) {
     }));
 
     router.get('/inventory/movements', verifyAdminToken, asyncHandler(async (req, res) => {
-        const { productId, limit = 50, offset = 0 } = req.query;
-        let sql = 'SELECT * FROM inventory_movements';
+        const { productId, variantId, type, referenceId, limit = 50, offset = 0 } = req.query;
+        const filters = {
+            product_id: productId, variant_id: variantId, movement_type: type, reference_id: referenceId
+        };
+        const conditions = [];
         const params = [];
-        if (productId) { sql += ' WHERE product_id = $1'; params.push(productId); }
-        sql += ` ORDER BY created_at DESC LIMIT ${USE_POSTGRES ? `$${params.length + 1}` : '?'} OFFSET ${USE_POSTGRES ? `$${params.length + 2}` : '?'}`;
-        params.push(parseInt(limit), parseInt(offset));
+        for (const [column, value] of Object.entries(filters)) {
+            if (value) {
+                params.push(value);
+                conditions.push(`${column} = $${params.length}`);
+            }
+        }
+        let sql = 'SELECT * FROM inventory_movements';
+        if (conditions.length) sql += ` WHERE ${conditions.join(' AND ')}`;
+        sql += ` ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+        params.push(parseInt(limit) || 50, parseInt(offset) || 0);
         const result = await query(sql, params);
         res.json({ success: true, movements: result.rows });
     }));
@@ -305,19 +645,38 @@ export default function (productService, inventoryService) {
 
     router.post('/settings', verifyAdminToken, asyncHandler(async (req, res) => {
         const { settings } = req.body;
-        for (const [key, value] of Object.entries(settings)) {
-            if (USE_POSTGRES) {
-                await query('INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP', [key, value]);
-            } else {
-                await query('INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, datetime("now"))', [key, value]);
+        if (TWO_FACTOR_SETTING in settings) {
+            if (req.admin.role !== 'owner') {
+                throw new APIError('Only the owner can change the two-factor requirement', 403, 'FORBIDDEN');
             }
+            // Otherwise the owner would lock themselves out of everything but the Security page
+            if (settings[TWO_FACTOR_SETTING] === 'true' && !(await getTwoFactorStatus(req.admin.id)).enabled) {
+                throw new APIError('Turn on two-factor for your own account first', 400, 'TWO_FACTOR_DISABLED');
+            }
+        }
+        if (RECOVERY_SETTINGS.delays in settings && !parseReminderDelays(settings[RECOVERY_SETTINGS.delays])) {
+            throw new APIError('Cart reminders must be up to 5 increasing hour counts, e.g. 1,24,72', 400, 'INVALID_SETTING');
+        }
+        if (GIFT_CARD_SETTINGS.amounts in settings && !parseGiftCardAmounts(settings[GIFT_CARD_SETTINGS.amounts])) {
+            throw new APIError('Gift card amounts must be up to 6 increasing amounts from ₦5,000 to ₦500,000', 400, 'INVALID_SETTING');
+        }
+        const couponPercent = settings[RECOVERY_SETTINGS.couponPercent];
+        if (couponPercent !== undefined && !/^(100|[1-9]?\d)$/.test(couponPercent)) {
+            throw new APIError('The cart reminder coupon must be between 0 and 100%', 400, 'INVALID_SETTING');
+        }
+        for (const [key, value] of Object.entries(settings)) {
+            await query(`
+                INSERT INTO settings (key, value) VALUES ($1, $2)
+                ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP
+            `, [key, value]);
         }
         res.json({ success: true, message: 'Settings updated' });
     }));
 
     // Coupons
     router.get('/coupons', verifyAdminToken, asyncHandler(async (req, res) => {
-        const result = await query('SELECT * FROM coupons ORDER BY created_at DESC');
+        // Batch codes are listed under their batch
+        const result = await query('SELECT * FROM coupons WHERE batch_id IS NULL ORDER BY created_at DESC');
         const coupons = result.rows.map(c => ({
             ...c,
             applicable_categories: safeParseJSON(c.applicable_categories, []),
@@ -327,16 +686,68 @@ export default function (productService, inventoryService) {
     }));
 
     router.post('/coupons', verifyAdminToken, asyncHandler(async (req, res) => {
-        const { code, type, value, min_order_amount, max_discount_amount, usage_limit, per_customer_limit, start_date, end_date, applicable_categories, applicable_products } = req.body;
+        const { code, usage_limit, per_customer_limit } = req.body;
+        if (!code || typeof code !== 'string') throw new APIError('Coupon code is required', 400, 'VALIDATION_ERROR');
+        const rules = validateCouponRules(req.body);
         const id = `cpn-${Date.now()}`;
         await query(`
             INSERT INTO coupons (id, code, type, value, min_order_amount, max_discount_amount, usage_limit, per_customer_limit, start_date, end_date, applicable_categories, applicable_products)
             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-        `, [id, code.toUpperCase(), type, value, min_order_amount || 0, max_discount_amount || null, usage_limit || null, per_customer_limit || 1, start_date || null, end_date || null, JSON.stringify(applicable_categories || []), JSON.stringify(applicable_products || [])]);
-        await logAudit('CREATE_COUPON', 'coupon', id, null, { code, type, value }, req);
+        `, [id, code.toUpperCase(), rules.type, rules.value, rules.min_order_amount, rules.max_discount_amount, usage_limit || null, per_customer_limit || 1, rules.start_date, rules.end_date, JSON.stringify(rules.applicable_categories), JSON.stringify(rules.applicable_products)]);
+        await logAudit('CREATE_COUPON', 'coupon', id, null, { code, type: rules.type, value: rules.value }, req);
         res.json({ success: true, coupon: { id, code: code.toUpperCase() } });
     }));
 
+    // Batches of single-use codes
+    router.get('/coupons/batches', verifyAdminToken, asyncHandler(async (req, res) => {
+        res.json({ success: true, batches: await listCouponBatches() });
+    }));
+
+    router.post('/coupons/batches', verifyAdminToken, asyncHandler(async (req, res) => {
+        const batch = await createCouponBatch(req.body, req.admin.email);
+        await logAudit('CREATE_COUPON_BATCH', 'coupon_batch', batch.id, null, {
+            name: batch.name, quantity: batch.quantity, rules: batch.rules
+        }, req);
+        res.status(201).json({ success: true, batch });
+    }));
+
+    router.get('/coupons/batches/:id/codes', verifyAdminToken, asyncHandler(async (req, res) => {
+        res.json({ success: true, ...await getBatchCodes(req.params.id) });
+    }));
+
+    router.put('/coupons/batches/:id/active', verifyAdminToken, asyncHandler(async (req, res) => {
+        const batch = await setBatchActive(req.params.id, req.body.isActive);
+        await logAudit('UPDATE_COUPON_BATCH', 'coupon_batch', batch.id, null, { isActive: batch.isActive }, req);
+        res.json({ success: true, batch });
+    }));
+
+    // Automatic promotions
+    router.get('/promotions', verifyAdminToken, asyncHandler(async (req, res) => {
+        res.json({ success: true, promotions: await listPromotions() });
+    }));
+
+    router.post('/promotions', verifyAdminToken, asyncHandler(async (req, res) => {
+        const { name, type, rules, combinesWithCoupons, startsAt, endsAt } = req.body;
+        const promotion = await createPromotion(
+            { name, type, rules, combinesWithCoupons, startsAt, endsAt },
+            req.admin.email
+        );
+        await logAudit('CREATE_PROMOTION', 'promotion', promotion.id, null, { name, type, rules }, req);
+        res.status(201).json({ success: true, promotion });
+    }));
+
+    router.put('/promotions/:id/active', verifyAdminToken, asyncHandler(async (req, res) => {
+        const promotion = await setPromotionActive(req.params.id, req.body.isActive);
+        await logAudit('UPDATE_PROMOTION', 'promotion', promotion.id, null, { isActive: promotion.isActive }, req);
+        res.json({ success: true, promotion });
+    }));
+
+    router.delete('/promotions/:id', verifyAdminToken, asyncHandler(async (req, res) => {
+        await deletePromotion(req.params.id);
+        await logAudit('DELETE_PROMOTION', 'promotion', req.params.id, null, null, req);
+        res.json({ success: true, message: 'Promotion deleted' });
+    }));
+
     router.delete('/coupons/:id', verifyAdminToken, asyncHandler(async (req, res) => {
         const { id } = req.params;
         if (USE_POSTGRES) {
@@ -566,9 +977,10 @@ export default function (productService, inventoryService) {
 
     // Audit Logs
     router.get('/audit-logs', verifyAdminToken, asyncHandler(async (req, res) => {
-        const { entityType, entityId, action, limit = 50, offset = 0 } = req.query;
+        const { entityType, entityId, action, adminUserId, limit = 50, offset = 0 } = req.query;
         let sql = 'SELECT * FROM audit_logs WHERE 1=1';
         const params = [];
+        if (adminUserId) { sql += ` AND admin_user_id = $${params.length + 1}`; params.push(adminUserId); }
         if (entityType) { sql += ` AND entity_type = $${params.length + 1}`; params.push(entityType); }
         if (entityId) { sql += ` AND entity_id = $${params.length + 1}`; params.push(entityId); }
         if (action) { sql += ` AND action = $${params.length + 1}`; params.push(action); }
@@ -601,22 +1013,59 @@ export default function (productService, inventoryService) {
     });
 
     // Inventory Updates
-    router.get('/inventory/:productId', verifyAdminToken, asyncHandler(async (req, res) => {
-        const { color, size } = req.query;
-        const stock = await inventoryService.getStock(req.params.productId, color, size);
-        res.json({ success: true, stock });
+    router.get('/inventory/variants', verifyAdminToken, asyncHandler(async (req, res) => {
+        const variants = await inventoryService.getInventory();
+        res.json({ success: true, variants });
+    }));
+
+    router.get('/inventory/variants/:variantId', verifyAdminToken, asyncHandler(async (req, res) => {
+        const variant = await productService.getVariantById(req.params.variantId);
+        if (!variant) throw new APIError('Variant not found', 404, 'NOT_FOUND');
+        const stock = await inventoryService.getStock(variant.id);
+        res.json({ success: true, variant, stock });
+    }));
+
+    router.post('/inventory/variants/:variantId', verifyAdminToken, asyncHandler(async (req, res) => {
+        const variant = await productService.getVariantById(req.params.variantId);
+        if (!variant) throw new APIError('Variant not found', 404, 'NOT_FOUND');
+
+        const result = await inventoryService.updateStock(
+            variant.id, req.body.quantity, { id: 'UPDATE_STOCK', type: 'admin' }, req.body.notes || null
+        );
+        await logAudit('UPDATE_STOCK', 'variant', variant.id, { stock: result.previous }, { stock: result.quantity }, req);
+
+        cacheService.del('products_all');
+        cacheService.del(`product_${variant.productId}`);
+        res.json({ success: true, ...result });
     }));
 
-    router.post('/inventory/:productId', verifyAdminToken, asyncHandler(async (req, res) => {
-        const { color, size, quantity } = req.body;
-        const result = await inventoryService.updateStock(req.params.productId, color, size, quantity);
+    router.post('/inventory/variants/:variantId/restock', verifyAdminToken, asyncHandler(async (req, res) => {
+        const variant = await productService.getVariantById(req.params.variantId);
+        if (!variant) throw new APIError('Variant not found', 404, 'NOT_FOUND');
+
+        const result = await inventoryService.restock(
+            variant.id, req.body.quantity, { id: 'RESTOCK', type: 'admin' }, req.body.notes || null
+        );
+        await logAudit('RESTOCK', 'variant', variant.id, { stock: result.previous }, { stock: result.quantity }, req);
+
+        cacheService.del('products_all');
+        cacheService.del(`product_${variant.productId}`);
         res.json({ success: true, ...result });
     }));
 
     // Reports Extension
     router.get('/export/products', verifyAdminToken, asyncHandler(async (req, res) => {
-        const result = await query('SELECT * FROM products ORDER BY name');
-        const csv = `ID,Name,Price,Inventory\n${result.rows.map(p => `${p.id},"${p.name}",${p.price},"${p.inventory}"`).join('\n')}`;
+        const result = await query(`
+            SELECT p.id, p.name, p.price AS base_price, v.id AS variant_id, v.sku, v.color, v.size,
+                v.price, v.barcode, v.stock
+            FROM products p
+            LEFT JOIN product_variants v ON v.product_id = p.id
+            ORDER BY p.name, v.color, v.size
+        `);
+        const csv = `ID,Name,Variant ID,SKU,Color,Size,Price,Barcode,Stock\n${result.rows.map(p =>
+            `${p.id},"${p.name}",${p.variant_id || ''},${p.sku || ''},"${p.color || ''}",${p.size || ''},` +
+            `${p.price ?? p.base_price},${p.barcode || ''},${p.stock ?? 0}`
+        ).join('\n')}`;
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename=products.csv');
         res.send(csv);
@@ -0,0 +1,97 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { csrfProtection } from '../middleware/csrf.js';
+import { loadCustomer, setCartCookie, cartOwner } from '../middleware/customerAuth.js';
+import {
+    validateCartItem,
+    validateCartQuantity,
+    validateCartMerge,
+    validateCartEmail,
+    validateCartLink
+} from '../middleware/validation.js';
+import {
+    getCart,
+    createCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    mergeCartItems,
+    restoreCart,
+    setCartEmail
+} from '../services/cartService.js';
+import { openRestoreLink, unsubscribeFromLink } from '../services/cartRecoveryService.js';
+
+const router = express.Router();
+
+const cartLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    message: { success: false, error: 'Too many requests, please try again later.', code: 'RATE_LIMIT' }
+});
+
+router.use(cartLimiter, loadCustomer);
+
+// A shopper's first item starts an anonymous cart, remembered by cookie
+function sendCart(res, { cart, token }) {
+    if (token) setCartCookie(res, token);
+    res.json({ success: true, cart });
+}
+
+router.get('/', asyncHandler(async (req, res) => {
+    res.json({ success: true, cart: await getCart(cartOwner(req)) });
+}));
+
+router.post('/', csrfProtection, asyncHandler(async (req, res) => {
+    sendCart(res, await createCart(cartOwner(req)));
+}));
+
+router.post('/items', csrfProtection, validateCartItem, asyncHandler(async (req, res) => {
+    const { productId, variantId, color, size, quantity } = req.body;
+    sendCart(res, await addCartItem(cartOwner(req), { productId, variantId, color, size, quantity }));
+}));
+
+router.patch('/items/:itemId', csrfProtection, validateCartQuantity, asyncHandler(async (req, res) => {
+    const cart = await updateCartItem(cartOwner(req), req.params.itemId, req.body.quantity);
+    res.json({ success: true, cart });
+}));
+
+router.delete('/items/:itemId', csrfProtection, asyncHandler(async (req, res) => {
+    const cart = await removeCartItem(cartOwner(req), req.params.itemId);
+    res.json({ success: true, cart });
+}));
+
+/**
+ * Merge a cart kept on the device, e.g. one built before carts were saved
+ * on the server or while the API was unreachable
+ */
+router.post('/merge', csrfProtection, validateCartMerge, asyncHandler(async (req, res) => {
+    const items = req.body.items.map(({ productId, variantId, color, size, quantity }) => ({
+        productId, variantId, color, size, quantity
+    }));
+    sendCart(res, await mergeCartItems(cartOwner(req), items));
+}));
+
+/**
+ * Keep the email typed in at checkout on the cart, so it can be reminded
+ * if the order isn't finished
+ */
+router.put('/email', csrfProtection, validateCartEmail, asyncHandler(async (req, res) => {
+    const saved = await setCartEmail(cartOwner(req), req.body.email);
+    res.json({ success: true, saved });
+}));
+
+/**
+ * Open the restore link from a cart reminder email
+ */
+router.post('/restore', csrfProtection, validateCartLink, asyncHandler(async (req, res) => {
+    const cartId = await openRestoreLink(req.body.token);
+    sendCart(res, await restoreCart(cartOwner(req), cartId));
+}));
+
+router.post('/unsubscribe', csrfProtection, validateCartLink, asyncHandler(async (req, res) => {
+    await unsubscribeFromLink(req.body.token);
+    res.json({ success: true, message: 'You won\'t get any more cart reminders' });
+}));
+
+export default router;
@@ -4,6 +4,8 @@ import { asyncHandler } from '../middleware/errorHandler.js';
 import { query } from '../config/db.js';
 import { validateContactForm } from '../middleware/validation.js';
 import { sendContactNotification } from '../../email-templates/index.js';
+import { getCheckoutProvider } from '../services/payments/index.js';
+import { getShippingSettings } from '../services/shippingService.js';
 
 const router = express.Router();
 
@@ -26,6 +28,14 @@ router.get('/paystack', (req, res) => {
     });
 });
 
+router.get('/payment', (req, res) => {
+    const provider = getCheckoutProvider();
+    if (!provider) {
+        return res.status(503).json({ success: false, error: 'Payments not configured', configured: false });
+    }
+    res.json({ success: true, configured: true, ...provider.getPublicConfig() });
+});
+
 router.get('/settings', asyncHandler(async (req, res) => {
     const result = await query('SELECT * FROM settings');
     const settings = {};
@@ -34,9 +44,7 @@ router.get('/settings', asyncHandler(async (req, res) => {
     res.json({
         success: true,
         settings: {
-            shippingRate: parseInt(settings.standardShippingRate) || 10000,
-            expressShippingRate: parseInt(settings.expressShippingRate) || 25000,
-            freeShippingThreshold: parseInt(settings.freeShippingThreshold) || 150000,
+            ...await getShippingSettings(),
             storeName: settings.storeName || 'LA VAGUE'
         }
     });
@@ -0,0 +1,30 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { csrfProtection } from '../middleware/csrf.js';
+import { loadCustomer, setQueueCookie, cartOwner } from '../middleware/customerAuth.js';
+import { validateId } from '../middleware/validation.js';
+import { getQueueStatus, joinQueue } from '../services/dropService.js';
+
+const router = express.Router();
+
+// Product pages check their place every 10 seconds while in a waiting room
+const queueLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 200,
+    message: { success: false, error: 'Too many requests, please try again later.', code: 'RATE_LIMIT' }
+});
+
+router.use(queueLimiter, loadCustomer);
+
+router.get('/:productId/queue', validateId('productId'), asyncHandler(async (req, res) => {
+    res.json({ success: true, queue: await getQueueStatus(req.params.productId, cartOwner(req)) });
+}));
+
+router.post('/:productId/queue', csrfProtection, validateId('productId'), asyncHandler(async (req, res) => {
+    const { status, token } = await joinQueue(req.params.productId, cartOwner(req));
+    if (token) setQueueCookie(res, token);
+    res.json({ success: true, queue: status });
+}));
+
+export default router;
@@ -131,12 +131,14 @@ router.post('/delete', asyncHandler(async (req, res) => {
     const reviewsResult = await query('SELECT COUNT(*) as count FROM reviews WHERE customer_email = $1', [normalizedEmail]);
     const waitlistResult = await query('SELECT COUNT(*) as count FROM waitlist WHERE customer_email = $1', [normalizedEmail]);
     const couponUsageResult = await query('SELECT COUNT(*) as count FROM coupon_usage WHERE customer_email = $1', [normalizedEmail]);
+    const accountResult = await query('SELECT id FROM customers WHERE email = $1', [normalizedEmail]);
     
     const stats = {
         ordersToAnonymize: parseInt(ordersResult.rows[0]?.count || 0),
         reviewsToDelete: parseInt(reviewsResult.rows[0]?.count || 0),
         waitlistToDelete: parseInt(waitlistResult.rows[0]?.count || 0),
-        couponUsageToKeep: parseInt(couponUsageResult.rows[0]?.count || 0)
+        couponUsageToKeep: parseInt(couponUsageResult.rows[0]?.count || 0),
+        accountToDelete: accountResult.rows.length > 0
     };
     
     const anonymizedEmail = `deleted_${Date.now()}@anonymized.local`;
@@ -165,6 +167,14 @@ router.post('/delete', asyncHandler(async (req, res) => {
         await query('UPDATE coupon_usage SET customer_email = $1 WHERE customer_email = $2', [anonymizedEmail, normalizedEmail]);
     }
     
+    if (stats.accountToDelete) {
+        const customerId = accountResult.rows[0].id;
+        await query('UPDATE orders SET customer_id = NULL WHERE customer_id = $1', [customerId]);
+        await query('DELETE FROM customer_sessions WHERE customer_id = $1', [customerId]);
+        await query('DELETE FROM customer_addresses WHERE customer_id = $1', [customerId]);
+        await query('DELETE FROM customers WHERE id = $1', [customerId]);
+    }
+
     console.log(`[GDPR] Data deletion completed for: ${normalizedEmail}`, stats);
     
     res.json({
@@ -174,7 +184,8 @@ router.post('/delete', asyncHandler(async (req, res) => {
             ordersAnonymized: stats.ordersToAnonymize,
             reviewsDeleted: stats.reviewsToDelete,
             waitlistEntriesDeleted: stats.waitlistToDelete,
-            couponUsagesAnonymized: stats.couponUsageToKeep
+            couponUsagesAnonymized: stats.couponUsageToKeep,
+            accountDeleted: stats.accountToDelete
         }
     });
 }));
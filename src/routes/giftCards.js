@@ -0,0 +1,41 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { csrfProtection } from '../middleware/csrf.js';
+import { loadCustomer } from '../middleware/customerAuth.js';
+import { validateGiftCardPurchase, validateGiftCardCode } from '../middleware/validation.js';
+import { getGiftCardOptions, checkGiftCardPurchase, checkGiftCardBalance } from '../services/giftCardService.js';
+import { createGiftCardOrder } from '../services/orderService.js';
+
+const router = express.Router();
+
+const purchaseLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: { success: false, error: 'Too many orders, please try again later.', code: 'RATE_LIMIT' }
+});
+
+// Codes can't be guessed, but there's no reason to let anyone try many
+const balanceLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: { success: false, error: 'Too many balance checks, please try again later.', code: 'RATE_LIMIT' }
+});
+
+// Preset amounts and the range for a custom amount
+router.get('/options', asyncHandler(async (req, res) => {
+    res.json({ success: true, options: await getGiftCardOptions() });
+}));
+
+// A gift card is its own order, paid through the checkout provider
+router.post('/', purchaseLimiter, csrfProtection, validateGiftCardPurchase, loadCustomer,
+    asyncHandler(async (req, res) => {
+        const result = await createGiftCardOrder(checkGiftCardPurchase(req.body), req.headers.origin, req.customer?.id);
+        res.status(201).json({ success: true, ...result });
+    }));
+
+router.post('/balance', balanceLimiter, csrfProtection, validateGiftCardCode, asyncHandler(async (req, res) => {
+    res.json({ success: true, giftCard: await checkGiftCardBalance(req.body.code) });
+}));
+
+export default router;
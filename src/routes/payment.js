@@ -1,26 +1,57 @@
 import express from 'express';
-import { asyncHandler } from '../middleware/errorHandler.js';
-import { verifyPaystackSignature, processWebhook } from '../services/paymentService.js';
+import { asyncHandler, APIError } from '../middleware/errorHandler.js';
+import { csrfProtection } from '../middleware/csrf.js';
+import { processWebhook } from '../services/paymentService.js';
+import { getPaymentProvider } from '../services/payments/index.js';
+import { MOCK_OUTCOMES } from '../services/payments/mockProvider.js';
 
 const router = express.Router();
 
+const escapeHTML = value => String(value ?? '').replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+
+function mockPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHTML(title)} | LA VAGUE</title>
+    <style>
+        body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; background: #0a0a0a; color: #fff; font-family: system-ui, sans-serif; }
+        main { max-width: 420px; width: 100%; padding: 2.5rem; border: 1px solid rgba(255,255,255,0.1); text-align: center; }
+        .badge { display: inline-block; padding: 0.25rem 0.75rem; margin-bottom: 1rem; background: rgba(245,158,11,0.15); color: #f59e0b; font-size: 0.75rem; text-transform: uppercase; letter-spacing: 1px; }
+        dl { display: grid; grid-template-columns: auto 1fr; gap: 0.5rem 1rem; text-align: left; margin: 1.5rem 0; color: rgba(255,255,255,0.7); }
+        dd { margin: 0; color: #fff; }
+        button, a { display: block; width: 100%; margin-top: 0.75rem; padding: 0.75rem; border: 1px solid rgba(255,255,255,0.2); background: transparent; color: #fff; font-size: 0.9rem; text-transform: uppercase; cursor: pointer; text-decoration: none; box-sizing: border-box; }
+        button[value="success"] { background: #dc2626; border-color: #dc2626; }
+    </style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+}
+
 export default function(inventoryService) {
-    router.post('/webhook', asyncHandler(async (req, res) => {
-        const signature = req.headers['x-paystack-signature'];
+    // Paystack's dashboard points at /webhook, so that path stays Paystack's
+    router.post(['/webhook', '/webhook/:provider'], asyncHandler(async (req, res) => {
+        const name = req.params.provider || 'paystack';
+        const provider = getPaymentProvider(name);
+        if (!provider) throw new APIError('Unknown payment provider', 404, 'NOT_FOUND');
+
         const payload = req.rawBody || req.body;
-        
-        if (!signature || !verifyPaystackSignature(payload, signature)) {
-            console.error('[PAYSTACK WEBHOOK] Invalid signature');
+        if (!provider.verifySignature(payload, req.headers)) {
+            console.error(`[${name.toUpperCase()} WEBHOOK] Invalid signature`);
             return res.status(401).json({ error: 'Unauthorized' });
         }
-        
-        let event = req.body;
-        if (typeof event !== 'object' || event === null) {
-            event = JSON.parse(payload.toString());
+
+        let body = req.body;
+        if (typeof body !== 'object' || body === null) {
+            body = JSON.parse(payload.toString());
         }
-        
-        await processWebhook(event, inventoryService);
-        res.json({ received: true });
+
+        // Duplicates get a 200 too, so the provider stops redelivering them
+        const result = await processWebhook(provider.parseWebhook(body), inventoryService, provider.name);
+        res.json({ received: true, duplicate: result.duplicate });
     }));
 
     router.post('/webhook-test', express.json(), (req, res) => {
@@ -28,5 +59,47 @@ export default function(inventoryService) {
         res.json({ received: true, timestamp: new Date().toISOString() });
     });
 
+    // Mock gateway pay page; 404s unless PAYMENT_PROVIDER=mock
+    const findMockTransaction = reference => {
+        const transaction = getPaymentProvider('mock')?.getTransaction(reference);
+        if (!transaction) throw new APIError('Payment not found', 404, 'NOT_FOUND');
+        return transaction;
+    };
+
+    router.get('/mock/pay/:reference', csrfProtection, (req, res) => {
+        const transaction = findMockTransaction(req.params.reference);
+
+        res.send(mockPage('Test Payment', `
+            <span class="badge">Test payment</span>
+            <h1>Mock Gateway</h1>
+            <dl>
+                <dt>Order</dt><dd>${escapeHTML(transaction.orderId)}</dd>
+                <dt>Email</dt><dd>${escapeHTML(transaction.email)}</dd>
+                <dt>Amount</dt><dd>₦${Number(transaction.amount).toLocaleString('en-NG')}</dd>
+            </dl>
+            <form method="POST">
+                <input type="hidden" name="_csrf" value="${escapeHTML(req.csrfToken)}">
+                <button name="outcome" value="success">Pay</button>
+                <button name="outcome" value="failure">Decline</button>
+                <button name="outcome" value="abandon">Cancel</button>
+            </form>
+        `));
+    });
+
+    router.post('/mock/pay/:reference', csrfProtection, asyncHandler(async (req, res) => {
+        findMockTransaction(req.params.reference);
+        const { outcome } = req.body;
+        if (!MOCK_OUTCOMES[outcome]) throw new APIError('Invalid outcome', 400, 'VALIDATION_ERROR');
+
+        const redirectUrl = await getPaymentProvider('mock').complete(req.params.reference, outcome);
+
+        // A page rather than a 303 so form-action CSP doesn't block a cross-origin storefront
+        res.send(mockPage('Returning to store', `
+            <meta http-equiv="refresh" content="0;url=${escapeHTML(redirectUrl)}">
+            <p>Returning to the store…</p>
+            <a href="${escapeHTML(redirectUrl)}">Continue</a>
+        `));
+    }));
+
     return router;
 }
@@ -1,9 +1,10 @@
 import express from 'express';
 import { asyncHandler, APIError } from '../middleware/errorHandler.js';
-import { query, USE_POSTGRES } from '../config/db.js';
+import { query } from '../config/db.js';
 import { csrfProtection } from '../middleware/csrf.js';
 import { sendReviewConfirmationEmail, sendNewReviewNotification } from '../../email-templates/index.js';
 import { cacheService } from '../utils/cache.js';
+import { toTimestamp } from '../utils/dates.js';
 
 const router = express.Router();
 
@@ -15,176 +16,178 @@ const safeParseJSON = (val, defaultValue = null) => {
     try { return JSON.parse(val); } catch (e) { return defaultValue; }
 };
 
-// Get all products
-router.get('/', asyncHandler(async (req, res) => {
-    const cacheKey = 'products_all';
-    const cachedProducts = cacheService.get(cacheKey);
+/**
+ * Shape a products row for the storefront, with its variants and the
+ * colour/size -> stock map the shop pages read
+ */
+const formatProduct = (p, variants = []) => ({
+    ...p,
+    features: safeParseJSON(p.features, []),
+    images: safeParseJSON(p.images, []),
+    colors: safeParseJSON(p.colors, []),
+    sizes: safeParseJSON(p.sizes, []),
+    variants,
+    inventory: Object.fromEntries(variants.map(v => [`${v.color}-${v.size}`, v.stock])),
+    tags: safeParseJSON(p.tags, []),
+    publish_at: toTimestamp(p.publish_at),
+    average_rating: p.average_rating || 0,
+    review_count: p.review_count || 0
+});
+
+export default function (productService, inventoryService) {
+    // Get all products
+    router.get('/', asyncHandler(async (req, res) => {
+        const cacheKey = 'products_all';
+        const cachedProducts = cacheService.get(cacheKey);
+
+        if (cachedProducts) {
+            return res.json({ success: true, products: cachedProducts });
+        }
 
-    if (cachedProducts) {
-        return res.json({ success: true, products: cachedProducts });
-    }
+        const result = await query('SELECT * FROM products ORDER BY created_at DESC');
+        const variants = await productService.getVariantsForProducts(result.rows.map(p => p.id));
+        const products = result.rows.map(p => formatProduct(p, variants.get(p.id)));
 
-    const result = await query('SELECT * FROM products ORDER BY created_at DESC');
-    const products = result.rows.map(p => ({
-        ...p,
-        features: safeParseJSON(p.features, []),
-        images: safeParseJSON(p.images, []),
-        colors: safeParseJSON(p.colors, []),
-        sizes: safeParseJSON(p.sizes, []),
-        inventory: safeParseJSON(p.inventory, {}),
-        tags: safeParseJSON(p.tags, []),
-        average_rating: p.average_rating || 0,
-        review_count: p.review_count || 0
+        cacheService.set(cacheKey, products);
+        res.json({ success: true, products });
     }));
 
-    cacheService.set(cacheKey, products);
-    res.json({ success: true, products });
-}));
+    // Get product by slug
+    router.get('/:slug', asyncHandler(async (req, res) => {
+        const cacheKey = `product_${req.params.slug}`;
+        const cachedProduct = cacheService.get(cacheKey);
 
-// Get product by slug
-router.get('/:slug', asyncHandler(async (req, res) => {
-    const cacheKey = `product_${req.params.slug}`;
-    const cachedProduct = cacheService.get(cacheKey);
-
-    if (cachedProduct) {
-        return res.json({ success: true, product: cachedProduct });
-    }
+        if (cachedProduct) {
+            return res.json({ success: true, product: cachedProduct });
+        }
 
-    // Check if slug is actually an ID (common in some parts of the frontend)
-    const result = await query('SELECT * FROM products WHERE slug = $1 OR id = $1', [req.params.slug]);
+        // Check if slug is actually an ID (common in some parts of the frontend)
+        const result = await query('SELECT * FROM products WHERE slug = $1 OR id = $1', [req.params.slug]);
 
-    if (result.rows.length === 0) {
-        throw new APIError('Product not found', 404, 'NOT_FOUND');
-    }
-    const p = result.rows[0];
-    const product = {
-        ...p,
-        features: safeParseJSON(p.features, []),
-        images: safeParseJSON(p.images, []),
-        colors: safeParseJSON(p.colors, []),
-        sizes: safeParseJSON(p.sizes, []),
-        inventory: safeParseJSON(p.inventory, {}),
-        tags: safeParseJSON(p.tags, []),
-        average_rating: p.average_rating || 0,
-        review_count: p.review_count || 0
-    };
-
-    cacheService.set(cacheKey, product);
-    res.json({ success: true, product });
-}));
-
-// Get reviews for a product
-router.get('/:id/reviews', asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { status = 'approved', sort = 'newest' } = req.query;
-
-    let sql = 'SELECT * FROM reviews WHERE product_id = $1';
-    const params = [id];
-    if (status) { sql += ' AND status = $2'; params.push(status); }
-
-    const sortOrder = sort === 'newest' ? 'created_at DESC' :
-        sort === 'highest' ? 'rating DESC' :
-            sort === 'lowest' ? 'rating ASC' : 'created_at DESC';
-    sql += ` ORDER BY ${sortOrder}`;
-
-    const result = await query(sql, params);
-    const reviews = result.rows.map(r => ({ ...r, photos: safeParseJSON(r.photos, []) }));
-
-    const summaryResult = await query(`
-        SELECT COUNT(*) as total, COALESCE(AVG(rating), 0) as average
-        FROM reviews WHERE product_id = $1 AND status = 'approved'
-    `, [id]);
-
-    res.json({ success: true, reviews, summary: summaryResult.rows[0] });
-}));
-
-// Submit review
-router.post('/:id/reviews', csrfProtection, asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { orderId, customerEmail, customerName, rating, title, reviewText, photos } = req.body;
-    const reviewId = `rvw-${Date.now()}`;
-    const isVerified = !!orderId;
-
-    await query(`
-        INSERT INTO reviews (id, product_id, order_id, customer_email, customer_name, rating, title, review_text, photos, verified_purchase)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-    `, [reviewId, id, orderId || null, customerEmail, customerName, rating, title, reviewText, JSON.stringify(photos || []), isVerified]);
-
-    // Send notifications asynchronously
-    (async () => {
-        try {
-            const productResult = await query('SELECT name FROM products WHERE id = $1', [id]);
-            const productName = productResult.rows[0]?.name || id;
-
-            await sendReviewConfirmationEmail({
-                customerEmail,
-                customerName,
-                productName,
-                rating,
-                title
-            });
-
-            await sendNewReviewNotification({
-                reviewId,
-                productName,
-                customerName,
-                rating,
-                title,
-                reviewText
-            });
-        } catch (emailError) {
-            console.error('[REVIEWS] Email notification failed:', emailError);
+        if (result.rows.length === 0) {
+            throw new APIError('Product not found', 404, 'NOT_FOUND');
         }
-    })();
+        const p = result.rows[0];
+        const product = formatProduct(p, await productService.getVariants(p.id));
+
+        cacheService.set(cacheKey, product);
+        res.json({ success: true, product });
+    }));
 
-    res.json({ success: true, message: 'Review submitted for approval', reviewId });
-}));
+    // Get reviews for a product
+    router.get('/:id/reviews', asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { status = 'approved', sort = 'newest' } = req.query;
 
+        let sql = 'SELECT * FROM reviews WHERE product_id = $1';
+        const params = [id];
+        if (status) { sql += ' AND status = $2'; params.push(status); }
 
-// Join waitlist
-router.post('/:id/waitlist', csrfProtection, asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { email, name, variantKey } = req.body;
+        const sortOrder = sort === 'newest' ? 'created_at DESC' :
+            sort === 'highest' ? 'rating DESC' :
+                sort === 'lowest' ? 'rating ASC' : 'created_at DESC';
+        sql += ` ORDER BY ${sortOrder}`;
 
-    await query(`
-        INSERT INTO waitlist (product_id, customer_email, customer_name, variant_key, status)
-        VALUES ($1, $2, $3, $4, 'waiting')
-    `, [id, email, name, variantKey]);
+        const result = await query(sql, params);
+        const reviews = result.rows.map(r => ({ ...r, photos: safeParseJSON(r.photos, []) }));
 
-    res.json({ success: true, message: 'Added to waitlist' });
-}));
+        const summaryResult = await query(`
+            SELECT COUNT(*) as total, COALESCE(AVG(rating), 0) as average
+            FROM reviews WHERE product_id = $1 AND status = 'approved'
+        `, [id]);
 
-// Check stock availability (GET)
-router.get('/inventory/check/:productId', asyncHandler(async (req, res) => {
-    const { productId } = req.params;
-    const { color, size } = req.query;
+        res.json({ success: true, reviews, summary: summaryResult.rows[0] });
+    }));
+
+    // Submit review
+    router.post('/:id/reviews', csrfProtection, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { orderId, customerEmail, customerName, rating, title, reviewText, photos } = req.body;
+        const reviewId = `rvw-${Date.now()}`;
+        const isVerified = !!orderId;
+
+        await query(`
+            INSERT INTO reviews (id, product_id, order_id, customer_email, customer_name, rating, title, review_text, photos, verified_purchase)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `, [reviewId, id, orderId || null, customerEmail, customerName, rating, title, reviewText, JSON.stringify(photos || []), isVerified]);
+
+        // Send notifications asynchronously
+        (async () => {
+            try {
+                const productResult = await query('SELECT name FROM products WHERE id = $1', [id]);
+                const productName = productResult.rows[0]?.name || id;
+
+                await sendReviewConfirmationEmail({
+                    customerEmail,
+                    customerName,
+                    productName,
+                    rating,
+                    title
+                });
+
+                await sendNewReviewNotification({
+                    reviewId,
+                    productName,
+                    customerName,
+                    rating,
+                    title,
+                    reviewText
+                });
+            } catch (emailError) {
+                console.error('[REVIEWS] Email notification failed:', emailError);
+            }
+        })();
+
+        res.json({ success: true, message: 'Review submitted for approval', reviewId });
+    }));
 
-    // Support both ID and slug for inventory check
-    const result = await query('SELECT inventory FROM products WHERE id = $1 OR slug = $1', [productId]);
-    if (result.rows.length === 0) throw new APIError('Product not found', 404);
 
-    const inventory = safeParseJSON(result.rows[0].inventory, {});
-    const variantKey = `${color}-${size}`;
-    const available = inventory[variantKey] || 0;
+    // Join waitlist
+    router.post('/:id/waitlist', csrfProtection, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { email, name, variantKey } = req.body;
 
-    res.json({ success: true, available, inStock: available > 0 });
-}));
+        await query(`
+            INSERT INTO waitlist (product_id, customer_email, customer_name, variant_key, status)
+            VALUES ($1, $2, $3, $4, 'waiting')
+        `, [id, email, name, variantKey]);
 
-// Check stock availability (POST) - used by checkout-api.js
-router.post('/inventory/check', asyncHandler(async (req, res) => {
-    const { productId, color, size } = req.body;
+        res.json({ success: true, message: 'Added to waitlist' });
+    }));
 
-    // Support both ID and slug for inventory check
-    const result = await query('SELECT inventory FROM products WHERE id = $1 OR slug = $1', [productId]);
-    if (result.rows.length === 0) throw new APIError('Product not found', 404);
+    /**
+     * Look up a variant by ID, or by product (ID or slug) + colour/size
+     */
+    async function findVariant(productIdOrSlug, { variantId, color, size }) {
+        const product = await query('SELECT id FROM products WHERE id = $1 OR slug = $1', [productIdOrSlug]);
+        if (product.rows.length === 0) throw new APIError('Product not found', 404);
+
+        const variant = variantId
+            ? await productService.getVariantById(variantId)
+            : await productService.findVariant(product.rows[0].id, color, size);
+        if (variant && variant.productId !== product.rows[0].id) return null;
+        return variant;
+    }
 
-    const inventory = safeParseJSON(result.rows[0].inventory, {});
-    const variantKey = `${color}-${size}`;
-    const available = inventory[variantKey] || 0;
+    async function checkStock(productIdOrSlug, options) {
+        const variant = await findVariant(productIdOrSlug, options);
+        if (!variant) return { success: true, available: 0, inStock: false };
 
-    res.json({ success: true, available, inStock: available > 0 });
-}));
+        const { available } = await inventoryService.getStock(variant.id);
+        return { success: true, variantId: variant.id, sku: variant.sku, available, inStock: available > 0 };
+    }
 
+    // Check stock availability (GET)
+    router.get('/inventory/check/:productId', asyncHandler(async (req, res) => {
+        const { variantId, color, size } = req.query;
+        res.json(await checkStock(req.params.productId, { variantId, color, size }));
+    }));
 
+    // Check stock availability (POST) - used by checkout-api.js
+    router.post('/inventory/check', asyncHandler(async (req, res) => {
+        const { productId, variantId, color, size } = req.body;
+        res.json(await checkStock(productId, { variantId, color, size }));
+    }));
 
-export default router;
+    return router;
+}
@@ -0,0 +1,39 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { asyncHandler, APIError } from '../middleware/errorHandler.js';
+import { csrfProtection } from '../middleware/csrf.js';
+import { loadCustomer } from '../middleware/customerAuth.js';
+import { validateId, validateRaffleEntry } from '../middleware/validation.js';
+import { listProductRaffles, getRaffle, getRaffleClaim, enterRaffle } from '../services/raffleService.js';
+
+const router = express.Router();
+
+const entryLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: { success: false, error: 'Too many entries, please try again later.', code: 'RATE_LIMIT' }
+});
+
+// Raffles open, or opening soon, for a product page
+router.get('/', asyncHandler(async (req, res) => {
+    const productId = String(req.query.productId || '');
+    if (!/^[\w-]{1,50}$/.test(productId)) throw new APIError('productId is required', 400, 'VALIDATION_ERROR');
+    res.json({ success: true, raffles: await listProductRaffles(productId) });
+}));
+
+// The item a winner's checkout link is for
+router.get('/claim/:token', asyncHandler(async (req, res) => {
+    res.json({ success: true, claim: await getRaffleClaim(req.params.token) });
+}));
+
+router.get('/:id', validateId(), asyncHandler(async (req, res) => {
+    res.json({ success: true, raffle: await getRaffle(req.params.id) });
+}));
+
+router.post('/:id/entries', entryLimiter, csrfProtection, validateId(), validateRaffleEntry, loadCustomer,
+    asyncHandler(async (req, res) => {
+        const entry = await enterRaffle(req.params.id, req.body, { customerId: req.customer?.id, ipAddress: req.ip });
+        res.status(201).json({ success: true, entry });
+    }));
+
+export default router;
@@ -0,0 +1,36 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { csrfProtection } from '../middleware/csrf.js';
+import { validateCreateReturn } from '../middleware/validation.js';
+import { createReturn } from '../services/returnService.js';
+
+const router = express.Router();
+
+const returnLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: { success: false, error: 'Too many return requests, please try again later.', code: 'RATE_LIMIT' }
+});
+
+/**
+ * Open a return on a delivered order. The order is identified the same way
+ * as order lookup: order ID plus the email it was placed with.
+ */
+router.post('/', returnLimiter, csrfProtection, validateCreateReturn, asyncHandler(async (req, res) => {
+    const { orderId, email, items, notes } = req.body;
+    const rma = await createReturn({ orderId, email, items, notes });
+
+    res.json({
+        success: true,
+        return: {
+            id: rma.id,
+            status: rma.status,
+            createdAt: rma.created_at,
+            items: rma.items.map(({ name, color, size, quantity, reason }) => ({ name, color, size, quantity, reason }))
+        },
+        emailSent: rma.emailSent
+    });
+}));
+
+export default router;
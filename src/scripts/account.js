@@ -0,0 +1,552 @@
+/**
+ * LA VAGUE - Customer Account Page Logic
+ * Email sign-in links, login and registration, order history, reviews,
+ * saved addresses and profile.
+ * The session lives in an httpOnly cookie, so every request is sent with
+ * credentials and the page only learns who is logged in from /account/me.
+ */
+(function () {
+    const API_BASE_URL = window.location.hostname === 'localhost'
+        ? 'http://localhost:3000/api'
+        : 'https://la-vague-api.onrender.com/api';
+
+    const errorMessage = document.getElementById('accountError');
+    const notice = document.getElementById('accountNotice');
+    const authView = document.getElementById('authView');
+    const accountView = document.getElementById('accountView');
+
+    const returnStatusLabels = {
+        requested: 'Return requested',
+        approved: 'Return approved - awaiting your package',
+        rejected: 'Return not approved',
+        received: 'Return received',
+        inspected: 'Return inspected',
+        refunded: 'Return refunded'
+    };
+
+    const reviewStatusLabels = {
+        pending: 'Awaiting moderation',
+        approved: 'Published',
+        rejected: 'Not published'
+    };
+
+    const statusLabels = {
+        pending: 'Pending',
+        processing: 'Processing',
+        shipped: 'Shipped',
+        delivered: 'Delivered',
+        cancelled: 'Cancelled',
+        partially_returned: 'Partially Returned',
+        returned: 'Returned',
+        refunded: 'Refunded'
+    };
+
+    let customer = null;
+    let addresses = [];
+
+    /**
+     * Call the account API. State-changing requests fetch a CSRF token first.
+     */
+    async function api(path, { method = 'GET', body } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (method !== 'GET') {
+            const csrfResponse = await fetch(`${API_BASE_URL}/csrf-token`, { credentials: 'include' });
+            headers['X-CSRF-Token'] = (await csrfResponse.json()).csrfToken;
+        }
+        const response = await fetch(`${API_BASE_URL}/account${path}`, {
+            method,
+            credentials: 'include',
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            const error = new Error(data.details?.[0]?.message || data.error || 'Something went wrong. Please try again.');
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    function showError(message) {
+        notice.hidden = true;
+        errorMessage.textContent = message;
+        errorMessage.classList.add('active');
+    }
+
+    function showNotice(message) {
+        errorMessage.classList.remove('active');
+        notice.textContent = message;
+        notice.hidden = false;
+    }
+
+    function clearMessages() {
+        errorMessage.classList.remove('active');
+        notice.hidden = true;
+    }
+
+    // Text the API stored HTML-escaped, as typed, for form inputs
+    function decode(value) {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = value || '';
+        return textarea.value;
+    }
+
+    function formatDate(dateString) {
+        if (!dateString) return 'N/A';
+        return new Date(dateString).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Run a form submission with its button disabled, reporting any error
+     */
+    function handleSubmit(form, action) {
+        form?.addEventListener('submit', async e => {
+            e.preventDefault();
+            const button = form.querySelector('button[type="submit"]');
+            button.disabled = true;
+            clearMessages();
+            try {
+                await action();
+            } catch (error) {
+                showError(error.message);
+            } finally {
+                button.disabled = false;
+            }
+        });
+    }
+
+    // ==========================================
+    // LOGIN / REGISTRATION
+    // ==========================================
+
+    function showAuth() {
+        customer = null;
+        accountView.hidden = true;
+        authView.hidden = false;
+        document.getElementById('accountSubtitle').textContent = 'Sign in to see all your orders, returns and reviews';
+    }
+
+    handleSubmit(document.getElementById('loginLinkForm'), async () => {
+        const email = document.getElementById('loginLinkEmail').value.trim();
+        await api('/magic-link', { method: 'POST', body: { email } });
+        document.getElementById('loginLinkForm').reset();
+        showNotice(`If ${email} is a valid address, a sign-in link is on its way. It works once and expires in 15 minutes.`);
+    });
+
+    handleSubmit(document.getElementById('loginForm'), async () => {
+        await api('/login', {
+            method: 'POST',
+            body: {
+                email: document.getElementById('loginEmail').value.trim(),
+                password: document.getElementById('loginPassword').value
+            }
+        });
+        document.getElementById('loginForm').reset();
+        await loadAccount();
+    });
+
+    handleSubmit(document.getElementById('registerForm'), async () => {
+        const data = await api('/register', {
+            method: 'POST',
+            body: {
+                name: document.getElementById('registerName').value.trim(),
+                email: document.getElementById('registerEmail').value.trim(),
+                phone: document.getElementById('registerPhone').value.trim() || undefined,
+                password: document.getElementById('registerPassword').value
+            }
+        });
+        document.getElementById('registerForm').reset();
+        await loadAccount();
+        showNotice(data.emailSent
+            ? 'Welcome to LA VAGUE! Check your inbox for a link to verify your email address.'
+            : 'Welcome to LA VAGUE! We couldn\'t send your verification email - use "Resend Link" to try again.');
+    });
+
+    document.getElementById('logoutBtn')?.addEventListener('click', async () => {
+        try {
+            await api('/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        clearMessages();
+        showAuth();
+        window.CartState?.syncCart();
+    });
+
+    // ==========================================
+    // ACCOUNT
+    // ==========================================
+
+    async function loadAccount() {
+        let data;
+        try {
+            data = await api('/me');
+        } catch (error) {
+            if (error.status !== 401) showError('Unable to load your account. Please try again later.');
+            showAuth();
+            return;
+        }
+
+        customer = data.customer;
+        // Logging in brings in the cart the account already had
+        window.CartState?.syncCart();
+        authView.hidden = true;
+        accountView.hidden = false;
+        document.getElementById('accountSubtitle').textContent = `Welcome back, ${decode(customer.name)}`;
+
+        document.getElementById('verifyBanner').hidden = customer.emailVerified;
+        document.getElementById('verifyEmail').textContent = customer.email;
+        renderClaimBanner(data.claimableOrders);
+        fillProfile();
+
+        await Promise.all([loadOrders(), loadAddresses(), loadReviews()]);
+    }
+
+    function renderClaimBanner(count) {
+        document.getElementById('claimBanner').hidden = !count;
+        document.getElementById('claimMessage').textContent = count === 1
+            ? 'We found an earlier order placed with your email address.'
+            : `We found ${count} earlier orders placed with your email address.`;
+    }
+
+    /**
+     * Open the link from a sign-in email (?login=token) or the verification
+     * email (?verify=token)
+     */
+    async function verifyFromLink() {
+        const params = new URLSearchParams(window.location.search);
+        const loginToken = params.get('login');
+        const verifyToken = params.get('verify');
+        if (!loginToken && !verifyToken) return;
+
+        window.history.replaceState({}, '', window.location.pathname);
+        try {
+            if (loginToken) {
+                const { claimed } = await api('/magic-link/verify', { method: 'POST', body: { token: loginToken } });
+                if (claimed) {
+                    showNotice(claimed === 1
+                        ? 'You\'re signed in. We added 1 earlier order to your account.'
+                        : `You're signed in. We added ${claimed} earlier orders to your account.`);
+                }
+            } else {
+                await api('/verify-email', { method: 'POST', body: { token: verifyToken } });
+                showNotice('Your email address is verified and you\'re signed in. Set a password to log in with it next time.');
+            }
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    document.getElementById('resendVerificationBtn')?.addEventListener('click', async e => {
+        e.target.disabled = true;
+        try {
+            const data = await api('/resend-verification', { method: 'POST' });
+            if (data.emailSent) {
+                showNotice(`We've sent a new verification link to ${customer.email}.`);
+            } else {
+                showError('We couldn\'t send the email right now. Please try again later.');
+            }
+        } catch (error) {
+            showError(error.message);
+        } finally {
+            e.target.disabled = false;
+        }
+    });
+
+    document.getElementById('claimOrdersBtn')?.addEventListener('click', async e => {
+        e.target.disabled = true;
+        try {
+            const { claimed } = await api('/orders/claim', { method: 'POST' });
+            showNotice(claimed === 1 ? 'Added 1 order to your account.' : `Added ${claimed} orders to your account.`);
+            renderClaimBanner(0);
+            await loadOrders();
+        } catch (error) {
+            showError(error.message);
+        } finally {
+            e.target.disabled = false;
+        }
+    });
+
+    // Tabs
+    document.querySelectorAll('.account-tab[data-tab]').forEach(tab => {
+        tab.addEventListener('click', () => {
+            document.querySelectorAll('.account-tab[data-tab]').forEach(t => t.classList.toggle('active', t === tab));
+            document.querySelectorAll('.account-panel').forEach(panel => {
+                panel.hidden = panel.id !== `${tab.dataset.tab}Panel`;
+            });
+        });
+    });
+
+    // ==========================================
+    // ORDERS
+    // ==========================================
+
+    async function loadOrders() {
+        const container = document.getElementById('ordersList');
+        try {
+            const { orders } = await api('/orders');
+            if (orders.length === 0) {
+                container.innerHTML = '<p class="account-empty">You haven\'t placed any orders yet. <a href="/shop">Start shopping</a></p>';
+                return;
+            }
+            container.innerHTML = orders.map(order => `
+                <div class="order-card account-order" data-order-id="${order.id}">
+                    <button type="button" class="order-card-header account-order-toggle" aria-expanded="false">
+                        <div>
+                            <div class="order-card-title">Order #${order.id}</div>
+                            <div class="account-muted">
+                                ${formatDate(order.createdAt)} · ${order.itemCount} item${order.itemCount === 1 ? '' : 's'} · ${window.CurrencyConfig.formatPrice(order.total)}
+                            </div>
+                        </div>
+                        <span class="order-status-badge ${order.status}">${statusLabels[order.status] || order.status}</span>
+                    </button>
+                    <div class="order-card-body" hidden></div>
+                </div>
+            `).join('');
+            container.querySelectorAll('.account-order-toggle').forEach(button => {
+                button.addEventListener('click', () => toggleOrder(button.closest('.account-order')));
+            });
+        } catch {
+            container.innerHTML = '<p class="account-empty">Unable to load your orders.</p>';
+        }
+    }
+
+    async function toggleOrder(card) {
+        const body = card.querySelector('.order-card-body');
+        const toggle = card.querySelector('.account-order-toggle');
+        const open = body.hidden;
+        body.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+        if (!open || body.dataset.loaded) return;
+
+        body.innerHTML = '<p class="account-muted">Loading...</p>';
+        try {
+            const { order } = await api(`/orders/${encodeURIComponent(card.dataset.orderId)}`);
+            body.dataset.loaded = 'true';
+            body.innerHTML = renderOrderDetail(order);
+        } catch (error) {
+            body.innerHTML = `<p class="account-muted">${error.message}</p>`;
+        }
+    }
+
+    function renderOrderDetail(order) {
+        const address = order.shippingAddress || {};
+        const items = (order.items || []).map(item => `
+            <div class="order-item">
+                <img src="${item.image || '/assets/hoodie.jpg'}" alt="${item.name}" class="order-item-image">
+                <div class="order-item-details">
+                    <div class="order-item-name">${item.name}</div>
+                    <div class="order-item-variant">${item.color || ''} / ${item.size || ''} × ${item.quantity}</div>
+                </div>
+                <div class="order-item-price">${window.CurrencyConfig.formatPrice(item.price * item.quantity)}</div>
+            </div>
+        `).join('');
+        const history = (order.history || []).map(entry => `
+            <li>${statusLabels[entry.status] || entry.status} <span class="account-muted">${formatDate(entry.at)}</span></li>
+        `).join('');
+        const returns = (order.returns || []).map(rma => `
+            <li>
+                ${rma.id}: ${returnStatusLabels[rma.status] || rma.status}
+                <span class="account-muted">
+                    ${formatDate(rma.createdAt)} · ${rma.items.map(item => `${item.quantity} × ${item.name}`).join(', ')}
+                    ${rma.refundAmount ? ` · ${window.CurrencyConfig.formatPrice(rma.refundAmount)} refunded` : ''}
+                </span>
+            </li>
+        `).join('');
+
+        return `
+            <dl class="order-info-grid">
+                <div class="order-info-item">
+                    <dt>Shipping To</dt>
+                    <dd>${[address.address, address.city, address.state].filter(Boolean).join(', ') || '-'}</dd>
+                </div>
+                <div class="order-info-item">
+                    <dt>Tracking Number</dt>
+                    <dd>${order.tracking_number || '-'}</dd>
+                </div>
+            </dl>
+            <div class="order-items">${items}</div>
+            ${history ? `<ul class="account-history">${history}</ul>` : ''}
+            ${returns ? `<ul class="account-returns">${returns}</ul>` : ''}
+            <a class="btn btn-secondary" href="/track-order?order=${encodeURIComponent(order.id)}&email=${encodeURIComponent(order.customer_email)}">Returns &amp; Tracking</a>
+        `;
+    }
+
+    // ==========================================
+    // REVIEWS
+    // ==========================================
+
+    async function loadReviews() {
+        const container = document.getElementById('reviewsList');
+        try {
+            const { reviews } = await api('/reviews');
+            if (reviews.length === 0) {
+                container.innerHTML = '<p class="account-empty">You haven\'t reviewed anything yet.</p>';
+                return;
+            }
+            container.innerHTML = reviews.map(review => {
+                const product = review.productSlug
+                    ? `<a href="product.html?slug=${review.productSlug}">${review.productName}</a>`
+                    : review.productName || review.productId;
+                const stars = '★'.repeat(review.rating) + '☆'.repeat(5 - review.rating);
+                return `
+                    <div class="account-review">
+                        <strong>${product}</strong>
+                        <div class="account-muted">
+                            ${stars} · ${formatDate(review.createdAt)} · ${reviewStatusLabels[review.status] || review.status}
+                        </div>
+                        ${review.title ? `<p><strong>${review.title}</strong></p>` : ''}
+                        ${review.reviewText ? `<p>${review.reviewText}</p>` : ''}
+                        ${review.adminResponse ? `<p class="account-muted">LA VAGUE: ${review.adminResponse}</p>` : ''}
+                    </div>
+                `;
+            }).join('');
+        } catch {
+            container.innerHTML = '<p class="account-empty">Unable to load your reviews.</p>';
+        }
+    }
+
+    // ==========================================
+    // ADDRESSES
+    // ==========================================
+
+    const addressForm = document.getElementById('addressForm');
+    const addressFields = {
+        label: 'addressLabel',
+        firstName: 'addressFirstName',
+        lastName: 'addressLastName',
+        address: 'addressLine',
+        apartment: 'addressApartment',
+        city: 'addressCity',
+        state: 'addressState',
+        zip: 'addressZip',
+        phone: 'addressPhone'
+    };
+
+    async function loadAddresses() {
+        const container = document.getElementById('addressesList');
+        try {
+            ({ addresses } = await api('/addresses'));
+        } catch {
+            container.innerHTML = '<p class="account-empty">Unable to load your addresses.</p>';
+            return;
+        }
+
+        if (addresses.length === 0) {
+            container.innerHTML = '<p class="account-empty">Save an address to check out faster.</p>';
+            return;
+        }
+        container.innerHTML = addresses.map(address => `
+            <div class="account-address" data-address-id="${address.id}">
+                <div>
+                    <strong>${address.label || `${address.firstName} ${address.lastName}`}</strong>
+                    ${address.isDefault ? '<span class="account-default">Default</span>' : ''}
+                    <div class="account-muted">
+                        ${address.firstName} ${address.lastName}, ${address.address}${address.apartment ? `, ${address.apartment}` : ''},
+                        ${address.city}, ${address.state} ${address.zip}
+                    </div>
+                </div>
+                <div class="account-address-actions">
+                    <button type="button" class="btn btn-secondary" data-action="edit">Edit</button>
+                    <button type="button" class="btn btn-secondary" data-action="delete">Delete</button>
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('[data-action="edit"]').forEach(button => {
+            const id = Number(button.closest('.account-address').dataset.addressId);
+            button.addEventListener('click', () => openAddressForm(addresses.find(a => a.id === id)));
+        });
+        container.querySelectorAll('[data-action="delete"]').forEach(button => {
+            const id = Number(button.closest('.account-address').dataset.addressId);
+            button.addEventListener('click', () => deleteAddress(id));
+        });
+    }
+
+    function openAddressForm(address = null) {
+        addressForm.reset();
+        document.getElementById('addressId').value = address?.id || '';
+        document.getElementById('addressFormTitle').textContent = address ? 'Edit Address' : 'New Address';
+        Object.entries(addressFields).forEach(([key, id]) => {
+            document.getElementById(id).value = decode(address?.[key]);
+        });
+        document.getElementById('addressDefault').checked = Boolean(address?.isDefault);
+        addressForm.hidden = false;
+        addressForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    async function deleteAddress(id) {
+        if (!confirm('Delete this address?')) return;
+        try {
+            await api(`/addresses/${id}`, { method: 'DELETE' });
+            await loadAddresses();
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    document.getElementById('addAddressBtn')?.addEventListener('click', () => openAddressForm());
+    document.getElementById('cancelAddressBtn')?.addEventListener('click', () => {
+        addressForm.hidden = true;
+    });
+
+    handleSubmit(addressForm, async () => {
+        const id = document.getElementById('addressId').value;
+        const body = { isDefault: document.getElementById('addressDefault').checked };
+        Object.entries(addressFields).forEach(([key, fieldId]) => {
+            body[key] = document.getElementById(fieldId).value.trim() || undefined;
+        });
+
+        await api(id ? `/addresses/${id}` : '/addresses', { method: id ? 'PUT' : 'POST', body });
+        addressForm.hidden = true;
+        showNotice('Address saved.');
+        await loadAddresses();
+    });
+
+    // ==========================================
+    // PROFILE
+    // ==========================================
+
+    function fillProfile() {
+        document.getElementById('profileEmail').value = customer.email;
+        document.getElementById('profileName').value = decode(customer.name);
+        document.getElementById('profilePhone').value = customer.phone || '';
+
+        // Customers who only sign in with links set a first password without a current one
+        document.getElementById('currentPasswordGroup').hidden = !customer.hasPassword;
+        document.getElementById('currentPassword').required = customer.hasPassword;
+        document.getElementById('passwordFormTitle').textContent = customer.hasPassword ? 'Change Password' : 'Set a Password';
+    }
+
+    handleSubmit(document.getElementById('profileForm'), async () => {
+        const data = await api('/profile', {
+            method: 'PUT',
+            body: {
+                name: document.getElementById('profileName').value.trim(),
+                phone: document.getElementById('profilePhone').value.trim() || undefined
+            }
+        });
+        customer = data.customer;
+        fillProfile();
+        showNotice('Profile updated.');
+    });
+
+    handleSubmit(document.getElementById('passwordForm'), async () => {
+        await api('/password', {
+            method: 'PUT',
+            body: {
+                currentPassword: customer.hasPassword ? document.getElementById('currentPassword').value : undefined,
+                newPassword: document.getElementById('newPassword').value
+            }
+        });
+        document.getElementById('passwordForm').reset();
+        if (!customer.hasPassword) {
+            customer.hasPassword = true;
+            fillProfile();
+        }
+        showNotice('Password saved. You\'ve been logged out on your other devices.');
+    });
+
+    verifyFromLink().finally(loadAccount);
+})();
@@ -74,7 +74,16 @@ function createElement(tag, attrs = {}, content = '') {
 // ==========================================
 const state = {
     currentSection: 'overview',
+    admin: null,
+    access: {},
+    twoFactorSetupRequired: false,
+    loginChallenge: null,
     orders: [],
+    returns: [],
+    raffles: [],
+    promotions: [],
+    giftCards: [],
+    webhooks: [],
     products: [],
     inventory: [],
     stats: {},
@@ -82,7 +91,7 @@ const state = {
         images: [],
         colors: [],
         sizes: [],
-        inventory: {}
+        variants: []
     }
 };
 
@@ -117,12 +126,18 @@ const elements = {
     recentOrdersTable: document.getElementById('recentOrdersTable'),
     lowStockTable: document.getElementById('lowStockTable'),
     ordersTable: document.getElementById('ordersTable'),
+    returnsTable: document.getElementById('returnsTable'),
+    webhooksTable: document.getElementById('webhooksTable'),
+    reconciliationTable: document.getElementById('reconciliationTable'),
     productsTable: document.getElementById('productsTable'),
     inventoryTable: document.getElementById('inventoryTable'),
     
     // Filters
     orderSearch: document.getElementById('orderSearch'),
     orderFilter: document.getElementById('orderFilter'),
+    returnFilter: document.getElementById('returnFilter'),
+    webhookFilter: document.getElementById('webhookFilter'),
+    webhookSearch: document.getElementById('webhookSearch'),
     productSearch: document.getElementById('productSearch'),
     inventoryFilter: document.getElementById('inventoryFilter'),
     
@@ -145,6 +160,10 @@ const elements = {
     productDescription: document.getElementById('productDescription'),
     productFeatures: document.getElementById('productFeatures'),
     productTags: document.getElementById('productTags'),
+    productPublishAt: document.getElementById('productPublishAt'),
+    productPurchaseLimit: document.getElementById('productPurchaseLimit'),
+    productWaitingRoom: document.getElementById('productWaitingRoom'),
+    productQueueBatch: document.getElementById('productQueueBatch'),
     productImages: document.getElementById('productImages'),
     imageUploadZone: document.getElementById('imageUploadZone'),
     imagePreviewGrid: document.getElementById('imagePreviewGrid'),
@@ -159,6 +178,8 @@ const elements = {
     inventoryVariant: document.getElementById('inventoryVariant'),
     inventoryCurrentStock: document.getElementById('inventoryCurrentStock'),
     inventoryNewStock: document.getElementById('inventoryNewStock'),
+    inventoryNotes: document.getElementById('inventoryNotes'),
+    inventoryMovements: document.getElementById('inventoryMovements'),
     updateInventoryBtn: document.getElementById('updateInventoryBtn'),
     
     // Customers
@@ -168,19 +189,69 @@ const elements = {
     reviewsTable: document.getElementById('reviewsTable')
 };
 
+// ==========================================
+// ROLES
+// ==========================================
+
+// API area each section needs, as in src/config/adminRoles.js
+const SECTION_AREAS = {
+    overview: 'dashboard',
+    orders: 'orders',
+    returns: 'returns',
+    products: 'products',
+    raffles: 'products',
+    promotions: 'marketing',
+    inventory: 'inventory',
+    customers: 'customers',
+    reviews: 'reviews',
+    analytics: 'analytics',
+    webhooks: 'payments',
+    giftCards: 'payments',
+    settings: 'settings',
+    team: 'team',
+    security: null
+};
+
+function canUse(area, level = 'read') {
+    if (area === null) return true;
+    // Until a required two-factor setup is done, only the Security page is open
+    if (state.twoFactorSetupRequired) return false;
+    const access = state.access[area];
+    return access === 'write' || (access === 'read' && level === 'read');
+}
+
+/**
+ * Remember who is signed in and hide the sections their role can't use
+ */
+function applyAccess(admin, access, twoFactorSetupRequired = false) {
+    state.admin = admin;
+    state.access = access || {};
+    state.twoFactorSetupRequired = twoFactorSetupRequired;
+    document.querySelectorAll('[data-section]').forEach(link => {
+        link.style.display = canUse(SECTION_AREAS[link.dataset.section]) ? '' : 'none';
+    });
+    document.getElementById('sidebarUser').textContent = `${admin.name} · ${formatStatus(admin.role)}`;
+}
+
 // ==========================================
 // AUTHENTICATION
 // ==========================================
-function checkAuth() {
+async function checkAuth() {
     const token = sessionStorage.getItem('adminToken');
-    if (token) {
-        showDashboard();
-        loadAllData();
+    if (!token) return;
+
+    try {
+        const data = await fetchAPI('/admin/me');
+        applyAccess(data.admin, data.access, data.twoFactor.required && !data.twoFactor.enabled);
+        openDashboard();
+    } catch {
+        // fetchAPI signs out an expired session
     }
 }
 
 async function handleLogin(e) {
     e.preventDefault();
+    const email = document.getElementById('adminEmail').value.trim();
     const password = document.getElementById('adminPassword').value;
     const btn = elements.loginForm.querySelector('button[type="submit"]');
     
@@ -190,18 +261,17 @@ async function handleLogin(e) {
         const response = await fetch(`${API_URL}/admin/login`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ password })
+            body: JSON.stringify({ email, password })
         });
         
         const data = await response.json();
         
-        if (data.success) {
-            sessionStorage.setItem('adminToken', data.token);
-            showDashboard();
-            loadAllData();
-            showToast('Welcome back!', 'success');
+        if (data.success && data.twoFactorRequired) {
+            showTwoFactorStep(data.challenge);
+        } else if (data.success) {
+            completeLogin(data);
         } else {
-            showToast(data.error || 'Invalid password', 'error');
+            showToast(data.error || 'Invalid email or password', 'error');
         }
     } catch (error) {
         showToast('Login failed. Please try again.', 'error');
@@ -210,6 +280,74 @@ async function handleLogin(e) {
     }
 }
 
+/**
+ * Second login step for admins with two-factor authentication on
+ */
+function showTwoFactorStep(challenge) {
+    state.loginChallenge = challenge;
+    elements.loginForm.style.display = 'none';
+    document.getElementById('twoFactorLoginForm').style.display = 'block';
+    document.getElementById('twoFactorLoginCode').focus();
+}
+
+function hideTwoFactorStep() {
+    state.loginChallenge = null;
+    document.getElementById('twoFactorLoginForm').style.display = 'none';
+    document.getElementById('twoFactorLoginCode').value = '';
+    elements.loginForm.style.display = 'block';
+}
+
+async function handleTwoFactorLogin(e) {
+    e.preventDefault();
+    const code = document.getElementById('twoFactorLoginCode').value.trim();
+    const btn = e.target.querySelector('button[type="submit"]');
+
+    setLoading(btn, true);
+
+    try {
+        const response = await fetch(`${API_URL}/admin/login/two-factor`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ challenge: state.loginChallenge, code })
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            hideTwoFactorStep();
+            completeLogin(data);
+        } else {
+            if (data.code === 'CHALLENGE_EXPIRED') hideTwoFactorStep();
+            showToast(data.error || 'That code is not valid', 'error');
+        }
+    } catch {
+        showToast('Login failed. Please try again.', 'error');
+    } finally {
+        setLoading(btn, false);
+    }
+}
+
+function completeLogin(data) {
+    sessionStorage.setItem('adminToken', data.token);
+    applyAccess(data.admin, data.access, data.twoFactorSetupRequired);
+    openDashboard();
+    showToast(`Welcome back, ${data.admin.name}!`, 'success');
+}
+
+/**
+ * Show the dashboard, or only the Security page while the admin still has to
+ * set up two-factor authentication
+ */
+function openDashboard() {
+    showDashboard();
+    if (state.twoFactorSetupRequired) {
+        navigateTo('security');
+        showToast('Set up two-factor authentication to continue', 'warning');
+        return;
+    }
+    loadAllData();
+}
+
 async function handleLogout() {
     const token = sessionStorage.getItem('adminToken');
     
@@ -235,6 +373,7 @@ function showLogin() {
     elements.loginScreen.style.display = 'flex';
     elements.dashboard.style.display = 'none';
     document.getElementById('adminPassword').value = '';
+    hideTwoFactorStep();
 }
 
 function showDashboard() {
@@ -249,6 +388,7 @@ function showDashboard() {
 // NAVIGATION
 // ==========================================
 function navigateTo(section) {
+    if (!canUse(SECTION_AREAS[section])) return;
     state.currentSection = section;
     
     // Update nav
@@ -265,23 +405,40 @@ function navigateTo(section) {
     const titles = {
         overview: 'Overview',
         orders: 'Orders',
+        returns: 'Returns',
         products: 'Products',
+        raffles: 'Raffles',
+        promotions: 'Promotions',
         inventory: 'Inventory',
         customers: 'Customers',
         reviews: 'Reviews',
         analytics: 'Analytics',
-        settings: 'Settings'
+        webhooks: 'Payments',
+        giftCards: 'Gift Cards',
+        settings: 'Settings',
+        team: 'Team',
+        security: 'Security'
     };
     elements.pageTitle.textContent = titles[section] || 'Dashboard';
     
     // Load section data
     if (section === 'orders') loadOrders();
+    if (section === 'returns') loadReturns();
     if (section === 'products') loadProducts();
+    if (section === 'raffles') loadRaffles();
+    if (section === 'promotions') loadPromotions();
     if (section === 'inventory') loadInventory();
     if (section === 'customers') loadCustomers();
     if (section === 'reviews') loadReviews();
     if (section === 'analytics') loadAnalytics();
+    if (section === 'webhooks') {
+        loadReconciliation();
+        loadWebhooks();
+    }
+    if (section === 'giftCards') loadGiftCards();
     if (section === 'settings') loadSettings();
+    if (section === 'team') loadTeam();
+    if (section === 'security') loadSecurity();
 }
 
 // ==========================================
@@ -292,9 +449,9 @@ async function loadAllData() {
     
     try {
         await Promise.all([
-            loadStats(),
-            loadRecentOrders(),
-            loadLowStock()
+            canUse('dashboard') && loadStats(),
+            canUse('orders') && loadRecentOrders(),
+            canUse('inventory') && loadLowStock()
         ]);
     } catch (error) {
         showToast('Error loading dashboard data', 'error');
@@ -333,7 +490,7 @@ async function loadStats() {
     try {
         const [orderStats, productStats] = await Promise.all([
             fetchAPI('/admin/stats'),
-            fetchAPI('/admin/products/stats')
+            canUse('products') ? fetchAPI('/admin/products/stats') : {}
         ]);
         
         // Handle both response structures
@@ -549,9 +706,10 @@ function renderOrdersTable(orders) {
             id: `status-${order.id}`,
             style: 'min-width: 120px;'
         });
-        const statuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+        // Only offer moves the server's order state machine allows
+        const statuses = [status, ...(order.allowedTransitions || [])];
         statuses.forEach(s => {
-            const option = createElement('option', { value: s }, s.charAt(0).toUpperCase() + s.slice(1));
+            const option = createElement('option', { value: s }, formatStatus(s));
             if (s === status) option.selected = true;
             select.appendChild(option);
         });
@@ -671,43 +829,11 @@ async function loadInventory() {
     showLoading(true);
     
     try {
-        // Load products and get inventory for each variant
-        const [productsData, lowStockData] = await Promise.all([
-            fetchAPI('/admin/products'),
-            fetchAPI('/admin/inventory/low-stock?threshold=1000') // Get all
-        ]);
-        
-        const products = productsData.products || [];
-        const inventoryList = [];
-        
-        for (const product of products) {
-            const colors = product.colors || [{ name: 'Default' }];
-            const sizes = product.sizes || ['OS'];
-            const inventory = product.inventory || {};
-            
-            for (const color of colors) {
-                for (const size of sizes) {
-                    const variantKey = `${color.name}-${size}`;
-                    const quantity = inventory[variantKey] || 0;
-                    
-                    inventoryList.push({
-                        productId: product.id,
-                        productName: product.name,
-                        color: color.name,
-                        size,
-                        variantKey,
-                        total: quantity,
-                        reserved: 0, // Will be fetched from API
-                        available: quantity
-                    });
-                }
-            }
-        }
-        
-        state.inventory = inventoryList;
-        renderInventoryTable(inventoryList);
+        const data = await fetchAPI('/admin/inventory/variants');
+        state.inventory = data.variants || [];
+        renderInventoryTable(state.inventory);
     } catch (error) {
-        elements.inventoryTable.innerHTML = '<tr><td colspan="6" class="text-center">Error loading inventory</td></tr>';
+        elements.inventoryTable.innerHTML = '<tr><td colspan="7" class="text-center">Error loading inventory</td></tr>';
     } finally {
         showLoading(false);
     }
@@ -726,7 +852,7 @@ function renderInventoryTable(inventory) {
     
     if (filtered.length === 0) {
         const tr = createElement('tr', {}, 
-            createElement('td', { colspan: 6, className: 'text-center' }, 'No inventory items')
+            createElement('td', { colspan: 7, className: 'text-center' }, 'No inventory items')
         );
         elements.inventoryTable.appendChild(tr);
         return;
@@ -736,6 +862,7 @@ function renderInventoryTable(inventory) {
         const tr = createElement('tr');
         tr.appendChild(createElement('td', {}, item.productName));
         tr.appendChild(createElement('td', {}, `${item.color} / ${item.size}`));
+        tr.appendChild(createElement('td', {}, item.sku || '-'));
         tr.appendChild(createElement('td', {}, String(item.total)));
         tr.appendChild(createElement('td', {}, String(item.reserved)));
         
@@ -747,7 +874,7 @@ function renderInventoryTable(inventory) {
         const tdActions = createElement('td');
         const editBtn = createElement('button', { 
             className: 'btn btn-sm btn-secondary',
-            onclick: () => editInventory(item.productId, item.color, item.size, item.total)
+            onclick: () => window.editInventory(item.variantId)
         }, 'Edit');
         tdActions.appendChild(editBtn);
         tr.appendChild(tdActions);
@@ -767,13 +894,23 @@ window.viewOrder = async function(orderId) {
         return;
     }
     
-    // Load order notes
+    // Load order notes and status history
     let notes = [];
+    let history = [];
+    let allowedTransitions = order.allowedTransitions || [];
+    let refundData = { refunds: [], refundable: 0 };
     try {
-        const notesData = await fetchAPI(`/admin/orders/${orderId}/notes`);
+        const [notesData, historyData, refundsData] = await Promise.all([
+            fetchAPI(`/admin/orders/${orderId}/notes`),
+            fetchAPI(`/admin/orders/${orderId}/history`),
+            fetchAPI(`/admin/orders/${orderId}/refunds`)
+        ]);
         notes = notesData.notes || [];
+        history = historyData.history || [];
+        allowedTransitions = historyData.allowedTransitions || allowedTransitions;
+        refundData = refundsData;
     } catch (e) {
-        // Silent fail for notes
+        // Silent fail for notes, history and refunds
     }
     
     // Ensure items is an array
@@ -924,19 +1061,36 @@ window.viewOrder = async function(orderId) {
         paymentSection.appendChild(discountP);
     }
     
+    // Automatic promotions included in the discount
+    (order.promotions || []).forEach(promotion => {
+        const promotionP = createElement('p', { className: 'text-muted' });
+        promotionP.appendChild(document.createTextNode(`${promotion.name}: -₦${promotion.discount.toLocaleString()}`));
+        paymentSection.appendChild(promotionP);
+    });
+
     // Total
     const totalP = createElement('p', { className: 'text-bold', style: 'font-size: 1.1rem; margin-top: 0.5rem;' });
     totalP.appendChild(createElement('strong', {}, 'Total: '));
     totalP.appendChild(document.createTextNode(`₦${total.toLocaleString()}`));
     paymentSection.appendChild(totalP);
     
+    // Part of the total paid with a gift card; the rest was charged
+    if (order.gift_card_amount > 0) {
+        const giftCardP = createElement('p', {});
+        giftCardP.appendChild(createElement('strong', {}, 'Gift Card: '));
+        giftCardP.appendChild(document.createTextNode(
+            `-₦${order.gift_card_amount.toLocaleString()} (${order.gift_card_id}), ₦${(total - order.gift_card_amount).toLocaleString()} charged`
+        ));
+        paymentSection.appendChild(giftCardP);
+    }
+
     // Payment Status
     const paymentStatus = normalizedOrder.payment_status;
     const paymentMethod = normalizedOrder.payment_method;
     
     const statusP = createElement('p', { style: 'margin-top: 1rem;' });
     statusP.appendChild(createElement('strong', {}, 'Payment Status: '));
-    statusP.appendChild(document.createTextNode(paymentStatus));
+    statusP.appendChild(document.createTextNode(formatStatus(paymentStatus)));
     paymentSection.appendChild(statusP);
     
     const methodP = createElement('p', {});
@@ -946,6 +1100,65 @@ window.viewOrder = async function(orderId) {
     
     container.appendChild(paymentSection);
     
+    container.appendChild(buildRefundSection(orderId, normalizedOrder, refundData));
+
+    // Status History
+    const historySection = createElement('div', { className: 'order-section' });
+    historySection.appendChild(createElement('h4', {}, 'Status History'));
+
+    if (history.length === 0) {
+        historySection.appendChild(createElement('p', { className: 'text-muted' }, 'No status changes recorded'));
+    } else {
+        history.forEach(entry => {
+            const entryDiv = createElement('div', { style: 'margin-bottom: 0.5rem;' });
+            const label = entry.from_status ? `${entry.from_status} → ${entry.to_status}` : entry.to_status;
+            entryDiv.appendChild(createElement('strong', {}, label));
+            entryDiv.appendChild(document.createTextNode(` by ${entry.actor}`));
+            if (entry.reason) {
+                entryDiv.appendChild(createElement('p', { style: 'margin: 0;' }, entry.reason));
+            }
+            entryDiv.appendChild(createElement('small', { className: 'text-muted' }, formatDate(entry.created_at)));
+            historySection.appendChild(entryDiv);
+        });
+    }
+
+    if (allowedTransitions.length > 0) {
+        const statusForm = createElement('div', { className: 'note-form', style: 'margin-top: 1rem;' });
+        const statusSelect = createElement('select', { id: 'orderModalStatus', className: 'input input-sm' });
+        allowedTransitions.forEach(s => {
+            statusSelect.appendChild(createElement('option', { value: s }, formatStatus(s)));
+        });
+        statusForm.appendChild(statusSelect);
+        statusForm.appendChild(createElement('input', {
+            id: 'orderModalStatusReason',
+            type: 'text',
+            className: 'input input-sm',
+            style: 'margin-top: 0.5rem;',
+            placeholder: 'Reason (optional)'
+        }));
+        statusForm.appendChild(createElement('button', {
+            className: 'btn btn-primary btn-sm',
+            style: 'margin-top: 0.5rem;',
+            onclick: async () => {
+                const newStatus = document.getElementById('orderModalStatus').value;
+                const reason = document.getElementById('orderModalStatusReason').value.trim();
+                try {
+                    await fetchAPI(`/admin/orders/${orderId}/status`, {
+                        method: 'POST',
+                        body: { status: newStatus, reason: reason || undefined }
+                    });
+                    showToast(`Order ${orderId} updated to ${newStatus}`, 'success');
+                    await loadOrders();
+                    window.viewOrder(orderId);
+                } catch (error) {
+                    showToast(`Failed to update order: ${error.message}`, 'error');
+                }
+            }
+        }, 'Update Status'));
+        historySection.appendChild(statusForm);
+    }
+    container.appendChild(historySection);
+
     // Order Notes
     const notesSection = createElement('div', { className: 'order-section' });
     notesSection.appendChild(createElement('h4', {}, 'Order Notes'));
@@ -999,6 +1212,129 @@ window.viewOrder = async function(orderId) {
     elements.orderModal.style.display = 'flex';
 };
 
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+function buildRefundSection(orderId, order, { refunds = [], refundable = 0, canRefund = false }) {
+    const section = createElement('div', { className: 'order-section' });
+    section.appendChild(createElement('h4', {}, 'Refunds'));
+
+    if (refunds.length === 0) {
+        section.appendChild(createElement('p', { className: 'text-muted' }, 'No refunds issued'));
+    }
+    refunds.forEach(refund => {
+        const entryDiv = createElement('div', { style: 'margin-bottom: 0.5rem;' });
+        entryDiv.appendChild(createElement('strong', {}, `₦${Number(refund.amount).toLocaleString()}`));
+        entryDiv.appendChild(document.createTextNode(` · ${refund.id} · `));
+        entryDiv.appendChild(createElement('span', { className: `status-badge ${refund.status}` }, formatStatus(refund.status)));
+        if (refund.restocked) {
+            entryDiv.appendChild(document.createTextNode(' · restocked'));
+        }
+        if (refund.reason) {
+            entryDiv.appendChild(createElement('p', { style: 'margin: 0;' }, refund.reason));
+        }
+        if (refund.failure_reason) {
+            entryDiv.appendChild(createElement('p', { className: 'text-muted', style: 'margin: 0;' }, refund.failure_reason));
+        }
+        entryDiv.appendChild(createElement('small', { className: 'text-muted' }, formatDate(refund.created_at)));
+        section.appendChild(entryDiv);
+    });
+
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.payment_status) || !canRefund || refundable <= 0) {
+        return section;
+    }
+
+    const form = createElement('div', { className: 'note-form', style: 'margin-top: 1rem;' });
+    form.appendChild(createElement('input', {
+        id: 'refundAmount',
+        type: 'number',
+        className: 'input input-sm',
+        min: 1,
+        max: refundable,
+        value: refundable,
+        placeholder: `Amount (max ₦${refundable.toLocaleString()})`
+    }));
+    form.appendChild(createElement('input', {
+        id: 'refundReason',
+        type: 'text',
+        className: 'input input-sm',
+        style: 'margin-top: 0.5rem;',
+        placeholder: 'Reason (optional)'
+    }));
+
+    const lines = order.items.filter(item => item.variantId);
+    if (lines.length > 0) {
+        const itemsTable = createElement('table', { className: 'table table-sm', style: 'margin-top: 0.5rem;' });
+        const headerRow = createElement('tr');
+        ['Item', 'Variant', 'Refund Qty'].forEach(text => headerRow.appendChild(createElement('th', {}, text)));
+        itemsTable.appendChild(createElement('thead', {}, headerRow));
+
+        const tbody = createElement('tbody');
+        lines.forEach((item, index) => {
+            const tr = createElement('tr');
+            tr.appendChild(createElement('td', {}, item.name || 'Unknown'));
+            tr.appendChild(createElement('td', {}, `${item.color || 'N/A'} / ${item.size || 'N/A'}`));
+            const tdQty = createElement('td');
+            tdQty.appendChild(createElement('input', {
+                id: `refundQty-${index}`,
+                type: 'number',
+                className: 'input input-sm',
+                style: 'width: 70px;',
+                min: 0,
+                max: item.quantity,
+                value: 0
+            }));
+            tr.appendChild(tdQty);
+            tbody.appendChild(tr);
+        });
+        itemsTable.appendChild(tbody);
+        form.appendChild(itemsTable);
+
+        const restockLabel = createElement('label', { style: 'display: flex; gap: 0.5rem; align-items: center; margin-top: 0.5rem;' });
+        restockLabel.appendChild(createElement('input', { id: 'refundRestock', type: 'checkbox' }));
+        restockLabel.appendChild(document.createTextNode('Put refunded items back into stock'));
+        form.appendChild(restockLabel);
+    }
+
+    form.appendChild(createElement('button', {
+        className: 'btn btn-danger btn-sm',
+        style: 'margin-top: 0.5rem;',
+        onclick: () => submitRefund(orderId, lines)
+    }, 'Refund'));
+    section.appendChild(form);
+
+    return section;
+}
+
+async function submitRefund(orderId, lines) {
+    const amount = parseInt(document.getElementById('refundAmount').value);
+    const reason = document.getElementById('refundReason').value.trim();
+    const items = lines
+        .map((item, index) => ({
+            variantId: item.variantId,
+            quantity: parseInt(document.getElementById(`refundQty-${index}`)?.value) || 0
+        }))
+        .filter(item => item.quantity > 0);
+    const restock = document.getElementById('refundRestock')?.checked || false;
+
+    if (!amount || amount < 1) {
+        showToast('Enter a refund amount', 'error');
+        return;
+    }
+    if (!confirm(`Refund ₦${amount.toLocaleString()} to the customer through Paystack? This cannot be undone.`)) return;
+
+    try {
+        await fetchAPI(`/admin/orders/${orderId}/refunds`, {
+            method: 'POST',
+            body: { amount, reason: reason || undefined, items, restock }
+        });
+        showToast(`Refund issued for order ${orderId}`, 'success');
+        await loadOrders();
+        window.viewOrder(orderId);
+    } catch (error) {
+        showToast(`Refund failed: ${error.message}`, 'error');
+    }
+}
+
 window.closeOrderModal = function() {
     elements.orderModal.style.display = 'none';
 };
@@ -1025,6 +1361,13 @@ window.saveOrderStatus = async function(orderId) {
 // ==========================================
 // PRODUCT MANAGEMENT
 // ==========================================
+// An ISO timestamp as a datetime-local input value, in the admin's time zone
+function toDateTimeLocal(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
 window.editProduct = async function(productId) {
     const product = state.products.find(p => p.id === productId);
     if (!product) return;
@@ -1039,6 +1382,10 @@ window.editProduct = async function(productId) {
     elements.productDescription.value = product.description || '';
     elements.productFeatures.value = (product.features || []).join('\n');
     elements.productTags.value = (product.tags || []).join(', ');
+    elements.productPublishAt.value = toDateTimeLocal(product.publishAt);
+    elements.productPurchaseLimit.value = product.purchaseLimit || '';
+    elements.productWaitingRoom.value = product.waitingRoomMinutes || '';
+    elements.productQueueBatch.value = product.queueBatchSize || '';
     
     // Set up images
     state.productForm.images = product.images || [];
@@ -1047,7 +1394,7 @@ window.editProduct = async function(productId) {
     // Set up variants
     state.productForm.colors = product.colors || [];
     state.productForm.sizes = product.sizes || [];
-    state.productForm.inventory = product.inventory || {};
+    state.productForm.variants = (product.variants || []).map(v => ({ ...v }));
     renderVariantInputs();
     
     elements.productModal.style.display = 'flex';
@@ -1062,7 +1409,7 @@ elements.addProductBtn.addEventListener('click', () => {
         images: [],
         colors: [],
         sizes: [],
-        inventory: {}
+        variants: []
     };
     
     renderImagePreviews();
@@ -1124,8 +1471,13 @@ elements.saveProductBtn.addEventListener('click', async () => {
         features: elements.productFeatures.value.split('\n').filter(f => f.trim()),
         colors: state.productForm.colors,
         sizes: state.productForm.sizes,
-        inventory: state.productForm.inventory,
+        variants: collectFormVariants(),
         tags: elements.productTags.value.split(',').map(t => t.trim()).filter(t => t),
+        // datetime-local is the admin's local time; the server stores UTC
+        publishAt: elements.productPublishAt.value ? new Date(elements.productPublishAt.value).toISOString() : '',
+        purchaseLimit: elements.productPurchaseLimit.value,
+        waitingRoomMinutes: elements.productWaitingRoom.value,
+        queueBatchSize: elements.productQueueBatch.value,
         keepImages: keepImages
     };
     
@@ -1359,32 +1711,64 @@ function renderVariantInputs() {
     renderInventoryGrid();
 }
 
+function formVariantColors() {
+    return state.productForm.colors.length > 0 ? state.productForm.colors : [{ name: 'Default', value: '#ccc' }];
+}
+
+function formVariantSizes() {
+    return state.productForm.sizes.length > 0 ? state.productForm.sizes : ['OS'];
+}
+
+// Find the form entry for a colour/size, creating an empty one on first use
+function getFormVariant(color, size) {
+    let variant = state.productForm.variants.find(v => v.color === color && v.size === size);
+    if (!variant) {
+        variant = { color, size, sku: '', price: null, barcode: '', weight: null, stock: 0 };
+        state.productForm.variants.push(variant);
+    }
+    return variant;
+}
+
+// Variants for the current colour x size grid; rows for removed options are dropped
+function collectFormVariants() {
+    const variants = [];
+    formVariantColors().forEach(color => {
+        formVariantSizes().forEach(size => {
+            const v = getFormVariant(color.name, size);
+            variants.push({
+                id: v.id,
+                color: color.name,
+                size,
+                sku: v.sku || '',
+                price: v.price ?? null,
+                barcode: v.barcode || '',
+                weight: v.weight ?? null,
+                stock: parseInt(v.stock) || 0
+            });
+        });
+    });
+    return variants;
+}
+
 function renderInventoryGrid() {
-    const colors = state.productForm.colors.length > 0 ? state.productForm.colors : [{ name: 'Default', value: '#ccc' }];
-    const sizes = state.productForm.sizes.length > 0 ? state.productForm.sizes : ['OS'];
+    const colors = formVariantColors();
+    const sizes = formVariantSizes();
     
     elements.inventoryContainer.innerHTML = '';
     
-    if (colors.length === 0 || sizes.length === 0) {
-        elements.inventoryContainer.appendChild(
-            createElement('p', { className: 'text-muted' }, 'Add colors and sizes to manage inventory')
-        );
-        return;
-    }
-    
     const table = createElement('table', { className: 'table table-sm' });
     const thead = createElement('thead');
     const headerRow = createElement('tr');
-    headerRow.appendChild(createElement('th', {}, 'Variant'));
-    headerRow.appendChild(createElement('th', {}, 'Stock'));
+    ['Variant', 'SKU', 'Price', 'Barcode', 'Weight (g)', 'Stock'].forEach(label => {
+        headerRow.appendChild(createElement('th', {}, label));
+    });
     thead.appendChild(headerRow);
     table.appendChild(thead);
     
     const tbody = createElement('tbody');
     colors.forEach(color => {
         sizes.forEach(size => {
-            const variantKey = `${color.name}-${size}`;
-            const stock = state.productForm.inventory[variantKey] || 0;
+            const variant = getFormVariant(color.name, size);
             
             const tr = createElement('tr');
             
@@ -1397,17 +1781,27 @@ function renderInventoryGrid() {
             tdVariant.appendChild(document.createTextNode(` ${color.name} / ${size}`));
             tr.appendChild(tdVariant);
             
-            const tdStock = createElement('td');
-            const input = createElement('input', {
-                type: 'number',
-                min: 0,
-                value: stock,
-                className: 'input input-sm',
-                style: 'width: 80px;'
+            const fields = [
+                { key: 'sku', type: 'text', width: '140px', placeholder: 'Auto' },
+                { key: 'price', type: 'number', width: '100px', placeholder: 'Base' },
+                { key: 'barcode', type: 'text', width: '130px', placeholder: '' },
+                { key: 'weight', type: 'number', width: '80px', placeholder: '' },
+                { key: 'stock', type: 'number', width: '80px', placeholder: '0' }
+            ];
+            fields.forEach(field => {
+                const td = createElement('td');
+                const input = createElement('input', {
+                    type: field.type,
+                    value: variant[field.key] ?? '',
+                    placeholder: field.placeholder,
+                    className: 'input input-sm',
+                    style: `width: ${field.width};`
+                });
+                if (field.type === 'number') input.min = 0;
+                input.addEventListener('change', e => window.updateVariantField(color.name, size, field.key, e.target.value));
+                td.appendChild(input);
+                tr.appendChild(td);
             });
-            input.addEventListener('change', (e) => updateInventoryValue(variantKey, e.target.value));
-            tdStock.appendChild(input);
-            tr.appendChild(tdStock);
             
             tbody.appendChild(tr);
         });
@@ -1417,8 +1811,16 @@ function renderInventoryGrid() {
     elements.inventoryContainer.appendChild(table);
 }
 
-window.updateInventoryValue = function(variantKey, value) {
-    state.productForm.inventory[variantKey] = parseInt(value) || 0;
+window.updateVariantField = function (color, size, key, value) {
+    const variant = getFormVariant(color, size);
+    if (key === 'sku' || key === 'barcode') {
+        variant[key] = value.trim();
+    } else if (key === 'stock') {
+        variant.stock = parseInt(value) || 0;
+    } else {
+        const parsed = parseInt(value);
+        variant[key] = isNaN(parsed) ? null : parsed;
+    }
 };
 
 // ==========================================
@@ -1426,19 +1828,45 @@ window.updateInventoryValue = function(variantKey, value) {
 // ==========================================
 let currentInventoryEdit = null;
 
-window.editInventory = async function(productId, color, size, currentStock) {
-    const product = state.products.find(p => p.id === productId);
-    
-    currentInventoryEdit = { productId, color, size };
-    
-    elements.inventoryProductName.textContent = product?.name || 'Unknown Product';
-    elements.inventoryVariant.textContent = `${color} / ${size}`;
-    elements.inventoryCurrentStock.textContent = currentStock;
-    elements.inventoryNewStock.value = currentStock;
+window.editInventory = async function (variantId) {
+    const item = state.inventory.find(i => i.variantId === variantId);
+    if (!item) return;
+
+    currentInventoryEdit = { variantId };
+
+    elements.inventoryProductName.textContent = item.productName || 'Unknown Product';
+    elements.inventoryVariant.textContent = `${item.color} / ${item.size}${item.sku ? ` (${item.sku})` : ''}`;
+    elements.inventoryCurrentStock.textContent = item.total;
+    elements.inventoryNewStock.value = item.total;
+    elements.inventoryNotes.value = '';
+    loadInventoryMovements(variantId);
     
     elements.inventoryModal.style.display = 'flex';
 };
 
+async function loadInventoryMovements(variantId) {
+    elements.inventoryMovements.textContent = 'Loading...';
+    try {
+        const data = await fetchAPI(`/admin/inventory/movements?variantId=${encodeURIComponent(variantId)}&limit=10`);
+        const movements = data.movements || [];
+        elements.inventoryMovements.innerHTML = '';
+        if (movements.length === 0) {
+            elements.inventoryMovements.textContent = 'No movements yet';
+            return;
+        }
+        movements.forEach(m => {
+            const change = m.quantity_change > 0 ? `+${m.quantity_change}` : String(m.quantity_change);
+            const reference = m.reference_id ? ` · ${m.reference_id}` : '';
+            const row = createElement('div', {},
+                `${formatDate(m.created_at)} · ${m.movement_type} ${change} (${m.quantity_before} → ${m.quantity_after})${reference}`
+            );
+            elements.inventoryMovements.appendChild(row);
+        });
+    } catch {
+        elements.inventoryMovements.textContent = 'Could not load movements';
+    }
+}
+
 window.closeInventoryModal = function() {
     elements.inventoryModal.style.display = 'none';
     currentInventoryEdit = null;
@@ -1450,13 +1878,9 @@ elements.updateInventoryBtn.addEventListener('click', async () => {
     const newStock = parseInt(elements.inventoryNewStock.value);
     
     try {
-        await fetchAPI(`/admin/inventory/${currentInventoryEdit.productId}`, {
+        await fetchAPI(`/admin/inventory/variants/${currentInventoryEdit.variantId}`, {
             method: 'POST',
-            body: {
-                color: currentInventoryEdit.color,
-                size: currentInventoryEdit.size,
-                quantity: newStock
-            }
+            body: { quantity: newStock, notes: elements.inventoryNotes.value.trim() || undefined }
         });
         
         showToast('Inventory updated!', 'success');
@@ -1506,6 +1930,10 @@ async function fetchAPI(endpoint, options = {}) {
     return data;
 }
 
+function formatStatus(status) {
+    return status.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
 function formatDate(dateString) {
     if (!dateString) return 'N/A';
     const date = new Date(dateString);
@@ -1667,463 +2095,1906 @@ window.viewCustomer = async function(email) {
 };
 
 // ==========================================
-// REVIEW MANAGEMENT
+// RETURN MANAGEMENT
 // ==========================================
 
-let reviewsState = [];
+const RETURN_REASONS = {
+    wrong_size: 'Wrong size',
+    not_as_described: 'Not as described',
+    defective: 'Damaged or defective',
+    wrong_item: 'Wrong item sent',
+    changed_mind: 'Changed mind',
+    other: 'Other'
+};
 
-async function loadReviews() {
+// Return status → admin action endpoint and button label
+const RETURN_ACTIONS = {
+    approved: { action: 'approve', label: 'Approve', className: 'btn-success' },
+    received: { action: 'receive', label: 'Mark Received', className: 'btn-primary' },
+    inspected: { action: 'inspect', label: 'Save Inspection', className: 'btn-primary' },
+    refunded: { action: 'refund', label: 'Record Refund', className: 'btn-primary' },
+    rejected: { action: 'reject', label: 'Reject', className: 'btn-danger' }
+};
+
+async function loadReturns() {
     showLoading(true);
     try {
-        const data = await fetchAPI('/admin/reviews');
-        reviewsState = data.reviews || [];
-        renderReviewsTable(reviewsState);
-        updatePendingReviewsCount();
+        const data = await fetchAPI('/admin/returns');
+        state.returns = data.returns || [];
+        renderReturnsTable(state.returns);
+        updatePendingReturnsCount();
     } catch (error) {
-        elements.reviewsTable.innerHTML = '';
-        const tr = createElement('tr', {}, 
-            createElement('td', { colspan: 7, className: 'text-center' }, 'Error loading reviews')
-        );
-        elements.reviewsTable.appendChild(tr);
+        console.error('[ADMIN] Failed to load returns:', error);
+        elements.returnsTable.innerHTML = '';
+        elements.returnsTable.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 7, className: 'text-center' }, 'Error loading returns')
+        ));
     } finally {
         showLoading(false);
     }
 }
 
-function renderReviewsTable(reviews) {
-    const filter = document.getElementById('reviewFilter')?.value || 'pending';
-    
-    let filtered = reviews;
-    if (filter !== 'all') {
-        filtered = reviews.filter(r => r.status === filter);
-    }
-    
-    elements.reviewsTable.innerHTML = '';
-    
+function renderReturnsTable(returns) {
+    const filter = elements.returnFilter?.value || 'all';
+    const filtered = filter === 'all' ? returns : returns.filter(r => r.status === filter);
+
+    elements.returnsTable.innerHTML = '';
+
     if (filtered.length === 0) {
-        const tr = createElement('tr', {}, 
-            createElement('td', { colspan: 8, className: 'text-center' }, 
-                filter === 'pending' ? 'No pending reviews' : 'No reviews found'
-            )
-        );
-        elements.reviewsTable.appendChild(tr);
+        elements.returnsTable.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 7, className: 'text-center' }, 'No returns found')
+        ));
         return;
     }
-    
-    filtered.forEach(review => {
+
+    filtered.forEach(rma => {
         const tr = createElement('tr');
-        
-        // Product
-        tr.appendChild(createElement('td', {}, review.product_name || review.productId));
-        
-        // Customer
-        tr.appendChild(createElement('td', {}, review.customer_name || review.customerName || 'Anonymous'));
-        
-        // Rating
-        const stars = '★'.repeat(review.rating) + '☆'.repeat(5 - review.rating);
-        tr.appendChild(createElement('td', {}, 
-            createElement('span', { style: 'color: #f59e0b;' }, stars)
+        tr.appendChild(createElement('td', {}, createElement('strong', {}, rma.id)));
+        tr.appendChild(createElement('td', {}, rma.order_id));
+        tr.appendChild(createElement('td', {}, rma.customer_name || rma.customer_email));
+        tr.appendChild(createElement('td', {}, formatDate(rma.created_at)));
+        tr.appendChild(createElement('td', {}, String(rma.item_count || 0)));
+        tr.appendChild(createElement('td', {},
+            createElement('span', { className: `status-badge ${rma.status}` }, rma.status)
         ));
-        
-        // Title
-        tr.appendChild(createElement('td', {}, review.title || '-'));
-        
-        // Date
-        tr.appendChild(createElement('td', {}, formatDate(review.created_at)));
-        
-        // Verified
-        const verifiedToggle = createElement('input', {
-            type: 'checkbox',
-            checked: review.verified_purchase || review.verifiedPurchase,
-            onchange: (e) => toggleReviewVerified(review.id, e.target.checked)
-        });
-        tr.appendChild(createElement('td', { className: 'text-center' }, verifiedToggle));
-        
-        // Status
-        const statusBadge = createElement('span', { 
-            className: `status-badge ${review.status}` 
-        }, review.status);
-        tr.appendChild(createElement('td', {}, statusBadge));
-        
-        // Actions
+
         const tdActions = createElement('td');
-        
-        if (review.status === 'pending') {
-            const approveBtn = createElement('button', {
-                className: 'btn btn-sm btn-success',
-                style: 'margin-right: 0.5rem;',
-                onclick: () => updateReviewStatus(review.id, 'approved')
-            }, 'Approve');
-            const rejectBtn = createElement('button', {
-                className: 'btn btn-sm btn-danger',
-                onclick: () => updateReviewStatus(review.id, 'rejected')
-            }, 'Reject');
-            tdActions.appendChild(approveBtn);
-            tdActions.appendChild(rejectBtn);
-        } else {
-            const deleteBtn = createElement('button', {
-                className: 'btn btn-sm btn-danger',
+        tdActions.appendChild(createElement('button', {
+            className: 'btn btn-sm btn-secondary',
+            onclick: () => window.viewReturn(rma.id)
+        }, 'View'));
+        tr.appendChild(tdActions);
+
+        elements.returnsTable.appendChild(tr);
+    });
+}
+
+function updatePendingReturnsCount() {
+    const pendingCount = state.returns.filter(r => r.status === 'requested').length;
+    const badge = document.getElementById('pendingReturnsCount');
+    if (badge) {
+        badge.textContent = pendingCount;
+        badge.style.display = pendingCount > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+window.viewReturn = async function (returnId) {
+    let rma;
+    try {
+        rma = (await fetchAPI(`/admin/returns/${returnId}`)).return;
+    } catch (error) {
+        showToast(`Failed to load return: ${error.message}`, 'error');
+        return;
+    }
+
+    elements.orderModalTitle.textContent = `Return ${rma.id}`;
+    elements.orderModalBody.innerHTML = '';
+
+    const container = createElement('div', { className: 'order-details' });
+
+    // Summary
+    const summarySection = createElement('div', { className: 'order-section' });
+    summarySection.appendChild(createElement('h4', {}, 'Return Details'));
+    [
+        ['Order: ', rma.order_id],
+        ['Customer: ', rma.customer_email],
+        ['Status: ', formatStatus(rma.status)],
+        ['Requested: ', formatDate(rma.created_at)],
+        ['Customer Notes: ', rma.customer_notes || 'None'],
+        ['Admin Notes: ', rma.admin_notes || 'None']
+    ].forEach(([label, value]) => {
+        const p = createElement('p', {});
+        p.appendChild(createElement('strong', {}, label));
+        p.appendChild(document.createTextNode(value));
+        summarySection.appendChild(p);
+    });
+    if (rma.refund_amount !== null && rma.refund_amount !== undefined) {
+        const p = createElement('p', {});
+        p.appendChild(createElement('strong', {}, 'Refunded: '));
+        p.appendChild(document.createTextNode(`₦${Number(rma.refund_amount).toLocaleString()}`));
+        summarySection.appendChild(p);
+    }
+    container.appendChild(summarySection);
+
+    // Items, with inputs for the step the return is at
+    const itemsSection = createElement('div', { className: 'order-section' });
+    itemsSection.appendChild(createElement('h4', {}, `Items (${rma.items.length})`));
+
+    const itemsTable = createElement('table', { className: 'table table-sm' });
+    const headerRow = createElement('tr');
+    ['Item', 'Variant', 'Qty', 'Reason', 'Received', 'Condition'].forEach(text => {
+        headerRow.appendChild(createElement('th', {}, text));
+    });
+    itemsTable.appendChild(createElement('thead', {}, headerRow));
+
+    const tbody = createElement('tbody');
+    rma.items.forEach(item => {
+        const tr = createElement('tr');
+        tr.appendChild(createElement('td', {}, item.name));
+        tr.appendChild(createElement('td', {}, `${item.color || 'N/A'} / ${item.size || 'N/A'}`));
+        tr.appendChild(createElement('td', {}, String(item.quantity)));
+        tr.appendChild(createElement('td', {}, RETURN_REASONS[item.reason] || item.reason));
+
+        const tdReceived = createElement('td');
+        if (rma.status === 'approved') {
+            tdReceived.appendChild(createElement('input', {
+                id: `returnReceived-${item.id}`,
+                type: 'number',
+                className: 'input input-sm',
+                style: 'width: 70px;',
+                min: 0,
+                max: item.quantity,
+                value: item.quantity
+            }));
+        } else {
+            tdReceived.textContent = ['requested', 'rejected'].includes(rma.status) ? '-' : String(item.received_quantity);
+        }
+        tr.appendChild(tdReceived);
+
+        const tdCondition = createElement('td');
+        if (rma.status === 'received' && item.received_quantity > 0) {
+            const select = createElement('select', { id: `returnCondition-${item.id}`, className: 'input input-sm' });
+            select.appendChild(createElement('option', { value: 'resellable' }, 'Resellable'));
+            select.appendChild(createElement('option', { value: 'damaged' }, 'Damaged'));
+            tdCondition.appendChild(select);
+        } else {
+            tdCondition.textContent = item.condition ? formatStatus(item.condition) : '-';
+        }
+        tr.appendChild(tdCondition);
+
+        tbody.appendChild(tr);
+    });
+    itemsTable.appendChild(tbody);
+    itemsSection.appendChild(itemsTable);
+    container.appendChild(itemsSection);
+
+    // Next steps
+    if (rma.allowedTransitions.length > 0) {
+        const actionSection = createElement('div', { className: 'order-section' });
+        actionSection.appendChild(createElement('h4', {}, 'Update Return'));
+
+        if (rma.allowedTransitions.includes('refunded')) {
+            const refundable = rma.items.reduce((sum, item) => sum + item.unit_price * item.received_quantity, 0);
+            actionSection.appendChild(createElement('input', {
+                id: 'returnRefundAmount',
+                type: 'number',
+                className: 'input input-sm',
+                min: 0,
+                max: refundable,
+                value: refundable,
+                placeholder: 'Refund amount (₦)'
+            }));
+        }
+        actionSection.appendChild(createElement('input', {
+            id: 'returnAdminNotes',
+            type: 'text',
+            className: 'input input-sm',
+            style: 'margin-top: 0.5rem;',
+            placeholder: 'Notes (optional)'
+        }));
+
+        const buttons = createElement('div', { style: 'margin-top: 0.5rem; display: flex; gap: 0.5rem;' });
+        rma.allowedTransitions.forEach(status => {
+            const { action, label, className } = RETURN_ACTIONS[status];
+            buttons.appendChild(createElement('button', {
+                className: `btn btn-sm ${className}`,
+                onclick: () => submitReturnAction(rma, action)
+            }, label));
+        });
+        actionSection.appendChild(buttons);
+        container.appendChild(actionSection);
+    }
+
+    elements.orderModalBody.appendChild(container);
+    elements.orderModal.style.display = 'flex';
+};
+
+async function submitReturnAction(rma, action) {
+    const body = { notes: document.getElementById('returnAdminNotes')?.value.trim() || undefined };
+
+    if (action === 'receive') {
+        body.items = rma.items.map(item => ({
+            id: item.id,
+            quantity: parseInt(document.getElementById(`returnReceived-${item.id}`)?.value) || 0
+        }));
+    }
+    if (action === 'inspect') {
+        body.items = rma.items.map(item => ({
+            id: item.id,
+            condition: document.getElementById(`returnCondition-${item.id}`)?.value || 'resellable'
+        }));
+    }
+    if (action === 'refund') {
+        body.amount = parseInt(document.getElementById('returnRefundAmount')?.value);
+    }
+    if (action === 'reject' && !confirm(`Reject return ${rma.id}?`)) return;
+
+    try {
+        await fetchAPI(`/admin/returns/${rma.id}/${action}`, { method: 'POST', body });
+        showToast(`Return ${rma.id} updated`, 'success');
+        await loadReturns();
+        window.viewReturn(rma.id);
+    } catch (error) {
+        showToast(`Failed to update return: ${error.message}`, 'error');
+    }
+}
+
+// ==========================================
+// PAYMENT WEBHOOKS
+// ==========================================
+async function loadWebhooks() {
+    const params = new URLSearchParams({ status: elements.webhookFilter?.value || 'all' });
+    const search = elements.webhookSearch?.value.trim();
+    if (search) params.set('search', search);
+
+    showLoading(true);
+    try {
+        const data = await fetchAPI(`/admin/webhooks?${params}`);
+        state.webhooks = data.events || [];
+        renderWebhooksTable(state.webhooks);
+    } catch (error) {
+        console.error('[ADMIN] Failed to load webhooks:', error);
+        elements.webhooksTable.innerHTML = '';
+        elements.webhooksTable.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 7, className: 'text-center' }, 'Error loading webhooks')
+        ));
+    } finally {
+        showLoading(false);
+    }
+}
+
+function renderWebhooksTable(events) {
+    elements.webhooksTable.innerHTML = '';
+
+    if (events.length === 0) {
+        elements.webhooksTable.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 7, className: 'text-center' }, 'No webhook events found')
+        ));
+        return;
+    }
+
+    events.forEach(event => {
+        const tr = createElement('tr');
+        tr.appendChild(createElement('td', {}, formatDate(event.created_at)));
+
+        const tdEvent = createElement('td');
+        tdEvent.appendChild(createElement('strong', {}, event.event_type));
+        tdEvent.appendChild(createElement('small', { className: 'text-muted', style: 'display: block;' }, event.provider));
+        tr.appendChild(tdEvent);
+
+        tr.appendChild(createElement('td', {}, event.order_id || event.reference || '-'));
+        tr.appendChild(createElement('td', {}, event.amount !== null ? `₦${Number(event.amount).toLocaleString()}` : '-'));
+        tr.appendChild(createElement('td', {},
+            createElement('span', { className: `status-badge ${event.status}`, title: event.result || '' }, formatStatus(event.status))
+        ));
+        tr.appendChild(createElement('td', {}, event.duplicates > 0 ? `${event.attempts} (+${event.duplicates} dup)` : String(event.attempts)));
+
+        const tdActions = createElement('td');
+        tdActions.appendChild(createElement('button', {
+            className: 'btn btn-sm btn-secondary',
+            onclick: () => window.viewWebhook(event.id)
+        }, 'View'));
+        tr.appendChild(tdActions);
+
+        elements.webhooksTable.appendChild(tr);
+    });
+}
+
+window.viewWebhook = async function (eventId) {
+    let event;
+    try {
+        event = (await fetchAPI(`/admin/webhooks/${eventId}`)).event;
+    } catch (error) {
+        showToast(`Failed to load webhook: ${error.message}`, 'error');
+        return;
+    }
+
+    elements.orderModalTitle.textContent = `Webhook ${event.id}`;
+    elements.orderModalBody.innerHTML = '';
+
+    const container = createElement('div', { className: 'order-details' });
+
+    const summarySection = createElement('div', { className: 'order-section' });
+    summarySection.appendChild(createElement('h4', {}, 'Event Details'));
+    [
+        ['Event: ', `${event.event_type} (${event.provider})`],
+        ['Event ID: ', event.event_id],
+        ['Reference: ', event.reference || '-'],
+        ['Order: ', event.order_id || '-'],
+        ['Amount: ', event.amount !== null ? `${event.currency || ''} ${Number(event.amount).toLocaleString()}`.trim() : '-'],
+        ['Status: ', formatStatus(event.status)],
+        ['Result: ', event.result || '-'],
+        ['Attempts: ', `${event.attempts}, ${event.duplicates} duplicate deliveries`],
+        ['Received: ', formatDate(event.created_at)],
+        ['Processed: ', event.processed_at ? formatDate(event.processed_at) : '-']
+    ].forEach(([label, value]) => {
+        const p = createElement('p', {});
+        p.appendChild(createElement('strong', {}, label));
+        p.appendChild(document.createTextNode(value));
+        summarySection.appendChild(p);
+    });
+    summarySection.appendChild(createElement('button', {
+        className: 'btn btn-sm btn-primary',
+        style: 'margin-top: 0.5rem;',
+        onclick: () => replayWebhook(event)
+    }, 'Replay Event'));
+    container.appendChild(summarySection);
+
+    const payloadSection = createElement('div', { className: 'order-section' });
+    payloadSection.appendChild(createElement('h4', {}, 'Payload'));
+    payloadSection.appendChild(createElement('pre', { className: 'webhook-payload' }, JSON.stringify(event.payload, null, 2)));
+    container.appendChild(payloadSection);
+
+    elements.orderModalBody.appendChild(container);
+    elements.orderModal.style.display = 'flex';
+};
+
+async function replayWebhook(event) {
+    if (!confirm(`Replay ${event.event_type} ${event.id}? Orders it has already updated are left as they are.`)) return;
+
+    try {
+        const { event: replayed } = await fetchAPI(`/admin/webhooks/${event.id}/replay`, { method: 'POST' });
+        showToast(`Replayed: ${replayed.result || formatStatus(replayed.status)}`, replayed.status === 'failed' ? 'error' : 'success');
+        await loadWebhooks();
+        window.viewWebhook(event.id);
+    } catch (error) {
+        showToast(`Replay failed: ${error.message}`, 'error');
+        await loadWebhooks();
+    }
+}
+
+const RECONCILIATION_ISSUES = {
+    amount_mismatch: 'Amount mismatch',
+    paid_cancelled: 'Paid but cancelled',
+    orphan_payment: 'Orphan payment',
+    unverified: 'Could not verify'
+};
+
+async function loadReconciliation() {
+    try {
+        const { latest } = await fetchAPI('/admin/reconciliation');
+        renderReconciliation(latest);
+    } catch (error) {
+        console.error('[ADMIN] Failed to load reconciliation:', error);
+    }
+}
+
+function renderReconciliation(run) {
+    const summaryEl = document.getElementById('reconciliationSummary');
+    const badge = document.getElementById('reconciliationIssuesCount');
+    elements.reconciliationTable.innerHTML = '';
+    if (!run) return;
+
+    const { checked = 0, paid = 0, failed = 0, expired = 0 } = run.summary;
+    summaryEl.textContent = run.status === 'failed'
+        ? `Last run ${formatDate(run.started_at)} failed: ${run.error}`
+        : `Last run ${formatDate(run.started_at)} (${run.triggered_by}): checked ${checked} pending payments, ` +
+          `marked ${paid} paid and ${failed} failed, expired ${expired} abandoned orders.`;
+
+    if (badge) {
+        badge.textContent = run.issues.length;
+        badge.style.display = run.issues.length > 0 ? 'inline-flex' : 'none';
+    }
+
+    if (run.issues.length === 0) {
+        elements.reconciliationTable.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 4, className: 'text-center' }, 'No issues')
+        ));
+        return;
+    }
+
+    run.issues.forEach(issue => {
+        const tr = createElement('tr');
+        tr.appendChild(createElement('td', {},
+            createElement('span', { className: `status-badge ${issue.type === 'unverified' ? 'pending' : 'failed'}` }, RECONCILIATION_ISSUES[issue.type] || issue.type)
+        ));
+
+        const tdOrder = createElement('td');
+        if (issue.orderId && issue.type !== 'orphan_payment') {
+            tdOrder.appendChild(createElement('a', { href: '#', onclick: e => { e.preventDefault(); window.viewOrder(issue.orderId); } }, issue.orderId));
+        } else {
+            tdOrder.textContent = issue.reference || issue.orderId || '-';
+        }
+        tr.appendChild(tdOrder);
+
+        tr.appendChild(createElement('td', {}, issue.amount !== null && issue.amount !== undefined ? `₦${Number(issue.amount).toLocaleString()}` : '-'));
+        tr.appendChild(createElement('td', {}, issue.details || ''));
+        elements.reconciliationTable.appendChild(tr);
+    });
+}
+
+async function runReconciliationNow() {
+    showLoading(true);
+    try {
+        const { run } = await fetchAPI('/admin/reconciliation/run', { method: 'POST' });
+        renderReconciliation(run);
+        showToast(`Reconciliation finished with ${run.issues.length} issue(s)`, run.issues.length ? 'warning' : 'success');
+        loadWebhooks();
+    } catch (error) {
+        showToast(`Reconciliation failed: ${error.message}`, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// ==========================================
+// GIFT CARDS
+// ==========================================
+const GIFT_CARD_TRANSACTION_LABELS = {
+    issue: 'Issued',
+    redeem: 'Spent',
+    release: 'Given back',
+    adjust: 'Adjusted',
+    void: 'Voided'
+};
+
+async function loadGiftCards() {
+    const params = new URLSearchParams();
+    const status = document.getElementById('giftCardFilter')?.value;
+    const search = document.getElementById('giftCardSearch')?.value.trim();
+    if (status) params.set('status', status);
+    if (search) params.set('search', search);
+
+    const tbody = document.getElementById('giftCardsTable');
+    showLoading(true);
+    try {
+        const data = await fetchAPI(`/admin/gift-cards?${params}`);
+        state.giftCards = data.giftCards || [];
+        renderGiftCardsTable(state.giftCards);
+    } catch (error) {
+        console.error('[ADMIN] Failed to load gift cards:', error);
+        tbody.innerHTML = '';
+        tbody.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 6, className: 'text-center' }, 'Error loading gift cards')
+        ));
+    } finally {
+        showLoading(false);
+    }
+}
+
+function renderGiftCardsTable(giftCards) {
+    const tbody = document.getElementById('giftCardsTable');
+    tbody.innerHTML = '';
+
+    if (giftCards.length === 0) {
+        tbody.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 6, className: 'text-center' }, 'No gift cards found')
+        ));
+        return;
+    }
+
+    giftCards.forEach(card => {
+        const tr = createElement('tr');
+        const tdCard = createElement('td');
+        tdCard.appendChild(createElement('strong', {}, card.id));
+        tdCard.appendChild(createElement('div', { className: 'text-muted' }, card.lastFour ? `Ending ${card.lastFour}` : 'Not sent yet'));
+        tr.appendChild(tdCard);
+        tr.appendChild(createElement('td', {}, `${card.recipientName} (${card.recipientEmail})`));
+        tr.appendChild(createElement('td', {},
+            `₦${card.balance.toLocaleString()} / ₦${card.initialAmount.toLocaleString()}`));
+        tr.appendChild(createElement('td', {},
+            card.sentAt ? new Date(card.sentAt).toLocaleString() : `Due ${new Date(card.sendAt).toLocaleString()}`));
+        tr.appendChild(createElement('td', {},
+            createElement('span', { className: `status-badge ${card.status}` }, card.status)
+        ));
+
+        const tdActions = createElement('td');
+        tdActions.appendChild(createElement('button', {
+            className: 'btn btn-sm btn-secondary',
+            onclick: () => window.viewGiftCard(card.id)
+        }, 'View'));
+        tr.appendChild(tdActions);
+
+        tbody.appendChild(tr);
+    });
+}
+
+window.viewGiftCard = async function (giftCardId) {
+    let card;
+    try {
+        card = (await fetchAPI(`/admin/gift-cards/${encodeURIComponent(giftCardId)}`)).giftCard;
+    } catch (error) {
+        showToast(`Failed to load gift card: ${error.message}`, 'error');
+        return;
+    }
+
+    elements.orderModalTitle.textContent = `Gift Card ${card.id}`;
+    elements.orderModalBody.innerHTML = '';
+
+    const container = createElement('div', { className: 'order-details' });
+
+    const summarySection = createElement('div', { className: 'order-section' });
+    summarySection.appendChild(createElement('h4', {}, 'Gift Card Details'));
+    [
+        ['Code: ', card.lastFour ? `Ending ${card.lastFour}` : 'Created when the card is sent'],
+        ['Balance: ', `₦${card.balance.toLocaleString()} of ₦${card.initialAmount.toLocaleString()}`],
+        ['Status: ', formatStatus(card.status)],
+        ['From: ', `${card.purchaserName} (${card.purchaserEmail})`],
+        ['To: ', `${card.recipientName} (${card.recipientEmail})`],
+        ['Message: ', card.message || '-'],
+        ['Sent: ', card.sentAt ? new Date(card.sentAt).toLocaleString() : `Due ${new Date(card.sendAt).toLocaleString()}`],
+        ['Bought With: ', card.orderId || '-']
+    ].forEach(([label, value]) => {
+        const p = createElement('p', {});
+        p.appendChild(createElement('strong', {}, label));
+        p.appendChild(document.createTextNode(value));
+        summarySection.appendChild(p);
+    });
+    container.appendChild(summarySection);
+
+    const ledgerSection = createElement('div', { className: 'order-section' });
+    ledgerSection.appendChild(createElement('h4', {}, 'Ledger'));
+    const ledgerTable = createElement('table', { className: 'table table-sm' });
+    const headerRow = createElement('tr');
+    ['Date', 'Change', 'Amount', 'Balance', 'Order', 'Note', 'By'].forEach(text => {
+        headerRow.appendChild(createElement('th', {}, text));
+    });
+    ledgerTable.appendChild(createElement('thead', {}, headerRow));
+    const tbody = createElement('tbody');
+    card.transactions.forEach(entry => {
+        const tr = createElement('tr');
+        tr.appendChild(createElement('td', {}, new Date(entry.createdAt).toLocaleString()));
+        tr.appendChild(createElement('td', {}, GIFT_CARD_TRANSACTION_LABELS[entry.type] || entry.type));
+        tr.appendChild(createElement('td', {},
+            `${entry.amount < 0 ? '-' : '+'}₦${Math.abs(entry.amount).toLocaleString()}`));
+        tr.appendChild(createElement('td', {}, `₦${entry.balanceAfter.toLocaleString()}`));
+        tr.appendChild(createElement('td', {}, entry.orderId || '-'));
+        tr.appendChild(createElement('td', {}, entry.note || '-'));
+        tr.appendChild(createElement('td', {}, entry.actor || '-'));
+        tbody.appendChild(tr);
+    });
+    ledgerTable.appendChild(tbody);
+    ledgerSection.appendChild(ledgerTable);
+    container.appendChild(ledgerSection);
+
+    if (canUse('payments', 'write') && card.status === 'active') {
+        const form = createElement('div', { className: 'order-section note-form' });
+        form.appendChild(createElement('h4', {}, 'Adjust Balance'));
+        form.appendChild(createElement('input', {
+            id: 'giftCardAdjustAmount',
+            type: 'number',
+            className: 'input input-sm',
+            placeholder: 'Amount to add, or negative to take off'
+        }));
+        form.appendChild(createElement('input', {
+            id: 'giftCardAdjustNote',
+            type: 'text',
+            className: 'input input-sm',
+            style: 'margin-top: 0.5rem;',
+            placeholder: 'Reason (required)'
+        }));
+        const buttons = createElement('div', { style: 'display: flex; gap: 0.5rem; margin-top: 0.5rem;' });
+        buttons.appendChild(createElement('button', {
+            className: 'btn btn-sm btn-primary',
+            onclick: () => adjustGiftCardBalance(card)
+        }, 'Adjust Balance'));
+        buttons.appendChild(createElement('button', {
+            className: 'btn btn-sm btn-danger',
+            onclick: () => voidGiftCardNow(card)
+        }, 'Void Card'));
+        form.appendChild(buttons);
+        container.appendChild(form);
+    }
+
+    elements.orderModalBody.appendChild(container);
+    elements.orderModal.style.display = 'flex';
+};
+
+async function adjustGiftCardBalance(card) {
+    const amount = parseInt(document.getElementById('giftCardAdjustAmount').value);
+    const note = document.getElementById('giftCardAdjustNote').value.trim();
+    if (!amount) {
+        showToast('Enter an amount to add or take off', 'error');
+        return;
+    }
+    if (!note) {
+        showToast('Enter a reason for the adjustment', 'error');
+        return;
+    }
+
+    try {
+        await fetchAPI(`/admin/gift-cards/${encodeURIComponent(card.id)}/adjust`, {
+            method: 'POST',
+            body: { amount, note }
+        });
+        showToast(`Gift card ${card.id} adjusted`, 'success');
+        await loadGiftCards();
+        window.viewGiftCard(card.id);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function voidGiftCardNow(card) {
+    if (!confirm(`Void ${card.id}? Its ₦${card.balance.toLocaleString()} balance can no longer be spent.`)) return;
+    const note = document.getElementById('giftCardAdjustNote').value.trim();
+
+    try {
+        await fetchAPI(`/admin/gift-cards/${encodeURIComponent(card.id)}/void`, {
+            method: 'POST',
+            body: { note: note || undefined }
+        });
+        showToast(`Gift card ${card.id} voided`, 'success');
+        await loadGiftCards();
+        window.viewGiftCard(card.id);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// ==========================================
+// REVIEW MANAGEMENT
+// ==========================================
+
+let reviewsState = [];
+
+async function loadReviews() {
+    showLoading(true);
+    try {
+        const data = await fetchAPI('/admin/reviews');
+        reviewsState = data.reviews || [];
+        renderReviewsTable(reviewsState);
+        updatePendingReviewsCount();
+    } catch (error) {
+        elements.reviewsTable.innerHTML = '';
+        const tr = createElement('tr', {}, 
+            createElement('td', { colspan: 7, className: 'text-center' }, 'Error loading reviews')
+        );
+        elements.reviewsTable.appendChild(tr);
+    } finally {
+        showLoading(false);
+    }
+}
+
+function renderReviewsTable(reviews) {
+    const filter = document.getElementById('reviewFilter')?.value || 'pending';
+    
+    let filtered = reviews;
+    if (filter !== 'all') {
+        filtered = reviews.filter(r => r.status === filter);
+    }
+    
+    elements.reviewsTable.innerHTML = '';
+    
+    if (filtered.length === 0) {
+        const tr = createElement('tr', {}, 
+            createElement('td', { colspan: 8, className: 'text-center' }, 
+                filter === 'pending' ? 'No pending reviews' : 'No reviews found'
+            )
+        );
+        elements.reviewsTable.appendChild(tr);
+        return;
+    }
+    
+    filtered.forEach(review => {
+        const tr = createElement('tr');
+        
+        // Product
+        tr.appendChild(createElement('td', {}, review.product_name || review.productId));
+        
+        // Customer
+        tr.appendChild(createElement('td', {}, review.customer_name || review.customerName || 'Anonymous'));
+        
+        // Rating
+        const stars = '★'.repeat(review.rating) + '☆'.repeat(5 - review.rating);
+        tr.appendChild(createElement('td', {}, 
+            createElement('span', { style: 'color: #f59e0b;' }, stars)
+        ));
+        
+        // Title
+        tr.appendChild(createElement('td', {}, review.title || '-'));
+        
+        // Date
+        tr.appendChild(createElement('td', {}, formatDate(review.created_at)));
+        
+        // Verified
+        const verifiedToggle = createElement('input', {
+            type: 'checkbox',
+            checked: review.verified_purchase || review.verifiedPurchase,
+            onchange: (e) => toggleReviewVerified(review.id, e.target.checked)
+        });
+        tr.appendChild(createElement('td', { className: 'text-center' }, verifiedToggle));
+        
+        // Status
+        const statusBadge = createElement('span', { 
+            className: `status-badge ${review.status}` 
+        }, review.status);
+        tr.appendChild(createElement('td', {}, statusBadge));
+        
+        // Actions
+        const tdActions = createElement('td');
+        
+        if (review.status === 'pending') {
+            const approveBtn = createElement('button', {
+                className: 'btn btn-sm btn-success',
+                style: 'margin-right: 0.5rem;',
+                onclick: () => updateReviewStatus(review.id, 'approved')
+            }, 'Approve');
+            const rejectBtn = createElement('button', {
+                className: 'btn btn-sm btn-danger',
+                onclick: () => updateReviewStatus(review.id, 'rejected')
+            }, 'Reject');
+            tdActions.appendChild(approveBtn);
+            tdActions.appendChild(rejectBtn);
+        } else {
+            const deleteBtn = createElement('button', {
+                className: 'btn btn-sm btn-danger',
                 onclick: () => deleteReview(review.id)
             }, 'Delete');
             tdActions.appendChild(deleteBtn);
         }
-        
+        
+        tr.appendChild(tdActions);
+        elements.reviewsTable.appendChild(tr);
+    });
+}
+
+async function toggleReviewVerified(reviewId, verified) {
+    try {
+        const response = await fetch(`${API_URL}/admin/reviews/${reviewId}/verified`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ verified })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            showToast(data.message, 'success');
+        } else {
+            throw new Error(data.error || 'Failed to update verified status');
+        }
+    } catch (error) {
+        console.error('[ADMIN] Toggle verified failed:', error);
+        showToast(error.message, 'error');
+        // Refresh to reset checkbox state if it failed
+        loadReviews();
+    }
+}
+
+async function updateReviewStatus(reviewId, status) {
+    try {
+        await fetchAPI(`/admin/reviews/${reviewId}/status`, {
+            method: 'PUT',
+            body: { status }
+        });
+        showToast(`Review ${status}`, 'success');
+        loadReviews();
+        
+        // Refresh dashboard stats to update review counts
+        loadStats();
+    } catch (error) {
+        console.error(`Failed to ${status} review:`, error);
+        showToast(`Failed to ${status} review: ${error.message || 'Unknown error'}`, 'error');
+    }
+}
+
+async function deleteReview(reviewId) {
+    if (!confirm('Are you sure you want to delete this review?')) return;
+    
+    try {
+        await fetchAPI(`/admin/reviews/${reviewId}`, { method: 'DELETE' });
+        showToast('Review deleted', 'success');
+        loadReviews();
+    } catch (error) {
+        showToast('Failed to delete review', 'error');
+    }
+}
+
+function updatePendingReviewsCount() {
+    const pendingCount = reviewsState.filter(r => r.status === 'pending').length;
+    const badge = document.getElementById('pendingReviewsCount');
+    if (badge) {
+        badge.textContent = pendingCount;
+        badge.style.display = pendingCount > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+async function recalculateRatings() {
+    const btn = document.getElementById('recalculateRatingsBtn');
+    if (!btn || btn.disabled) return;
+    
+    const originalText = btn.textContent;
+    btn.textContent = 'Recalculating...';
+    btn.disabled = true;
+    
+    try {
+        const response = await fetch(`${API_URL}/admin/reviews/recalculate-all`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+            }
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            showToast(data.message || 'Ratings recalculated successfully', 'success');
+            // Reload reviews to refresh counts if needed
+            loadReviews();
+        } else {
+            throw new Error(data.error || 'Failed to recalculate');
+        }
+    } catch (error) {
+        console.error('[ADMIN] Recalculate failed:', error);
+        showToast(error.message || 'Error recalculating ratings', 'error');
+    } finally {
+        btn.textContent = originalText;
+        btn.disabled = false;
+    }
+}
+
+// ==========================================
+// ANALYTICS
+// ==========================================
+
+let currentAnalyticsPeriod = 30;
+
+async function loadAnalytics() {
+    showLoading(true);
+    try {
+        const period = document.getElementById('analyticsPeriod')?.value || 30;
+        currentAnalyticsPeriod = parseInt(period);
+        
+        // Load sales data
+        const salesData = await fetchAPI(`/admin/analytics/sales?period=${period}`);
+        const customerStats = await fetchAPI('/admin/analytics/customers');
+        const topProducts = await fetchAPI('/admin/analytics/top-products?limit=10');
+        const cartRecovery = await fetchAPI(`/admin/analytics/abandoned-carts?period=${period}`);
+        
+        // Calculate totals - ensure proper number parsing
+        const totalRevenue = salesData.data.reduce((sum, day) => sum + (parseInt(day.revenue) || 0), 0);
+        const totalOrders = salesData.data.reduce((sum, day) => sum + (parseInt(day.orders) || 0), 0);
+        const aov = totalOrders > 0 ? Math.round(totalRevenue / totalOrders) : 0;
+        
+        // Update stats cards with proper formatting
+        const revenueEl = document.getElementById('analyticsRevenue');
+        const ordersEl = document.getElementById('analyticsOrders');
+        
+        if (revenueEl) {
+            revenueEl.textContent = '₦' + totalRevenue.toLocaleString('en-US');
+        }
+        if (ordersEl) {
+            ordersEl.textContent = totalOrders.toLocaleString('en-US');
+        }
+        
+        const labelEl = document.querySelectorAll('#analyticsSection .stat-label');
+        if (labelEl[0]) labelEl[0].textContent = `${period}-Day Revenue`;
+        if (labelEl[1]) labelEl[1].textContent = `${period}-Day Orders`;
+
+        const customersEl = document.getElementById('analyticsCustomers');
+        const aovEl = document.getElementById('analyticsAOV');
+        
+        if (customersEl) {
+            customersEl.textContent = (customerStats.stats?.total_customers || 0).toLocaleString('en-US');
+        }
+        if (aovEl) {
+            aovEl.textContent = '₦' + aov.toLocaleString('en-US');
+        }
+        
+        // Render sales chart (interactive and scrollable)
+        renderSalesChart(salesData.data);
+        
+        // Render top products
+        renderTopProducts(topProducts.products);
+
+        renderCartRecovery(cartRecovery.stats);
+    } catch (error) {
+        console.error('Analytics error:', error);
+        showToast('Failed to load analytics', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Add event listener for period change
+document.getElementById('analyticsPeriod')?.addEventListener('change', loadAnalytics);
+
+function renderTopProducts(products) {
+    const tableBody = document.getElementById('topProductsTable');
+    if (!tableBody) return;
+    
+    tableBody.innerHTML = '';
+    
+    if (!products || products.length === 0) {
+        const tr = createElement('tr', {}, 
+            createElement('td', { colspan: 3, className: 'text-center text-muted' }, 'No product data available')
+        );
+        tableBody.appendChild(tr);
+        return;
+    }
+    
+    products.forEach(product => {
+        const tr = createElement('tr');
+        
+        // Product name
+        tr.appendChild(createElement('td', {}, 
+            createElement('strong', {}, product.name || 'Unknown Product')
+        ));
+        
+        // Quantity sold
+        tr.appendChild(createElement('td', {}, 
+            createElement('span', { className: 'badge' }, String(product.totalQty || 0))
+        ));
+        
+        // Revenue
+        const revenue = product.totalRevenue || 0;
+        tr.appendChild(createElement('td', {}, `₦${revenue.toLocaleString()}`));
+        
+        tableBody.appendChild(tr);
+    });
+}
+
+function renderCartRecovery(stats) {
+    const summary = document.getElementById('cartRecoverySummary');
+    const tableBody = document.getElementById('cartRecoveryTable');
+    if (!summary || !tableBody) return;
+
+    tableBody.innerHTML = '';
+    if (!stats || stats.remindedCarts === 0) {
+        summary.textContent = 'No cart reminders sent in this period.';
+        tableBody.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 4, className: 'text-center text-muted' }, 'No reminders sent')
+        ));
+        return;
+    }
+
+    summary.textContent = `${stats.recoveredCarts} of ${stats.remindedCarts} reminded carts recovered (${stats.recoveryRate}%), ` +
+        `₦${stats.recoveredRevenue.toLocaleString()} in paid orders. ${stats.couponsUsed} of ${stats.couponsSent} coupons used.`;
+
+    stats.steps.forEach(step => {
+        const tr = createElement('tr');
+        tr.appendChild(createElement('td', {}, createElement('strong', {}, `Reminder ${step.step}`)));
+        tr.appendChild(createElement('td', {}, String(step.sent)));
+        tr.appendChild(createElement('td', {}, String(step.clicked)));
+        tr.appendChild(createElement('td', {}, String(step.recovered)));
+        tableBody.appendChild(tr);
+    });
+}
+
+function renderSalesChart(data) {
+    const container = document.getElementById('salesChart');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    // Professional styling for the scrollable container
+    container.style.cssText = 'height: 400px; padding: 0; position: relative; overflow-x: auto; background: #0a0a0a; border: 1px solid #2a2a2a; border-radius: 8px;';
+    
+    if (!data || data.length === 0) {
+        container.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 100%;"><p style="color: #666;">No sales data available</p></div>';
+        return;
+    }
+    
+    // Process data
+    const parsedData = data.map(d => ({
+        date: d.date,
+        revenue: parseInt(d.revenue) || 0,
+        orders: parseInt(d.orders) || 0
+    }));
+    
+    // Fill gaps
+    const displayData = [];
+    const now = new Date();
+    const daysToDisplay = currentAnalyticsPeriod || 30;
+    for (let i = daysToDisplay - 1; i >= 0; i--) {
+        const d = new Date(now);
+        d.setDate(d.getDate() - i);
+        const dateStr = d.toISOString().split('T')[0];
+        const existing = parsedData.find(day => (day.date.includes('T') ? day.date.split('T')[0] : day.date) === dateStr);
+        displayData.push(existing || { date: dateStr, revenue: 0, orders: 0 });
+    }
+    
+    const maxRevenue = Math.max(...displayData.map(d => d.revenue), 1000);
+    const chartHeight = 280; // Explicit height for the plot area
+    
+    // Width calculation
+    const minBarWidth = 50;
+    const innerWidth = Math.max(container.clientWidth - 2, displayData.length * minBarWidth + 100);
+    
+    const chartWrapper = createElement('div', {
+        style: `width: ${innerWidth}px; min-height: 100%; display: flex; flex-direction: column; padding: 20px;`
+    });
+    
+    // Header
+    const header = createElement('div', {
+        style: 'margin-bottom: 25px; border-bottom: 1px solid #2a2a2a; padding-bottom: 10px;'
+    });
+    header.innerHTML = `<h4 style="margin: 0; color: #fff; font-size: 0.9rem; text-transform: uppercase; letter-spacing: 1px;">Sales Trend - Last ${daysToDisplay} Days</h4>`;
+    chartWrapper.appendChild(header);
+    
+    // Main Display Area
+    const mainArea = createElement('div', {
+        style: 'display: flex; height: 300px; position: relative;'
+    });
+    
+    // Y-Axis (Fixed on left if we weren't scrolling the whole thing, but here it scrolls with it)
+    const yAxis = createElement('div', {
+        style: 'width: 70px; display: flex; flex-direction: column; justify-content: space-between; border-right: 1px solid #2a2a2a; padding-right: 10px; margin-bottom: 45px;'
+    });
+    for (let i = 5; i >= 0; i--) {
+        const val = (maxRevenue / 5) * i;
+        let label = `₦${Math.round(val/1000)}k`;
+        if (val >= 1000000) label = `₦${(val/1000000).toFixed(1)}M`;
+        else if (val < 1000) label = `₦${val}`;
+        yAxis.appendChild(createElement('span', { style: 'font-size: 10px; color: #666; text-align: right;' }, label));
+    }
+    mainArea.appendChild(yAxis);
+    
+    // Plot Area
+    const plotArea = createElement('div', {
+        style: 'flex: 1; position: relative; margin-bottom: 45px;'
+    });
+    
+    // Grid
+    const grid = createElement('div', {
+        style: 'position: absolute; inset: 0; display: flex; flex-direction: column; justify-content: space-between; pointer-events: none;'
+    });
+    for (let i = 0; i <= 5; i++) {
+        grid.appendChild(createElement('div', { style: 'width: 100%; border-top: 1px solid #1a1a1a; height: 0;' }));
+    }
+    plotArea.appendChild(grid);
+    
+    // Bars Container
+    const barsContainer = createElement('div', {
+        style: 'position: absolute; inset: 0; display: flex; align-items: flex-end; justify-content: space-around; padding: 0 5px;'
+    });
+    
+    displayData.forEach(day => {
+        const barHeight = (day.revenue / maxRevenue) * 100;
+        const barWrapper = createElement('div', {
+            style: 'flex: 1; display: flex; flex-direction: column; align-items: center; position: relative; height: 100%; justify-content: flex-end; max-width: 50px;'
+        });
+        
+        // The actual bar
+        const bar = createElement('div', {
+            style: `width: 70%; height: ${Math.max(barHeight, 2)}%; background: #dc2626; border-radius: 2px 2px 0 0; transition: all 0.3s ease; cursor: pointer; z-index: 2;`,
+            onmouseenter: (e) => {
+                bar.style.background = '#ef4444';
+                bar.style.boxShadow = '0 0 15px rgba(220, 38, 38, 0.5)';
+                
+                // Format date for tooltip
+                const d = new Date(day.date);
+                const fullDate = d.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+                showChartTooltip(e, `<strong>${fullDate}</strong><br>Revenue: ₦${day.revenue.toLocaleString()}<br>Orders: ${day.orders}`);
+            },
+            onmouseleave: () => {
+                bar.style.background = '#dc2626';
+                bar.style.boxShadow = 'none';
+                hideChartTooltip();
+            }
+        });
+        
+        // Date label (Professional formatting)
+        const d = new Date(day.date);
+        const dayNum = d.getDate();
+        const monthStr = d.toLocaleDateString('en-GB', { month: 'short' });
+        const isFirstOfMonth = dayNum === 1;
+        const isToday = day.date === new Date().toISOString().split('T')[0];
+        
+        const formattedLabel = isToday ? 'Today' : `${dayNum} ${monthStr}`;
+        
+        const label = createElement('span', {
+            style: `position: absolute; bottom: -35px; left: 50%; font-size: 10px; color: ${isToday || isFirstOfMonth ? '#fff' : '#888'}; white-space: nowrap; transform: rotate(45deg); transform-origin: top left; font-weight: ${isToday || isFirstOfMonth ? '600' : '400'};`
+        }, formattedLabel);
+        
+        barWrapper.appendChild(bar);
+        barWrapper.appendChild(label);
+        barsContainer.appendChild(barWrapper);
+    });
+    
+    plotArea.appendChild(barsContainer);
+    mainArea.appendChild(plotArea);
+    chartWrapper.appendChild(mainArea);
+    container.appendChild(chartWrapper);
+    
+    // Scroll to end
+    setTimeout(() => { container.scrollLeft = container.scrollWidth; }, 100);
+}
+
+function showChartTooltip(e, html) {
+    let tooltip = document.getElementById('chartTooltip');
+    if (!tooltip) {
+        tooltip = createElement('div', {
+            id: 'chartTooltip',
+            style: 'position: fixed; background: rgba(0,0,0,0.9); color: white; padding: 8px 12px; border-radius: 4px; font-size: 0.75rem; pointer-events: none; z-index: 10000; border: 1px solid var(--color-border);'
+        });
+        document.body.appendChild(tooltip);
+    }
+    tooltip.innerHTML = html;
+    tooltip.style.display = 'block';
+    tooltip.style.left = `${e.clientX + 10}px`;
+    tooltip.style.top = `${e.clientY - 40}px`;
+}
+
+function hideChartTooltip() {
+    const tooltip = document.getElementById('chartTooltip');
+    if (tooltip) tooltip.style.display = 'none';
+}
+
+// ==========================================
+// RAFFLES
+// ==========================================
+async function loadRaffles() {
+    const tbody = document.getElementById('rafflesTable');
+    showLoading(true);
+    try {
+        const data = await fetchAPI('/admin/raffles');
+        state.raffles = data.raffles || [];
+        renderRafflesTable(state.raffles);
+    } catch (error) {
+        console.error('[ADMIN] Failed to load raffles:', error);
+        tbody.innerHTML = '';
+        tbody.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 7, className: 'text-center' }, 'Error loading raffles')
+        ));
+    } finally {
+        showLoading(false);
+    }
+}
+
+function renderRafflesTable(raffles) {
+    const tbody = document.getElementById('rafflesTable');
+    tbody.innerHTML = '';
+
+    if (raffles.length === 0) {
+        tbody.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 7, className: 'text-center' }, 'No raffles yet')
+        ));
+        return;
+    }
+
+    raffles.forEach(raffle => {
+        const tr = createElement('tr');
+        tr.appendChild(createElement('td', {}, createElement('strong', {}, raffle.id)));
+        tr.appendChild(createElement('td', {}, `${raffle.productName} (${raffle.variant.color} / ${raffle.variant.size})`));
+        tr.appendChild(createElement('td', {}, new Date(raffle.closesAt).toLocaleString()));
+        tr.appendChild(createElement('td', {}, String(raffle.entryCount)));
+        tr.appendChild(createElement('td', {}, `${raffle.claimedCount} / ${raffle.quantity}`));
+        tr.appendChild(createElement('td', {},
+            createElement('span', { className: `status-badge ${raffle.status}` }, raffle.status)
+        ));
+
+        const tdActions = createElement('td');
+        tdActions.appendChild(createElement('button', {
+            className: 'btn btn-sm btn-secondary',
+            onclick: () => window.viewRaffle(raffle.id)
+        }, 'View'));
+        tr.appendChild(tdActions);
+
+        tbody.appendChild(tr);
+    });
+}
+
+async function openRaffleForm() {
+    if (state.products.length === 0) {
+        try {
+            state.products = (await fetchAPI('/admin/products')).products || [];
+        } catch (error) {
+            showToast(`Failed to load products: ${error.message}`, 'error');
+            return;
+        }
+    }
+    const productSelect = document.getElementById('raffleProduct');
+    productSelect.innerHTML = '';
+    state.products.forEach(product => {
+        productSelect.appendChild(createElement('option', { value: product.id }, product.name));
+    });
+    fillRaffleVariants();
+    document.getElementById('rafflePanel').style.display = 'block';
+}
+
+function fillRaffleVariants() {
+    const product = state.products.find(p => p.id === document.getElementById('raffleProduct').value);
+    const variantSelect = document.getElementById('raffleVariant');
+    variantSelect.innerHTML = '';
+    (product?.variants || []).forEach(variant => {
+        variantSelect.appendChild(createElement('option', { value: variant.id },
+            `${variant.color} / ${variant.size} (${variant.stock} in stock)`));
+    });
+}
+
+async function createRaffle(e) {
+    e.preventDefault();
+    const form = e.target;
+    const dateValue = id => {
+        const value = document.getElementById(id).value;
+        return value ? new Date(value).toISOString() : '';
+    };
+    try {
+        const data = await fetchAPI('/admin/raffles', {
+            method: 'POST',
+            body: {
+                productId: document.getElementById('raffleProduct').value,
+                variantId: document.getElementById('raffleVariant').value,
+                quantity: parseInt(document.getElementById('raffleQuantity').value),
+                claimHours: parseInt(document.getElementById('raffleClaimHours').value) || undefined,
+                opensAt: dateValue('raffleOpensAt'),
+                closesAt: dateValue('raffleClosesAt')
+            }
+        });
+        form.reset();
+        document.getElementById('rafflePanel').style.display = 'none';
+        showToast(`Raffle ${data.raffle.id} created`, 'success');
+        loadRaffles();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+window.viewRaffle = async function (raffleId) {
+    let raffle;
+    try {
+        raffle = (await fetchAPI(`/admin/raffles/${encodeURIComponent(raffleId)}`)).raffle;
+    } catch (error) {
+        showToast(`Failed to load raffle: ${error.message}`, 'error');
+        return;
+    }
+
+    elements.orderModalTitle.textContent = `Raffle ${raffle.id}`;
+    elements.orderModalBody.innerHTML = '';
+
+    const container = createElement('div', { className: 'order-details' });
+
+    const summarySection = createElement('div', { className: 'order-section' });
+    summarySection.appendChild(createElement('h4', {}, 'Raffle Details'));
+    [
+        ['Item: ', `${raffle.productName} (${raffle.variant.color} / ${raffle.variant.size})`],
+        ['Winners: ', String(raffle.quantity)],
+        ['Status: ', formatStatus(raffle.status)],
+        ['Entries: ', `${new Date(raffle.opensAt).toLocaleString()} - ${new Date(raffle.closesAt).toLocaleString()}`],
+        ['Time to Claim: ', `${raffle.claimHours} hours`],
+        ['Drawn: ', raffle.drawnAt ? new Date(raffle.drawnAt).toLocaleString() : 'Not yet']
+    ].forEach(([label, value]) => {
+        const p = createElement('p', {});
+        p.appendChild(createElement('strong', {}, label));
+        p.appendChild(document.createTextNode(value));
+        summarySection.appendChild(p);
+    });
+    container.appendChild(summarySection);
+
+    // The seed hash is public from the start; the seed once drawn lets anyone re-run the draw
+    const auditSection = createElement('div', { className: 'order-section' });
+    auditSection.appendChild(createElement('h4', {}, 'Draw Audit'));
+    [
+        ['Seed Hash: ', raffle.audit.seedHash],
+        ['Seed: ', raffle.audit.seed || 'Revealed after the draw'],
+        ['Draw Check: ', raffle.audit.verified === null ? 'Not drawn yet'
+            : raffle.audit.verified ? 'Seed and draw order verified' : 'MISMATCH - the draw order does not match the seed']
+    ].forEach(([label, value]) => {
+        const p = createElement('p', { style: 'word-break: break-all;' });
+        p.appendChild(createElement('strong', {}, label));
+        p.appendChild(document.createTextNode(value));
+        auditSection.appendChild(p);
+    });
+    container.appendChild(auditSection);
+
+    const entriesSection = createElement('div', { className: 'order-section' });
+    entriesSection.appendChild(createElement('h4', {}, `Entries (${raffle.entries.length})`));
+    const entriesTable = createElement('table', { className: 'table table-sm' });
+    const headerRow = createElement('tr');
+    ['#', 'Name', 'Email', 'Phone', 'Status', 'Claim By', 'Order'].forEach(text => {
+        headerRow.appendChild(createElement('th', {}, text));
+    });
+    entriesTable.appendChild(createElement('thead', {}, headerRow));
+    const tbody = createElement('tbody');
+    raffle.entries.forEach(entry => {
+        const tr = createElement('tr');
+        tr.appendChild(createElement('td', {}, entry.drawPosition ? String(entry.drawPosition) : '-'));
+        tr.appendChild(createElement('td', {}, entry.name));
+        tr.appendChild(createElement('td', {}, entry.email));
+        tr.appendChild(createElement('td', {}, entry.phone));
+        tr.appendChild(createElement('td', {},
+            createElement('span', { className: `status-badge ${entry.status}` }, entry.status)
+        ));
+        tr.appendChild(createElement('td', {},
+            entry.status === 'won' ? new Date(entry.claimExpiresAt).toLocaleString() : '-'));
+        tr.appendChild(createElement('td', {}, entry.orderId || '-'));
+        tbody.appendChild(tr);
+    });
+    entriesTable.appendChild(tbody);
+    entriesSection.appendChild(entriesTable);
+    container.appendChild(entriesSection);
+
+    if (canUse('products', 'write') && ['upcoming', 'open', 'closed', 'drawn'].includes(raffle.status)) {
+        const buttons = createElement('div', { className: 'order-section', style: 'display: flex; gap: 0.5rem;' });
+        if (['open', 'closed'].includes(raffle.status)) {
+            buttons.appendChild(createElement('button', {
+                className: 'btn btn-sm btn-primary',
+                onclick: () => submitRaffleAction(raffle, 'draw')
+            }, raffle.status === 'open' ? 'Close Entries & Draw' : 'Draw Now'));
+        }
+        buttons.appendChild(createElement('button', {
+            className: 'btn btn-sm btn-danger',
+            onclick: () => submitRaffleAction(raffle, 'cancel')
+        }, 'Cancel Raffle'));
+        container.appendChild(buttons);
+    }
+
+    elements.orderModalBody.appendChild(container);
+    elements.orderModal.style.display = 'flex';
+};
+
+async function submitRaffleAction(raffle, action) {
+    const question = action === 'draw'
+        ? `Close entries to ${raffle.id} and draw ${raffle.quantity} winner(s) now?`
+        : `Cancel ${raffle.id}? Unclaimed wins lapse and their held stock is released.`;
+    if (!confirm(question)) return;
+
+    try {
+        await fetchAPI(`/admin/raffles/${encodeURIComponent(raffle.id)}/${action}`, { method: 'POST' });
+        showToast(`Raffle ${raffle.id} ${action === 'draw' ? 'drawn' : 'cancelled'}`, 'success');
+        await loadRaffles();
+        window.viewRaffle(raffle.id);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// ==========================================
+// PROMOTIONS
+// ==========================================
+const PROMOTION_TYPE_LABELS = {
+    buy_x_get_y: 'Buy X, Get Y',
+    spend_threshold: 'Spend Threshold',
+    category_sale: 'Category Sale',
+    bundle: 'Bundle'
+};
+
+async function loadPromotions() {
+    const tbody = document.getElementById('promotionsTable');
+    showLoading(true);
+    try {
+        const data = await fetchAPI('/admin/promotions');
+        state.promotions = data.promotions || [];
+        renderPromotionsTable(state.promotions);
+    } catch (error) {
+        console.error('[ADMIN] Failed to load promotions:', error);
+        tbody.innerHTML = '';
+        tbody.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 7, className: 'text-center' }, 'Error loading promotions')
+        ));
+    } finally {
+        showLoading(false);
+    }
+}
+
+function describePromotion(promotion) {
+    const { rules } = promotion;
+    const productName = id => state.products.find(p => p.id === id)?.name || id;
+    const scope = [...(rules.categories || []), ...(rules.products || []).map(productName)].join(', ');
+    switch (promotion.type) {
+        case 'buy_x_get_y':
+            return `Buy ${rules.buyQuantity}, get ${rules.getQuantity} free${scope ? ` (${scope})` : ''}`;
+        case 'spend_threshold':
+            return rules.tiers.map(t => `₦${t.discount.toLocaleString()} off ₦${t.minSubtotal.toLocaleString()}+`).join(', ');
+        case 'category_sale':
+            return `${rules.percent}% off ${scope}`;
+        case 'bundle':
+            return `${rules.products.map(productName).join(' + ')} for ₦${rules.price.toLocaleString()}`;
+        default:
+            return '';
+    }
+}
+
+function promotionStatus(promotion) {
+    const now = Date.now();
+    if (!promotion.isActive) return 'paused';
+    if (promotion.startsAt && Date.parse(promotion.startsAt) > now) return 'scheduled';
+    if (promotion.endsAt && Date.parse(promotion.endsAt) <= now) return 'ended';
+    return 'active';
+}
+
+function renderPromotionsTable(promotions) {
+    const tbody = document.getElementById('promotionsTable');
+    tbody.innerHTML = '';
+
+    if (promotions.length === 0) {
+        tbody.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 7, className: 'text-center' }, 'No promotions yet')
+        ));
+        return;
+    }
+
+    const runs = promotion => {
+        const from = promotion.startsAt ? new Date(promotion.startsAt).toLocaleString() : 'Now';
+        return promotion.endsAt ? `${from} - ${new Date(promotion.endsAt).toLocaleString()}` : `From ${from}`;
+    };
+
+    promotions.forEach(promotion => {
+        const status = promotionStatus(promotion);
+        const tr = createElement('tr');
+        tr.appendChild(createElement('td', {}, createElement('strong', {}, promotion.name)));
+        tr.appendChild(createElement('td', {}, PROMOTION_TYPE_LABELS[promotion.type] || promotion.type));
+        tr.appendChild(createElement('td', {}, describePromotion(promotion)));
+        tr.appendChild(createElement('td', {}, runs(promotion)));
+        tr.appendChild(createElement('td', {}, promotion.combinesWithCoupons ? 'Yes' : 'No'));
+        tr.appendChild(createElement('td', {},
+            createElement('span', { className: `status-badge ${status}` }, status)
+        ));
+
+        const tdActions = createElement('td');
+        if (canUse('marketing', 'write')) {
+            tdActions.appendChild(createElement('button', {
+                className: 'btn btn-sm btn-secondary',
+                onclick: () => togglePromotion(promotion)
+            }, promotion.isActive ? 'Pause' : 'Resume'));
+            tdActions.appendChild(createElement('button', {
+                className: 'btn btn-sm btn-danger',
+                style: 'margin-left: 0.25rem;',
+                onclick: () => removePromotion(promotion)
+            }, 'Delete'));
+        }
         tr.appendChild(tdActions);
-        elements.reviewsTable.appendChild(tr);
+
+        tbody.appendChild(tr);
     });
 }
 
-async function toggleReviewVerified(reviewId, verified) {
+function showPromotionFields() {
+    const type = document.getElementById('promotionType').value;
+    document.querySelectorAll('#promotionForm .promotion-fields').forEach(group => {
+        group.style.display = group.dataset.types.split(' ').includes(type) ? '' : 'none';
+    });
+}
+
+async function openPromotionForm() {
+    if (state.products.length === 0) {
+        try {
+            state.products = (await fetchAPI('/admin/products')).products || [];
+        } catch (error) {
+            showToast(`Failed to load products: ${error.message}`, 'error');
+            return;
+        }
+    }
+    const productSelect = document.getElementById('promotionProducts');
+    productSelect.innerHTML = '';
+    state.products.forEach(product => {
+        productSelect.appendChild(createElement('option', { value: product.id }, product.name));
+    });
+    showPromotionFields();
+    document.getElementById('promotionPanel').style.display = 'block';
+}
+
+function promotionRules(type) {
+    const number = id => parseInt(document.getElementById(id).value, 10);
+    const categories = document.getElementById('promotionCategories').value
+        .split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+    const products = [...document.getElementById('promotionProducts').selectedOptions].map(o => o.value);
+
+    if (type === 'buy_x_get_y') {
+        return { buyQuantity: number('promotionBuyQuantity'), getQuantity: number('promotionGetQuantity'), categories, products };
+    }
+    if (type === 'category_sale') return { categories, percent: number('promotionPercent') };
+    if (type === 'bundle') return { products, price: number('promotionBundlePrice') };
+    return {
+        tiers: document.getElementById('promotionTiers').value.split(',').filter(t => t.trim()).map(tier => {
+            const [minSubtotal, discount] = tier.split(':').map(n => parseInt(n.replace(/[^\d]/g, ''), 10));
+            return { minSubtotal, discount };
+        })
+    };
+}
+
+async function createPromotion(e) {
+    e.preventDefault();
+    const form = e.target;
+    const type = document.getElementById('promotionType').value;
+    const dateValue = id => {
+        const value = document.getElementById(id).value;
+        return value ? new Date(value).toISOString() : null;
+    };
     try {
-        const response = await fetch(`${API_URL}/admin/reviews/${reviewId}/verified`, {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ verified })
+        const data = await fetchAPI('/admin/promotions', {
+            method: 'POST',
+            body: {
+                name: document.getElementById('promotionName').value.trim(),
+                type,
+                rules: promotionRules(type),
+                combinesWithCoupons: document.getElementById('promotionCombines').checked,
+                startsAt: dateValue('promotionStartsAt'),
+                endsAt: dateValue('promotionEndsAt')
+            }
         });
-        
-        const data = await response.json();
-        if (data.success) {
-            showToast(data.message, 'success');
-        } else {
-            throw new Error(data.error || 'Failed to update verified status');
-        }
+        form.reset();
+        document.getElementById('promotionPanel').style.display = 'none';
+        showToast(`Promotion "${data.promotion.name}" created`, 'success');
+        loadPromotions();
     } catch (error) {
-        console.error('[ADMIN] Toggle verified failed:', error);
         showToast(error.message, 'error');
-        // Refresh to reset checkbox state if it failed
-        loadReviews();
     }
 }
 
-async function updateReviewStatus(reviewId, status) {
+async function togglePromotion(promotion) {
     try {
-        await fetchAPI(`/admin/reviews/${reviewId}/status`, {
+        await fetchAPI(`/admin/promotions/${encodeURIComponent(promotion.id)}/active`, {
             method: 'PUT',
-            body: { status }
+            body: { isActive: !promotion.isActive }
         });
-        showToast(`Review ${status}`, 'success');
-        loadReviews();
-        
-        // Refresh dashboard stats to update review counts
-        loadStats();
+        showToast(`${promotion.name} ${promotion.isActive ? 'paused' : 'resumed'}`, 'success');
+        loadPromotions();
     } catch (error) {
-        console.error(`Failed to ${status} review:`, error);
-        showToast(`Failed to ${status} review: ${error.message || 'Unknown error'}`, 'error');
+        showToast(error.message, 'error');
     }
 }
 
-async function deleteReview(reviewId) {
-    if (!confirm('Are you sure you want to delete this review?')) return;
-    
+async function removePromotion(promotion) {
+    if (!confirm(`Delete "${promotion.name}"? Orders already placed keep their discount.`)) return;
     try {
-        await fetchAPI(`/admin/reviews/${reviewId}`, { method: 'DELETE' });
-        showToast('Review deleted', 'success');
-        loadReviews();
+        await fetchAPI(`/admin/promotions/${encodeURIComponent(promotion.id)}`, { method: 'DELETE' });
+        showToast('Promotion deleted', 'success');
+        loadPromotions();
     } catch (error) {
-        showToast('Failed to delete review', 'error');
+        showToast(error.message, 'error');
     }
 }
 
-function updatePendingReviewsCount() {
-    const pendingCount = reviewsState.filter(r => r.status === 'pending').length;
-    const badge = document.getElementById('pendingReviewsCount');
-    if (badge) {
-        badge.textContent = pendingCount;
-        badge.style.display = pendingCount > 0 ? 'inline-flex' : 'none';
+// ==========================================
+// TEAM
+// ==========================================
+
+const ADMIN_ROLES = {
+    owner: 'Owner - everything, including the team',
+    manager: 'Manager - everything except the team',
+    fulfillment: 'Fulfillment - orders, returns and stock',
+    support: 'Support - returns, customers and reviews; views orders',
+    content: 'Content - products and reviews'
+};
+
+async function loadTeam() {
+    const tbody = document.getElementById('teamTable');
+    showLoading(true);
+    try {
+        const data = await fetchAPI('/admin/users');
+        renderTeamTable(data.users || []);
+    } catch {
+        tbody.innerHTML = '';
+        tbody.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 7, className: 'text-center' }, 'Error loading team')
+        ));
+    } finally {
+        showLoading(false);
     }
 }
 
-async function recalculateRatings() {
-    const btn = document.getElementById('recalculateRatingsBtn');
-    if (!btn || btn.disabled) return;
-    
-    const originalText = btn.textContent;
-    btn.textContent = 'Recalculating...';
-    btn.disabled = true;
-    
+function renderTeamTable(users) {
+    const tbody = document.getElementById('teamTable');
+    tbody.innerHTML = '';
+
+    users.forEach(user => {
+        const tr = createElement('tr');
+        const isSelf = user.id === state.admin?.id;
+
+        const tdName = createElement('td', {}, createElement('strong', {}, user.name));
+        if (isSelf) tdName.appendChild(document.createTextNode(' (you)'));
+        tr.appendChild(tdName);
+        tr.appendChild(createElement('td', {}, user.email));
+
+        const roleSelect = createElement('select', {
+            className: 'input input-sm',
+            onchange: e => updateTeamMember(user, { role: e.target.value })
+        });
+        Object.keys(ADMIN_ROLES).forEach(role => {
+            const option = createElement('option', { value: role }, formatStatus(role));
+            option.selected = role === user.role;
+            roleSelect.appendChild(option);
+        });
+        tr.appendChild(createElement('td', {}, roleSelect));
+
+        tr.appendChild(createElement('td', {},
+            createElement('span', { className: `status-badge ${user.active ? 'active' : 'inactive'}` }, user.active ? 'Active' : 'Deactivated')
+        ));
+        tr.appendChild(createElement('td', {}, user.twoFactorEnabled ? 'On' : 'Off'));
+        tr.appendChild(createElement('td', {}, user.lastLoginAt ? formatDate(user.lastLoginAt) : 'Never'));
+
+        const tdActions = createElement('td');
+        tdActions.appendChild(createElement('button', {
+            className: 'btn btn-sm btn-secondary',
+            onclick: () => resetTeamMemberPassword(user)
+        }, 'Reset Password'));
+        if (!isSelf) {
+            tdActions.appendChild(createElement('button', {
+                className: 'btn btn-sm btn-ghost',
+                onclick: () => signOutTeamMember(user)
+            }, 'Sign Out Everywhere'));
+        }
+        if (user.twoFactorEnabled && !isSelf) {
+            tdActions.appendChild(createElement('button', {
+                className: 'btn btn-sm btn-ghost',
+                onclick: () => resetTeamMemberTwoFactor(user)
+            }, 'Reset 2FA'));
+        }
+        if (!isSelf) {
+            tdActions.appendChild(createElement('button', {
+                className: 'btn btn-sm btn-ghost',
+                onclick: () => updateTeamMember(user, { active: !user.active })
+            }, user.active ? 'Deactivate' : 'Reactivate'));
+        }
+        tr.appendChild(tdActions);
+
+        tbody.appendChild(tr);
+    });
+}
+
+async function updateTeamMember(user, changes) {
+    if (changes.active === false && !confirm(`Deactivate ${user.email}? They will be signed out.`)) return;
     try {
-        const response = await fetch(`${API_URL}/admin/reviews/recalculate-all`, {
+        await fetchAPI(`/admin/users/${encodeURIComponent(user.id)}`, { method: 'PUT', body: changes });
+        showToast('Team member updated', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+    loadTeam();
+}
+
+async function resetTeamMemberPassword(user) {
+    const password = prompt(`New password for ${user.email} (at least 8 characters):`);
+    if (!password) return;
+    try {
+        await fetchAPI(`/admin/users/${encodeURIComponent(user.id)}/password`, { method: 'POST', body: { password } });
+        showToast(user.id === state.admin?.id
+            ? 'Password changed. Your other sessions were signed out.'
+            : `Password reset. ${user.email} has been signed out.`, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function signOutTeamMember(user) {
+    if (!confirm(`Sign ${user.email} out of every session?`)) return;
+    try {
+        const data = await fetchAPI(`/admin/users/${encodeURIComponent(user.id)}/sessions/revoke`, { method: 'POST' });
+        showToast(`${data.revoked} session${data.revoked === 1 ? '' : 's'} signed out`, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function resetTeamMemberTwoFactor(user) {
+    if (!confirm(`Reset two-factor authentication for ${user.email}? Only do this if they have lost their phone and recovery codes.`)) return;
+    try {
+        await fetchAPI(`/admin/users/${encodeURIComponent(user.id)}/two-factor/reset`, { method: 'POST' });
+        showToast('Two-factor authentication reset', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+    loadTeam();
+}
+
+async function createTeamMember(e) {
+    e.preventDefault();
+    const form = e.target;
+    try {
+        await fetchAPI('/admin/users', {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+            body: {
+                name: document.getElementById('teamMemberName').value.trim(),
+                email: document.getElementById('teamMemberEmail').value.trim(),
+                role: document.getElementById('teamMemberRole').value,
+                password: document.getElementById('teamMemberPassword').value
             }
         });
-        
-        const data = await response.json();
-        if (data.success) {
-            showToast(data.message || 'Ratings recalculated successfully', 'success');
-            // Reload reviews to refresh counts if needed
-            loadReviews();
-        } else {
-            throw new Error(data.error || 'Failed to recalculate');
-        }
+        form.reset();
+        document.getElementById('teamMemberPanel').style.display = 'none';
+        showToast('Admin created. Share their temporary password with them directly.', 'success');
+        loadTeam();
     } catch (error) {
-        console.error('[ADMIN] Recalculate failed:', error);
-        showToast(error.message || 'Error recalculating ratings', 'error');
-    } finally {
-        btn.textContent = originalText;
-        btn.disabled = false;
+        showToast(error.message, 'error');
     }
 }
 
 // ==========================================
-// ANALYTICS
+// SECURITY
 // ==========================================
 
-let currentAnalyticsPeriod = 30;
-
-async function loadAnalytics() {
-    showLoading(true);
+async function loadSecurity() {
+    document.getElementById('recoveryCodesPanel').style.display = 'none';
     try {
-        const period = document.getElementById('analyticsPeriod')?.value || 30;
-        currentAnalyticsPeriod = parseInt(period);
-        
-        // Load sales data
-        const salesData = await fetchAPI(`/admin/analytics/sales?period=${period}`);
-        const customerStats = await fetchAPI('/admin/analytics/customers');
-        const topProducts = await fetchAPI('/admin/analytics/top-products?limit=10');
-        
-        // Calculate totals - ensure proper number parsing
-        const totalRevenue = salesData.data.reduce((sum, day) => sum + (parseInt(day.revenue) || 0), 0);
-        const totalOrders = salesData.data.reduce((sum, day) => sum + (parseInt(day.orders) || 0), 0);
-        const aov = totalOrders > 0 ? Math.round(totalRevenue / totalOrders) : 0;
-        
-        // Update stats cards with proper formatting
-        const revenueEl = document.getElementById('analyticsRevenue');
-        const ordersEl = document.getElementById('analyticsOrders');
-        
-        if (revenueEl) {
-            revenueEl.textContent = '₦' + totalRevenue.toLocaleString('en-US');
-        }
-        if (ordersEl) {
-            ordersEl.textContent = totalOrders.toLocaleString('en-US');
-        }
-        
-        const labelEl = document.querySelectorAll('#analyticsSection .stat-label');
-        if (labelEl[0]) labelEl[0].textContent = `${period}-Day Revenue`;
-        if (labelEl[1]) labelEl[1].textContent = `${period}-Day Orders`;
-
-        const customersEl = document.getElementById('analyticsCustomers');
-        const aovEl = document.getElementById('analyticsAOV');
-        
-        if (customersEl) {
-            customersEl.textContent = (customerStats.stats?.total_customers || 0).toLocaleString('en-US');
-        }
-        if (aovEl) {
-            aovEl.textContent = '₦' + aov.toLocaleString('en-US');
-        }
-        
-        // Render sales chart (interactive and scrollable)
-        renderSalesChart(salesData.data);
-        
-        // Render top products
-        renderTopProducts(topProducts.products);
+        const data = await fetchAPI('/admin/two-factor');
+        renderTwoFactor(data.twoFactor);
     } catch (error) {
-        console.error('Analytics error:', error);
-        showToast('Failed to load analytics', 'error');
-    } finally {
-        showLoading(false);
+        showToast(error.message, 'error');
     }
+    loadSessions();
 }
 
-// Add event listener for period change
-document.getElementById('analyticsPeriod')?.addEventListener('change', loadAnalytics);
+/**
+ * Short "Chrome on Windows" style name for a user agent
+ */
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const browser = [
+        [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari'], [/curl\//, 'curl']
+    ].find(([pattern]) => pattern.test(userAgent));
+    const os = [
+        [/iPhone|iPad/, 'iOS'], [/Android/, 'Android'], [/Windows/, 'Windows'],
+        [/Mac OS X|Macintosh/, 'macOS'], [/Linux/, 'Linux']
+    ].find(([pattern]) => pattern.test(userAgent));
+    if (!browser) return userAgent.slice(0, 60);
+    return os ? `${browser[1]} on ${os[1]}` : browser[1];
+}
 
-function renderTopProducts(products) {
-    const tableBody = document.getElementById('topProductsTable');
-    if (!tableBody) return;
-    
-    tableBody.innerHTML = '';
-    
-    if (!products || products.length === 0) {
-        const tr = createElement('tr', {}, 
-            createElement('td', { colspan: 3, className: 'text-center text-muted' }, 'No product data available')
-        );
-        tableBody.appendChild(tr);
-        return;
+async function loadSessions() {
+    const tbody = document.getElementById('sessionsTable');
+    try {
+        const data = await fetchAPI('/admin/sessions');
+        renderSessions(data.sessions || []);
+    } catch {
+        tbody.innerHTML = '';
+        tbody.appendChild(createElement('tr', {},
+            createElement('td', { colspan: 5, className: 'text-center' }, 'Error loading sessions')
+        ));
     }
-    
-    products.forEach(product => {
+}
+
+function renderSessions(sessions) {
+    const tbody = document.getElementById('sessionsTable');
+    tbody.innerHTML = '';
+
+    sessions.forEach(session => {
         const tr = createElement('tr');
-        
-        // Product name
-        tr.appendChild(createElement('td', {}, 
-            createElement('strong', {}, product.name || 'Unknown Product')
-        ));
-        
-        // Quantity sold
-        tr.appendChild(createElement('td', {}, 
-            createElement('span', { className: 'badge' }, String(product.totalQty || 0))
-        ));
-        
-        // Revenue
-        const revenue = product.totalRevenue || 0;
-        tr.appendChild(createElement('td', {}, `₦${revenue.toLocaleString()}`));
-        
-        tableBody.appendChild(tr);
+
+        const tdDevice = createElement('td', { title: session.userAgent || '' }, describeUserAgent(session.userAgent));
+        if (session.current) {
+            tdDevice.appendChild(document.createTextNode(' '));
+            tdDevice.appendChild(createElement('span', { className: 'status-badge active' }, 'This device'));
+        }
+        tr.appendChild(tdDevice);
+        tr.appendChild(createElement('td', {}, session.ipAddress || 'Unknown'));
+        tr.appendChild(createElement('td', {}, new Date(session.createdAt).toLocaleString()));
+        tr.appendChild(createElement('td', {}, new Date(session.lastSeenAt).toLocaleString()));
+
+        const tdActions = createElement('td');
+        if (!session.current) {
+            tdActions.appendChild(createElement('button', {
+                className: 'btn btn-sm btn-ghost',
+                onclick: () => revokeSession(session)
+            }, 'Sign Out'));
+        }
+        tr.appendChild(tdActions);
+
+        tbody.appendChild(tr);
     });
+
+    document.getElementById('revokeOtherSessionsBtn').disabled = sessions.length < 2;
+}
+
+async function revokeSession(session) {
+    try {
+        await fetchAPI(`/admin/sessions/${session.id}`, { method: 'DELETE' });
+        showToast('Session signed out', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+    loadSessions();
 }
 
-function renderSalesChart(data) {
-    const container = document.getElementById('salesChart');
-    if (!container) return;
-    
-    container.innerHTML = '';
-    // Professional styling for the scrollable container
-    container.style.cssText = 'height: 400px; padding: 0; position: relative; overflow-x: auto; background: #0a0a0a; border: 1px solid #2a2a2a; border-radius: 8px;';
-    
-    if (!data || data.length === 0) {
-        container.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 100%;"><p style="color: #666;">No sales data available</p></div>';
-        return;
+async function revokeOtherSessions() {
+    if (!confirm('Sign out every other session? Only this one will stay signed in.')) return;
+    try {
+        const data = await fetchAPI('/admin/sessions/revoke-others', { method: 'POST' });
+        showToast(`${data.revoked} session${data.revoked === 1 ? '' : 's'} signed out`, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
     }
-    
-    // Process data
-    const parsedData = data.map(d => ({
-        date: d.date,
-        revenue: parseInt(d.revenue) || 0,
-        orders: parseInt(d.orders) || 0
-    }));
-    
-    // Fill gaps
-    const displayData = [];
-    const now = new Date();
-    const daysToDisplay = currentAnalyticsPeriod || 30;
-    for (let i = daysToDisplay - 1; i >= 0; i--) {
-        const d = new Date(now);
-        d.setDate(d.getDate() - i);
-        const dateStr = d.toISOString().split('T')[0];
-        const existing = parsedData.find(day => (day.date.includes('T') ? day.date.split('T')[0] : day.date) === dateStr);
-        displayData.push(existing || { date: dateStr, revenue: 0, orders: 0 });
+    loadSessions();
+}
+
+/**
+ * Swap this session's token for a fresh one
+ */
+async function rotateSessionToken() {
+    const data = await fetchAPI('/admin/sessions/rotate', { method: 'POST' });
+    sessionStorage.setItem('adminToken', data.token);
+}
+
+function renderTwoFactor(twoFactor) {
+    let status = twoFactor.enabled
+        ? `On since ${formatDate(twoFactor.enabledAt)}. You'll be asked for a code from your authenticator app when you sign in.`
+        : 'Off. Add a code from an authenticator app to your sign-in to protect your account if your password leaks.';
+    if (twoFactor.required && !twoFactor.enabled) {
+        status = 'The store requires two-factor authentication for your role. Set it up to use the rest of the dashboard.';
     }
-    
-    const maxRevenue = Math.max(...displayData.map(d => d.revenue), 1000);
-    const chartHeight = 280; // Explicit height for the plot area
-    
-    // Width calculation
-    const minBarWidth = 50;
-    const innerWidth = Math.max(container.clientWidth - 2, displayData.length * minBarWidth + 100);
-    
-    const chartWrapper = createElement('div', {
-        style: `width: ${innerWidth}px; min-height: 100%; display: flex; flex-direction: column; padding: 20px;`
-    });
-    
-    // Header
-    const header = createElement('div', {
-        style: 'margin-bottom: 25px; border-bottom: 1px solid #2a2a2a; padding-bottom: 10px;'
-    });
-    header.innerHTML = `<h4 style="margin: 0; color: #fff; font-size: 0.9rem; text-transform: uppercase; letter-spacing: 1px;">Sales Trend - Last ${daysToDisplay} Days</h4>`;
-    chartWrapper.appendChild(header);
-    
-    // Main Display Area
-    const mainArea = createElement('div', {
-        style: 'display: flex; height: 300px; position: relative;'
-    });
-    
-    // Y-Axis (Fixed on left if we weren't scrolling the whole thing, but here it scrolls with it)
-    const yAxis = createElement('div', {
-        style: 'width: 70px; display: flex; flex-direction: column; justify-content: space-between; border-right: 1px solid #2a2a2a; padding-right: 10px; margin-bottom: 45px;'
-    });
-    for (let i = 5; i >= 0; i--) {
-        const val = (maxRevenue / 5) * i;
-        let label = `₦${Math.round(val/1000)}k`;
-        if (val >= 1000000) label = `₦${(val/1000000).toFixed(1)}M`;
-        else if (val < 1000) label = `₦${val}`;
-        yAxis.appendChild(createElement('span', { style: 'font-size: 10px; color: #666; text-align: right;' }, label));
+    document.getElementById('twoFactorStatus').textContent = status;
+    document.getElementById('twoFactorOff').style.display = twoFactor.enabled ? 'none' : 'block';
+    document.getElementById('twoFactorOn').style.display = twoFactor.enabled ? 'block' : 'none';
+    document.getElementById('twoFactorSetupPanel').style.display = 'none';
+    document.getElementById('recoveryCodesLeft').textContent = `${twoFactor.recoveryCodesLeft} unused recovery codes left.`;
+    // Admins who must keep two-factor can't turn it off
+    document.getElementById('twoFactorDisableForm').style.display = twoFactor.required ? 'none' : 'block';
+}
+
+function showRecoveryCodes(codes) {
+    const list = document.getElementById('recoveryCodesList');
+    list.innerHTML = '';
+    codes.forEach(code => list.appendChild(createElement('li', {}, code)));
+    document.getElementById('recoveryCodesPanel').style.display = 'block';
+}
+
+async function startTwoFactorSetup() {
+    try {
+        const data = await fetchAPI('/admin/two-factor/setup', { method: 'POST' });
+        document.getElementById('twoFactorQr').src = data.qrCode;
+        document.getElementById('twoFactorSecret').textContent = data.secret.match(/.{1,4}/g).join(' ');
+        document.getElementById('twoFactorSetupPanel').style.display = 'block';
+        document.getElementById('twoFactorEnableCode').focus();
+    } catch (error) {
+        showToast(error.message, 'error');
     }
-    mainArea.appendChild(yAxis);
-    
-    // Plot Area
-    const plotArea = createElement('div', {
-        style: 'flex: 1; position: relative; margin-bottom: 45px;'
-    });
-    
-    // Grid
-    const grid = createElement('div', {
-        style: 'position: absolute; inset: 0; display: flex; flex-direction: column; justify-content: space-between; pointer-events: none;'
-    });
-    for (let i = 0; i <= 5; i++) {
-        grid.appendChild(createElement('div', { style: 'width: 100%; border-top: 1px solid #1a1a1a; height: 0;' }));
+}
+
+async function enableTwoFactor(e) {
+    e.preventDefault();
+    const input = document.getElementById('twoFactorEnableCode');
+    try {
+        const data = await fetchAPI('/admin/two-factor/enable', { method: 'POST', body: { code: input.value.trim() } });
+        input.value = '';
+        // The token used before two-factor was on shouldn't outlive it
+        await rotateSessionToken();
+        await loadSecurity();
+        showRecoveryCodes(data.recoveryCodes);
+        showToast('Two-factor authentication is on', 'success');
+
+        if (state.twoFactorSetupRequired) {
+            applyAccess(state.admin, state.access);
+            loadAllData();
+        }
+    } catch (error) {
+        showToast(error.message, 'error');
     }
-    plotArea.appendChild(grid);
-    
-    // Bars Container
-    const barsContainer = createElement('div', {
-        style: 'position: absolute; inset: 0; display: flex; align-items: flex-end; justify-content: space-around; padding: 0 5px;'
-    });
-    
-    displayData.forEach(day => {
-        const barHeight = (day.revenue / maxRevenue) * 100;
-        const barWrapper = createElement('div', {
-            style: 'flex: 1; display: flex; flex-direction: column; align-items: center; position: relative; height: 100%; justify-content: flex-end; max-width: 50px;'
-        });
-        
-        // The actual bar
-        const bar = createElement('div', {
-            style: `width: 70%; height: ${Math.max(barHeight, 2)}%; background: #dc2626; border-radius: 2px 2px 0 0; transition: all 0.3s ease; cursor: pointer; z-index: 2;`,
-            onmouseenter: (e) => {
-                bar.style.background = '#ef4444';
-                bar.style.boxShadow = '0 0 15px rgba(220, 38, 38, 0.5)';
-                
-                // Format date for tooltip
-                const d = new Date(day.date);
-                const fullDate = d.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
-                showChartTooltip(e, `<strong>${fullDate}</strong><br>Revenue: ₦${day.revenue.toLocaleString()}<br>Orders: ${day.orders}`);
-            },
-            onmouseleave: () => {
-                bar.style.background = '#dc2626';
-                bar.style.boxShadow = 'none';
-                hideChartTooltip();
-            }
-        });
-        
-        // Date label (Professional formatting)
-        const d = new Date(day.date);
-        const dayNum = d.getDate();
-        const monthStr = d.toLocaleDateString('en-GB', { month: 'short' });
-        const isFirstOfMonth = dayNum === 1;
-        const isToday = day.date === new Date().toISOString().split('T')[0];
-        
-        const formattedLabel = isToday ? 'Today' : `${dayNum} ${monthStr}`;
-        
-        const label = createElement('span', {
-            style: `position: absolute; bottom: -35px; left: 50%; font-size: 10px; color: ${isToday || isFirstOfMonth ? '#fff' : '#888'}; white-space: nowrap; transform: rotate(45deg); transform-origin: top left; font-weight: ${isToday || isFirstOfMonth ? '600' : '400'};`
-        }, formattedLabel);
-        
-        barWrapper.appendChild(bar);
-        barWrapper.appendChild(label);
-        barsContainer.appendChild(barWrapper);
-    });
-    
-    plotArea.appendChild(barsContainer);
-    mainArea.appendChild(plotArea);
-    chartWrapper.appendChild(mainArea);
-    container.appendChild(chartWrapper);
-    
-    // Scroll to end
-    setTimeout(() => { container.scrollLeft = container.scrollWidth; }, 100);
 }
 
-function showChartTooltip(e, html) {
-    let tooltip = document.getElementById('chartTooltip');
-    if (!tooltip) {
-        tooltip = createElement('div', {
-            id: 'chartTooltip',
-            style: 'position: fixed; background: rgba(0,0,0,0.9); color: white; padding: 8px 12px; border-radius: 4px; font-size: 0.75rem; pointer-events: none; z-index: 10000; border: 1px solid var(--color-border);'
-        });
-        document.body.appendChild(tooltip);
+async function regenerateRecoveryCodes(e) {
+    e.preventDefault();
+    const input = document.getElementById('recoveryCodesCode');
+    try {
+        const data = await fetchAPI('/admin/two-factor/recovery-codes', { method: 'POST', body: { code: input.value.trim() } });
+        input.value = '';
+        await loadSecurity();
+        showRecoveryCodes(data.recoveryCodes);
+        showToast('New recovery codes created. The old ones no longer work.', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
     }
-    tooltip.innerHTML = html;
-    tooltip.style.display = 'block';
-    tooltip.style.left = `${e.clientX + 10}px`;
-    tooltip.style.top = `${e.clientY - 40}px`;
 }
 
-function hideChartTooltip() {
-    const tooltip = document.getElementById('chartTooltip');
-    if (tooltip) tooltip.style.display = 'none';
+async function disableTwoFactor(e) {
+    e.preventDefault();
+    if (!confirm('Turn off two-factor authentication? Your recovery codes will stop working.')) return;
+    try {
+        await fetchAPI('/admin/two-factor/disable', {
+            method: 'POST',
+            body: {
+                password: document.getElementById('twoFactorDisablePassword').value,
+                code: document.getElementById('twoFactorDisableCode').value.trim()
+            }
+        });
+        e.target.reset();
+        loadSecurity();
+        showToast('Two-factor authentication is off', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
 }
 
 // ==========================================
@@ -2139,6 +4010,15 @@ document.addEventListener('DOMContentLoaded', () => {
     if (elements.loginForm) {
         elements.loginForm.addEventListener('submit', handleLogin);
     }
+    document.getElementById('twoFactorLoginForm')?.addEventListener('submit', handleTwoFactorLogin);
+    document.getElementById('twoFactorLoginBack')?.addEventListener('click', hideTwoFactorStep);
+
+    // Security page
+    document.getElementById('startTwoFactorBtn')?.addEventListener('click', startTwoFactorSetup);
+    document.getElementById('twoFactorEnableForm')?.addEventListener('submit', enableTwoFactor);
+    document.getElementById('recoveryCodesForm')?.addEventListener('submit', regenerateRecoveryCodes);
+    document.getElementById('twoFactorDisableForm')?.addEventListener('submit', disableTwoFactor);
+    document.getElementById('revokeOtherSessionsBtn')?.addEventListener('click', revokeOtherSessions);
     
     // Logout button
     if (elements.logoutBtn) {
@@ -2213,6 +4093,18 @@ document.addEventListener('DOMContentLoaded', () => {
     if (elements.orderFilter) {
         elements.orderFilter.addEventListener('change', () => renderOrdersTable(state.orders));
     }
+    if (elements.returnFilter) {
+        elements.returnFilter.addEventListener('change', () => renderReturnsTable(state.returns));
+    }
+    if (elements.webhookFilter) {
+        elements.webhookFilter.addEventListener('change', loadWebhooks);
+    }
+    if (elements.webhookSearch) {
+        elements.webhookSearch.addEventListener('change', loadWebhooks);
+    }
+    document.getElementById('runReconciliationBtn')?.addEventListener('click', runReconciliationNow);
+    document.getElementById('giftCardFilter')?.addEventListener('change', loadGiftCards);
+    document.getElementById('giftCardSearch')?.addEventListener('change', loadGiftCards);
     if (elements.productSearch) {
         elements.productSearch.addEventListener('input', () => renderProductsTable(state.products));
     }
@@ -2226,6 +4118,36 @@ document.addEventListener('DOMContentLoaded', () => {
         customerSearch.addEventListener('input', () => renderCustomersTable(customersState));
     }
     
+    // Team
+    const teamMemberRole = document.getElementById('teamMemberRole');
+    Object.entries(ADMIN_ROLES).forEach(([role, label]) => {
+        teamMemberRole?.appendChild(createElement('option', { value: role }, label));
+    });
+    if (teamMemberRole) teamMemberRole.value = 'support';
+    document.getElementById('addTeamMemberBtn')?.addEventListener('click', () => {
+        document.getElementById('teamMemberPanel').style.display = 'block';
+    });
+    document.getElementById('cancelTeamMemberBtn')?.addEventListener('click', () => {
+        document.getElementById('teamMemberPanel').style.display = 'none';
+    });
+    document.getElementById('teamMemberForm')?.addEventListener('submit', createTeamMember);
+
+    // Raffles
+    document.getElementById('addRaffleBtn')?.addEventListener('click', openRaffleForm);
+    document.getElementById('cancelRaffleFormBtn')?.addEventListener('click', () => {
+        document.getElementById('rafflePanel').style.display = 'none';
+    });
+    document.getElementById('raffleProduct')?.addEventListener('change', fillRaffleVariants);
+    document.getElementById('raffleForm')?.addEventListener('submit', createRaffle);
+
+    // Promotions
+    document.getElementById('addPromotionBtn')?.addEventListener('click', openPromotionForm);
+    document.getElementById('cancelPromotionFormBtn')?.addEventListener('click', () => {
+        document.getElementById('promotionPanel').style.display = 'none';
+    });
+    document.getElementById('promotionType')?.addEventListener('change', showPromotionFields);
+    document.getElementById('promotionForm')?.addEventListener('submit', createPromotion);
+
     // Modal listeners
     document.getElementById('closeOrderModalBtn')?.addEventListener('click', window.closeOrderModal);
     document.getElementById('closeProductModalBtn')?.addEventListener('click', window.closeProductModal);
@@ -2257,8 +4179,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 supportEmail: document.getElementById('settingSupportEmail')?.value,
                 freeShippingThreshold: String(parseInt(document.getElementById('settingFreeShipping')?.value) || 0),
                 standardShippingRate: String(parseInt(document.getElementById('settingStandardShippingRate')?.value) || 0),
-                expressShippingRate: String(parseInt(document.getElementById('settingExpressShippingRate')?.value) || 0)
+                expressShippingRate: String(parseInt(document.getElementById('settingExpressShippingRate')?.value) || 0),
+                giftCardAmounts: document.getElementById('settingGiftCardAmounts').value.replace(/\s/g, ''),
+                abandonedCartEmails: String(document.getElementById('settingAbandonedCartEmails').checked),
+                abandonedCartDelays: document.getElementById('settingAbandonedCartDelays').value.replace(/\s/g, ''),
+                abandonedCartCouponPercent: String(parseInt(document.getElementById('settingAbandonedCartCoupon').value) || 0)
             };
+            // Only the owner may change who has to use two-factor
+            if (state.admin?.role === 'owner') {
+                settings.requireAdminTwoFactor = String(document.getElementById('settingRequireTwoFactor').checked);
+            }
             
             try {
                 await fetchAPI('/admin/settings', {
@@ -2267,7 +4197,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 });
                 showToast('Settings saved successfully', 'success');
             } catch (error) {
-                showToast('Failed to save settings', 'error');
+                showToast(error.message || 'Failed to save settings', 'error');
             }
         });
     }
@@ -2281,6 +4211,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 document.getElementById('settingFreeShipping').value = data.settings.freeShippingThreshold || '0';
                 document.getElementById('settingStandardShippingRate').value = data.settings.standardShippingRate || '0';
                 document.getElementById('settingExpressShippingRate').value = data.settings.expressShippingRate || '0';
+                document.getElementById('settingGiftCardAmounts').value = data.settings.giftCardAmounts || '';
+                document.getElementById('settingRequireTwoFactor').checked = data.settings.requireAdminTwoFactor === 'true';
+                document.getElementById('settingAbandonedCartEmails').checked = data.settings.abandonedCartEmails === 'true';
+                document.getElementById('settingAbandonedCartDelays').value = data.settings.abandonedCartDelays || '1,24,72';
+                document.getElementById('settingAbandonedCartCoupon').value = data.settings.abandonedCartCouponPercent ?? '10';
+                document.getElementById('settingTwoFactorGroup').style.display = state.admin?.role === 'owner' ? '' : 'none';
             }
         } catch (error) {
             console.error('Failed to load settings:', error);
@@ -2288,9 +4224,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    if (document.getElementById('settingsSection')) {
-        loadAdminSettings();
-    }
+    document.querySelector('.nav-item[data-section="settings"]')?.addEventListener('click', loadAdminSettings);
     
     // Currency rates management
     const updateCurrencyRatesBtn = document.getElementById('updateCurrencyRatesBtn');
@@ -2383,6 +4317,14 @@ document.addEventListener('DOMContentLoaded', () => {
     const manageCouponsBtn = document.getElementById('manageCouponsBtn');
     const couponManagementPanel = document.getElementById('couponManagementPanel');
     const createCouponBtn = document.getElementById('createCouponBtn');
+    const couponType = document.getElementById('couponType');
+
+    // Free shipping coupons have no discount value
+    couponType?.addEventListener('change', () => {
+        const couponValue = document.getElementById('couponValue');
+        couponValue.disabled = couponType.value === 'free_shipping';
+        if (couponValue.disabled) couponValue.value = '';
+    });
     
     if (manageCouponsBtn && couponManagementPanel) {
         manageCouponsBtn.addEventListener('click', () => {
@@ -2391,6 +4333,7 @@ document.addEventListener('DOMContentLoaded', () => {
             manageCouponsBtn.textContent = isVisible ? 'Manage Coupons' : 'Hide Coupons';
             if (!isVisible) {
                 loadCoupons();
+                loadCouponBatches();
             }
         });
     }
@@ -2438,6 +4381,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Clear form
                 document.getElementById('couponCode').value = '';
                 document.getElementById('couponValue').value = '';
+                document.getElementById('couponValue').disabled = false;
+                couponType.value = 'percentage';
                 document.getElementById('couponMinOrder').value = '';
                 document.getElementById('couponMaxDiscount').value = '';
                 document.getElementById('couponUsageLimit').value = '';
@@ -2455,6 +4400,8 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
     
+    document.getElementById('generateCouponBatchBtn')?.addEventListener('click', generateCouponBatch);
+
     // Export buttons
     const exportOrdersBtn = document.getElementById('exportOrdersBtn');
     const exportProductsBtn = document.getElementById('exportProductsBtn');
@@ -2469,6 +4416,13 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // Coupon Management Functions
+function couponValueText({ type, value }) {
+    if (type === 'percentage') return `${value}%`;
+    if (type === 'fixed') return `₦${value.toLocaleString()}`;
+    if (type === 'free_shipping') return 'Free';
+    return '-';
+}
+
 async function loadCoupons() {
     const couponsList = document.getElementById('couponsList');
     if (!couponsList) return;
@@ -2504,11 +4458,7 @@ async function loadCoupons() {
             tr.appendChild(createElement('td', {}, typeLabels[coupon.type] || coupon.type));
             
             // Value
-            let valueText = '-';
-            if (coupon.type === 'percentage') valueText = `${coupon.value}%`;
-            else if (coupon.type === 'fixed') valueText = `₦${coupon.value.toLocaleString()}`;
-            else if (coupon.type === 'free_shipping') valueText = 'Free';
-            tr.appendChild(createElement('td', {}, valueText));
+            tr.appendChild(createElement('td', {}, couponValueText(coupon)));
             
             // Usage - fixed field names
             const usageCount = coupon.usage_count || 0;
@@ -2569,6 +4519,134 @@ async function deleteCoupon(couponId) {
     }
 }
 
+// Batches of single-use codes, sharing the rules in the coupon form
+async function loadCouponBatches() {
+    const list = document.getElementById('couponBatchesList');
+    if (!list) return;
+
+    try {
+        const data = await fetchAPI('/admin/coupons/batches');
+        const batches = data.batches || [];
+        if (batches.length === 0) {
+            list.innerHTML = '<p class="text-muted">No batches generated yet</p>';
+            return;
+        }
+
+        const table = createElement('table', { className: 'table table-sm' });
+        const headerRow = createElement('tr');
+        ['Batch', 'Discount', 'Codes', 'Redeemed', 'Discount Given', 'Status', 'Actions'].forEach(text => {
+            headerRow.appendChild(createElement('th', {}, text));
+        });
+        table.appendChild(createElement('thead', {}, headerRow));
+
+        const tbody = createElement('tbody');
+        batches.forEach(batch => {
+            const tr = createElement('tr');
+            const tdName = createElement('td', {}, createElement('strong', {}, batch.name));
+            tdName.appendChild(createElement('div', { className: 'text-muted' }, `${batch.prefix}${'•'.repeat(batch.codeLength)}`));
+            tr.appendChild(tdName);
+            tr.appendChild(createElement('td', {}, couponValueText(batch.rules)));
+            tr.appendChild(createElement('td', {}, batch.quantity.toLocaleString()));
+            tr.appendChild(createElement('td', {}, `${batch.redeemed.toLocaleString()} / ${batch.quantity.toLocaleString()}`));
+            tr.appendChild(createElement('td', {}, `₦${batch.discountTotal.toLocaleString()}`));
+            tr.appendChild(createElement('td', {}, createElement('span', {
+                className: `status-badge ${batch.isActive ? 'active' : 'inactive'}`
+            }, batch.isActive ? 'Active' : 'Deactivated')));
+
+            const actions = createElement('td');
+            actions.appendChild(createElement('button', {
+                className: 'btn btn-sm btn-secondary',
+                onclick: () => exportCouponBatch(batch)
+            }, 'Export CSV'));
+            actions.appendChild(createElement('button', {
+                className: `btn btn-sm ${batch.isActive ? 'btn-danger' : 'btn-secondary'}`,
+                style: 'margin-left: 0.25rem;',
+                onclick: () => setCouponBatchActive(batch, !batch.isActive)
+            }, batch.isActive ? 'Deactivate' : 'Reactivate'));
+            tr.appendChild(actions);
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        list.innerHTML = '';
+        list.appendChild(table);
+    } catch {
+        list.innerHTML = '<p class="text-muted">Failed to load batches</p>';
+    }
+}
+
+async function generateCouponBatch() {
+    const btn = document.getElementById('generateCouponBatchBtn');
+    const type = document.getElementById('couponType').value;
+    const body = {
+        name: document.getElementById('couponBatchName').value.trim(),
+        quantity: parseInt(document.getElementById('couponBatchQuantity').value) || 0,
+        prefix: document.getElementById('couponBatchPrefix').value.trim().toUpperCase(),
+        length: parseInt(document.getElementById('couponBatchLength').value) || 8,
+        alphabet: document.getElementById('couponBatchAlphabet').value.trim().toUpperCase() || undefined,
+        type,
+        value: type === 'free_shipping' ? 0 : parseFloat(document.getElementById('couponValue').value) || 0,
+        min_order_amount: parseFloat(document.getElementById('couponMinOrder').value) || 0,
+        max_discount_amount: parseFloat(document.getElementById('couponMaxDiscount').value) || null,
+        start_date: document.getElementById('couponStartDate').value || null,
+        end_date: document.getElementById('couponEndDate').value || null
+    };
+    if (!body.name || body.quantity < 1) {
+        showToast('Name the batch and say how many codes to make', 'error');
+        return;
+    }
+
+    try {
+        btn.disabled = true;
+        btn.textContent = 'Generating...';
+        const data = await fetchAPI('/admin/coupons/batches', { method: 'POST', body });
+        showToast(`${data.batch.quantity.toLocaleString()} codes generated`, 'success');
+        ['couponBatchName', 'couponBatchQuantity', 'couponBatchPrefix', 'couponBatchAlphabet'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        loadCouponBatches();
+    } catch (error) {
+        showToast(`Failed to generate codes: ${error.message}`, 'error');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Generate Codes';
+    }
+}
+
+async function exportCouponBatch(batch) {
+    try {
+        showLoading(true);
+        const data = await fetchAPI(`/admin/coupons/batches/${batch.id}/codes`);
+        const headers = ['Code', 'Status', 'Redeemed', 'Order ID', 'Customer Email', 'Discount', 'Used At'];
+        const rows = data.codes.map(code => [
+            code.code,
+            code.isActive ? 'active' : 'inactive',
+            code.redeemed ? 'yes' : 'no',
+            code.orderId || '',
+            code.customerEmail || '',
+            code.discount,
+            code.usedAt || ''
+        ]);
+        const slug = batch.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        downloadCSV([headers, ...rows], `coupons-${slug || batch.id}.csv`);
+    } catch (error) {
+        showToast(`Failed to export codes: ${error.message}`, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function setCouponBatchActive(batch, isActive) {
+    if (!isActive && !confirm(`Deactivate all ${batch.quantity.toLocaleString()} codes in "${batch.name}"?`)) return;
+
+    try {
+        await fetchAPI(`/admin/coupons/batches/${batch.id}/active`, { method: 'PUT', body: { isActive } });
+        showToast(isActive ? 'Batch reactivated' : 'Batch deactivated', 'success');
+        loadCouponBatches();
+    } catch (error) {
+        showToast(`Failed to update batch: ${error.message}`, 'error');
+    }
+}
+
 // Export Functions
 async function exportOrdersCSV() {
     try {
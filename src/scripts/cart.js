@@ -171,9 +171,169 @@ const CartState = {
         });
     },
     
+    // ==========================================
+    // SERVER CART
+    // The cart is kept on the server so it follows the shopper between
+    // devices and its prices come from the catalogue. localStorage holds a
+    // copy in the same shape for checkout and other tabs, and is used on its
+    // own while the API can't be reached; items added then have no itemId
+    // and are merged into the server cart on the next sync.
+    // ==========================================
+    get API_URL() {
+        return window.location.hostname === 'localhost'
+            ? 'http://localhost:3000/api'
+            : 'https://la-vague-api.onrender.com/api';
+    },
+
+    /**
+     * Call the cart API. Errors the server sent carry its status; network
+     * errors don't.
+     */
+    async cartAPI(path, { method = 'GET', body } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (method !== 'GET') {
+            const csrfResponse = await fetch(`${this.API_URL}/csrf-token`, { credentials: 'include' });
+            headers['X-CSRF-Token'] = (await csrfResponse.json()).csrfToken;
+        }
+        const response = await fetch(`${this.API_URL}/cart${path}`, {
+            method,
+            credentials: 'include',
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            const error = new Error(data.details?.[0]?.message || data.error || 'Something went wrong. Please try again.');
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    },
+
+    applyServerCart(cart) {
+        this.cart = cart.items.map(item => ({
+            id: item.productId,
+            itemId: item.id,
+            variantId: item.variantId,
+            name: item.name,
+            price: item.price,
+            image: item.image,
+            color: item.color,
+            size: item.size,
+            quantity: item.quantity,
+            stock: item.available
+        }));
+        // Automatic promotions hold for this cart until it changes
+        this.promotions = { key: this.cartKey(), list: cart.promotions || [] };
+        this.saveCart();
+
+        for (const change of cart.changes || []) {
+            if (change.type === 'price') {
+                const type = change.to > change.from ? 'error' : 'success';
+                this.showToast(`${change.name} is now ${CurrencyConfig.formatPrice(change.to)}`, type);
+            } else if (change.type === 'removed') {
+                this.showToast('An item in your cart is no longer available', 'error');
+            } else if (change.type === 'quantity') {
+                this.showToast(`Only ${change.to} of an item in your cart are in stock`, 'error');
+            }
+        }
+    },
+
+    /**
+     * Load the server cart, first merging any items added while offline
+     */
+    syncCart() {
+        this.syncing ??= (async () => {
+            try {
+                const unsynced = this.cart.filter(item => !item.itemId);
+                const { cart } = unsynced.length
+                    ? await this.cartAPI('/merge', {
+                        method: 'POST',
+                        body: { items: unsynced.map(item => this.toServerItem(item)) }
+                    })
+                    : await this.cartAPI('');
+                this.applyServerCart(cart);
+            } catch (error) {
+                console.warn('[CART] Using the cart saved on this device:', error.message);
+            } finally {
+                this.syncing = null;
+            }
+        })();
+        return this.syncing;
+    },
+
+    /**
+     * Act on a link from a cart reminder email: ?restoreCart= brings the
+     * emailed cart back to this browser, ?unsubscribe= stops the reminders
+     * @returns {Promise<boolean>} Whether the page was opened from one
+     */
+    async openEmailLink() {
+        const params = new URLSearchParams(window.location.search);
+        const restoreToken = params.get('restoreCart');
+        const unsubscribeToken = params.get('unsubscribe');
+        if (!restoreToken && !unsubscribeToken) return false;
+
+        params.delete('restoreCart');
+        params.delete('unsubscribe');
+        const query = params.toString();
+        window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+        try {
+            if (unsubscribeToken) {
+                const { message } = await this.cartAPI('/unsubscribe', { method: 'POST', body: { token: unsubscribeToken } });
+                this.showToast(message, 'success');
+                await this.syncCart();
+                return true;
+            }
+            const { cart } = await this.cartAPI('/restore', { method: 'POST', body: { token: restoreToken } });
+            this.applyServerCart(cart);
+            window.openCart();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            // A customer's cart is waiting in their account
+            if (error.status === 401) {
+                setTimeout(() => { window.location.href = 'account.html'; }, 1500);
+                return true;
+            }
+            await this.syncCart();
+        }
+        return true;
+    },
+
+    cartKey() {
+        return this.cart.map(item => `${item.variantId || `${item.id}/${item.color}/${item.size}`}x${item.quantity}`).join(',');
+    },
+
+    toServerItem(item) {
+        const { id: productId, variantId, color, size, quantity } = item;
+        return { productId, variantId, color, size, quantity };
+    },
+
     async addToCart(item) {
-        const existingItem = this.cart.find(i => 
-            i.id === item.id && i.color === item.color && i.size === item.size
+        try {
+            const { cart } = await this.cartAPI('/items', { method: 'POST', body: this.toServerItem(item) });
+            this.applyServerCart(cart);
+        } catch (error) {
+            // The server refused the item, e.g. not enough stock
+            if (error.status) {
+                this.showToast(error.message, 'error');
+                return;
+            }
+            if (!(await this.addToLocalCart(item))) return;
+        }
+
+        const viewCartText = window.I18n ? window.I18n.t('toast.viewCart') : 'View Cart';
+        this.showToast(`${item.name} ${window.I18n ? window.I18n.t('toast.addedToCart') : 'added to cart'}`, 'success', viewCartText);
+    },
+
+    /**
+     * Add to the cart on this device only, when the API is unreachable
+     * @returns {Promise<boolean>} False if there isn't enough stock
+     */
+    async addToLocalCart(item) {
+        const existingItem = this.cart.find(i => item.variantId
+            ? i.variantId === item.variantId
+            : i.id === item.id && i.color === item.color && i.size === item.size
         );
         
         const currentQty = existingItem ? existingItem.quantity : 0;
@@ -181,10 +341,10 @@ const CartState = {
 
         // Unified Stock Check (Static + API fallback)
         try {
-            const stock = await this.getAvailableStock(item.id, item.color, item.size);
+            const stock = await this.getAvailableStock(item.id, item.color, item.size, item.variantId);
             if (newTotalQty > stock) {
                 this.showToast(stock <= 0 ? 'Sorry, this item is out of stock' : `Only ${stock} items available in stock`, 'error');
-                return;
+                return false;
             }
         } catch (error) {
             console.error('[CART] Stock check failed:', error);
@@ -197,14 +357,13 @@ const CartState = {
         }
         
         this.saveCart();
-        const viewCartText = (typeof I18n !== 'undefined') ? I18n.t('toast.viewCart') : 'View Cart';
-        this.showToast(`${item.name} ${(typeof I18n !== 'undefined') ? I18n.t('toast.addedToCart') : 'added to cart'}`, 'success', viewCartText);
+        return true;
     },
 
     /**
      * Helper to get stock from any source
      */
-    async getAvailableStock(productId, color, size) {
+    async getAvailableStock(productId, color, size, variantId) {
         // 1. Try static ProductAPI first
         if (typeof ProductAPI !== 'undefined') {
             const staticProduct = ProductAPI.getById(productId);
@@ -218,7 +377,10 @@ const CartState = {
         // 2. Fallback to API check
         try {
             const API_URL = window.location.hostname === 'localhost' ? 'http://localhost:3000/api' : 'https://la-vague-api.onrender.com/api';
-            const response = await fetch(`${API_URL}/products/inventory/check/${productId}?color=${encodeURIComponent(color)}&size=${encodeURIComponent(size)}`);
+            const query = variantId
+                ? `variantId=${encodeURIComponent(variantId)}`
+                : `color=${encodeURIComponent(color)}&size=${encodeURIComponent(size)}`;
+            const response = await fetch(`${API_URL}/products/inventory/check/${productId}?${query}`);
             
             if (response.ok) {
                 const data = await response.json();
@@ -254,7 +416,24 @@ const CartState = {
         }
     },
     
-    removeFromCart(index) {
+    async removeFromCart(index) {
+        const item = this.cart[index];
+        if (!item) return;
+
+        if (item.itemId) {
+            try {
+                const { cart } = await this.cartAPI(`/items/${item.itemId}`, { method: 'DELETE' });
+                this.applyServerCart(cart);
+                return;
+            } catch (error) {
+                // 404: already gone from the server cart
+                if (error.status && error.status !== 404) {
+                    this.showToast(error.message, 'error');
+                    return;
+                }
+            }
+        }
+
         this.cart.splice(index, 1);
         this.saveCart();
         // renderCart is called inside saveCart(false)
@@ -272,13 +451,29 @@ const CartState = {
         
         const newQty = item.quantity + delta;
         if (newQty < 1) {
-            this.removeFromCart(index);
+            await this.removeFromCart(index);
             return;
         }
+
+        if (item.itemId) {
+            try {
+                const { cart } = await this.cartAPI(`/items/${item.itemId}`, {
+                    method: 'PATCH',
+                    body: { quantity: newQty }
+                });
+                this.applyServerCart(cart);
+                return;
+            } catch (error) {
+                if (error.status) {
+                    this.showToast(error.message, 'error');
+                    return;
+                }
+            }
+        }
         
         // Stock check
         try {
-            const stock = await this.getAvailableStock(item.id, item.color, item.size);
+            const stock = await this.getAvailableStock(item.id, item.color, item.size, item.variantId);
             if (newQty > stock) {
                 this.showToast(`Only ${stock} items available in stock`, 'error');
                 return;
@@ -362,10 +557,12 @@ const CartState = {
         const waitTime = isInitialLoad ? 400 : 0;
         const minWait = new Promise(resolve => setTimeout(resolve, waitTime));
 
-        // Batch fetch stock for all items
+        // Batch fetch stock for items the server cart hasn't already checked
         const [cartWithStock] = await Promise.all([
             Promise.all(this.cart.map(async (item) => {
-                const stock = await this.getAvailableStock(item.id, item.color, item.size);
+                const stock = item.itemId
+                    ? item.stock
+                    : await this.getAvailableStock(item.id, item.color, item.size, item.variantId);
                 return { ...item, stock };
             })),
             minWait
@@ -402,6 +599,24 @@ const CartState = {
         
         const subtotal = this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
         if (cartSubtotal) cartSubtotal.textContent = CurrencyConfig.formatPrice(subtotal);
+        this.renderCartPromotions();
+    },
+
+    renderCartPromotions() {
+        const container = document.getElementById('cartPromotions');
+        if (!container) return;
+        const promotions = this.promotions?.key === this.cartKey() ? this.promotions.list : [];
+        container.innerHTML = '';
+        for (const promotion of promotions) {
+            const row = document.createElement('div');
+            row.className = 'cart-promotion';
+            const name = document.createElement('span');
+            name.textContent = promotion.name;
+            const amount = document.createElement('span');
+            amount.textContent = `-${CurrencyConfig.formatPrice(promotion.discount)}`;
+            row.append(name, amount);
+            container.appendChild(row);
+        }
     },
     
     async renderWishlist(isInitialLoad = true) {
@@ -653,6 +868,10 @@ function initCartUI() {
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize UI
     initCartUI();
+
+    // Pick up the cart from the server, e.g. one filled on another device or
+    // brought back from a reminder email
+    CartState.openEmailLink().then(opened => opened || CartState.syncCart());
     
     // Initialize Professional features (Abandoned cart, Tab reminder)
     CartState.initProfessionalFeatures();
@@ -1,7 +1,9 @@
 /**
- * LA VAGUE - Paystack Payment Integration
- * Handles Paystack popup payment flow with Mobile Redirect Fallback
- * Version: 4.6 (Restored Processing Modal & Progress Bar)
+ * LA VAGUE - Checkout Payment Integration
+ * Starts the card payment for an order through the configured provider:
+ * Paystack's popup (with mobile redirect fallback), or the hosted payment
+ * page of any other provider, e.g. the local mock gateway
+ * Version: 5.0 (Provider-agnostic)
  */
 (function() {
     const API_URL = window.location.hostname === 'localhost' 
@@ -9,6 +11,7 @@
         : 'https://la-vague-api.onrender.com/api';
 
     let PAYSTACK_PUBLIC_KEY = window.PAYSTACK_PUBLIC_KEY || '';
+    let paymentConfig = null;
     let configLoaded = false;
     let isPaystackAvailable = false;
     let paystackInstance = null;
@@ -29,14 +32,17 @@
         }
     }
 
-    async function loadPaystackConfig() {
+    async function loadPaymentConfig() {
         if (configLoaded) return true;
         try {
-            const response = await fetch(`${API_URL}/config/paystack`, { credentials: 'include' });
+            const response = await fetch(`${API_URL}/config/payment`, { credentials: 'include' });
             const data = await response.json();
             if (data.success && data.configured) {
-                PAYSTACK_PUBLIC_KEY = data.publicKey;
-                window.PAYSTACK_PUBLIC_KEY = data.publicKey;
+                paymentConfig = data;
+                if (data.provider === 'paystack') {
+                    PAYSTACK_PUBLIC_KEY = data.publicKey;
+                    window.PAYSTACK_PUBLIC_KEY = data.publicKey;
+                }
                 configLoaded = true;
                 return true;
             }
@@ -46,12 +52,19 @@
         }
     }
 
-    function isPaystackConfigured() {
-        return !!PAYSTACK_PUBLIC_KEY && PAYSTACK_PUBLIC_KEY.startsWith('pk_');
+    const isPaystack = () => paymentConfig?.provider === 'paystack';
+
+    function isPaymentConfigured() {
+        if (!paymentConfig) return false;
+        return !isPaystack() || (!!PAYSTACK_PUBLIC_KEY && PAYSTACK_PUBLIC_KEY.startsWith('pk_'));
     }
 
     function loadPaystackScript() {
         return new Promise((resolve) => {
+            if (!isPaystack()) {
+                resolve();
+                return;
+            }
             if (window.PaystackPop) {
                 isPaystackAvailable = true;
                 prewarmPaystack();
@@ -75,7 +88,7 @@
     }
 
     function redirectToConfirmation(orderId) {
-        localStorage.removeItem('cart');
+        if (!currentOrderData?.raffleClaim) localStorage.removeItem('cart');
         window.location.href = `order-confirmation.html?order=${orderId}&status=success`;
     }
 
@@ -248,7 +261,7 @@
         }
     }
 
-    async function processOrderWithPaystack(orderData) {
+    async function processOrderWithPayment(orderData) {
         await loadPaystackScript();
         let freshToken = '';
         try {
@@ -257,7 +270,7 @@
             freshToken = tokenData.csrfToken;
         } catch (e) {}
         
-        currentOrderData = { ...orderData, paymentMethod: 'paystack' };
+        currentOrderData = { ...orderData, paymentMethod: paymentConfig.provider };
         const response = await fetch(`${API_URL}/orders`, {
             method: 'POST',
             credentials: 'include',
@@ -268,23 +281,31 @@
         const result = await response.json();
         if (!response.ok || !result.success) throw new Error(result.error || 'Failed to create order');
         
-        await initializePaystackPayment(result.orderId, result.paystack);
+        if (isPaystack()) {
+            await initializePaystackPayment(result.orderId, result.payment);
+        } else if (result.payment?.authorization_url) {
+            // Other providers take payment on their own hosted page
+            window.location.href = result.payment.authorization_url;
+        } else {
+            throw new Error('Payment initialization data missing');
+        }
         return { success: true, orderId: result.orderId };
     }
 
-    window.PaystackCheckout = {
-        isConfigured: isPaystackConfigured,
-        isAvailable: () => isPaystackAvailable,
-        processOrder: processOrderWithPaystack,
+    window.PaymentCheckout = {
+        isConfigured: isPaymentConfigured,
+        isAvailable: () => !isPaystack() || isPaystackAvailable,
+        getProvider: () => paymentConfig?.provider || null,
+        processOrder: processOrderWithPayment,
         init: async function() {
-            await loadPaystackConfig();
+            await loadPaymentConfig();
             await loadPaystackScript();
         }
     };
 
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => window.PaystackCheckout.init());
+        document.addEventListener('DOMContentLoaded', () => window.PaymentCheckout.init());
     } else {
-        window.PaystackCheckout.init();
+        window.PaymentCheckout.init();
     }
 })();
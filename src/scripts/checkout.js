@@ -9,10 +9,17 @@ const API_URL = window.location.hostname === 'localhost'
 
 const state = {
     cart: JSON.parse(localStorage.getItem('cart')) || [],
+    // Token from a raffle winner's checkout link; the won item replaces the cart
+    raffleClaim: new URLSearchParams(window.location.search).get('raffle'),
     shipping: 0,
+    // Automatic promotions, priced by the server
+    promotions: [],
+    promotionDiscount: 0,
     discount: 0,
     discountCode: null,
     isFreeShippingCoupon: false,
+    // Gift card checked against the server: { code, balance, lastFour }
+    giftCard: null,
     settings: {
         shippingRate: 0,
         expressShippingRate: 0,
@@ -32,10 +39,16 @@ async function initCheckout() {
         summarySubtotal: document.getElementById('summarySubtotal'),
         summaryShipping: document.getElementById('summaryShipping'),
         summaryDiscount: document.getElementById('summaryDiscount'),
+        summaryPromotions: document.getElementById('summaryPromotions'),
         summaryTotal: document.getElementById('summaryTotal'),
         discountLine: document.getElementById('discountLine'),
         discountCode: document.getElementById('discountCode'),
         applyDiscount: document.getElementById('applyDiscount'),
+        giftCardLine: document.getElementById('giftCardLine'),
+        giftCardLabel: document.getElementById('giftCardLabel'),
+        summaryGiftCard: document.getElementById('summaryGiftCard'),
+        giftCardCode: document.getElementById('giftCardCode'),
+        applyGiftCard: document.getElementById('applyGiftCard'),
         shippingOptions: document.querySelectorAll('input[name="shipping"]'),
         placeOrderBtn: document.getElementById('placeOrderBtn'),
         toastContainer: document.getElementById('toastContainer'),
@@ -43,15 +56,17 @@ async function initCheckout() {
         expressShippingPrice: document.getElementById('expressShipping')
     };
 
+    if (state.raffleClaim && !(await loadRaffleClaim())) return;
     if (state.cart.length === 0) {
         window.location.href = 'shop.html';
         return;
     }
     
-    await loadSettings();
+    await Promise.all([loadSettings(), loadPricing()]);
     updateShippingState();
     render();
     bindEvents();
+    loadSavedDetails();
 
     // Nav scroll effect
     window.addEventListener('scroll', () => {
@@ -81,11 +96,24 @@ function render() {
     `).join('');
 
     const subtotal = state.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const total = subtotal + state.shipping - state.discount;
+    const total = subtotal + state.shipping - state.promotionDiscount - state.discount;
     
     elements.summarySubtotal.textContent = CurrencyConfig.formatPrice(subtotal);
+    if (elements.summaryPromotions) {
+        elements.summaryPromotions.innerHTML = '';
+        state.promotions.forEach(promotion => {
+            const line = document.createElement('div');
+            line.className = 'summary-line discount';
+            const name = document.createElement('span');
+            name.textContent = promotion.name;
+            const amount = document.createElement('span');
+            amount.textContent = `-${window.CurrencyConfig.formatPrice(promotion.discount)}`;
+            line.append(name, amount);
+            elements.summaryPromotions.appendChild(line);
+        });
+    }
     elements.summaryShipping.textContent = state.shipping === 0 ? 'FREE' : CurrencyConfig.formatPrice(state.shipping);
-    elements.summaryTotal.textContent = CurrencyConfig.formatPrice(total);
+    elements.summaryTotal.textContent = window.CurrencyConfig.formatPrice(total - giftCardAmount(total));
 
     if (state.discount > 0) {
         elements.summaryDiscount.textContent = `-${CurrencyConfig.formatPrice(state.discount)}`;
@@ -94,6 +122,14 @@ function render() {
         elements.discountLine.style.display = 'none';
     }
 
+    if (state.giftCard && elements.giftCardLine) {
+        elements.giftCardLabel.textContent = `Gift card ending ${state.giftCard.lastFour}`;
+        elements.summaryGiftCard.textContent = `-${window.CurrencyConfig.formatPrice(giftCardAmount(total))}`;
+        elements.giftCardLine.style.display = 'flex';
+    } else if (elements.giftCardLine) {
+        elements.giftCardLine.style.display = 'none';
+    }
+
     if (state.isFreeShippingCoupon || subtotal >= state.settings.freeShippingThreshold) {
         elements.standardShippingPrice.textContent = 'FREE';
     } else {
@@ -107,6 +143,16 @@ function render() {
     }
 }
 
+function orderTotal() {
+    const subtotal = state.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    return subtotal + state.shipping - state.promotionDiscount - state.discount;
+}
+
+// What the gift card pays; the server works it out the same way when the order is placed
+function giftCardAmount(total = orderTotal()) {
+    return state.giftCard ? Math.min(state.giftCard.balance, Math.max(total, 0)) : 0;
+}
+
 function updateShippingState() {
     const subtotal = state.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
     const selectedShipping = document.querySelector('input[name="shipping"]:checked')?.value || 'standard';
@@ -127,6 +173,41 @@ function updateShippingState() {
     }
 }
 
+/**
+ * Check out a raffle win: just the won item, by the email that entered
+ * @returns {Promise<boolean>} false if the link can't be used
+ */
+async function loadRaffleClaim() {
+    try {
+        const response = await fetch(`${API_URL}/raffles/claim/${encodeURIComponent(state.raffleClaim)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'This raffle link is invalid');
+
+        const { raffle, email, expiresAt } = data.claim;
+        state.cart = [{
+            id: raffle.productId,
+            variantId: raffle.variant.id,
+            name: raffle.productName,
+            color: raffle.variant.color,
+            size: raffle.variant.size,
+            price: raffle.price,
+            image: raffle.image,
+            quantity: 1
+        }];
+        const emailInput = document.getElementById('email');
+        if (emailInput) {
+            emailInput.value = email;
+            emailInput.readOnly = true;
+        }
+        showToast(`Raffle win held for you until ${new Date(expiresAt).toLocaleString()}`, 'success');
+        return true;
+    } catch (error) {
+        showToast(error.message, 'error');
+        setTimeout(() => { window.location.href = 'shop.html'; }, 3000);
+        return false;
+    }
+}
+
 async function loadSettings() {
     try {
         const response = await fetch(`${API_URL}/config/settings`);
@@ -141,6 +222,86 @@ async function loadSettings() {
     }
 }
 
+async function csrfToken() {
+    const response = await fetch(`${API_URL}/csrf-token`, { credentials: 'include' });
+    return (await response.json()).csrfToken;
+}
+
+/**
+ * Automatic promotions the cart qualifies for, worked out as the order will be
+ */
+async function loadPricing() {
+    try {
+        const response = await fetch(`${API_URL}/orders/price`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': await csrfToken() },
+            body: JSON.stringify({ items: state.cart })
+        });
+        const data = await response.json();
+        if (data.success) applyPricing(data.pricing);
+    } catch (error) {
+        console.error('[CHECKOUT] Failed to load promotions:', error);
+    }
+}
+
+function applyPricing(pricing) {
+    state.promotions = pricing.promotions;
+    state.promotionDiscount = pricing.promotionDiscount;
+}
+
+/**
+ * Prefill contact and shipping details for logged-in customers
+ */
+async function loadSavedDetails() {
+    try {
+        const meResponse = await fetch(`${API_URL}/account/me`, { credentials: 'include' });
+        if (!meResponse.ok) return;
+        const { customer } = await meResponse.json();
+
+        const addressResponse = await fetch(`${API_URL}/account/addresses`, { credentials: 'include' });
+        const { addresses = [] } = await addressResponse.json();
+
+        const fill = (id, value) => {
+            const input = document.getElementById(id);
+            if (input && !input.value && value) input.value = decodeEntities(value);
+        };
+        fill('email', customer.email);
+        fill('phone', customer.phone);
+
+        if (addresses.length === 0) {
+            const [firstName, ...lastName] = decodeEntities(customer.name).split(' ');
+            fill('firstName', firstName);
+            fill('lastName', lastName.join(' '));
+            return;
+        }
+
+        const select = document.getElementById('savedAddress');
+        select.innerHTML = `${addresses.map((address, index) => `
+            <option value="${index}">${address.label || `${address.firstName} ${address.lastName}`} - ${address.address}, ${address.city}</option>
+        `).join('')}<option value="">Enter a new address</option>`;
+        document.getElementById('savedAddressGroup').hidden = false;
+
+        const applyAddress = address => {
+            ['firstName', 'lastName', 'address', 'apartment', 'city', 'state', 'zip'].forEach(field => {
+                document.getElementById(field).value = decodeEntities(address?.[field] || '');
+            });
+            if (address?.phone) document.getElementById('phone').value = address.phone;
+        };
+        select.addEventListener('change', () => applyAddress(addresses[select.value]));
+        applyAddress(addresses[0]);
+    } catch (error) {
+        console.error('[CHECKOUT] Failed to load saved details:', error);
+    }
+}
+
+// Account details come back HTML-escaped from the API
+function decodeEntities(value) {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = value || '';
+    return textarea.value;
+}
+
 function bindEvents() {
     elements.shippingOptions = document.querySelectorAll('input[name="shipping"]');
     elements.shippingOptions.forEach(option => {
@@ -155,30 +316,49 @@ function bindEvents() {
         if (e.key === 'Enter') applyDiscountCode();
     });
     
+    elements.applyGiftCard?.addEventListener('click', applyGiftCard);
+    elements.giftCardCode?.addEventListener('keypress', e => {
+        if (e.key === 'Enter') applyGiftCard();
+    });
+
     elements.placeOrderBtn?.addEventListener('click', handlePlaceOrder);
+    document.getElementById('email')?.addEventListener('change', saveCartEmail);
+}
+
+/**
+ * Keep the email on the server cart, so the shopper can be reminded about
+ * it if they don't finish checking out
+ */
+async function saveCartEmail(e) {
+    const email = e.target.value.trim();
+    if (!e.target.checkValidity() || !email || !window.CartState || state.raffleClaim) return;
+    try {
+        await window.CartState.cartAPI('/email', { method: 'PUT', body: { email } });
+    } catch (error) {
+        console.warn('[CHECKOUT] Could not save email to cart:', error.message);
+    }
 }
 
 async function applyDiscountCode() {
     const code = elements.discountCode.value.trim().toUpperCase();
     if (!code) { showToast('Please enter a discount code', 'error'); return; }
     
-    const subtotal = state.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const cartTotal = subtotal + state.shipping;
-    
     try {
-        const csrfResponse = await fetch(`${API_URL}/csrf-token`, { credentials: 'include' });
-        const csrfData = await csrfResponse.json();
-        
         const response = await fetch(`${API_URL}/orders/validate-coupon`, {
             method: 'POST',
             credentials: 'include',
-            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfData.csrfToken },
-            body: JSON.stringify({ code: code, cartTotal: cartTotal, items: state.cart })
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': await csrfToken() },
+            body: JSON.stringify({
+                code: code,
+                items: state.cart,
+                customerEmail: document.getElementById('email')?.value.trim() || undefined
+            })
         });
         
         const data = await response.json();
         if (!response.ok || !data.valid) { showToast(data.error || 'Invalid code', 'error'); return; }
         
+        applyPricing(data.pricing);
         state.discount = data.coupon.discount;
         state.isFreeShippingCoupon = data.coupon.type === 'free_shipping';
         
@@ -198,6 +378,34 @@ async function applyDiscountCode() {
     }
 }
 
+async function applyGiftCard() {
+    const code = elements.giftCardCode.value.trim();
+    if (!code) { showToast('Please enter a gift card code', 'error'); return; }
+
+    try {
+        const response = await fetch(`${API_URL}/gift-cards/balance`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': await csrfToken() },
+            body: JSON.stringify({ code })
+        });
+
+        const data = await response.json();
+        if (!response.ok || !data.success) { showToast(data.error || 'Invalid gift card', 'error'); return; }
+        if (data.giftCard.status !== 'active' || data.giftCard.balance <= 0) {
+            showToast('This gift card has no balance left', 'error');
+            return;
+        }
+
+        state.giftCard = { code, ...data.giftCard };
+        showToast(`Gift card applied! ${window.CurrencyConfig.formatPrice(data.giftCard.balance)} available`, 'success');
+        render();
+        elements.giftCardCode.value = '';
+    } catch {
+        showToast('Failed to check gift card', 'error');
+    }
+}
+
 async function handlePlaceOrder(e) {
     e.preventDefault();
     const requiredFields = ['email', 'firstName', 'lastName', 'address', 'city', 'state', 'zip', 'phone'];
@@ -215,7 +423,11 @@ async function handlePlaceOrder(e) {
     
     if (!isValid) { showToast('Please fill in all required fields', 'error'); return; }
     
-    const selectedPayment = document.querySelector('input[name="payment"]:checked')?.value || 'manual';
+    // Nothing left to pay by card once the gift card covers the whole order
+    const coveredByGiftCard = state.giftCard && giftCardAmount() >= orderTotal();
+    const selectedPayment = coveredByGiftCard
+        ? 'gift_card'
+        : document.querySelector('input[name="payment"]:checked')?.value || 'manual';
     const orderData = {
         customerEmail: document.getElementById('email').value,
         customerName: `${document.getElementById('firstName').value} ${document.getElementById('lastName').value}`,
@@ -230,25 +442,27 @@ async function handlePlaceOrder(e) {
         shippingMethod: document.querySelector('input[name="shipping"]:checked')?.value || 'standard',
         shippingCost: state.shipping,
         subtotal: state.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0),
-        discount: state.discount,
+        discount: state.promotionDiscount + state.discount,
         discountCode: state.discountCode,
-        total: state.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0) + state.shipping - state.discount,
+        total: orderTotal(),
         items: state.cart,
-        paymentMethod: selectedPayment
+        paymentMethod: selectedPayment,
+        giftCardCode: state.giftCard?.code,
+        raffleClaim: state.raffleClaim || undefined
     };
 
     elements.placeOrderBtn.textContent = 'Processing...';
     elements.placeOrderBtn.disabled = true;
 
-    // Use Paystack if selected and configured
-    if ((selectedPayment === 'paystack' || selectedPayment === 'card') && window.PaystackCheckout?.isConfigured()) {
+    // Card payments go through the configured payment provider
+    if ((selectedPayment === 'paystack' || selectedPayment === 'card') && window.PaymentCheckout?.isConfigured()) {
         try {
-            await window.PaystackCheckout.processOrder(orderData);
+            await window.PaymentCheckout.processOrder(orderData);
             elements.placeOrderBtn.textContent = 'Complete Order';
             elements.placeOrderBtn.disabled = false;
             return;
         } catch (error) {
-            console.error('[CHECKOUT] Paystack error:', error);
+            console.error('[CHECKOUT] Payment error:', error);
             showToast(error.message || 'Payment initialization failed. Please try again.', 'error');
             elements.placeOrderBtn.textContent = 'Complete Order';
             elements.placeOrderBtn.disabled = false;
@@ -267,8 +481,23 @@ async function handlePlaceOrder(e) {
         });
         const result = await response.json();
         if (result.success) {
-            localStorage.removeItem('cart');
+            if (!state.raffleClaim) localStorage.removeItem('cart');
             window.location.href = `/order-confirmation?order=${result.orderId}`;
+        } else {
+            // Shipping rates changed since the page loaded; show the new amount before they retry
+            if (result.code === 'SHIPPING_MISMATCH') {
+                await loadSettings();
+                updateShippingState();
+                render();
+            }
+            // The card was spent or voided since it was applied
+            if (result.code?.startsWith('GIFT_CARD_')) {
+                state.giftCard = null;
+                render();
+            }
+            showToast(result.error || 'Could not place your order', 'error');
+            elements.placeOrderBtn.disabled = false;
+            elements.placeOrderBtn.textContent = 'Complete Order';
         }
     } catch (error) {
         showToast('API Error: ' + error.message, 'error');
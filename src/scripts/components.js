@@ -51,6 +51,12 @@ window.Components = {
                         <path d="m21 21-4.35-4.35"></path>
                     </svg>
                 </button>
+                <a href="/account" class="nav-btn account-btn" id="accountBtn" aria-label="Account">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
+                        <circle cx="12" cy="7" r="4"></circle>
+                    </svg>
+                </a>
                 <button class="nav-btn wishlist-btn" id="wishlistBtn" aria-label="Wishlist">
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
@@ -102,11 +108,13 @@ window.Components = {
                         <li><a href="/shop?category=tees">T-Shirts</a></li>
                         <li><a href="/shop?category=bottoms">Bottoms</a></li>
                         <li><a href="/shop?category=accessories">Accessories</a></li>
+                        <li><a href="/gift-cards">Gift Cards</a></li>
                     </ul>
                 </div>
                 <div class="footer-links">
                     <h4>Help</h4>
                     <ul>
+                        <li><a href="/account">My Account</a></li>
                         <li><a href="/track-order">Track Order</a></li>
                         <li><a href="/shipping">Shipping</a></li>
                         <li><a href="/returns">Returns</a></li>
@@ -147,6 +155,7 @@ window.Components = {
                 <span data-i18n="cart.subtotal">Subtotal</span>
                 <span id="cartSubtotal">$0</span>
             </div>
+            <div class="cart-promotions" id="cartPromotions"></div>
             <a href="checkout.html" class="btn btn-primary btn-full" onclick="window.closeCart()" data-i18n="cart.checkout">Checkout</a>
             <p class="cart-note" data-i18n="cart.note">Shipping & taxes calculated at checkout</p>
         </div>
@@ -0,0 +1,165 @@
+/**
+ * LA VAGUE - Gift Cards Page Logic
+ * Buying a card goes to the payment page like any order; the code is
+ * emailed to the recipient once it's paid, on the day the buyer picked.
+ */
+(function () {
+    const API_BASE_URL = window.location.hostname === 'localhost'
+        ? 'http://localhost:3000/api'
+        : 'https://la-vague-api.onrender.com/api';
+
+    const giftCardForm = document.getElementById('giftCardForm');
+    const amountButtons = document.getElementById('giftCardAmounts');
+    const customAmount = document.getElementById('giftCardCustomAmount');
+    const sendAtInput = document.getElementById('giftCardSendAt');
+    const balanceForm = document.getElementById('giftCardBalanceForm');
+
+    let selectedAmount = null;
+
+    async function getCsrfToken() {
+        const response = await fetch(`${API_BASE_URL}/csrf-token`, { credentials: 'include' });
+        const { csrfToken } = await response.json();
+        return csrfToken;
+    }
+
+    function showError(element, message) {
+        element.textContent = message;
+        element.classList.add('active');
+    }
+
+    function selectAmount(amount) {
+        selectedAmount = amount;
+        amountButtons.querySelectorAll('.gift-card-amount').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.amount) === amount);
+        });
+    }
+
+    async function loadOptions() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/gift-cards/options`);
+            const { options } = await response.json();
+
+            amountButtons.innerHTML = options.amounts.map(amount => `
+                <button type="button" class="gift-card-amount" data-amount="${amount}">
+                    ${window.CurrencyConfig.formatPrice(amount)}
+                </button>
+            `).join('');
+            customAmount.min = options.minAmount;
+            customAmount.max = options.maxAmount;
+            document.getElementById('giftCardRange').textContent =
+                `Any amount from ${window.CurrencyConfig.formatPrice(options.minAmount)} to ${window.CurrencyConfig.formatPrice(options.maxAmount)}.`;
+            if (options.amounts.length) selectAmount(options.amounts[0]);
+        } catch (error) {
+            console.error('Gift card options error:', error);
+        }
+    }
+
+    amountButtons?.addEventListener('click', e => {
+        const button = e.target.closest('.gift-card-amount');
+        if (!button) return;
+        customAmount.value = '';
+        selectAmount(Number(button.dataset.amount));
+    });
+
+    customAmount?.addEventListener('input', () => {
+        selectAmount(customAmount.value ? Number(customAmount.value) : null);
+    });
+
+    if (sendAtInput) {
+        const today = new Date();
+        const lastDay = new Date(today.getTime() + 365 * 24 * 60 * 60 * 1000);
+        sendAtInput.min = today.toISOString().slice(0, 10);
+        sendAtInput.max = lastDay.toISOString().slice(0, 10);
+    }
+
+    giftCardForm?.addEventListener('submit', async e => {
+        e.preventDefault();
+
+        const button = document.getElementById('giftCardBtn');
+        const formError = document.getElementById('giftCardError');
+        formError.classList.remove('active');
+
+        if (!Number.isInteger(selectedAmount)) {
+            showError(formError, 'Please choose an amount.');
+            return;
+        }
+
+        // A chosen day is sent from 9am local time
+        const sendAt = sendAtInput.value ? new Date(`${sendAtInput.value}T09:00:00`).toISOString() : undefined;
+        const purchase = {
+            amount: selectedAmount,
+            recipientName: document.getElementById('recipientName').value.trim(),
+            recipientEmail: document.getElementById('recipientEmail').value.trim(),
+            message: document.getElementById('giftCardMessage').value.trim() || undefined,
+            sendAt,
+            purchaserName: document.getElementById('purchaserName').value.trim(),
+            purchaserEmail: document.getElementById('purchaserEmail').value.trim()
+        };
+
+        const originalText = button.textContent;
+        button.textContent = 'Processing...';
+        button.disabled = true;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/gift-cards`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': await getCsrfToken() },
+                body: JSON.stringify(purchase)
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                showError(formError, data.details?.[0]?.message || data.error || 'Unable to create the gift card. Please try again.');
+                return;
+            }
+
+            window.location.href = data.payment.authorization_url;
+        } catch (error) {
+            console.error('Gift card purchase error:', error);
+            showError(formError, 'Unable to create the gift card. Please try again later.');
+        } finally {
+            button.textContent = originalText;
+            button.disabled = false;
+        }
+    });
+
+    balanceForm?.addEventListener('submit', async e => {
+        e.preventDefault();
+
+        const button = document.getElementById('giftCardBalanceBtn');
+        const balanceError = document.getElementById('giftCardBalanceError');
+        const result = document.getElementById('giftCardBalanceResult');
+        balanceError.classList.remove('active');
+        result.hidden = true;
+        button.disabled = true;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/gift-cards/balance`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': await getCsrfToken() },
+                body: JSON.stringify({ code: document.getElementById('giftCardCode').value.trim() })
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                showError(balanceError, data.error || 'Unable to check the balance. Please try again.');
+                return;
+            }
+
+            const { lastFour, balance, status } = data.giftCard;
+            result.textContent = status === 'void'
+                ? `The card ending ${lastFour} is no longer valid.`
+                : `The card ending ${lastFour} has ${window.CurrencyConfig.formatPrice(balance)} left to spend.`;
+            result.hidden = false;
+        } catch (error) {
+            console.error('Gift card balance error:', error);
+            showError(balanceError, 'Unable to check the balance. Please try again later.');
+        } finally {
+            button.disabled = false;
+        }
+    });
+
+    loadOptions();
+})();
@@ -117,6 +117,7 @@ function transformProduct(dbProduct) {
         inventory: typeof dbProduct.inventory === 'object' ? dbProduct.inventory : JSON.parse(dbProduct.inventory || '{}'),
         tags: Array.isArray(dbProduct.tags) ? dbProduct.tags : JSON.parse(dbProduct.tags || '[]'),
         badge: dbProduct.badge,
+        publishAt: dbProduct.publish_at || dbProduct.publishAt || null,
         average_rating: parseFloat(dbProduct.average_rating || 0),
         review_count: parseInt(dbProduct.review_count || 0)
     };
@@ -144,7 +145,12 @@ async function renderFeaturedProducts() {
     const apiProducts = await HomeAPI.getProducts();
     if (apiProducts && apiProducts.length > 0) {
         const products = apiProducts.map(transformProduct);
-        featured = products.filter(p => p.tags.includes('bestseller')).slice(0, 4);
+        // Upcoming drops lead, soonest first
+        const upcoming = products
+            .filter(p => p.publishAt && Date.parse(p.publishAt) > Date.now())
+            .sort((a, b) => Date.parse(a.publishAt) - Date.parse(b.publishAt));
+        featured = [...upcoming, ...products.filter(p => p.tags.includes('bestseller') && !upcoming.includes(p))]
+            .slice(0, 4);
     }
     
     // Fallback to static data if API fails or no bestsellers found
@@ -156,11 +162,14 @@ async function renderFeaturedProducts() {
         // Robust stock calculation
         const inventory = typeof product.inventory === 'string' ? JSON.parse(product.inventory || '{}') : (product.inventory || {});
         const totalStock = Object.values(inventory).reduce((a, b) => a + (parseInt(b) || 0), 0);
-        const isSoldOut = totalStock === 0;
+        const isUpcoming = product.publishAt && Date.parse(product.publishAt) > Date.now();
+        const isSoldOut = totalStock === 0 && !isUpcoming;
 
         // Badge priority logic
         let badgeHtml = '';
-        if (isSoldOut) {
+        if (isUpcoming) {
+            badgeHtml = `<span class="product-badge drop-countdown" data-drop-at="${product.publishAt}"></span>`;
+        } else if (isSoldOut) {
             badgeHtml = '<span class="product-badge soldout" style="background: #6b7280 !important; color: white !important;">Sold Out</span>';
         } else if (product.badge && product.badge.toLowerCase() !== 'null' && product.badge.trim() !== '') {
             badgeHtml = `<span class="product-badge ${product.badge.toLowerCase().replace(/\s+/g, '-')}">${product.badge}</span>`;
@@ -197,6 +206,8 @@ async function renderFeaturedProducts() {
             </div>
         </article>
     `}).join('');
+
+    window.DropCountdown?.start();
 }
 
 // ==========================================
@@ -18,12 +18,15 @@ function initOrderConfirmation() {
         }
     }
     
-    // Show payment success message if applicable
-    if (paymentStatus === 'success') {
-        const confirmationMsg = document.querySelector('.confirmation > p');
-        if (confirmationMsg) {
-            confirmationMsg.innerHTML = "Your payment was successful! We've sent a confirmation email with your order details.";
-        }
+    // Show the payment outcome message if applicable
+    const paymentMessages = {
+        success: "Your payment was successful! We've sent a confirmation email with your order details.",
+        failed: 'Your payment was declined and you have not been charged. Please try again or contact us for help.',
+        cancelled: 'Your payment was cancelled. Your order is on hold — contact us if you would like to complete it.'
+    };
+    const confirmationMsg = document.querySelector('.confirmation > p');
+    if (confirmationMsg && paymentMessages[paymentStatus]) {
+        confirmationMsg.textContent = paymentMessages[paymentStatus];
     }
 }
 
@@ -61,13 +61,22 @@ function transformProduct(dbProduct) {
         colors: Array.isArray(dbProduct.colors) ? dbProduct.colors : JSON.parse(dbProduct.colors || '[]'),
         sizes: Array.isArray(dbProduct.sizes) ? dbProduct.sizes : JSON.parse(dbProduct.sizes || '[]'),
         inventory: typeof dbProduct.inventory === 'object' ? dbProduct.inventory : JSON.parse(dbProduct.inventory || '{}'),
+        variants: Array.isArray(dbProduct.variants) ? dbProduct.variants : [],
         tags: Array.isArray(dbProduct.tags) ? dbProduct.tags : JSON.parse(dbProduct.tags || '[]'),
         badge: dbProduct.badge,
+        publishAt: dbProduct.publish_at || dbProduct.publishAt || null,
+        purchaseLimit: dbProduct.purchase_limit || dbProduct.purchaseLimit || null,
+        waitingRoomMinutes: dbProduct.waiting_room_minutes || dbProduct.waitingRoomMinutes || null,
         createdAt: dbProduct.created_at || dbProduct.createdAt,
         sizeGuide: getSizeGuideForCategory(dbProduct.category)
     };
 }
 
+// Look up the variant row for a colour/size pair
+function findVariant(product, color, size) {
+    return (product.variants || []).find(v => v.color === color && v.size === size) || null;
+}
+
 function getSizeGuideForCategory(category) {
     const guides = { hoodies: 'oversized', tees: 'regular', bottoms: 'pants', accessories: 'none' };
     return guides[category] || 'regular';
@@ -133,6 +142,8 @@ async function initProduct() {
         sizeGuideBtn: document.getElementById('sizeGuideBtn'),
         relatedGrid: document.getElementById('relatedGrid'),
         stockStatus: document.getElementById('stockStatus'),
+        dropStatus: document.getElementById('dropStatus'),
+        rafflePanel: document.getElementById('rafflePanel'),
         nav: document.getElementById('nav'),
         mobileMenuBtn: document.getElementById('mobileMenuBtn'),
         navLinks: document.getElementById('navLinks'),
@@ -170,6 +181,8 @@ async function initProduct() {
     renderGallery();
     renderRelatedProducts();
     loadReviews(state.product.id);
+    initDrop();
+    initRaffles();
 
     if (typeof CartState !== 'undefined') {
         CartState.updateCartCount();
@@ -266,6 +279,10 @@ function updateStockStatus() {
     const variantKey = `${state.selectedColor}-${size}`;
     const stock = p.inventory[variantKey] || 0;
 
+    // Variants may override the base price
+    const variant = findVariant(p, state.selectedColor, size);
+    elements.productPrice.textContent = window.CurrencyConfig.formatPrice(variant?.price ?? p.price);
+
     // Reset quantity if it exceeds stock
     if (stock > 0 && state.quantity > stock) {
         state.quantity = stock;
@@ -294,6 +311,220 @@ function updateStockStatus() {
         elements.addToCartBtn.disabled = false;
         elements.addToCartBtn.innerHTML = `<span>Add to Cart</span>`;
     }
+
+    const dropLabel = dropLockLabel();
+    if (dropLabel && stock > 0) {
+        elements.addToCartBtn.disabled = true;
+        elements.addToCartBtn.innerHTML = `<span>${dropLabel}</span>`;
+    }
+}
+
+// ==========================================
+// LIMITED DROPS
+// ==========================================
+const DROP_POLL_MS = 10000;
+
+const drop = {
+    queue: null,       // Waiting room status from the API
+    clockOffset: 0,    // Server time minus this device's time
+    opened: false,
+    ticker: null,
+    poller: null
+};
+
+const dropNow = () => Date.now() + drop.clockOffset;
+
+async function dropAPI(method = 'GET') {
+    const url = `${CartState.API_URL}/drops/${state.product.id}/queue`;
+    const response = method === 'GET'
+        ? await fetch(url, { credentials: 'include' })
+        : await window.CSRFProtection.fetch(url, { method });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Something went wrong. Please try again.');
+    drop.queue = data.queue;
+    drop.clockOffset = Date.parse(data.queue.serverTime) - Date.now();
+    return data.queue;
+}
+
+/**
+ * The add to cart label while a drop can't be bought from this page, or null
+ */
+function dropLockLabel() {
+    const p = state.product;
+    if (!p?.publishAt || state.usingStaticData) return null;
+    if (drop.queue) {
+        if (drop.queue.status === 'open' || drop.queue.status === 'admitted') return null;
+        return dropNow() < Date.parse(p.publishAt) ? 'Coming Soon' : 'Waiting Room';
+    }
+    return dropNow() < Date.parse(p.publishAt) ? 'Coming Soon' : null;
+}
+
+async function initDrop() {
+    const p = state.product;
+    if (!p.publishAt || state.usingStaticData || !elements.dropStatus) return;
+
+    if (p.waitingRoomMinutes) {
+        try {
+            await dropAPI();
+        } catch (error) {
+            console.warn('[DROPS] Waiting room unavailable:', error.message);
+        }
+    }
+    renderDrop();
+    updateStockStatus();
+    drop.ticker = setInterval(renderDrop, 1000);
+}
+
+async function joinDropQueue() {
+    try {
+        await dropAPI('POST');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+    renderDrop();
+    updateStockStatus();
+}
+window.joinDropQueue = joinDropQueue;
+
+// Check our place every few seconds while it can change
+function pollDropQueue(active) {
+    if (active && !drop.poller) {
+        drop.poller = setInterval(async () => {
+            try {
+                await dropAPI();
+            } catch (error) {
+                console.warn('[DROPS] Queue check failed:', error.message);
+            }
+            updateStockStatus();
+        }, DROP_POLL_MS);
+    } else if (!active && drop.poller) {
+        clearInterval(drop.poller);
+        drop.poller = null;
+    }
+}
+
+function renderDrop() {
+    const p = state.product;
+    const el = elements.dropStatus;
+    const opensIn = Date.parse(p.publishAt) - dropNow();
+    const queue = drop.queue;
+    const joinButton = label =>
+        `<button type="button" class="btn-drop-join" onclick="window.joinDropQueue()">${label}</button>`;
+    const limit = p.purchaseLimit
+        ? `<p class="drop-note">Limit ${p.purchaseLimit} per customer for each size and colour.</p>`
+        : '';
+
+    let html = '';
+    if (!queue || queue.status === 'open') {
+        if (opensIn > 0) html = `<p class="drop-countdown">Drops in <strong>${window.DropCountdown.format(opensIn)}</strong></p>`;
+    } else if (queue.status === 'scheduled') {
+        html = `<p class="drop-countdown">Drops in <strong>${window.DropCountdown.format(opensIn)}</strong></p>
+            <p class="drop-note">Join the waiting room now. Everyone in it before the drop gets a random place.</p>
+            ${joinButton('Join the Waiting Room')}`;
+    } else if (queue.status === 'join') {
+        html = `<p class="drop-note">This drop is live. Shoppers are let in from the waiting room in turns.</p>
+            ${joinButton('Join the Waiting Room')}`;
+    } else if (queue.status === 'waiting') {
+        html = opensIn > 0
+            ? `<p class="drop-countdown">Drops in <strong>${window.DropCountdown.format(opensIn)}</strong></p>
+                <p class="drop-note">You're in the waiting room. Keep this page open.</p>`
+            : `<p class="drop-countdown">You're <strong>#${queue.position || '…'}</strong> in line</p>
+                <p class="drop-note">Keep this page open. We'll let you in when it's your turn.</p>`;
+    } else if (queue.status === 'admitted') {
+        const left = Date.parse(queue.expiresAt) - dropNow();
+        html = left > 0
+            ? `<p class="drop-countdown">It's your turn! <strong>${window.DropCountdown.format(left)}</strong> left to check out</p>`
+            : '<p class="drop-note">Your turn has ended.</p>';
+    } else if (queue.status === 'expired') {
+        html = `<p class="drop-note">Your turn has ended.</p>${joinButton('Rejoin the Waiting Room')}`;
+    }
+
+    el.innerHTML = html + limit;
+    el.hidden = !el.innerHTML;
+
+    if (opensIn <= 0 && !drop.opened) {
+        drop.opened = true;
+        if (!queue) clearInterval(drop.ticker);
+        // Places are drawn when the drop opens
+        const refresh = queue && queue.status !== 'open' ? dropAPI().catch(() => null) : Promise.resolve();
+        refresh.then(updateStockStatus);
+    }
+    if (queue?.status === 'admitted' && Date.parse(queue.expiresAt) <= dropNow()) {
+        queue.status = 'expired';
+        updateStockStatus();
+    }
+    pollDropQueue(opensIn <= 0 && queue?.status === 'waiting');
+}
+
+// ==========================================
+// RAFFLES
+// ==========================================
+let raffles = [];
+
+async function initRaffles() {
+    if (state.usingStaticData || !elements.rafflePanel) return;
+    try {
+        const response = await fetch(`${CartState.API_URL}/raffles?productId=${encodeURIComponent(state.product.id)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        raffles = data.raffles;
+    } catch (error) {
+        console.warn('[RAFFLES] Could not load raffles:', error.message);
+    }
+    renderRaffles();
+}
+
+function renderRaffles() {
+    const panel = elements.rafflePanel;
+    panel.innerHTML = raffles.map(r => {
+        const when = r.status === 'upcoming'
+            ? `Entries open ${new Date(r.opensAt).toLocaleString()}`
+            : `Entries close ${new Date(r.closesAt).toLocaleString()}`;
+        let body = '';
+        if (r.entered) {
+            body = '<p class="drop-note">You\'re in. We\'ll email you if your name is drawn.</p>';
+        } else if (r.status === 'open') {
+            body = `<form class="raffle-form" data-raffle="${r.id}">
+                <input type="text" name="name" placeholder="Full name" required minlength="2" maxlength="100">
+                <input type="email" name="email" placeholder="Email" required>
+                <input type="tel" name="phone" placeholder="Phone" required>
+                <button type="submit" class="btn-drop-join">Enter the Raffle</button>
+            </form>`;
+        }
+        return `<div class="raffle">
+            <p class="drop-countdown">Raffle: ${escapeHtml(r.variant.color)} / ${escapeHtml(r.variant.size)}</p>
+            <p class="drop-note">${r.quantity} to win. ${when}. One entry per person.</p>
+            ${body}
+            <p class="drop-note raffle-proof" title="${r.seedHash}">Draw fingerprint: <code>${r.seedHash.slice(0, 16)}…</code></p>
+        </div>`;
+    }).join('');
+    panel.hidden = raffles.length === 0;
+    panel.querySelectorAll('.raffle-form').forEach(form => {
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            enterRaffle(form);
+        });
+    });
+}
+
+async function enterRaffle(form) {
+    const button = form.querySelector('button');
+    button.disabled = true;
+    try {
+        const response = await window.CSRFProtection.fetch(`${CartState.API_URL}/raffles/${form.dataset.raffle}/entries`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(Object.fromEntries(new FormData(form)))
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.details?.[0]?.message || data.error || 'Could not enter the raffle');
+        raffles.find(r => r.id === form.dataset.raffle).entered = true;
+        showToast('You\'re entered. Good luck!', 'success');
+        renderRaffles();
+    } catch (error) {
+        showToast(error.message, 'error');
+        button.disabled = false;
+    }
 }
 
 function renderGallery() {
@@ -351,6 +582,11 @@ function bindEvents() {
         
         const variantKey = `${state.selectedColor}-${size}`;
         const stock = p.inventory[variantKey] || 0;
+
+        if (p.purchaseLimit && state.quantity >= p.purchaseLimit) {
+            showToast(`Limit ${p.purchaseLimit} per customer`, 'error');
+            return;
+        }
         
         if (state.quantity < stock) { 
             state.quantity++; 
@@ -397,8 +633,10 @@ function bindEvents() {
             return;
         }
 
+        const variant = findVariant(state.product, state.selectedColor, size);
         await CartState.addToCart({
-            id: state.product.id, name: state.product.name, price: state.product.price,
+            id: state.product.id, variantId: variant?.id, sku: variant?.sku, name: state.product.name,
+            price: variant?.price ?? state.product.price,
             image: state.product.images[0].src, color: state.selectedColor,
             size: size, quantity: state.quantity
         });
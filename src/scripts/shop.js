@@ -61,6 +61,7 @@ function transformProduct(dbProduct) {
         colors: Array.isArray(dbProduct.colors) ? dbProduct.colors : JSON.parse(dbProduct.colors || '[]'),
         sizes: Array.isArray(dbProduct.sizes) ? dbProduct.sizes : JSON.parse(dbProduct.sizes || '[]'),
         inventory: typeof dbProduct.inventory === 'object' ? dbProduct.inventory : JSON.parse(dbProduct.inventory || '{}'),
+        variants: Array.isArray(dbProduct.variants) ? dbProduct.variants : [],
         tags: Array.isArray(dbProduct.tags) ? dbProduct.tags : JSON.parse(dbProduct.tags || '[]'),
         badge: dbProduct.badge,
         createdAt: dbProduct.created_at || dbProduct.createdAt,
@@ -68,6 +69,11 @@ function transformProduct(dbProduct) {
     };
 }
 
+// Look up the variant row for a colour/size pair
+function findVariant(product, color, size) {
+    return (product.variants || []).find(v => v.color === color && v.size === size) || null;
+}
+
 function getSizeGuideForCategory(category) {
     const guides = {
         hoodies: 'oversized',
@@ -497,8 +503,10 @@ window.addToCartFromQuickView = async function() {
             return;
         }
     }
+    const variant = findVariant(product, state.selectedColor, state.selectedSize);
     CartState.addToCart({
-        id: product.id, name: product.name, price: product.price,
+        id: product.id, variantId: variant?.id, sku: variant?.sku, name: product.name,
+        price: variant?.price ?? product.price,
         image: product.images?.[0]?.src || '', color: state.selectedColor,
         size: state.selectedSize, quantity: state.selectedQuantity
     });
@@ -585,8 +593,10 @@ window.addToCartFromCard = async function(productId) {
         return;
     }
     
+    const variant = findVariant(product, color, size);
     CartState.addToCart({
-        id: product.id, name: product.name, price: product.price,
+        id: product.id, variantId: variant?.id, sku: variant?.sku, name: product.name,
+        price: variant?.price ?? product.price,
         image: product.images?.[0]?.src || '', color: color, size: size, quantity: 1
     });
 };
@@ -1,5 +1,7 @@
 /**
  * LA VAGUE - Track Order Page Logic
+ * Emailing a sign-in link is the way to see every order for an email;
+ * the order ID and email lookup shows one order.
  */
 (function() {
     const API_BASE_URL = window.location.hostname === 'localhost' 
@@ -13,13 +15,94 @@
     
     // Status configurations
     const statusConfig = {
-        pending: { label: 'Pending', class: 'pending', steps: ['Order Placed'] },
-        processing: { label: 'Processing', class: 'processing', steps: ['Order Placed', 'Processing'] },
-        shipped: { label: 'Shipped', class: 'shipped', steps: ['Order Placed', 'Processing', 'Shipped'] },
-        delivered: { label: 'Delivered', class: 'delivered', steps: ['Order Placed', 'Processing', 'Shipped', 'Delivered'] },
-        cancelled: { label: 'Cancelled', class: 'cancelled', steps: ['Order Placed', 'Cancelled'] }
+        pending: { label: 'Pending', class: 'pending' },
+        processing: { label: 'Processing', class: 'processing' },
+        shipped: { label: 'Shipped', class: 'shipped' },
+        delivered: { label: 'Delivered', class: 'delivered' },
+        cancelled: { label: 'Cancelled', class: 'cancelled' },
+        partially_returned: { label: 'Partially Returned', class: 'partially_returned' },
+        returned: { label: 'Returned', class: 'returned' },
+        refunded: { label: 'Refunded', class: 'refunded' }
     };
     
+    // Timeline copy per status; 'pending' is the order being placed
+    const stepInfo = {
+        pending: { title: 'Order Placed', desc: 'We\'ve received your order' },
+        processing: { title: 'Processing', desc: 'We\'re preparing your items' },
+        shipped: { title: 'Shipped', desc: 'Your order is on its way' },
+        delivered: { title: 'Delivered', desc: 'Package delivered successfully' },
+        cancelled: { title: 'Cancelled', desc: 'Order has been cancelled' },
+        partially_returned: { title: 'Partially Returned', desc: 'We\'ve received some of your items back' },
+        returned: { title: 'Returned', desc: 'We\'ve received your return' },
+        refunded: { title: 'Refunded', desc: 'Your payment has been refunded' }
+    };
+
+    // Steps still ahead of an order that is moving normally
+    const happyPath = ['pending', 'processing', 'shipped', 'delivered'];
+
+    const returnReasons = {
+        wrong_size: 'Wrong size',
+        not_as_described: 'Not as described',
+        defective: 'Damaged or defective',
+        wrong_item: 'Wrong item sent',
+        changed_mind: 'Changed my mind',
+        other: 'Other'
+    };
+
+    const returnStatusLabels = {
+        requested: 'Requested',
+        approved: 'Approved - awaiting your package',
+        rejected: 'Not approved',
+        received: 'Received',
+        inspected: 'Inspected',
+        refunded: 'Refunded'
+    };
+
+    // Order ID and email of the order on screen, needed to request a return
+    let currentLookup = null;
+
+    const loginLinkForm = document.getElementById('loginLinkForm');
+
+    loginLinkForm?.addEventListener('submit', async e => {
+        e.preventDefault();
+
+        const email = document.getElementById('loginLinkEmail').value.trim();
+        const button = document.getElementById('loginLinkBtn');
+        const linkError = document.getElementById('loginLinkError');
+        const sent = document.getElementById('loginLinkSent');
+        linkError.classList.remove('active');
+        sent.hidden = true;
+        button.disabled = true;
+
+        try {
+            const csrfResponse = await fetch(`${API_BASE_URL}/csrf-token`, { credentials: 'include' });
+            const { csrfToken } = await csrfResponse.json();
+            const response = await fetch(`${API_BASE_URL}/account/magic-link`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+                body: JSON.stringify({ email })
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                linkError.textContent = data.details?.[0]?.message || data.error || 'Unable to send the link. Please try again.';
+                linkError.classList.add('active');
+                return;
+            }
+
+            loginLinkForm.reset();
+            sent.textContent = `If ${email} is a valid address, a sign-in link is on its way. It works once and expires in 15 minutes.`;
+            sent.hidden = false;
+        } catch (error) {
+            console.error('Sign-in link error:', error);
+            linkError.textContent = 'Unable to send the link. Please try again later.';
+            linkError.classList.add('active');
+        } finally {
+            button.disabled = false;
+        }
+    });
+
     trackForm?.addEventListener('submit', async (e) => {
         e.preventDefault();
         
@@ -42,19 +125,14 @@
         trackBtn.disabled = true;
         
         try {
-            const response = await fetch(`${API_BASE_URL}/orders/lookup`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ orderId, email })
-            });
-            
-            const data = await response.json();
+            const { response, data } = await lookupOrder(orderId, email);
             
             if (!response.ok || !data.success) {
                 showError(data.error || 'Order not found. Please check your order ID and email.');
                 return;
             }
             
+            currentLookup = { orderId, email };
             displayOrder(data.order);
             
         } catch (error) {
@@ -66,6 +144,15 @@
         }
     });
     
+    async function lookupOrder(orderId, email) {
+        const response = await fetch(`${API_BASE_URL}/orders/lookup`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ orderId, email })
+        });
+        return { response, data: await response.json() };
+    }
+
     function showError(message) {
         errorMessage.textContent = message;
         errorMessage.classList.add('active');
@@ -89,42 +176,45 @@
         document.getElementById('resultTracking').textContent = order.tracking_number || order.trackingNumber || '-';
         
         // Build timeline
-        buildTimeline(config.steps, order.order_status || order.status);
+        buildTimeline(order.history || [], order.order_status || order.status || 'pending');
         
         // Build items list
         buildItemsList(order);
         
+        // Existing returns and the return request form
+        buildReturns(order);
+
         // Show result
         orderResult.classList.add('active');
         orderResult.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
     
-    function buildTimeline(completedSteps, currentStatus) {
+    function buildTimeline(history, currentStatus) {
         const timeline = document.getElementById('trackingTimeline');
-        const steps = [
-            { key: 'Order Placed', title: 'Order Placed', desc: 'We\'ve received your order' },
-            { key: 'Processing', title: 'Processing', desc: 'We\'re preparing your items' },
-            { key: 'Shipped', title: 'Shipped', desc: 'Your order is on its way' },
-            { key: 'Delivered', title: 'Delivered', desc: 'Package delivered successfully' }
-        ];
-        
-        if (currentStatus === 'cancelled') {
-            steps[1] = { key: 'Cancelled', title: 'Cancelled', desc: 'Order has been cancelled' };
-            steps.length = 2;
+
+        // Steps that actually happened, in order, from the status history
+        const steps = history.map(entry => ({ status: entry.status, at: entry.at }));
+        if (steps.length === 0) {
+            steps.push({ status: currentStatus, at: null });
         }
         
-        const currentStepIndex = completedSteps.length - 1;
+        // Show the remaining normal steps as upcoming
+        const lastIndex = happyPath.indexOf(currentStatus);
+        if (lastIndex !== -1) {
+            happyPath.slice(lastIndex + 1).forEach(status => steps.push({ status, upcoming: true }));
+        }
         
         timeline.innerHTML = steps.map((step, index) => {
-            const isCompleted = index <= currentStepIndex;
-            const isActive = index === currentStepIndex;
-            const statusClass = isActive ? 'active' : (isCompleted ? 'completed' : '');
+            const info = stepInfo[step.status] || { title: step.status, desc: '' };
+            const isActive = !step.upcoming && (index === steps.length - 1 || steps[index + 1].upcoming);
+            const statusClass = step.upcoming ? '' : (isActive ? 'active' : 'completed');
+            const time = step.upcoming ? 'Pending' : (step.at ? formatDate(step.at) : 'Completed');
             
             return `
                 <div class="tracking-step ${statusClass}">
-                    <div class="tracking-step-time">${isCompleted ? 'Completed' : 'Pending'}</div>
-                    <div class="tracking-step-title">${step.title}</div>
-                    <div class="tracking-step-desc">${step.desc}</div>
+                    <div class="tracking-step-time">${time}</div>
+                    <div class="tracking-step-title">${info.title}</div>
+                    <div class="tracking-step-desc">${info.desc}</div>
                 </div>
             `;
         }).join('');
@@ -151,6 +241,131 @@
         `).join('');
     }
     
+    function buildReturns(order) {
+        const container = document.getElementById('orderReturns');
+        if (!container) return;
+
+        const returns = order.returns || [];
+        const returnable = order.returnableItems || [];
+        const canReturn = order.returnEligibility?.eligible && returnable.length > 0;
+
+        if (returns.length === 0 && !canReturn) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const returnsHtml = returns.map(rma => `
+            <div class="return-summary">
+                <div class="return-summary-header">
+                    <span>Return ${rma.id}</span>
+                    <span>${returnStatusLabels[rma.status] || rma.status}</span>
+                </div>
+                <div class="return-summary-items">
+                    ${rma.items.map(item => `${item.name} (${item.color || ''} / ${item.size || ''}) × ${item.quantity}`).join(', ')}
+                </div>
+                ${rma.refundAmount ? `<div class="return-note">Refunded ${window.CurrencyConfig.formatPrice(rma.refundAmount)}</div>` : ''}
+            </div>
+        `).join('');
+
+        const reasonOptions = Object.entries(returnReasons)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        const formHtml = canReturn ? `
+            <form class="return-form" id="returnForm">
+                <h3>Request a Return</h3>
+                <p class="return-note">Select the items you'd like to send back. Returns are accepted until ${formatDate(order.returnEligibility.deadline)}.</p>
+                ${returnable.map(line => `
+                    <div class="return-item-row">
+                        <input type="checkbox" name="returnItem" value="${line.variantId}" aria-label="Return ${line.name}">
+                        <div>
+                            <div class="order-item-name">${line.name}</div>
+                            <div class="order-item-variant">${line.color || ''} / ${line.size || ''}</div>
+                        </div>
+                        <select data-quantity-for="${line.variantId}" aria-label="Quantity">
+                            ${Array.from({ length: line.returnable }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join('')}
+                        </select>
+                        <select data-reason-for="${line.variantId}" aria-label="Reason">${reasonOptions}</select>
+                    </div>
+                `).join('')}
+                <div class="form-group">
+                    <label for="returnNotes">Anything else we should know?</label>
+                    <textarea id="returnNotes" maxlength="1000"></textarea>
+                </div>
+                <button type="submit" class="btn btn-primary" id="returnBtn">Request Return</button>
+            </form>
+        ` : '';
+
+        container.innerHTML = `
+            ${returns.length > 0 ? `<h3>Returns</h3>${returnsHtml}` : ''}
+            ${formHtml}
+        `;
+
+        document.getElementById('returnForm')?.addEventListener('submit', submitReturn);
+    }
+
+    async function submitReturn(e) {
+        e.preventDefault();
+        if (!currentLookup) return;
+
+        const items = [...document.querySelectorAll('input[name="returnItem"]:checked')].map(input => ({
+            variantId: input.value,
+            quantity: parseInt(document.querySelector(`[data-quantity-for="${input.value}"]`).value),
+            reason: document.querySelector(`[data-reason-for="${input.value}"]`).value
+        }));
+
+        if (items.length === 0) {
+            showError('Select at least one item to return.');
+            return;
+        }
+
+        const returnBtn = document.getElementById('returnBtn');
+        returnBtn.textContent = 'Submitting...';
+        returnBtn.disabled = true;
+        errorMessage.classList.remove('active');
+
+        try {
+            const csrfResponse = await fetch(`${API_BASE_URL}/csrf-token`, { credentials: 'include' });
+            const csrfData = await csrfResponse.json();
+
+            const response = await fetch(`${API_BASE_URL}/returns`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfData.csrfToken },
+                body: JSON.stringify({
+                    ...currentLookup,
+                    items,
+                    notes: document.getElementById('returnNotes').value.trim() || undefined
+                })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                showError(data.error || 'Unable to request a return. Please try again.');
+                returnBtn.textContent = 'Request Return';
+                returnBtn.disabled = false;
+                return;
+            }
+
+            // Reload the order so the new return shows with its status
+            const refreshed = await lookupOrder(currentLookup.orderId, currentLookup.email);
+            if (refreshed.data.success) {
+                displayOrder(refreshed.data.order);
+            }
+            document.getElementById('orderReturns').insertAdjacentHTML('afterbegin', `
+                <div class="return-success">
+                    Return ${data.return.id} requested. We've emailed you the return instructions - please write ${data.return.id} on your package.
+                </div>
+            `);
+        } catch (error) {
+            console.error('Return request error:', error);
+            showError('Unable to request a return. Please try again later.');
+            returnBtn.textContent = 'Request Return';
+            returnBtn.disabled = false;
+        }
+    }
+
     function getItemCount(order) {
         const items = order.items || [];
         return items.reduce((sum, item) => sum + (item.quantity || 1), 0);
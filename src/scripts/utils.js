@@ -241,6 +241,34 @@ const CSRFProtection = {
     }
 };
 
+// Countdowns to limited drop releases
+const DropCountdown = {
+    timer: null,
+
+    // "2d 03:14:09", or "03:14:09" within a day
+    format(ms) {
+        const total = Math.max(0, Math.floor(ms / 1000));
+        const days = Math.floor(total / 86400);
+        const clock = [Math.floor(total / 3600) % 24, Math.floor(total / 60) % 60, total % 60]
+            .map(n => String(n).padStart(2, '0'))
+            .join(':');
+        return days > 0 ? `${days}d ${clock}` : clock;
+    },
+
+    // Keep the text of every [data-drop-at] element counting down
+    start() {
+        if (this.timer) return;
+        const tick = () => {
+            document.querySelectorAll('[data-drop-at]').forEach(el => {
+                const left = Date.parse(el.dataset.dropAt) - Date.now();
+                el.textContent = left > 0 ? `Drops in ${this.format(left)}` : 'Out Now';
+            });
+        };
+        tick();
+        this.timer = setInterval(tick, 1000);
+    }
+};
+
 // Global Settings & UI Dynamic Updates
 const GlobalSettings = {
     settings: {
@@ -391,8 +419,9 @@ if (!window.utilsInitialized) {
 
 // Make CSRFProtection available globally
 window.CSRFProtection = CSRFProtection;
+window.DropCountdown = DropCountdown;
 
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { InputMasks, debounce, ButtonState, FormValidation, SearchHelper, CSRFProtection };
+    module.exports = { InputMasks, debounce, ButtonState, FormValidation, SearchHelper, CSRFProtection, DropCountdown };
 }
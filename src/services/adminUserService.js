@@ -0,0 +1,274 @@
+/**
+ * LA VAGUE - Admin Users
+ * Individual admin logins and their sessions. Each admin has one role from
+ * config/adminRoles.js; the owner manages everyone else. When there are no
+ * admin users yet, an owner is created from ADMIN_EMAIL and ADMIN_PASSWORD.
+ *
+ * A session lasts at most ADMIN_SESSION_HOURS from login, and ends sooner
+ * when it goes unused for ADMIN_SESSION_IDLE_MINUTES.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { ADMIN_ROLES } from '../config/adminRoles.js';
+
+export const ADMIN_SESSION_HOURS = 24;
+
+export const ADMIN_SESSION_IDLE_MINUTES = parseInt(process.env.ADMIN_SESSION_IDLE_MINUTES ?? '60', 10);
+
+const BCRYPT_ROUNDS = 12;
+
+const DEFAULT_OWNER_EMAIL = 'admin@la-vague.store';
+
+// Compared against when the email is unknown, so a login takes as long either way
+let dummyHash = null;
+
+const toAdmin = row => row && {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    active: Boolean(row.active),
+    twoFactorEnabled: Boolean(row.totp_enabled),
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at
+};
+
+function checkRole(role) {
+    if (!ADMIN_ROLES.includes(role)) {
+        throw new APIError(`Role must be one of: ${ADMIN_ROLES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+}
+
+async function getAdminRow(id) {
+    const row = await adapter.one('SELECT * FROM admin_users WHERE id = $1', [id]);
+    if (!row) throw new APIError('Admin user not found', 404, 'NOT_FOUND');
+    return row;
+}
+
+export async function getAdminUser(id) {
+    return toAdmin(await getAdminRow(id));
+}
+
+export async function listAdminUsers() {
+    const rows = await adapter.many('SELECT * FROM admin_users ORDER BY created_at, email');
+    return rows.map(toAdmin);
+}
+
+export async function createAdminUser({ email, name, password, role }) {
+    checkRole(role);
+    const normalizedEmail = email.trim().toLowerCase();
+    const existing = await adapter.one('SELECT id FROM admin_users WHERE email = $1', [normalizedEmail]);
+    if (existing) throw new APIError('An admin with this email already exists', 409, 'EMAIL_TAKEN');
+
+    const id = `ADM-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    await adapter.exec(
+        'INSERT INTO admin_users (id, email, name, password_hash, role) VALUES ($1, $2, $3, $4, $5)',
+        [id, normalizedEmail, name, await bcrypt.hash(password, BCRYPT_ROUNDS), role]
+    );
+    console.log(`[ADMIN] Admin user ${id} created with role ${role}`);
+    return getAdminUser(id);
+}
+
+/**
+ * Refuse a change that would leave the store without an active owner
+ */
+async function keepAnOwner(row, { role, active }) {
+    if (row.role !== 'owner' || !row.active) return;
+    if (role === 'owner' && active) return;
+
+    const { count } = await adapter.one(
+        "SELECT COUNT(*) AS count FROM admin_users WHERE role = 'owner' AND active = $1 AND id != $2",
+        [true, row.id]
+    );
+    if (parseInt(count, 10) === 0) {
+        throw new APIError('The store needs at least one active owner', 400, 'LAST_OWNER');
+    }
+}
+
+/**
+ * Change an admin's name, role or active flag. Deactivating an admin ends
+ * their sessions.
+ */
+export async function updateAdminUser(id, { name, role, active }) {
+    const row = await getAdminRow(id);
+    const next = {
+        name: name ?? row.name,
+        role: role ?? row.role,
+        active: active ?? Boolean(row.active)
+    };
+    checkRole(next.role);
+    await keepAnOwner(row, next);
+
+    await adapter.exec(
+        'UPDATE admin_users SET name = $1, role = $2, active = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4',
+        [next.name, next.role, next.active, id]
+    );
+    if (!next.active) {
+        await adapter.exec('DELETE FROM admin_sessions WHERE admin_user_id = $1', [id]);
+    }
+    return getAdminUser(id);
+}
+
+/**
+ * Set a new password and end the admin's sessions, except the one making the
+ * change when it is the admin's own
+ */
+export async function setAdminPassword(id, password, keepToken = null) {
+    await getAdminRow(id);
+    await adapter.exec(
+        'UPDATE admin_users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [await bcrypt.hash(password, BCRYPT_ROUNDS), id]
+    );
+    await endAdminSessions(id, keepToken);
+}
+
+export async function authenticateAdmin(email, password) {
+    const row = await adapter.one('SELECT * FROM admin_users WHERE email = $1', [email.trim().toLowerCase()]);
+    if (!row) {
+        dummyHash ??= await bcrypt.hash(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+        await bcrypt.compare(password, dummyHash);
+        throw new APIError('Invalid credentials', 401, 'AUTH_ERROR');
+    }
+    if (!(await bcrypt.compare(password, row.password_hash)) || !row.active) {
+        throw new APIError('Invalid credentials', 401, 'AUTH_ERROR');
+    }
+
+    await adapter.exec('UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [row.id]);
+    return toAdmin(row);
+}
+
+const toSession = (row, currentToken) => ({
+    id: row.id,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at,
+    expiresAt: row.expires_at,
+    current: row.session_key === currentToken
+});
+
+/**
+ * SQL condition for a session that hasn't expired or gone idle
+ * @param {string} [alias] - Table alias of admin_sessions in the query
+ */
+export function liveAdminSession(alias = 'admin_sessions') {
+    const idleSince = adapter.dialect.interval(-ADMIN_SESSION_IDLE_MINUTES, 'minutes');
+    return `${alias}.expires_at > CURRENT_TIMESTAMP AND ${alias}.last_seen_at > ${idleSince}`;
+}
+
+/**
+ * Start an admin session
+ * @param {{ipAddress?: string, userAgent?: string}} [client] - Where the login came from
+ * @returns {Promise<string>} The bearer token
+ */
+export async function createAdminSession(adminId, { ipAddress = null, userAgent = null } = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ADMIN_SESSION_HOURS * 60 * 60 * 1000);
+    await adapter.exec(`
+        INSERT INTO admin_sessions (session_key, admin_user_id, expires_at, ip_address, user_agent, last_seen_at)
+        VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+    `, [token, adminId, expiresAt, ipAddress, userAgent]);
+    return token;
+}
+
+/**
+ * Record that a session was just used, which keeps it from going idle.
+ * Written at most once a minute per session.
+ */
+export async function touchAdminSession(sessionId, { ipAddress = null, userAgent = null } = {}) {
+    await adapter.exec(`
+        UPDATE admin_sessions SET last_seen_at = CURRENT_TIMESTAMP, ip_address = $2, user_agent = $3
+        WHERE id = $1 AND last_seen_at < ${adapter.dialect.interval(-1, 'minutes')}
+    `, [sessionId, ipAddress, userAgent]);
+}
+
+export async function listAdminSessions(adminId, currentToken) {
+    const rows = await adapter.many(
+        `SELECT * FROM admin_sessions WHERE admin_user_id = $1 AND ${liveAdminSession()} ORDER BY last_seen_at DESC`,
+        [adminId]
+    );
+    return rows.map(row => toSession(row, currentToken));
+}
+
+export async function endAdminSession(token) {
+    await adapter.exec('DELETE FROM admin_sessions WHERE session_key = $1', [token]);
+}
+
+/**
+ * End one of an admin's sessions by its id
+ */
+export async function revokeAdminSession(adminId, sessionId) {
+    const row = await adapter.one(
+        'DELETE FROM admin_sessions WHERE id = $1 AND admin_user_id = $2 RETURNING id',
+        [sessionId, adminId]
+    );
+    if (!row) throw new APIError('Session not found', 404, 'NOT_FOUND');
+}
+
+/**
+ * End all of an admin's sessions, except keepToken when given
+ * @returns {Promise<number>} How many sessions were ended
+ */
+export async function endAdminSessions(adminId, keepToken = null) {
+    const rows = await adapter.many(
+        'DELETE FROM admin_sessions WHERE admin_user_id = $1 AND session_key != $2 RETURNING id',
+        [adminId, keepToken || '']
+    );
+    return rows.length;
+}
+
+/**
+ * Swap a session's token for a new one, keeping the session. The old token
+ * stops working straight away.
+ * @returns {Promise<string>} The new bearer token
+ */
+export async function rotateAdminSession(token) {
+    const next = crypto.randomBytes(32).toString('hex');
+    const row = await adapter.one(
+        'UPDATE admin_sessions SET session_key = $1 WHERE session_key = $2 RETURNING id',
+        [next, token]
+    );
+    if (!row) throw new APIError('Invalid or expired token', 401, 'AUTH_ERROR');
+    return next;
+}
+
+/**
+ * Delete sessions that have expired or gone idle
+ * @returns {Promise<number>} How many were deleted
+ */
+export async function sweepAdminSessions() {
+    const rows = await adapter.many(`
+        DELETE FROM admin_sessions
+        WHERE expires_at <= CURRENT_TIMESTAMP OR last_seen_at <= ${adapter.dialect.interval(-ADMIN_SESSION_IDLE_MINUTES, 'minutes')}
+        RETURNING id
+    `);
+    if (rows.length) console.log(`[ADMIN] Removed ${rows.length} expired admin sessions`);
+    return rows.length;
+}
+
+/**
+ * Create the first owner from ADMIN_EMAIL / ADMIN_PASSWORD when there are no
+ * admin users, so an existing store can still sign in after upgrading
+ */
+export async function ensureOwnerAccount() {
+    const { count } = await adapter.one('SELECT COUNT(*) AS count FROM admin_users');
+    if (parseInt(count, 10) > 0) return null;
+
+    const password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+        console.warn('[ADMIN] No admin users exist and ADMIN_PASSWORD is not set; nobody can sign in to the dashboard');
+        return null;
+    }
+
+    const owner = await createAdminUser({
+        email: process.env.ADMIN_EMAIL || DEFAULT_OWNER_EMAIL,
+        name: 'Store Owner',
+        password,
+        role: 'owner'
+    });
+    console.log(`[ADMIN] Created owner account ${owner.email}`);
+    return owner;
+}
@@ -0,0 +1,261 @@
+/**
+ * LA VAGUE - Abandoned Cart Recovery
+ * Carts with a known email (given at checkout, or the customer's account
+ * email) that sit untouched get a sequence of reminder emails, set in the
+ * abandonedCart* settings as hours since the cart was last changed. The last
+ * reminder can carry a single-use coupon.
+ *
+ * Restore and unsubscribe links are HMAC-signed with CART_LINK_SECRET, so
+ * they can't be forged for someone else's cart or address. A cart counts as
+ * recovered when it becomes an order after a reminder was sent.
+ */
+
+import crypto from 'crypto';
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { getCartById } from './cartService.js';
+import { sendCartReminder, isEmailConfigured } from '../../email-templates/index.js';
+
+export const RECOVERY_SETTINGS = {
+    enabled: 'abandonedCartEmails',
+    delays: 'abandonedCartDelays',
+    couponPercent: 'abandonedCartCouponPercent'
+};
+
+const MAX_REMINDERS = 5;
+
+// No reminder is sent more than 30 days after the cart was last changed
+const MAX_DELAY_HOURS = 30 * 24;
+
+// A reminder that falls due while the job isn't running is skipped after this long
+const SEND_WINDOW_HOURS = 24;
+
+const COUPON_DAYS = 7;
+
+// Carts emailed per step on each run
+const BATCH_SIZE = 100;
+
+const EMAIL_ENABLED = process.env.EMAIL_TEST_MODE !== 'true' && isEmailConfigured();
+const EMAIL_TEST_MODE = process.env.EMAIL_TEST_MODE === 'true';
+
+/**
+ * Parse the reminder schedule, e.g. "1,24,72"
+ * @returns {number[]|null} Hours after the last cart change, or null if invalid
+ */
+export function parseReminderDelays(value) {
+    const parts = String(value ?? '').split(',').map(part => part.trim());
+    if (parts.length > MAX_REMINDERS || parts.some(part => !/^\d+$/.test(part))) return null;
+
+    const delays = parts.map(Number);
+    const ascending = delays.every((hours, i) => hours > (i === 0 ? 0 : delays[i - 1]));
+    return ascending && delays[delays.length - 1] <= MAX_DELAY_HOURS ? delays : null;
+}
+
+async function getRecoverySettings() {
+    const rows = await adapter.many(
+        'SELECT key, value FROM settings WHERE key IN ($1, $2, $3)',
+        [RECOVERY_SETTINGS.enabled, RECOVERY_SETTINGS.delays, RECOVERY_SETTINGS.couponPercent]
+    );
+    const settings = Object.fromEntries(rows.map(row => [row.key, row.value]));
+    const percent = parseInt(settings[RECOVERY_SETTINGS.couponPercent], 10);
+    return {
+        enabled: settings[RECOVERY_SETTINGS.enabled] === 'true',
+        delays: parseReminderDelays(settings[RECOVERY_SETTINGS.delays]) || [],
+        couponPercent: percent > 0 && percent <= 100 ? percent : 0
+    };
+}
+
+/**
+ * Key for signing links. Development falls back to a fixed key; production
+ * must set CART_LINK_SECRET or no reminders are sent.
+ */
+function linkSecret() {
+    if (process.env.CART_LINK_SECRET) return process.env.CART_LINK_SECRET;
+    return process.env.NODE_ENV === 'production' ? null : 'cart_link_secret';
+}
+
+const sign = value => crypto.createHmac('sha256', linkSecret()).update(value).digest('base64url');
+
+function readSignedToken(purpose, token) {
+    const [value, signature] = String(token ?? '').split('.');
+    const expected = value && linkSecret() && sign(`${purpose}:${value}`);
+    if (!expected || !signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new APIError('This link is invalid', 400, 'INVALID_LINK');
+    }
+    return value;
+}
+
+export const restoreToken = cartId => `${cartId}.${sign(`restore:${cartId}`)}`;
+
+export function unsubscribeToken(email) {
+    const value = Buffer.from(email).toString('base64url');
+    return `${value}.${sign(`unsubscribe:${value}`)}`;
+}
+
+/**
+ * The cart ID in a restore link, counting the click for the metrics
+ */
+export async function openRestoreLink(token) {
+    const cartId = readSignedToken('restore', token);
+    await adapter.exec(`
+        UPDATE cart_reminders SET clicked_at = CURRENT_TIMESTAMP
+        WHERE id = (SELECT MAX(id) FROM cart_reminders WHERE cart_id = $1) AND clicked_at IS NULL
+    `, [cartId]);
+    return cartId;
+}
+
+/**
+ * Stop all cart reminders to the address in an unsubscribe link
+ * @returns {Promise<string>} The address
+ */
+export async function unsubscribeFromLink(token) {
+    const email = Buffer.from(readSignedToken('unsubscribe', token), 'base64url').toString();
+    await adapter.exec(
+        'INSERT INTO cart_email_unsubscribes (email) VALUES ($1) ON CONFLICT (email) DO NOTHING',
+        [email]
+    );
+    console.log(`[CART RECOVERY] ${email} unsubscribed from cart reminders`);
+    return email;
+}
+
+async function createRecoveryCoupon(cartId, percent) {
+    const code = `COMEBACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const endDate = new Date(Date.now() + COUPON_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    await adapter.exec(`
+        INSERT INTO coupons (id, code, type, value, usage_limit, per_customer_limit, end_date)
+        VALUES ($1, $2, 'percentage', $3, 1, 1, $4)
+    `, [`cpn-${cartId.toLowerCase()}`, code, percent, endDate]);
+    return { code, percent, endDate };
+}
+
+/**
+ * Send one reminder. The step is claimed with a conditional update first so
+ * a cart is never sent the same reminder twice.
+ * @returns {Promise<boolean>} Whether it was sent
+ */
+async function sendReminder(row, step, { final, couponPercent }) {
+    const cart = await getCartById(row.id);
+    if (!cart?.items.length) return false;
+
+    const coupon = await adapter.transaction(async () => {
+        const claimed = await adapter.exec(
+            'UPDATE carts SET reminder_step = $1 WHERE id = $2 AND reminder_step = $3',
+            [step + 1, row.id, row.reminder_step]
+        );
+        if (claimed.rowCount === 0) return false;
+
+        const newCoupon = final && couponPercent ? await createRecoveryCoupon(row.id, couponPercent) : null;
+        await adapter.exec(
+            'INSERT INTO cart_reminders (cart_id, step, email, coupon_code) VALUES ($1, $2, $3, $4)',
+            [row.id, step, row.email, newCoupon?.code || null]
+        );
+        return newCoupon;
+    });
+    if (coupon === false) return false;
+
+    const base = process.env.FRONTEND_URL || 'https://la-vague.store';
+    const links = {
+        restore: `${base}/shop?restoreCart=${restoreToken(row.id)}`,
+        unsubscribe: `${base}/shop?unsubscribe=${unsubscribeToken(row.email)}`
+    };
+    if (EMAIL_TEST_MODE) {
+        console.log('[EMAIL TEST MODE] Would send email:', { to: row.email, type: 'cart_reminder', step });
+    } else {
+        await sendCartReminder(row.email, cart, { step, final, coupon, links });
+    }
+    return true;
+}
+
+/**
+ * Email every abandoned cart whose next reminder is due. Run on a timer.
+ * @returns {Promise<number>} Reminders sent
+ */
+export async function sendCartReminders() {
+    const { enabled, delays, couponPercent } = await getRecoverySettings();
+    if (!enabled || delays.length === 0 || !(EMAIL_ENABLED || EMAIL_TEST_MODE)) return 0;
+    if (!linkSecret()) {
+        console.warn('[CART RECOVERY] CART_LINK_SECRET is not set, no reminders sent');
+        return 0;
+    }
+
+    let sent = 0;
+    // Latest step first, so a cart that missed a reminder gets the one due now
+    for (let step = delays.length - 1; step >= 0; step--) {
+        const due = await adapter.many(`
+            SELECT c.id, c.reminder_step, COALESCE(c.email, cu.email) AS email
+            FROM carts c
+            LEFT JOIN customers cu ON cu.id = c.customer_id
+            WHERE c.converted_at IS NULL
+              AND c.reminder_step <= $1
+              AND c.updated_at <= ${adapter.dialect.interval(-delays[step], 'hours')}
+              AND c.updated_at > ${adapter.dialect.interval(-(delays[step] + SEND_WINDOW_HOURS), 'hours')}
+              AND COALESCE(c.email, cu.email) IS NOT NULL
+              AND NOT EXISTS (SELECT 1 FROM cart_email_unsubscribes u WHERE u.email = COALESCE(c.email, cu.email))
+              AND EXISTS (SELECT 1 FROM cart_items ci WHERE ci.cart_id = c.id)
+            ORDER BY c.updated_at
+            LIMIT ${BATCH_SIZE}
+        `, [step]);
+
+        for (const row of due) {
+            try {
+                const final = step === delays.length - 1;
+                if (await sendReminder(row, step, { final, couponPercent })) sent++;
+            } catch (error) {
+                console.error(`[CART RECOVERY] Reminder for cart ${row.id} failed:`, error.message);
+            }
+        }
+    }
+
+    if (sent > 0) console.log(`[CART RECOVERY] Sent ${sent} cart reminder(s)`);
+    return sent;
+}
+
+/**
+ * Recovery metrics for carts reminded in the last `days` days
+ */
+export async function getRecoveryStats(days = 30) {
+    const since = adapter.dialect.interval(-days, 'days');
+    const reminded = `SELECT cart_id FROM cart_reminders WHERE sent_at > ${since}`;
+
+    const totals = await adapter.one(`
+        SELECT COUNT(*) AS reminded,
+            COUNT(c.converted_at) AS recovered,
+            COALESCE(SUM(CASE WHEN o.payment_status = 'paid' THEN o.total ELSE 0 END), 0) AS revenue
+        FROM carts c
+        LEFT JOIN orders o ON o.id = c.order_id
+        WHERE c.id IN (${reminded})
+    `);
+    const steps = await adapter.many(`
+        SELECT r.step, COUNT(*) AS sent, COUNT(r.clicked_at) AS clicked,
+            COUNT(CASE WHEN c.converted_at IS NOT NULL AND c.reminder_step = r.step + 1 THEN 1 END) AS recovered
+        FROM cart_reminders r
+        JOIN carts c ON c.id = r.cart_id
+        WHERE r.sent_at > ${since}
+        GROUP BY r.step
+        ORDER BY r.step
+    `);
+    const coupons = await adapter.one(`
+        SELECT COUNT(*) AS sent, COUNT(CASE WHEN cp.usage_count > 0 THEN 1 END) AS used
+        FROM cart_reminders r
+        JOIN coupons cp ON cp.code = r.coupon_code
+        WHERE r.sent_at > ${since}
+    `);
+
+    const remindedCarts = parseInt(totals.reminded, 10);
+    const recoveredCarts = parseInt(totals.recovered, 10);
+    return {
+        remindedCarts,
+        recoveredCarts,
+        recoveryRate: remindedCarts ? Math.round((recoveredCarts / remindedCarts) * 1000) / 10 : 0,
+        recoveredRevenue: parseInt(totals.revenue, 10),
+        couponsSent: parseInt(coupons.sent, 10),
+        couponsUsed: parseInt(coupons.used, 10),
+        steps: steps.map(row => ({
+            step: row.step + 1,
+            sent: parseInt(row.sent, 10),
+            clicked: parseInt(row.clicked, 10),
+            recovered: parseInt(row.recovered, 10)
+        }))
+    };
+}
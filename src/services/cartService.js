@@ -0,0 +1,450 @@
+/**
+ * LA VAGUE - Server-Side Carts
+ * Carts live on the server so they follow a shopper between devices. A cart
+ * belongs to the logged-in customer, or to an anonymous cart cookie until
+ * its owner logs in, when it is merged into their account's cart.
+ *
+ * Every change is checked against the live variant price and stock, and
+ * reading a cart re-prices it, so the cart never shows a stale price. Cart
+ * tokens are only stored as SHA-256 hashes.
+ */
+
+import crypto from 'crypto';
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { checkDropAccess } from './dropService.js';
+import { applyPromotions, getActivePromotions } from './promotionService.js';
+
+export const CART_DAYS = 60;
+
+// Same limits as an order
+const MAX_CART_LINES = 50;
+const MAX_LINE_QUANTITY = 100;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Stock still free once live checkout holds are taken off
+const availableSql = alias => `
+    (SELECT COALESCE(SUM(r.quantity), 0) FROM inventory_reservations r
+     WHERE r.variant_id = ${alias}.id AND r.status = 'held' AND r.expires_at > ${adapter.dialect.now})
+`;
+
+const available = row => Math.max(0, (row.stock || 0) - parseInt(row.reserved || 0, 10));
+
+export function firstImage(images) {
+    let list = images;
+    if (typeof list === 'string') {
+        try { list = JSON.parse(list); } catch { list = []; }
+    }
+    const image = list?.[0];
+    return image?.src || image || null;
+}
+
+function stockError(left) {
+    return left <= 0
+        ? new APIError('Sorry, this item is out of stock', 409, 'OUT_OF_STOCK')
+        : new APIError(`Only ${left} items available in stock`, 409, 'INSUFFICIENT_STOCK');
+}
+
+const emptyCart = () => ({ id: null, items: [], itemCount: 0, subtotal: 0, promotions: [], discount: 0, changes: [] });
+
+/**
+ * The shopper's open cart, if they have one
+ * @param {{customerId?: string, token?: string}} owner - Logged-in customer, else the cart cookie
+ */
+async function findCart({ customerId, token }) {
+    if (customerId) {
+        return adapter.one(
+            'SELECT * FROM carts WHERE customer_id = $1 AND converted_at IS NULL ORDER BY updated_at DESC LIMIT 1',
+            [customerId]
+        );
+    }
+    if (!token) return null;
+    return adapter.one(
+        'SELECT * FROM carts WHERE token_hash = $1 AND customer_id IS NULL AND converted_at IS NULL',
+        [hashToken(token)]
+    );
+}
+
+/**
+ * @returns {Promise<{cart: Object, token: string|null}>} token is set when a new anonymous cart was started
+ */
+async function findOrCreateCart(owner) {
+    const existing = await findCart(owner);
+    if (existing) return { cart: existing, token: null };
+
+    const id = `CART-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    const token = owner.customerId ? null : crypto.randomBytes(32).toString('hex');
+    await adapter.exec(
+        'INSERT INTO carts (id, token_hash, customer_id) VALUES ($1, $2, $3)',
+        [id, token && hashToken(token), owner.customerId || null]
+    );
+    return { cart: await adapter.one('SELECT * FROM carts WHERE id = $1', [id]), token };
+}
+
+/**
+ * Look up the variant a cart item refers to, with its product and free stock.
+ * Items carry variantId; carts saved on a device before variant IDs existed
+ * only have colour/size.
+ */
+async function resolveVariant({ productId, variantId, color, size }) {
+    const select = `
+        SELECT v.*, p.name, p.slug, p.images, p.purchase_limit, COALESCE(v.price, p.price) AS unit_price,
+            ${availableSql('v')} AS reserved
+        FROM product_variants v
+        JOIN products p ON p.id = v.product_id
+    `;
+    const variant = variantId
+        ? await adapter.one(`${select} WHERE v.id = $1 AND v.product_id = $2`, [variantId, productId])
+        : await adapter.one(`${select} WHERE v.product_id = $1 AND v.color = $2 AND v.size = $3`, [productId, color, size]);
+    if (variant) return variant;
+
+    const product = await adapter.one('SELECT id FROM products WHERE id = $1', [productId]);
+    if (!product) throw new APIError('Product not found', 400, 'INVALID_PRODUCT');
+    throw new APIError('That colour and size is not available', 400, 'INVALID_VARIANT');
+}
+
+function limitError(variant) {
+    return new APIError(`You can buy up to ${variant.purchase_limit} of ${variant.name}`, 409, 'PURCHASE_LIMIT');
+}
+
+/**
+ * Add a quantity of a variant to a cart, on top of any already in it
+ * @param {boolean} options.clamp - Cut the quantity down to what's in stock instead of refusing
+ * @param {Object} [options.shopper] - Cart owner, checked against limited drop release and waiting rooms
+ * @returns {Promise<{quantity: number, wanted: number}>} The line's new quantity (0 if none could be
+ *   added) and what it would have been with enough stock
+ */
+async function putItem(cartId, item, { clamp = false, shopper = null } = {}) {
+    const variant = await resolveVariant(item);
+    if (shopper) await checkDropAccess(variant.product_id, shopper);
+    const line = await adapter.one(
+        'SELECT * FROM cart_items WHERE cart_id = $1 AND variant_id = $2',
+        [cartId, variant.id]
+    );
+
+    const left = available(variant);
+    const wanted = Math.min((line?.quantity || 0) + item.quantity, MAX_LINE_QUANTITY);
+    let quantity = wanted;
+    if (variant.purchase_limit && quantity > variant.purchase_limit) {
+        if (!clamp) throw limitError(variant);
+        quantity = variant.purchase_limit;
+    }
+    if (quantity > left) {
+        if (!clamp) throw stockError(left);
+        quantity = left;
+    }
+
+    if (line) {
+        if (quantity <= 0) {
+            await adapter.exec('DELETE FROM cart_items WHERE id = $1', [line.id]);
+        } else {
+            await adapter.exec(
+                'UPDATE cart_items SET quantity = $1, unit_price = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+                [quantity, variant.unit_price, line.id]
+            );
+        }
+        return { quantity, wanted };
+    }
+    if (quantity <= 0) return { quantity: 0, wanted };
+
+    const { count } = await adapter.one('SELECT COUNT(*) AS count FROM cart_items WHERE cart_id = $1', [cartId]);
+    if (parseInt(count, 10) >= MAX_CART_LINES) {
+        if (clamp) return { quantity: 0, wanted };
+        throw new APIError(`A cart can hold up to ${MAX_CART_LINES} different items`, 400, 'CART_FULL');
+    }
+    await adapter.exec(
+        'INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, unit_price) VALUES ($1, $2, $3, $4, $5)',
+        [cartId, variant.product_id, variant.id, quantity, variant.unit_price]
+    );
+    return { quantity, wanted };
+}
+
+const touchCart = cartId => adapter.exec('UPDATE carts SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [cartId]);
+
+/**
+ * Build the cart as the storefront shows it. Lines whose variant has been
+ * deleted are dropped and lines whose price has moved are re-priced; both
+ * are listed in `changes` so the shopper can be told.
+ */
+async function toCart(cart, changes = []) {
+    const rows = await adapter.many(`
+        SELECT ci.*, v.id AS live_variant_id, v.color, v.size, v.sku, v.stock, p.name, p.slug, p.images, p.category,
+            COALESCE(v.price, p.price) AS current_price, ${availableSql('v')} AS reserved
+        FROM cart_items ci
+        LEFT JOIN product_variants v ON v.id = ci.variant_id
+        LEFT JOIN products p ON p.id = v.product_id
+        WHERE ci.cart_id = $1
+        ORDER BY ci.created_at, ci.id
+    `, [cart.id]);
+
+    const items = [];
+    const lines = [];
+    for (const row of rows) {
+        if (!row.live_variant_id) {
+            await adapter.exec('DELETE FROM cart_items WHERE id = $1', [row.id]);
+            changes.push({ type: 'removed', itemId: row.id });
+            continue;
+        }
+        if (row.current_price !== row.unit_price) {
+            await adapter.exec('UPDATE cart_items SET unit_price = $1 WHERE id = $2', [row.current_price, row.id]);
+            changes.push({ type: 'price', itemId: row.id, name: row.name, from: row.unit_price, to: row.current_price });
+        }
+        items.push({
+            id: row.id,
+            productId: row.product_id,
+            variantId: row.variant_id,
+            name: row.name,
+            slug: row.slug,
+            image: firstImage(row.images),
+            color: row.color,
+            size: row.size,
+            sku: row.sku,
+            price: row.current_price,
+            quantity: row.quantity,
+            available: available(row),
+            lineTotal: row.current_price * row.quantity
+        });
+        lines.push({
+            productId: row.product_id,
+            variantId: row.variant_id,
+            category: row.category,
+            price: row.current_price,
+            quantity: row.quantity
+        });
+    }
+
+    // Automatic promotions, as checkout will apply them
+    const promotions = items.length
+        ? applyPromotions(await getActivePromotions(), lines)
+        : { applied: [], discount: 0 };
+
+    return {
+        id: cart.id,
+        items,
+        itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal: items.reduce((sum, item) => sum + item.lineTotal, 0),
+        promotions: promotions.applied.map(({ id, name, discount }) => ({ id, name, discount })),
+        discount: promotions.discount,
+        changes
+    };
+}
+
+/**
+ * The shopper's cart, re-priced against the catalogue. Doesn't start a cart.
+ */
+export async function getCart(owner) {
+    const cart = await findCart(owner);
+    return cart ? toCart(cart) : emptyCart();
+}
+
+/**
+ * The shopper's cart, starting an empty one if they have none
+ * @returns {Promise<{cart: Object, token: string|null}>} token is a new cart cookie to set, if any
+ */
+export async function createCart(owner) {
+    const { cart, token } = await findOrCreateCart(owner);
+    return { cart: await toCart(cart), token };
+}
+
+/**
+ * Add an item, refusing quantities beyond what's in stock
+ * @param {{productId: string, variantId?: string, color?: string, size?: string, quantity: number}} item
+ * @returns {Promise<{cart: Object, token: string|null}>} token is a new cart cookie to set, if any
+ */
+export async function addCartItem(owner, item) {
+    const { cart, token } = await findOrCreateCart(owner);
+    await adapter.transaction(async () => {
+        await putItem(cart.id, item, { shopper: owner });
+        await touchCart(cart.id);
+    });
+    return { cart: await toCart(cart), token };
+}
+
+async function getLine(owner, itemId) {
+    const cart = await findCart(owner);
+    const line = cart && await adapter.one(
+        'SELECT * FROM cart_items WHERE id = $1 AND cart_id = $2',
+        [parseInt(itemId, 10), cart.id]
+    );
+    if (!line) throw new APIError('That item is no longer in your cart', 404, 'CART_ITEM_NOT_FOUND');
+    return { cart, line };
+}
+
+/**
+ * Set a line's quantity; 0 removes it. Only increases are checked against
+ * stock, so a shopper can always bring a quantity down.
+ */
+export async function updateCartItem(owner, itemId, quantity) {
+    const { cart, line } = await getLine(owner, itemId);
+    if (quantity <= 0) return removeCartItem(owner, itemId);
+
+    await adapter.transaction(async () => {
+        if (quantity > line.quantity) {
+            const variant = await resolveVariant({ productId: line.product_id, variantId: line.variant_id });
+            await checkDropAccess(variant.product_id, owner);
+            if (variant.purchase_limit && quantity > variant.purchase_limit) throw limitError(variant);
+            if (quantity > available(variant)) throw stockError(available(variant));
+        }
+        await adapter.exec(
+            'UPDATE cart_items SET quantity = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [Math.min(quantity, MAX_LINE_QUANTITY), line.id]
+        );
+        await touchCart(cart.id);
+    });
+    return toCart(cart);
+}
+
+export async function removeCartItem(owner, itemId) {
+    const { cart, line } = await getLine(owner, itemId);
+    await adapter.exec('DELETE FROM cart_items WHERE id = $1', [line.id]);
+    await touchCart(cart.id);
+    return toCart(cart);
+}
+
+/**
+ * Merge items from a cart kept on the device (e.g. one built while offline)
+ * into the shopper's cart. Quantities are cut to what's in stock and items
+ * that no longer exist are skipped; both are reported in `changes`.
+ * @returns {Promise<{cart: Object, token: string|null}>}
+ */
+export async function mergeCartItems(owner, items) {
+    const { cart, token } = await findOrCreateCart(owner);
+    const changes = [];
+    await adapter.transaction(async () => {
+        for (const item of items) {
+            try {
+                const { quantity, wanted } = await putItem(cart.id, item, { clamp: true, shopper: owner });
+                if (quantity < wanted) {
+                    changes.push({ type: 'quantity', productId: item.productId, from: wanted, to: quantity });
+                }
+            } catch (error) {
+                if (!(error instanceof APIError)) throw error;
+                changes.push({ type: 'removed', productId: item.productId });
+            }
+        }
+        await touchCart(cart.id);
+    });
+    return { cart: await toCart(cart, changes), token };
+}
+
+/**
+ * Move a cart's lines into another cart and delete it. Quantities are cut to
+ * what's in stock. Reminders already sent for the merged cart move with it,
+ * so a recovered sale is still counted.
+ */
+async function mergeCart(from, into) {
+    const lines = await adapter.many('SELECT * FROM cart_items WHERE cart_id = $1', [from.id]);
+    await adapter.transaction(async () => {
+        for (const line of lines) {
+            try {
+                const item = { productId: line.product_id, variantId: line.variant_id, quantity: line.quantity };
+                await putItem(into.id, item, { clamp: true });
+            } catch (error) {
+                if (!(error instanceof APIError)) throw error;
+            }
+        }
+        await adapter.exec('UPDATE cart_reminders SET cart_id = $1 WHERE cart_id = $2', [into.id, from.id]);
+        await adapter.exec(
+            'UPDATE carts SET email = COALESCE(email, $1), reminder_step = $2 WHERE id = $3',
+            [from.email, Math.max(from.reminder_step, into.reminder_step), into.id]
+        );
+        await adapter.exec('DELETE FROM cart_items WHERE cart_id = $1', [from.id]);
+        await adapter.exec('DELETE FROM carts WHERE id = $1', [from.id]);
+        await touchCart(into.id);
+    });
+}
+
+/**
+ * Hand an anonymous cart to a customer, merged into any cart their account
+ * already has
+ */
+async function giveCart(guest, customerId) {
+    const own = await findCart({ customerId });
+    if (!own) {
+        await adapter.exec(
+            'UPDATE carts SET customer_id = $1, token_hash = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [customerId, guest.id]
+        );
+        return guest;
+    }
+
+    await mergeCart(guest, own);
+    console.log(`[CART] Merged cart ${guest.id} into ${own.id} for customer ${customerId}`);
+    return own;
+}
+
+/**
+ * Give a customer who just logged in the anonymous cart from their cookie
+ */
+export async function claimCart(customerId, token) {
+    const guest = token && await findCart({ token });
+    if (guest) await giveCart(guest, customerId);
+}
+
+/**
+ * Bring back a cart from the link in a reminder email. An anonymous cart
+ * moves to this browser (taking in any cart the browser already had) or to
+ * the logged-in customer; a customer's cart needs them to log in.
+ * @returns {Promise<{cart: Object, token: string|null}>} token is a new cart cookie to set, if any
+ */
+export async function restoreCart(owner, cartId) {
+    const saved = await adapter.one('SELECT * FROM carts WHERE id = $1', [cartId]);
+    if (!saved) throw new APIError('This cart is no longer available', 404, 'CART_NOT_FOUND');
+    if (saved.converted_at) throw new APIError('This cart has already been checked out', 410, 'CART_CLOSED');
+
+    if (saved.customer_id) {
+        if (saved.customer_id !== owner.customerId) {
+            throw new APIError('Log in to see your saved cart', 401, 'LOGIN_REQUIRED');
+        }
+        return { cart: await toCart(saved), token: null };
+    }
+
+    if (owner.customerId) {
+        return { cart: await toCart(await giveCart(saved, owner.customerId)), token: null };
+    }
+
+    const current = await findCart(owner);
+    if (current?.id === saved.id) return { cart: await toCart(saved), token: null };
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await adapter.exec(
+        'UPDATE carts SET token_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [hashToken(token), saved.id]
+    );
+    if (current) await mergeCart(current, saved);
+    return { cart: await toCart(saved), token };
+}
+
+/**
+ * Remember the email a shopper gave at checkout, so an abandoned cart can
+ * be followed up. A customer's cart falls back to their account email.
+ * @returns {Promise<boolean>} False when the shopper has no cart
+ */
+export async function setCartEmail(owner, email) {
+    const cart = await findCart(owner);
+    if (!cart) return false;
+    await adapter.exec('UPDATE carts SET email = $1 WHERE id = $2', [email.trim().toLowerCase(), cart.id]);
+    return true;
+}
+
+/**
+ * A cart by ID as the storefront shows it, e.g. for a reminder email
+ */
+export async function getCartById(cartId) {
+    const cart = await adapter.one('SELECT * FROM carts WHERE id = $1', [cartId]);
+    return cart ? toCart(cart) : null;
+}
+
+/**
+ * Close the shopper's cart once it has become an order. The cart keeps its
+ * items; the next item added starts a new cart.
+ */
+export async function convertCart(owner, orderId) {
+    const cart = await findCart(owner);
+    if (!cart) return;
+    await adapter.exec(
+        'UPDATE carts SET order_id = $1, converted_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [orderId, cart.id]
+    );
+}
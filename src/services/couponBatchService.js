@@ -0,0 +1,193 @@
+/**
+ * LA VAGUE - Coupon Batches
+ * Thousands of single-use codes at once, for email campaigns and influencer
+ * seeding. Each code is its own coupon row with the batch's rules, a usage
+ * limit of one and its batch_id, so checkout treats it like any other coupon.
+ * Codes are a prefix plus random characters from the batch's alphabet; the
+ * template must allow far more codes than are made, so they can't be guessed.
+ */
+
+import crypto from 'crypto';
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { toTimestamp } from '../utils/dates.js';
+import { validateCouponRules } from './promotionService.js';
+
+// No 0/O or 1/I, which are easy to mistype
+export const DEFAULT_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const MAX_BATCH_SIZE = 10000;
+
+// Possible codes per code made, at minimum
+const CODE_SPACE_FACTOR = 10000;
+const INSERT_CHUNK = 500;
+const MAX_RETRIES = 5;
+
+const invalid = message => new APIError(message, 400, 'INVALID_CODE_TEMPLATE');
+
+/**
+ * @param {Object} template - prefix, length (random characters) and alphabet
+ */
+export function generateCode({ prefix, length, alphabet }) {
+    let code = prefix;
+    for (let i = 0; i < length; i++) code += alphabet[crypto.randomInt(alphabet.length)];
+    return code;
+}
+
+function codeTemplate(data, quantity) {
+    const prefix = String(data.prefix || '').trim().toUpperCase();
+    const length = parseInt(data.length, 10);
+    const alphabet = [...new Set(String(data.alphabet || DEFAULT_ALPHABET).toUpperCase())].join('');
+    if (!/^[A-Z0-9-]{0,20}$/.test(prefix)) {
+        throw invalid('The prefix can only have letters, numbers and dashes, up to 20');
+    }
+    if (!(length >= 4 && length <= 20)) throw invalid('Codes need 4-20 random characters');
+    if (!/^[A-Z0-9]{2,}$/.test(alphabet)) throw invalid('The alphabet needs at least two letters or numbers');
+    if (alphabet.length ** length < quantity * CODE_SPACE_FACTOR) {
+        throw invalid('Too few possible codes for a batch this size. Use more characters or a longer alphabet.');
+    }
+    return { prefix, length, alphabet };
+}
+
+/**
+ * Insert codes that share one rule set. Codes that already exist are
+ * skipped, so the caller makes up the difference.
+ * @returns {Promise<number>} How many were inserted
+ */
+async function insertCodes(tx, batchId, codes, rules) {
+    const shared = [batchId, rules.type, rules.value, rules.min_order_amount, rules.max_discount_amount,
+        rules.start_date, rules.end_date, JSON.stringify(rules.applicable_categories),
+        JSON.stringify(rules.applicable_products)];
+    const rows = codes.map((code, i) => {
+        const n = shared.length + i * 2;
+        return `($${n + 1}, $${n + 2}, $2, $3, $4, $5, 1, 1, $6, $7, $8, $9, $1)`;
+    });
+    const params = [...shared, ...codes.flatMap(code => [`cpn-${batchId.toLowerCase()}-${code}`, code])];
+    const result = await tx.exec(`
+        INSERT INTO coupons (id, code, type, value, min_order_amount, max_discount_amount, usage_limit,
+            per_customer_limit, start_date, end_date, applicable_categories, applicable_products, batch_id)
+        VALUES ${rows.join(', ')}
+        ON CONFLICT DO NOTHING
+    `, params);
+    return result.rowCount;
+}
+
+function formatBatch(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.prefix,
+        codeLength: row.code_length,
+        alphabet: row.alphabet,
+        quantity: row.quantity,
+        rules: typeof row.rules === 'string' ? JSON.parse(row.rules) : row.rules,
+        isActive: Boolean(row.is_active),
+        redeemed: parseInt(row.redeemed, 10) || 0,
+        discountTotal: parseInt(row.discount_total, 10) || 0,
+        createdBy: row.created_by,
+        createdAt: toTimestamp(row.created_at)
+    };
+}
+
+const BATCH_SELECT = `
+    SELECT b.*,
+        (SELECT COUNT(*) FROM coupons c WHERE c.batch_id = b.id AND c.usage_count > 0) AS redeemed,
+        (SELECT COALESCE(SUM(u.discount_amount), 0) FROM coupon_usage u
+            JOIN coupons c ON c.id = u.coupon_id WHERE c.batch_id = b.id) AS discount_total
+    FROM coupon_batches b
+`;
+
+export async function listCouponBatches() {
+    const rows = await adapter.many(`${BATCH_SELECT} ORDER BY b.created_at DESC, b.id`);
+    return rows.map(formatBatch);
+}
+
+async function getBatch(id) {
+    const row = await adapter.one(`${BATCH_SELECT} WHERE b.id = $1`, [id]);
+    if (!row) throw new APIError('Coupon batch not found', 404, 'BATCH_NOT_FOUND');
+    return formatBatch(row);
+}
+
+/**
+ * Generate a batch of single-use codes
+ * @param {Object} data - name, quantity, prefix, length and alphabet, plus the coupon rules
+ *   (type, value, min_order_amount, ...) every code gets
+ */
+export async function createCouponBatch(data, createdBy = null) {
+    const name = String(data.name || '').trim();
+    if (name.length < 2 || name.length > 100) {
+        throw new APIError('Name must be 2-100 characters', 400, 'VALIDATION_ERROR');
+    }
+    const quantity = parseInt(data.quantity, 10);
+    if (!(quantity >= 1 && quantity <= MAX_BATCH_SIZE)) {
+        throw new APIError(`A batch can have 1-${MAX_BATCH_SIZE} codes`, 400, 'VALIDATION_ERROR');
+    }
+    const template = codeTemplate(data, quantity);
+    const rules = validateCouponRules(data);
+
+    const id = `BAT-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    await adapter.transaction(async tx => {
+        await tx.exec(`
+            INSERT INTO coupon_batches (id, name, prefix, code_length, alphabet, quantity, rules, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [id, name, template.prefix, template.length, template.alphabet, quantity, JSON.stringify(rules), createdBy]);
+
+        let created = 0;
+        let retries = 0;
+        while (created < quantity) {
+            const codes = new Set();
+            while (codes.size < Math.min(INSERT_CHUNK, quantity - created)) codes.add(generateCode(template));
+            const inserted = await insertCodes(tx, id, [...codes], rules);
+            // Only a clash with an existing code inserts fewer
+            if (inserted < codes.size && ++retries > MAX_RETRIES) {
+                throw new APIError('Could not make enough unique codes. Try a different prefix.', 409, 'CODE_CONFLICT');
+            }
+            created += inserted;
+        }
+    });
+
+    console.log(`[COUPONS] Generated batch ${id} of ${quantity} codes: ${name}`);
+    return getBatch(id);
+}
+
+/**
+ * Every code in a batch with its redemption, for export
+ */
+export async function getBatchCodes(id) {
+    const batch = await getBatch(id);
+    const codes = await adapter.many(`
+        SELECT c.code, c.is_active, c.usage_count, u.order_id, u.customer_email, u.discount_amount, u.used_at
+        FROM coupons c
+        LEFT JOIN coupon_usage u ON u.coupon_id = c.id
+        WHERE c.batch_id = $1
+        ORDER BY c.code
+    `, [id]);
+    return {
+        batch,
+        codes: codes.map(row => ({
+            code: row.code,
+            isActive: Boolean(row.is_active),
+            redeemed: row.usage_count > 0,
+            orderId: row.order_id || null,
+            customerEmail: row.customer_email || null,
+            discount: row.discount_amount || 0,
+            usedAt: toTimestamp(row.used_at)
+        }))
+    };
+}
+
+/**
+ * Switch every code in a batch off, or back on
+ */
+export async function setBatchActive(id, isActive) {
+    await adapter.transaction(async tx => {
+        const result = await tx.exec('UPDATE coupon_batches SET is_active = $1 WHERE id = $2', [Boolean(isActive), id]);
+        if (result.rowCount === 0) throw new APIError('Coupon batch not found', 404, 'BATCH_NOT_FOUND');
+        await tx.exec(
+            'UPDATE coupons SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE batch_id = $2',
+            [Boolean(isActive), id]
+        );
+    });
+    console.log(`[COUPONS] Batch ${id} ${isActive ? 'reactivated' : 'deactivated'}`);
+    return getBatch(id);
+}
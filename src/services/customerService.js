@@ -0,0 +1,505 @@
+/**
+ * LA VAGUE - Customer Accounts
+ * Registration, email verification, login sessions, saved addresses and
+ * order history. Guest orders placed before the account existed can be
+ * claimed once the customer has verified they own the email address.
+ *
+ * Customers can also sign in with a single-use link emailed to them. A
+ * customer who has only ever used links has no password (empty hash).
+ * Passwords only log in once the email is verified, so an account someone
+ * else registered with the address can't be used to reach its orders.
+ *
+ * Session, verification and login-link tokens are only ever stored as
+ * SHA-256 hashes; the raw token lives in the customer's cookie or email link.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { lookupOrder } from './orderService.js';
+import { sendEmailVerification, sendLoginLink, isEmailConfigured } from '../../email-templates/index.js';
+
+export const SESSION_DAYS = 30;
+
+const VERIFICATION_HOURS = 48;
+
+export const LOGIN_LINK_MINUTES = 15;
+
+// Links emailed to one address per LOGIN_LINK_MINUTES, beyond which requests are dropped
+const LOGIN_LINKS_PER_WINDOW = 3;
+
+const BCRYPT_ROUNDS = 12;
+
+const MAX_ADDRESSES = 10;
+
+const EMAIL_ENABLED = process.env.EMAIL_TEST_MODE !== 'true' && isEmailConfigured();
+const EMAIL_TEST_MODE = process.env.EMAIL_TEST_MODE === 'true';
+
+// Compared against when the email is unknown, so a login takes as long either way
+let dummyHash = null;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const toCustomer = row => row && {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    phone: row.phone,
+    emailVerified: Boolean(row.email_verified),
+    hasPassword: Boolean(row.password_hash),
+    createdAt: row.created_at
+};
+
+const toAddress = row => ({
+    id: row.id,
+    label: row.label,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    address: row.address,
+    apartment: row.apartment,
+    city: row.city,
+    state: row.state,
+    zip: row.zip,
+    phone: row.phone,
+    isDefault: Boolean(row.is_default)
+});
+
+async function getCustomerRow(id) {
+    const row = await adapter.one('SELECT * FROM customers WHERE id = $1', [id]);
+    if (!row) throw new APIError('Account not found.', 404, 'CUSTOMER_NOT_FOUND');
+    return row;
+}
+
+export async function getCustomer(id) {
+    return toCustomer(await getCustomerRow(id));
+}
+
+/**
+ * Give the customer a new verification token, replacing any earlier one
+ * @returns {Promise<string>} The raw token for the email link
+ */
+async function issueVerificationToken(customerId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + VERIFICATION_HOURS * 60 * 60 * 1000);
+    await adapter.exec(`
+        UPDATE customers SET verification_token_hash = $1, verification_expires_at = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+    `, [hashToken(token), expiresAt, customerId]);
+    return token;
+}
+
+const accountLink = (param, token, origin) => `${process.env.FRONTEND_URL || origin || ''}/account?${param}=${token}`;
+
+async function sendAccountEmail(to, type, send) {
+    if (EMAIL_TEST_MODE) {
+        console.log('[EMAIL TEST MODE] Would send email:', { to, type });
+        return true;
+    }
+    if (!EMAIL_ENABLED) return false;
+    try {
+        await send();
+        return true;
+    } catch (error) {
+        console.error('[EMAIL] Failed to send:', error.message);
+        return false;
+    }
+}
+
+function sendVerificationEmail(customer, token, origin) {
+    const link = accountLink('verify', token, origin);
+    return sendAccountEmail(customer.email, 'email_verification', () => sendEmailVerification(customer, link));
+}
+
+/**
+ * Create an account and email a verification link
+ * @param {{email: string, password: string, name: string, phone?: string}} details
+ * @param {string} [origin] - Request origin, for the link when FRONTEND_URL is unset
+ * @returns {Promise<{customer: Object, verificationToken: string, emailSent: boolean}>}
+ */
+export async function registerCustomer({ email, password, name, phone }, origin) {
+    const normalizedEmail = email.trim().toLowerCase();
+    const existing = await adapter.one('SELECT id FROM customers WHERE email = $1', [normalizedEmail]);
+    if (existing) throw new APIError('An account with this email already exists.', 409, 'EMAIL_TAKEN');
+
+    const id = `CUS-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    await adapter.exec(
+        'INSERT INTO customers (id, email, password_hash, name, phone) VALUES ($1, $2, $3, $4, $5)',
+        [id, normalizedEmail, passwordHash, name, phone || null]
+    );
+
+    const customer = await getCustomer(id);
+    const verificationToken = await issueVerificationToken(id);
+    const emailSent = await sendVerificationEmail(customer, verificationToken, origin);
+
+    console.log(`[ACCOUNT] Customer ${id} registered`);
+    return { customer, verificationToken, emailSent };
+}
+
+/**
+ * Send a fresh verification link
+ * @returns {Promise<{verificationToken: string, emailSent: boolean}>}
+ */
+export async function resendVerification(customerId, origin) {
+    const customer = await getCustomer(customerId);
+    if (customer.emailVerified) throw new APIError('Your email is already verified.', 400, 'ALREADY_VERIFIED');
+
+    const verificationToken = await issueVerificationToken(customerId);
+    const emailSent = await sendVerificationEmail(customer, verificationToken, origin);
+    return { verificationToken, emailSent };
+}
+
+/**
+ * Spend the token from a verification email. Whoever registered the account
+ * may not own the email, so as with a sign-in link its password and sessions
+ * are dropped; the caller starts a new session for the person who verified.
+ * @returns {Promise<Object>} The customer
+ */
+export async function verifyCustomerEmail(token) {
+    const row = await adapter.one(`
+        SELECT id FROM customers
+        WHERE verification_token_hash = $1 AND verification_expires_at > CURRENT_TIMESTAMP
+    `, [hashToken(String(token))]);
+    if (!row) throw new APIError('This verification link is invalid or has expired.', 400, 'INVALID_TOKEN');
+
+    await adapter.transaction(async tx => {
+        await tx.exec(`
+            UPDATE customers SET email_verified = $1, verification_token_hash = NULL, verification_expires_at = NULL,
+                password_hash = '', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+        `, [true, row.id]);
+        await tx.exec('DELETE FROM customer_sessions WHERE customer_id = $1', [row.id]);
+    });
+    console.log(`[ACCOUNT] Cleared the password and sessions of customer ${row.id} on verification`);
+    return getCustomer(row.id);
+}
+
+/**
+ * Check an email and password. Accounts with an unverified email can't log
+ * in this way; they verify it or sign in with an emailed link.
+ * @returns {Promise<Object>} The customer
+ */
+export async function authenticateCustomer(email, password) {
+    const row = await adapter.one('SELECT * FROM customers WHERE email = $1', [email.trim().toLowerCase()]);
+    if (!row || !row.password_hash) {
+        dummyHash ??= await bcrypt.hash(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+        await bcrypt.compare(password, dummyHash);
+        throw new APIError('Invalid email or password.', 401, 'AUTH_ERROR');
+    }
+    if (!(await bcrypt.compare(password, row.password_hash))) {
+        throw new APIError('Invalid email or password.', 401, 'AUTH_ERROR');
+    }
+    if (!row.email_verified) {
+        throw new APIError(
+            'Please verify your email before logging in, or sign in with an emailed link.', 403, 'EMAIL_NOT_VERIFIED'
+        );
+    }
+
+    await adapter.exec('UPDATE customers SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [row.id]);
+    return toCustomer(row);
+}
+
+/**
+ * Email a single-use sign-in link. Works whether or not the address has an
+ * account yet, and the response never says which.
+ * @param {string} email
+ * @param {string} [origin] - Request origin, for the link when FRONTEND_URL is unset
+ * @returns {Promise<{token: string|null, emailSent: boolean}>} token is null when throttled
+ */
+export async function requestLoginLink(email, origin) {
+    const normalizedEmail = email.trim().toLowerCase();
+    const { count } = await adapter.one(`
+        SELECT COUNT(*) AS count FROM customer_login_links
+        WHERE email = $1 AND created_at > ${adapter.dialect.interval(-LOGIN_LINK_MINUTES, 'minutes')}
+    `, [normalizedEmail]);
+    if (parseInt(count, 10) >= LOGIN_LINKS_PER_WINDOW) {
+        console.warn(`[ACCOUNT] Login link requests throttled for ${normalizedEmail}`);
+        return { token: null, emailSent: false };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + LOGIN_LINK_MINUTES * 60 * 1000);
+    await adapter.exec(
+        'INSERT INTO customer_login_links (email, token_hash, expires_at) VALUES ($1, $2, $3)',
+        [normalizedEmail, hashToken(token), expiresAt]
+    );
+
+    const link = accountLink('login', token, origin);
+    const emailSent = await sendAccountEmail(normalizedEmail, 'login_link', () => sendLoginLink(normalizedEmail, link));
+    return { token, emailSent };
+}
+
+/**
+ * Spend a sign-in link. Following it proves the customer owns the email, so
+ * the account is created if needed, marked verified, and any guest orders
+ * placed with the email are claimed. An unverified account may have been
+ * registered by someone else, so its password and sessions are dropped first.
+ * @returns {Promise<{customer: Object, claimed: number}>}
+ */
+export async function signInWithLoginLink(token) {
+    const link = await adapter.one(`
+        UPDATE customer_login_links SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        RETURNING email
+    `, [hashToken(String(token))]);
+    if (!link) throw new APIError('This sign-in link is invalid, expired or already used.', 400, 'INVALID_TOKEN');
+
+    let row = await adapter.one('SELECT id, email_verified FROM customers WHERE email = $1', [link.email]);
+    if (!row) {
+        // Name the account after the customer's latest order, if any
+        const lastOrder = await adapter.one(
+            'SELECT customer_name FROM orders WHERE LOWER(customer_email) = $1 ORDER BY created_at DESC LIMIT 1',
+            [link.email]
+        );
+        row = { id: `CUS-${crypto.randomBytes(6).toString('hex').toUpperCase()}` };
+        await adapter.exec(
+            "INSERT INTO customers (id, email, password_hash, name) VALUES ($1, $2, '', $3)",
+            [row.id, link.email, lastOrder?.customer_name || link.email.split('@')[0]]
+        );
+        console.log(`[ACCOUNT] Customer ${row.id} created from a login link`);
+    } else if (!row.email_verified) {
+        await adapter.transaction(async tx => {
+            await tx.exec("UPDATE customers SET password_hash = '' WHERE id = $1", [row.id]);
+            await tx.exec('DELETE FROM customer_sessions WHERE customer_id = $1', [row.id]);
+        });
+        console.log(`[ACCOUNT] Cleared the password and sessions of unverified customer ${row.id}`);
+    }
+
+    await adapter.exec(`
+        UPDATE customers SET email_verified = $1, verification_token_hash = NULL, verification_expires_at = NULL,
+            last_login_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+    `, [true, row.id]);
+    const { claimed } = await claimGuestOrders(row.id);
+    return { customer: await getCustomer(row.id), claimed };
+}
+
+/**
+ * Start a login session
+ * @returns {Promise<string>} The raw session token for the cookie
+ */
+export async function createCustomerSession(customerId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000);
+    await adapter.exec(
+        'INSERT INTO customer_sessions (customer_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+        [customerId, hashToken(token), expiresAt]
+    );
+    return token;
+}
+
+export async function getSessionCustomer(token) {
+    const row = await adapter.one(`
+        SELECT c.* FROM customer_sessions s
+        JOIN customers c ON c.id = s.customer_id
+        WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP
+    `, [hashToken(token)]);
+    return toCustomer(row);
+}
+
+export async function endCustomerSession(token) {
+    await adapter.exec('DELETE FROM customer_sessions WHERE token_hash = $1', [hashToken(token)]);
+}
+
+export async function updateCustomerProfile(customerId, { name, phone }) {
+    await getCustomerRow(customerId);
+    await adapter.exec(
+        'UPDATE customers SET name = $1, phone = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+        [name, phone || null, customerId]
+    );
+    return getCustomer(customerId);
+}
+
+/**
+ * Change the password and log out every other session. Customers who have
+ * only signed in with links set their first password without a current one.
+ * @param {string} customerId
+ * @param {string|undefined} currentPassword
+ * @param {string} newPassword
+ * @param {string} keepToken - Session that made the change, left logged in
+ */
+export async function changeCustomerPassword(customerId, currentPassword, newPassword, keepToken) {
+    const row = await getCustomerRow(customerId);
+    if (row.password_hash && !(await bcrypt.compare(currentPassword || '', row.password_hash))) {
+        throw new APIError('Current password is incorrect.', 400, 'INVALID_PASSWORD');
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+    await adapter.transaction(async tx => {
+        await tx.exec(
+            'UPDATE customers SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [passwordHash, customerId]
+        );
+        await tx.exec(
+            'DELETE FROM customer_sessions WHERE customer_id = $1 AND token_hash <> $2',
+            [customerId, hashToken(keepToken)]
+        );
+    });
+}
+
+export async function listCustomerAddresses(customerId) {
+    const rows = await adapter.many(
+        'SELECT * FROM customer_addresses WHERE customer_id = $1 ORDER BY is_default DESC, created_at DESC, id DESC',
+        [customerId]
+    );
+    return rows.map(toAddress);
+}
+
+/**
+ * Add an address, or update one when addressId is given. The first address
+ * saved becomes the default; making another the default unsets the old one.
+ */
+export async function saveCustomerAddress(customerId, address, addressId = null) {
+    const existing = await adapter.many('SELECT id, is_default FROM customer_addresses WHERE customer_id = $1', [customerId]);
+    if (addressId && !existing.some(row => row.id === Number(addressId))) {
+        throw new APIError('Address not found.', 404, 'ADDRESS_NOT_FOUND');
+    }
+    if (!addressId && existing.length >= MAX_ADDRESSES) {
+        throw new APIError(`You can save up to ${MAX_ADDRESSES} addresses.`, 400, 'ADDRESS_LIMIT');
+    }
+
+    const isDefault = Boolean(address.isDefault) || existing.length === 0
+        || Boolean(existing.find(row => row.id === Number(addressId))?.is_default);
+    const values = [
+        address.label || null,
+        address.firstName,
+        address.lastName,
+        address.address,
+        address.apartment || null,
+        address.city,
+        address.state,
+        address.zip,
+        address.phone || null,
+        isDefault
+    ];
+
+    return adapter.transaction(async tx => {
+        if (isDefault) {
+            await tx.exec('UPDATE customer_addresses SET is_default = $1 WHERE customer_id = $2', [false, customerId]);
+        }
+        if (addressId) {
+            await tx.exec(`
+                UPDATE customer_addresses SET label = $1, first_name = $2, last_name = $3, address = $4, apartment = $5,
+                    city = $6, state = $7, zip = $8, phone = $9, is_default = $10
+                WHERE id = $11 AND customer_id = $12
+            `, [...values, addressId, customerId]);
+            return toAddress(await tx.one('SELECT * FROM customer_addresses WHERE id = $1', [addressId]));
+        }
+        const row = await tx.one(`
+            INSERT INTO customer_addresses (label, first_name, last_name, address, apartment, city, state, zip, phone,
+                is_default, customer_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            RETURNING *
+        `, [...values, customerId]);
+        return toAddress(row);
+    });
+}
+
+export async function deleteCustomerAddress(customerId, addressId) {
+    const row = await adapter.one(
+        'SELECT is_default FROM customer_addresses WHERE id = $1 AND customer_id = $2',
+        [addressId, customerId]
+    );
+    if (!row) throw new APIError('Address not found.', 404, 'ADDRESS_NOT_FOUND');
+
+    await adapter.transaction(async tx => {
+        await tx.exec('DELETE FROM customer_addresses WHERE id = $1', [addressId]);
+        if (row.is_default) {
+            await tx.exec(`
+                UPDATE customer_addresses SET is_default = $1
+                WHERE id = (SELECT id FROM customer_addresses WHERE customer_id = $2 ORDER BY created_at DESC, id DESC LIMIT 1)
+            `, [true, customerId]);
+        }
+    });
+}
+
+export async function listCustomerOrders(customerId) {
+    const rows = await adapter.many(`
+        SELECT id, items, total, order_status, payment_status, created_at FROM orders
+        WHERE customer_id = $1
+        ORDER BY created_at DESC
+    `, [customerId]);
+    return rows.map(row => {
+        const items = typeof row.items === 'string' ? JSON.parse(row.items) : row.items || [];
+        return {
+            id: row.id,
+            createdAt: row.created_at,
+            status: row.order_status,
+            paymentStatus: row.payment_status,
+            total: row.total,
+            itemCount: items.reduce((sum, item) => sum + (item.quantity || 1), 0)
+        };
+    });
+}
+
+/**
+ * One of the customer's orders, in the same shape as a guest order lookup
+ */
+export async function getCustomerOrder(customerId, orderId) {
+    const order = await adapter.one(
+        'SELECT id, customer_email FROM orders WHERE id = $1 AND customer_id = $2',
+        [orderId, customerId]
+    );
+    if (!order) throw new APIError('Order not found.', 404, 'ORDER_NOT_FOUND');
+    return lookupOrder(order.id, order.customer_email);
+}
+
+/**
+ * Reviews written with the customer's email or on one of their orders
+ */
+export async function listCustomerReviews(customer) {
+    const rows = await adapter.many(`
+        SELECT r.id, r.product_id, p.name AS product_name, p.slug AS product_slug, r.order_id, r.rating, r.title,
+            r.review_text, r.status, r.admin_response, r.created_at
+        FROM reviews r
+        LEFT JOIN products p ON p.id = r.product_id
+        WHERE LOWER(r.customer_email) = $1 OR r.order_id IN (SELECT id FROM orders WHERE customer_id = $2)
+        ORDER BY r.created_at DESC
+    `, [customer.email, customer.id]);
+    return rows.map(row => ({
+        id: row.id,
+        productId: row.product_id,
+        productName: row.product_name,
+        productSlug: row.product_slug,
+        orderId: row.order_id,
+        rating: row.rating,
+        title: row.title,
+        reviewText: row.review_text,
+        status: row.status,
+        adminResponse: row.admin_response,
+        createdAt: row.created_at
+    }));
+}
+
+/**
+ * Guest orders placed with the customer's email that aren't on any account
+ */
+export async function countClaimableOrders(customer) {
+    const { count } = await adapter.one(
+        'SELECT COUNT(*) AS count FROM orders WHERE customer_id IS NULL AND LOWER(customer_email) = $1',
+        [customer.email]
+    );
+    return parseInt(count, 10);
+}
+
+/**
+ * Attach guest orders placed with the same email to the account. Only a
+ * verified email proves the orders are the customer's.
+ * @returns {Promise<{claimed: number}>}
+ */
+export async function claimGuestOrders(customerId) {
+    const customer = await getCustomer(customerId);
+    if (!customer.emailVerified) {
+        throw new APIError('Verify your email address before adding past orders.', 403, 'EMAIL_NOT_VERIFIED');
+    }
+
+    const result = await adapter.exec(`
+        UPDATE orders SET customer_id = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE customer_id IS NULL AND LOWER(customer_email) = $2
+    `, [customerId, customer.email]);
+    if (result.rowCount > 0) {
+        console.log(`[ACCOUNT] Customer ${customerId} claimed ${result.rowCount} guest order(s)`);
+    }
+    return { claimed: result.rowCount };
+}
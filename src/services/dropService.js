@@ -0,0 +1,240 @@
+/**
+ * LA VAGUE - Limited Drops
+ * A drop is a product with a publish_at time: it can be seen (with a
+ * countdown) but not bought until then. It may also cap how many of each
+ * variant one customer buys, and hold a waiting room for its first minutes
+ * on sale.
+ *
+ * Shoppers join the waiting room by cookie. Everyone who joins before the
+ * drop opens is given a random place, so joining early or from many tabs
+ * gains nothing; later arrivals queue behind them in join order. From the
+ * opening time a batch is admitted every minute, and each admission is
+ * good for a few minutes to add to cart and check out. Until the waiting
+ * room closes, only admitted shoppers can add the drop to a cart or order it.
+ */
+
+import crypto from 'crypto';
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { toTimestamp } from '../utils/dates.js';
+
+const DEFAULT_BATCH_SIZE = 50;
+const ADMIT_INTERVAL_MS = 60 * 1000;
+
+// How long an admitted shopper has to check out; also their stock hold at checkout
+export const ADMISSION_MINUTES = 10;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Where a drop is in its release, from its products row
+ */
+function dropState(product, now = Date.now()) {
+    const publishAt = product.publish_at ? Date.parse(toTimestamp(product.publish_at)) : null;
+    if (!publishAt) return { live: true, queueOpen: false };
+
+    const closesAt = publishAt + (product.waiting_room_minutes || 0) * 60 * 1000;
+    return {
+        publishAt,
+        closesAt,
+        live: now >= publishAt,
+        hasQueue: product.waiting_room_minutes > 0,
+        queueOpen: product.waiting_room_minutes > 0 && now < closesAt
+    };
+}
+
+async function getDropProduct(productId) {
+    const product = await adapter.one(
+        'SELECT id, name, publish_at, purchase_limit, waiting_room_minutes, queue_batch_size FROM products WHERE id = $1',
+        [productId]
+    );
+    if (!product) throw new APIError('Product not found', 404, 'NOT_FOUND');
+    return product;
+}
+
+/**
+ * The shopper's waiting room entry for a product, by queue cookie or account
+ * @param {{customerId?: string, queueToken?: string}} shopper
+ */
+function findEntry(productId, { customerId, queueToken }) {
+    if (!customerId && !queueToken) return null;
+    return adapter.one(`
+        SELECT * FROM drop_queue
+        WHERE product_id = $1 AND (token_hash = $2 OR customer_id = $3)
+        ORDER BY status = 'admitted' DESC, priority
+        LIMIT 1
+    `, [productId, queueToken ? hashToken(queueToken) : null, customerId || null]);
+}
+
+const isAdmitted = entry => entry?.status === 'admitted' && Date.parse(toTimestamp(entry.expires_at)) > Date.now();
+
+/**
+ * Admit every batch that is due by now. Admission happens when shoppers
+ * check their place, so no timer is needed.
+ */
+async function admitDueBatches(product, state) {
+    if (!state.live || !state.queueOpen) return;
+
+    const batchSize = product.queue_batch_size || DEFAULT_BATCH_SIZE;
+    const due = batchSize * (Math.floor((Date.now() - state.publishAt) / ADMIT_INTERVAL_MS) + 1);
+
+    await adapter.transaction(async () => {
+        const { count } = await adapter.one(
+            'SELECT COUNT(*) AS count FROM drop_queue WHERE product_id = $1 AND status = $2',
+            [product.id, 'admitted']
+        );
+        const admit = due - parseInt(count, 10);
+        if (admit <= 0) return;
+
+        const next = await adapter.many(`
+            SELECT id FROM drop_queue WHERE product_id = $1 AND status = 'waiting'
+            ORDER BY priority, id LIMIT ${admit}
+        `, [product.id]);
+        if (next.length === 0) return;
+
+        const expiresAt = new Date(Date.now() + ADMISSION_MINUTES * 60 * 1000);
+        const placeholders = next.map((_, i) => `$${i + 2}`).join(', ');
+        await adapter.exec(`
+            UPDATE drop_queue SET status = 'admitted', admitted_at = CURRENT_TIMESTAMP, expires_at = $1
+            WHERE id IN (${placeholders}) AND status = 'waiting'
+        `, [expiresAt, ...next.map(row => row.id)]);
+        console.log(`[DROPS] Admitted ${next.length} shopper(s) to ${product.id}`);
+    });
+}
+
+/**
+ * What the shopper should see for a drop
+ * @returns {Promise<Object>} status is 'open' (buy freely), 'scheduled' (not on sale yet, not queued),
+ *   'join' (on sale through the waiting room, not queued), 'waiting', 'admitted' or 'expired'
+ */
+export async function getQueueStatus(productId, shopper) {
+    const product = await getDropProduct(productId);
+    const state = dropState(product);
+    await admitDueBatches(product, state);
+
+    const base = {
+        productId: product.id,
+        publishAt: toTimestamp(product.publish_at),
+        hasQueue: Boolean(state.hasQueue),
+        queueClosesAt: state.hasQueue ? new Date(state.closesAt).toISOString() : null,
+        serverTime: new Date().toISOString()
+    };
+    if (state.live && !state.queueOpen) return { ...base, status: 'open' };
+
+    const entry = state.queueOpen ? await findEntry(product.id, shopper) : null;
+    if (!entry) return { ...base, status: state.live ? 'join' : 'scheduled', queued: false };
+
+    if (entry.status === 'admitted') {
+        return isAdmitted(entry)
+            ? { ...base, status: 'admitted', queued: true, expiresAt: toTimestamp(entry.expires_at) }
+            : { ...base, status: 'expired', queued: true };
+    }
+
+    // Places before opening are drawn at random, so only show them once they count
+    let position = null;
+    if (state.live) {
+        const { ahead } = await adapter.one(`
+            SELECT COUNT(*) AS ahead FROM drop_queue
+            WHERE product_id = $1 AND status = 'waiting' AND (priority < $2 OR (priority = $2 AND id < $3))
+        `, [product.id, entry.priority, entry.id]);
+        position = parseInt(ahead, 10) + 1;
+    }
+    return { ...base, status: 'waiting', queued: true, position };
+}
+
+/**
+ * Join a drop's waiting room, or rejoin at the back once an admission has
+ * run out. Joining again while queued keeps the place already held.
+ * @returns {Promise<{status: Object, token: string|null}>} token is a new queue cookie to set, if any
+ */
+export async function joinQueue(productId, shopper) {
+    const product = await getDropProduct(productId);
+    const state = dropState(product);
+    if (!state.hasQueue) throw new APIError('This product has no waiting room', 400, 'NO_WAITING_ROOM');
+    if (!state.queueOpen) throw new APIError('The waiting room for this drop has closed', 400, 'QUEUE_CLOSED');
+
+    const token = shopper.queueToken ? null : crypto.randomBytes(32).toString('hex');
+    const queueToken = shopper.queueToken || token;
+
+    // Before opening everyone gets a random place ahead of anyone who arrives after
+    const priority = state.live ? Date.now() : crypto.randomInt(0, state.publishAt);
+    const entry = await findEntry(product.id, { ...shopper, queueToken });
+
+    if (!entry) {
+        await adapter.exec(
+            'INSERT INTO drop_queue (product_id, token_hash, customer_id, priority) VALUES ($1, $2, $3, $4)',
+            [product.id, hashToken(queueToken), shopper.customerId || null, priority]
+        );
+    } else if (entry.status === 'admitted' && !isAdmitted(entry)) {
+        await adapter.exec(`
+            UPDATE drop_queue SET status = 'waiting', priority = $1, admitted_at = NULL, expires_at = NULL
+            WHERE id = $2
+        `, [Date.now(), entry.id]);
+    }
+
+    return { status: await getQueueStatus(product.id, { ...shopper, queueToken }), token };
+}
+
+/**
+ * Refuse to sell a drop before it opens, or while its waiting room is open
+ * to anyone not admitted from it
+ * @returns {Promise<{queued: boolean}>} queued when the shopper came through the waiting room
+ */
+export async function checkDropAccess(productId, shopper = {}) {
+    const product = await getDropProduct(productId);
+    const state = dropState(product);
+
+    if (!state.live) {
+        throw new APIError(`${product.name} isn't on sale yet`, 403, 'DROP_NOT_LIVE');
+    }
+    if (!state.queueOpen) return { queued: false };
+
+    if (!isAdmitted(await findEntry(product.id, shopper))) {
+        throw new APIError(`Join the waiting room to buy ${product.name}`, 403, 'QUEUE_REQUIRED');
+    }
+    return { queued: true };
+}
+
+/**
+ * Refuse an order that takes a customer past a product's per-variant limit.
+ * Earlier orders count while they hold or have taken stock, so cancelled,
+ * refunded and lapsed unpaid orders don't.
+ * @param {Array<{variantId: string, quantity: number, name: string, purchaseLimit?: number}>} items
+ * @param {{customerId?: string, email: string}} customer
+ */
+export async function checkPurchaseLimits(items, { customerId, email }) {
+    const wanted = new Map();
+    for (const item of items.filter(i => i.purchaseLimit > 0)) {
+        const line = wanted.get(item.variantId) || { ...item, quantity: 0 };
+        line.quantity += item.quantity;
+        wanted.set(item.variantId, line);
+    }
+    if (wanted.size === 0) return;
+
+    const variantIds = [...wanted.keys()];
+    const placeholders = variantIds.map((_, i) => `$${i + 3}`).join(', ');
+    const bought = await adapter.many(`
+        SELECT r.variant_id, SUM(r.quantity) AS quantity
+        FROM inventory_reservations r
+        JOIN orders o ON o.id = r.order_id
+        WHERE (o.customer_id = $1 OR LOWER(o.customer_email) = $2)
+          AND o.order_status NOT IN ('cancelled', 'refunded')
+          AND (r.status = 'confirmed' OR (r.status = 'held' AND r.expires_at > ${adapter.dialect.now}))
+          AND r.variant_id IN (${placeholders})
+        GROUP BY r.variant_id
+    `, [customerId || null, String(email || '').trim().toLowerCase(), ...variantIds]);
+    const already = new Map(bought.map(row => [row.variant_id, parseInt(row.quantity, 10)]));
+
+    for (const line of wanted.values()) {
+        const left = line.purchaseLimit - (already.get(line.variantId) || 0);
+        if (line.quantity > left) {
+            throw new APIError(
+                left > 0
+                    ? `You can buy ${left} more of ${line.name}`
+                    : `You've already bought the most allowed of ${line.name}`,
+                409,
+                'PURCHASE_LIMIT'
+            );
+        }
+    }
+}
@@ -0,0 +1,433 @@
+/**
+ * LA VAGUE - Gift Cards
+ * Gift cards are bought on the storefront like an order with no shipping.
+ * The card is created pending with the order and becomes active, with its
+ * full balance, once the payment is confirmed. Its code is made when the
+ * card is emailed to the recipient, on the send date the buyer picked, and
+ * only the code's hash is kept, so a lost email can't be resent.
+ *
+ * Cards are spent at checkout. The amount applied to an order is taken off
+ * the balance when the order is placed and put back if the payment fails or
+ * the order is cancelled. Every change to a balance is a ledger row.
+ */
+
+import crypto from 'crypto';
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { captureMessage } from '../config/sentry.js';
+import { toTimestamp } from '../utils/dates.js';
+import { generateCode, DEFAULT_ALPHABET } from './couponBatchService.js';
+import { sendGiftCard, isEmailConfigured } from '../../email-templates/index.js';
+
+export const GIFT_CARD_STATUSES = ['pending', 'active', 'void'];
+
+export const GIFT_CARD_SETTINGS = { amounts: 'giftCardAmounts' };
+
+export const MIN_GIFT_CARD_AMOUNT = 5000;
+export const MAX_GIFT_CARD_AMOUNT = 500000;
+
+const DEFAULT_AMOUNTS = [10000, 25000, 50000, 100000];
+const MAX_PRESET_AMOUNTS = 6;
+const MAX_SEND_DAYS = 365;
+
+// LVGC plus 16 random characters: 80 bits, printed in groups of four
+const CODE_PREFIX = 'LVGC';
+const CODE_LENGTH = 16;
+
+// Cards emailed on each run
+const BATCH_SIZE = 100;
+
+const EMAIL_ENABLED = process.env.EMAIL_TEST_MODE !== 'true' && isEmailConfigured();
+const EMAIL_TEST_MODE = process.env.EMAIL_TEST_MODE === 'true';
+
+const hashCode = code => crypto.createHash('sha256').update(code).digest('hex');
+
+const forUpdate = () => (adapter.usePostgres ? ' FOR UPDATE' : '');
+
+/**
+ * Codes are matched without case, spaces or dashes, and with or without
+ * the LVGC prefix
+ */
+export function normalizeGiftCardCode(code) {
+    const value = String(code ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return value.startsWith(CODE_PREFIX) ? value : `${CODE_PREFIX}${value}`;
+}
+
+/**
+ * LVGCABCD... as LVGC-ABCD-EFGH-...
+ */
+export function formatGiftCardCode(code) {
+    return normalizeGiftCardCode(code).match(/.{1,4}/g).join('-');
+}
+
+/**
+ * Parse the preset amounts offered on the gift card page, e.g. "10000,25000"
+ * @returns {number[]|null} The amounts in ascending order, or null if invalid
+ */
+export function parseGiftCardAmounts(value) {
+    const parts = String(value ?? '').split(',').map(part => part.trim());
+    if (parts.length > MAX_PRESET_AMOUNTS || parts.some(part => !/^\d+$/.test(part))) return null;
+
+    const amounts = parts.map(Number);
+    const ascending = amounts.every((amount, i) => i === 0 || amount > amounts[i - 1]);
+    const inRange = amounts.every(amount => amount >= MIN_GIFT_CARD_AMOUNT && amount <= MAX_GIFT_CARD_AMOUNT);
+    return ascending && inRange ? amounts : null;
+}
+
+/**
+ * Preset amounts and the range for a custom amount
+ */
+export async function getGiftCardOptions() {
+    const row = await adapter.one('SELECT value FROM settings WHERE key = $1', [GIFT_CARD_SETTINGS.amounts]);
+    return {
+        amounts: parseGiftCardAmounts(row?.value) || DEFAULT_AMOUNTS,
+        minAmount: MIN_GIFT_CARD_AMOUNT,
+        maxAmount: MAX_GIFT_CARD_AMOUNT
+    };
+}
+
+function formatGiftCard(row) {
+    return {
+        id: row.id,
+        lastFour: row.last_four,
+        initialAmount: row.initial_amount,
+        balance: row.balance,
+        status: row.status,
+        orderId: row.order_id,
+        purchaserName: row.purchaser_name,
+        purchaserEmail: row.purchaser_email,
+        recipientName: row.recipient_name,
+        recipientEmail: row.recipient_email,
+        message: row.message,
+        sendAt: toTimestamp(row.send_at),
+        sentAt: toTimestamp(row.sent_at),
+        activatedAt: toTimestamp(row.activated_at),
+        createdAt: toTimestamp(row.created_at)
+    };
+}
+
+const invalid = message => new APIError(message, 400, 'VALIDATION_ERROR');
+
+/**
+ * Check a gift card purchase. Any whole amount in range may be bought, not
+ * just the presets. Cards are sent straight away unless a later date is picked.
+ */
+export function checkGiftCardPurchase(data) {
+    const amount = Number(data.amount);
+    if (!Number.isInteger(amount) || amount < MIN_GIFT_CARD_AMOUNT || amount > MAX_GIFT_CARD_AMOUNT) {
+        throw invalid(`Gift cards can be ₦${MIN_GIFT_CARD_AMOUNT.toLocaleString()} to ₦${MAX_GIFT_CARD_AMOUNT.toLocaleString()}`);
+    }
+
+    let sendAt = new Date();
+    if (data.sendAt) {
+        const date = new Date(data.sendAt);
+        if (isNaN(date)) throw invalid('Invalid send date');
+        if (date.getTime() > Date.now() + MAX_SEND_DAYS * 24 * 60 * 60 * 1000) {
+            throw invalid(`Gift cards can be scheduled up to ${MAX_SEND_DAYS} days ahead`);
+        }
+        if (date > sendAt) sendAt = date;
+    }
+
+    return {
+        amount,
+        purchaserName: data.purchaserName,
+        purchaserEmail: data.purchaserEmail,
+        recipientName: data.recipientName,
+        recipientEmail: data.recipientEmail,
+        message: String(data.message || '').trim() || null,
+        sendAt
+    };
+}
+
+/**
+ * Create the pending card for a gift card order
+ * @param {Object} purchase - From checkGiftCardPurchase()
+ * @returns {Promise<string>} The card's ID
+ */
+export async function createPendingGiftCard(tx, purchase, orderId) {
+    const id = `GC-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    await tx.exec(`
+        INSERT INTO gift_cards (id, initial_amount, order_id, purchaser_name, purchaser_email,
+            recipient_name, recipient_email, message, send_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [id, purchase.amount, orderId, purchase.purchaserName, purchase.purchaserEmail,
+        purchase.recipientName, purchase.recipientEmail, purchase.message, purchase.sendAt]);
+    return id;
+}
+
+async function recordTransaction(tx, card, { type, amount, balanceAfter, orderId = null, note = null, actor = 'system' }) {
+    await tx.exec(`
+        INSERT INTO gift_card_transactions (gift_card_id, type, amount, balance_after, order_id, note, actor)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [card.id, type, amount, balanceAfter, orderId, note, actor]);
+}
+
+/**
+ * Activate the cards bought with an order once it's paid, and email the ones
+ * already due. Safe to call more than once.
+ */
+export async function activateOrderGiftCards(orderId) {
+    const cards = await adapter.many("SELECT * FROM gift_cards WHERE order_id = $1 AND status = 'pending'", [orderId]);
+    for (const card of cards) {
+        await adapter.transaction(async tx => {
+            const result = await tx.exec(`
+                UPDATE gift_cards
+                SET status = 'active', balance = initial_amount, activated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND status = 'pending'
+            `, [card.id]);
+            if (result.rowCount === 0) return;
+            await recordTransaction(tx, card, {
+                type: 'issue', amount: card.initial_amount, balanceAfter: card.initial_amount, orderId, note: 'Purchased'
+            });
+        });
+        console.log(`[GIFT CARDS] Activated ${card.id} from order ${orderId}`);
+        if (new Date(toTimestamp(card.send_at)) <= new Date()) await deliverSafely(card.id);
+    }
+}
+
+/**
+ * Make a card's code and email it to the recipient. The card is claimed
+ * first so it's only ever sent once; if the email fails the claim is undone
+ * and the next run tries again with a new code.
+ * @returns {Promise<string|null>} The code sent, or null if the card wasn't sent
+ */
+export async function deliverGiftCard(id) {
+    if (!EMAIL_ENABLED && !EMAIL_TEST_MODE) return null;
+
+    const code = normalizeGiftCardCode(generateCode({ prefix: '', length: CODE_LENGTH, alphabet: DEFAULT_ALPHABET }));
+    const claimed = await adapter.exec(`
+        UPDATE gift_cards SET code_hash = $1, last_four = $2, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3 AND status = 'active' AND sent_at IS NULL
+    `, [hashCode(code), code.slice(-4), id]);
+    if (claimed.rowCount === 0) return null;
+
+    const card = formatGiftCard(await adapter.one('SELECT * FROM gift_cards WHERE id = $1', [id]));
+    if (EMAIL_TEST_MODE) {
+        console.log('[EMAIL TEST MODE] Would send email:', { to: card.recipientEmail, type: 'gift_card', giftCard: id });
+        return code;
+    }
+    try {
+        await sendGiftCard(card.recipientEmail, card, { code: formatGiftCardCode(code) });
+        return code;
+    } catch (error) {
+        await adapter.exec(
+            'UPDATE gift_cards SET code_hash = NULL, last_four = NULL, sent_at = NULL WHERE id = $1',
+            [id]
+        );
+        throw error;
+    }
+}
+
+async function deliverSafely(id) {
+    try {
+        return await deliverGiftCard(id);
+    } catch (error) {
+        console.error(`[GIFT CARDS] Email for ${id} failed:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Email the active cards whose send date has come. Run on a timer.
+ */
+export async function deliverDueGiftCards() {
+    if (!EMAIL_ENABLED && !EMAIL_TEST_MODE) return 0;
+
+    const due = await adapter.many(`
+        SELECT id FROM gift_cards
+        WHERE status = 'active' AND sent_at IS NULL AND send_at <= ${adapter.dialect.now}
+        ORDER BY send_at
+        LIMIT ${BATCH_SIZE}
+    `);
+    let sent = 0;
+    for (const { id } of due) {
+        if (await deliverSafely(id)) sent++;
+    }
+    if (sent > 0) console.log(`[GIFT CARDS] Sent ${sent} gift card(s)`);
+    return sent;
+}
+
+async function findCard(code) {
+    return adapter.one('SELECT * FROM gift_cards WHERE code_hash = $1', [hashCode(normalizeGiftCardCode(code))]);
+}
+
+/**
+ * A card's balance, looked up by its code
+ */
+export async function checkGiftCardBalance(code) {
+    const card = await findCard(code);
+    if (!card) throw new APIError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+    return { lastFour: card.last_four, balance: card.balance, status: card.status };
+}
+
+/**
+ * A card that can be spent, by its code
+ */
+export async function findRedeemableGiftCard(code) {
+    const card = await findCard(code);
+    if (!card) throw new APIError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+    if (card.status === 'void') throw new APIError('This gift card has been cancelled', 400, 'GIFT_CARD_VOID');
+    if (card.balance <= 0) throw new APIError('This gift card has no balance left', 400, 'GIFT_CARD_EMPTY');
+    return card;
+}
+
+/**
+ * Take part of an order's total off a card, inside the order's transaction.
+ * Fails if the balance changed since the card was looked up.
+ */
+export async function redeemGiftCard(tx, card, amount, orderId) {
+    const result = await tx.exec(`
+        UPDATE gift_cards SET balance = balance - $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND status = 'active' AND balance >= $1
+    `, [amount, card.id]);
+    if (result.rowCount === 0) {
+        throw new APIError('Your gift card balance has changed. Please apply it again.', 409, 'GIFT_CARD_BALANCE_CHANGED');
+    }
+    const { balance } = await tx.one('SELECT balance FROM gift_cards WHERE id = $1', [card.id]);
+    await recordTransaction(tx, card, { type: 'redeem', amount: -amount, balanceAfter: balance, orderId, actor: 'customer' });
+}
+
+// What an order has taken off its card and not given back
+async function heldAmount(tx, orderId) {
+    const { total } = await tx.one(`
+        SELECT COALESCE(SUM(amount), 0) AS total FROM gift_card_transactions
+        WHERE order_id = $1 AND type IN ('redeem', 'release')
+    `, [orderId]);
+    return -(parseInt(total, 10) || 0);
+}
+
+/**
+ * Put the gift card amount an order took back on the card. Safe to call
+ * more than once, and a no-op for orders without a gift card.
+ * @returns {Promise<number>} The amount put back
+ */
+export async function releaseOrderGiftCard(orderId, note = null) {
+    const released = await adapter.transaction(async tx => {
+        const order = await tx.one('SELECT gift_card_id FROM orders WHERE id = $1', [orderId]);
+        if (!order?.gift_card_id) return 0;
+        const card = await tx.one(`SELECT * FROM gift_cards WHERE id = $1${forUpdate()}`, [order.gift_card_id]);
+        const held = await heldAmount(tx, orderId);
+        // A voided card stays at zero
+        if (!card || card.status === 'void' || held <= 0) return 0;
+
+        await tx.exec(
+            'UPDATE gift_cards SET balance = balance + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [held, card.id]
+        );
+        await recordTransaction(tx, card, { type: 'release', amount: held, balanceAfter: card.balance + held, orderId, note });
+        return held;
+    });
+    if (released > 0) console.log(`[GIFT CARDS] Released ₦${released.toLocaleString()} from order ${orderId}`);
+    return released;
+}
+
+/**
+ * A payment can succeed after an earlier attempt failed and gave the gift
+ * card amount back. Take it off the card again; if it has since been spent,
+ * flag the order for the team to sort out.
+ */
+export async function reclaimOrderGiftCard(order) {
+    if (!order.gift_card_id || !(order.gift_card_amount > 0)) return;
+    await adapter.transaction(async tx => {
+        const card = await tx.one(`SELECT * FROM gift_cards WHERE id = $1${forUpdate()}`, [order.gift_card_id]);
+        const missing = order.gift_card_amount - await heldAmount(tx, order.id);
+        if (!card || missing <= 0) return;
+
+        if (card.status !== 'active' || card.balance < missing) {
+            captureMessage(`Order ${order.id} was paid but its gift card ${card.id} can no longer cover ₦${missing}`, {
+                level: 'warning', extra: { orderId: order.id, giftCard: card.id }
+            });
+            return;
+        }
+        await redeemGiftCard(tx, card, missing, order.id);
+    });
+}
+
+export async function listGiftCards({ search = '', status = '' } = {}) {
+    const conditions = [];
+    const params = [];
+    if (GIFT_CARD_STATUSES.includes(status)) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+    }
+    if (search) {
+        params.push(`%${String(search).toLowerCase()}%`);
+        const n = params.length;
+        conditions.push(`(LOWER(id) LIKE $${n} OR LOWER(last_four) LIKE $${n} OR LOWER(recipient_email) LIKE $${n}
+            OR LOWER(purchaser_email) LIKE $${n} OR LOWER(order_id) LIKE $${n})`);
+    }
+    const rows = await adapter.many(`
+        SELECT * FROM gift_cards
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY created_at DESC, id
+        LIMIT 200
+    `, params);
+    return rows.map(formatGiftCard);
+}
+
+/**
+ * A card with its ledger, newest first
+ */
+export async function getGiftCard(id) {
+    const row = await adapter.one('SELECT * FROM gift_cards WHERE id = $1', [id]);
+    if (!row) throw new APIError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+    const transactions = await adapter.many(
+        'SELECT * FROM gift_card_transactions WHERE gift_card_id = $1 ORDER BY created_at DESC, id DESC',
+        [id]
+    );
+    return {
+        ...formatGiftCard(row),
+        transactions: transactions.map(tx => ({
+            id: tx.id,
+            type: tx.type,
+            amount: tx.amount,
+            balanceAfter: tx.balance_after,
+            orderId: tx.order_id,
+            note: tx.note,
+            actor: tx.actor,
+            createdAt: toTimestamp(tx.created_at)
+        }))
+    };
+}
+
+/**
+ * Add to or take from an active card's balance, e.g. as a goodwill credit
+ * @param {number} amount - Positive to add, negative to take off
+ */
+export async function adjustGiftCard(id, { amount, note }, actor = 'admin') {
+    const change = Number(amount);
+    if (!Number.isInteger(change) || change === 0) throw invalid('Enter a whole amount to add or take off');
+    if (!String(note || '').trim()) throw invalid('Say why the balance is being changed');
+
+    await adapter.transaction(async tx => {
+        const card = await tx.one(`SELECT * FROM gift_cards WHERE id = $1${forUpdate()}`, [id]);
+        if (!card) throw new APIError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+        if (card.status !== 'active') throw new APIError('Only active gift cards can be adjusted', 409, 'GIFT_CARD_NOT_ACTIVE');
+        const balance = card.balance + change;
+        if (balance < 0) throw invalid(`The balance is only ₦${card.balance.toLocaleString()}`);
+
+        await tx.exec('UPDATE gift_cards SET balance = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [balance, id]);
+        await recordTransaction(tx, card, { type: 'adjust', amount: change, balanceAfter: balance, note: note.trim(), actor });
+    });
+    console.log(`[GIFT CARDS] ${id} adjusted by ₦${change.toLocaleString()}`);
+    return getGiftCard(id);
+}
+
+/**
+ * Cancel a card and zero its balance. Voided cards can't be spent or reactivated.
+ */
+export async function voidGiftCard(id, note = null, actor = 'admin') {
+    await adapter.transaction(async tx => {
+        const card = await tx.one(`SELECT * FROM gift_cards WHERE id = $1${forUpdate()}`, [id]);
+        if (!card) throw new APIError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+        if (card.status === 'void') throw new APIError('This gift card is already void', 409, 'GIFT_CARD_VOID');
+
+        await tx.exec(
+            "UPDATE gift_cards SET status = 'void', balance = 0, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+            [id]
+        );
+        await recordTransaction(tx, card, { type: 'void', amount: -card.balance, balanceAfter: 0, note, actor });
+    });
+    console.log(`[GIFT CARDS] ${id} voided`);
+    return getGiftCard(id);
+}
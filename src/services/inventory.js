@@ -1,48 +1,90 @@
 /**
  * LA VAGUE - Inventory Management Service
  * Handles stock tracking, reservations, and race condition prevention
+ *
+ * Stock lives on product_variants rows and is addressed by variant ID.
+ * Reservations are rows in inventory_reservations on both backends:
+ * 'held' rows count against available stock until they expire or are
+ * confirmed, 'confirmed' rows record that the order's stock was deducted,
+ * and 'released' / 'returned' rows that it was put back.
+ *
+ * Every change to product_variants.stock writes an inventory_movements row
+ * in the same transaction, so the movements table is a complete ledger.
  */
 
+import { APIError } from '../middleware/errorHandler.js';
+import { captureMessage } from '../config/sentry.js';
+
+export const HOLD_MINUTES = 30;
+
+export const MOVEMENT_TYPES = ['sale', 'adjustment', 'restock', 'return', 'release'];
+
+/**
+ * Write a stock ledger row. Call inside the transaction that changed the stock.
+ * @param {import('../config/adapter.js').DatabaseAdapter} db - Database adapter
+ * @param {Object} movement
+ * @param {Object} movement.variant - product_variants row (id, product_id, color, size)
+ * @param {string} movement.type - One of MOVEMENT_TYPES
+ * @param {number} movement.before - Stock before the change
+ * @param {number} movement.after - Stock after the change
+ * @param {{id?: string, type?: string}} [movement.reference] - Order or admin action behind the change
+ * @param {string} [movement.notes]
+ */
+export async function recordMovement(db, { variant, type, before, after, reference = {}, notes = null }) {
+    if (before === after) return;
+
+    await db.exec(`
+        INSERT INTO inventory_movements
+            (product_id, variant_id, variant_key, movement_type, quantity_change,
+             quantity_before, quantity_after, reference_id, reference_type, notes)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [variant.product_id, variant.id, `${variant.color}-${variant.size}`, type, after - before,
+        before, after, reference.id || null, reference.type || null, notes]);
+}
+
 /**
  * Inventory Service
  * Manages stock levels and prevents overselling
  */
 export class InventoryService {
+    /**
+     * @param {import('../config/adapter.js').DatabaseAdapter} db - Database adapter
+     * @param {boolean} usePostgres - True when backed by PostgreSQL
+     */
     constructor(db, usePostgres = false) {
         this.db = db;
         this.usePostgres = usePostgres;
-        this.reservations = new Map(); // In-memory reservations (for SQLite)
+        this.t = db.dialect;
+    }
+
+    /**
+     * Resolve the variant an order/cart item refers to.
+     * Items carry variantId; older carts only have product id + colour/size.
+     */
+    async resolveVariant(item) {
+        if (item.variantId) {
+            return this.db.one('SELECT * FROM product_variants WHERE id = $1', [item.variantId]);
+        }
+        return this.db.one(
+            'SELECT * FROM product_variants WHERE product_id = $1 AND color = $2 AND size = $3',
+            [item.id, item.color, item.size]
+        );
     }
 
     /**
-     * Get current stock for a product variant
+     * Get current stock for a variant
      */
-    async getStock(productId, color, size) {
-        const variantKey = `${color}-${size}`;
-        
+    async getStock(variantId) {
         try {
-            let result;
-            if (this.usePostgres) {
-                result = await this.db.query(
-                    'SELECT inventory FROM products WHERE id = $1',
-                    [productId]
-                );
-            } else {
-                const stmt = this.db.prepare('SELECT inventory FROM products WHERE id = ?');
-                result = { rows: [stmt.get(productId)] };
-            }
+            const variant = await this.db.one('SELECT stock FROM product_variants WHERE id = $1', [variantId]);
 
-            if (!result.rows[0]) {
+            if (!variant) {
                 return { available: 0, reserved: 0, total: 0 };
             }
 
-            const inventory = typeof result.rows[0].inventory === 'string' 
-                ? JSON.parse(result.rows[0].inventory)
-                : result.rows[0].inventory;
+            const total = variant.stock || 0;
+            const reserved = await this.getReservedCount(variantId);
 
-            const total = inventory[variantKey] || 0;
-            const reserved = await this.getReservedCount(productId, variantKey);
-            
             return {
                 available: Math.max(0, total - reserved),
                 reserved,
@@ -55,182 +97,157 @@ export class InventoryService {
     }
 
     /**
-     * Check if items are available and reserve them
-     * Uses atomic operations to prevent race conditions
+     * Reserve stock for every item of an order, all or nothing.
+     * Each hold is a conditional insert that only succeeds while stock minus
+     * live holds covers the quantity; on PostgreSQL the variant row is locked
+     * first, on SQLite the write transaction already serialises checkouts.
      */
-    async reserveItems(items, orderId) {
-        const reservations = [];
-        
-        try {
-            // Check availability for all items first
+    async reserveItems(items, orderId, { holdMinutes = HOLD_MINUTES } = {}) {
+        return this.db.transaction(async tx => {
+            const reservations = [];
+
             for (const item of items) {
-                const variantKey = `${item.color}-${item.size}`;
-                const stock = await this.getStock(item.id, item.color, item.size);
-                
-                if (stock.available < item.quantity) {
-                    throw new Error(
-                        `Insufficient stock for ${item.name} (${item.color} / ${item.size}). ` +
-                        `Available: ${stock.available}, Requested: ${item.quantity}`
+                const variant = await this.resolveVariant(item);
+                if (!variant) {
+                    throw new APIError(
+                        `${item.name} (${item.color} / ${item.size}) is no longer available`,
+                        409,
+                        'INSUFFICIENT_STOCK'
                     );
                 }
-                
-                reservations.push({
-                    productId: item.id,
-                    variantKey,
-                    quantity: item.quantity,
-                    orderId
-                });
-            }
 
-            // Reserve all items
-            for (const reservation of reservations) {
-                await this.createReservation(
-                    reservation.productId,
-                    reservation.variantKey,
-                    reservation.quantity,
-                    orderId
-                );
-            }
+                if (this.usePostgres) {
+                    await this.lockVariant(variant.id);
+                }
 
-            return { success: true, reservations };
-        } catch (error) {
-            // Rollback any reservations made
-            for (const reservation of reservations) {
-                await this.releaseReservation(
-                    reservation.productId,
-                    reservation.variantKey,
-                    reservation.orderId
-                );
+                const result = await tx.exec(`
+                    INSERT INTO inventory_reservations
+                        (product_id, variant_key, variant_id, quantity, order_id, status, expires_at)
+                    SELECT v.product_id, $2, v.id, CAST($3 AS INTEGER), $4, 'held',
+                        ${this.t.interval(holdMinutes, 'minutes')}
+                    FROM product_variants v
+                    WHERE v.id = $1
+                    AND v.stock - (
+                        SELECT COALESCE(SUM(r.quantity), 0) FROM inventory_reservations r
+                        WHERE r.variant_id = v.id AND r.status = 'held' AND r.expires_at > ${this.t.now}
+                    ) >= CAST($3 AS INTEGER)
+                `, [variant.id, `${variant.color}-${variant.size}`, item.quantity, orderId]);
+
+                if (result.rowCount === 0) {
+                    const stock = await this.getStock(variant.id);
+                    throw new APIError(
+                        `Insufficient stock for ${item.name} (${variant.color} / ${variant.size}). ` +
+                        `Available: ${stock.available}, Requested: ${item.quantity}`,
+                        409,
+                        'INSUFFICIENT_STOCK'
+                    );
+                }
+
+                reservations.push({ variant, quantity: item.quantity, orderId });
             }
-            throw error;
-        }
-    }
 
-    /**
-     * Create a reservation
-     */
-    async createReservation(productId, variantKey, quantity, orderId) {
-        const reservationId = `${productId}:${variantKey}:${orderId}`;
-        
-        if (this.usePostgres) {
-            // For PostgreSQL, use a reservations table
-            await this.db.query(
-                `INSERT INTO inventory_reservations 
-                 (product_id, variant_key, quantity, order_id, expires_at)
-                 VALUES ($1, $2, $3, $4, NOW() + INTERVAL '30 minutes')`,
-                [productId, variantKey, quantity, orderId]
-            );
-        } else {
-            // For SQLite, use in-memory map with expiration
-            this.reservations.set(reservationId, {
-                productId,
-                variantKey,
-                quantity,
-                orderId,
-                expiresAt: Date.now() + (30 * 60 * 1000) // 30 minutes
-            });
-        }
+            return { success: true, reservations };
+        });
     }
 
     /**
-     * Release a reservation
+     * Release a held reservation
      */
-    async releaseReservation(productId, variantKey, orderId) {
-        if (this.usePostgres) {
-            await this.db.query(
-                'DELETE FROM inventory_reservations WHERE order_id = $1 AND variant_key = $2',
-                [orderId, variantKey]
-            );
-        } else {
-            const reservationId = `${productId}:${variantKey}:${orderId}`;
-            this.reservations.delete(reservationId);
-        }
+    async releaseReservation(variantId, orderId) {
+        await this.db.exec(
+            'DELETE FROM inventory_reservations WHERE order_id = $1 AND variant_id = $2 AND status = $3',
+            [orderId, variantId, 'held']
+        );
     }
 
     /**
      * Get reserved count for a variant
      */
-    async getReservedCount(productId, variantKey) {
-        if (this.usePostgres) {
-            const result = await this.db.query(
-                `SELECT COALESCE(SUM(quantity), 0) as reserved
-                 FROM inventory_reservations 
-                 WHERE product_id = $1 
-                 AND variant_key = $2
-                 AND expires_at > NOW()`,
-                [productId, variantKey]
-            );
-            return parseInt(result.rows[0].reserved);
-        } else {
-            // Sum in-memory reservations that haven't expired
-            let count = 0;
-            const now = Date.now();
-            
-            for (const [key, reservation] of this.reservations) {
-                if (reservation.productId === productId &&
-                    reservation.variantKey === variantKey &&
-                    reservation.expiresAt > now) {
-                    count += reservation.quantity;
-                }
-            }
-            return count;
-        }
+    async getReservedCount(variantId) {
+        const result = await this.db.one(`
+            SELECT COALESCE(SUM(quantity), 0) as reserved
+            FROM inventory_reservations
+            WHERE variant_id = $1
+            AND status = 'held'
+            AND expires_at > ${this.t.now}
+        `, [variantId]);
+        return parseInt(result.reserved);
     }
 
     /**
      * Confirm reservation (convert to actual sale)
-     * This deducts from actual inventory
+     * Deducts the held quantities from stock exactly once per order; calling
+     * it again for the same order is a no-op. If the hold lapsed before
+     * payment arrived, the order's items are deducted instead; anything that
+     * stock can no longer cover is reported and noted on the order for review.
      */
-    async confirmReservation(orderId, items) {
+    async confirmReservation(orderId, items = []) {
         try {
-            for (const item of items) {
-                const variantKey = `${item.color}-${item.size}`;
-                
-                if (this.usePostgres) {
-                    // Get current inventory
-                    const product = await this.db.query(
-                        'SELECT inventory FROM products WHERE id = $1',
-                        [item.id]
+            const result = await this.db.transaction(async tx => {
+                // Claiming the held rows first means a concurrent confirm finds nothing left
+                const claimed = await tx.exec(`
+                    UPDATE inventory_reservations SET status = 'confirmed'
+                    WHERE order_id = $1 AND status = 'held'
+                    RETURNING variant_id, quantity
+                `, [orderId]);
+
+                const lines = claimed.rows.map(row => ({ variantId: row.variant_id, quantity: row.quantity }));
+
+                if (lines.length === 0) {
+                    const confirmed = await tx.one(
+                        'SELECT id FROM inventory_reservations WHERE order_id = $1 AND status = $2 LIMIT 1',
+                        [orderId, 'confirmed']
                     );
-                    
-                    let inventory = product.rows[0].inventory;
-                    if (typeof inventory === 'string') {
-                        try {
-                            inventory = JSON.parse(inventory);
-                        } catch (e) {
-                            inventory = {};
+                    if (confirmed) {
+                        return { success: true, alreadyConfirmed: true };
+                    }
+
+                    for (const item of items) {
+                        const variant = await this.resolveVariant(item);
+                        if (!variant) {
+                            throw new Error(`Variant not found for ${item.name || item.id}`);
                         }
+                        await tx.exec(`
+                            INSERT INTO inventory_reservations
+                                (product_id, variant_key, variant_id, quantity, order_id, status, expires_at)
+                            VALUES ($1, $2, $3, $4, $5, 'confirmed', ${this.t.now})
+                        `, [variant.product_id, `${variant.color}-${variant.size}`, variant.id, item.quantity, orderId]);
+                        lines.push({ variantId: variant.id, quantity: item.quantity });
                     }
-                    inventory[variantKey] = Math.max(0, (inventory[variantKey] || 0) - item.quantity);
-                    
-                    // Update inventory
-                    await this.db.query(
-                        'UPDATE products SET inventory = $1 WHERE id = $2',
-                        [JSON.stringify(inventory), item.id]
-                    );
-                    
-                    // Remove reservation
-                    await this.db.query(
-                        'DELETE FROM inventory_reservations WHERE order_id = $1',
-                        [orderId]
+                }
+
+                const oversold = [];
+                for (const line of lines) {
+                    const variant = await this.lockVariant(line.variantId);
+                    if (!variant) continue;
+
+                    const after = Math.max(0, variant.stock - line.quantity);
+                    if (after !== variant.stock - line.quantity) {
+                        // Stock was lowered under this order's hold; never let it go negative
+                        oversold.push({ variantId: line.variantId, short: line.quantity - variant.stock });
+                    }
+
+                    await this.writeStock(variant, after, 'sale', { id: orderId, type: 'order' });
+                }
+
+                if (oversold.length > 0) {
+                    const detail = oversold.map(o => `variant ${o.variantId} short by ${o.short}`).join(', ');
+                    await tx.exec(
+                        'INSERT INTO order_notes (order_id, note) VALUES ($1, $2)',
+                        [orderId, `Needs review: paid after its stock hold lapsed and was oversold (${detail})`]
                     );
-                } else {
-                    // SQLite - update inventory directly
-                    const stmt = this.db.prepare('SELECT inventory FROM products WHERE id = ?');
-                    const product = stmt.get(item.id);
-                    const inventory = JSON.parse(product.inventory);
-                    inventory[variantKey] = Math.max(0, (inventory[variantKey] || 0) - item.quantity);
-                    
-                    this.db.prepare('UPDATE products SET inventory = ? WHERE id = ?')
-                        .run(JSON.stringify(inventory), item.id);
-                    
-                    // Remove from in-memory reservations
-                    const reservationId = `${item.id}:${variantKey}:${orderId}`;
-                    this.reservations.delete(reservationId);
                 }
+
+                return { success: true, oversold };
+            });
+
+            if (result.oversold?.length) {
+                console.warn(`[INVENTORY] Order ${orderId} oversold ${result.oversold.length} variant(s)`);
+                captureMessage(`Order ${orderId} was oversold after its stock hold lapsed`, {
+                    level: 'warning', extra: { orderId, oversold: result.oversold }
+                });
             }
-            
-            return { success: true };
+            return result;
         } catch (error) {
             console.error('[INVENTORY] Error confirming reservation:', error);
             throw error;
@@ -238,73 +255,127 @@ export class InventoryService {
     }
 
     /**
-     * Cancel reservation (release without deducting)
+     * Put an order's deducted stock back, e.g. when it is cancelled or returned.
+     * Only reservations still marked 'confirmed' are restored, so repeating the
+     * call is a no-op; any holds that were never confirmed are dropped.
+     * @param {string} orderId
+     * @param {'release'|'return'} type - Movement type to record
+     * @param {string} [notes]
      */
-    async cancelReservation(orderId) {
-        if (this.usePostgres) {
-            await this.db.query(
-                'DELETE FROM inventory_reservations WHERE order_id = $1',
-                [orderId]
+    async restoreOrderStock(orderId, type = 'release', notes = null) {
+        return this.db.transaction(async tx => {
+            await tx.exec(
+                'DELETE FROM inventory_reservations WHERE order_id = $1 AND status = $2',
+                [orderId, 'held']
             );
-        } else {
-            // Remove all reservations for this order
-            for (const [key, reservation] of this.reservations) {
-                if (reservation.orderId === orderId) {
-                    this.reservations.delete(key);
-                }
+
+            const restored = await tx.exec(`
+                UPDATE inventory_reservations SET status = $2
+                WHERE order_id = $1 AND status = 'confirmed'
+                RETURNING variant_id, quantity
+            `, [orderId, type === 'return' ? 'returned' : 'released']);
+
+            for (const row of restored.rows) {
+                const variant = await this.lockVariant(row.variant_id);
+                if (!variant) continue;
+                await this.writeStock(variant, variant.stock + row.quantity, type, { id: orderId, type: 'order' }, notes);
             }
-        }
+
+            return { success: true, restored: restored.rows.length };
+        });
     }
 
     /**
-     * Update inventory for a product variant
+     * Put part of an order back into stock, e.g. items received on a return.
+     * The returned quantities are moved off the order's 'confirmed' rows so a
+     * later restoreOrderStock() for the whole order skips them.
+     * @param {string} orderId
+     * @param {{variantId: string, quantity: number}[]} items
+     * @param {{id?: string, type?: string}} [reference] - Defaults to the order
+     * @param {string} [notes]
      */
-    async updateStock(productId, color, size, newQuantity) {
-        const variantKey = `${color}-${size}`;
-        
-        try {
-            if (this.usePostgres) {
-                // Get current inventory
-                const result = await this.db.query(
-                    'SELECT inventory FROM products WHERE id = $1',
-                    [productId]
-                );
-                
-                if (!result.rows[0]) {
-                    throw new Error('Product not found');
-                }
-                
-                let inventory = result.rows[0].inventory;
-                if (typeof inventory === 'string') {
-                    try {
-                        inventory = JSON.parse(inventory);
-                    } catch (e) {
-                        inventory = {};
+    async returnItems(orderId, items, reference = { id: orderId, type: 'order' }, notes = null) {
+        return this.db.transaction(async tx => {
+            for (const item of items) {
+                if (!item.quantity || item.quantity < 1) continue;
+
+                const variant = await this.lockVariant(item.variantId);
+                if (!variant) continue;
+
+                const confirmed = await tx.many(`
+                    SELECT * FROM inventory_reservations
+                    WHERE order_id = $1 AND variant_id = $2 AND status = 'confirmed'
+                    ORDER BY id
+                `, [orderId, item.variantId]);
+
+                let remaining = item.quantity;
+                for (const row of confirmed) {
+                    if (remaining === 0) break;
+                    const moved = Math.min(row.quantity, remaining);
+
+                    if (moved === row.quantity) {
+                        await tx.exec('UPDATE inventory_reservations SET status = $1 WHERE id = $2', ['returned', row.id]);
+                    } else {
+                        await tx.exec('UPDATE inventory_reservations SET quantity = quantity - $1 WHERE id = $2', [moved, row.id]);
+                        await tx.exec(`
+                            INSERT INTO inventory_reservations
+                                (product_id, variant_key, variant_id, quantity, order_id, status, expires_at)
+                            VALUES ($1, $2, $3, $4, $5, 'returned', $6)
+                        `, [row.product_id, row.variant_key, row.variant_id, moved, orderId, row.expires_at]);
                     }
+                    remaining -= moved;
                 }
-                
-                inventory[variantKey] = Math.max(0, parseInt(newQuantity) || 0);
-                
-                await this.db.query(
-                    'UPDATE products SET inventory = $1 WHERE id = $2',
-                    [JSON.stringify(inventory), productId]
-                );
-            } else {
-                const stmt = this.db.prepare('SELECT inventory FROM products WHERE id = ?');
-                const product = stmt.get(productId);
-                
-                if (!product) {
-                    throw new Error('Product not found');
-                }
-                
-                const inventory = JSON.parse(product.inventory);
-                inventory[variantKey] = Math.max(0, parseInt(newQuantity) || 0);
-                
-                this.db.prepare('UPDATE products SET inventory = ? WHERE id = ?')
-                    .run(JSON.stringify(inventory), productId);
+
+                await this.writeStock(variant, variant.stock + item.quantity, 'return', reference, notes);
+            }
+
+            return { success: true };
+        });
+    }
+
+    /**
+     * Remove unsellable units from a variant, e.g. damaged returns
+     */
+    async writeOff(variantId, quantity, reference = {}, notes = null) {
+        return this.db.transaction(async () => {
+            const variant = await this.lockVariant(variantId);
+            if (!variant) {
+                throw new APIError('Variant not found', 404, 'NOT_FOUND');
             }
-            
-            return { success: true, productId, variantKey, quantity: newQuantity };
+
+            const after = Math.max(0, variant.stock - quantity);
+            await this.writeStock(variant, after, 'adjustment', reference, notes);
+            return { success: true, variantId, quantity: after, previous: variant.stock };
+        });
+    }
+
+    /**
+     * Cancel reservation (release without deducting)
+     */
+    async cancelReservation(orderId) {
+        await this.db.exec(
+            'DELETE FROM inventory_reservations WHERE order_id = $1 AND status = $2',
+            [orderId, 'held']
+        );
+    }
+
+    /**
+     * Set the stock level of a variant (manual adjustment)
+     * @param {{id?: string, type?: string}} [reference] - Admin action behind the change
+     */
+    async updateStock(variantId, newQuantity, reference = {}, notes = null) {
+        const quantity = Math.max(0, parseInt(newQuantity) || 0);
+
+        try {
+            return await this.db.transaction(async () => {
+                const variant = await this.lockVariant(variantId);
+                if (!variant) {
+                    throw new Error('Variant not found');
+                }
+
+                await this.writeStock(variant, quantity, 'adjustment', reference, notes);
+                return { success: true, variantId, quantity, previous: variant.stock };
+            });
         } catch (error) {
             console.error('[INVENTORY] Error updating stock:', error);
             throw error;
@@ -312,43 +383,105 @@ export class InventoryService {
     }
 
     /**
-     * Get low stock items (below threshold)
+     * Add received stock to a variant
+     */
+    async restock(variantId, quantity, reference = {}, notes = null) {
+        const amount = parseInt(quantity);
+        if (!amount || amount < 1) {
+            throw new APIError('Restock quantity must be a positive number', 400, 'VALIDATION_ERROR');
+        }
+
+        return this.db.transaction(async () => {
+            const variant = await this.lockVariant(variantId);
+            if (!variant) {
+                throw new APIError('Variant not found', 404, 'NOT_FOUND');
+            }
+
+            await this.writeStock(variant, variant.stock + amount, 'restock', reference, notes);
+            return { success: true, variantId, quantity: variant.stock + amount, previous: variant.stock };
+        });
+    }
+
+    /**
+     * Read a variant row for update; on PostgreSQL the row stays locked until
+     * the surrounding transaction ends
+     */
+    async lockVariant(variantId) {
+        return this.db.one(
+            `SELECT * FROM product_variants WHERE id = $1${this.usePostgres ? ' FOR UPDATE' : ''}`,
+            [variantId]
+        );
+    }
+
+    /**
+     * Set a locked variant's stock and record the movement
+     */
+    async writeStock(variant, after, type, reference = {}, notes = null) {
+        await this.db.exec(
+            'UPDATE product_variants SET stock = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [after, variant.id]
+        );
+        await recordMovement(this.db, { variant, type, before: variant.stock, after, reference, notes });
+    }
+
+    /**
+     * List every variant with on-hand, reserved and available stock
+     */
+    async getInventory() {
+        const rows = await this.db.many(`
+            SELECT v.id, v.product_id, v.sku, v.color, v.size, v.stock, p.name AS product_name,
+                COALESCE(r.reserved, 0) AS reserved
+            FROM product_variants v
+            JOIN products p ON p.id = v.product_id
+            LEFT JOIN (
+                SELECT variant_id, SUM(quantity) AS reserved
+                FROM inventory_reservations
+                WHERE status = 'held' AND expires_at > ${this.t.now}
+                GROUP BY variant_id
+            ) r ON r.variant_id = v.id
+            ORDER BY p.name, v.color, v.size
+        `);
+
+        return rows.map(row => {
+            const reserved = parseInt(row.reserved);
+            return {
+                variantId: row.id,
+                productId: row.product_id,
+                productName: row.product_name,
+                sku: row.sku,
+                color: row.color,
+                size: row.size,
+                total: row.stock,
+                reserved,
+                available: Math.max(0, row.stock - reserved)
+            };
+        });
+    }
+
+    /**
+     * Get low stock variants (at or below threshold)
      */
     async getLowStock(threshold = 5) {
         try {
-            let products;
-            
-            if (this.usePostgres) {
-                const result = await this.db.query('SELECT * FROM products');
-                products = result.rows;
-            } else {
-                products = this.db.prepare('SELECT * FROM products').all();
-            }
-            
-            const lowStock = [];
-            
-            for (const product of products) {
-                const inventory = typeof product.inventory === 'string'
-                    ? JSON.parse(product.inventory)
-                    : product.inventory;
-                
-                for (const [variantKey, quantity] of Object.entries(inventory)) {
-                    if (quantity <= threshold) {
-                        const [color, size] = variantKey.split('-');
-                        lowStock.push({
-                            productId: product.id,
-                            productName: product.name,
-                            variantKey,
-                            color,
-                            size,
-                            quantity,
-                            threshold
-                        });
-                    }
-                }
-            }
-            
-            return lowStock;
+            const rows = await this.db.many(`
+                SELECT v.id, v.product_id, v.sku, v.color, v.size, v.stock, p.name AS product_name
+                FROM product_variants v
+                JOIN products p ON p.id = v.product_id
+                WHERE v.stock <= $1
+                ORDER BY v.stock ASC, p.name
+            `, [threshold]);
+
+            return rows.map(row => ({
+                variantId: row.id,
+                productId: row.product_id,
+                productName: row.product_name,
+                sku: row.sku,
+                variantKey: `${row.color}-${row.size}`,
+                color: row.color,
+                size: row.size,
+                quantity: row.stock,
+                threshold
+            }));
         } catch (error) {
             console.error('[INVENTORY] Error getting low stock:', error);
             throw error;
@@ -359,20 +492,10 @@ export class InventoryService {
      * Clean up expired reservations (call periodically)
      */
     async cleanupExpiredReservations() {
-        if (this.usePostgres) {
-            await this.db.query(
-                'DELETE FROM inventory_reservations WHERE expires_at < NOW() RETURNING *'
-            );
-        } else {
-            // Clean up in-memory expired reservations
-            const now = Date.now();
-            
-            for (const [key, reservation] of this.reservations) {
-                if (reservation.expiresAt < now) {
-                    this.reservations.delete(key);
-                }
-            }
-        }
+        const result = await this.db.exec(
+            `DELETE FROM inventory_reservations WHERE status = 'held' AND expires_at < ${this.t.now}`
+        );
+        return result.rowCount;
     }
 }
 
@@ -0,0 +1,139 @@
+/**
+ * LA VAGUE - Schema Migration Runner
+ * Applies numbered migrations from src/migrations and records them in schema_migrations
+ *
+ * Migration files are named NNN_description.js and export:
+ *   up(db, t)   - apply the change
+ *   down(db, t) - revert the change
+ * where db is the database adapter (one/many/exec) and t is the SQL dialect.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { adapter } from '../config/db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+export function formatMigration({ version, name }) {
+    return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+async function ensureMigrationsTable() {
+    await adapter.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at ${adapter.dialect.timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedMigrations() {
+    return adapter.many('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+/**
+ * Read migration files from disk, sorted by version
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+    const files = fs.readdirSync(dir).filter(file => MIGRATION_FILE_PATTERN.test(file));
+    const migrations = [];
+
+    for (const file of files) {
+        const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+        const module = await import(pathToFileURL(path.join(dir, file)).href);
+        if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+            throw new Error(`Migration ${file} must export up() and down()`);
+        }
+        migrations.push({ version: parseInt(version, 10), name, up: module.up, down: module.down });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}`);
+        }
+    }
+
+    return migrations;
+}
+
+/**
+ * Apply all pending migrations in order
+ * @returns {Promise<Array<{version: number, name: string}>>} Migrations applied in this run
+ */
+export async function migrate() {
+    await ensureMigrationsTable();
+
+    const applied = new Set((await getAppliedMigrations()).map(m => Number(m.version)));
+    const pending = (await loadMigrations()).filter(m => !applied.has(m.version));
+
+    for (const migration of pending) {
+        await adapter.transaction(async tx => {
+            await migration.up(tx, tx.dialect);
+            await tx.exec('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        });
+        console.log(`✅ Applied migration ${formatMigration(migration)}`);
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} steps - Number of migrations to roll back
+ * @returns {Promise<Array<{version: number, name: string}>>} Migrations reverted
+ */
+export async function rollback(steps = 1) {
+    await ensureMigrationsTable();
+
+    const available = new Map((await loadMigrations()).map(m => [m.version, m]));
+    const toRevert = (await getAppliedMigrations()).reverse().slice(0, steps);
+
+    for (const record of toRevert) {
+        const version = Number(record.version);
+        const migration = available.get(version);
+        if (!migration) {
+            throw new Error(`Migration file for version ${version} (${record.name}) not found`);
+        }
+        await adapter.transaction(async tx => {
+            await migration.down(tx, tx.dialect);
+            await tx.exec('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        });
+        console.log(`↩️  Rolled back migration ${formatMigration({ version, name: record.name })}`);
+    }
+
+    return toRevert.map(record => ({ version: Number(record.version), name: record.name }));
+}
+
+/**
+ * List every known migration with its applied state
+ */
+export async function getMigrationStatus() {
+    await ensureMigrationsTable();
+
+    const applied = new Map((await getAppliedMigrations()).map(m => [Number(m.version), m]));
+    const migrations = await loadMigrations();
+
+    const status = migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        applied: applied.has(m.version),
+        appliedAt: applied.get(m.version)?.applied_at || null
+    }));
+
+    // Applied versions whose files have since been removed
+    for (const [version, record] of applied) {
+        if (!migrations.some(m => m.version === version)) {
+            status.push({ version, name: record.name, applied: true, appliedAt: record.applied_at, missing: true });
+        }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+}
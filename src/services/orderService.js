@@ -1,95 +1,228 @@
 import crypto from 'crypto';
-import { db, query, USE_POSTGRES } from '../config/db.js';
+import { adapter } from '../config/db.js';
 import { APIError } from '../middleware/errorHandler.js';
-import { initializeTransaction } from './paymentService.js';
+import { initializeTransaction, markGiftCardPaid, failOrderPayment } from './paymentService.js';
+import { getPaymentProvider, getCheckoutProvider, isGatewayPayment } from './payments/index.js';
+import { recordOrderPlaced, getOrderHistory } from './orderStateMachine.js';
+import { checkDropAccess, checkPurchaseLimits, ADMISSION_MINUTES } from './dropService.js';
+import { checkRaffleClaim, redeemRaffleClaim } from './raffleService.js';
+import { orderLine, priceOrder, redeemCoupon } from './promotionService.js';
+import { SHIPPING_METHODS } from './shippingService.js';
+import {
+    findRedeemableGiftCard, redeemGiftCard, releaseOrderGiftCard, createPendingGiftCard
+} from './giftCardService.js';
+import { getReturnEligibility, getReturnableItems, getOrderReturns } from './returnService.js';
 
-export async function createOrder(orderData, productService, inventoryService, origin) {
+/**
+ * @param {Object} orderData - raffleClaim is the token from a raffle winner's checkout link, if any;
+ *   giftCardCode is a gift card to put towards the total
+ * @param {string} [queueToken] - The shopper's waiting room cookie, for limited drops
+ */
+export async function createOrder(
+    orderData, productService, inventoryService, origin, customerId = null, queueToken = null
+) {
     const orderId = 'LV-' + crypto.randomBytes(4).toString('hex').toUpperCase();
     const { 
         customerName, customerEmail, customerPhone, shippingAddress, items, 
-        subtotal: requestSubtotal, shippingCost, discount: requestDiscount,
-        total: requestTotal, paymentMethod, discountCode, notes
+        shippingMethod = 'standard', shippingCost,
+        total: requestTotal, paymentMethod, discountCode, notes, raffleClaim, giftCardCode
     } = orderData;
 
+    const provider = getPaymentProvider(paymentMethod);
+    if (isGatewayPayment(paymentMethod) && !provider) {
+        throw new APIError('This payment method is not available right now.', 400, 'PAYMENT_UNAVAILABLE');
+    }
+    if (!SHIPPING_METHODS.includes(shippingMethod)) {
+        throw new APIError('Invalid shipping method', 400, 'INVALID_SHIPPING_METHOD');
+    }
+
+    // A raffle winner's checkout link; the won item skips the drop's release and waiting room
+    const claim = raffleClaim ? await checkRaffleClaim(raffleClaim, { items, email: customerEmail }) : null;
+
     let calculatedSubtotal = 0;
     const validatedItems = [];
+    const orderLines = [];
+    const limitedItems = [];
+    const dropProducts = new Set();
 
     for (const item of items) {
         const product = await productService.getById(item.id);
         if (!product) throw new APIError(`Product not found: ${item.name}`, 400, 'INVALID_PRODUCT');
-        
-        calculatedSubtotal += product.price * item.quantity;
-        validatedItems.push({ ...item, price: product.price, name: product.name });
-    }
 
-    let calculatedDiscount = 0;
-    if (discountCode) {
-        const coupon = (await query('SELECT * FROM coupons WHERE code = $1 AND is_active = true', [discountCode.toUpperCase()])).rows[0];
-        if (coupon) {
-            const now = new Date();
-            const isWithinDates = (!coupon.start_date || new Date(coupon.start_date) <= now) && 
-                                 (!coupon.end_date || new Date(coupon.end_date) >= now);
-            const isUnderLimit = !coupon.usage_limit || coupon.usage_count < coupon.usage_limit;
-
-            if (isWithinDates && isUnderLimit) {
-                calculatedDiscount = coupon.type === 'percentage' 
-                    ? Math.round(calculatedSubtotal * (coupon.value / 100)) 
-                    : coupon.value;
-                
-                if (coupon.max_discount_amount && calculatedDiscount > coupon.max_discount_amount) {
-                    calculatedDiscount = coupon.max_discount_amount;
-                }
-            }
+        // Carts saved before variant IDs existed only carry colour/size
+        const variant = item.variantId
+            ? product.variants.find(v => v.id === item.variantId)
+            : product.variants.find(v => v.color === item.color && v.size === item.size);
+        if (!variant) {
+            throw new APIError(`Variant not found: ${product.name} (${item.color} / ${item.size})`, 400, 'INVALID_VARIANT');
+        }
+
+        const price = variant.price ?? product.price;
+        calculatedSubtotal += price * item.quantity;
+        validatedItems.push({
+            ...item,
+            variantId: variant.id,
+            sku: variant.sku,
+            color: variant.color,
+            size: variant.size,
+            price,
+            name: product.name
+        });
+        orderLines.push(orderLine(product, variant, item.quantity));
+        if (product.purchaseLimit) {
+            limitedItems.push({
+                variantId: variant.id,
+                quantity: item.quantity,
+                name: product.name,
+                purchaseLimit: product.purchaseLimit
+            });
         }
+        if (product.publishAt && !claim) dropProducts.add(product.id);
+    }
+
+    // Shoppers let in from a drop's waiting room get a short stock hold, so abandoned checkouts free up fast
+    let holdMinutes;
+    for (const productId of dropProducts) {
+        const { queued } = await checkDropAccess(productId, { customerId, queueToken });
+        if (queued) holdMinutes = ADMISSION_MINUTES;
     }
 
-    const calculatedTotal = calculatedSubtotal + shippingCost - calculatedDiscount;
+    // Automatic promotions plus the coupon. Turned down coupons fail the order with their
+    // reason, rather than charging more than the shopper was shown.
+    const pricing = await priceOrder(orderLines, { code: discountCode, email: customerEmail, shippingMethod });
+    const calculatedDiscount = pricing.discount;
+
+    // Shipping comes from the store settings; a different amount means the checkout page is out of date
+    if (Number(shippingCost) !== pricing.shipping) {
+        throw new APIError('Shipping for this order has changed. Please review it.', 400, 'SHIPPING_MISMATCH');
+    }
+
+    const calculatedTotal = calculatedSubtotal + pricing.shipping - calculatedDiscount;
     if (Math.abs(calculatedTotal - requestTotal) > 100) {
         throw new APIError('Price mismatch detected.', 400, 'PRICE_MISMATCH');
     }
 
+    // A gift card pays what it can; the rest is charged as usual
+    const giftCard = giftCardCode ? await findRedeemableGiftCard(giftCardCode) : null;
+    const giftCardAmount = giftCard ? Math.min(giftCard.balance, calculatedTotal) : 0;
+    const amountDue = calculatedTotal - giftCardAmount;
+    if (paymentMethod === 'gift_card' && (!giftCard || amountDue > 0)) {
+        throw new APIError("Your gift card doesn't cover this order. Choose a way to pay the rest.", 400, 'GIFT_CARD_INSUFFICIENT');
+    }
+    const paidByGiftCard = Boolean(giftCard) && amountDue === 0;
+    const chargeProvider = paidByGiftCard ? null : provider;
+
+    let placed = false;
     try {
-        await inventoryService.reserveItems(items, orderId);
-        
-        const shippingAddressStr = JSON.stringify(shippingAddress);
-        const itemsStr = JSON.stringify(validatedItems);
-
-        await query(`
-            INSERT INTO orders (id, customer_name, customer_email, customer_phone, shipping_address, 
-                items, subtotal, shipping_cost, discount, total, payment_method, notes)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-        `, [orderId, customerName, customerEmail, customerPhone, shippingAddressStr,
-            itemsStr, calculatedSubtotal, shippingCost, calculatedDiscount, calculatedTotal, paymentMethod, notes || '']);
-        
-        if (discountCode && calculatedDiscount > 0) {
-            const coupon = (await query('SELECT id FROM coupons WHERE code = $1', [discountCode.toUpperCase()])).rows[0];
-            if (coupon) {
-                await query('UPDATE coupons SET usage_count = usage_count + 1 WHERE id = $1', [coupon.id]);
-                await query('INSERT INTO coupon_usage (coupon_id, order_id, customer_email, discount_amount) VALUES ($1, $2, $3, $4)', 
-                    [coupon.id, orderId, customerEmail, calculatedDiscount]);
+        // Reservation, order row, coupon redemption and gift card debit commit or roll back together
+        await adapter.transaction(async tx => {
+            await checkPurchaseLimits(limitedItems, { customerId, email: customerEmail });
+            if (claim) await redeemRaffleClaim(claim, orderId, inventoryService);
+            await inventoryService.reserveItems(validatedItems, orderId, { holdMinutes });
+
+            await tx.exec(`
+                INSERT INTO orders (id, customer_name, customer_email, customer_phone, shipping_address, 
+                    items, subtotal, shipping_cost, discount, total, payment_method, notes, customer_id, promotions,
+                    gift_card_id, gift_card_amount)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+            `, [orderId, customerName, customerEmail, customerPhone, JSON.stringify(shippingAddress),
+                JSON.stringify(validatedItems), calculatedSubtotal, pricing.shipping, calculatedDiscount,
+                calculatedTotal, paidByGiftCard ? 'gift_card' : paymentMethod, notes || '', customerId,
+                JSON.stringify(pricing.promotions.map(({ id, name, discount }) => ({ id, name, discount }))),
+                giftCard?.id || null, giftCardAmount]);
+            await recordOrderPlaced(orderId);
+
+            if (giftCardAmount > 0) await redeemGiftCard(tx, giftCard, giftCardAmount, orderId);
+
+            // Free shipping coupons record the shipping they saved
+            if (pricing.coupon) {
+                const discount = pricing.couponDiscount + pricing.shippingDiscount;
+                await redeemCoupon(tx, { coupon: pricing.coupon, discount }, orderId, customerEmail);
             }
-        }
 
-        await inventoryService.confirmReservation(orderId, items);
+            // Gateway payments keep the hold until the provider confirms the charge
+            if (!chargeProvider) {
+                await inventoryService.confirmReservation(orderId, validatedItems);
+            }
+        });
+        placed = true;
 
-        let paystackData = null;
-        if (paymentMethod === 'paystack') {
-            paystackData = await initializeTransaction(orderId, customerEmail, calculatedTotal, origin);
-        }
+        const payment = chargeProvider
+            ? await initializeTransaction(chargeProvider, orderId, customerEmail, amountDue, origin)
+            : null;
+        if (paidByGiftCard) await markGiftCardPaid(orderId, inventoryService);
 
-        return { orderId, paystack: paystackData };
+        return { orderId, payment, giftCardAmount };
     } catch (error) {
-        await inventoryService.cancelReservation(orderId);
+        if (placed) {
+            // The order exists; fail its payment instead, unless it was paid before the error
+            const order = await adapter.one('SELECT * FROM orders WHERE id = $1', [orderId]);
+            await failOrderPayment(order, inventoryService, 'Payment could not be started');
+        } else {
+            await inventoryService.cancelReservation(orderId);
+            await releaseOrderGiftCard(orderId, 'Order not placed');
+        }
         throw error;
     }
 }
 
+/**
+ * Buy a gift card. It's an order of its own, paid through the checkout
+ * provider; the card is issued when the payment is confirmed.
+ * @param {Object} purchase - From checkGiftCardPurchase()
+ */
+export async function createGiftCardOrder(purchase, origin, customerId = null) {
+    const provider = getCheckoutProvider();
+    if (!provider) throw new APIError('This payment method is not available right now.', 400, 'PAYMENT_UNAVAILABLE');
+
+    const orderId = `LV-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const giftCardId = await adapter.transaction(async tx => {
+        const id = await createPendingGiftCard(tx, purchase, orderId);
+        const item = {
+            type: 'gift_card',
+            id,
+            name: 'LA VAGUE Gift Card',
+            price: purchase.amount,
+            quantity: 1,
+            recipientEmail: purchase.recipientEmail
+        };
+        await tx.exec(`
+            INSERT INTO orders (id, customer_name, customer_email, shipping_address, items, subtotal,
+                shipping_cost, discount, total, payment_method, customer_id)
+            VALUES ($1, $2, $3, $4, $5, $6, 0, 0, $6, $7, $8)
+        `, [orderId, purchase.purchaserName, purchase.purchaserEmail, JSON.stringify({}), JSON.stringify([item]),
+            purchase.amount, provider.name, customerId]);
+        await recordOrderPlaced(orderId);
+        return id;
+    });
+
+    const payment = await initializeTransaction(provider, orderId, purchase.purchaserEmail, purchase.amount, origin);
+    return { orderId, giftCardId, payment };
+}
+
 export async function lookupOrder(orderId, email) {
-    const order = (await query('SELECT * FROM orders WHERE id = $1 AND customer_email = $2', [orderId, email])).rows[0];
+    const order = await adapter.one('SELECT * FROM orders WHERE id = $1 AND customer_email = $2', [orderId, email]);
     if (!order) throw new APIError('Order not found.', 404, 'ORDER_NOT_FOUND');
+
+    // Customers see when each step happened, not who made it or why
+    const history = (await getOrderHistory(order.id)).map(h => ({ status: h.to_status, at: h.created_at }));
+
+    const { eligible, reason, deadline } = await getReturnEligibility(order);
+    const returnableItems = eligible ? (await getReturnableItems(order)).filter(line => line.returnable > 0) : [];
+    const returns = (await getOrderReturns(order.id)).map(r => ({
+        id: r.id,
+        status: r.status,
+        createdAt: r.created_at,
+        refundAmount: r.refund_amount,
+        items: r.items.map(({ name, color, size, quantity, reason }) => ({ name, color, size, quantity, reason }))
+    }));
     
     return {
         ...order,
+        history,
+        returns,
+        returnEligibility: { eligible, reason, deadline },
+        returnableItems,
         items: typeof order.items === 'string' ? JSON.parse(order.items) : order.items,
         shippingAddress: typeof order.shipping_address === 'string' ? JSON.parse(order.shipping_address) : order.shipping_address
     };
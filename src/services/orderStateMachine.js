@@ -0,0 +1,157 @@
+/**
+ * LA VAGUE - Order State Machine
+ * Allowed order_status transitions, their side effects, and the status history
+ */
+
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { sendOrderStatusUpdate, isEmailConfigured } from '../../email-templates/index.js';
+import { releaseOrderGiftCard } from './giftCardService.js';
+
+export const ORDER_STATUSES = [
+    'pending', 'processing', 'shipped', 'delivered', 'cancelled', 'partially_returned', 'returned', 'refunded'
+];
+
+/**
+ * Statuses an order may move to from each status
+ */
+export const TRANSITIONS = {
+    pending: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['delivered', 'returned'],
+    delivered: ['partially_returned', 'returned', 'refunded'],
+    partially_returned: ['returned', 'refunded'],
+    returned: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+/**
+ * Side effects of entering a status. Stock and gift card balance are restored
+ * inside the transition's transaction; the customer email goes out after it
+ * commits. Items that came back through a return request are already
+ * restocked (see returnService), so 'returned' only restores what is still
+ * outstanding.
+ */
+const EFFECTS = {
+    shipped: { email: true },
+    delivered: { email: true },
+    cancelled: { stock: 'release', giftCard: true, email: true },
+    returned: { stock: 'return' }
+};
+
+const EMAIL_ENABLED = process.env.EMAIL_TEST_MODE !== 'true' && isEmailConfigured();
+const EMAIL_TEST_MODE = process.env.EMAIL_TEST_MODE === 'true';
+
+async function sendStatusEmail(order, status) {
+    if (EMAIL_TEST_MODE) {
+        console.log('[EMAIL TEST MODE] Would send email:', { to: order.customer_email, type: 'status_update', status, orderId: order.id });
+        return true;
+    }
+    if (!EMAIL_ENABLED) return false;
+    try {
+        await sendOrderStatusUpdate(order, status);
+        return true;
+    } catch (error) {
+        console.error('[EMAIL] Failed to send:', error.message);
+        return false;
+    }
+}
+
+const parseJSON = (value, fallback) => {
+    if (!value) return fallback;
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value); } catch { return fallback; }
+};
+
+export function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+export function getAllowedTransitions(status) {
+    return TRANSITIONS[status || 'pending'] || [];
+}
+
+/**
+ * Record the initial history row for a new order
+ */
+export async function recordOrderPlaced(orderId, actor = 'customer') {
+    await adapter.exec(`
+        INSERT INTO order_status_history (order_id, from_status, to_status, actor, reason)
+        VALUES ($1, NULL, 'pending', $2, 'Order placed')
+    `, [orderId, actor]);
+}
+
+/**
+ * Move an order to a new status.
+ * Moving to the status it already has is a no-op; any transition not listed
+ * in TRANSITIONS is rejected with a 409.
+ * @param {string} orderId
+ * @param {string} toStatus
+ * @param {Object} options
+ * @param {string} [options.actor] - Who made the change (admin, paystack, system, customer)
+ * @param {string} [options.reason] - Why, shown in the order history
+ * @param {import('./inventory.js').InventoryService} [options.inventoryService] - Needed for stock effects
+ * @returns {Promise<{changed: boolean, from: string, to: string, emailSent: boolean}>}
+ */
+export async function transitionOrder(orderId, toStatus, { actor = 'system', reason = null, inventoryService = null } = {}) {
+    if (!ORDER_STATUSES.includes(toStatus)) {
+        throw new APIError(`Unknown order status: ${toStatus}`, 400, 'INVALID_STATUS');
+    }
+
+    const effect = EFFECTS[toStatus] || {};
+
+    const { order, from, changed } = await adapter.transaction(async tx => {
+        const order = await tx.one(
+            `SELECT * FROM orders WHERE id = $1${adapter.usePostgres ? ' FOR UPDATE' : ''}`,
+            [orderId]
+        );
+        if (!order) throw new APIError('Order not found', 404, 'ORDER_NOT_FOUND');
+
+        const from = order.order_status || 'pending';
+        if (from === toStatus) return { order, from, changed: false };
+
+        if (!canTransition(from, toStatus)) {
+            throw new APIError(`Cannot change order from ${from} to ${toStatus}`, 409, 'INVALID_TRANSITION');
+        }
+
+        await tx.exec(
+            'UPDATE orders SET order_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [toStatus, orderId]
+        );
+        await tx.exec(`
+            INSERT INTO order_status_history (order_id, from_status, to_status, actor, reason)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [orderId, from, toStatus, actor, reason]);
+
+        if (effect.stock) {
+            if (!inventoryService) throw new Error(`inventoryService is required to move an order to ${toStatus}`);
+            await inventoryService.restoreOrderStock(orderId, effect.stock, reason || `Order ${toStatus}`);
+        }
+        if (effect.giftCard) await releaseOrderGiftCard(orderId, reason || `Order ${toStatus}`);
+
+        return { order, from, changed: true };
+    });
+
+    let emailSent = false;
+    if (changed && effect.email) {
+        emailSent = await sendStatusEmail({
+            ...order,
+            order_status: toStatus,
+            items: parseJSON(order.items, []),
+            shipping_address: parseJSON(order.shipping_address, {})
+        }, toStatus);
+    }
+
+    return { changed, from, to: toStatus, emailSent };
+}
+
+/**
+ * Status history for an order, oldest first
+ */
+export async function getOrderHistory(orderId) {
+    return adapter.many(
+        'SELECT * FROM order_status_history WHERE order_id = $1 ORDER BY created_at ASC, id ASC',
+        [orderId]
+    );
+}
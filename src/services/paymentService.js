@@ -1,12 +1,17 @@
-import crypto from 'crypto';
-import Paystack from 'paystack-api';
-import { query, USE_POSTGRES } from '../config/db.js';
-import { logWebhookEvent } from '../utils/audit.js';
+import { query } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
 import { sendOrderConfirmation, sendOrderStatusUpdate, isEmailConfigured } from '../../email-templates/index.js';
 import { captureException, captureMessage } from '../config/sentry.js';
+import { transitionOrder, canTransition } from './orderStateMachine.js';
+import { recordProcessedRefund } from './refundService.js';
+import { getPaymentProvider } from './payments/index.js';
+import { storeWebhookEvent, claimWebhookEvent, finishWebhookEvent, getWebhookEvent } from './webhookService.js';
+import { activateOrderGiftCards, releaseOrderGiftCard, reclaimOrderGiftCard } from './giftCardService.js';
 
-const secretKey = process.env.PAYSTACK_SECRET_KEY;
-const paystack = secretKey ? Paystack(secretKey) : null;
+// Orders are priced and charged in Naira
+const ORDER_CURRENCY = 'NGN';
+
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
 
 const EMAIL_ENABLED = process.env.EMAIL_TEST_MODE !== 'true' && isEmailConfigured();
 const EMAIL_TEST_MODE = process.env.EMAIL_TEST_MODE === 'true';
@@ -27,127 +32,256 @@ async function sendOrderEmailSafely(order, type = 'confirmation', status = null)
     }
 }
 
-export function verifyPaystackSignature(body, signature) {
-    if (!secretKey) return false;
-    
-    // Ensure body is a string or buffer for HMAC update
-    const payload = typeof body === 'string' || Buffer.isBuffer(body) 
-        ? body 
-        : JSON.stringify(body);
-        
-    const hash = crypto.createHmac('sha512', secretKey).update(payload).digest('hex');
-    return hash === signature;
+/**
+ * Apply a webhook event a provider has already verified and parsed.
+ * The event is stored first; one that has already been applied is
+ * acknowledged without running its side effects again.
+ * @param {import('./payments/paymentProvider.js').PaymentEvent} event
+ * @param {import('./inventory.js').InventoryService} inventoryService
+ * @param {string} [provider] - Name of the provider that sent it
+ * @returns {Promise<{id: string, duplicate: boolean, status: string, result?: string}>}
+ */
+export async function processWebhook(event, inventoryService, provider = 'paystack') {
+    const stored = await storeWebhookEvent(provider, event);
+    if (!await claimWebhookEvent(stored.id)) {
+        console.log(`[WEBHOOK] Duplicate ${event.type} ${stored.id} (${stored.status}), skipped`);
+        return { id: stored.id, duplicate: true, status: stored.status };
+    }
+    return applyWebhookEvent(stored.id, event, inventoryService, provider);
 }
 
-export async function processWebhook(event, inventoryService) {
-    const eventType = event.event;
-    const data = event.data;
-    
-    await logWebhookEvent(eventType, data);
-    
-    switch (eventType) {
-        case 'charge.success':
-            await handleChargeSuccess(data, inventoryService);
-            break;
-        case 'charge.failed':
-            await handleChargeFailed(data, inventoryService);
-            break;
-        case 'refund.processed':
-            await handleRefundProcessed(data);
-            break;
+/**
+ * Run a stored webhook event again, whatever its status. The handlers
+ * check the order's current state, so replaying an applied event is safe.
+ */
+export async function replayWebhookEvent(id, inventoryService) {
+    const stored = await getWebhookEvent(id);
+    if (!stored) throw new APIError('Webhook event not found', 404, 'NOT_FOUND');
+
+    const provider = getPaymentProvider(stored.provider);
+    if (!provider) throw new APIError(`Payment provider ${stored.provider} is not configured`, 409, 'PROVIDER_UNAVAILABLE');
+
+    await claimWebhookEvent(id, { force: true });
+    return applyWebhookEvent(id, provider.parseWebhook(stored.payload), inventoryService, provider.name);
+}
+
+async function applyWebhookEvent(id, event, inventoryService, provider) {
+    let outcome;
+    try {
+        switch (event.type) {
+            case 'charge.success':
+                outcome = await handleChargeSuccess(event, inventoryService, provider);
+                break;
+            case 'charge.failed':
+                outcome = await handleChargeFailed(event, inventoryService);
+                break;
+            case 'refund.processed':
+                outcome = await handleRefundProcessed(event, inventoryService, provider);
+                break;
+            default:
+                outcome = { status: 'ignored', result: 'Event type not handled' };
+        }
+    } catch (error) {
+        await finishWebhookEvent(id, 'failed', error.message);
+        throw error;
     }
+
+    await finishWebhookEvent(id, outcome.status, outcome.result);
+    console.log(`[WEBHOOK] ${event.type} ${id} ${outcome.status}: ${outcome.result}`);
+    return { id, duplicate: false, ...outcome };
 }
 
-async function handleChargeSuccess(data, inventoryService) {
-    const { reference, amount, metadata } = data;
-    const orderResult = await query(
-        'SELECT * FROM orders WHERE payment_reference = $1 OR id = $2',
-        [reference, metadata?.order_id || '']
-    );
-    
-    if (orderResult.rows.length === 0) {
-        captureMessage(`Payment received but order not found: ${reference}`, { level: 'warning', extra: { reference, amount } });
-        return;
+/**
+ * What the provider charges for an order: its total less any gift card
+ */
+const amountDue = order => Number(order.total) - Number(order.gift_card_amount || 0);
+
+/**
+ * Why a payment doesn't cover an order, or null if it does
+ * @param {Object} order
+ * @param {{amount?: number, currency?: string}} payment
+ */
+function paymentMismatch(order, { amount, currency }) {
+    if (currency && currency.toUpperCase() !== ORDER_CURRENCY) {
+        return `Paid in ${currency}, order is in ${ORDER_CURRENCY}`;
+    }
+    if (Number(amount) !== amountDue(order)) {
+        const due = order.gift_card_amount > 0 ? 'amount due after the gift card is' : 'order total is';
+        return `Paid ₦${Number(amount || 0).toLocaleString()}, ${due} ₦${amountDue(order).toLocaleString()}`;
+    }
+    return null;
+}
+
+const findOrder = (reference, orderId) => query(
+    'SELECT * FROM orders WHERE payment_reference = $1 OR id = $2',
+    [reference, orderId || '']
+).then(result => result.rows[0]);
+
+async function handleChargeSuccess(event, inventoryService, provider) {
+    const { reference, amount, orderId } = event;
+    const order = await findOrder(reference, orderId);
+
+    if (!order) {
+        captureMessage(`Payment received but order not found: ${reference}`, { level: 'warning', extra: { reference, amount, provider } });
+        return { status: 'ignored', result: 'Order not found' };
+    }
+    if (PAID_STATUSES.includes(order.payment_status)) {
+        return { status: 'ignored', result: `Order ${order.id} already ${order.payment_status}` };
+    }
+
+    const mismatch = paymentMismatch(order, event);
+    if (mismatch) {
+        captureMessage(`Payment for order ${order.id} doesn't match: ${mismatch}`, { level: 'warning', extra: { reference, provider } });
+        return { status: 'rejected', result: mismatch };
     }
-    
-    const order = orderResult.rows[0];
-    if (order.payment_status === 'paid') return;
 
     try {
-        await query(`
-            UPDATE orders 
-            SET payment_status = 'paid', 
-                payment_reference = $1,
-                order_status = CASE WHEN order_status = 'pending' THEN 'processing' ELSE order_status END,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = $2
-        `, [reference, order.id]);
-        
-        const items = typeof order.items === 'string' ? JSON.parse(order.items) : order.items;
-        const shippingAddress = typeof order.shipping_address === 'string' ? JSON.parse(order.shipping_address) : order.shipping_address;
-
-        await sendOrderEmailSafely({
-            ...order,
-            items,
-            shipping_address: shippingAddress,
-            payment_status: 'paid'
-        }, 'confirmation');
-        
-        await inventoryService.confirmReservation(order.id, items);
+        await markOrderPaid(order, reference, inventoryService, provider);
+        await sendPaidConfirmation(order);
         captureMessage(`Payment confirmed for order ${order.id}`, { level: 'info' });
     } catch (error) {
         captureException(error, { extra: { orderId: order.id, reference } });
         throw error;
     }
+    return {
+        status: 'processed',
+        result: order.order_status === 'cancelled'
+            ? `Order ${order.id} marked paid after it was cancelled`
+            : `Order ${order.id} marked paid`
+    };
 }
 
-async function handleChargeFailed(data, inventoryService) {
-    const { reference, metadata } = data;
-    const orderResult = await query('SELECT * FROM orders WHERE payment_reference = $1 OR id = $2', [reference, metadata?.order_id || '']);
-    if (orderResult.rows.length === 0) return;
-    const order = orderResult.rows[0];
-    
-    await query('UPDATE orders SET payment_status = "failed", updated_at = CURRENT_TIMESTAMP WHERE id = $1', [order.id]);
-    await inventoryService.cancelReservation(order.id);
+async function sendPaidConfirmation(order) {
+    const items = typeof order.items === 'string' ? JSON.parse(order.items) : order.items;
+    const shippingAddress = typeof order.shipping_address === 'string' ? JSON.parse(order.shipping_address) : order.shipping_address;
+
+    return sendOrderEmailSafely({
+        ...order,
+        items,
+        shipping_address: shippingAddress,
+        payment_status: 'paid'
+    }, 'confirmation');
 }
 
-async function handleRefundProcessed(data) {
-    const { reference, transaction_reference } = data;
-    const orderResult = await query('SELECT * FROM orders WHERE payment_reference = $1', [transaction_reference]);
-    if (orderResult.rows.length === 0) return;
-    const order = orderResult.rows[0];
-    
+/**
+ * Record a successful charge: mark the order paid, move it from pending to
+ * processing, turn its stock hold into a sale and issue any gift cards
+ * bought with it. Safe to call more than once.
+ */
+export async function markOrderPaid(order, reference, inventoryService, actor = 'paystack') {
     await query(`
         UPDATE orders 
-        SET order_status = 'refunded', 
-            notes = COALESCE(notes, '') || ' | Refund processed: ' || $1,
+        SET payment_status = 'paid', 
+            payment_reference = $1,
             updated_at = CURRENT_TIMESTAMP
         WHERE id = $2
     `, [reference, order.id]);
+
+    if (canTransition(order.order_status, 'processing')) {
+        await transitionOrder(order.id, 'processing', { actor, reason: `Payment confirmed (${reference})`, inventoryService });
+    } else if (order.order_status === 'cancelled') {
+        captureMessage(`Payment received for cancelled order ${order.id}`, { level: 'warning', extra: { reference } });
+        return;
+    }
+
+    const items = typeof order.items === 'string' ? JSON.parse(order.items) : order.items;
+    // Gift cards aren't stock
+    await inventoryService.confirmReservation(order.id, items.filter(item => item.type !== 'gift_card'));
+    await reclaimOrderGiftCard(order);
+    await activateOrderGiftCards(order.id);
+}
+
+/**
+ * Record an order paid in full by gift card; there is nothing to charge
+ */
+export async function markGiftCardPaid(orderId, inventoryService) {
+    const order = await findOrder(null, orderId);
+    await markOrderPaid(order, order.gift_card_id, inventoryService, 'gift_card');
+    await sendPaidConfirmation(order);
+}
+
+async function handleChargeFailed(event, inventoryService) {
+    const order = await findOrder(event.reference, event.orderId);
+    if (!order) return { status: 'ignored', result: 'Order not found' };
+
+    // A failed attempt arriving after a successful one mustn't undo the payment
+    if (!await failOrderPayment(order, inventoryService, 'Payment failed')) {
+        return { status: 'ignored', result: `Order ${order.id} already ${order.payment_status}` };
+    }
+    return { status: 'processed', result: `Order ${order.id} payment failed` };
+}
+
+/**
+ * Mark an unpaid order's payment failed and give back its stock hold and gift card
+ * @returns {Promise<boolean>} false if the order was already paid, and was left alone
+ */
+export async function failOrderPayment(order, inventoryService, reason) {
+    if (PAID_STATUSES.includes(order.payment_status)) return false;
+
+    await query('UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', ['failed', order.id]);
+    await inventoryService.cancelReservation(order.id);
+    await releaseOrderGiftCard(order.id, reason);
+    return true;
+}
+
+async function handleRefundProcessed(event, inventoryService, provider) {
+    const refund = await recordProcessedRefund(event, inventoryService, provider);
+    if (!refund) {
+        captureMessage(`Refund processed but order not found: ${event.reference}`, { level: 'warning', extra: { refund: event.refundId, provider } });
+        return { status: 'ignored', result: 'Order not found' };
+    }
+    return { status: 'processed', result: `Refund ${refund.id} recorded on order ${refund.order_id}` };
 }
 
-export async function initializeTransaction(orderId, email, amount, origin) {
-    if (!paystack) throw new Error('Paystack not configured');
-    
-    const amountInKobo = Math.round(amount * 100);
-    const paystackResponse = await paystack.transaction.initialize({
+/**
+ * Start a gateway payment for a new order and store its reference
+ * @param {import('./payments/paymentProvider.js').PaymentProvider} provider
+ * @returns {Promise<{provider: string, reference: string, access_code?: string, authorization_url: string}>}
+ */
+export async function initializeTransaction(provider, orderId, email, amount, origin) {
+    const session = await provider.initialize({
+        orderId,
         email,
-        amount: amountInKobo,
-        reference: orderId,
-        callback_url: `${process.env.FRONTEND_URL || origin}/order-confirmation?order=${orderId}&status=success`,
-        metadata: {
-            order_id: orderId,
-            custom_fields: [{ display_name: "Order ID", variable_name: "order_id", value: orderId }]
-        }
+        amount,
+        callbackUrl: `${process.env.FRONTEND_URL || origin || ''}/order-confirmation?order=${orderId}&status=success`
     });
 
-    if (paystackResponse && paystackResponse.status) {
-        await query('UPDATE orders SET payment_reference = $1 WHERE id = $2', [paystackResponse.data.reference, orderId]);
-        return {
-            access_code: paystackResponse.data.access_code,
-            authorization_url: paystackResponse.data.authorization_url,
-            publicKey: process.env.PAYSTACK_PUBLIC_KEY
-        };
+    await query('UPDATE orders SET payment_reference = $1 WHERE id = $2', [session.reference, orderId]);
+    return {
+        provider: provider.name,
+        reference: session.reference,
+        access_code: session.accessCode,
+        authorization_url: session.authorizationUrl,
+        ...provider.getPublicConfig()
+    };
+}
+
+/**
+ * Ask the order's payment provider whether it has been paid, and record the
+ * payment if so. Used when the customer returns from checkout before the
+ * webhook has arrived. Only the reference the order was given at checkout
+ * is checked, so one payment can't be used to mark another order paid.
+ * @returns {Promise<{status: string, verified: boolean, mismatch?: string, message?: string}>}
+ */
+export async function verifyPayment(order, inventoryService) {
+    if (PAID_STATUSES.includes(order.payment_status)) return { status: 'paid', verified: true };
+
+    const provider = getPaymentProvider(order.payment_method);
+    if (!provider) return { status: order.payment_status, verified: false, message: 'Payment provider not configured' };
+
+    const paymentReference = order.payment_reference;
+    if (!paymentReference) return { status: order.payment_status, verified: false, message: 'No reference' };
+
+    const result = await provider.verify(paymentReference);
+    if (result.status !== 'success') return { status: result.status, verified: false };
+
+    const mismatch = paymentMismatch(order, result);
+    if (mismatch) {
+        captureMessage(`Payment for order ${order.id} doesn't match: ${mismatch}`, { level: 'warning', extra: { reference: paymentReference } });
+        return { status: order.payment_status, verified: false, mismatch, message: 'Payment does not match the order total' };
     }
-    throw new Error(paystackResponse?.message || 'Paystack initialization failed');
+
+    await markOrderPaid(order, paymentReference, inventoryService, provider.name);
+    await sendPaidConfirmation(order);
+    return { status: 'paid', verified: true };
 }
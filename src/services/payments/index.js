@@ -0,0 +1,52 @@
+/**
+ * LA VAGUE - Payment Providers
+ * Registry of payment gateways. PAYMENT_PROVIDER picks the one offered at
+ * checkout (default 'paystack'); any enabled provider can still verify,
+ * refund and receive webhooks for the orders it took.
+ *
+ * To add a gateway, extend PaymentProvider and register an instance here.
+ */
+
+import { PaymentProvider } from './paymentProvider.js';
+import { PaystackProvider } from './paystackProvider.js';
+import { MockProvider } from './mockProvider.js';
+
+const providers = new Map();
+
+export function registerPaymentProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+registerPaymentProvider(new PaystackProvider());
+registerPaymentProvider(new MockProvider());
+
+/**
+ * An enabled provider by name, or null
+ * @returns {PaymentProvider|null}
+ */
+export function getPaymentProvider(name) {
+    const provider = providers.get(name);
+    return provider?.isEnabled() ? provider : null;
+}
+
+/**
+ * The provider customers pay through at checkout, or null if it isn't set up
+ * @returns {PaymentProvider|null}
+ */
+export function getCheckoutProvider() {
+    return getPaymentProvider(process.env.PAYMENT_PROVIDER || 'paystack');
+}
+
+/**
+ * Whether an order's payment_method is taken through a gateway
+ * (as opposed to manual / cash payments)
+ */
+export function isGatewayPayment(method) {
+    return providers.has(method);
+}
+
+export function getPaymentProviderNames() {
+    return [...providers.keys()];
+}
+
+export { PaymentProvider };
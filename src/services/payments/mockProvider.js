@@ -0,0 +1,143 @@
+/**
+ * LA VAGUE - Mock Payment Provider
+ * A gateway that never leaves the machine, for development, e2e tests and
+ * staging. Enabled with PAYMENT_PROVIDER=mock. Checkout sends the customer
+ * to a local pay page where they choose to pay, fail or abandon; the outcome
+ * comes back as a signed webhook, exactly like a real gateway.
+ *
+ * Transactions are kept in memory and are lost on restart.
+ */
+
+import crypto from 'crypto';
+import { PaymentProvider, signaturesMatch } from './paymentProvider.js';
+
+export const MOCK_OUTCOMES = { success: 'success', failure: 'failed', abandon: 'abandoned' };
+
+const sign = (payload, secret) => crypto.createHmac('sha512', secret).update(payload).digest('hex');
+
+export class MockProvider extends PaymentProvider {
+    constructor() {
+        super('mock', 'Mock gateway');
+        this.transactions = new Map();
+    }
+
+    get secret() {
+        return process.env.MOCK_PAYMENT_SECRET || 'mock_payment_secret';
+    }
+
+    // Base URL of this server's API, for the pay page and webhooks
+    get apiUrl() {
+        return (process.env.MOCK_PAYMENT_API_URL || `http://localhost:${process.env.PORT || 3000}/api`).replace(/\/+$/, '');
+    }
+
+    isEnabled() {
+        return process.env.PAYMENT_PROVIDER === 'mock';
+    }
+
+    getPublicConfig() {
+        return { provider: this.name, testMode: true };
+    }
+
+    async initialize({ orderId, email, amount, callbackUrl }) {
+        const reference = `MOCK-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+        this.transactions.set(reference, { reference, orderId, email, amount, callbackUrl, status: 'pending' });
+        return { reference, authorizationUrl: `${this.apiUrl}/payment/mock/pay/${reference}` };
+    }
+
+    getTransaction(reference) {
+        return this.transactions.get(reference) || null;
+    }
+
+    async verify(reference) {
+        const transaction = this.getTransaction(reference);
+        return { status: transaction?.status || 'pending', reference, amount: transaction?.amount, currency: 'NGN' };
+    }
+
+    async refund({ reference, amount }) {
+        const transaction = this.getTransaction(reference);
+        if (transaction && amount > transaction.amount) {
+            throw new Error('Refund amount exceeds the transaction amount');
+        }
+        return { id: `MOCK-RF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`, status: 'processed' };
+    }
+
+    /**
+     * Settle a pending transaction the way the customer chose on the pay
+     * page, and send the matching webhook
+     * @param {string} reference
+     * @param {'success'|'failure'|'abandon'} outcome
+     * @returns {Promise<string>} Where to send the customer next
+     */
+    async complete(reference, outcome) {
+        const transaction = this.getTransaction(reference);
+        if (!transaction) throw new Error(`Unknown mock transaction ${reference}`);
+        if (!MOCK_OUTCOMES[outcome]) throw new Error(`Outcome must be one of: ${Object.keys(MOCK_OUTCOMES).join(', ')}`);
+
+        if (transaction.status === 'pending') {
+            transaction.status = MOCK_OUTCOMES[outcome];
+            // An abandoned payment never reaches the gateway's webhook, as with Paystack
+            if (outcome !== 'abandon') {
+                await this.emitWebhook(outcome === 'success' ? 'charge.success' : 'charge.failed', transaction);
+            }
+        }
+
+        // A relative callback means the storefront is served by this server
+        const redirect = new URL(transaction.callbackUrl, this.apiUrl);
+        if (transaction.status !== 'success') {
+            redirect.searchParams.set('status', transaction.status === 'failed' ? 'failed' : 'cancelled');
+        }
+        return redirect.toString();
+    }
+
+    /**
+     * POST a signed webhook to this server's /payment/webhook/mock endpoint
+     */
+    async emitWebhook(event, transaction) {
+        const body = JSON.stringify({
+            id: `MOCK-EVT-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+            event,
+            data: {
+                reference: transaction.reference,
+                order_id: transaction.orderId,
+                amount: transaction.amount,
+                currency: 'NGN',
+                customer: { email: transaction.email }
+            }
+        });
+
+        try {
+            const response = await fetch(`${this.apiUrl}/payment/webhook/mock`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-mock-signature': sign(body, this.secret) },
+                body
+            });
+            if (!response.ok) console.error(`[MOCK PAYMENT] Webhook ${event} returned ${response.status}`);
+        } catch (error) {
+            console.error(`[MOCK PAYMENT] Failed to deliver ${event} webhook:`, error.message);
+        }
+    }
+
+    verifySignature(rawBody, headers) {
+        const signature = headers['x-mock-signature'];
+        if (!signature) return false;
+
+        const payload = typeof rawBody === 'string' || Buffer.isBuffer(rawBody) ? rawBody : JSON.stringify(rawBody);
+        return signaturesMatch(sign(payload, this.secret), signature);
+    }
+
+    parseWebhook(body) {
+        const data = body.data || {};
+        return {
+            id: body.id,
+            type: body.event,
+            reference: data.reference,
+            orderId: data.order_id,
+            amount: data.amount,
+            currency: data.currency,
+            refundId: data.refund_id,
+            raw: body
+        };
+    }
+}
+
+export default MockProvider;
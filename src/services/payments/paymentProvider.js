@@ -0,0 +1,125 @@
+/**
+ * LA VAGUE - Payment Provider Interface
+ * Every payment gateway implements this class. The rest of the app only
+ * talks to providers through it, and only sees the normalised shapes below.
+ * Amounts are always whole Naira; providers convert to their own units.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * @typedef {Object} PaymentSession
+ * @property {string} reference - Transaction reference, stored as orders.payment_reference
+ * @property {string} [accessCode] - For providers with an inline/popup checkout
+ * @property {string} authorizationUrl - Hosted payment page to redirect the customer to
+ */
+
+/**
+ * @typedef {Object} PaymentVerification
+ * @property {'success'|'failed'|'abandoned'|'pending'} status
+ * @property {string} reference
+ * @property {number} [amount]
+ * @property {string} [currency]
+ */
+
+/**
+ * @typedef {Object} PaymentRefund
+ * @property {string} id - The provider's refund ID
+ * @property {'pending'|'processed'} status
+ */
+
+/**
+ * @typedef {Object} PaymentEvent
+ * @property {string} [id] - Unique per event and stable across redeliveries
+ * @property {'charge.success'|'charge.failed'|'refund.processed'|string} type
+ * @property {string} [reference] - Transaction reference
+ * @property {string} [orderId]
+ * @property {number} [amount]
+ * @property {string} [currency] - ISO code, e.g. 'NGN'
+ * @property {string} [refundId] - Set on refund events
+ * @property {string} [note] - Set on refund events
+ * @property {Object} raw - The webhook body as the provider sent it
+ */
+
+export class PaymentProvider {
+    /**
+     * @param {string} name - Stored on orders.payment_method and refunds.provider
+     * @param {string} displayName - Shown in admin messages
+     */
+    constructor(name, displayName) {
+        this.name = name;
+        this.displayName = displayName;
+    }
+
+    /**
+     * Whether the provider has what it needs to take payments
+     */
+    isEnabled() {
+        return false;
+    }
+
+    /**
+     * Settings the storefront needs to start a checkout (never secrets)
+     */
+    getPublicConfig() {
+        return { provider: this.name, testMode: false };
+    }
+
+    /**
+     * Start a transaction for an order
+     * @param {{orderId: string, email: string, amount: number, callbackUrl: string}} payment
+     * @returns {Promise<PaymentSession>}
+     */
+    async initialize() {
+        throw new Error(`${this.displayName} does not implement initialize()`);
+    }
+
+    /**
+     * Ask the provider for a transaction's current state
+     * @param {string} reference
+     * @returns {Promise<PaymentVerification>}
+     */
+    async verify() {
+        throw new Error(`${this.displayName} does not implement verify()`);
+    }
+
+    /**
+     * Refund all or part of a transaction
+     * @param {{reference: string, amount: number, note?: string}} refund
+     * @returns {Promise<PaymentRefund>}
+     */
+    async refund() {
+        throw new Error(`${this.displayName} does not implement refund()`);
+    }
+
+    /**
+     * Check a webhook really came from the provider
+     * @param {Buffer|string} rawBody - The request body exactly as received
+     * @param {Object} headers - Request headers
+     */
+    verifySignature() {
+        return false;
+    }
+
+    /**
+     * Turn a verified webhook body into a PaymentEvent
+     * @param {Object} body - Parsed JSON body
+     * @returns {PaymentEvent}
+     */
+    parseWebhook() {
+        throw new Error(`${this.displayName} does not implement parseWebhook()`);
+    }
+}
+
+/**
+ * Compare a webhook signature with the expected one in constant time
+ * @param {string} expected
+ * @param {string} received
+ */
+export function signaturesMatch(expected, received) {
+    const expectedBuffer = Buffer.from(String(expected));
+    const receivedBuffer = Buffer.from(String(received));
+    return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+export default PaymentProvider;
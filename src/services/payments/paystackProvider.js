@@ -0,0 +1,138 @@
+/**
+ * LA VAGUE - Paystack Payment Provider
+ * Talks to the Paystack REST API. PAYSTACK_BASE_URL points it at a local
+ * stand-in for development and tests.
+ */
+
+import crypto from 'crypto';
+import { PaymentProvider, signaturesMatch } from './paymentProvider.js';
+
+export const PAYSTACK_BASE_URL = (process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co').replace(/\/+$/, '');
+
+// Paystack transaction statuses that are final
+const VERIFY_STATUSES = { success: 'success', failed: 'failed', reversed: 'failed', abandoned: 'abandoned' };
+
+const toKobo = amount => Math.round(amount * 100);
+const toNaira = kobo => Math.round(Number(kobo || 0) / 100);
+
+export class PaystackProvider extends PaymentProvider {
+    constructor() {
+        super('paystack', 'Paystack');
+    }
+
+    get secretKey() {
+        return process.env.PAYSTACK_SECRET_KEY;
+    }
+
+    isEnabled() {
+        return Boolean(this.secretKey);
+    }
+
+    getPublicConfig() {
+        const publicKey = process.env.PAYSTACK_PUBLIC_KEY || '';
+        return { provider: this.name, publicKey, testMode: publicKey.startsWith('pk_test_') };
+    }
+
+    /**
+     * Call a Paystack endpoint and return its `data` payload
+     * @param {string} path - e.g. '/refund'
+     * @param {{method?: string, body?: Object}} [options]
+     * @throws {Error} When Paystack isn't configured or rejects the request
+     */
+    async request(path, { method = 'GET', body } = {}) {
+        if (!this.secretKey) throw new Error('Paystack not configured');
+
+        const response = await fetch(`${PAYSTACK_BASE_URL}${path}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${this.secretKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok || !payload.status) {
+            throw new Error(payload.message || `Paystack request failed with status ${response.status}`);
+        }
+        return payload.data;
+    }
+
+    async initialize({ orderId, email, amount, callbackUrl }) {
+        const data = await this.request('/transaction/initialize', {
+            method: 'POST',
+            body: {
+                email,
+                amount: toKobo(amount),
+                reference: orderId,
+                callback_url: callbackUrl,
+                metadata: {
+                    order_id: orderId,
+                    custom_fields: [{ display_name: 'Order ID', variable_name: 'order_id', value: orderId }]
+                }
+            }
+        });
+        return { reference: data.reference, accessCode: data.access_code, authorizationUrl: data.authorization_url };
+    }
+
+    async verify(reference) {
+        const data = await this.request(`/transaction/verify/${encodeURIComponent(reference)}`);
+        return {
+            status: VERIFY_STATUSES[data.status] || 'pending',
+            reference: data.reference,
+            amount: toNaira(data.amount),
+            currency: data.currency
+        };
+    }
+
+    async refund({ reference, amount, note }) {
+        const data = await this.request('/refund', {
+            method: 'POST',
+            body: { transaction: reference, amount: toKobo(amount), merchant_note: note || undefined }
+        });
+        return { id: String(data.id), status: data.status === 'processed' ? 'processed' : 'pending' };
+    }
+
+    verifySignature(rawBody, headers) {
+        const signature = headers['x-paystack-signature'];
+        if (!this.secretKey || !signature) return false;
+
+        // Ensure body is a string or buffer for HMAC update
+        const payload = typeof rawBody === 'string' || Buffer.isBuffer(rawBody)
+            ? rawBody
+            : JSON.stringify(rawBody);
+
+        const hash = crypto.createHmac('sha512', this.secretKey).update(payload).digest('hex');
+        return signaturesMatch(hash, signature);
+    }
+
+    parseWebhook(body) {
+        const data = body.data || {};
+        // Paystack sends no event ID; the transaction or refund ID is unique per event type
+        const id = data.id != null ? `${body.event}:${data.id}` : undefined;
+
+        if (body.event === 'refund.processed') {
+            return {
+                id,
+                type: body.event,
+                reference: data.transaction_reference,
+                amount: toNaira(data.amount),
+                currency: data.currency,
+                refundId: data.id != null ? String(data.id) : data.refund_reference || null,
+                note: data.merchant_note || null,
+                raw: body
+            };
+        }
+        return {
+            id,
+            type: body.event,
+            reference: data.reference,
+            orderId: data.metadata?.order_id,
+            amount: toNaira(data.amount),
+            currency: data.currency,
+            raw: body
+        };
+    }
+}
+
+export default PaystackProvider;
@@ -3,10 +3,46 @@
  * Handles product CRUD operations with database
  */
 
+import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import { uploadMultipleImages, deleteMultipleImages, getPublicIdFromUrl } from './cloudinary.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { recordMovement } from './inventory.js';
+import { toTimestamp } from '../utils/dates.js';
+
+/**
+ * Build a default SKU from product ID, colour and size
+ */
+export function buildSku(productId, color, size) {
+    const part = value => String(value).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+    return [part(productId), part(color), part(size)].filter(Boolean).join('-');
+}
+
+const toOptionalInt = value => {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) ? null : parsed;
+};
+
+// Drop settings: a positive whole number, or none
+const toOptionalCount = value => {
+    const parsed = toOptionalInt(value);
+    return parsed > 0 ? parsed : null;
+};
+
+// Multipart forms send a cleared field as '' or 'null'
+const toOptionalDate = value => {
+    if (value === undefined || value === null || value === '' || value === 'null') return null;
+    const date = new Date(value);
+    if (isNaN(date)) throw new APIError('Invalid release time', 400, 'INVALID_PUBLISH_AT');
+    return date;
+};
 
 export class ProductService {
+    /**
+     * @param {import('../config/adapter.js').DatabaseAdapter} db - Database adapter
+     * @param {boolean} usePostgres - True when backed by PostgreSQL
+     */
     constructor(db, usePostgres = false) {
         this.db = db;
         this.usePostgres = usePostgres;
@@ -30,22 +66,11 @@ export class ProductService {
         let counter = 1;
         
         while (true) {
-            let result;
-            if (this.usePostgres) {
-                const query = excludeId 
-                    ? 'SELECT id FROM products WHERE slug = $1 AND id != $2'
-                    : 'SELECT id FROM products WHERE slug = $1';
-                const params = excludeId ? [uniqueSlug, excludeId] : [uniqueSlug];
-                result = await this.db.query(query, params);
-            } else {
-                const query = excludeId
-                    ? 'SELECT id FROM products WHERE slug = ? AND id != ?'
-                    : 'SELECT id FROM products WHERE slug = ?';
-                const stmt = this.db.prepare(query);
-                result = { rows: excludeId ? [stmt.get(uniqueSlug, excludeId)] : [stmt.get(uniqueSlug)] };
-            }
-            
-            if (!result.rows[0]) break;
+            const existing = excludeId
+                ? await this.db.one('SELECT id FROM products WHERE slug = $1 AND id != $2', [uniqueSlug, excludeId])
+                : await this.db.one('SELECT id FROM products WHERE slug = $1', [uniqueSlug]);
+
+            if (!existing) break;
             
             uniqueSlug = `${slug}-${counter}`;
             counter++;
@@ -81,55 +106,30 @@ export class ProductService {
         
         query += ' ORDER BY created_at DESC';
         
-        if (this.usePostgres) {
-            query += ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-            params.push(limit, offset);
-        } else {
-            query += ' LIMIT ? OFFSET ?';
-            params.push(limit, offset);
-        }
-        
-        let result;
-        if (this.usePostgres) {
-            result = await this.db.query(query, params);
-        } else {
-            const stmt = this.db.prepare(query);
-            result = { rows: stmt.all(...params) };
-        }
-        
-        return result.rows.map(p => this.parseProduct(p));
+        query += ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+        params.push(limit, offset);
+
+        const rows = await this.db.many(query, params);
+        const variants = await this.getVariantsForProducts(rows.map(p => p.id));
+        return rows.map(p => this.parseProduct(p, variants.get(p.id)));
     }
 
     /**
      * Get product by ID
      */
     async getById(id) {
-        let result;
-        if (this.usePostgres) {
-            result = await this.db.query('SELECT * FROM products WHERE id = $1', [id]);
-        } else {
-            const stmt = this.db.prepare('SELECT * FROM products WHERE id = ?');
-            result = { rows: [stmt.get(id)] };
-        }
-        
-        if (!result.rows[0]) return null;
-        return this.parseProduct(result.rows[0]);
+        const row = await this.db.one('SELECT * FROM products WHERE id = $1', [id]);
+        if (!row) return null;
+        return this.parseProduct(row, await this.getVariants(row.id));
     }
 
     /**
      * Get product by slug
      */
     async getBySlug(slug) {
-        let result;
-        if (this.usePostgres) {
-            result = await this.db.query('SELECT * FROM products WHERE slug = $1', [slug]);
-        } else {
-            const stmt = this.db.prepare('SELECT * FROM products WHERE slug = ?');
-            result = { rows: [stmt.get(slug)] };
-        }
-        
-        if (!result.rows[0]) return null;
-        return this.parseProduct(result.rows[0]);
+        const row = await this.db.one('SELECT * FROM products WHERE slug = $1', [slug]);
+        if (!row) return null;
+        return this.parseProduct(row, await this.getVariants(row.id));
     }
 
     /**
@@ -154,9 +154,14 @@ export class ProductService {
             features = [],
             colors = [],
             sizes = [],
+            variants,
             inventory = {},
             tags = [],
-            badge = null
+            badge = null,
+            publishAt = null,
+            purchaseLimit = null,
+            waitingRoomMinutes = null,
+            queueBatchSize = null
         } = productData;
 
         // Validate and sanitize price
@@ -199,24 +204,27 @@ export class ProductService {
             images: JSON.stringify(images),
             colors: JSON.stringify(safeParse(colors)),
             sizes: JSON.stringify(safeParse(sizes)),
-            inventory: JSON.stringify(safeParse(inventory, {})),
             tags: JSON.stringify(safeParse(tags)),
-            badge
+            badge,
+            publish_at: toOptionalDate(publishAt),
+            purchase_limit: toOptionalCount(purchaseLimit),
+            waiting_room_minutes: toOptionalCount(waitingRoomMinutes),
+            queue_batch_size: toOptionalCount(queueBatchSize)
         };
 
-        if (this.usePostgres) {
-            await this.db.query(`
+        const variantInput = variants !== undefined
+            ? safeParse(variants)
+            : this.variantsFromInventoryMap(safeParse(inventory, {}), safeParse(sizes), safeParse(colors));
+
+        await this.db.transaction(async tx => {
+            await tx.exec(`
                 INSERT INTO products (id, name, slug, category, price, compare_at_price, description,
-                    features, images, colors, sizes, inventory, tags, badge)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+                    features, images, colors, sizes, tags, badge, publish_at, purchase_limit,
+                    waiting_room_minutes, queue_batch_size)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
             `, Object.values(product));
-        } else {
-            this.db.prepare(`
-                INSERT INTO products (id, name, slug, category, price, compare_at_price, description,
-                    features, images, colors, sizes, inventory, tags, badge)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `).run(...Object.values(product));
-        }
+            await this.saveVariants(id, variantInput);
+        });
 
         return this.getById(id);
     }
@@ -237,9 +245,14 @@ export class ProductService {
             features,
             colors,
             sizes,
+            variants,
             inventory,
             tags,
             badge,
+            publishAt,
+            purchaseLimit,
+            waitingRoomMinutes,
+            queueBatchSize,
             keepImages = []
         } = productData;
 
@@ -321,14 +334,31 @@ export class ProductService {
             images: JSON.stringify(images),
             colors: JSON.stringify(safeParse(colors, existing.colors)),
             sizes: JSON.stringify(safeParse(sizes, existing.sizes)),
-            inventory: JSON.stringify(safeParse(inventory, existing.inventory || {})),
             tags: JSON.stringify(safeParse(tags, existing.tags)),
             badge: badge !== undefined ? badge : existing.badge,
+            publish_at: publishAt !== undefined ? toOptionalDate(publishAt) : toOptionalDate(existing.publishAt),
+            purchase_limit: purchaseLimit !== undefined ? toOptionalCount(purchaseLimit) : existing.purchaseLimit,
+            waiting_room_minutes: waitingRoomMinutes !== undefined
+                ? toOptionalCount(waitingRoomMinutes)
+                : existing.waitingRoomMinutes,
+            queue_batch_size: queueBatchSize !== undefined ? toOptionalCount(queueBatchSize) : existing.queueBatchSize,
             id
         };
 
-        if (this.usePostgres) {
-            await this.db.query(`
+        // Variants are only replaced when the caller sends them (or the legacy inventory map)
+        let variantInput = null;
+        if (variants !== undefined) {
+            variantInput = safeParse(variants);
+        } else if (inventory !== undefined) {
+            variantInput = this.variantsFromInventoryMap(
+                safeParse(inventory, {}),
+                safeParse(sizes, existing.sizes),
+                safeParse(colors, existing.colors)
+            );
+        }
+
+        await this.db.transaction(async tx => {
+            await tx.exec(`
                 UPDATE products SET
                     name = $1,
                     slug = $2,
@@ -340,30 +370,18 @@ export class ProductService {
                     images = $8,
                     colors = $9,
                     sizes = $10,
-                    inventory = $11,
-                    tags = $12,
-                    badge = $13
-                WHERE id = $14
+                    tags = $11,
+                    badge = $12,
+                    publish_at = $13,
+                    purchase_limit = $14,
+                    waiting_room_minutes = $15,
+                    queue_batch_size = $16
+                WHERE id = $17
             `, Object.values(product));
-        } else {
-            this.db.prepare(`
-                UPDATE products SET
-                    name = ?,
-                    slug = ?,
-                    category = ?,
-                    price = ?,
-                    compare_at_price = ?,
-                    description = ?,
-                    features = ?,
-                    images = ?,
-                    colors = ?,
-                    sizes = ?,
-                    inventory = ?,
-                    tags = ?,
-                    badge = ?
-                WHERE id = ?
-            `).run(...Object.values(product));
-        }
+            if (variantInput) {
+                await this.saveVariants(id, variantInput);
+            }
+        });
 
         return this.getById(id);
     }
@@ -385,19 +403,198 @@ export class ProductService {
             }
         }
 
-        if (this.usePostgres) {
-            await this.db.query('DELETE FROM products WHERE id = $1', [id]);
-        } else {
-            this.db.prepare('DELETE FROM products WHERE id = ?').run(id);
-        }
+        await this.db.exec('DELETE FROM products WHERE id = $1', [id]);
 
         return { success: true, deletedId: id };
     }
 
+    /**
+     * Get all variants of a product
+     */
+    async getVariants(productId) {
+        const rows = await this.db.many(
+            'SELECT * FROM product_variants WHERE product_id = $1 ORDER BY created_at, id',
+            [productId]
+        );
+        return rows.map(v => this.parseVariant(v));
+    }
+
+    /**
+     * Get variants for several products in one query
+     * @returns {Promise<Map<string, Array>>} productId -> variants
+     */
+    async getVariantsForProducts(productIds) {
+        const byProduct = new Map();
+        if (productIds.length === 0) return byProduct;
+
+        const placeholders = productIds.map((_, i) => `$${i + 1}`).join(', ');
+        const rows = await this.db.many(
+            `SELECT * FROM product_variants WHERE product_id IN (${placeholders}) ORDER BY created_at, id`,
+            productIds
+        );
+        for (const row of rows) {
+            const list = byProduct.get(row.product_id) || [];
+            list.push(this.parseVariant(row));
+            byProduct.set(row.product_id, list);
+        }
+        return byProduct;
+    }
+
+    /**
+     * Get a single variant by ID
+     */
+    async getVariantById(variantId) {
+        const row = await this.db.one('SELECT * FROM product_variants WHERE id = $1', [variantId]);
+        return row ? this.parseVariant(row) : null;
+    }
+
+    /**
+     * Find a variant by its colour/size (for carts saved before variant IDs existed)
+     */
+    async findVariant(productId, color, size) {
+        const row = await this.db.one(
+            'SELECT * FROM product_variants WHERE product_id = $1 AND color = $2 AND size = $3',
+            [productId, color, size]
+        );
+        return row ? this.parseVariant(row) : null;
+    }
+
+    /**
+     * Convert a legacy { "Color-Size": stock } map into variant input
+     */
+    variantsFromInventoryMap(inventory, sizes = [], colors = []) {
+        const colorNames = colors.map(c => (typeof c === 'string' ? c : c?.name)).filter(Boolean);
+        const sortedSizes = [...sizes].map(String).sort((a, b) => b.length - a.length);
+
+        return Object.entries(inventory || {}).map(([key, stock]) => {
+            let color = null;
+            let size = null;
+            for (const candidate of sortedSizes) {
+                const prefix = key.slice(0, -(candidate.length + 1));
+                if (key.endsWith(`-${candidate}`) && (colorNames.length === 0 || colorNames.includes(prefix))) {
+                    color = prefix;
+                    size = candidate;
+                    break;
+                }
+            }
+            if (color === null) {
+                const index = key.lastIndexOf('-');
+                color = index > 0 ? key.slice(0, index) : key;
+                size = index > 0 ? key.slice(index + 1) : 'OS';
+            }
+            return { color, size, stock };
+        });
+    }
+
+    /**
+     * Replace a product's variants with the given list.
+     * Rows are matched by id, then by colour/size; unmatched existing rows are removed.
+     */
+    async saveVariants(productId, variants = [], reference = { id: productId, type: 'product' }) {
+        await this.db.transaction(async tx => {
+            const existing = await tx.many('SELECT * FROM product_variants WHERE product_id = $1', [productId]);
+            const keep = new Set();
+
+            for (const input of variants) {
+                const color = String(input.color ?? '').trim() || 'Default';
+                const size = String(input.size ?? '').trim() || 'OS';
+                const fields = {
+                    sku: String(input.sku || '').trim() || buildSku(productId, color, size),
+                    price: toOptionalInt(input.price),
+                    compareAtPrice: toOptionalInt(input.compareAtPrice),
+                    weight: toOptionalInt(input.weight),
+                    barcode: String(input.barcode || '').trim() || null,
+                    stock: Math.max(0, toOptionalInt(input.stock) || 0)
+                };
+
+                const clash = await tx.one(
+                    'SELECT id, product_id FROM product_variants WHERE sku = $1',
+                    [fields.sku]
+                );
+
+                const match = existing.find(v => input.id && v.id === input.id)
+                    || existing.find(v => v.color === color && v.size === size);
+
+                if (clash && clash.id !== match?.id) {
+                    throw new APIError(`SKU ${fields.sku} is already in use`, 409, 'DUPLICATE_SKU');
+                }
+
+                if (match) {
+                    keep.add(match.id);
+                    await tx.exec(`
+                        UPDATE product_variants SET
+                            sku = $1, color = $2, size = $3, price = $4, compare_at_price = $5,
+                            weight_grams = $6, barcode = $7, stock = $8, updated_at = CURRENT_TIMESTAMP
+                        WHERE id = $9
+                    `, [fields.sku, color, size, fields.price, fields.compareAtPrice,
+                        fields.weight, fields.barcode, fields.stock, match.id]);
+                    await recordMovement(tx, {
+                        variant: { ...match, color, size },
+                        type: 'adjustment',
+                        before: match.stock,
+                        after: fields.stock,
+                        reference
+                    });
+                } else {
+                    const id = `var-${crypto.randomBytes(4).toString('hex')}`;
+                    keep.add(id);
+                    await tx.exec(`
+                        INSERT INTO product_variants
+                            (id, product_id, sku, color, size, price, compare_at_price, weight_grams, barcode, stock)
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                    `, [id, productId, fields.sku, color, size, fields.price, fields.compareAtPrice,
+                        fields.weight, fields.barcode, fields.stock]);
+                    await recordMovement(tx, {
+                        variant: { id, product_id: productId, color, size },
+                        type: 'adjustment',
+                        before: 0,
+                        after: fields.stock,
+                        reference,
+                        notes: 'Variant created'
+                    });
+                }
+            }
+
+            for (const variant of existing) {
+                if (!keep.has(variant.id)) {
+                    await tx.exec('DELETE FROM product_variants WHERE id = $1', [variant.id]);
+                    await recordMovement(tx, {
+                        variant,
+                        type: 'adjustment',
+                        before: variant.stock,
+                        after: 0,
+                        reference,
+                        notes: 'Variant removed'
+                    });
+                }
+            }
+        });
+    }
+
+    /**
+     * Parse a product_variants row
+     */
+    parseVariant(row) {
+        return {
+            id: row.id,
+            productId: row.product_id,
+            sku: row.sku,
+            color: row.color,
+            size: row.size,
+            price: row.price,
+            compareAtPrice: row.compare_at_price,
+            weight: row.weight_grams,
+            barcode: row.barcode,
+            stock: row.stock
+        };
+    }
+
     /**
      * Parse product data from database
+     * @param {Object} row - products row
+     * @param {Array} variants - Parsed variants for the product
      */
-    parseProduct(row) {
+    parseProduct(row, variants = []) {
         const parseJson = (val) => {
             if (typeof val === 'string') {
                 try {
@@ -421,9 +618,15 @@ export class ProductService {
             images: parseJson(row.images),
             colors: parseJson(row.colors),
             sizes: parseJson(row.sizes),
-            inventory: parseJson(row.inventory),
+            variants,
+            // Read-only colour/size -> stock map kept for storefront code
+            inventory: Object.fromEntries(variants.map(v => [`${v.color}-${v.size}`, v.stock])),
             tags: parseJson(row.tags),
             badge: row.badge,
+            publishAt: toTimestamp(row.publish_at),
+            purchaseLimit: row.purchase_limit ?? null,
+            waitingRoomMinutes: row.waiting_room_minutes ?? null,
+            queueBatchSize: row.queue_batch_size ?? null,
             createdAt: row.created_at
         };
     }
@@ -432,27 +635,16 @@ export class ProductService {
      * Get product statistics
      */
     async getStats() {
-        let result;
-        if (this.usePostgres) {
-            result = await this.db.query(`
-                SELECT 
-                    COUNT(*) as total,
-                    COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '30 days') as new_last_30_days
-                FROM products
-            `);
-        } else {
-            result = this.db.prepare(`
-                SELECT 
-                    COUNT(*) as total,
-                    COUNT(*) as new_last_30_days
-                FROM products
-            `).get();
-            result = { rows: [result] };
-        }
+        const result = await this.db.one(`
+            SELECT 
+                COUNT(*) as total,
+                SUM(CASE WHEN created_at > ${this.db.dialect.interval(-30, 'days')} THEN 1 ELSE 0 END) as new_last_30_days
+            FROM products
+        `);
 
         const stats = {
-            totalProducts: parseInt(result.rows[0].total) || 0,
-            newLast30Days: parseInt(result.rows[0].new_last_30_days) || 0
+            totalProducts: parseInt(result.total) || 0,
+            newLast30Days: parseInt(result.new_last_30_days) || 0
         };
         
         return stats;
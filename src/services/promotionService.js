@@ -0,0 +1,511 @@
+/**
+ * LA VAGUE - Promotions
+ * The one place discounts are worked out, for the cart, the checkout's
+ * coupon check and the order itself, so the discount a shopper is shown is
+ * the one they are charged.
+ *
+ * Automatic promotions come first. Item promotions are applied in the order
+ * bundles, buy X get Y, then category sales, and each unit in the cart goes
+ * towards at most one of them. The best spend threshold the order reaches is
+ * then taken off what's left. A promotion that doesn't combine with coupons
+ * turns away any code entered alongside it.
+ *
+ * A coupon is checked in this order: it exists and is active, today is within
+ * its dates, it has uses left overall and for this customer, the order meets
+ * its minimum, and at least one line is eligible. Lines are eligible if the
+ * coupon names no products or categories, or names the line's product or
+ * category. The discount is worked out on what the eligible lines cost after
+ * promotions, and split across them in proportion to that. Free shipping
+ * coupons take nothing off the items; they zero the order's shipping.
+ */
+
+import crypto from 'crypto';
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { toTimestamp } from '../utils/dates.js';
+import { getShippingSettings, calculateShipping } from './shippingService.js';
+
+export const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+export const PROMOTION_TYPES = ['buy_x_get_y', 'spend_threshold', 'category_sale', 'bundle'];
+
+const ITEM_PROMOTION_ORDER = ['bundle', 'buy_x_get_y', 'category_sale'];
+
+const parseJSON = (value, fallback) => {
+    if (value && typeof value === 'object') return value;
+    try {
+        return JSON.parse(value) ?? fallback;
+    } catch {
+        return fallback;
+    }
+};
+
+const parseList = value => {
+    const list = parseJSON(value || '[]', []);
+    return Array.isArray(list) ? list : [];
+};
+
+// DATE columns come back as strings from SQLite and Dates from Postgres
+const toDay = value => (value instanceof Date ? value.toISOString() : String(value)).slice(0, 10);
+
+const reject = (message, code) => new APIError(message, 400, code);
+
+// What a line costs after any automatic promotions
+const lineValue = line => line.price * line.quantity - (line.promotionDiscount || 0);
+
+/**
+ * Split an amount in proportion to weights. Rounding leftovers go to the
+ * last weighted share so the shares add up.
+ */
+function split(amount, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const last = weights.findLastIndex(weight => weight > 0);
+    let allocated = 0;
+    return weights.map((weight, i) => {
+        if (total === 0 || weight === 0) return 0;
+        const share = i === last ? amount - allocated : Math.floor(amount * weight / total);
+        allocated += share;
+        return share;
+    });
+}
+
+/**
+ * Order lines in the shape the engine works on, from the product and
+ * variant each item resolved to
+ */
+export function orderLine(product, variant, quantity) {
+    return {
+        productId: product.id,
+        variantId: variant.id,
+        category: product.category,
+        price: variant.price ?? product.price,
+        quantity
+    };
+}
+
+/**
+ * Resolve cart items ({ id, variantId } or, for older carts, { id, color, size })
+ * to priced order lines. Items that no longer exist are left out.
+ */
+export async function resolveOrderLines(items, productService) {
+    const lines = [];
+    for (const item of items || []) {
+        const product = await productService.getById(item.id || item.productId);
+        const variant = product && (item.variantId
+            ? product.variants.find(v => v.id === item.variantId)
+            : product.variants.find(v => v.color === item.color && v.size === item.size));
+        const quantity = parseInt(item.quantity, 10);
+        if (variant && quantity > 0) lines.push(orderLine(product, variant, quantity));
+    }
+    return lines;
+}
+
+/**
+ * Apply a coupon row to order lines. Throws an APIError whose code says why
+ * the coupon was turned down.
+ * @param {Object} coupon - A coupons row, or null if the code wasn't found
+ * @param {Array} lines - { productId, variantId, category, price, quantity, promotionDiscount }
+ * @param {Object} [options] - customerUses is how many times this customer has used it
+ * @returns {{ discount: number, lines: Array }} The total discount and each line's share
+ */
+export function evaluateCoupon(coupon, lines, { customerUses = 0, now = new Date() } = {}) {
+    if (!coupon || !coupon.is_active) throw reject('Invalid coupon code', 'COUPON_NOT_FOUND');
+
+    const today = now.toISOString().slice(0, 10);
+    if (coupon.start_date && toDay(coupon.start_date) > today) {
+        throw reject('This coupon is not active yet', 'COUPON_NOT_STARTED');
+    }
+    if (coupon.end_date && toDay(coupon.end_date) < today) {
+        throw reject('This coupon has expired', 'COUPON_EXPIRED');
+    }
+    if (coupon.usage_limit && coupon.usage_count >= coupon.usage_limit) {
+        throw reject('This coupon has reached its usage limit.', 'COUPON_EXHAUSTED');
+    }
+    if (coupon.per_customer_limit && customerUses >= coupon.per_customer_limit) {
+        throw reject('You have already used this coupon', 'COUPON_CUSTOMER_LIMIT');
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + lineValue(line), 0);
+    if (subtotal < (coupon.min_order_amount || 0)) {
+        throw reject(`Minimum order amount is ₦${coupon.min_order_amount.toLocaleString()}`, 'COUPON_MIN_ORDER');
+    }
+
+    const products = parseList(coupon.applicable_products);
+    const categories = parseList(coupon.applicable_categories);
+    const restricted = products.length > 0 || categories.length > 0;
+    const breakdown = lines.map(line => ({
+        productId: line.productId,
+        variantId: line.variantId,
+        subtotal: lineValue(line),
+        eligible: !restricted || products.includes(line.productId) || categories.includes(line.category),
+        discount: 0
+    }));
+
+    const eligible = breakdown.filter(line => line.eligible);
+    const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.subtotal, 0);
+    if (eligibleSubtotal === 0) {
+        throw reject('This coupon does not apply to the items in your order', 'COUPON_NOT_APPLICABLE');
+    }
+
+    let discount = 0;
+    if (coupon.type === 'percentage') discount = Math.round(eligibleSubtotal * (coupon.value / 100));
+    else if (coupon.type === 'fixed') discount = coupon.value;
+    if (coupon.max_discount_amount && discount > coupon.max_discount_amount) discount = coupon.max_discount_amount;
+    discount = Math.min(discount, eligibleSubtotal);
+
+    split(discount, eligible.map(line => line.subtotal)).forEach((share, i) => {
+        eligible[i].discount = share;
+    });
+
+    return { discount, lines: breakdown };
+}
+
+async function countCustomerUses(couponId, email, db = adapter) {
+    if (!email) return 0;
+    const row = await db.one(
+        'SELECT COUNT(*) AS count FROM coupon_usage WHERE coupon_id = $1 AND LOWER(customer_email) = LOWER($2)',
+        [couponId, email]
+    );
+    return parseInt(row.count, 10);
+}
+
+/**
+ * Look up a coupon by code and apply it to the order lines. Without an email
+ * the per-customer limit is left for checkout to enforce.
+ * @returns {Promise<{ coupon: Object, discount: number, lines: Array }>}
+ */
+export async function applyCoupon(code, lines, { email } = {}) {
+    const coupon = await adapter.one('SELECT * FROM coupons WHERE code = $1', [String(code).trim().toUpperCase()]);
+    const customerUses = coupon ? await countCustomerUses(coupon.id, email) : 0;
+    return { coupon, ...evaluateCoupon(coupon, lines, { customerUses }) };
+}
+
+/**
+ * Record a redemption inside the order's transaction. The usage_count
+ * increment is conditional on the usage limit, and the customer's uses are
+ * counted again, so two concurrent checkouts cannot both take the last use.
+ */
+export async function redeemCoupon(tx, { coupon, discount }, orderId, email) {
+    const result = await tx.exec(`
+        UPDATE coupons SET usage_count = usage_count + 1
+        WHERE id = $1 AND (usage_limit IS NULL OR usage_count < usage_limit)
+    `, [coupon.id]);
+    if (result.rowCount === 0) {
+        throw reject('This coupon has reached its usage limit.', 'COUPON_EXHAUSTED');
+    }
+    if (coupon.per_customer_limit && await countCustomerUses(coupon.id, email, tx) >= coupon.per_customer_limit) {
+        throw reject('You have already used this coupon', 'COUPON_CUSTOMER_LIMIT');
+    }
+
+    await tx.exec(
+        'INSERT INTO coupon_usage (coupon_id, order_id, customer_email, discount_amount) VALUES ($1, $2, $3, $4)',
+        [coupon.id, orderId, email, discount]
+    );
+}
+
+// ==========================================
+// AUTOMATIC PROMOTIONS
+// ==========================================
+
+const toRules = promotion => parseJSON(promotion.rules, {});
+
+const matches = (rules, unit) => {
+    const products = parseList(rules.products);
+    const categories = parseList(rules.categories);
+    if (products.length === 0 && categories.length === 0) return true;
+    return products.includes(unit.productId) || categories.includes(unit.category);
+};
+
+/**
+ * Give each unit its promotion's discount, splitting a group discount (a
+ * bundle) across the units in it by price
+ */
+function discountUnits(units, amount) {
+    split(amount, units.map(unit => unit.price)).forEach((share, i) => {
+        units[i].discount += share;
+        units[i].used = true;
+    });
+}
+
+const ITEM_PROMOTIONS = {
+    // Fixed price for one of each listed product, as many times as the cart allows
+    bundle(rules, units) {
+        const needed = parseList(rules.products);
+        let discount = 0;
+        for (;;) {
+            const picked = [];
+            for (const productId of needed) {
+                const unit = units.find(u => !u.used && !picked.includes(u) && u.productId === productId);
+                if (!unit) return discount;
+                picked.push(unit);
+            }
+            const saving = picked.reduce((sum, unit) => sum + unit.price, 0) - rules.price;
+            if (saving <= 0) return discount;
+            discountUnits(picked, saving);
+            discount += saving;
+        }
+    },
+
+    // In each set of buy + get matching units, most expensive first, the cheapest get units are free
+    buy_x_get_y(rules, units) {
+        const setSize = rules.buyQuantity + rules.getQuantity;
+        const eligible = units.filter(u => !u.used && matches(rules, u)).sort((a, b) => b.price - a.price);
+        let discount = 0;
+        for (let start = 0; start + setSize <= eligible.length; start += setSize) {
+            const set = eligible.slice(start, start + setSize);
+            set.forEach(unit => { unit.used = true; });
+            for (const unit of set.slice(rules.buyQuantity)) {
+                unit.discount += unit.price;
+                discount += unit.price;
+            }
+        }
+        return discount;
+    },
+
+    category_sale(rules, units) {
+        let discount = 0;
+        for (const unit of units.filter(u => !u.used && matches(rules, u))) {
+            const saving = Math.round(unit.price * rules.percent / 100);
+            unit.discount += saving;
+            unit.used = true;
+            discount += saving;
+        }
+        return discount;
+    }
+};
+
+/**
+ * Apply automatic promotions to order lines
+ * @param {Array} promotions - promotions rows, in the order they were created
+ * @param {Array} lines - { productId, variantId, category, price, quantity }
+ * @returns {{ discount: number, applied: Array, lines: Array }} applied lists the promotions
+ *   that took something off and by how much; lines gives each line's promotionDiscount
+ */
+export function applyPromotions(promotions, lines) {
+    const units = lines.flatMap((line, index) => Array.from({ length: line.quantity }, () => ({
+        index, productId: line.productId, category: line.category, price: line.price, discount: 0, used: false
+    })));
+    const applied = [];
+
+    for (const type of ITEM_PROMOTION_ORDER) {
+        for (const promotion of promotions.filter(p => p.type === type)) {
+            const discount = ITEM_PROMOTIONS[type](toRules(promotion), units);
+            if (discount > 0) applied.push({ promotion, discount });
+        }
+    }
+
+    const lineDiscounts = lines.map((line, index) => units
+        .filter(unit => unit.index === index)
+        .reduce((sum, unit) => sum + unit.discount, 0));
+    const remaining = lines.map((line, index) => line.price * line.quantity - lineDiscounts[index]);
+    const base = remaining.reduce((sum, value) => sum + value, 0);
+
+    // Only the best spend threshold counts
+    let best = null;
+    for (const promotion of promotions.filter(p => p.type === 'spend_threshold')) {
+        const tiers = parseList(toRules(promotion).tiers).filter(tier => base >= tier.minSubtotal);
+        const discount = Math.min(base, Math.max(0, ...tiers.map(tier => tier.discount)));
+        if (discount > 0 && (!best || discount > best.discount)) best = { promotion, discount };
+    }
+    if (best) {
+        applied.push(best);
+        split(best.discount, remaining).forEach((share, index) => { lineDiscounts[index] += share; });
+    }
+
+    return {
+        discount: applied.reduce((sum, a) => sum + a.discount, 0),
+        applied: applied.map(({ promotion, discount }) => ({
+            id: promotion.id,
+            name: promotion.name,
+            type: promotion.type,
+            combinesWithCoupons: Boolean(promotion.combines_with_coupons),
+            discount
+        })),
+        lines: lines.map((line, index) => ({ ...line, promotionDiscount: lineDiscounts[index] }))
+    };
+}
+
+/**
+ * Promotions running now, oldest first
+ */
+export function getActivePromotions(now = new Date()) {
+    return adapter.many(`
+        SELECT * FROM promotions
+        WHERE is_active = $1 AND (starts_at IS NULL OR starts_at <= $2) AND (ends_at IS NULL OR ends_at > $2)
+        ORDER BY created_at, id
+    `, [true, now]);
+}
+
+/**
+ * Everything taken off an order: automatic promotions, then the coupon if a
+ * code was entered, and the shipping charged. Throws with the coupon's
+ * rejection code if it's turned down.
+ * @returns {Promise<Object>} subtotal, promotions, promotionDiscount, coupon,
+ *   couponDiscount, discount (the two together), shipping, shippingDiscount
+ *   (what a free shipping coupon saved) and per-line amounts
+ */
+export async function priceOrder(lines, { code, email, shippingMethod = 'standard' } = {}) {
+    const promotions = applyPromotions(await getActivePromotions(), lines);
+
+    let coupon = null;
+    if (code) {
+        const exclusive = promotions.applied.find(p => !p.combinesWithCoupons);
+        if (exclusive) {
+            throw reject(`Coupons can't be used with ${exclusive.name}`, 'COUPON_NOT_COMBINABLE');
+        }
+        coupon = await applyCoupon(code, promotions.lines, { email });
+    }
+
+    const couponDiscount = coupon?.discount || 0;
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const shippingSettings = await getShippingSettings();
+    const fullShipping = calculateShipping(shippingSettings, { method: shippingMethod, subtotal });
+    const freeShipping = coupon?.coupon.type === 'free_shipping';
+    return {
+        subtotal,
+        promotions: promotions.applied,
+        promotionDiscount: promotions.discount,
+        coupon: coupon?.coupon || null,
+        couponDiscount,
+        discount: promotions.discount + couponDiscount,
+        shippingMethod,
+        shipping: freeShipping ? 0 : fullShipping,
+        shippingDiscount: freeShipping ? fullShipping : 0,
+        lines: promotions.lines.map((line, index) => ({
+            productId: line.productId,
+            variantId: line.variantId,
+            subtotal: line.price * line.quantity,
+            promotionDiscount: line.promotionDiscount,
+            couponDiscount: coupon?.lines[index].discount || 0
+        }))
+    };
+}
+
+// ==========================================
+// ADMIN
+// ==========================================
+
+const positiveInt = value => Number.isInteger(value) && value > 0;
+const idList = value => Array.isArray(value) && value.every(id => typeof id === 'string' && id.length > 0);
+
+/**
+ * Check the rules of a coupon, or of every code in a batch, and return them
+ * as coupons columns. Usage limits are left to the caller.
+ */
+export function validateCouponRules(data) {
+    if (!COUPON_TYPES.includes(data.type)) {
+        throw new APIError(`Coupon type must be one of ${COUPON_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    // Free shipping coupons take nothing off the items
+    const value = data.type === 'free_shipping' ? 0 : parseInt(data.value, 10);
+    if (data.type !== 'free_shipping' && !(value > 0)) {
+        throw new APIError('Discount value is required', 400, 'VALIDATION_ERROR');
+    }
+    if (data.type === 'percentage' && value > 100) {
+        throw new APIError('A percentage discount must be 1-100% off', 400, 'VALIDATION_ERROR');
+    }
+    return {
+        type: data.type,
+        value,
+        min_order_amount: parseInt(data.min_order_amount, 10) || 0,
+        max_discount_amount: parseInt(data.max_discount_amount, 10) || null,
+        start_date: data.start_date || null,
+        end_date: data.end_date || null,
+        applicable_categories: idList(data.applicable_categories) ? data.applicable_categories : [],
+        applicable_products: idList(data.applicable_products) ? data.applicable_products : []
+    };
+}
+
+/**
+ * Check a promotion's rules for its type and return them in stored form
+ */
+function validateRules(type, rules = {}) {
+    const invalid = message => new APIError(message, 400, 'INVALID_PROMOTION');
+    const filters = {
+        products: idList(rules.products) ? rules.products : [],
+        categories: idList(rules.categories) ? rules.categories : []
+    };
+
+    switch (type) {
+        case 'buy_x_get_y':
+            if (!positiveInt(rules.buyQuantity) || !positiveInt(rules.getQuantity)) {
+                throw invalid('Buy and get quantities must be whole numbers above 0');
+            }
+            return { buyQuantity: rules.buyQuantity, getQuantity: rules.getQuantity, ...filters };
+        case 'spend_threshold': {
+            const tiers = Array.isArray(rules.tiers) ? rules.tiers : [];
+            if (tiers.length === 0 || !tiers.every(t => positiveInt(t.minSubtotal) && positiveInt(t.discount))) {
+                throw invalid('Each spend tier needs a minimum spend and an amount off');
+            }
+            if (tiers.some(t => t.discount >= t.minSubtotal)) throw invalid('A tier can\'t take off more than its minimum spend');
+            return {
+                tiers: tiers.map(t => ({ minSubtotal: t.minSubtotal, discount: t.discount }))
+                    .sort((a, b) => a.minSubtotal - b.minSubtotal)
+            };
+        }
+        case 'category_sale':
+            if (filters.categories.length === 0) throw invalid('Choose at least one category');
+            if (!positiveInt(rules.percent) || rules.percent > 100) throw invalid('The sale must be 1-100% off');
+            return { categories: filters.categories, percent: rules.percent };
+        case 'bundle':
+            if (!idList(rules.products) || rules.products.length < 2) throw invalid('A bundle needs at least two products');
+            if (!positiveInt(rules.price)) throw invalid('A bundle needs a price');
+            return { products: rules.products, price: rules.price };
+        default:
+            throw invalid(`Promotion type must be one of ${PROMOTION_TYPES.join(', ')}`);
+    }
+}
+
+function formatPromotion(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        rules: toRules(row),
+        combinesWithCoupons: Boolean(row.combines_with_coupons),
+        startsAt: toTimestamp(row.starts_at),
+        endsAt: toTimestamp(row.ends_at),
+        isActive: Boolean(row.is_active),
+        createdAt: toTimestamp(row.created_at)
+    };
+}
+
+export async function listPromotions() {
+    const rows = await adapter.many('SELECT * FROM promotions ORDER BY created_at DESC, id');
+    return rows.map(formatPromotion);
+}
+
+export async function createPromotion(data, createdBy = null) {
+    const name = String(data.name || '').trim();
+    if (name.length < 2 || name.length > 100) {
+        throw new APIError('Name must be 2-100 characters', 400, 'VALIDATION_ERROR');
+    }
+    const rules = validateRules(data.type, data.rules);
+    const startsAt = data.startsAt ? new Date(data.startsAt) : null;
+    const endsAt = data.endsAt ? new Date(data.endsAt) : null;
+    if ((startsAt && isNaN(startsAt)) || (endsAt && isNaN(endsAt)) || (startsAt && endsAt && endsAt <= startsAt)) {
+        throw new APIError('The end date must be after the start date', 400, 'INVALID_PROMOTION_DATES');
+    }
+
+    const id = `PRM-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    await adapter.exec(`
+        INSERT INTO promotions (id, name, type, rules, combines_with_coupons, starts_at, ends_at, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [id, name, data.type, JSON.stringify(rules), data.combinesWithCoupons !== false, startsAt, endsAt, createdBy]);
+    console.log(`[PROMOTIONS] Created ${id} (${data.type}): ${name}`);
+    return formatPromotion(await adapter.one('SELECT * FROM promotions WHERE id = $1', [id]));
+}
+
+export async function setPromotionActive(id, isActive) {
+    const result = await adapter.exec(
+        'UPDATE promotions SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [Boolean(isActive), id]
+    );
+    if (result.rowCount === 0) throw new APIError('Promotion not found', 404, 'PROMOTION_NOT_FOUND');
+    return formatPromotion(await adapter.one('SELECT * FROM promotions WHERE id = $1', [id]));
+}
+
+export async function deletePromotion(id) {
+    const result = await adapter.exec('DELETE FROM promotions WHERE id = $1', [id]);
+    if (result.rowCount === 0) throw new APIError('Promotion not found', 404, 'PROMOTION_NOT_FOUND');
+}
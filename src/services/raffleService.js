@@ -0,0 +1,521 @@
+/**
+ * LA VAGUE - Raffles
+ * A raffle sells a set number of one variant by draw. Customers enter during
+ * the entry window, once per email, phone number and account, with a cap on
+ * entries from one IP address to slow down bots.
+ *
+ * When the window closes every entry is given a ticket, the HMAC of its ID
+ * keyed with the raffle's seed, and the draw order is the tickets sorted.
+ * The seed's hash is shown from the start and the seed itself once drawn, so
+ * the draw can be checked but not steered. Winners are emailed a checkout
+ * link and their item is held for them for claim_hours; a win that isn't
+ * claimed in time lapses and the slot goes to the next entrant in the draw.
+ */
+
+import crypto from 'crypto';
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { toTimestamp } from '../utils/dates.js';
+import { firstImage } from './cartService.js';
+import { sendRaffleWin, isEmailConfigured } from '../../email-templates/index.js';
+
+const DEFAULT_CLAIM_HOURS = 24;
+const MAX_CLAIM_HOURS = 7 * 24;
+const MAX_QUANTITY = 1000;
+
+// Households and offices share addresses, so this is a speed bump, not a rule
+const MAX_ENTRIES_PER_IP = 3;
+
+const EMAIL_ENABLED = process.env.EMAIL_TEST_MODE !== 'true' && isEmailConfigured();
+const EMAIL_TEST_MODE = process.env.EMAIL_TEST_MODE === 'true';
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * An entry's place in the draw, before sorting
+ */
+export const drawTicket = (seed, entryId) => crypto.createHmac('sha256', seed).update(String(entryId)).digest('hex');
+
+// A winner's stock is held under this reference until they check out
+const holdReference = entry => `${entry.raffle_id}-${entry.id}`;
+
+/**
+ * One entry per mailbox: case, "+tag" suffixes and Gmail's dots don't make
+ * a new address
+ */
+export function normalizeEntryEmail(email) {
+    const [local = '', domain = ''] = String(email ?? '').trim().toLowerCase().split('@');
+    let name = local.split('+')[0];
+    if (domain === 'gmail.com' || domain === 'googlemail.com') name = name.replace(/\./g, '');
+    return name && domain ? `${name}@${domain}` : null;
+}
+
+/**
+ * One entry per phone: the last 10 digits, so +234 803… and 0803… match
+ * @returns {string|null} null if too short to be a phone number
+ */
+export function normalizeEntryPhone(phone) {
+    const digits = String(phone ?? '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+/**
+ * Where a raffle is: 'upcoming', 'open', 'closed' (waiting for its draw),
+ * 'drawn' or 'cancelled'
+ */
+function raffleState(raffle, now = Date.now()) {
+    if (raffle.status !== 'open') return raffle.status;
+    if (now < Date.parse(toTimestamp(raffle.opens_at))) return 'upcoming';
+    return now < Date.parse(toTimestamp(raffle.closes_at)) ? 'open' : 'closed';
+}
+
+async function getRaffleRow(raffleId) {
+    const raffle = await adapter.one(`
+        SELECT r.*, p.name AS product_name, p.slug, p.images, v.color, v.size,
+            COALESCE(v.price, p.price) AS price,
+            (SELECT COUNT(*) FROM raffle_entries e WHERE e.raffle_id = r.id) AS entry_count
+        FROM raffles r
+        JOIN products p ON p.id = r.product_id
+        JOIN product_variants v ON v.id = r.variant_id
+        WHERE r.id = $1
+    `, [raffleId]);
+    if (!raffle) throw new APIError('Raffle not found', 404, 'RAFFLE_NOT_FOUND');
+    return raffle;
+}
+
+function formatRaffle(raffle) {
+    const status = raffleState(raffle);
+    return {
+        id: raffle.id,
+        productId: raffle.product_id,
+        productName: raffle.product_name,
+        slug: raffle.slug,
+        image: firstImage(raffle.images),
+        variant: { id: raffle.variant_id, color: raffle.color, size: raffle.size },
+        price: raffle.price,
+        quantity: raffle.quantity,
+        opensAt: toTimestamp(raffle.opens_at),
+        closesAt: toTimestamp(raffle.closes_at),
+        claimHours: raffle.claim_hours,
+        status,
+        entryCount: parseInt(raffle.entry_count, 10),
+        seedHash: raffle.seed_hash,
+        // Revealed only once it can no longer change who wins
+        seed: status === 'drawn' ? raffle.seed : null,
+        drawnAt: toTimestamp(raffle.drawn_at)
+    };
+}
+
+function toDate(value, field) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (!value || isNaN(date)) throw new APIError(`A valid ${field} is required`, 400, 'INVALID_RAFFLE_DATES');
+    return date;
+}
+
+/**
+ * @param {{productId: string, variantId: string, quantity: number, opensAt: string|Date,
+ *   closesAt: string|Date, claimHours?: number}} data
+ * @param {string} [createdBy] - Admin email
+ */
+export async function createRaffle(data, createdBy = null) {
+    const variant = await adapter.one(
+        'SELECT id FROM product_variants WHERE id = $1 AND product_id = $2',
+        [data.variantId, data.productId]
+    );
+    if (!variant) throw new APIError('Choose a variant of this product', 400, 'INVALID_VARIANT');
+
+    const quantity = Number(data.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+        throw new APIError(`Quantity must be between 1 and ${MAX_QUANTITY}`, 400, 'VALIDATION_ERROR');
+    }
+    const claimHours = data.claimHours === undefined || data.claimHours === ''
+        ? DEFAULT_CLAIM_HOURS
+        : Number(data.claimHours);
+    if (!Number.isInteger(claimHours) || claimHours < 1 || claimHours > MAX_CLAIM_HOURS) {
+        throw new APIError(`Claim time must be between 1 and ${MAX_CLAIM_HOURS} hours`, 400, 'VALIDATION_ERROR');
+    }
+
+    const opensAt = toDate(data.opensAt, 'opening time');
+    const closesAt = toDate(data.closesAt, 'closing time');
+    if (closesAt <= opensAt || closesAt <= new Date()) {
+        throw new APIError('Entries must close after they open, and in the future', 400, 'INVALID_RAFFLE_DATES');
+    }
+
+    const id = `RAF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const seed = crypto.randomBytes(32).toString('hex');
+    await adapter.exec(`
+        INSERT INTO raffles (id, product_id, variant_id, quantity, opens_at, closes_at, claim_hours, seed, seed_hash, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [id, data.productId, data.variantId, quantity, opensAt, closesAt, claimHours, seed, hashToken(seed), createdBy]);
+
+    console.log(`[RAFFLES] Created ${id} for ${data.variantId} (${quantity} to win)`);
+    return getRaffle(id);
+}
+
+export async function getRaffle(raffleId) {
+    return formatRaffle(await getRaffleRow(raffleId));
+}
+
+/**
+ * Raffles for the admin list, newest first, with how many have won and claimed
+ */
+export async function listRaffles() {
+    const rows = await adapter.many(`
+        SELECT r.*, p.name AS product_name, p.slug, p.images, v.color, v.size,
+            COALESCE(v.price, p.price) AS price,
+            (SELECT COUNT(*) FROM raffle_entries e WHERE e.raffle_id = r.id) AS entry_count,
+            (SELECT COUNT(*) FROM raffle_entries e WHERE e.raffle_id = r.id AND e.status = 'won') AS won_count,
+            (SELECT COUNT(*) FROM raffle_entries e WHERE e.raffle_id = r.id AND e.status = 'claimed') AS claimed_count
+        FROM raffles r
+        JOIN products p ON p.id = r.product_id
+        JOIN product_variants v ON v.id = r.variant_id
+        ORDER BY r.created_at DESC, r.id
+    `);
+    return rows.map(row => ({
+        ...formatRaffle(row),
+        wonCount: parseInt(row.won_count, 10),
+        claimedCount: parseInt(row.claimed_count, 10)
+    }));
+}
+
+/**
+ * Raffles a product page can take entries for, or soon will
+ */
+export async function listProductRaffles(productId) {
+    const rows = await adapter.many(`
+        SELECT r.*, p.name AS product_name, p.slug, p.images, v.color, v.size,
+            COALESCE(v.price, p.price) AS price,
+            (SELECT COUNT(*) FROM raffle_entries e WHERE e.raffle_id = r.id) AS entry_count
+        FROM raffles r
+        JOIN products p ON p.id = r.product_id
+        JOIN product_variants v ON v.id = r.variant_id
+        WHERE r.product_id = $1 AND r.status = 'open' AND r.closes_at > ${adapter.dialect.now}
+        ORDER BY r.closes_at
+    `, [productId]);
+    return rows.map(formatRaffle);
+}
+
+/**
+ * A raffle with every entry and a check of its draw, for admins
+ */
+export async function getRaffleDetails(raffleId) {
+    const raffle = await getRaffleRow(raffleId);
+    const entries = await adapter.many(`
+        SELECT * FROM raffle_entries WHERE raffle_id = $1
+        ORDER BY draw_position IS NULL, draw_position, id
+    `, [raffleId]);
+
+    const drawn = raffle.drawn_at !== null && raffle.drawn_at !== undefined;
+    const expected = drawn
+        ? entries.filter(e => e.draw_position !== null)
+            .map(e => ({ id: e.id, ticket: drawTicket(raffle.seed, e.id) }))
+            .sort((a, b) => a.ticket.localeCompare(b.ticket))
+        : [];
+
+    return {
+        ...formatRaffle(raffle),
+        audit: {
+            seedHash: raffle.seed_hash,
+            seed: drawn ? raffle.seed : null,
+            // The seed matches the hash published at creation, and re-running the draw gives the same order
+            verified: drawn
+                ? hashToken(raffle.seed) === raffle.seed_hash &&
+                  expected.every((e, i) => entries.find(entry => entry.id === e.id).draw_position === i + 1)
+                : null
+        },
+        entries: entries.map(e => ({
+            id: e.id,
+            name: e.name,
+            email: e.email,
+            phone: e.phone,
+            customerId: e.customer_id,
+            ipAddress: e.ip_address,
+            status: e.status,
+            drawPosition: e.draw_position,
+            ticket: drawn && e.draw_position !== null ? drawTicket(raffle.seed, e.id) : null,
+            wonAt: toTimestamp(e.won_at),
+            claimExpiresAt: toTimestamp(e.claim_expires_at),
+            orderId: e.order_id,
+            createdAt: toTimestamp(e.created_at)
+        }))
+    };
+}
+
+/**
+ * Enter a raffle
+ * @param {{name: string, email: string, phone: string}} entrant
+ * @param {{customerId?: string, ipAddress?: string}} [source]
+ */
+export async function enterRaffle(raffleId, { name, email, phone }, { customerId = null, ipAddress = null } = {}) {
+    const raffle = await getRaffleRow(raffleId);
+    if (raffleState(raffle) !== 'open') {
+        throw new APIError('This raffle is not taking entries', 400, 'RAFFLE_NOT_OPEN');
+    }
+
+    const normalizedEmail = normalizeEntryEmail(email);
+    if (!normalizedEmail) throw new APIError('Valid email is required', 400, 'VALIDATION_ERROR');
+    const normalizedPhone = normalizeEntryPhone(phone);
+    if (!normalizedPhone) throw new APIError('Valid phone number is required', 400, 'VALIDATION_ERROR');
+
+    await adapter.transaction(async tx => {
+        const duplicate = await tx.one(`
+            SELECT id FROM raffle_entries
+            WHERE raffle_id = $1 AND (email = $2 OR phone = $3 OR customer_id = $4)
+            LIMIT 1
+        `, [raffle.id, normalizedEmail, normalizedPhone, customerId]);
+        if (duplicate) throw new APIError("You've already entered this raffle", 409, 'ALREADY_ENTERED');
+
+        if (ipAddress) {
+            const { count } = await tx.one(
+                'SELECT COUNT(*) AS count FROM raffle_entries WHERE raffle_id = $1 AND ip_address = $2',
+                [raffle.id, ipAddress]
+            );
+            if (parseInt(count, 10) >= MAX_ENTRIES_PER_IP) {
+                throw new APIError('Too many entries from this network', 429, 'TOO_MANY_ENTRIES');
+            }
+        }
+
+        await tx.exec(`
+            INSERT INTO raffle_entries (raffle_id, customer_id, name, email, phone, ip_address)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [raffle.id, customerId, String(name).trim(), normalizedEmail, normalizedPhone, ipAddress]);
+    });
+
+    return { raffleId: raffle.id, closesAt: toTimestamp(raffle.closes_at) };
+}
+
+/**
+ * Offer a slot to one entrant: hold their item and email them a claim link.
+ * @returns {Promise<boolean>} false if the entry was already offered a slot
+ */
+async function offerSlot(raffle, entry, inventoryService) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + raffle.claim_hours * 60 * 60 * 1000);
+
+    const offered = await adapter.transaction(async tx => {
+        const claimed = await tx.exec(`
+            UPDATE raffle_entries
+            SET status = 'won', claim_token_hash = $1, claim_expires_at = $2, won_at = CURRENT_TIMESTAMP
+            WHERE id = $3 AND status = 'entered'
+        `, [hashToken(token), expiresAt, entry.id]);
+        if (claimed.rowCount === 0) return false;
+
+        await inventoryService.reserveItems(
+            [{ variantId: raffle.variant_id, quantity: 1, name: raffle.product_name }],
+            holdReference(entry),
+            { holdMinutes: raffle.claim_hours * 60 }
+        );
+        return true;
+    });
+    if (!offered) return false;
+
+    const link = `${process.env.FRONTEND_URL || 'https://la-vague.store'}/checkout?raffle=${token}`;
+    if (EMAIL_TEST_MODE) {
+        console.log('[EMAIL TEST MODE] Would send email:', { to: entry.email, type: 'raffle_win', raffle: raffle.id });
+    } else if (EMAIL_ENABLED) {
+        try {
+            await sendRaffleWin(entry.email, formatRaffle(raffle), { name: entry.name, link, expiresAt });
+        } catch (error) {
+            console.error(`[RAFFLES] Win email for entry ${entry.id} failed:`, error.message);
+        }
+    }
+    return true;
+}
+
+/**
+ * Offer every open slot to the next entrants in draw order. Stops early if
+ * the item runs out of stock; the next run tries again.
+ * @returns {Promise<number>} Slots offered
+ */
+async function fillSlots(raffleId, inventoryService) {
+    const raffle = await getRaffleRow(raffleId);
+    if (raffle.status !== 'drawn') return 0;
+
+    const { taken } = await adapter.one(
+        "SELECT COUNT(*) AS taken FROM raffle_entries WHERE raffle_id = $1 AND status IN ('won', 'claimed')",
+        [raffle.id]
+    );
+    const open = raffle.quantity - parseInt(taken, 10);
+    if (open <= 0) return 0;
+
+    const next = await adapter.many(`
+        SELECT * FROM raffle_entries WHERE raffle_id = $1 AND status = 'entered' AND draw_position IS NOT NULL
+        ORDER BY draw_position LIMIT ${open}
+    `, [raffle.id]);
+
+    let offered = 0;
+    for (const entry of next) {
+        try {
+            if (await offerSlot(raffle, entry, inventoryService)) offered++;
+        } catch (error) {
+            console.warn(`[RAFFLES] Could not hold ${raffle.variant_id} for ${raffle.id}:`, error.message);
+            break;
+        }
+    }
+    if (offered > 0) console.log(`[RAFFLES] Offered ${offered} slot(s) in ${raffle.id}`);
+    return offered;
+}
+
+/**
+ * Draw a raffle whose entries have closed and offer its slots
+ * @param {{early?: boolean}} [options] - early closes entries to a raffle still taking them
+ */
+export async function drawRaffle(raffleId, inventoryService, { early = false } = {}) {
+    const raffle = await getRaffleRow(raffleId);
+    const state = raffleState(raffle);
+    if (state !== 'closed' && !(early && state === 'open')) {
+        throw new APIError(
+            state === 'drawn' ? 'This raffle has already been drawn' : `A ${state} raffle can't be drawn`,
+            400,
+            'RAFFLE_NOT_CLOSED'
+        );
+    }
+
+    const drawn = await adapter.transaction(async tx => {
+        const claimed = await tx.exec(`
+            UPDATE raffles SET status = 'drawn', drawn_at = CURRENT_TIMESTAMP,
+                closes_at = CASE WHEN closes_at > CURRENT_TIMESTAMP THEN CURRENT_TIMESTAMP ELSE closes_at END
+            WHERE id = $1 AND status = 'open'
+        `, [raffle.id]);
+        if (claimed.rowCount === 0) return null;
+
+        const entries = await tx.many('SELECT id FROM raffle_entries WHERE raffle_id = $1', [raffle.id]);
+        const order = entries
+            .map(entry => ({ id: entry.id, ticket: drawTicket(raffle.seed, entry.id) }))
+            .sort((a, b) => a.ticket.localeCompare(b.ticket));
+        for (const [i, entry] of order.entries()) {
+            await tx.exec('UPDATE raffle_entries SET draw_position = $1 WHERE id = $2', [i + 1, entry.id]);
+        }
+        return order.length;
+    });
+    if (drawn === null) throw new APIError('This raffle has already been drawn', 400, 'RAFFLE_NOT_CLOSED');
+
+    console.log(`[RAFFLES] Drew ${raffle.id} from ${drawn} entries`);
+    await fillSlots(raffle.id, inventoryService);
+    return getRaffleDetails(raffle.id);
+}
+
+/**
+ * Cancel a raffle. Unclaimed wins lapse and their holds are released;
+ * orders already placed from it stand.
+ */
+export async function cancelRaffle(raffleId, inventoryService) {
+    const raffle = await getRaffleRow(raffleId);
+    if (raffle.status === 'cancelled') throw new APIError('This raffle is already cancelled', 400, 'RAFFLE_CANCELLED');
+
+    await adapter.transaction(async tx => {
+        await tx.exec("UPDATE raffles SET status = 'cancelled' WHERE id = $1", [raffle.id]);
+        const wins = await tx.many("SELECT * FROM raffle_entries WHERE raffle_id = $1 AND status = 'won'", [raffle.id]);
+        for (const entry of wins) {
+            await inventoryService.cancelReservation(holdReference(entry));
+        }
+        await tx.exec("UPDATE raffle_entries SET status = 'lapsed' WHERE raffle_id = $1 AND status = 'won'", [raffle.id]);
+    });
+    console.log(`[RAFFLES] Cancelled ${raffle.id}`);
+    return getRaffleDetails(raffle.id);
+}
+
+/**
+ * Draw raffles that have closed, lapse wins that weren't claimed in time and
+ * pass their slots on. Run on a timer.
+ */
+export async function runRaffles(inventoryService) {
+    const due = await adapter.many(
+        `SELECT id FROM raffles WHERE status = 'open' AND closes_at <= ${adapter.dialect.now}`
+    );
+    for (const { id } of due) {
+        try {
+            await drawRaffle(id, inventoryService);
+        } catch (error) {
+            console.error(`[RAFFLES] Draw for ${id} failed:`, error.message);
+        }
+    }
+
+    const lapsed = await adapter.many(
+        `SELECT * FROM raffle_entries WHERE status = 'won' AND claim_expires_at <= ${adapter.dialect.now}`
+    );
+    for (const entry of lapsed) {
+        await adapter.transaction(async tx => {
+            const result = await tx.exec(
+                "UPDATE raffle_entries SET status = 'lapsed' WHERE id = $1 AND status = 'won'",
+                [entry.id]
+            );
+            if (result.rowCount > 0) await inventoryService.cancelReservation(holdReference(entry));
+        });
+    }
+    if (lapsed.length > 0) console.log(`[RAFFLES] ${lapsed.length} unclaimed win(s) lapsed`);
+
+    // Raffles with slots to pass on, including any that ran out of stock last time
+    const open = await adapter.many(`
+        SELECT r.id FROM raffles r
+        WHERE r.status = 'drawn'
+          AND (SELECT COUNT(*) FROM raffle_entries e WHERE e.raffle_id = r.id AND e.status IN ('won', 'claimed')) < r.quantity
+          AND EXISTS (SELECT 1 FROM raffle_entries e WHERE e.raffle_id = r.id AND e.status = 'entered')
+    `);
+    for (const { id } of open) {
+        try {
+            await fillSlots(id, inventoryService);
+        } catch (error) {
+            console.error(`[RAFFLES] Passing on slots in ${id} failed:`, error.message);
+        }
+    }
+}
+
+async function findClaim(token) {
+    const entry = await adapter.one(
+        'SELECT * FROM raffle_entries WHERE claim_token_hash = $1',
+        [hashToken(String(token ?? ''))]
+    );
+    if (!entry) throw new APIError('This raffle link is invalid', 404, 'CLAIM_NOT_FOUND');
+
+    const raffle = await getRaffleRow(entry.raffle_id);
+    if (entry.status === 'claimed') throw new APIError('This win has already been claimed', 410, 'CLAIM_USED');
+    if (entry.status !== 'won' || raffle.status !== 'drawn' ||
+        Date.parse(toTimestamp(entry.claim_expires_at)) <= Date.now()) {
+        throw new APIError('This raffle win has expired', 410, 'CLAIM_EXPIRED');
+    }
+    return { entry, raffle };
+}
+
+/**
+ * What a winner's checkout link is for
+ */
+export async function getRaffleClaim(token) {
+    const { entry, raffle } = await findClaim(token);
+    return {
+        raffle: formatRaffle(raffle),
+        name: entry.name,
+        email: entry.email,
+        expiresAt: toTimestamp(entry.claim_expires_at)
+    };
+}
+
+/**
+ * Check an order placed from a winner's link: it must be for just the won
+ * item, one of it, by the winner
+ * @returns {Promise<{entry: Object, raffle: Object}>}
+ */
+export async function checkRaffleClaim(token, { items, email }) {
+    const claim = await findClaim(token);
+    const [item] = items;
+    if (items.length !== 1 || item.variantId !== claim.raffle.variant_id || Number(item.quantity) !== 1) {
+        throw new APIError('A raffle win can only be checked out on its own', 400, 'RAFFLE_ITEMS');
+    }
+    if (normalizeEntryEmail(email) !== claim.entry.email) {
+        throw new APIError('Use the email address you entered the raffle with', 403, 'RAFFLE_EMAIL');
+    }
+    return claim;
+}
+
+/**
+ * Mark a win claimed by an order and let go of its hold, so the order's own
+ * reservation can take the stock. Run inside the order's transaction.
+ */
+export async function redeemRaffleClaim({ entry }, orderId, inventoryService) {
+    const result = await adapter.exec(`
+        UPDATE raffle_entries SET status = 'claimed', order_id = $1
+        WHERE id = $2 AND status = 'won' AND claim_expires_at > ${adapter.dialect.now}
+    `, [orderId, entry.id]);
+    if (result.rowCount === 0) throw new APIError('This raffle win has expired', 410, 'CLAIM_EXPIRED');
+    await inventoryService.cancelReservation(holdReference(entry));
+}
@@ -0,0 +1,242 @@
+/**
+ * LA VAGUE - Payment Reconciliation
+ * Cross-checks orders against what the payment provider actually settled.
+ * Runs nightly (see scheduleReconciliation), from the admin dashboard and
+ * with `npm run reconcile`. Each run:
+ *  - re-verifies gateway orders still awaiting payment, recording payments
+ *    whose webhook never arrived and payments that failed
+ *  - cancels orders whose payment was never completed, releasing their stock
+ *  - reports what it can't safely fix: amount mismatches, paid orders that
+ *    were cancelled, and payments for orders that don't exist
+ */
+
+import crypto from 'crypto';
+import { adapter } from '../config/db.js';
+import { captureMessage } from '../config/sentry.js';
+import { HOLD_MINUTES } from './inventory.js';
+import { transitionOrder } from './orderStateMachine.js';
+import { verifyPayment } from './paymentService.js';
+import { getPaymentProvider, getPaymentProviderNames } from './payments/index.js';
+
+export const ISSUE_TYPES = ['amount_mismatch', 'paid_cancelled', 'orphan_payment', 'unverified'];
+
+// How far back orders and webhook events are checked
+const LOOKBACK_DAYS = 7;
+
+// A transaction the provider still reports as pending is given this long
+const PENDING_PAYMENT_HOURS = 24;
+
+const ABANDONED_STATUSES = ['failed', 'abandoned'];
+
+let activeRun = null;
+
+const parseJSON = (value, fallback) => {
+    if (!value) return fallback;
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value); } catch { return fallback; }
+};
+
+const toRun = row => row && { ...row, summary: parseJSON(row.summary, {}), issues: parseJSON(row.issues, []) };
+
+async function expireOrder(order, reason, inventoryService) {
+    await transitionOrder(order.id, 'cancelled', { actor: 'reconciliation', reason, inventoryService });
+}
+
+/**
+ * Re-verify gateway orders past their stock hold that still await payment
+ */
+async function reconcilePendingPayments(inventoryService, summary, issues) {
+    const t = adapter.dialect;
+    const methods = getPaymentProviderNames();
+    const orders = await adapter.many(`
+        SELECT *, CASE WHEN created_at < ${t.interval(-PENDING_PAYMENT_HOURS, 'hours')} THEN 1 ELSE 0 END AS overdue
+        FROM orders
+        WHERE COALESCE(payment_status, 'pending') = 'pending'
+        AND order_status IN ('pending', 'cancelled')
+        AND payment_method IN (${methods.map((_, i) => `$${i + 1}`).join(', ')})
+        AND created_at < ${t.interval(-HOLD_MINUTES, 'minutes')}
+        AND created_at > ${t.interval(-LOOKBACK_DAYS, 'days')}
+        ORDER BY created_at
+    `, methods);
+
+    for (const order of orders) {
+        summary.checked++;
+        const issue = {
+            orderId: order.id,
+            reference: order.payment_reference,
+            provider: order.payment_method,
+            amount: order.total
+        };
+        if (!getPaymentProvider(order.payment_method)) {
+            issues.push({ ...issue, type: 'unverified', details: `${order.payment_method} is not configured` });
+            continue;
+        }
+
+        let result;
+        try {
+            result = await verifyPayment(order, inventoryService);
+        } catch (error) {
+            issues.push({ ...issue, type: 'unverified', details: error.message });
+            continue;
+        }
+
+        if (result.verified) {
+            summary.paid++;
+            continue;
+        }
+        if (result.mismatch) {
+            issues.push({ ...issue, type: 'amount_mismatch', details: result.mismatch });
+            continue;
+        }
+
+        if (result.status === 'failed') {
+            await adapter.exec(
+                "UPDATE orders SET payment_status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+                [order.id]
+            );
+            summary.failed++;
+        }
+
+        // No reference means the payment was never started
+        const abandoned = ABANDONED_STATUSES.includes(result.status)
+            || !order.payment_reference
+            || Number(order.overdue) === 1;
+        if (abandoned && order.order_status === 'pending') {
+            await expireOrder(order, `Payment not completed (${result.status})`, inventoryService);
+            summary.expired++;
+        }
+    }
+}
+
+async function findPaidCancelledOrders(issues) {
+    const orders = await adapter.many(`
+        SELECT id, total, payment_method, payment_reference FROM orders
+        WHERE order_status = 'cancelled' AND payment_status = 'paid'
+        ORDER BY created_at
+    `);
+    for (const order of orders) {
+        issues.push({
+            type: 'paid_cancelled',
+            orderId: order.id,
+            reference: order.payment_reference,
+            provider: order.payment_method,
+            amount: order.total,
+            details: 'Order was cancelled after it was paid; refund or reinstate it'
+        });
+    }
+}
+
+/**
+ * Payments the webhook handler turned away: amounts that didn't match an
+ * order that is still unpaid, and payments for orders that don't exist
+ */
+async function findRejectedPayments(issues) {
+    const t = adapter.dialect;
+    const events = await adapter.many(`
+        SELECT w.id, w.provider, w.event_type, w.reference, w.order_id, w.amount, w.status, w.result,
+            (SELECT o.payment_status FROM orders o WHERE o.payment_reference = w.reference OR o.id = w.order_id LIMIT 1) AS payment_status
+        FROM webhook_events w
+        WHERE w.event_type = 'charge.success'
+        AND w.status IN ('rejected', 'ignored')
+        AND w.created_at > ${t.interval(-LOOKBACK_DAYS, 'days')}
+        ORDER BY w.created_at
+    `);
+
+    for (const event of events) {
+        const issue = {
+            orderId: event.order_id,
+            reference: event.reference,
+            provider: event.provider,
+            amount: event.amount,
+            eventId: event.id
+        };
+        if (event.status === 'rejected' && event.payment_status !== 'paid') {
+            if (issues.some(existing => existing.type === 'amount_mismatch' && existing.orderId === event.order_id)) continue;
+            issues.push({ ...issue, type: 'amount_mismatch', details: event.result });
+        } else if (event.status === 'ignored' && !event.payment_status) {
+            issues.push({ ...issue, type: 'orphan_payment', details: 'Payment received for an order that does not exist' });
+        }
+    }
+}
+
+/**
+ * Reconcile payments now. Only one run happens at a time; a call made
+ * while one is in progress gets that run's result.
+ * @param {Object} options
+ * @param {import('./inventory.js').InventoryService} options.inventoryService
+ * @param {'schedule'|'admin'|'cli'} [options.trigger]
+ * @returns {Promise<Object>} The finished run, with its summary and issues
+ */
+export function runReconciliation({ inventoryService, trigger = 'schedule' }) {
+    if (!activeRun) {
+        activeRun = reconcile(inventoryService, trigger).finally(() => { activeRun = null; });
+    }
+    return activeRun;
+}
+
+async function reconcile(inventoryService, trigger) {
+    const runId = `RC-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    await adapter.exec('INSERT INTO reconciliation_runs (id, triggered_by) VALUES ($1, $2)', [runId, trigger]);
+
+    const summary = { checked: 0, paid: 0, failed: 0, expired: 0, issues: 0 };
+    const issues = [];
+    try {
+        await reconcilePendingPayments(inventoryService, summary, issues);
+        await findPaidCancelledOrders(issues);
+        await findRejectedPayments(issues);
+    } catch (error) {
+        console.error('[RECONCILIATION] Run failed:', error.message);
+        await adapter.exec(`
+            UPDATE reconciliation_runs SET status = 'failed', error = $1, summary = $2, issues = $3, finished_at = CURRENT_TIMESTAMP
+            WHERE id = $4
+        `, [error.message, JSON.stringify(summary), JSON.stringify(issues), runId]);
+        throw error;
+    }
+
+    summary.issues = issues.length;
+    await adapter.exec(`
+        UPDATE reconciliation_runs SET status = 'completed', summary = $1, issues = $2, finished_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+    `, [JSON.stringify(summary), JSON.stringify(issues), runId]);
+
+    console.log(`[RECONCILIATION] ${runId}: checked ${summary.checked}, paid ${summary.paid}, failed ${summary.failed}, expired ${summary.expired}, ${issues.length} issue(s)`);
+    if (issues.length > 0) {
+        captureMessage(`Payment reconciliation found ${issues.length} issue(s)`, { level: 'warning', extra: { runId, summary } });
+    }
+    return getReconciliationRun(runId);
+}
+
+export async function getReconciliationRun(id) {
+    return toRun(await adapter.one('SELECT * FROM reconciliation_runs WHERE id = $1', [id]));
+}
+
+export async function listReconciliationRuns({ limit = 30 } = {}) {
+    const rows = await adapter.many(`
+        SELECT id, triggered_by, status, summary, error, started_at, finished_at
+        FROM reconciliation_runs
+        ORDER BY started_at DESC, id DESC
+        LIMIT $1
+    `, [Math.min(Math.max(parseInt(limit) || 30, 1), 100)]);
+    return rows.map(toRun);
+}
+
+/**
+ * Run reconciliation every night at RECONCILIATION_HOUR (server time,
+ * default 02:00)
+ * @param {import('./inventory.js').InventoryService} inventoryService
+ */
+export function scheduleReconciliation(inventoryService) {
+    const hour = parseInt(process.env.RECONCILIATION_HOUR ?? '2', 10);
+
+    const next = new Date();
+    next.setHours(hour, 0, 0, 0);
+    if (next <= new Date()) next.setDate(next.getDate() + 1);
+
+    const timer = setTimeout(() => {
+        runReconciliation({ inventoryService })
+            .catch(error => console.error('[RECONCILIATION] Scheduled run failed:', error.message))
+            .finally(() => scheduleReconciliation(inventoryService));
+    }, next - Date.now());
+    timer.unref?.();
+    return timer;
+}
@@ -0,0 +1,268 @@
+/**
+ * LA VAGUE - Refund Service
+ * Full and partial refunds issued from the admin dashboard. Each refund is
+ * recorded in the refunds table before it is sent to the order's payment
+ * provider, so the same money can't be refunded twice, and the order's
+ * payment status follows the running total: partially_refunded, then refunded.
+ */
+
+import crypto from 'crypto';
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { getPaymentProvider } from './payments/index.js';
+import { transitionOrder, canTransition } from './orderStateMachine.js';
+import { sendRefundNotification, isEmailConfigured } from '../../email-templates/index.js';
+
+export const REFUND_STATUSES = ['pending', 'processed', 'failed'];
+
+export const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+const EMAIL_ENABLED = process.env.EMAIL_TEST_MODE !== 'true' && isEmailConfigured();
+const EMAIL_TEST_MODE = process.env.EMAIL_TEST_MODE === 'true';
+
+async function sendRefundEmail(refund, order) {
+    if (EMAIL_TEST_MODE) {
+        console.log('[EMAIL TEST MODE] Would send email:', { to: order.customer_email, type: 'refund', refundId: refund.id, orderId: order.id });
+        return true;
+    }
+    if (!EMAIL_ENABLED) return false;
+    try {
+        await sendRefundNotification(refund, order);
+        return true;
+    } catch (error) {
+        console.error('[EMAIL] Failed to send:', error.message);
+        return false;
+    }
+}
+
+const parseJSON = (value, fallback) => {
+    if (!value) return fallback;
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value); } catch { return fallback; }
+};
+
+const forUpdate = () => (adapter.usePostgres ? ' FOR UPDATE' : '');
+
+// Only what the provider charged can be refunded through it; gift card balance goes back on the card
+const chargedAmount = order => order.total - (order.gift_card_amount || 0);
+
+const toRefund = row => row && { ...row, items: parseJSON(row.items, []), restocked: Boolean(row.restocked) };
+
+/**
+ * Total refunded on an order so far. Pending refunds count, failed ones don't.
+ */
+export async function getRefundedTotal(orderId) {
+    const { total } = await adapter.one(
+        'SELECT COALESCE(SUM(amount), 0) AS total FROM refunds WHERE order_id = $1 AND status <> $2',
+        [orderId, 'failed']
+    );
+    return parseInt(total) || 0;
+}
+
+/**
+ * Every refund on an order, newest first
+ */
+export async function getOrderRefunds(orderId) {
+    const rows = await adapter.many('SELECT * FROM refunds WHERE order_id = $1 ORDER BY created_at DESC, id DESC', [orderId]);
+    return rows.map(toRefund);
+}
+
+/**
+ * Check refunded items against the order. Restocked units must still be
+ * counted as sold on the order, so nothing goes back into stock twice.
+ * @returns {Promise<Object[]>} The items, with name/colour/size from the order
+ */
+async function resolveRefundItems(order, items, restock) {
+    const ordered = new Map();
+    for (const item of parseJSON(order.items, [])) {
+        if (!item.variantId) continue;
+        const line = ordered.get(item.variantId) || { ...item, quantity: 0 };
+        line.quantity += item.quantity;
+        ordered.set(item.variantId, line);
+    }
+
+    const lines = [];
+    for (const item of items) {
+        const line = ordered.get(item.variantId);
+        const quantity = Number(item.quantity);
+        if (!line) {
+            throw new APIError(`Item ${item.variantId} is not on this order`, 400, 'VALIDATION_ERROR');
+        }
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > line.quantity) {
+            throw new APIError(`Quantity for ${line.name} must be between 1 and ${line.quantity}`, 400, 'VALIDATION_ERROR');
+        }
+
+        if (restock) {
+            const { sold } = await adapter.one(`
+                SELECT COALESCE(SUM(quantity), 0) AS sold FROM inventory_reservations
+                WHERE order_id = $1 AND variant_id = $2 AND status = 'confirmed'
+            `, [order.id, item.variantId]);
+            if (quantity > (parseInt(sold) || 0)) {
+                throw new APIError(`Only ${parseInt(sold) || 0} of ${line.name} can be restocked`, 400, 'VALIDATION_ERROR');
+            }
+        }
+
+        const { name, color, size, price } = line;
+        lines.push({ variantId: item.variantId, name, color, size, price, quantity });
+    }
+    return lines;
+}
+
+/**
+ * Set the order's payment status from its refunds, and move a fully
+ * refunded order to refunded where its status allows it
+ */
+export async function syncPaymentStatus(orderId, { actor = 'admin', reason = null, inventoryService } = {}) {
+    const order = await adapter.one(
+        'SELECT id, total, gift_card_amount, order_status, payment_status FROM orders WHERE id = $1',
+        [orderId]
+    );
+    const refunded = await getRefundedTotal(orderId);
+    if (refunded === 0) return order.payment_status;
+
+    const paymentStatus = refunded >= chargedAmount(order) ? 'refunded' : 'partially_refunded';
+    await adapter.exec(
+        'UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [paymentStatus, orderId]
+    );
+
+    if (paymentStatus === 'refunded' && canTransition(order.order_status, 'refunded')) {
+        await transitionOrder(orderId, 'refunded', { actor, reason, inventoryService });
+    }
+    return paymentStatus;
+}
+
+/**
+ * Refund all or part of an order's payment through its payment provider and
+ * email the customer. A failed provider call leaves a 'failed' refund row.
+ * @param {string} orderId
+ * @param {Object} options
+ * @param {number} [options.amount] - In Naira; defaults to everything not yet refunded
+ * @param {string} [options.reason]
+ * @param {{variantId: string, quantity: number}[]} [options.items] - Items the refund covers
+ * @param {boolean} [options.restock] - Put `items` back into stock
+ * @param {string} [options.actor]
+ * @param {import('./inventory.js').InventoryService} options.inventoryService
+ */
+export async function createRefund(orderId, { amount, reason = null, items = [], restock = false, actor = 'admin', inventoryService } = {}) {
+    const refundId = `RF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+    const { order, refund, provider } = await adapter.transaction(async tx => {
+        // Locking the order serialises refunds on it, so the pending row
+        // below is counted by any refund issued after this one
+        const order = await tx.one(`SELECT * FROM orders WHERE id = $1${forUpdate()}`, [orderId]);
+        if (!order) throw new APIError('Order not found', 404, 'ORDER_NOT_FOUND');
+
+        if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.payment_status)) {
+            throw new APIError('Only paid orders can be refunded', 409, 'REFUND_NOT_ALLOWED');
+        }
+        const provider = getPaymentProvider(order.payment_method);
+        if (!provider || !order.payment_reference) {
+            throw new APIError('Only card payments can be refunded from the dashboard', 409, 'REFUND_NOT_ALLOWED');
+        }
+
+        const remaining = chargedAmount(order) - await getRefundedTotal(orderId);
+        const refundAmount = amount === undefined || amount === null || amount === '' ? remaining : Number(amount);
+        if (!Number.isInteger(refundAmount) || refundAmount < 1 || refundAmount > remaining) {
+            throw new APIError(`Refund amount must be between 1 and ${remaining}`, 400, 'VALIDATION_ERROR');
+        }
+
+        const lines = await resolveRefundItems(order, items, restock);
+        const restocked = restock && lines.length > 0;
+
+        await tx.exec(`
+            INSERT INTO refunds (id, order_id, amount, reason, items, restocked, status, provider, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8)
+        `, [refundId, orderId, refundAmount, reason, JSON.stringify(lines), restocked, provider.name, actor]);
+
+        return { order, provider, refund: { id: refundId, amount: refundAmount, reason, items: lines, restocked } };
+    });
+
+    let result;
+    try {
+        result = await provider.refund({ reference: order.payment_reference, amount: refund.amount, note: reason });
+    } catch (error) {
+        await adapter.exec(`
+            UPDATE refunds SET status = 'failed', failure_reason = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+        `, [error.message, refundId]);
+        throw new APIError(`${provider.displayName} refund failed: ${error.message}`, 502, 'REFUND_FAILED');
+    }
+
+    // The refund.processed webhook can beat this write and mark the row processed first
+    const status = result.status === 'processed' ? 'processed' : 'pending';
+    await adapter.exec(`
+        UPDATE refunds
+        SET status = CASE WHEN status = 'processed' THEN status ELSE $1 END,
+            provider_reference = $2, updated_at = CURRENT_TIMESTAMP,
+            processed_at = COALESCE(processed_at, ${status === 'processed' ? 'CURRENT_TIMESTAMP' : 'NULL'})
+        WHERE id = $3
+    `, [status, result.id, refundId]);
+
+    if (refund.restocked) {
+        await inventoryService.returnItems(orderId, refund.items, { id: refundId, type: 'refund' }, `Restocked on refund ${refundId}`);
+    }
+
+    const paymentStatus = await syncPaymentStatus(orderId, { actor, reason: `Refund ${refundId}`, inventoryService });
+    const emailSent = await sendRefundEmail(refund, order);
+
+    return { ...toRefund(await adapter.one('SELECT * FROM refunds WHERE id = $1', [refundId])), paymentStatus, emailSent };
+}
+
+/**
+ * Record a refund the payment provider reports as processed. Refunds issued
+ * from the dashboard are matched on the provider's refund ID, or by amount
+ * while the provider call is still in flight; refunds made on the provider's
+ * own dashboard are added to the order's refunds.
+ * @param {import('./payments/paymentProvider.js').PaymentEvent} event - refund.processed
+ * @param {import('./inventory.js').InventoryService} inventoryService
+ * @param {string} [provider]
+ * @returns {Promise<Object|null>} The refund, or null if the order is unknown
+ */
+export async function recordProcessedRefund(event, inventoryService, provider = 'paystack') {
+    const providerReference = event.refundId || null;
+
+    if (providerReference) {
+        const existing = await adapter.one(
+            'SELECT * FROM refunds WHERE provider = $1 AND provider_reference = $2',
+            [provider, providerReference]
+        );
+        if (existing) {
+            await adapter.exec(`
+                UPDATE refunds SET status = 'processed', processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [existing.id]);
+            await syncPaymentStatus(existing.order_id, { actor: provider, reason: `Refund processed (${providerReference})`, inventoryService });
+            return toRefund({ ...existing, status: 'processed' });
+        }
+    }
+
+    const order = await adapter.one('SELECT * FROM orders WHERE payment_reference = $1', [event.reference]);
+    if (!order) return null;
+
+    // A dashboard refund whose provider call hasn't returned yet has no
+    // provider reference to match on; claim it by amount instead
+    const amount = event.amount || chargedAmount(order);
+    const inFlight = await adapter.one(`
+        UPDATE refunds
+        SET status = 'processed', provider_reference = $3, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = (
+            SELECT id FROM refunds
+            WHERE order_id = $1 AND amount = $2 AND status = 'pending' AND provider_reference IS NULL
+            ORDER BY created_at LIMIT 1
+        )
+        RETURNING *
+    `, [order.id, amount, providerReference]);
+    if (inFlight) {
+        await syncPaymentStatus(order.id, { actor: provider, reason: `Refund processed (${providerReference || inFlight.id})`, inventoryService });
+        return toRefund(inFlight);
+    }
+
+    const refundId = `RF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    await adapter.exec(`
+        INSERT INTO refunds (id, order_id, amount, reason, status, provider, provider_reference, created_by, processed_at)
+        VALUES ($1, $2, $3, $4, 'processed', $5, $6, $5, CURRENT_TIMESTAMP)
+    `, [refundId, order.id, amount, event.note || null, provider, providerReference]);
+
+    await syncPaymentStatus(order.id, { actor: provider, reason: `Refund processed (${providerReference || refundId})`, inventoryService });
+    return toRefund(await adapter.one('SELECT * FROM refunds WHERE id = $1', [refundId]));
+}
@@ -0,0 +1,374 @@
+/**
+ * LA VAGUE - Return Service
+ * Customer return requests (RMAs). A return moves
+ * requested → approved → received → inspected → refunded, or is rejected
+ * before anything arrives. Received items go back into stock through the
+ * inventory ledger and move the order to partially_returned / returned.
+ */
+
+import crypto from 'crypto';
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { transitionOrder, canTransition, getOrderHistory } from './orderStateMachine.js';
+import { sendReturnInstructions, isEmailConfigured } from '../../email-templates/index.js';
+
+export const RETURN_WINDOW_DAYS = 30;
+
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'inspected', 'refunded'];
+
+export const ITEM_CONDITIONS = ['resellable', 'damaged'];
+
+const RETURN_TRANSITIONS = {
+    requested: ['approved', 'rejected'],
+    approved: ['received', 'rejected'],
+    received: ['inspected'],
+    inspected: ['refunded'],
+    rejected: [],
+    refunded: []
+};
+
+// Column stamped when a return enters each status
+const STATUS_TIMESTAMPS = {
+    approved: 'approved_at',
+    received: 'received_at',
+    inspected: 'inspected_at',
+    refunded: 'refunded_at'
+};
+
+const RETURNABLE_ORDER_STATUSES = ['delivered', 'partially_returned'];
+
+const EMAIL_ENABLED = process.env.EMAIL_TEST_MODE !== 'true' && isEmailConfigured();
+const EMAIL_TEST_MODE = process.env.EMAIL_TEST_MODE === 'true';
+
+async function sendReturnEmail(rma, order) {
+    if (EMAIL_TEST_MODE) {
+        console.log('[EMAIL TEST MODE] Would send email:', { to: order.customer_email, type: 'return_instructions', returnId: rma.id, orderId: order.id });
+        return true;
+    }
+    if (!EMAIL_ENABLED) return false;
+    try {
+        await sendReturnInstructions(rma, order);
+        return true;
+    } catch (error) {
+        console.error('[EMAIL] Failed to send:', error.message);
+        return false;
+    }
+}
+
+const parseJSON = (value, fallback) => {
+    if (!value) return fallback;
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value); } catch { return fallback; }
+};
+
+const forUpdate = () => (adapter.usePostgres ? ' FOR UPDATE' : '');
+
+export function getAllowedReturnTransitions(status) {
+    return RETURN_TRANSITIONS[status] || [];
+}
+
+/**
+ * Whether the customer can still open a return on an order: it must have
+ * been delivered, and within RETURN_WINDOW_DAYS of delivery
+ * @returns {Promise<{eligible: boolean, reason?: string, deadline?: Date}>}
+ */
+export async function getReturnEligibility(order) {
+    if (!RETURNABLE_ORDER_STATUSES.includes(order.order_status)) {
+        return { eligible: false, reason: 'Returns can be requested once your order has been delivered.' };
+    }
+
+    const delivered = (await getOrderHistory(order.id)).filter(h => h.to_status === 'delivered').pop();
+    const deadline = new Date(delivered?.created_at || order.updated_at);
+    deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+
+    if (deadline < new Date()) {
+        return { eligible: false, reason: `The ${RETURN_WINDOW_DAYS}-day return window for this order has closed.`, deadline };
+    }
+    return { eligible: true, deadline };
+}
+
+/**
+ * Order lines grouped by variant, with how many units can still be returned.
+ * Units on rejected returns are returnable again; once a return has been
+ * received only the units that actually arrived count against the order.
+ */
+export async function getReturnableItems(order) {
+    const lines = new Map();
+
+    for (const item of parseJSON(order.items, [])) {
+        // Orders placed before variant IDs existed only carry colour/size
+        const variantId = item.variantId || (await adapter.one(
+            'SELECT id FROM product_variants WHERE product_id = $1 AND color = $2 AND size = $3',
+            [item.id, item.color, item.size]
+        ))?.id;
+        if (!variantId) continue;
+
+        const line = lines.get(variantId) || {
+            variantId,
+            productId: item.id,
+            name: item.name,
+            sku: item.sku || null,
+            color: item.color,
+            size: item.size,
+            image: item.image || null,
+            price: item.price,
+            ordered: 0
+        };
+        line.ordered += item.quantity;
+        lines.set(variantId, line);
+    }
+
+    const claimed = await adapter.many(`
+        SELECT ri.variant_id,
+            SUM(CASE WHEN r.status IN ('requested', 'approved') THEN ri.quantity ELSE ri.received_quantity END) AS quantity
+        FROM return_items ri
+        JOIN returns r ON r.id = ri.return_id
+        WHERE r.order_id = $1 AND r.status <> 'rejected'
+        GROUP BY ri.variant_id
+    `, [order.id]);
+    const claimedBy = new Map(claimed.map(row => [row.variant_id, parseInt(row.quantity) || 0]));
+
+    return [...lines.values()].map(line => ({
+        ...line,
+        returnable: Math.max(0, line.ordered - (claimedBy.get(line.variantId) || 0))
+    }));
+}
+
+/**
+ * A return with its items
+ */
+export async function getReturn(returnId) {
+    const rma = await adapter.one('SELECT * FROM returns WHERE id = $1', [returnId]);
+    if (!rma) return null;
+
+    const items = await adapter.many('SELECT * FROM return_items WHERE return_id = $1 ORDER BY id', [returnId]);
+    return { ...rma, items, allowedTransitions: getAllowedReturnTransitions(rma.status) };
+}
+
+/**
+ * Every return opened on an order, newest first
+ */
+export async function getOrderReturns(orderId) {
+    const returns = await adapter.many('SELECT id FROM returns WHERE order_id = $1 ORDER BY created_at DESC, id DESC', [orderId]);
+    return Promise.all(returns.map(r => getReturn(r.id)));
+}
+
+/**
+ * Returns for the admin list, optionally filtered by status
+ */
+export async function listReturns({ status } = {}) {
+    const filter = status && status !== 'all' ? 'WHERE r.status = $1' : '';
+    return adapter.many(`
+        SELECT r.*, o.customer_name,
+            (SELECT COALESCE(SUM(ri.quantity), 0) FROM return_items ri WHERE ri.return_id = r.id) AS item_count
+        FROM returns r
+        JOIN orders o ON o.id = r.order_id
+        ${filter}
+        ORDER BY r.created_at DESC
+    `, filter ? [status] : []);
+}
+
+/**
+ * Open a return request for some of an order's items and email the
+ * customer their RMA number and return instructions
+ * @param {Object} request
+ * @param {string} request.orderId
+ * @param {string} request.email - Must match the order, as for order lookup
+ * @param {{variantId: string, quantity: number, reason: string}[]} request.items
+ * @param {string} [request.notes]
+ */
+export async function createReturn({ orderId, email, items, notes = null }) {
+    const returnId = `RMA-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+    const { order, rma } = await adapter.transaction(async tx => {
+        // Locking the order serialises two returns opened on it at once
+        const order = await tx.one(
+            `SELECT * FROM orders WHERE id = $1 AND customer_email = $2${forUpdate()}`,
+            [orderId, email]
+        );
+        if (!order) throw new APIError('Order not found.', 404, 'ORDER_NOT_FOUND');
+
+        const eligibility = await getReturnEligibility(order);
+        if (!eligibility.eligible) throw new APIError(eligibility.reason, 409, 'RETURN_NOT_ALLOWED');
+
+        const lines = new Map((await getReturnableItems(order)).map(line => [line.variantId, line]));
+        const seen = new Set();
+
+        for (const item of items) {
+            const line = lines.get(item.variantId);
+            if (!line) throw new APIError('That item is not part of this order.', 400, 'INVALID_RETURN_ITEM');
+            if (seen.has(item.variantId)) throw new APIError(`${line.name} is listed more than once.`, 400, 'INVALID_RETURN_ITEM');
+            if (item.quantity > line.returnable) {
+                throw new APIError(
+                    `Only ${line.returnable} × ${line.name} (${line.color} / ${line.size}) can be returned.`,
+                    400,
+                    'INVALID_RETURN_ITEM'
+                );
+            }
+            seen.add(item.variantId);
+        }
+
+        await tx.exec(`
+            INSERT INTO returns (id, order_id, customer_email, status, customer_notes)
+            VALUES ($1, $2, $3, 'requested', $4)
+        `, [returnId, order.id, order.customer_email, notes || null]);
+
+        for (const item of items) {
+            const line = lines.get(item.variantId);
+            await tx.exec(`
+                INSERT INTO return_items (return_id, product_id, variant_id, name, sku, color, size, quantity, unit_price, reason)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            `, [returnId, line.productId, line.variantId, line.name, line.sku, line.color, line.size,
+                item.quantity, line.price, item.reason]);
+        }
+
+        return { order, rma: await getReturn(returnId) };
+    });
+
+    const emailSent = await sendReturnEmail(rma, order);
+    return { ...rma, emailSent };
+}
+
+/**
+ * Move a return to its next status. `apply` runs inside the same
+ * transaction with the locked return and its items, and may return a
+ * refund amount to store.
+ */
+async function advanceReturn(returnId, toStatus, notes, apply = null) {
+    return adapter.transaction(async tx => {
+        const rma = await tx.one(`SELECT * FROM returns WHERE id = $1${forUpdate()}`, [returnId]);
+        if (!rma) throw new APIError('Return not found', 404, 'RETURN_NOT_FOUND');
+
+        if (!getAllowedReturnTransitions(rma.status).includes(toStatus)) {
+            throw new APIError(`Cannot change return from ${rma.status} to ${toStatus}`, 409, 'INVALID_TRANSITION');
+        }
+
+        const items = await tx.many('SELECT * FROM return_items WHERE return_id = $1 ORDER BY id', [returnId]);
+        const { refundAmount = null } = (apply && await apply(tx, rma, items)) || {};
+
+        const stamp = STATUS_TIMESTAMPS[toStatus] ? `, ${STATUS_TIMESTAMPS[toStatus]} = CURRENT_TIMESTAMP` : '';
+        await tx.exec(`
+            UPDATE returns
+            SET status = $1, admin_notes = COALESCE($2, admin_notes), refund_amount = COALESCE($3, refund_amount),
+                updated_at = CURRENT_TIMESTAMP${stamp}
+            WHERE id = $4
+        `, [toStatus, notes || null, refundAmount, returnId]);
+
+        return { ...(await getReturn(returnId)), from: rma.status };
+    });
+}
+
+/**
+ * Move the order to partially_returned or returned to match the units that
+ * have come back across all of its returns
+ */
+async function syncOrderReturnStatus(orderId, returnId, inventoryService, actor) {
+    const order = await adapter.one(`SELECT * FROM orders WHERE id = $1${forUpdate()}`, [orderId]);
+    const ordered = parseJSON(order.items, []).reduce((sum, item) => sum + (item.quantity || 0), 0);
+
+    const { received } = await adapter.one(`
+        SELECT COALESCE(SUM(ri.received_quantity), 0) AS received
+        FROM return_items ri
+        JOIN returns r ON r.id = ri.return_id
+        WHERE r.order_id = $1
+    `, [orderId]);
+    if (parseInt(received) === 0) return;
+
+    const target = parseInt(received) >= ordered ? 'returned' : 'partially_returned';
+    if (order.order_status === target) return;
+    if (!canTransition(order.order_status, target)) {
+        console.warn(`[RETURNS] Order ${orderId} is ${order.order_status}; not moving it to ${target} for ${returnId}`);
+        return;
+    }
+
+    await transitionOrder(orderId, target, { actor, reason: `Items received on return ${returnId}`, inventoryService });
+}
+
+export async function approveReturn(returnId, { notes } = {}) {
+    return advanceReturn(returnId, 'approved', notes);
+}
+
+export async function rejectReturn(returnId, { notes } = {}) {
+    return advanceReturn(returnId, 'rejected', notes);
+}
+
+/**
+ * Record what arrived back, put it into stock and update the order status.
+ * Items not listed in `items` are taken as received in full.
+ * @param {string} returnId
+ * @param {Object} options
+ * @param {{id: number, quantity: number}[]} [options.items] - Received quantity per return item
+ * @param {string} [options.notes]
+ * @param {import('./inventory.js').InventoryService} options.inventoryService
+ * @param {string} [options.actor] - Admin recorded against the order status change
+ */
+export async function receiveReturn(returnId, { items = [], notes, inventoryService, actor = 'admin' } = {}) {
+    const received = new Map(items.map(item => [Number(item.id), Number(item.quantity)]));
+
+    return advanceReturn(returnId, 'received', notes, async (tx, rma, returnItems) => {
+        const restock = [];
+
+        for (const item of returnItems) {
+            const quantity = received.has(item.id) ? received.get(item.id) : item.quantity;
+            if (!Number.isInteger(quantity) || quantity < 0 || quantity > item.quantity) {
+                throw new APIError(`Received quantity for ${item.name} must be between 0 and ${item.quantity}`, 400, 'VALIDATION_ERROR');
+            }
+
+            await tx.exec('UPDATE return_items SET received_quantity = $1 WHERE id = $2', [quantity, item.id]);
+            if (quantity > 0 && item.variant_id) {
+                restock.push({ variantId: item.variant_id, quantity });
+            }
+        }
+
+        if (restock.length > 0) {
+            await inventoryService.returnItems(rma.order_id, restock, { id: rma.id, type: 'return' }, `Received on return ${rma.id}`);
+        }
+        await syncOrderReturnStatus(rma.order_id, rma.id, inventoryService, actor);
+    });
+}
+
+/**
+ * Record the condition of each received item. Damaged units are written
+ * off again so they don't count as sellable stock.
+ * @param {{id: number, condition: string}[]} [options.items] - Defaults to resellable
+ */
+export async function inspectReturn(returnId, { items = [], notes, inventoryService } = {}) {
+    const conditions = new Map(items.map(item => [Number(item.id), item.condition]));
+
+    return advanceReturn(returnId, 'inspected', notes, async (tx, rma, returnItems) => {
+        for (const item of returnItems) {
+            const condition = conditions.get(item.id) || 'resellable';
+            if (!ITEM_CONDITIONS.includes(condition)) {
+                throw new APIError(`Condition must be one of: ${ITEM_CONDITIONS.join(', ')}`, 400, 'VALIDATION_ERROR');
+            }
+
+            await tx.exec('UPDATE return_items SET condition = $1 WHERE id = $2', [condition, item.id]);
+            if (condition === 'damaged' && item.received_quantity > 0 && item.variant_id) {
+                await inventoryService.writeOff(item.variant_id, item.received_quantity, { id: rma.id, type: 'return' }, `Damaged on return ${rma.id}`);
+            }
+        }
+    });
+}
+
+/**
+ * Record the refund for a return. Defaults to the value of the received
+ * items and can't exceed it. A fully returned order moves to refunded.
+ * @param {number} [options.amount] - Amount refunded, in Naira
+ */
+export async function refundReturn(returnId, { amount, notes, inventoryService, actor = 'admin' } = {}) {
+    return advanceReturn(returnId, 'refunded', notes, async (tx, rma, returnItems) => {
+        const maximum = returnItems.reduce((sum, item) => sum + item.unit_price * item.received_quantity, 0);
+        const refundAmount = amount === undefined || amount === null || amount === '' ? maximum : Number(amount);
+
+        if (!Number.isInteger(refundAmount) || refundAmount < 0 || refundAmount > maximum) {
+            throw new APIError(`Refund amount must be between 0 and ${maximum}`, 400, 'VALIDATION_ERROR');
+        }
+
+        const order = await tx.one('SELECT order_status FROM orders WHERE id = $1', [rma.order_id]);
+        if (order.order_status === 'returned') {
+            await transitionOrder(rma.order_id, 'refunded', { actor, reason: `Refund for return ${rma.id}`, inventoryService });
+        }
+
+        return { refundAmount };
+    });
+}
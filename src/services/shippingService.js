@@ -0,0 +1,42 @@
+/**
+ * LA VAGUE - Shipping
+ * Orders are charged shipping from the store settings, never from the
+ * amount the browser sends. Standard shipping is free once the subtotal
+ * reaches the free shipping threshold; express always costs its rate. Free
+ * shipping coupons are applied on top, when the order is priced.
+ */
+
+import { adapter } from '../config/db.js';
+
+export const SHIPPING_METHODS = ['standard', 'express'];
+
+const SETTING_DEFAULTS = {
+    standardShippingRate: 10000,
+    expressShippingRate: 25000,
+    freeShippingThreshold: 150000
+};
+
+/**
+ * Shipping rates as the storefront shows them. Settings that are unset or
+ * zero fall back to the defaults.
+ */
+export async function getShippingSettings() {
+    const keys = Object.keys(SETTING_DEFAULTS);
+    const rows = await adapter.many('SELECT key, value FROM settings WHERE key IN ($1, $2, $3)', keys);
+    const settings = Object.fromEntries(rows.map(row => [row.key, parseInt(row.value, 10)]));
+    const setting = key => settings[key] || SETTING_DEFAULTS[key];
+    return {
+        shippingRate: setting('standardShippingRate'),
+        expressShippingRate: setting('expressShippingRate'),
+        freeShippingThreshold: setting('freeShippingThreshold')
+    };
+}
+
+/**
+ * @param {Object} settings - From getShippingSettings()
+ * @param {Object} order - The shipping method and the subtotal before discounts
+ */
+export function calculateShipping(settings, { method = 'standard', subtotal }) {
+    if (method === 'express') return settings.expressShippingRate;
+    return subtotal >= settings.freeShippingThreshold ? 0 : settings.shippingRate;
+}
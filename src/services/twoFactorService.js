@@ -0,0 +1,267 @@
+/**
+ * LA VAGUE - Admin Two-Factor Authentication
+ * Optional authenticator-app (TOTP) codes on top of an admin's password,
+ * plus ten single-use recovery codes for when the phone is lost. When the
+ * requireAdminTwoFactor setting is on, owners and managers must set it up
+ * before they can use the rest of the dashboard.
+ *
+ * A login by an admin with two-factor on is split in two: the password step
+ * hands back a challenge, and the code step trades it for a session. Only
+ * SHA-256 hashes of challenges and recovery codes are stored.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import QRCode from 'qrcode';
+import { adapter } from '../config/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { TWO_FACTOR_ROLES } from '../config/adminRoles.js';
+import { generateSecret, verifyTotp, otpauthUrl } from '../utils/totp.js';
+
+export const TWO_FACTOR_SETTING = 'requireAdminTwoFactor';
+
+const ISSUER = 'LA VAGUE Admin';
+
+const RECOVERY_CODE_COUNT = 10;
+
+const CHALLENGE_MINUTES = 5;
+
+// Wrong codes allowed per login challenge before it is thrown away
+const CHALLENGE_ATTEMPTS = 5;
+
+const hashCode = code => crypto.createHash('sha256').update(code).digest('hex');
+
+// Recovery codes are typed by hand, so case and dashes don't matter
+const normalizeRecoveryCode = code => String(code ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+async function getAdminRow(adminId) {
+    const row = await adapter.one('SELECT * FROM admin_users WHERE id = $1', [adminId]);
+    if (!row) throw new APIError('Admin user not found', 404, 'NOT_FOUND');
+    return row;
+}
+
+/**
+ * Whether the store requires two-factor authentication for a role
+ */
+export async function isTwoFactorRequired(role) {
+    if (!TWO_FACTOR_ROLES.includes(role)) return false;
+    const setting = await adapter.one('SELECT value FROM settings WHERE key = $1', [TWO_FACTOR_SETTING]);
+    return setting?.value === 'true';
+}
+
+export async function getTwoFactorStatus(adminId) {
+    const row = await getAdminRow(adminId);
+    const { count } = await adapter.one(
+        'SELECT COUNT(*) AS count FROM admin_recovery_codes WHERE admin_user_id = $1 AND used_at IS NULL',
+        [adminId]
+    );
+    return {
+        enabled: Boolean(row.totp_enabled),
+        enabledAt: row.totp_enabled_at || null,
+        required: await isTwoFactorRequired(row.role),
+        recoveryCodesLeft: parseInt(count, 10)
+    };
+}
+
+/**
+ * Accept a current authenticator code once, or spend an unused recovery code
+ * @returns {Promise<'totp'|'recovery'|null>} How the admin proved it, or null
+ */
+async function checkSecondFactor(row, code) {
+    const step = verifyTotp(row.totp_secret, code, { afterStep: row.totp_last_step ?? -1 });
+    if (step !== null) {
+        // Only one request can move the step forward, so a code can't be used twice
+        const claimed = await adapter.one(`
+            UPDATE admin_users SET totp_last_step = $1
+            WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+            RETURNING id
+        `, [step, row.id]);
+        return claimed ? 'totp' : null;
+    }
+
+    const recoveryCode = normalizeRecoveryCode(code);
+    if (recoveryCode.length !== 10) return null;
+    const spent = await adapter.one(`
+        UPDATE admin_recovery_codes SET used_at = CURRENT_TIMESTAMP
+        WHERE admin_user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        RETURNING id
+    `, [row.id, hashCode(recoveryCode)]);
+    if (spent) console.log(`[ADMIN] Recovery code used by admin ${row.id}`);
+    return spent ? 'recovery' : null;
+}
+
+async function requireEnabledCode(row, code) {
+    if (!row.totp_enabled) {
+        throw new APIError('Two-factor authentication is not turned on', 400, 'TWO_FACTOR_DISABLED');
+    }
+    if (!(await checkSecondFactor(row, code))) {
+        throw new APIError('That code is not valid', 400, 'INVALID_CODE');
+    }
+}
+
+/**
+ * Replace an admin's recovery codes with a fresh set
+ * @returns {Promise<string[]>} The codes, shown to the admin once
+ */
+async function issueRecoveryCodes(adminId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    await adapter.transaction(async tx => {
+        await tx.exec('DELETE FROM admin_recovery_codes WHERE admin_user_id = $1', [adminId]);
+        for (const code of codes) {
+            await tx.exec(
+                'INSERT INTO admin_recovery_codes (admin_user_id, code_hash) VALUES ($1, $2)',
+                [adminId, hashCode(normalizeRecoveryCode(code))]
+            );
+        }
+    });
+    return codes;
+}
+
+/**
+ * Start (or restart) setting up an authenticator app. The new secret isn't
+ * used for logins until enableTwoFactor confirms a code from it.
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>} qrCode is a PNG data URL
+ */
+export async function startTwoFactorSetup(adminId) {
+    const row = await getAdminRow(adminId);
+    if (row.totp_enabled) {
+        throw new APIError('Two-factor authentication is already on', 409, 'TWO_FACTOR_ENABLED');
+    }
+
+    const secret = generateSecret();
+    await adapter.exec(
+        'UPDATE admin_users SET totp_secret = $1, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [secret, adminId]
+    );
+    const url = otpauthUrl(secret, row.email, ISSUER);
+    return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+}
+
+/**
+ * Turn two-factor on once the admin has typed a code from their app
+ * @returns {Promise<string[]>} Recovery codes
+ */
+export async function enableTwoFactor(adminId, code) {
+    const row = await getAdminRow(adminId);
+    if (row.totp_enabled) {
+        throw new APIError('Two-factor authentication is already on', 409, 'TWO_FACTOR_ENABLED');
+    }
+    if (!row.totp_secret) {
+        throw new APIError('Start the setup first', 400, 'TWO_FACTOR_NOT_STARTED');
+    }
+
+    const step = verifyTotp(row.totp_secret, code);
+    if (step === null) throw new APIError('That code is not valid', 400, 'INVALID_CODE');
+
+    await adapter.exec(`
+        UPDATE admin_users SET totp_enabled = $1, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = $2,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+    `, [true, step, adminId]);
+    console.log(`[ADMIN] Two-factor authentication turned on for admin ${adminId}`);
+    return issueRecoveryCodes(adminId);
+}
+
+async function clearTwoFactor(adminId) {
+    await adapter.exec(`
+        UPDATE admin_users SET totp_secret = NULL, totp_enabled = $1, totp_enabled_at = NULL, totp_last_step = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+    `, [false, adminId]);
+    await adapter.exec('DELETE FROM admin_recovery_codes WHERE admin_user_id = $1', [adminId]);
+}
+
+/**
+ * Turn two-factor off. Needs the admin's password and a current code, and
+ * is refused while the store requires two-factor for their role.
+ */
+export async function disableTwoFactor(adminId, { password, code }) {
+    const row = await getAdminRow(adminId);
+    if (await isTwoFactorRequired(row.role)) {
+        throw new APIError('The store requires two-factor authentication for your role', 400, 'TWO_FACTOR_REQUIRED');
+    }
+    if (!(await bcrypt.compare(password || '', row.password_hash))) {
+        throw new APIError('Password is incorrect', 400, 'INVALID_PASSWORD');
+    }
+    await requireEnabledCode(row, code);
+
+    await clearTwoFactor(adminId);
+    console.log(`[ADMIN] Two-factor authentication turned off for admin ${adminId}`);
+}
+
+/**
+ * Swap the admin's recovery codes for new ones, e.g. after using some
+ * @returns {Promise<string[]>}
+ */
+export async function regenerateRecoveryCodes(adminId, code) {
+    await requireEnabledCode(await getAdminRow(adminId), code);
+    return issueRecoveryCodes(adminId);
+}
+
+/**
+ * Clear another admin's two-factor setup when they have lost their phone
+ * and recovery codes. They set it up again at their next login if required.
+ */
+export async function resetTwoFactor(adminId) {
+    await getAdminRow(adminId);
+    await clearTwoFactor(adminId);
+    console.log(`[ADMIN] Two-factor authentication reset for admin ${adminId}`);
+}
+
+/**
+ * Hold a password-checked login until the admin enters a code
+ * @returns {Promise<string>} The challenge token for the code step
+ */
+export async function createLoginChallenge(adminId) {
+    const challenge = crypto.randomBytes(32).toString('hex');
+    await adapter.exec(
+        'DELETE FROM admin_login_challenges WHERE expires_at < CURRENT_TIMESTAMP OR admin_user_id = $1',
+        [adminId]
+    );
+    await adapter.exec(
+        'INSERT INTO admin_login_challenges (challenge_hash, admin_user_id, expires_at) VALUES ($1, $2, $3)',
+        [hashCode(challenge), adminId, new Date(Date.now() + CHALLENGE_MINUTES * 60 * 1000)]
+    );
+    return challenge;
+}
+
+/**
+ * The code step of a login. The challenge is claimed in one statement once
+ * the code checks out, so requests racing with the same challenge get one
+ * session between them.
+ * @returns {Promise<{adminId: string, method: 'totp'|'recovery'}>}
+ */
+export async function completeLoginChallenge(challenge, code) {
+    const pending = await adapter.one(`
+        SELECT c.id AS challenge_id, c.attempts, u.* FROM admin_login_challenges c
+        JOIN admin_users u ON u.id = c.admin_user_id
+        WHERE c.challenge_hash = $1 AND c.expires_at > CURRENT_TIMESTAMP AND u.active = $2 AND u.totp_enabled = $2
+    `, [hashCode(String(challenge)), true]);
+    if (!pending) {
+        throw new APIError('Your sign-in has expired, please start again', 401, 'CHALLENGE_EXPIRED');
+    }
+
+    const method = await checkSecondFactor(pending, code);
+    if (!method) {
+        if (pending.attempts + 1 >= CHALLENGE_ATTEMPTS) {
+            await adapter.exec('DELETE FROM admin_login_challenges WHERE id = $1', [pending.challenge_id]);
+        } else {
+            await adapter.exec(
+                'UPDATE admin_login_challenges SET attempts = attempts + 1 WHERE id = $1',
+                [pending.challenge_id]
+            );
+        }
+        throw new APIError('That code is not valid', 401, 'INVALID_CODE');
+    }
+
+    const claimed = await adapter.one(
+        'DELETE FROM admin_login_challenges WHERE id = $1 RETURNING id', [pending.challenge_id]
+    );
+    if (!claimed) {
+        throw new APIError('Your sign-in has expired, please start again', 401, 'CHALLENGE_EXPIRED');
+    }
+    return { adminId: pending.id, method };
+}
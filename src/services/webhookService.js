@@ -0,0 +1,112 @@
+/**
+ * LA VAGUE - Webhook Event Store
+ * Payment webhooks as received, one row per provider event. An event is
+ * stored before it is applied, so a redelivery finds its row and is
+ * acknowledged without touching the order again. Admins can inspect stored
+ * events and replay them.
+ *
+ * received → processing → processed | ignored | rejected | failed
+ * Only received and failed events are picked up again by a redelivery;
+ * an admin replay reprocesses any event.
+ */
+
+import crypto from 'crypto';
+import { adapter } from '../config/db.js';
+
+export const WEBHOOK_STATUSES = ['received', 'processing', 'processed', 'ignored', 'rejected', 'failed'];
+
+const CLAIMABLE_STATUSES = ['received', 'failed'];
+
+const parseJSON = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Providers that don't send an event ID get one derived from the payload
+const eventIdOf = event => event.id || crypto.createHash('sha256').update(JSON.stringify(event.raw)).digest('hex');
+
+/**
+ * Store a verified webhook event, unless it has been received before
+ * @param {string} provider
+ * @param {import('./payments/paymentProvider.js').PaymentEvent} event
+ * @returns {Promise<{id: string, duplicate: boolean, status: string}>}
+ */
+export async function storeWebhookEvent(provider, event) {
+    const id = `WH-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    const eventId = eventIdOf(event);
+
+    const inserted = await adapter.exec(`
+        INSERT INTO webhook_events (id, provider, event_id, event_type, reference, order_id, amount, currency, payload)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (provider, event_id) DO NOTHING
+    `, [
+        id,
+        provider,
+        eventId,
+        event.type || 'unknown',
+        event.reference || null,
+        event.orderId || null,
+        Number.isFinite(event.amount) ? event.amount : null,
+        event.currency || null,
+        JSON.stringify(event.raw ?? {})
+    ]);
+    if (inserted.rowCount > 0) return { id, duplicate: false, status: 'received' };
+
+    const existing = await adapter.one(`
+        UPDATE webhook_events SET duplicates = duplicates + 1
+        WHERE provider = $1 AND event_id = $2
+        RETURNING id, status
+    `, [provider, eventId]);
+    return { id: existing.id, duplicate: true, status: existing.status };
+}
+
+/**
+ * Take an event for processing. Two deliveries of the same event can't both
+ * win, so its side effects run once.
+ * @param {string} id
+ * @param {{force?: boolean}} [options] - Claim whatever its status (admin replay)
+ * @returns {Promise<boolean>} Whether this caller should process it
+ */
+export async function claimWebhookEvent(id, { force = false } = {}) {
+    const result = await adapter.exec(`
+        UPDATE webhook_events SET status = 'processing', attempts = attempts + 1
+        WHERE id = $1 ${force ? '' : `AND status IN (${CLAIMABLE_STATUSES.map(s => `'${s}'`).join(', ')})`}
+    `, [id]);
+    return result.rowCount > 0;
+}
+
+export async function finishWebhookEvent(id, status, result = null) {
+    await adapter.exec(`
+        UPDATE webhook_events SET status = $1, result = $2, processed_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+    `, [status, result, id]);
+}
+
+export async function listWebhookEvents({ status, provider, search, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status && status !== 'all') {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+    }
+    if (provider) {
+        params.push(provider);
+        conditions.push(`provider = $${params.length}`);
+    }
+    if (search) {
+        params.push(search);
+        conditions.push(`(reference = $${params.length} OR order_id = $${params.length} OR event_id = $${params.length})`);
+    }
+    params.push(Math.min(Math.max(parseInt(limit) || 100, 1), 500));
+
+    return adapter.many(`
+        SELECT id, provider, event_id, event_type, reference, order_id, amount, currency,
+            status, result, attempts, duplicates, created_at, processed_at
+        FROM webhook_events
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length}
+    `, params);
+}
+
+export async function getWebhookEvent(id) {
+    const row = await adapter.one('SELECT * FROM webhook_events WHERE id = $1', [id]);
+    return row ? { ...row, payload: parseJSON(row.payload) } : null;
+}
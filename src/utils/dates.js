@@ -0,0 +1,16 @@
+/**
+ * LA VAGUE - Timestamps
+ * Timestamp columns come back as Date objects from PostgreSQL and as
+ * CURRENT_TIMESTAMP's "YYYY-MM-DD HH:MM:SS" (UTC, no zone) from SQLite.
+ */
+
+/**
+ * A timestamp column as an ISO string, or null
+ */
+export function toTimestamp(value) {
+    if (!value) return null;
+    const date = value instanceof Date
+        ? value
+        : new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+    return isNaN(date) ? null : date.toISOString();
+}
@@ -0,0 +1,108 @@
+/**
+ * LA VAGUE - TOTP
+ * Time-based one-time passwords (RFC 6238) as used by Google Authenticator,
+ * 1Password, Authy and the like: SHA-1, 6 digits, 30-second steps.
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_STEP_SECONDS = 30;
+
+const DIGITS = 6;
+
+export function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+export function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * A new random secret, base32 encoded for authenticator apps
+ */
+export function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The code for one counter value (RFC 4226)
+ */
+export function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+export function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+export function totp(secret, now = Date.now()) {
+    return hotp(secret, currentStep(now));
+}
+
+/**
+ * Check a code against the current step and one step either side, to allow
+ * for clock drift. Steps at or before afterStep are refused so a code can't
+ * be used twice.
+ * @returns {number|null} The matching step, or null
+ */
+export function verifyTotp(secret, code, { now = Date.now(), afterStep = -1 } = {}) {
+    const given = String(code ?? '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(given)) return null;
+
+    const step = currentStep(now);
+    for (const candidate of [step - 1, step, step + 1]) {
+        if (candidate <= afterStep) continue;
+        const expected = hotp(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return candidate;
+    }
+    return null;
+}
+
+/**
+ * The otpauth:// URI authenticator apps read from a QR code
+ */
+export function otpauthUrl(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
@@ -50,7 +50,7 @@ const STATIC_ASSETS = [
     '/src/scripts/checkout.js',
     '/src/scripts/checkout-api.js',
     '/src/scripts/checkout-config.js',
-    '/src/scripts/checkout-paystack.js',
+    '/src/scripts/checkout-payment.js',
     '/src/scripts/pwa-register.js'
 ];
 
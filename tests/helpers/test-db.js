@@ -0,0 +1,36 @@
+/**
+ * LA VAGUE - Test Database
+ * In-memory SQLite database and catalog seeding for service tests
+ *
+ * The adapter picks its database when first imported, so load this with
+ * `await import()` after setting any other env the test needs and before
+ * importing anything from src/.
+ */
+
+process.env.SQLITE_PATH = ':memory:';
+
+const { adapter } = await import('../../src/config/db.js');
+const { migrate } = await import('../../src/services/migrationService.js');
+
+export { adapter, migrate };
+
+/**
+ * Add a variant, creating its product the first time it is seen.
+ * `product` holds any other products columns (name, category, price, publish_at, ...).
+ */
+export async function addVariant(productId, variantId, { stock = 10, color = 'Black', size = 'M', product = {} } = {}) {
+  const columns = { name: 'Test Tee', slug: productId, category: 'tees', price: 10000, ...product };
+  const names = Object.keys(columns);
+  await adapter.exec(
+    `INSERT INTO products (id, ${names.join(', ')}) VALUES ($1, ${names.map((_, i) => `$${i + 2}`).join(', ')})
+     ON CONFLICT (id) DO NOTHING`,
+    [productId, ...Object.values(columns)]
+  );
+  await adapter.exec(
+    'INSERT INTO product_variants (id, product_id, sku, color, size, stock) VALUES ($1, $2, $3, $4, $5, $6)',
+    [variantId, productId, variantId.toUpperCase(), color, size, stock]
+  );
+}
+
+export const stockOf = async variantId =>
+  (await adapter.one('SELECT stock FROM product_variants WHERE id = $1', [variantId])).stock;
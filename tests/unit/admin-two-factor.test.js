@@ -0,0 +1,190 @@
+/**
+ * LA VAGUE - Admin Two-Factor Tests
+ * TOTP codes, enrollment, recovery codes, the login code step and the
+ * store-wide requirement for owners and managers
+ */
+
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+
+const { adapter, migrate } = await import('../helpers/test-db.js');
+const { verifyAdminToken } = await import('../../src/middleware/auth.js');
+const { base32Encode, base32Decode, totp, verifyTotp, otpauthUrl } = await import('../../src/utils/totp.js');
+const { createAdminUser, createAdminSession } = await import('../../src/services/adminUserService.js');
+const {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  completeLoginChallenge
+} = await import('../../src/services/twoFactorService.js');
+
+const PASSWORD = 'correct horse battery';
+
+// RFC 6238 appendix B secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+async function verify(token, method, path) {
+  const req = { method, path, headers: { authorization: `Bearer ${token}` } };
+  const res = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+  const next = vi.fn();
+  await verifyAdminToken(req, res, next);
+  if (next.mock.calls.length) return { status: 200 };
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+}
+
+/**
+ * A code for a later step than any used so far, as if the admin waited for
+ * their app to show the next one
+ */
+async function nextCode(adminId, offset = 1) {
+  const { totp_secret: secret } = await adapter.one('SELECT totp_secret FROM admin_users WHERE id = $1', [adminId]);
+  return totp(secret, Date.now() + offset * 30 * 1000);
+}
+
+async function enrolledAdmin(email, role = 'support') {
+  const admin = await createAdminUser({ email, name: 'Test Admin', password: PASSWORD, role });
+  const { secret } = await startTwoFactorSetup(admin.id);
+  const recoveryCodes = await enableTwoFactor(admin.id, totp(secret));
+  return { admin, secret, recoveryCodes };
+}
+
+beforeAll(async () => {
+  await migrate();
+});
+
+describe('totp', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    expect(totp(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(totp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(totp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  it('allows one step of clock drift and refuses used steps', () => {
+    const now = 1234567890 * 1000;
+    const step = Math.floor(now / 30000);
+    expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, now - 30000), { now })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, now - 60000), { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '005 924', { now })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, '005924', { now, afterStep: step })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { now })).toBeNull();
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    expect(otpauthUrl('ABC', 'ada@example.com', 'LA VAGUE Admin'))
+      .toBe('otpauth://totp/LA%20VAGUE%20Admin%3Aada%40example.com?secret=ABC&issuer=LA+VAGUE+Admin&algorithm=SHA1&digits=6&period=30');
+  });
+});
+
+describe('enrollment', () => {
+  it('only turns on after a valid code and hands out ten recovery codes', async () => {
+    const admin = await createAdminUser({ email: 'ada@example.com', name: 'Ada', password: PASSWORD, role: 'support' });
+    const setup = await startTwoFactorSetup(admin.id);
+    expect(setup.qrCode).toMatch(/^data:image\/png;base64,/);
+    expect(setup.otpauthUrl).toContain(`secret=${setup.secret}`);
+
+    await expect(enableTwoFactor(admin.id, '000000')).rejects.toMatchObject({ code: 'INVALID_CODE' });
+    expect((await getTwoFactorStatus(admin.id)).enabled).toBe(false);
+
+    const codes = await enableTwoFactor(admin.id, totp(setup.secret));
+    expect(codes).toHaveLength(10);
+    expect(await getTwoFactorStatus(admin.id)).toMatchObject({ enabled: true, recoveryCodesLeft: 10 });
+    await expect(startTwoFactorSetup(admin.id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('turns off only with the password and a current code', async () => {
+    const { admin } = await enrolledAdmin('bola@example.com');
+    await expect(disableTwoFactor(admin.id, { password: 'wrong password', code: await nextCode(admin.id) }))
+      .rejects.toMatchObject({ code: 'INVALID_PASSWORD' });
+    await disableTwoFactor(admin.id, { password: PASSWORD, code: await nextCode(admin.id) });
+    expect(await getTwoFactorStatus(admin.id)).toMatchObject({ enabled: false, recoveryCodesLeft: 0 });
+  });
+
+  it('replaces recovery codes on request', async () => {
+    const { admin, recoveryCodes } = await enrolledAdmin('chi@example.com');
+    const fresh = await regenerateRecoveryCodes(admin.id, await nextCode(admin.id));
+    expect(fresh).not.toEqual(recoveryCodes);
+
+    const challenge = await createLoginChallenge(admin.id);
+    await expect(completeLoginChallenge(challenge, recoveryCodes[0])).rejects.toMatchObject({ code: 'INVALID_CODE' });
+  });
+});
+
+describe('login code step', () => {
+  it('trades a challenge and code for the admin, once', async () => {
+    const { admin } = await enrolledAdmin('dayo@example.com');
+    const code = await nextCode(admin.id);
+
+    const challenge = await createLoginChallenge(admin.id);
+    expect(await completeLoginChallenge(challenge, code)).toEqual({ adminId: admin.id, method: 'totp' });
+    await expect(completeLoginChallenge(challenge, code)).rejects.toMatchObject({ code: 'CHALLENGE_EXPIRED' });
+
+    // The same code can't start a second login
+    const again = await createLoginChallenge(admin.id);
+    await expect(completeLoginChallenge(again, code)).rejects.toMatchObject({ code: 'INVALID_CODE' });
+  });
+
+  it('accepts each recovery code once, ignoring case and dashes', async () => {
+    const { admin, recoveryCodes } = await enrolledAdmin('efe@example.com');
+    const typed = recoveryCodes[3].replace('-', '').toUpperCase();
+
+    expect(await completeLoginChallenge(await createLoginChallenge(admin.id), typed))
+      .toMatchObject({ method: 'recovery' });
+    await expect(completeLoginChallenge(await createLoginChallenge(admin.id), typed))
+      .rejects.toMatchObject({ code: 'INVALID_CODE' });
+    expect((await getTwoFactorStatus(admin.id)).recoveryCodesLeft).toBe(9);
+  });
+
+  it('gives one session between requests racing with the same challenge', async () => {
+    const { admin, recoveryCodes } = await enrolledAdmin('funmi@example.com');
+    const challenge = await createLoginChallenge(admin.id);
+
+    const results = await Promise.allSettled([
+      completeLoginChallenge(challenge, recoveryCodes[0]),
+      completeLoginChallenge(challenge, recoveryCodes[1])
+    ]);
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ code: 'CHALLENGE_EXPIRED' });
+  });
+
+  it('throws the challenge away after five wrong codes', async () => {
+    const { admin } = await enrolledAdmin('femi@example.com');
+    const challenge = await createLoginChallenge(admin.id);
+    for (let i = 0; i < 5; i++) {
+      await expect(completeLoginChallenge(challenge, '000000')).rejects.toMatchObject({ code: 'INVALID_CODE' });
+    }
+    await expect(completeLoginChallenge(challenge, await nextCode(admin.id)))
+      .rejects.toMatchObject({ code: 'CHALLENGE_EXPIRED' });
+  });
+});
+
+describe('store-wide requirement', () => {
+  beforeAll(async () => {
+    await adapter.exec("INSERT INTO settings (key, value) VALUES ('requireAdminTwoFactor', 'true')");
+  });
+
+  it('keeps owners and managers without two-factor to the routes open to every admin', async () => {
+    const manager = await createAdminUser({ email: 'gbenga@example.com', name: 'Gbenga', password: PASSWORD, role: 'manager' });
+    const token = await createAdminSession(manager.id);
+
+    expect(await verify(token, 'GET', '/orders')).toMatchObject({ status: 403, body: { code: 'TWO_FACTOR_SETUP_REQUIRED' } });
+    expect((await verify(token, 'GET', '/me')).status).toBe(200);
+    expect((await verify(token, 'POST', '/two-factor/setup')).status).toBe(200);
+
+    const { secret } = await startTwoFactorSetup(manager.id);
+    await enableTwoFactor(manager.id, totp(secret));
+    expect((await verify(token, 'GET', '/orders')).status).toBe(200);
+  });
+
+  it('leaves other roles alone and stops required admins turning it off', async () => {
+    const support = await createAdminUser({ email: 'halima@example.com', name: 'Halima', password: PASSWORD, role: 'support' });
+    expect((await verify(await createAdminSession(support.id), 'GET', '/orders')).status).toBe(200);
+
+    const { admin } = await enrolledAdmin('ike@example.com', 'owner');
+    await expect(disableTwoFactor(admin.id, { password: PASSWORD, code: await nextCode(admin.id) }))
+      .rejects.toMatchObject({ code: 'TWO_FACTOR_REQUIRED' });
+  });
+});
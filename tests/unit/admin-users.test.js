@@ -0,0 +1,200 @@
+/**
+ * LA VAGUE - Admin User Tests
+ * Individual admin logins, role permissions per route and audit attribution
+ */
+
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+
+process.env.ADMIN_EMAIL = 'Owner@Example.com';
+process.env.ADMIN_PASSWORD = 'owner password 1';
+
+const { adapter, migrate } = await import('../helpers/test-db.js');
+const { requiredAccess, canAccess } = await import('../../src/config/adminRoles.js');
+const { verifyAdminToken } = await import('../../src/middleware/auth.js');
+const { logAudit } = await import('../../src/utils/audit.js');
+const {
+  ensureOwnerAccount,
+  createAdminUser,
+  updateAdminUser,
+  setAdminPassword,
+  authenticateAdmin,
+  createAdminSession,
+  listAdminSessions,
+  revokeAdminSession,
+  endAdminSessions,
+  rotateAdminSession,
+  sweepAdminSessions
+} = await import('../../src/services/adminUserService.js');
+
+const PASSWORD = 'correct horse battery';
+
+/**
+ * Run verifyAdminToken for a request and report what it did
+ */
+async function verify(token, method, path) {
+  const req = { method, path, headers: { authorization: `Bearer ${token}` } };
+  const res = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+  const next = vi.fn();
+  await verifyAdminToken(req, res, next);
+  return { req, status: next.mock.calls.length ? 200 : res.status.mock.calls[0][0] };
+}
+
+let owner;
+
+beforeAll(async () => {
+  await migrate();
+  owner = await ensureOwnerAccount();
+});
+
+describe('role permissions', () => {
+  it('maps admin routes to areas, reads for GET and writes otherwise', () => {
+    expect(requiredAccess('GET', '/orders')).toEqual({ area: 'orders', level: 'read' });
+    expect(requiredAccess('POST', '/orders/LV-1/status')).toEqual({ area: 'orders', level: 'write' });
+    expect(requiredAccess('POST', '/orders/LV-1/notes')).toEqual({ area: 'notes', level: 'write' });
+    expect(requiredAccess('POST', '/orders/LV-1/refunds')).toEqual({ area: 'payments', level: 'write' });
+    expect(requiredAccess('GET', '/me')).toEqual({ area: null, level: 'read' });
+    expect(requiredAccess('GET', '/something-new')).toMatchObject({ area: 'team' });
+  });
+
+  it('gives each role only its areas', () => {
+    expect(canAccess('owner', 'team', 'write')).toBe(true);
+    expect(canAccess('manager', 'team', 'read')).toBe(false);
+    expect(canAccess('support', 'orders', 'read')).toBe(true);
+    expect(canAccess('support', 'orders', 'write')).toBe(false);
+    expect(canAccess('support', 'notes', 'write')).toBe(true);
+    expect(canAccess('fulfillment', 'payments', 'read')).toBe(false);
+    expect(canAccess('content', 'products', 'write')).toBe(true);
+    expect(canAccess('unknown', 'dashboard', 'read')).toBe(false);
+  });
+});
+
+describe('admin users', () => {
+  it('creates the first owner from the environment, once', async () => {
+    expect(owner).toMatchObject({ email: 'owner@example.com', role: 'owner', active: true });
+    expect(await ensureOwnerAccount()).toBeNull();
+    expect(await authenticateAdmin('owner@example.com', 'owner password 1')).toMatchObject({ id: owner.id });
+  });
+
+  it('refuses duplicate emails and unknown roles', async () => {
+    await createAdminUser({ email: 'ada@example.com', name: 'Ada', password: PASSWORD, role: 'support' });
+    await expect(createAdminUser({ email: 'ADA@example.com', name: 'Ada', password: PASSWORD, role: 'support' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(createAdminUser({ email: 'bola@example.com', name: 'Bola', password: PASSWORD, role: 'admin' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('keeps at least one active owner', async () => {
+    await expect(updateAdminUser(owner.id, { role: 'manager' })).rejects.toMatchObject({ code: 'LAST_OWNER' });
+    await expect(updateAdminUser(owner.id, { active: false })).rejects.toMatchObject({ code: 'LAST_OWNER' });
+
+    const second = await createAdminUser({ email: 'chi@example.com', name: 'Chi', password: PASSWORD, role: 'owner' });
+    expect(await updateAdminUser(second.id, { role: 'manager' })).toMatchObject({ role: 'manager' });
+  });
+
+  it('signs out a deactivated admin and rejects their password', async () => {
+    const dayo = await createAdminUser({ email: 'dayo@example.com', name: 'Dayo', password: PASSWORD, role: 'content' });
+    const token = await createAdminSession(dayo.id);
+    expect((await verify(token, 'GET', '/products')).status).toBe(200);
+
+    await updateAdminUser(dayo.id, { active: false });
+    expect((await verify(token, 'GET', '/products')).status).toBe(401);
+    await expect(authenticateAdmin('dayo@example.com', PASSWORD)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('ends other sessions when a password is reset', async () => {
+    const kept = await createAdminSession(owner.id);
+    const other = await createAdminSession(owner.id);
+    await setAdminPassword(owner.id, 'owner password 2', kept);
+
+    expect((await verify(kept, 'GET', '/users')).status).toBe(200);
+    expect((await verify(other, 'GET', '/users')).status).toBe(401);
+    expect(await authenticateAdmin('owner@example.com', 'owner password 2')).toMatchObject({ id: owner.id });
+  });
+});
+
+describe('verifyAdminToken', () => {
+  let supportToken;
+
+  beforeAll(async () => {
+    const efe = await createAdminUser({ email: 'efe@example.com', name: 'Efe', password: PASSWORD, role: 'support' });
+    supportToken = await createAdminSession(efe.id);
+  });
+
+  it('lets a role use its routes and answers 403 for the rest', async () => {
+    expect((await verify(supportToken, 'GET', '/orders')).status).toBe(200);
+    expect((await verify(supportToken, 'POST', '/orders/LV-1/notes')).status).toBe(200);
+    expect((await verify(supportToken, 'POST', '/orders/LV-1/status')).status).toBe(403);
+    expect((await verify(supportToken, 'GET', '/analytics/sales')).status).toBe(403);
+    expect((await verify(supportToken, 'GET', '/users')).status).toBe(403);
+  });
+
+  it('attributes audit log entries to the signed-in admin', async () => {
+    const { req } = await verify(supportToken, 'POST', '/orders/LV-1/notes');
+    await logAudit('ADD_NOTE', 'order', 'LV-1', null, { note: 'Called customer' }, req);
+    await logAudit('CLEANUP', 'order', 'LV-1', null, null, null);
+
+    const rows = await adapter.many("SELECT performed_by, admin_user_id FROM audit_logs WHERE entity_id = 'LV-1' ORDER BY id");
+    expect(rows).toEqual([
+      { performed_by: 'efe@example.com', admin_user_id: req.admin.id },
+      { performed_by: 'system', admin_user_id: null }
+    ]);
+  });
+});
+
+describe('admin sessions', () => {
+  let admin;
+
+  beforeAll(async () => {
+    admin = await createAdminUser({ email: 'funmi@example.com', name: 'Funmi', password: PASSWORD, role: 'fulfillment' });
+  });
+
+  it('lists sessions with where they came from and marks the current one', async () => {
+    const laptop = await createAdminSession(admin.id, { ipAddress: '10.0.0.1', userAgent: 'Laptop' });
+    await createAdminSession(admin.id, { ipAddress: '10.0.0.2', userAgent: 'Phone' });
+
+    const sessions = await listAdminSessions(admin.id, laptop);
+    expect(sessions).toHaveLength(2);
+    expect(sessions.find(s => s.current)).toMatchObject({ ipAddress: '10.0.0.1', userAgent: 'Laptop' });
+    expect(sessions.every(s => s.lastSeenAt)).toBe(true);
+  });
+
+  it('revokes one session, or all but the current one', async () => {
+    const keep = await createAdminSession(admin.id);
+    const [other] = (await listAdminSessions(admin.id, keep)).filter(s => !s.current);
+
+    await revokeAdminSession(admin.id, other.id);
+    await expect(revokeAdminSession(owner.id, other.id)).rejects.toMatchObject({ statusCode: 404 });
+    expect(await endAdminSessions(admin.id, keep)).toBeGreaterThan(0);
+    expect(await listAdminSessions(admin.id, keep)).toEqual([expect.objectContaining({ current: true })]);
+    await endAdminSessions(admin.id);
+  });
+
+  it('ends sessions left idle and sweeps them away', async () => {
+    const token = await createAdminSession(admin.id);
+    expect((await verify(token, 'GET', '/orders')).status).toBe(200);
+
+    await adapter.exec("UPDATE admin_sessions SET last_seen_at = datetime('now', '-2 hours') WHERE session_key = $1", [token]);
+    expect((await verify(token, 'GET', '/orders')).status).toBe(401);
+    expect(await sweepAdminSessions()).toBeGreaterThan(0);
+    expect(await adapter.one('SELECT id FROM admin_sessions WHERE session_key = $1', [token])).toBeNull();
+  });
+
+  it('moves last-seen forward on use', async () => {
+    const token = await createAdminSession(admin.id);
+    await adapter.exec("UPDATE admin_sessions SET last_seen_at = datetime('now', '-30 minutes') WHERE session_key = $1", [token]);
+    const { req } = await verify(token, 'GET', '/orders');
+
+    const row = await adapter.one(
+      "SELECT last_seen_at > datetime('now', '-1 minutes') AS fresh FROM admin_sessions WHERE id = $1",
+      [req.adminSessionId]
+    );
+    expect(row.fresh).toBe(1);
+  });
+
+  it('rotates a session token', async () => {
+    const token = await createAdminSession(admin.id);
+    const rotated = await rotateAdminSession(token);
+    expect((await verify(token, 'GET', '/orders')).status).toBe(401);
+    expect((await verify(rotated, 'GET', '/orders')).status).toBe(200);
+  });
+});
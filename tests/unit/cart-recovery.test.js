@@ -0,0 +1,166 @@
+/**
+ * LA VAGUE - Abandoned Cart Recovery Tests
+ * The reminder schedule, who gets reminded and when, the coupon on the last
+ * reminder, signed restore and unsubscribe links, and recovery metrics
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+
+process.env.EMAIL_TEST_MODE = 'true';
+
+const { adapter, migrate, addVariant } = await import('../helpers/test-db.js');
+const { addCartItem, setCartEmail, restoreCart, convertCart, getCart } = await import('../../src/services/cartService.js');
+const {
+  parseReminderDelays,
+  sendCartReminders,
+  restoreToken,
+  unsubscribeToken,
+  openRestoreLink,
+  unsubscribeFromLink,
+  getRecoveryStats
+} = await import('../../src/services/cartRecoveryService.js');
+
+const setting = (key, value) => adapter.exec(
+  'INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2',
+  [key, value]
+);
+
+// Pretend the cart was last changed this many hours ago
+const idle = (cartId, hours) => adapter.exec(
+  `UPDATE carts SET updated_at = ${adapter.dialect.interval(-hours, 'hours')} WHERE id = $1`,
+  [cartId]
+);
+
+const reminders = cartId => adapter.many('SELECT * FROM cart_reminders WHERE cart_id = $1 ORDER BY step', [cartId]);
+
+let variantCount = 0;
+async function newCart(email) {
+  const variantId = `var-rec-${++variantCount}`;
+  await addVariant('rec-001', variantId, { size: `S${variantCount}`, product: { name: 'Wave Tee' } });
+  const { cart, token } = await addCartItem({}, { productId: 'rec-001', variantId, quantity: 2 });
+  if (email) await setCartEmail({ token }, email);
+  return { cartId: cart.id, token };
+}
+
+beforeAll(async () => {
+  await migrate();
+  await setting('abandonedCartDelays', '1,24');
+  await setting('abandonedCartCouponPercent', '15');
+});
+
+beforeEach(async () => {
+  await setting('abandonedCartEmails', 'true');
+});
+
+describe('reminder schedule', () => {
+  it('accepts up to five increasing hour counts', () => {
+    expect(parseReminderDelays('1, 24,72')).toEqual([1, 24, 72]);
+    expect(parseReminderDelays('24,1')).toBeNull();
+    expect(parseReminderDelays('0')).toBeNull();
+    expect(parseReminderDelays('1,2,3,4,5,6')).toBeNull();
+    expect(parseReminderDelays('1h')).toBeNull();
+  });
+});
+
+describe('sending reminders', () => {
+  it('sends each reminder once, when due, and a coupon with the last', async () => {
+    const { cartId } = await newCart('Ada@Example.com');
+
+    await sendCartReminders();
+    expect(await reminders(cartId)).toEqual([]);
+
+    await idle(cartId, 2);
+    await sendCartReminders();
+    await sendCartReminders();
+    expect(await reminders(cartId)).toMatchObject([{ step: 0, email: 'ada@example.com', coupon_code: null }]);
+
+    await idle(cartId, 25);
+    await sendCartReminders();
+    const [, last] = await reminders(cartId);
+    expect(last.coupon_code).toMatch(/^COMEBACK-[A-F0-9]{8}$/);
+    const coupon = await adapter.one('SELECT * FROM coupons WHERE code = $1', [last.coupon_code]);
+    expect(coupon).toMatchObject({ type: 'percentage', value: 15, usage_limit: 1 });
+  });
+
+  it('skips to the reminder due now when one was missed', async () => {
+    const { cartId } = await newCart('late@example.com');
+    await idle(cartId, 30);
+    await sendCartReminders();
+    expect(await reminders(cartId)).toMatchObject([{ step: 1 }]);
+  });
+
+  it('leaves carts without an email, unsubscribed addresses and finished orders alone', async () => {
+    const anonymous = await newCart(null);
+    const unsubscribed = await newCart('gone@example.com');
+    const ordered = await newCart('paid@example.com');
+    await unsubscribeFromLink(unsubscribeToken('gone@example.com'));
+    await convertCart({ token: ordered.token }, 'LV-REC1');
+
+    for (const { cartId } of [anonymous, unsubscribed, ordered]) await idle(cartId, 2);
+    await sendCartReminders();
+    for (const { cartId } of [anonymous, unsubscribed, ordered]) {
+      expect(await reminders(cartId)).toEqual([]);
+    }
+  });
+
+  it('sends nothing while turned off', async () => {
+    const { cartId } = await newCart('off@example.com');
+    await idle(cartId, 2);
+    await setting('abandonedCartEmails', 'false');
+    expect(await sendCartReminders()).toBe(0);
+    expect(await reminders(cartId)).toEqual([]);
+  });
+});
+
+describe('reminder links', () => {
+  it('rejects tampered links', async () => {
+    const token = restoreToken('CART-AAAAAAAAAAAA');
+    await expect(openRestoreLink(token.replace('CART-A', 'CART-B'))).rejects.toMatchObject({ code: 'INVALID_LINK' });
+    await expect(unsubscribeFromLink('bm9wZQ.bad')).rejects.toMatchObject({ code: 'INVALID_LINK' });
+  });
+
+  it('moves an anonymous cart to the browser that opened the link, merging its own cart in', async () => {
+    const { cartId } = await newCart('move@example.com');
+    await idle(cartId, 2);
+    await sendCartReminders();
+
+    const browser = await newCart(null);
+    const { cart, token } = await restoreCart({ token: browser.token }, await openRestoreLink(restoreToken(cartId)));
+    expect(cart.id).toBe(cartId);
+    expect(cart.items).toHaveLength(2);
+    expect((await getCart({ token })).id).toBe(cartId);
+    expect((await reminders(cartId))[0].clicked_at).not.toBeNull();
+  });
+
+  it('asks for a login before restoring a customer\'s cart', async () => {
+    await adapter.exec(
+      'INSERT INTO customers (id, email, password_hash, name) VALUES ($1, $2, $3, $4)',
+      ['CUS-REC1', 'rec@example.com', '', 'Ada']
+    );
+    const { cart } = await addCartItem({ customerId: 'CUS-REC1' }, { productId: 'rec-001', variantId: 'var-rec-1', quantity: 1 });
+
+    await expect(restoreCart({}, cart.id)).rejects.toMatchObject({ statusCode: 401, code: 'LOGIN_REQUIRED' });
+    expect((await restoreCart({ customerId: 'CUS-REC1' }, cart.id)).cart.id).toBe(cart.id);
+  });
+});
+
+describe('recovery metrics', () => {
+  it('counts reminded carts that became orders', async () => {
+    const { cartId, token } = await newCart('buyer@example.com');
+    await idle(cartId, 2);
+    await sendCartReminders();
+    await adapter.exec(`
+      INSERT INTO orders (id, customer_name, customer_email, shipping_address, items, subtotal, shipping_cost, total,
+        payment_method, payment_status)
+      VALUES ('LV-REC2', 'Ada', 'buyer@example.com', '{}', '[]', 20000, 0, 20000, 'manual', 'paid')
+    `);
+    await convertCart({ token }, 'LV-REC2');
+
+    const stats = await getRecoveryStats(30);
+    expect(stats.recoveredCarts).toBe(1);
+    expect(stats.recoveredRevenue).toBe(20000);
+    expect(stats.remindedCarts).toBeGreaterThan(1);
+    expect(stats.couponsSent).toBeGreaterThan(0);
+    expect(stats.steps[0]).toMatchObject({ step: 1, recovered: 1 });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * LA VAGUE - Server-Side Cart Tests
+ * Price and stock checks on every change, re-pricing on read, merging a
+ * device cart and handing an anonymous cart to a customer at login
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import crypto from 'crypto';
+
+const { adapter, migrate, addVariant } = await import('../helpers/test-db.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const {
+  getCart,
+  createCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  mergeCartItems,
+  claimCart,
+  convertCart
+} = await import('../../src/services/cartService.js');
+
+const wave = { name: 'Wave Tee', images: JSON.stringify(['/img/wave.jpg']) };
+
+async function addCustomer(id) {
+  await adapter.exec(
+    'INSERT INTO customers (id, email, password_hash, name) VALUES ($1, $2, $3, $4)',
+    [id, `${id.toLowerCase()}@example.com`, '', 'Ada']
+  );
+}
+
+const inventoryService = new InventoryService(adapter, false);
+
+const item = (productId, variantId, quantity = 1) => ({ productId, variantId, quantity });
+
+beforeAll(async () => {
+  await migrate();
+});
+
+describe('anonymous carts', () => {
+  beforeAll(async () => {
+    await addVariant('cart-001', 'var-cart-001', { stock: 3, product: wave });
+  });
+
+  it('starts a cart on the first item and finds it again by its token', async () => {
+    expect(await getCart({ token: null })).toMatchObject({ id: null, items: [], subtotal: 0 });
+
+    const { cart, token } = await addCartItem({}, item('cart-001', 'var-cart-001', 2));
+    expect(token).toMatch(/^[a-f0-9]{64}$/);
+    expect(cart).toMatchObject({ itemCount: 2, subtotal: 20000 });
+    expect(cart.items[0]).toMatchObject({ name: 'Wave Tee', image: '/img/wave.jpg', price: 10000, available: 3 });
+
+    const again = await addCartItem({ token }, item('cart-001', 'var-cart-001'));
+    expect(again.token).toBeNull();
+    expect(again.cart).toMatchObject({ id: cart.id, itemCount: 3 });
+
+    const stored = await adapter.one('SELECT token_hash FROM carts WHERE id = $1', [cart.id]);
+    expect(stored.token_hash).not.toBe(token);
+  });
+
+  it('refuses more than is in stock, counting checkout holds', async () => {
+    const { token } = await createCart({});
+    await inventoryService.reserveItems([{ id: 'cart-001', variantId: 'var-cart-001', quantity: 2 }], 'LV-HOLD');
+
+    await expect(addCartItem({ token }, item('cart-001', 'var-cart-001', 2)))
+      .rejects.toMatchObject({ statusCode: 409, code: 'INSUFFICIENT_STOCK' });
+    const { cart } = await addCartItem({ token }, item('cart-001', 'var-cart-001'));
+    await expect(updateCartItem({ token }, cart.items[0].id, 2)).rejects.toMatchObject({ code: 'INSUFFICIENT_STOCK' });
+
+    await inventoryService.cancelReservation('LV-HOLD');
+  });
+
+  it('rejects unknown products and variants', async () => {
+    await expect(addCartItem({}, item('nope', 'var-nope'))).rejects.toMatchObject({ code: 'INVALID_PRODUCT' });
+    await expect(addCartItem({}, { productId: 'cart-001', color: 'Pink', size: 'XS', quantity: 1 }))
+      .rejects.toMatchObject({ code: 'INVALID_VARIANT' });
+  });
+});
+
+describe('changing a cart', () => {
+  beforeAll(async () => {
+    await addVariant('cart-002', 'var-cart-002', { stock: 10, product: { ...wave, price: 5000 } });
+  });
+
+  it('sets quantities, removes lines and only touches the caller\'s cart', async () => {
+    const { cart, token } = await addCartItem({}, item('cart-002', 'var-cart-002', 2));
+    const itemId = cart.items[0].id;
+
+    expect((await updateCartItem({ token }, itemId, 4)).subtotal).toBe(20000);
+    await expect(removeCartItem({ token: crypto.randomBytes(32).toString('hex') }, itemId))
+      .rejects.toMatchObject({ code: 'CART_ITEM_NOT_FOUND' });
+    expect((await updateCartItem({ token }, itemId, 0)).items).toEqual([]);
+  });
+
+  it('re-prices lines and drops deleted variants when read', async () => {
+    const { cart, token } = await addCartItem({}, item('cart-002', 'var-cart-002'));
+    await adapter.exec('UPDATE product_variants SET price = $1 WHERE id = $2', [4500, 'var-cart-002']);
+
+    const repriced = await getCart({ token });
+    expect(repriced.subtotal).toBe(4500);
+    expect(repriced.changes).toEqual([{ type: 'price', itemId: cart.items[0].id, name: 'Wave Tee', from: 5000, to: 4500 }]);
+    expect((await getCart({ token })).changes).toEqual([]);
+
+    await addVariant('cart-002', 'var-cart-002-l', { stock: 5, size: 'L' });
+    await addCartItem({ token }, item('cart-002', 'var-cart-002-l'));
+    await adapter.exec('DELETE FROM product_variants WHERE id = $1', ['var-cart-002-l']);
+    const pruned = await getCart({ token });
+    expect(pruned.items).toHaveLength(1);
+    expect(pruned.changes[0]).toMatchObject({ type: 'removed' });
+  });
+
+  it('merges a device cart, cutting quantities to stock and skipping missing items', async () => {
+    await addVariant('cart-003', 'var-cart-003', { stock: 2, color: 'White', size: 'S', product: wave });
+    const { cart } = await mergeCartItems({}, [
+      { productId: 'cart-003', color: 'White', size: 'S', quantity: 5 },
+      item('gone', 'var-gone')
+    ]);
+    expect(cart.items).toHaveLength(1);
+    expect(cart.items[0]).toMatchObject({ variantId: 'var-cart-003', quantity: 2 });
+    expect(cart.changes).toEqual([
+      { type: 'quantity', productId: 'cart-003', from: 5, to: 2 },
+      { type: 'removed', productId: 'gone' }
+    ]);
+  });
+});
+
+describe('customer carts', () => {
+  beforeAll(async () => {
+    await addVariant('cart-004', 'var-cart-004', { stock: 4, product: wave });
+    await addCustomer('CUS-CART1');
+    await addCustomer('CUS-CART2');
+  });
+
+  it('hands an anonymous cart to a customer with none at login', async () => {
+    const { cart, token } = await addCartItem({}, item('cart-004', 'var-cart-004'));
+    await claimCart('CUS-CART1', token);
+
+    expect((await getCart({ customerId: 'CUS-CART1' })).id).toBe(cart.id);
+    expect((await getCart({ token })).id).toBeNull();
+  });
+
+  it('merges into the customer\'s existing cart without going over stock', async () => {
+    await addCartItem({ customerId: 'CUS-CART2' }, item('cart-004', 'var-cart-004', 3));
+    const { token } = await addCartItem({}, item('cart-004', 'var-cart-004', 3));
+    await claimCart('CUS-CART2', token);
+
+    const cart = await getCart({ customerId: 'CUS-CART2' });
+    expect(cart.items).toHaveLength(1);
+    expect(cart.items[0].quantity).toBe(4);
+    expect((await getCart({ token })).id).toBeNull();
+  });
+
+  it('closes the cart once it becomes an order', async () => {
+    const owner = { customerId: 'CUS-CART2' };
+    const { id } = await getCart(owner);
+    await convertCart(owner, 'LV-CART1');
+
+    expect(await adapter.one('SELECT order_id FROM carts WHERE id = $1', [id])).toEqual({ order_id: 'LV-CART1' });
+    expect((await getCart(owner)).id).toBeNull();
+    expect((await addCartItem(owner, item('cart-004', 'var-cart-004'))).cart.id).not.toBe(id);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * LA VAGUE - Coupon Batch Tests
+ * Generating unique single-use codes from a template, redemption tracked per
+ * code and per batch, and switching a whole batch off
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+const { adapter, migrate } = await import('../helpers/test-db.js');
+const { applyCoupon, redeemCoupon } = await import('../../src/services/promotionService.js');
+const {
+  createCouponBatch, listCouponBatches, getBatchCodes, setBatchActive, DEFAULT_ALPHABET
+} = await import('../../src/services/couponBatchService.js');
+
+const lines = [{ productId: 'tee', variantId: 'tee-m', category: 'tees', price: 10000, quantity: 2 }];
+
+const rules = { type: 'percentage', value: 15, min_order_amount: 5000, applicable_categories: ['tees'] };
+
+const errorCode = async promise => {
+  try {
+    await promise;
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+beforeAll(async () => {
+  await migrate();
+});
+
+describe('coupon batches', () => {
+  it('generates unique single-use codes from the template, all with the batch rules', async () => {
+    const batch = await createCouponBatch({ name: 'Influencers', quantity: 1200, prefix: 'inf-', length: 8, ...rules });
+    expect(batch).toMatchObject({ name: 'Influencers', quantity: 1200, prefix: 'INF-', alphabet: DEFAULT_ALPHABET });
+
+    const rows = await adapter.many('SELECT * FROM coupons WHERE batch_id = $1', [batch.id]);
+    expect(rows).toHaveLength(1200);
+    expect(new Set(rows.map(row => row.code)).size).toBe(1200);
+    expect(rows.every(row => /^INF-[A-HJ-NP-Z2-9]{8}$/.test(row.code))).toBe(true);
+    expect(rows[0]).toMatchObject({
+      type: 'percentage', value: 15, min_order_amount: 5000, usage_limit: 1, per_customer_limit: 1,
+      applicable_categories: '["tees"]'
+    });
+  });
+
+  it('turns down templates that would make guessable codes', async () => {
+    const batch = data => createCouponBatch({ name: 'Email', quantity: 100, ...rules, ...data });
+    expect(await errorCode(batch({ length: 4, alphabet: 'AB' }))).toBe('INVALID_CODE_TEMPLATE');
+    expect(await errorCode(batch({ length: 8, prefix: 'NO SPACES' }))).toBe('INVALID_CODE_TEMPLATE');
+    expect(await errorCode(batch({ length: 8, quantity: 20000 }))).toBe('VALIDATION_ERROR');
+    expect(await errorCode(batch({ length: 8, type: 'bogus' }))).toBe('VALIDATION_ERROR');
+    expect(await errorCode(batch({ length: 8, value: 150 }))).toBe('VALIDATION_ERROR');
+  });
+
+  it('tracks redemptions per code and per batch', async () => {
+    const batch = await createCouponBatch({ name: 'Newsletter', quantity: 3, length: 10, ...rules });
+    const { codes } = await getBatchCodes(batch.id);
+
+    const applied = await applyCoupon(codes[0].code.toLowerCase(), lines, { email: 'ada@example.com' });
+    expect(applied.discount).toBe(3000);
+    await adapter.transaction(tx => redeemCoupon(tx, applied, 'LV-BATCH01', 'ada@example.com'));
+    expect(await errorCode(applyCoupon(codes[0].code, lines, { email: 'grace@example.com' }))).toBe('COUPON_EXHAUSTED');
+
+    const after = await getBatchCodes(batch.id);
+    expect(after.codes.find(code => code.code === codes[0].code))
+      .toMatchObject({ redeemed: true, orderId: 'LV-BATCH01', customerEmail: 'ada@example.com', discount: 3000 });
+    expect(after.codes.filter(code => code.redeemed)).toHaveLength(1);
+    const listed = (await listCouponBatches()).find(b => b.id === batch.id);
+    expect(listed).toMatchObject({ redeemed: 1, discountTotal: 3000 });
+  });
+
+  it('deactivates and reactivates a whole batch', async () => {
+    const batch = await createCouponBatch({ name: 'Giveaway', quantity: 5, length: 10, ...rules });
+    const { codes } = await getBatchCodes(batch.id);
+
+    expect(await setBatchActive(batch.id, false)).toMatchObject({ isActive: false });
+    for (const { code } of codes) {
+      expect(await errorCode(applyCoupon(code, lines))).toBe('COUPON_NOT_FOUND');
+    }
+    await setBatchActive(batch.id, true);
+    await expect(applyCoupon(codes[4].code, lines)).resolves.toMatchObject({ discount: 3000 });
+    expect(await errorCode(setBatchActive('BAT-NOPE', false))).toBe('BATCH_NOT_FOUND');
+  });
+});
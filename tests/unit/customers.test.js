@@ -0,0 +1,260 @@
+/**
+ * LA VAGUE - Customer Account Tests
+ * Registration, login sessions, email sign-in links, email verification,
+ * saved addresses, claiming guest orders and CSRF checks on session requests
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+const { adapter, migrate } = await import('../helpers/test-db.js');
+const {
+  registerCustomer,
+  verifyCustomerEmail,
+  authenticateCustomer,
+  requestLoginLink,
+  signInWithLoginLink,
+  createCustomerSession,
+  getSessionCustomer,
+  endCustomerSession,
+  changeCustomerPassword,
+  saveCustomerAddress,
+  deleteCustomerAddress,
+  listCustomerAddresses,
+  listCustomerOrders,
+  getCustomerOrder,
+  listCustomerReviews,
+  countClaimableOrders,
+  claimGuestOrders
+} = await import('../../src/services/customerService.js');
+const { csrfProtection } = await import('../../src/middleware/csrf.js');
+
+const PASSWORD = 'correct horse battery';
+
+async function guestOrder(orderId, email, customerId = null) {
+  await adapter.exec(`
+    INSERT INTO orders (id, customer_name, customer_email, shipping_address, items, subtotal, shipping_cost, total,
+      payment_method, customer_id)
+    VALUES ($1, 'Ada', $2, '{}', $3, 5000, 0, 5000, 'manual', $4)
+  `, [orderId, email, JSON.stringify([{ name: 'Tee', quantity: 2, price: 2500 }]), customerId]);
+}
+
+const address = (overrides = {}) => ({
+  firstName: 'Ada', lastName: 'Obi', address: '12 Marina Road', city: 'Lagos', state: 'LA', zip: '100001', ...overrides
+});
+
+beforeAll(async () => {
+  await migrate();
+});
+
+describe('registration and login', () => {
+  it('stores a bcrypt hash, never the password', async () => {
+    const { customer, verificationToken } = await registerCustomer({ email: 'Ada@Example.com', password: PASSWORD, name: 'Ada' });
+
+    const row = await adapter.one('SELECT password_hash, verification_token_hash FROM customers WHERE id = $1', [customer.id]);
+    expect(customer).toMatchObject({ email: 'ada@example.com', emailVerified: false });
+    expect(row.password_hash).toMatch(/^\$2[aby]\$12\$/);
+    expect(row.verification_token_hash).not.toBe(verificationToken);
+  });
+
+  it('refuses a second account for the same email', async () => {
+    await expect(registerCustomer({ email: 'ADA@example.com', password: PASSWORD, name: 'Ada' }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'EMAIL_TAKEN' });
+  });
+
+  it('logs in with the right password only, once the email is verified', async () => {
+    await expect(authenticateCustomer('ada@example.com', PASSWORD))
+      .rejects.toMatchObject({ statusCode: 403, code: 'EMAIL_NOT_VERIFIED' });
+    await adapter.exec("UPDATE customers SET email_verified = $1 WHERE email = 'ada@example.com'", [true]);
+
+    expect(await authenticateCustomer('ada@example.com', PASSWORD)).toMatchObject({ email: 'ada@example.com' });
+    await expect(authenticateCustomer('ada@example.com', 'wrong password')).rejects.toMatchObject({ statusCode: 401 });
+    await expect(authenticateCustomer('nobody@example.com', PASSWORD)).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
+
+describe('sessions', () => {
+  it('resolves a session token to its customer until it ends or expires', async () => {
+    const { customer } = await registerCustomer({ email: 'bola@example.com', password: PASSWORD, name: 'Bola' });
+    await adapter.exec('UPDATE customers SET email_verified = $1 WHERE id = $2', [true, customer.id]);
+    const token = await createCustomerSession(customer.id);
+    const expiring = await createCustomerSession(customer.id);
+
+    expect(await getSessionCustomer(token)).toMatchObject({ id: customer.id });
+
+    await endCustomerSession(token);
+    expect(await getSessionCustomer(token)).toBeNull();
+
+    await adapter.exec("UPDATE customer_sessions SET expires_at = datetime('now', '-1 minutes')");
+    expect(await getSessionCustomer(expiring)).toBeNull();
+  });
+
+  it('logs out other sessions when the password changes', async () => {
+    const { id } = await authenticateCustomer('bola@example.com', PASSWORD);
+    const current = await createCustomerSession(id);
+    const other = await createCustomerSession(id);
+
+    await expect(changeCustomerPassword(id, 'not it', 'new password 1', current))
+      .rejects.toMatchObject({ code: 'INVALID_PASSWORD' });
+    await changeCustomerPassword(id, PASSWORD, 'new password 1', current);
+
+    expect(await getSessionCustomer(current)).toMatchObject({ id });
+    expect(await getSessionCustomer(other)).toBeNull();
+    expect(await authenticateCustomer('bola@example.com', 'new password 1')).toMatchObject({ id });
+  });
+});
+
+describe('sign-in links', () => {
+  it('signs in once per link and expires unused links', async () => {
+    const { customer } = await registerCustomer({ email: 'gozie@example.com', password: PASSWORD, name: 'Gozie' });
+    const { token } = await requestLoginLink('Gozie@Example.com');
+
+    expect(await signInWithLoginLink(token)).toMatchObject({ customer: { id: customer.id, emailVerified: true } });
+    await expect(signInWithLoginLink(token)).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_TOKEN' });
+
+    const { token: expired } = await requestLoginLink('gozie@example.com');
+    await adapter.exec("UPDATE customer_login_links SET expires_at = datetime('now', '-1 minutes') WHERE used_at IS NULL");
+    await expect(signInWithLoginLink(expired)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  it('drops the password and sessions of an unverified account for the same email', async () => {
+    await guestOrder('LV-CU-SQUAT1', 'kemi@example.com');
+    const { customer } = await registerCustomer({ email: 'kemi@example.com', password: PASSWORD, name: 'Not Kemi' });
+    const squatter = await createCustomerSession(customer.id);
+    const { token } = await requestLoginLink('kemi@example.com');
+
+    const signedIn = await signInWithLoginLink(token);
+    expect(signedIn).toMatchObject({ customer: { id: customer.id, emailVerified: true, hasPassword: false }, claimed: 1 });
+    expect(await getSessionCustomer(squatter)).toBeNull();
+    await expect(authenticateCustomer('kemi@example.com', PASSWORD)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('stops sending links to an address after a few requests', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await requestLoginLink('hauwa@example.com')).token).toBeTruthy();
+    }
+    expect(await requestLoginLink('hauwa@example.com')).toEqual({ token: null, emailSent: false });
+  });
+
+  it('creates a passwordless account that owns the email\'s orders and reviews', async () => {
+    await guestOrder('LV-CU-LINK1', 'ike@example.com');
+    await adapter.exec(`
+      INSERT INTO reviews (id, product_id, order_id, customer_email, rating, review_text)
+      VALUES ('REV-CU-1', 'lv-tee-001', 'LV-CU-LINK1', 'Ike@Example.com', 5, 'Great fit')
+    `);
+    const { token } = await requestLoginLink('ike@example.com');
+
+    const { customer, claimed } = await signInWithLoginLink(token);
+    expect(customer).toMatchObject({ email: 'ike@example.com', name: 'Ada', emailVerified: true, hasPassword: false });
+    expect(claimed).toBe(1);
+    expect(await listCustomerOrders(customer.id)).toMatchObject([{ id: 'LV-CU-LINK1' }]);
+    expect(await listCustomerReviews(customer)).toMatchObject([{ id: 'REV-CU-1', rating: 5, status: 'pending' }]);
+
+    await expect(authenticateCustomer('ike@example.com', '')).rejects.toMatchObject({ statusCode: 401 });
+    const session = await createCustomerSession(customer.id);
+    await changeCustomerPassword(customer.id, undefined, PASSWORD, session);
+    expect(await authenticateCustomer('ike@example.com', PASSWORD)).toMatchObject({ id: customer.id, hasPassword: true });
+  });
+});
+
+describe('email verification and guest orders', () => {
+  let customer;
+  let token;
+
+  beforeAll(async () => {
+    ({ customer, verificationToken: token } = await registerCustomer({ email: 'chi@example.com', password: PASSWORD, name: 'Chi' }));
+    await guestOrder('LV-CU-GUEST1', 'chi@example.com');
+    await guestOrder('LV-CU-GUEST2', 'Chi@Example.com');
+    await guestOrder('LV-CU-OTHER', 'someone@example.com');
+    await guestOrder('LV-CU-TAKEN', 'chi@example.com', 'CUS-SOMEONE-ELSE');
+  });
+
+  it('only lets a verified customer claim orders', async () => {
+    await expect(claimGuestOrders(customer.id)).rejects.toMatchObject({ statusCode: 403, code: 'EMAIL_NOT_VERIFIED' });
+  });
+
+  it('verifies the email with the emailed token, once', async () => {
+    const registrant = await createCustomerSession(customer.id);
+
+    expect(await verifyCustomerEmail(token))
+      .toMatchObject({ id: customer.id, emailVerified: true, hasPassword: false });
+    await expect(verifyCustomerEmail(token)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+    expect(await getSessionCustomer(registrant)).toBeNull();
+    await expect(authenticateCustomer('chi@example.com', PASSWORD)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('claims unclaimed guest orders placed with the same email', async () => {
+    const verified = { ...customer, emailVerified: true };
+    expect(await countClaimableOrders(verified)).toBe(2);
+
+    expect(await claimGuestOrders(customer.id)).toEqual({ claimed: 2 });
+    expect(await countClaimableOrders(verified)).toBe(0);
+
+    const orders = await listCustomerOrders(customer.id);
+    expect(orders.map(order => order.id).sort()).toEqual(['LV-CU-GUEST1', 'LV-CU-GUEST2']);
+    expect(orders[0]).toMatchObject({ total: 5000, itemCount: 2, status: 'pending' });
+  });
+
+  it('shows an order only to the account it belongs to', async () => {
+    expect(await getCustomerOrder(customer.id, 'LV-CU-GUEST2')).toMatchObject({ id: 'LV-CU-GUEST2', history: [] });
+    await expect(getCustomerOrder(customer.id, 'LV-CU-TAKEN')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('rejects an expired verification token', async () => {
+    const { verificationToken } = await registerCustomer({ email: 'dayo@example.com', password: PASSWORD, name: 'Dayo' });
+    await adapter.exec("UPDATE customers SET verification_expires_at = datetime('now', '-1 minutes') WHERE email = 'dayo@example.com'");
+    await expect(verifyCustomerEmail(verificationToken)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('saved addresses', () => {
+  let customerId;
+
+  beforeAll(async () => {
+    ({ customer: { id: customerId } } = await registerCustomer({ email: 'efe@example.com', password: PASSWORD, name: 'Efe' }));
+  });
+
+  it('makes the first address the default and moves the default on request', async () => {
+    const home = await saveCustomerAddress(customerId, address({ label: 'Home' }));
+    const work = await saveCustomerAddress(customerId, address({ label: 'Work', isDefault: true }));
+
+    expect(home.isDefault).toBe(true);
+    const addresses = await listCustomerAddresses(customerId);
+    expect(addresses.map(a => [a.label, a.isDefault])).toEqual([['Work', true], ['Home', false]]);
+
+    await deleteCustomerAddress(customerId, work.id);
+    expect(await listCustomerAddresses(customerId)).toMatchObject([{ label: 'Home', isDefault: true }]);
+  });
+
+  it("can't edit or delete another customer's address", async () => {
+    const [home] = await listCustomerAddresses(customerId);
+    const { customer: other } = await registerCustomer({ email: 'femi@example.com', password: PASSWORD, name: 'Femi' });
+
+    await expect(saveCustomerAddress(other.id, address(), home.id)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(deleteCustomerAddress(other.id, home.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('CSRF checks on session requests', () => {
+  const token = 'ab'.repeat(32);
+
+  // The status csrfProtection answers with, or 'next' when it lets the request through
+  const check = cookies => new Promise(resolve => {
+    const req = { method: 'POST', headers: { 'x-csrf-token': token }, body: {}, cookies };
+    const res = {
+      cookie: () => {},
+      status: code => ({ json: () => resolve(code) })
+    };
+    csrfProtection(req, res, () => resolve('next'));
+  });
+
+  it('needs the CSRF cookie when the request carries a session or cart', async () => {
+    expect(await check({ lv_session: 'cd'.repeat(32) })).toBe(403);
+    expect(await check({ lv_cart: 'cd'.repeat(32) })).toBe(403);
+    expect(await check({ lv_session: 'cd'.repeat(32), csrf_token: 'ef'.repeat(32) })).toBe(403);
+    expect(await check({ lv_session: 'cd'.repeat(32), csrf_token: token })).toBe('next');
+  });
+
+  it('still takes the header alone from anonymous shoppers', async () => {
+    expect(await check({})).toBe('next');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * LA VAGUE - Database Adapter Unit Tests
+ * Placeholder rewriting and SQLite transactions
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import { DatabaseAdapter, rewritePlaceholders } from '../../src/config/adapter.js';
+
+describe('rewritePlaceholders', () => {
+  it('converts ? to $n for PostgreSQL', () => {
+    const { sql } = rewritePlaceholders('SELECT * FROM t WHERE a = ? AND b = ?', [1, 2], true);
+    expect(sql).toBe('SELECT * FROM t WHERE a = $1 AND b = $2');
+  });
+
+  it('leaves $n SQL untouched for PostgreSQL', () => {
+    const input = 'SELECT * FROM t WHERE a = $1';
+    expect(rewritePlaceholders(input, [1], true).sql).toBe(input);
+  });
+
+  it('converts $n to ? and reorders params for SQLite', () => {
+    const result = rewritePlaceholders('UPDATE t SET a = $2 WHERE id = $1 OR parent = $1', ['x', 'y'], false);
+    expect(result.sql).toBe('UPDATE t SET a = ? WHERE id = ? OR parent = ?');
+    expect(result.params).toEqual(['y', 'x', 'x']);
+  });
+
+  it('ignores placeholders inside string literals', () => {
+    const pg = rewritePlaceholders("SELECT '?' AS q, a FROM t WHERE b = ?", [1], true);
+    expect(pg.sql).toBe("SELECT '?' AS q, a FROM t WHERE b = $1");
+
+    const lite = rewritePlaceholders("SELECT 'costs $1' AS label FROM t WHERE id = $1", [5], false);
+    expect(lite.sql).toBe("SELECT 'costs $1' AS label FROM t WHERE id = ?");
+    expect(lite.params).toEqual([5]);
+  });
+});
+
+describe('DatabaseAdapter (SQLite)', () => {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = new DatabaseAdapter(new Database(':memory:'), false);
+    await adapter.exec('CREATE TABLE items (id TEXT PRIMARY KEY, qty INTEGER NOT NULL, active BOOLEAN, meta TEXT)');
+    await adapter.exec('INSERT INTO items (id, qty, active) VALUES ($1, $2, $3)', ['a', 5, true]);
+  });
+
+  afterEach(async () => {
+    await adapter.close();
+  });
+
+  it('one() returns a row or null', async () => {
+    expect(await adapter.one('SELECT * FROM items WHERE id = $1', ['a'])).toMatchObject({ id: 'a', qty: 5, active: 1 });
+    expect(await adapter.one('SELECT * FROM items WHERE id = $1', ['missing'])).toBeNull();
+  });
+
+  it('many() always returns every row', async () => {
+    await adapter.exec('INSERT INTO items (id, qty) VALUES ($1, $2)', ['b', 1]);
+    const rows = await adapter.many('SELECT id FROM items WHERE qty > $1 ORDER BY id', [0]);
+    expect(rows.map(r => r.id)).toEqual(['a', 'b']);
+  });
+
+  it('exec() reports affected rows and RETURNING rows', async () => {
+    const update = await adapter.exec('UPDATE items SET qty = qty - 1 WHERE id = $1 AND qty > $2', ['a', 0]);
+    expect(update.rowCount).toBe(1);
+
+    const deleted = await adapter.exec('DELETE FROM items WHERE id = $1 RETURNING id', ['a']);
+    expect(deleted.rows).toEqual([{ id: 'a' }]);
+  });
+
+  it('serialises objects as JSON', async () => {
+    await adapter.exec('UPDATE items SET meta = $1 WHERE id = $2', [{ tag: 'x' }, 'a']);
+    const row = await adapter.one('SELECT meta FROM items WHERE id = $1', ['a']);
+    expect(JSON.parse(row.meta)).toEqual({ tag: 'x' });
+  });
+
+  it('commits a successful transaction', async () => {
+    await adapter.transaction(async tx => {
+      await tx.exec('UPDATE items SET qty = $1 WHERE id = $2', [1, 'a']);
+      await tx.exec('INSERT INTO items (id, qty) VALUES ($1, $2)', ['b', 2]);
+    });
+    const rows = await adapter.many('SELECT id, qty FROM items ORDER BY id');
+    expect(rows).toEqual([{ id: 'a', qty: 1 }, { id: 'b', qty: 2 }]);
+  });
+
+  it('rolls back every statement when the callback throws', async () => {
+    await expect(adapter.transaction(async tx => {
+      await tx.exec('UPDATE items SET qty = $1 WHERE id = $2', [0, 'a']);
+      await tx.exec('INSERT INTO items (id, qty) VALUES ($1, $2)', ['b', 2]);
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    const rows = await adapter.many('SELECT id, qty FROM items');
+    expect(rows).toEqual([{ id: 'a', qty: 5 }]);
+  });
+
+  it('nested transactions join the outer one', async () => {
+    await expect(adapter.transaction(async () => {
+      await adapter.transaction(async tx => {
+        await tx.exec('UPDATE items SET qty = $1 WHERE id = $2', [0, 'a']);
+      });
+      throw new Error('outer failure');
+    })).rejects.toThrow('outer failure');
+
+    expect((await adapter.one('SELECT qty FROM items WHERE id = $1', ['a'])).qty).toBe(5);
+  });
+
+  it('keeps statements from other callers out of an open transaction', async () => {
+    let releaseTx;
+    const gate = new Promise(resolve => { releaseTx = resolve; });
+
+    const failing = adapter.transaction(async tx => {
+      await tx.exec('UPDATE items SET qty = $1 WHERE id = $2', [0, 'a']);
+      await gate;
+      throw new Error('rollback');
+    });
+
+    // Issued while the transaction above is open; must not be rolled back with it
+    const outside = adapter.exec('INSERT INTO items (id, qty) VALUES ($1, $2)', ['c', 3]);
+    releaseTx();
+
+    await expect(failing).rejects.toThrow('rollback');
+    await outside;
+
+    const rows = await adapter.many('SELECT id, qty FROM items ORDER BY id');
+    expect(rows).toEqual([{ id: 'a', qty: 5 }, { id: 'c', qty: 3 }]);
+  });
+});
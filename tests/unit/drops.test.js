@@ -0,0 +1,150 @@
+/**
+ * LA VAGUE - Limited Drop Tests
+ * Scheduled release, the waiting room's order and batches, and per-customer
+ * purchase limits in the cart and at checkout
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+process.env.EMAIL_TEST_MODE = 'true';
+
+const { adapter, migrate, addVariant } = await import('../helpers/test-db.js');
+const { ProductService } = await import('../../src/services/productService.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const { addCartItem } = await import('../../src/services/cartService.js');
+const { createOrder } = await import('../../src/services/orderService.js');
+const { joinQueue, getQueueStatus, checkDropAccess } = await import('../../src/services/dropService.js');
+
+const productService = new ProductService(adapter, false);
+const inventoryService = new InventoryService(adapter, false);
+
+const minutesFromNow = minutes => new Date(Date.now() + minutes * 60 * 1000);
+
+let productCount = 0;
+async function newDrop({
+  publishAt = null, purchaseLimit = null, waitingRoomMinutes = null, queueBatchSize = null
+} = {}) {
+  const id = `drop-${++productCount}`;
+  await addVariant(id, `var-${id}`, {
+    stock: 20,
+    product: {
+      name: `Drop Tee ${productCount}`,
+      publish_at: publishAt,
+      purchase_limit: purchaseLimit,
+      waiting_room_minutes: waitingRoomMinutes,
+      queue_batch_size: queueBatchSize
+    }
+  });
+  return { productId: id, variantId: `var-${id}` };
+}
+
+// A waiting room shopper with their own queue cookie
+const shopper = n => ({ queueToken: String(n).padStart(64, '0') });
+
+const order = ({ productId, variantId }, quantity, email = 'ada@example.com') => createOrder({
+  customerName: 'Ada',
+  customerEmail: email,
+  shippingAddress: {},
+  items: [{ id: productId, variantId, name: 'Drop Tee', quantity }],
+  shippingCost: 10000,
+  total: 10000 * quantity + 10000,
+  paymentMethod: 'manual'
+}, productService, inventoryService, null);
+
+beforeAll(async () => {
+  await migrate();
+});
+
+describe('scheduled release', () => {
+  it('shows the release time but refuses sales until then', async () => {
+    const drop = await newDrop({ publishAt: minutesFromNow(60) });
+
+    const product = await productService.getById(drop.productId);
+    expect(Date.parse(product.publishAt)).toBeGreaterThan(Date.now());
+    await expect(addCartItem({}, { ...drop, quantity: 1 })).rejects.toMatchObject({ code: 'DROP_NOT_LIVE' });
+    await expect(order(drop, 1)).rejects.toMatchObject({ code: 'DROP_NOT_LIVE' });
+  });
+
+  it('sells once the release time has passed', async () => {
+    const drop = await newDrop({ publishAt: minutesFromNow(-1) });
+    const { cart } = await addCartItem({}, { ...drop, quantity: 1 });
+    expect(cart.itemCount).toBe(1);
+  });
+});
+
+describe('waiting room', () => {
+  it('lets shoppers in by batch, in their drawn order', async () => {
+    const drop = await newDrop({ publishAt: minutesFromNow(10), waitingRoomMinutes: 30, queueBatchSize: 2 });
+    for (let n = 1; n <= 5; n++) {
+      const { status } = await joinQueue(drop.productId, shopper(n));
+      expect(status).toMatchObject({ status: 'waiting', position: null });
+    }
+    await joinQueue(drop.productId, shopper(1));
+    expect((await adapter.one('SELECT COUNT(*) AS count FROM drop_queue WHERE product_id = $1', [drop.productId])).count)
+      .toBe(5);
+
+    // Opened 90 seconds ago: two batches are due
+    await adapter.exec('UPDATE products SET publish_at = $1 WHERE id = $2', [minutesFromNow(-1.5), drop.productId]);
+    const statuses = [];
+    for (let n = 1; n <= 5; n++) statuses.push(await getQueueStatus(drop.productId, shopper(n)));
+
+    const admitted = statuses.filter(s => s.status === 'admitted');
+    expect(admitted).toHaveLength(4);
+    expect(statuses.find(s => s.status === 'waiting')).toMatchObject({ position: 1 });
+
+    const lucky = statuses.indexOf(admitted[0]) + 1;
+    const unlucky = statuses.findIndex(s => s.status === 'waiting') + 1;
+    await expect(checkDropAccess(drop.productId, shopper(lucky))).resolves.toEqual({ queued: true });
+    await expect(addCartItem(shopper(unlucky), { ...drop, quantity: 1 })).rejects.toMatchObject({ code: 'QUEUE_REQUIRED' });
+    await expect(order(drop, 1)).rejects.toMatchObject({ code: 'QUEUE_REQUIRED' });
+  });
+
+  it('puts shoppers who arrive after opening behind everyone already waiting', async () => {
+    const drop = await newDrop({ publishAt: minutesFromNow(-0.5), waitingRoomMinutes: 30, queueBatchSize: 1 });
+    const first = await joinQueue(drop.productId, shopper(1));
+    const second = await joinQueue(drop.productId, shopper(2));
+    expect(first.status.status).toBe('admitted');
+    expect(second.status).toMatchObject({ status: 'waiting', position: 1 });
+  });
+
+  it('sends a shopper whose turn ran out to the back of the line', async () => {
+    const drop = await newDrop({ publishAt: minutesFromNow(-0.5), waitingRoomMinutes: 30, queueBatchSize: 1 });
+    await joinQueue(drop.productId, shopper(1));
+    await joinQueue(drop.productId, shopper(2));
+    await adapter.exec(
+      'UPDATE drop_queue SET expires_at = $1 WHERE product_id = $2 AND status = $3',
+      [minutesFromNow(-1), drop.productId, 'admitted']
+    );
+
+    expect((await getQueueStatus(drop.productId, shopper(1))).status).toBe('expired');
+    const { status } = await joinQueue(drop.productId, shopper(1));
+    expect(status).toMatchObject({ status: 'waiting', position: 1 });
+    expect((await getQueueStatus(drop.productId, shopper(2))).status).toBe('admitted');
+  });
+
+  it('opens to everyone once the waiting room closes', async () => {
+    const drop = await newDrop({ publishAt: minutesFromNow(-31), waitingRoomMinutes: 30 });
+    expect((await getQueueStatus(drop.productId, {})).status).toBe('open');
+    await expect(joinQueue(drop.productId, {})).rejects.toMatchObject({ code: 'QUEUE_CLOSED' });
+    await expect(checkDropAccess(drop.productId, {})).resolves.toEqual({ queued: false });
+  });
+});
+
+describe('purchase limits', () => {
+  it('keeps each cart line within the limit', async () => {
+    const drop = await newDrop({ purchaseLimit: 2 });
+    const { token } = await addCartItem({}, { ...drop, quantity: 2 });
+    await expect(addCartItem({ token }, { ...drop, quantity: 1 })).rejects.toMatchObject({ code: 'PURCHASE_LIMIT' });
+  });
+
+  it('counts earlier orders by the same customer, but not cancelled ones', async () => {
+    const drop = await newDrop({ purchaseLimit: 2 });
+    const { orderId } = await order(drop, 2);
+
+    await expect(order(drop, 1, 'ADA@example.com')).rejects.toMatchObject({ code: 'PURCHASE_LIMIT' });
+    await expect(order(drop, 1, 'grace@example.com')).resolves.toHaveProperty('orderId');
+
+    await adapter.exec('UPDATE orders SET order_status = $1 WHERE id = $2', ['cancelled', orderId]);
+    await expect(order(drop, 2)).resolves.toHaveProperty('orderId');
+  });
+});
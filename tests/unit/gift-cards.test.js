@@ -0,0 +1,245 @@
+/**
+ * LA VAGUE - Gift Card Tests
+ * Buying a card, issuing it on payment, scheduled delivery, balance lookup,
+ * partial and full redemption at checkout, giving the balance back when an
+ * order falls through, and the admin ledger
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+
+process.env.EMAIL_TEST_MODE = 'true';
+process.env.PAYMENT_PROVIDER = 'mock';
+
+const { adapter, migrate, addVariant } = await import('../helpers/test-db.js');
+const { ProductService } = await import('../../src/services/productService.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const { createOrder, createGiftCardOrder } = await import('../../src/services/orderService.js');
+const { transitionOrder } = await import('../../src/services/orderStateMachine.js');
+const { processWebhook } = await import('../../src/services/paymentService.js');
+const { getPaymentProvider } = await import('../../src/services/payments/index.js');
+const {
+  checkGiftCardPurchase, deliverGiftCard, deliverDueGiftCards, checkGiftCardBalance, getGiftCard,
+  adjustGiftCard, voidGiftCard, parseGiftCardAmounts, formatGiftCardCode
+} = await import('../../src/services/giftCardService.js');
+
+const productService = new ProductService(adapter, false);
+const inventoryService = new InventoryService(adapter, false);
+
+const errorCode = async promise => {
+  try {
+    await promise;
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+const reason = fn => {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+const getOrder = id => adapter.one('SELECT * FROM orders WHERE id = $1', [id]);
+
+let webhookCount = 0;
+const settle = async (orderId, type = 'charge.success') => {
+  const order = await getOrder(orderId);
+  const event = getPaymentProvider('mock').parseWebhook({
+    id: `EVT-GC-${++webhookCount}`,
+    event: type,
+    data: { reference: order.payment_reference, order_id: orderId, amount: order.total - order.gift_card_amount }
+  });
+  return processWebhook(event, inventoryService, 'mock');
+};
+
+const purchase = (data = {}) => checkGiftCardPurchase({
+  amount: 25000,
+  purchaserName: 'Ada',
+  purchaserEmail: 'ada@example.com',
+  recipientName: 'Grace',
+  recipientEmail: 'grace@example.com',
+  message: 'Happy birthday',
+  ...data
+});
+
+// A paid gift card and its code
+async function issueCard(amount) {
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const { orderId, giftCardId } = await createGiftCardOrder(purchase({ amount, sendAt: tomorrow }));
+  await settle(orderId);
+  return { id: giftCardId, code: await deliverGiftCard(giftCardId) };
+}
+
+// A hoodie with standard shipping: 30,000 + 10,000
+const checkout = (data = {}) => createOrder({
+  customerName: 'Grace',
+  customerEmail: 'grace@example.com',
+  shippingAddress: { address: '1 Wave Road', city: 'Lagos', state: 'Lagos', zip: '100001' },
+  items: [{ id: 'gc-hoodie', variantId: 'gc-hoodie-l', name: 'Hoodie', quantity: 1 }],
+  shippingMethod: 'standard',
+  shippingCost: 10000,
+  total: 40000,
+  paymentMethod: 'mock',
+  ...data
+}, productService, inventoryService);
+
+beforeAll(async () => {
+  await migrate();
+  await addVariant('gc-hoodie', 'gc-hoodie-l', {
+    stock: 50, color: 'Grey', size: 'L', product: { name: 'Hoodie', category: 'hoodies', price: 30000 }
+  });
+});
+
+describe('buying gift cards', () => {
+  it('checks amounts and send dates', () => {
+    expect(parseGiftCardAmounts('10000, 25000,50000')).toEqual([10000, 25000, 50000]);
+    expect(parseGiftCardAmounts('25000,10000')).toBeNull();
+    expect(parseGiftCardAmounts('1000')).toBeNull();
+
+    expect(purchase({ amount: 37500 }).amount).toBe(37500);
+    expect(reason(() => purchase({ amount: 1000 }))).toBe('VALIDATION_ERROR');
+    expect(reason(() => purchase({ amount: 12500.5 }))).toBe('VALIDATION_ERROR');
+    const nextYear = new Date(Date.now() + 400 * 24 * 60 * 60 * 1000).toISOString();
+    expect(reason(() => purchase({ sendAt: nextYear }))).toBe('VALIDATION_ERROR');
+  });
+
+  it('issues the card when the payment is confirmed and sends it on the chosen date', async () => {
+    const sendAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const { orderId, giftCardId, payment } = await createGiftCardOrder(purchase({ sendAt }));
+    expect(payment.provider).toBe('mock');
+    expect(await getGiftCard(giftCardId)).toMatchObject({ status: 'pending', balance: 0, orderId });
+
+    await settle(orderId);
+    const card = await getGiftCard(giftCardId);
+    expect(card).toMatchObject({ status: 'active', balance: 25000, sentAt: null });
+    expect(card.transactions).toMatchObject([{ type: 'issue', amount: 25000, balanceAfter: 25000 }]);
+    expect((await getOrder(orderId)).payment_status).toBe('paid');
+
+    // Not due yet
+    expect(await deliverDueGiftCards()).toBe(0);
+    await adapter.exec("UPDATE gift_cards SET send_at = datetime('now', '-1 minutes') WHERE id = $1", [giftCardId]);
+    expect(await deliverDueGiftCards()).toBe(1);
+    expect((await getGiftCard(giftCardId)).sentAt).not.toBeNull();
+    expect(await deliverGiftCard(giftCardId)).toBeNull();
+
+    // Paying twice doesn't issue twice
+    await settle(orderId);
+    expect((await getGiftCard(giftCardId)).transactions).toHaveLength(1);
+  });
+
+  it('sends cards without a date as soon as they are paid for', async () => {
+    const { orderId, giftCardId } = await createGiftCardOrder(purchase());
+    await settle(orderId);
+    expect((await getGiftCard(giftCardId)).sentAt).not.toBeNull();
+  });
+
+  it('looks up a balance by code, however it is typed', async () => {
+    const { code } = await issueCard(10000);
+    expect(formatGiftCardCode(code)).toMatch(/^LVGC(-[A-HJ-NP-Z2-9]{4}){4}$/);
+    const typed = formatGiftCardCode(code).slice(5).toLowerCase().replace(/-/g, ' ');
+    expect(await checkGiftCardBalance(typed)).toEqual({ lastFour: code.slice(-4), balance: 10000, status: 'active' });
+    expect(await errorCode(checkGiftCardBalance('LVGC-NOPE-NOPE-NOPE-NOPE'))).toBe('GIFT_CARD_NOT_FOUND');
+
+    const stored = await adapter.one('SELECT code_hash FROM gift_cards WHERE last_four = $1', [code.slice(-4)]);
+    expect(stored.code_hash).not.toContain(code);
+  });
+});
+
+describe('redeeming at checkout', () => {
+  it('takes part of the total off the card and charges the rest', async () => {
+    const { id, code } = await issueCard(25000);
+    const { orderId, payment, giftCardAmount } = await checkout({ giftCardCode: code });
+    expect(giftCardAmount).toBe(25000);
+    expect(getPaymentProvider('mock').getTransaction(payment.reference).amount).toBe(15000);
+    expect(await getGiftCard(id)).toMatchObject({ balance: 0 });
+
+    const result = await settle(orderId);
+    expect(result.status).toBe('processed');
+    expect(await getOrder(orderId)).toMatchObject({ payment_status: 'paid', gift_card_amount: 25000, total: 40000 });
+    expect(await errorCode(checkout({ giftCardCode: code }))).toBe('GIFT_CARD_EMPTY');
+  });
+
+  it('pays for the whole order when the balance covers it', async () => {
+    const { id, code } = await issueCard(50000);
+    const { orderId, payment } = await checkout({ giftCardCode: code, paymentMethod: 'gift_card' });
+    expect(payment).toBeNull();
+    expect(await getOrder(orderId)).toMatchObject({
+      payment_method: 'gift_card', payment_status: 'paid', order_status: 'processing', gift_card_amount: 40000
+    });
+    expect(await getGiftCard(id)).toMatchObject({ balance: 10000 });
+
+    expect(await errorCode(checkout({ giftCardCode: code, paymentMethod: 'gift_card' }))).toBe('GIFT_CARD_INSUFFICIENT');
+    expect(await getGiftCard(id)).toMatchObject({ balance: 10000 });
+  });
+
+  it('gives the balance back when the payment fails or the order is cancelled', async () => {
+    const { id, code } = await issueCard(20000);
+    const failed = await checkout({ giftCardCode: code });
+    expect(await getGiftCard(id)).toMatchObject({ balance: 0 });
+    await settle(failed.orderId, 'charge.failed');
+    expect(await getGiftCard(id)).toMatchObject({ balance: 20000 });
+
+    // A payment that goes through after all takes it again
+    await settle(failed.orderId);
+    expect(await getGiftCard(id)).toMatchObject({ balance: 0 });
+
+    await transitionOrder(failed.orderId, 'cancelled', { reason: 'Customer changed their mind', inventoryService });
+    await transitionOrder(failed.orderId, 'cancelled', { inventoryService });
+    const card = await getGiftCard(id);
+    expect(card.balance).toBe(20000);
+    expect(card.transactions.map(tx => tx.type)).toEqual(['release', 'redeem', 'release', 'redeem', 'issue']);
+  });
+});
+
+describe('failures after the order is saved', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('fails the payment and gives the balance back when the gateway can\'t start it', async () => {
+    const { id, code } = await issueCard(20000);
+    vi.spyOn(getPaymentProvider('mock'), 'initialize').mockRejectedValueOnce(new Error('Gateway unavailable'));
+
+    await expect(checkout({ giftCardCode: code })).rejects.toThrow('Gateway unavailable');
+    const order = await adapter.one('SELECT * FROM orders WHERE gift_card_id = $1', [id]);
+    expect(order).toMatchObject({ payment_status: 'failed', gift_card_amount: 20000 });
+    expect(await getGiftCard(id)).toMatchObject({ balance: 20000 });
+    expect(await adapter.many('SELECT id FROM inventory_reservations WHERE order_id = $1', [order.id])).toEqual([]);
+  });
+
+  it('keeps the card debited on an order that was already paid', async () => {
+    const { id, code } = await issueCard(40000);
+    const confirm = inventoryService.confirmReservation.bind(inventoryService);
+    vi.spyOn(inventoryService, 'confirmReservation')
+      .mockImplementationOnce(confirm)
+      .mockRejectedValueOnce(new Error('Ledger unavailable'));
+
+    await expect(checkout({ giftCardCode: code, paymentMethod: 'gift_card' })).rejects.toThrow('Ledger unavailable');
+    const order = await adapter.one('SELECT * FROM orders WHERE gift_card_id = $1', [id]);
+    expect(order.payment_status).toBe('paid');
+    expect(await getGiftCard(id)).toMatchObject({ balance: 0 });
+  });
+});
+
+describe('admin ledger', () => {
+  it('adjusts and voids cards, keeping every change', async () => {
+    const { id, code } = await issueCard(10000);
+    expect(await errorCode(adjustGiftCard(id, { amount: 5000 }))).toBe('VALIDATION_ERROR');
+    expect(await errorCode(adjustGiftCard(id, { amount: -20000, note: 'Too much' }))).toBe('VALIDATION_ERROR');
+    expect(await adjustGiftCard(id, { amount: 5000, note: 'Late delivery' }, 'boss@example.com'))
+      .toMatchObject({ balance: 15000 });
+
+    const voided = await voidGiftCard(id, 'Reported stolen', 'boss@example.com');
+    expect(voided).toMatchObject({ status: 'void', balance: 0 });
+    expect(voided.transactions[0]).toMatchObject({ type: 'void', amount: -15000, actor: 'boss@example.com' });
+    expect(voided.transactions[1]).toMatchObject({ type: 'adjust', amount: 5000, note: 'Late delivery' });
+
+    expect(await errorCode(checkout({ giftCardCode: code }))).toBe('GIFT_CARD_VOID');
+    expect(await errorCode(adjustGiftCard(id, { amount: 100, note: 'Oops' }))).toBe('GIFT_CARD_NOT_ACTIVE');
+    expect(await errorCode(voidGiftCard(id))).toBe('GIFT_CARD_VOID');
+  });
+});
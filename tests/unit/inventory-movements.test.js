@@ -0,0 +1,71 @@
+/**
+ * LA VAGUE - Inventory Movement Tests
+ * Every stock change writes a ledger row that reconciles with stock
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+const { adapter, migrate } = await import('../helpers/test-db.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const { ProductService } = await import('../../src/services/productService.js');
+
+const inventoryService = new InventoryService(adapter, false);
+const productService = new ProductService(adapter, false);
+
+const movementsFor = variantId => adapter.many(
+  'SELECT movement_type, quantity_change, quantity_before, quantity_after, reference_id, reference_type FROM inventory_movements WHERE variant_id = $1 ORDER BY id',
+  [variantId]
+);
+
+const ledgerBalance = async variantId =>
+  (await adapter.one('SELECT COALESCE(SUM(quantity_change), 0) AS total FROM inventory_movements WHERE variant_id = $1', [variantId])).total;
+
+describe('inventory movements', () => {
+  let variant;
+
+  beforeAll(async () => {
+    await migrate();
+    await adapter.exec(
+      'INSERT INTO products (id, name, slug, category, price) VALUES ($1, $2, $3, $4, $5)',
+      ['mv-001', 'Ledger Hoodie', 'ledger-hoodie', 'hoodies', 20000]
+    );
+    await productService.saveVariants('mv-001', [{ color: 'Black', size: 'L', stock: 5 }]);
+    [variant] = await productService.getVariants('mv-001');
+  });
+
+  it('records the opening stock of a new variant', async () => {
+    expect(await movementsFor(variant.id)).toEqual([
+      { movement_type: 'adjustment', quantity_change: 5, quantity_before: 0, quantity_after: 5, reference_id: 'mv-001', reference_type: 'product' }
+    ]);
+  });
+
+  it('records sales, adjustments and restocks with references', async () => {
+    const item = { id: 'mv-001', variantId: variant.id, name: 'Ledger Hoodie', quantity: 2 };
+    await inventoryService.reserveItems([item], 'LV-MV1');
+    await inventoryService.confirmReservation('LV-MV1', [item]);
+    await inventoryService.updateStock(variant.id, 10, { id: 'UPDATE_STOCK', type: 'admin' }, 'Count');
+    await inventoryService.restock(variant.id, 4, { id: 'RESTOCK', type: 'admin' });
+
+    const rows = await movementsFor(variant.id);
+    expect(rows.slice(1)).toEqual([
+      { movement_type: 'sale', quantity_change: -2, quantity_before: 5, quantity_after: 3, reference_id: 'LV-MV1', reference_type: 'order' },
+      { movement_type: 'adjustment', quantity_change: 7, quantity_before: 3, quantity_after: 10, reference_id: 'UPDATE_STOCK', reference_type: 'admin' },
+      { movement_type: 'restock', quantity_change: 4, quantity_before: 10, quantity_after: 14, reference_id: 'RESTOCK', reference_type: 'admin' }
+    ]);
+  });
+
+  it('releases a cancelled order once', async () => {
+    await inventoryService.restoreOrderStock('LV-MV1', 'release');
+    await inventoryService.restoreOrderStock('LV-MV1', 'release');
+
+    const rows = await movementsFor(variant.id);
+    expect(rows.filter(r => r.movement_type === 'release')).toEqual([
+      { movement_type: 'release', quantity_change: 2, quantity_before: 14, quantity_after: 16, reference_id: 'LV-MV1', reference_type: 'order' }
+    ]);
+  });
+
+  it('keeps the ledger in balance with stock', async () => {
+    const { stock } = await adapter.one('SELECT stock FROM product_variants WHERE id = $1', [variant.id]);
+    expect(await ledgerBalance(variant.id)).toBe(stock);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * LA VAGUE - Inventory Reservation Tests
+ * Persisted holds, single deduction on confirm, and concurrent checkouts
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import express from 'express';
+
+const { adapter, migrate, addVariant, stockOf } = await import('../helpers/test-db.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const { ProductService } = await import('../../src/services/productService.js');
+const { globalErrorHandler } = await import('../../src/middleware/errorHandler.js');
+const { default: orderRoutes } = await import('../../src/routes/orders.js');
+
+const inventoryService = new InventoryService(adapter, false);
+const productService = new ProductService(adapter, false);
+
+beforeAll(async () => {
+  await migrate();
+});
+
+describe('InventoryService reservations', () => {
+  const item = { id: 'res-001', variantId: 'var-res-001', name: 'Drop Tee', quantity: 2 };
+
+  beforeAll(async () => {
+    await addVariant('res-001', 'var-res-001', { stock: 3 });
+  });
+
+  it('persists holds and counts them against available stock', async () => {
+    await inventoryService.reserveItems([item], 'LV-HOLD1');
+
+    const rows = await adapter.many('SELECT status, quantity FROM inventory_reservations WHERE order_id = $1', ['LV-HOLD1']);
+    expect(rows).toEqual([{ status: 'held', quantity: 2 }]);
+    expect(await inventoryService.getStock('var-res-001')).toEqual({ available: 1, reserved: 2, total: 3 });
+
+    await expect(inventoryService.reserveItems([item], 'LV-HOLD2')).rejects.toMatchObject({ code: 'INSUFFICIENT_STOCK' });
+  });
+
+  it('deducts stock once however many times an order is confirmed', async () => {
+    await inventoryService.confirmReservation('LV-HOLD1', [item]);
+    await inventoryService.confirmReservation('LV-HOLD1', [item]);
+
+    expect(await stockOf('var-res-001')).toBe(1);
+    expect(await inventoryService.getStock('var-res-001')).toEqual({ available: 1, reserved: 0, total: 1 });
+  });
+
+  it('releases expired holds', async () => {
+    await inventoryService.reserveItems([{ ...item, quantity: 1 }], 'LV-HOLD3', { holdMinutes: -1 });
+
+    expect((await inventoryService.getStock('var-res-001')).available).toBe(1);
+    expect(await inventoryService.cleanupExpiredReservations()).toBe(1);
+  });
+
+  it('flags an order for review when a lapsed hold oversells', async () => {
+    const result = await inventoryService.confirmReservation('LV-HOLD4', [{ ...item, quantity: 3 }]);
+
+    expect(result.oversold).toEqual([{ variantId: 'var-res-001', short: 2 }]);
+    expect(await stockOf('var-res-001')).toBe(0);
+
+    const notes = await adapter.many('SELECT note FROM order_notes WHERE order_id = $1', ['LV-HOLD4']);
+    expect(notes).toHaveLength(1);
+    expect(notes[0].note).toMatch(/^Needs review/);
+  });
+});
+
+describe('POST /api/orders under concurrency', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    await addVariant('drop-001', 'var-drop-001', { stock: 1 });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/orders', orderRoutes(productService, inventoryService));
+    app.use(globalErrorHandler);
+
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const placeOrder = index => fetch(`${baseUrl}/api/orders`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': 'ab'.repeat(32) },
+    body: JSON.stringify({
+      customerName: `Buyer ${index}`,
+      customerEmail: `buyer${index}@example.com`,
+      shippingAddress: { address: '12 Allen Avenue', city: 'Ikeja', state: 'Lagos', zip: '100001' },
+      items: [{ id: 'drop-001', variantId: 'var-drop-001', name: 'Drop Tee', price: 10000, quantity: 1, color: 'Black', size: 'M' }],
+      subtotal: 10000,
+      shippingCost: 10000,
+      total: 20000,
+      paymentMethod: 'manual'
+    })
+  });
+
+  it('sells a 1-unit variant exactly once', async () => {
+    const responses = await Promise.all([1, 2, 3, 4, 5].map(placeOrder));
+    const statuses = responses.map(r => r.status).sort();
+
+    expect(statuses).toEqual([200, 409, 409, 409, 409]);
+    expect(await stockOf('var-drop-001')).toBe(0);
+
+    const orders = await adapter.one('SELECT COUNT(*) AS count FROM orders WHERE items LIKE $1', ['%var-drop-001%']);
+    expect(orders.count).toBe(1);
+  });
+});
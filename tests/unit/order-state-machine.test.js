@@ -0,0 +1,92 @@
+/**
+ * LA VAGUE - Order State Machine Tests
+ * Guarded transitions, history rows and stock side effects
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+const { adapter, migrate, addVariant, stockOf } = await import('../helpers/test-db.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const {
+  canTransition, getAllowedTransitions, transitionOrder, recordOrderPlaced, getOrderHistory
+} = await import('../../src/services/orderStateMachine.js');
+
+const inventoryService = new InventoryService(adapter, false);
+
+async function placeOrder(orderId, quantity) {
+  const item = { id: 'sm-001', variantId: 'var-sm-001', name: 'State Tee', quantity };
+  await adapter.exec(`
+    INSERT INTO orders (id, customer_name, customer_email, shipping_address, items, subtotal, shipping_cost, total, payment_method)
+    VALUES ($1, 'Ada', 'ada@example.com', '{}', $2, 10000, 0, 10000, 'manual')
+  `, [orderId, JSON.stringify([item])]);
+  await recordOrderPlaced(orderId);
+  await inventoryService.reserveItems([item], orderId);
+  await inventoryService.confirmReservation(orderId, [item]);
+}
+
+const stock = () => stockOf('var-sm-001');
+
+describe('transition rules', () => {
+  it('allows forward moves and rejects going backwards', () => {
+    expect(canTransition('pending', 'processing')).toBe(true);
+    expect(canTransition('shipped', 'delivered')).toBe(true);
+    expect(canTransition('delivered', 'pending')).toBe(false);
+    expect(canTransition('cancelled', 'processing')).toBe(false);
+    expect(getAllowedTransitions('refunded')).toEqual([]);
+  });
+});
+
+describe('transitionOrder', () => {
+  beforeAll(async () => {
+    await migrate();
+    await addVariant('sm-001', 'var-sm-001', { stock: 10, color: 'White', product: { name: 'State Tee' } });
+  });
+
+  it('records who changed the status and why', async () => {
+    await placeOrder('LV-SM1', 1);
+    await transitionOrder('LV-SM1', 'processing', { actor: 'paystack', reason: 'Payment confirmed', inventoryService });
+    await transitionOrder('LV-SM1', 'shipped', { actor: 'admin', inventoryService });
+
+    const history = await getOrderHistory('LV-SM1');
+    expect(history.map(h => [h.from_status, h.to_status, h.actor, h.reason])).toEqual([
+      [null, 'pending', 'customer', 'Order placed'],
+      ['pending', 'processing', 'paystack', 'Payment confirmed'],
+      ['processing', 'shipped', 'admin', null]
+    ]);
+  });
+
+  it('rejects a transition the machine does not allow', async () => {
+    await expect(transitionOrder('LV-SM1', 'pending', { actor: 'admin', inventoryService }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'INVALID_TRANSITION' });
+
+    const order = await adapter.one('SELECT order_status FROM orders WHERE id = $1', ['LV-SM1']);
+    expect(order.order_status).toBe('shipped');
+  });
+
+  it('treats a move to the current status as a no-op', async () => {
+    const result = await transitionOrder('LV-SM1', 'shipped', { actor: 'admin', inventoryService });
+    expect(result.changed).toBe(false);
+    expect(await getOrderHistory('LV-SM1')).toHaveLength(3);
+  });
+
+  it('releases stock when an order is cancelled', async () => {
+    await placeOrder('LV-SM2', 3);
+    const before = await stock();
+
+    await transitionOrder('LV-SM2', 'cancelled', { actor: 'admin', reason: 'Customer request', inventoryService });
+
+    expect(await stock()).toBe(before + 3);
+    const movement = await adapter.one(
+      'SELECT movement_type, quantity_change FROM inventory_movements WHERE reference_id = $1 AND movement_type = $2',
+      ['LV-SM2', 'release']
+    );
+    expect(movement).toEqual({ movement_type: 'release', quantity_change: 3 });
+  });
+
+  it('restocks a returned order', async () => {
+    const before = await stock();
+    await transitionOrder('LV-SM1', 'returned', { actor: 'admin', inventoryService });
+
+    expect(await stock()).toBe(before + 1);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * LA VAGUE - Payment Provider Tests
+ * Checkout through the mock gateway, with its webhooks delivered to a local
+ * stand-in for the /payment/webhook/:provider route
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+
+// Receives mock webhooks and hands them on like the real route does
+const webhooks = [];
+let deliver = null;
+const receiver = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', async () => {
+    webhooks.push({ url: req.url, headers: req.headers, raw });
+    const status = deliver ? await deliver(raw, req.headers) : 200;
+    res.statusCode = status;
+    res.end();
+  });
+});
+await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.MOCK_PAYMENT_SECRET = 'mock_test_secret';
+process.env.MOCK_PAYMENT_API_URL = `http://127.0.0.1:${receiver.address().port}/api`;
+delete process.env.PAYSTACK_SECRET_KEY;
+
+const { adapter, migrate, addVariant } = await import('../helpers/test-db.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const { recordOrderPlaced } = await import('../../src/services/orderStateMachine.js');
+const { processWebhook, initializeTransaction, verifyPayment } = await import('../../src/services/paymentService.js');
+const { getPaymentProvider, getCheckoutProvider, isGatewayPayment } = await import('../../src/services/payments/index.js');
+const { PaystackProvider } = await import('../../src/services/payments/paystackProvider.js');
+
+const inventoryService = new InventoryService(adapter, false);
+const mock = getPaymentProvider('mock');
+
+const items = [
+  { id: 'pp-001', variantId: 'var-pp-black', name: 'Provider Tee', color: 'Black', size: 'M', price: 15000, quantity: 1 }
+];
+
+async function pendingOrder(orderId) {
+  await adapter.exec(`
+    INSERT INTO orders (id, customer_name, customer_email, shipping_address, items, subtotal, shipping_cost, total,
+      payment_method, payment_status)
+    VALUES ($1, 'Ada', 'ada@example.com', '{}', $2, 15000, 0, 15000, 'mock', 'pending')
+  `, [orderId, JSON.stringify(items)]);
+  await recordOrderPlaced(orderId);
+  await inventoryService.reserveItems(items, orderId);
+  return initializeTransaction(mock, orderId, 'ada@example.com', 15000, 'http://shop.test');
+}
+
+const orderOf = orderId =>
+  adapter.one('SELECT order_status, payment_status, payment_reference FROM orders WHERE id = $1', [orderId]);
+const reservationsOf = orderId =>
+  adapter.many('SELECT status FROM inventory_reservations WHERE order_id = $1', [orderId]);
+
+beforeAll(async () => {
+  await migrate();
+  await addVariant('pp-001', 'var-pp-black', { stock: 20, product: { name: 'Provider Tee', price: 15000 } });
+});
+
+afterAll(() => new Promise(resolve => receiver.close(resolve)));
+
+beforeEach(() => {
+  webhooks.length = 0;
+  deliver = async (raw, headers) => {
+    if (!mock.verifySignature(raw, headers)) return 401;
+    await processWebhook(mock.parseWebhook(JSON.parse(raw)), inventoryService, mock.name);
+    return 200;
+  };
+});
+
+describe('payment provider registry', () => {
+  it('offers the provider chosen by PAYMENT_PROVIDER at checkout', () => {
+    expect(getCheckoutProvider()).toBe(mock);
+    expect(getPaymentProvider('paystack')).toBeNull();
+    expect(isGatewayPayment('paystack')).toBe(true);
+    expect(isGatewayPayment('manual')).toBe(false);
+  });
+});
+
+describe('mock gateway', () => {
+  it('pays an order through a signed webhook', async () => {
+    const payment = await pendingOrder('LV-PP1');
+    expect(payment).toMatchObject({ provider: 'mock', testMode: true });
+    expect(payment.authorization_url).toBe(`${process.env.MOCK_PAYMENT_API_URL}/payment/mock/pay/${payment.reference}`);
+    expect((await orderOf('LV-PP1')).payment_reference).toBe(payment.reference);
+
+    const redirect = await mock.complete(payment.reference, 'success');
+
+    expect(redirect).toBe('http://shop.test/order-confirmation?order=LV-PP1&status=success');
+    expect(webhooks).toHaveLength(1);
+    expect(webhooks[0].url).toBe('/api/payment/webhook/mock');
+    expect(await orderOf('LV-PP1')).toMatchObject({ order_status: 'processing', payment_status: 'paid' });
+    expect(await reservationsOf('LV-PP1')).toEqual([{ status: 'confirmed' }]);
+  });
+
+  it('fails an order and releases its stock on a declined payment', async () => {
+    const { reference } = await pendingOrder('LV-PP2');
+
+    const redirect = await mock.complete(reference, 'failure');
+
+    expect(new URL(redirect).searchParams.get('status')).toBe('failed');
+    expect(JSON.parse(webhooks[0].raw).event).toBe('charge.failed');
+    expect((await orderOf('LV-PP2')).payment_status).toBe('failed');
+    expect(await reservationsOf('LV-PP2')).toEqual([]);
+  });
+
+  it('sends no webhook when the customer abandons the payment', async () => {
+    const { reference } = await pendingOrder('LV-PP3');
+
+    const redirect = await mock.complete(reference, 'abandon');
+
+    expect(new URL(redirect).searchParams.get('status')).toBe('cancelled');
+    expect(webhooks).toHaveLength(0);
+    expect(await orderOf('LV-PP3')).toMatchObject({ order_status: 'pending', payment_status: 'pending' });
+    expect(await verifyPayment({ id: 'LV-PP3', payment_method: 'mock', payment_status: 'pending', payment_reference: reference }, inventoryService))
+      .toEqual({ status: 'abandoned', verified: false });
+  });
+
+  it('verifies an order against its own payment only', async () => {
+    const paid = await pendingOrder('LV-PP5');
+    await pendingOrder('LV-PP6');
+    await mock.complete(paid.reference, 'success');
+
+    const other = await adapter.one('SELECT * FROM orders WHERE id = $1', ['LV-PP6']);
+    expect(await verifyPayment(other, inventoryService))
+      .toMatchObject({ verified: false });
+    expect((await orderOf('LV-PP6')).payment_status).toBe('pending');
+  });
+
+  it('rejects webhooks with a bad signature', async () => {
+    const { reference } = await pendingOrder('LV-PP4');
+    const body = JSON.stringify({ event: 'charge.success', data: { reference, order_id: 'LV-PP4', amount: 15000 } });
+
+    expect(mock.verifySignature(body, { 'x-mock-signature': 'forged' })).toBe(false);
+    expect(mock.verifySignature(body, {})).toBe(false);
+  });
+});
+
+describe('paystack webhooks', () => {
+  it('normalise kobo amounts and metadata', () => {
+    const paystack = new PaystackProvider();
+
+    expect(paystack.parseWebhook({
+      event: 'charge.success',
+      data: { reference: 'LV-PS1', amount: 1500000, metadata: { order_id: 'LV-PS1' } }
+    })).toMatchObject({ type: 'charge.success', reference: 'LV-PS1', orderId: 'LV-PS1', amount: 15000 });
+
+    expect(paystack.parseWebhook({
+      event: 'refund.processed',
+      data: { id: 42, transaction_reference: 'LV-PS1', amount: 500000, merchant_note: 'Damaged' }
+    })).toMatchObject({ type: 'refund.processed', reference: 'LV-PS1', refundId: '42', amount: 5000, note: 'Damaged' });
+  });
+});
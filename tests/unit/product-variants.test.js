@@ -0,0 +1,97 @@
+/**
+ * LA VAGUE - Product Variant Unit Tests
+ * Legacy inventory conversion and variant syncing
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import { DatabaseAdapter } from '../../src/config/adapter.js';
+import { createDialect } from '../../src/config/dialect.js';
+import { up, down, splitVariantKey } from '../../src/migrations/002_product_variants.js';
+import { ProductService, buildSku } from '../../src/services/productService.js';
+
+describe('splitVariantKey', () => {
+  it('splits on the product size list before the last hyphen', () => {
+    expect(splitVariantKey('Off-White-XL', ['M', 'XL'], [{ name: 'Off-White' }])).toEqual({ color: 'Off-White', size: 'XL' });
+    expect(splitVariantKey('Black-2XL', ['XL', '2XL'], [{ name: 'Black' }])).toEqual({ color: 'Black', size: '2XL' });
+  });
+
+  it('falls back to the last hyphen for unknown sizes', () => {
+    expect(splitVariantKey('Ash Grey-L', [], [])).toEqual({ color: 'Ash Grey', size: 'L' });
+  });
+});
+
+describe('buildSku', () => {
+  it('normalises each part', () => {
+    expect(buildSku('lv-tee-001', 'Ash Grey', 'xl')).toBe('LVTEE001-ASHGREY-XL');
+  });
+});
+
+describe('product variants', () => {
+  let adapter;
+  const t = createDialect(false);
+
+  beforeEach(async () => {
+    adapter = new DatabaseAdapter(new Database(':memory:'), false);
+    await adapter.exec(`CREATE TABLE products (
+      id TEXT PRIMARY KEY, name TEXT, colors TEXT, sizes TEXT, inventory TEXT
+    )`);
+    await adapter.exec(`CREATE TABLE inventory_reservations (
+      id INTEGER PRIMARY KEY, product_id TEXT, variant_key TEXT, quantity INTEGER, order_id TEXT
+    )`);
+    await adapter.exec(`CREATE TABLE inventory_movements (
+      id INTEGER PRIMARY KEY, product_id TEXT, variant_id TEXT, variant_key TEXT, movement_type TEXT,
+      quantity_change INTEGER, quantity_before INTEGER, quantity_after INTEGER,
+      reference_id TEXT, reference_type TEXT, notes TEXT
+    )`);
+    await adapter.exec('INSERT INTO products (id, name, colors, sizes, inventory) VALUES ($1, $2, $3, $4, $5)', [
+      'p1', 'Tee',
+      JSON.stringify([{ name: 'Off-White' }, { name: 'Black' }]),
+      JSON.stringify(['M', 'XL']),
+      JSON.stringify({ 'Off-White-XL': 4, 'Black-M': 2 })
+    ]);
+  });
+
+  afterEach(async () => {
+    await adapter.close();
+  });
+
+  it('migrates the inventory blob into variant rows and back', async () => {
+    await adapter.transaction(tx => up(tx, t));
+
+    const rows = await adapter.many('SELECT color, size, stock, sku FROM product_variants ORDER BY color');
+    expect(rows).toEqual([
+      { color: 'Black', size: 'M', stock: 2, sku: 'P1-BLACK-M' },
+      { color: 'Off-White', size: 'XL', stock: 4, sku: 'P1-OFFWHITE-XL' }
+    ]);
+
+    await adapter.transaction(tx => down(tx, t));
+    const product = await adapter.one('SELECT inventory FROM products WHERE id = $1', ['p1']);
+    expect(JSON.parse(product.inventory)).toEqual({ 'Black-M': 2, 'Off-White-XL': 4 });
+  });
+
+  it('saveVariants updates, inserts and removes rows', async () => {
+    await adapter.transaction(tx => up(tx, t));
+    const service = new ProductService(adapter, false);
+    const [black] = (await service.getVariants('p1')).filter(v => v.color === 'Black');
+
+    await service.saveVariants('p1', [
+      { id: black.id, color: 'Black', size: 'M', stock: 7, price: 30000, barcode: '123' },
+      { color: 'Black', size: 'XL', stock: 1 }
+    ]);
+
+    const variants = await service.getVariants('p1');
+    expect(variants).toHaveLength(2);
+    expect(variants.find(v => v.id === black.id)).toMatchObject({ stock: 7, price: 30000, barcode: '123' });
+    expect(variants.find(v => v.size === 'XL')).toMatchObject({ color: 'Black', stock: 1, sku: 'P1-BLACK-XL' });
+  });
+
+  it('rejects a SKU already used by another variant', async () => {
+    await adapter.transaction(tx => up(tx, t));
+    const service = new ProductService(adapter, false);
+
+    await expect(service.saveVariants('p1', [
+      { color: 'Black', size: 'M', sku: 'P1-OFFWHITE-XL' }
+    ])).rejects.toMatchObject({ code: 'DUPLICATE_SKU' });
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * LA VAGUE - Promotion Engine Tests
+ * Coupon eligibility and rejection reasons, per-line discounts, automatic
+ * promotions and how they stack, shipping and free shipping coupons, and the
+ * same rules applied at checkout
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+process.env.EMAIL_TEST_MODE = 'true';
+
+const { adapter, migrate, addVariant } = await import('../helpers/test-db.js');
+const { ProductService } = await import('../../src/services/productService.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const { createOrder } = await import('../../src/services/orderService.js');
+const {
+  evaluateCoupon, applyCoupon, resolveOrderLines, applyPromotions, priceOrder, createPromotion, setPromotionActive
+} = await import('../../src/services/promotionService.js');
+const { addCartItem } = await import('../../src/services/cartService.js');
+const { getShippingSettings, calculateShipping } = await import('../../src/services/shippingService.js');
+
+const productService = new ProductService(adapter, false);
+const inventoryService = new InventoryService(adapter, false);
+
+const coupon = (overrides = {}) => ({
+  id: 'cpn-test',
+  code: 'TEST',
+  type: 'percentage',
+  value: 10,
+  min_order_amount: 0,
+  max_discount_amount: null,
+  usage_limit: null,
+  usage_count: 0,
+  per_customer_limit: null,
+  start_date: null,
+  end_date: null,
+  applicable_categories: '[]',
+  applicable_products: '[]',
+  is_active: 1,
+  ...overrides
+});
+
+const tee = { productId: 'tee', variantId: 'tee-m', category: 'tees', price: 10000, quantity: 2 };
+const hoodie = { productId: 'hoodie', variantId: 'hoodie-l', category: 'hoodies', price: 30000, quantity: 1 };
+
+const reason = fn => {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+beforeAll(async () => {
+  await migrate();
+  await addVariant('promo-tee', 'promo-tee-m', { stock: 50, product: { name: 'Promo Tee' } });
+  await addVariant('promo-hoodie', 'promo-hoodie-l', {
+    stock: 50, color: 'Grey', size: 'L', product: { name: 'Promo Hoodie', category: 'hoodies', price: 30000 }
+  });
+  await adapter.exec(`
+    INSERT INTO coupons (id, code, type, value, per_customer_limit, applicable_categories)
+    VALUES ('cpn-hoodies', 'HOODIES20', 'percentage', 20, 1, '["hoodies"]')
+  `);
+});
+
+const items = [
+  { id: 'promo-tee', variantId: 'promo-tee-m', name: 'Promo Tee', quantity: 1 },
+  { id: 'promo-hoodie', color: 'Grey', size: 'L', name: 'Promo Hoodie', quantity: 1 }
+];
+
+// Standard shipping under the free shipping threshold
+const standard = { shippingMethod: 'standard', shippingCost: 10000 };
+
+// total is what the items come to; shipping is added on top
+const order = (email, total, discountCode = 'hoodies20', orderItems = items, shipping = standard) => createOrder({
+  customerName: 'Ada',
+  customerEmail: email,
+  shippingAddress: {},
+  items: orderItems,
+  ...shipping,
+  total: total + shipping.shippingCost,
+  paymentMethod: 'manual',
+  discountCode
+}, productService, inventoryService, null);
+
+describe('evaluateCoupon', () => {
+  it('turns coupons down with a reason code', () => {
+    const day = offset => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    expect(reason(() => evaluateCoupon(null, [tee]))).toBe('COUPON_NOT_FOUND');
+    expect(reason(() => evaluateCoupon(coupon({ is_active: 0 }), [tee]))).toBe('COUPON_NOT_FOUND');
+    expect(reason(() => evaluateCoupon(coupon({ start_date: day(1) }), [tee]))).toBe('COUPON_NOT_STARTED');
+    expect(reason(() => evaluateCoupon(coupon({ end_date: day(-1) }), [tee]))).toBe('COUPON_EXPIRED');
+    expect(reason(() => evaluateCoupon(coupon({ usage_limit: 5, usage_count: 5 }), [tee]))).toBe('COUPON_EXHAUSTED');
+    expect(reason(() => evaluateCoupon(coupon({ per_customer_limit: 1 }), [tee], { customerUses: 1 })))
+      .toBe('COUPON_CUSTOMER_LIMIT');
+    expect(reason(() => evaluateCoupon(coupon({ min_order_amount: 60000 }), [tee, hoodie]))).toBe('COUPON_MIN_ORDER');
+    expect(reason(() => evaluateCoupon(coupon({ applicable_categories: '["jackets"]' }), [tee, hoodie])))
+      .toBe('COUPON_NOT_APPLICABLE');
+  });
+
+  it('is good through the whole of its end date', () => {
+    const today = new Date().toISOString().slice(0, 10);
+    expect(evaluateCoupon(coupon({ start_date: today, end_date: today }), [tee]).discount).toBe(2000);
+  });
+
+  it('discounts only the lines in its categories or products', () => {
+    const byCategory = evaluateCoupon(coupon({ applicable_categories: ['hoodies'] }), [tee, hoodie]);
+    expect(byCategory.discount).toBe(3000);
+    expect(byCategory.lines).toEqual([
+      { productId: 'tee', variantId: 'tee-m', subtotal: 20000, eligible: false, discount: 0 },
+      { productId: 'hoodie', variantId: 'hoodie-l', subtotal: 30000, eligible: true, discount: 3000 }
+    ]);
+
+    const byProduct = evaluateCoupon(coupon({ applicable_products: '["tee"]', applicable_categories: '["jackets"]' }), [tee, hoodie]);
+    expect(byProduct.discount).toBe(2000);
+    expect(byProduct.lines.map(line => line.eligible)).toEqual([true, false]);
+  });
+
+  it('checks the minimum against the whole order, not just eligible lines', () => {
+    const result = evaluateCoupon(coupon({ min_order_amount: 50000, applicable_products: ['tee'] }), [tee, hoodie]);
+    expect(result.discount).toBe(2000);
+  });
+
+  it('caps fixed and percentage discounts and splits them across lines', () => {
+    const fixed = evaluateCoupon(coupon({ type: 'fixed', value: 10000 }), [tee, hoodie]);
+    expect(fixed.lines.map(line => line.discount)).toEqual([4000, 6000]);
+
+    const capped = evaluateCoupon(coupon({ value: 50, max_discount_amount: 7001 }), [tee, hoodie]);
+    expect(capped.discount).toBe(7001);
+    expect(capped.lines.reduce((sum, line) => sum + line.discount, 0)).toBe(7001);
+
+    // Never more than the eligible lines are worth
+    const tooBig = evaluateCoupon(coupon({ type: 'fixed', value: 90000, applicable_categories: ['tees'] }), [tee, hoodie]);
+    expect(tooBig.discount).toBe(20000);
+  });
+});
+
+describe('at checkout', () => {
+  it('prices the cart from the catalogue, not the prices sent', async () => {
+    const lines = await resolveOrderLines(items.map(item => ({ ...item, price: 1 })), productService);
+    const { discount, lines: breakdown } = await applyCoupon(' hoodies20 ', lines);
+    expect(discount).toBe(6000);
+    expect(breakdown.map(line => line.discount)).toEqual([0, 6000]);
+  });
+
+  it('charges the same discount and enforces the per-customer limit', async () => {
+    const { orderId } = await order('ada@example.com', 34000);
+    const usage = await adapter.one('SELECT * FROM coupon_usage WHERE order_id = $1', [orderId]);
+    expect(usage).toMatchObject({ coupon_id: 'cpn-hoodies', discount_amount: 6000 });
+    expect((await adapter.one('SELECT discount FROM orders WHERE id = $1', [orderId])).discount).toBe(6000);
+
+    const lines = await resolveOrderLines(items, productService);
+    await expect(applyCoupon('HOODIES20', lines, { email: 'ADA@example.com' }))
+      .rejects.toMatchObject({ code: 'COUPON_CUSTOMER_LIMIT' });
+    await expect(order('Ada@Example.com', 34000)).rejects.toMatchObject({ code: 'COUPON_CUSTOMER_LIMIT' });
+    await expect(order('grace@example.com', 34000)).resolves.toHaveProperty('orderId');
+  });
+
+  it('fails the order with the reason rather than dropping the discount', async () => {
+    await expect(order('ada@example.com', 40000, 'NOPE')).rejects.toMatchObject({ code: 'COUPON_NOT_FOUND' });
+  });
+});
+
+describe('applyPromotions', () => {
+  const promotion = (type, rules, extra = {}) => ({ id: `prm-${type}`, name: type, type, rules, combines_with_coupons: 1, ...extra });
+  const cargo = { productId: 'cargo', variantId: 'cargo-32', category: 'bottoms', price: 25000, quantity: 1 };
+
+  it('gives the cheapest item in each buy X get Y set free', () => {
+    const lines = [
+      { ...tee, price: 12000, quantity: 2 },
+      { ...tee, productId: 'tee-2', variantId: 'tee-2-m', price: 8000, quantity: 3 }
+    ];
+    const { discount, lines: priced } = applyPromotions([promotion('buy_x_get_y', { buyQuantity: 2, getQuantity: 1, categories: ['tees'] })], lines);
+    // 12k, 12k, 8k | 8k, 8k: one full set, the 8k is free
+    expect(discount).toBe(8000);
+    expect(priced.map(line => line.promotionDiscount)).toEqual([0, 8000]);
+  });
+
+  it('prices bundles and takes bundled units out of other promotions', () => {
+    const promotions = [
+      promotion('category_sale', { categories: ['hoodies'], percent: 50 }),
+      promotion('bundle', { products: ['hoodie', 'cargo'], price: 45000 })
+    ];
+    const { discount, applied, lines } = applyPromotions(promotions, [{ ...hoodie, quantity: 2 }, cargo]);
+    // One hoodie goes in the bundle (55k for 45k); the other is half price
+    expect(applied.map(a => [a.type, a.discount])).toEqual([['bundle', 10000], ['category_sale', 15000]]);
+    expect(discount).toBe(25000);
+    expect(lines.reduce((sum, line) => sum + line.promotionDiscount, 0)).toBe(25000);
+  });
+
+  it('takes the best spend tier reached after item promotions', () => {
+    const tiers = promotion('spend_threshold', { tiers: [{ minSubtotal: 50000, discount: 5000 }, { minSubtotal: 80000, discount: 10000 }] });
+    expect(applyPromotions([tiers], [{ ...hoodie, quantity: 3 }]).discount).toBe(10000);
+
+    const sale = promotion('category_sale', { categories: ['hoodies'], percent: 20 });
+    const { applied } = applyPromotions([tiers, sale], [{ ...hoodie, quantity: 3 }]);
+    expect(applied.map(a => [a.type, a.discount])).toEqual([['category_sale', 18000], ['spend_threshold', 5000]]);
+  });
+});
+
+describe('automatic promotions at checkout', () => {
+  const hoodieItem = { id: 'promo-hoodie', variantId: 'promo-hoodie-l', name: 'Promo Hoodie', quantity: 2 };
+  const lines = () => resolveOrderLines([hoodieItem], productService);
+
+  it('checks promotion rules when they are created', async () => {
+    await expect(createPromotion({ name: 'Bad', type: 'bundle', rules: { products: ['promo-hoodie'], price: 100 } }))
+      .rejects.toMatchObject({ code: 'INVALID_PROMOTION' });
+    await expect(createPromotion({ name: 'Bad', type: 'spend_threshold', rules: { tiers: [{ minSubtotal: 100, discount: 100 }] } }))
+      .rejects.toMatchObject({ code: 'INVALID_PROMOTION' });
+    await expect(createPromotion({
+      name: 'Bad', type: 'category_sale', rules: { categories: ['hoodies'], percent: 10 },
+      startsAt: '2030-01-02T00:00:00Z', endsAt: '2030-01-01T00:00:00Z'
+    })).rejects.toMatchObject({ code: 'INVALID_PROMOTION_DATES' });
+  });
+
+  it('only applies promotions that are running', async () => {
+    const later = await createPromotion({
+      name: 'Next Week', type: 'category_sale', rules: { categories: ['hoodies'], percent: 50 },
+      startsAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+    });
+    expect((await priceOrder(await lines())).promotions).toEqual([]);
+    await setPromotionActive(later.id, false);
+  });
+
+  it('shows promotions on the cart and honours them, with coupons on top, at checkout', async () => {
+    const sale = await createPromotion({ name: 'Hoodie Sale', type: 'category_sale', rules: { categories: ['hoodies'], percent: 10 } });
+
+    const { cart } = await addCartItem({}, { productId: 'promo-hoodie', variantId: 'promo-hoodie-l', quantity: 2 });
+    expect(cart).toMatchObject({ subtotal: 60000, discount: 6000, promotions: [{ id: sale.id, name: 'Hoodie Sale', discount: 6000 }] });
+
+    // 20% coupon on the 54k left after the sale
+    const pricing = await priceOrder(await lines(), { code: 'HOODIES20', email: 'linus@example.com' });
+    expect(pricing).toMatchObject({ promotionDiscount: 6000, couponDiscount: 10800, discount: 16800 });
+
+    const { orderId } = await order('linus@example.com', 60000 - 16800, 'HOODIES20', [hoodieItem]);
+    const placed = await adapter.one('SELECT discount, promotions FROM orders WHERE id = $1', [orderId]);
+    expect(placed.discount).toBe(16800);
+    expect(JSON.parse(placed.promotions)).toEqual([{ id: sale.id, name: 'Hoodie Sale', discount: 6000 }]);
+
+    await expect(order('mary@example.com', 60000, null, [hoodieItem])).rejects.toMatchObject({ code: 'PRICE_MISMATCH' });
+    await setPromotionActive(sale.id, false);
+  });
+
+  it('turns away coupons on promotions that do not combine with them', async () => {
+    const exclusive = await createPromotion({
+      name: 'Flash Sale', type: 'category_sale', rules: { categories: ['hoodies'], percent: 30 }, combinesWithCoupons: false
+    });
+    await expect(priceOrder(await lines(), { code: 'HOODIES20' })).rejects.toMatchObject({ code: 'COUPON_NOT_COMBINABLE' });
+    expect((await priceOrder(await lines())).discount).toBe(18000);
+    await setPromotionActive(exclusive.id, false);
+  });
+});
+
+describe('shipping', () => {
+  const express = { shippingMethod: 'express', shippingCost: 25000 };
+
+  it('charges standard shipping below the threshold and express at its rate', async () => {
+    const settings = await getShippingSettings();
+    expect(settings).toEqual({ shippingRate: 10000, expressShippingRate: 25000, freeShippingThreshold: 150000 });
+    expect(calculateShipping(settings, { method: 'standard', subtotal: 149999 })).toBe(10000);
+    expect(calculateShipping(settings, { method: 'standard', subtotal: 150000 })).toBe(0);
+    expect(calculateShipping(settings, { method: 'express', subtotal: 150000 })).toBe(25000);
+  });
+
+  it('charges shipping from the settings, not the amount sent', async () => {
+    await expect(order('ken@example.com', 40000, null, items, { shippingCost: 0 }))
+      .rejects.toMatchObject({ code: 'SHIPPING_MISMATCH' });
+
+    await adapter.exec("INSERT INTO settings (key, value) VALUES ('standardShippingRate', '5000')");
+    await expect(order('ken@example.com', 40000, null, items)).rejects.toMatchObject({ code: 'SHIPPING_MISMATCH' });
+    const { orderId } = await order('ken@example.com', 40000, null, items, { shippingCost: 5000 });
+    expect((await adapter.one('SELECT shipping_cost FROM orders WHERE id = $1', [orderId])).shipping_cost).toBe(5000);
+    await adapter.exec("DELETE FROM settings WHERE key = 'standardShippingRate'");
+  });
+
+  it('makes either method free with a free shipping coupon and records the shipping saved', async () => {
+    await adapter.exec(`
+      INSERT INTO coupons (id, code, type, value) VALUES ('cpn-freeship', 'FREESHIP', 'free_shipping', 0)
+    `);
+    const pricing = await priceOrder(await resolveOrderLines(items, productService), {
+      code: 'FREESHIP', shippingMethod: 'express'
+    });
+    expect(pricing).toMatchObject({ discount: 0, shipping: 0, shippingDiscount: 25000 });
+
+    await expect(order('ken@example.com', 40000, 'FREESHIP', items, express))
+      .rejects.toMatchObject({ code: 'SHIPPING_MISMATCH' });
+    const { orderId } = await order('ken@example.com', 40000, 'FREESHIP', items, { ...express, shippingCost: 0 });
+    const placed = await adapter.one('SELECT shipping_cost, discount, total FROM orders WHERE id = $1', [orderId]);
+    expect(placed).toEqual({ shipping_cost: 0, discount: 0, total: 40000 });
+    const usage = await adapter.one('SELECT discount_amount FROM coupon_usage WHERE order_id = $1', [orderId]);
+    expect(usage.discount_amount).toBe(25000);
+  });
+});
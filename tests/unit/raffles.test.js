@@ -0,0 +1,210 @@
+/**
+ * LA VAGUE - Raffle Tests
+ * Duplicate entries, the seeded draw, winners' stock holds and claim links,
+ * and unclaimed wins passing to the next entrant
+ */
+
+import crypto from 'crypto';
+import { describe, it, expect, beforeAll } from 'vitest';
+
+process.env.EMAIL_TEST_MODE = 'true';
+
+const { adapter, migrate, addVariant } = await import('../helpers/test-db.js');
+const { ProductService } = await import('../../src/services/productService.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const { createOrder } = await import('../../src/services/orderService.js');
+const {
+  createRaffle, enterRaffle, drawRaffle, runRaffles, cancelRaffle, getRaffle, getRaffleDetails, getRaffleClaim,
+  drawTicket, normalizeEntryEmail, normalizeEntryPhone
+} = await import('../../src/services/raffleService.js');
+
+const productService = new ProductService(adapter, false);
+const inventoryService = new InventoryService(adapter, false);
+
+const minutesFromNow = minutes => new Date(Date.now() + minutes * 60 * 1000);
+
+let productCount = 0;
+async function newRaffle({ quantity = 1, stock = 10, publishAt = null, claimHours = 24 } = {}) {
+  const productId = `raffle-tee-${++productCount}`;
+  const variantId = `var-${productId}`;
+  await addVariant(productId, variantId, {
+    stock, size: 'L', product: { name: `Raffle Tee ${productCount}`, price: 20000, publish_at: publishAt }
+  });
+  const raffle = await createRaffle({
+    productId, variantId, quantity, claimHours, opensAt: minutesFromNow(-10), closesAt: minutesFromNow(60)
+  });
+  return { ...raffle, productId, variantId };
+}
+
+const entrant = n => ({ name: `Entrant ${n}`, email: `entrant${n}@example.com`, phone: `0803000${String(n).padStart(4, '0')}` });
+
+// Claim links are only ever emailed, so tests give a winner a known one
+async function claimLink(entryId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await adapter.exec(
+    'UPDATE raffle_entries SET claim_token_hash = $1 WHERE id = $2',
+    [crypto.createHash('sha256').update(token).digest('hex'), entryId]
+  );
+  return token;
+}
+
+const heldFor = async (raffle, entry) => adapter.one(
+  'SELECT * FROM inventory_reservations WHERE order_id = $1 AND status = $2',
+  [`${raffle.id}-${entry.id}`, 'held']
+);
+
+const order = (raffle, email, raffleClaim) => createOrder({
+  customerName: 'Winner',
+  customerEmail: email,
+  shippingAddress: {},
+  items: [{ id: raffle.productId, variantId: raffle.variantId, name: 'Raffle Tee', quantity: 1 }],
+  shippingCost: 10000,
+  total: 30000,
+  paymentMethod: 'manual',
+  raffleClaim
+}, productService, inventoryService, null);
+
+beforeAll(async () => {
+  await migrate();
+});
+
+describe('entries', () => {
+  it('treats case, +tags and Gmail dots as the same address, and local and international phones alike', () => {
+    expect(normalizeEntryEmail(' Ada.Lovelace+drop@GMail.com')).toBe('adalovelace@gmail.com');
+    expect(normalizeEntryEmail('ada.l@example.com')).toBe('ada.l@example.com');
+    expect(normalizeEntryPhone('+234 803 123 4567')).toBe(normalizeEntryPhone('0803-123-4567'));
+  });
+
+  it('takes one entry per email, phone and account', async () => {
+    const raffle = await newRaffle();
+    await adapter.exec(
+      'INSERT INTO customers (id, email, password_hash, name) VALUES ($1, $2, $3, $4)',
+      ['cus-raffle', 'acct@example.com', 'x', 'Acct']
+    );
+
+    await enterRaffle(raffle.id, entrant(1), { customerId: 'cus-raffle' });
+    await expect(enterRaffle(raffle.id, { ...entrant(2), email: 'ENTRANT1+again@example.com' }))
+      .rejects.toMatchObject({ code: 'ALREADY_ENTERED' });
+    await expect(enterRaffle(raffle.id, { ...entrant(2), phone: '+234 803 000 0001' }))
+      .rejects.toMatchObject({ code: 'ALREADY_ENTERED' });
+    await expect(enterRaffle(raffle.id, entrant(2), { customerId: 'cus-raffle' }))
+      .rejects.toMatchObject({ code: 'ALREADY_ENTERED' });
+
+    await enterRaffle(raffle.id, entrant(2));
+    expect((await getRaffle(raffle.id)).entryCount).toBe(2);
+  });
+
+  it('caps entries from one IP address', async () => {
+    const raffle = await newRaffle();
+    for (let n = 1; n <= 3; n++) await enterRaffle(raffle.id, entrant(n), { ipAddress: '10.0.0.1' });
+    await expect(enterRaffle(raffle.id, entrant(4), { ipAddress: '10.0.0.1' }))
+      .rejects.toMatchObject({ code: 'TOO_MANY_ENTRIES' });
+  });
+
+  it('only takes entries during the entry window', async () => {
+    const raffle = await newRaffle();
+    await adapter.exec('UPDATE raffles SET opens_at = $1 WHERE id = $2', [minutesFromNow(5), raffle.id]);
+    await expect(enterRaffle(raffle.id, entrant(1))).rejects.toMatchObject({ code: 'RAFFLE_NOT_OPEN' });
+
+    await adapter.exec('UPDATE raffles SET opens_at = $1, closes_at = $2 WHERE id = $3',
+      [minutesFromNow(-10), minutesFromNow(-1), raffle.id]);
+    await expect(enterRaffle(raffle.id, entrant(1))).rejects.toMatchObject({ code: 'RAFFLE_NOT_OPEN' });
+  });
+});
+
+describe('draw', () => {
+  it('orders entries by ticket, reveals the seed and verifies against its published hash', async () => {
+    const raffle = await newRaffle({ quantity: 2 });
+    expect(raffle.seed).toBeNull();
+    for (let n = 1; n <= 5; n++) await enterRaffle(raffle.id, entrant(n));
+
+    const drawn = await drawRaffle(raffle.id, inventoryService, { early: true });
+    expect(drawn.status).toBe('drawn');
+    expect(crypto.createHash('sha256').update(drawn.seed).digest('hex')).toBe(raffle.seedHash);
+    expect(drawn.audit.verified).toBe(true);
+
+    const byPosition = [...drawn.entries].sort((a, b) => a.drawPosition - b.drawPosition);
+    const tickets = byPosition.map(entry => drawTicket(drawn.seed, entry.id));
+    expect(tickets).toEqual([...tickets].sort());
+    expect(byPosition.map(entry => entry.status)).toEqual(['won', 'won', 'entered', 'entered', 'entered']);
+
+    // Winners' items are held for them for the claim window
+    const hold = await heldFor(raffle, byPosition[0]);
+    expect(hold).toMatchObject({ variant_id: raffle.variantId, quantity: 1 });
+    await expect(drawRaffle(raffle.id, inventoryService)).rejects.toMatchObject({ code: 'RAFFLE_NOT_CLOSED' });
+  });
+
+  it('is drawn by the timer once entries close', async () => {
+    const raffle = await newRaffle();
+    await enterRaffle(raffle.id, entrant(1));
+    await runRaffles(inventoryService);
+    expect((await getRaffle(raffle.id)).status).toBe('open');
+
+    await adapter.exec('UPDATE raffles SET closes_at = $1 WHERE id = $2', [minutesFromNow(-1), raffle.id]);
+    await runRaffles(inventoryService);
+    const drawn = await getRaffleDetails(raffle.id);
+    expect(drawn.status).toBe('drawn');
+    expect(drawn.entries[0].status).toBe('won');
+  });
+
+  it('flags a draw order that does not match the seed', async () => {
+    const raffle = await newRaffle();
+    for (let n = 1; n <= 3; n++) await enterRaffle(raffle.id, entrant(n));
+    const drawn = await drawRaffle(raffle.id, inventoryService, { early: true });
+
+    const [first, second] = drawn.entries;
+    await adapter.exec('UPDATE raffle_entries SET draw_position = $1 WHERE id = $2', [2, first.id]);
+    await adapter.exec('UPDATE raffle_entries SET draw_position = $1 WHERE id = $2', [1, second.id]);
+    expect((await getRaffleDetails(raffle.id)).audit.verified).toBe(false);
+  });
+});
+
+describe('claims', () => {
+  it('lets the winner check out their held item, even before the drop opens', async () => {
+    const raffle = await newRaffle({ stock: 1, publishAt: minutesFromNow(600) });
+    await enterRaffle(raffle.id, entrant(1));
+    const [winner] = (await drawRaffle(raffle.id, inventoryService, { early: true })).entries;
+    const token = await claimLink(winner.id);
+
+    const claim = await getRaffleClaim(token);
+    expect(claim.raffle).toMatchObject({ variant: { id: raffle.variantId }, price: 20000 });
+
+    await expect(order(raffle, 'someone@example.com', token)).rejects.toMatchObject({ code: 'RAFFLE_EMAIL' });
+    const { orderId } = await order(raffle, 'Entrant1@example.com', token);
+
+    const entry = (await getRaffleDetails(raffle.id)).entries[0];
+    expect(entry).toMatchObject({ status: 'claimed', orderId });
+    expect(await heldFor(raffle, winner)).toBeNull();
+    expect((await adapter.one('SELECT stock FROM product_variants WHERE id = $1', [raffle.variantId])).stock).toBe(0);
+    await expect(order(raffle, 'entrant1@example.com', token)).rejects.toMatchObject({ code: 'CLAIM_USED' });
+  });
+
+  it('passes a lapsed win to the next entrant in the draw', async () => {
+    const raffle = await newRaffle({ stock: 1 });
+    for (let n = 1; n <= 3; n++) await enterRaffle(raffle.id, entrant(n));
+    const drawn = await drawRaffle(raffle.id, inventoryService, { early: true });
+    const [first, second] = drawn.entries;
+    const token = await claimLink(first.id);
+
+    await adapter.exec('UPDATE raffle_entries SET claim_expires_at = $1 WHERE id = $2', [minutesFromNow(-1), first.id]);
+    await expect(getRaffleClaim(token)).rejects.toMatchObject({ code: 'CLAIM_EXPIRED' });
+
+    await runRaffles(inventoryService);
+    const entries = (await getRaffleDetails(raffle.id)).entries;
+    expect(entries.find(e => e.id === first.id).status).toBe('lapsed');
+    expect(entries.find(e => e.id === second.id).status).toBe('won');
+    expect(await heldFor(raffle, first)).toBeNull();
+    expect(await heldFor(raffle, second)).not.toBeNull();
+  });
+
+  it('releases unclaimed holds when a raffle is cancelled', async () => {
+    const raffle = await newRaffle();
+    await enterRaffle(raffle.id, entrant(1));
+    const [winner] = (await drawRaffle(raffle.id, inventoryService, { early: true })).entries;
+    const token = await claimLink(winner.id);
+
+    await cancelRaffle(raffle.id, inventoryService);
+    expect(await heldFor(raffle, winner)).toBeNull();
+    await expect(getRaffleClaim(token)).rejects.toMatchObject({ code: 'CLAIM_EXPIRED' });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * LA VAGUE - Payment Reconciliation Tests
+ * One run over orders in every state, verified against the mock gateway
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+process.env.PAYMENT_PROVIDER = 'mock';
+delete process.env.PAYSTACK_SECRET_KEY;
+
+const { adapter, migrate, addVariant } = await import('../helpers/test-db.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const { recordOrderPlaced, transitionOrder } = await import('../../src/services/orderStateMachine.js');
+const { processWebhook } = await import('../../src/services/paymentService.js');
+const { runReconciliation, listReconciliationRuns } = await import('../../src/services/reconciliationService.js');
+const { getPaymentProvider } = await import('../../src/services/payments/index.js');
+
+const inventoryService = new InventoryService(adapter, false);
+const mock = getPaymentProvider('mock');
+
+const items = [
+  { id: 'rc-001', variantId: 'var-rc-black', name: 'Recon Tee', color: 'Black', size: 'M', price: 10000, quantity: 1 }
+];
+
+/**
+ * A mock-gateway order placed `age` ago ('-2 hours'), whose transaction the
+ * gateway reports with `status` (none: never started)
+ */
+async function order(orderId, { age = '-2 hours', status, amount = 10000, method = 'mock', paymentStatus = 'pending' } = {}) {
+  const reference = status ? `MOCK-${orderId}` : null;
+  await adapter.exec(`
+    INSERT INTO orders (id, customer_name, customer_email, shipping_address, items, subtotal, shipping_cost, total,
+      payment_method, payment_status, payment_reference, created_at)
+    VALUES ($1, 'Ada', 'ada@example.com', '{}', $2, 10000, 0, 10000, $3, $4, $5, datetime('now', $6))
+  `, [orderId, JSON.stringify(items), method, paymentStatus, reference, age]);
+  await recordOrderPlaced(orderId);
+  await inventoryService.reserveItems(items, orderId);
+  if (status) {
+    mock.transactions.set(reference, { reference, orderId, email: 'ada@example.com', amount, status, callbackUrl: 'http://shop.test' });
+  }
+}
+
+const orderOf = orderId => adapter.one('SELECT order_status, payment_status FROM orders WHERE id = $1', [orderId]);
+const issueFor = (run, type, orderId) => run.issues.find(issue => issue.type === type && issue.orderId === orderId);
+
+let run;
+
+beforeAll(async () => {
+  await migrate();
+  await addVariant('rc-001', 'var-rc-black', { stock: 50, product: { name: 'Recon Tee' } });
+
+  await order('LV-RC-PAID', { status: 'success' });
+  await order('LV-RC-FAILED', { status: 'failed' });
+  await order('LV-RC-ABANDONED', { status: 'abandoned' });
+  await order('LV-RC-NOREF');
+  await order('LV-RC-WAITING', { status: 'pending' });
+  await order('LV-RC-OVERDUE', { status: 'pending', age: '-2 days' });
+  await order('LV-RC-FRESH', { status: 'abandoned', age: '-5 minutes' });
+  await order('LV-RC-SHORT', { status: 'success', amount: 9000 });
+  await order('LV-RC-PAYSTACK', { method: 'paystack', status: 'success' });
+
+  await order('LV-RC-CANCELLED', { paymentStatus: 'paid' });
+  await transitionOrder('LV-RC-CANCELLED', 'cancelled', { actor: 'admin', inventoryService });
+
+  await processWebhook(mock.parseWebhook({
+    id: 'MOCK-EVT-ORPHAN',
+    event: 'charge.success',
+    data: { reference: 'MOCK-GHOST', order_id: 'LV-GHOST', amount: 10000, currency: 'NGN' }
+  }), inventoryService, 'mock');
+
+  run = await runReconciliation({ inventoryService, trigger: 'admin' });
+});
+
+describe('pending payments', () => {
+  it('records payments the webhook never delivered', async () => {
+    expect(await orderOf('LV-RC-PAID')).toEqual({ order_status: 'processing', payment_status: 'paid' });
+  });
+
+  it('expires orders whose payment failed, was abandoned or never started', async () => {
+    expect(await orderOf('LV-RC-FAILED')).toEqual({ order_status: 'cancelled', payment_status: 'failed' });
+    expect(await orderOf('LV-RC-ABANDONED')).toEqual({ order_status: 'cancelled', payment_status: 'pending' });
+    expect(await orderOf('LV-RC-NOREF')).toEqual({ order_status: 'cancelled', payment_status: 'pending' });
+
+    const held = await adapter.many(
+      "SELECT order_id FROM inventory_reservations WHERE order_id IN ('LV-RC-FAILED', 'LV-RC-ABANDONED', 'LV-RC-NOREF') AND status = 'held'"
+    );
+    expect(held).toEqual([]);
+  });
+
+  it('gives a payment the gateway still reports as pending a day', async () => {
+    expect((await orderOf('LV-RC-WAITING')).order_status).toBe('pending');
+    expect((await orderOf('LV-RC-OVERDUE')).order_status).toBe('cancelled');
+  });
+
+  it('leaves orders that are still within their stock hold', async () => {
+    expect(await orderOf('LV-RC-FRESH')).toEqual({ order_status: 'pending', payment_status: 'pending' });
+  });
+
+  it('counts what it fixed', () => {
+    expect(run).toMatchObject({ status: 'completed', triggered_by: 'admin' });
+    expect(run.summary).toMatchObject({ checked: 8, paid: 1, failed: 1, expired: 4 });
+  });
+});
+
+describe('mismatch report', () => {
+  it('reports an underpayment without marking the order paid', async () => {
+    expect(issueFor(run, 'amount_mismatch', 'LV-RC-SHORT')).toMatchObject({ details: 'Paid ₦9,000, order total is ₦10,000' });
+    expect(await orderOf('LV-RC-SHORT')).toEqual({ order_status: 'pending', payment_status: 'pending' });
+  });
+
+  it('reports paid orders that were cancelled', () => {
+    expect(issueFor(run, 'paid_cancelled', 'LV-RC-CANCELLED')).toMatchObject({ amount: 10000 });
+  });
+
+  it('reports payments for orders that do not exist', () => {
+    expect(issueFor(run, 'orphan_payment', 'LV-GHOST')).toMatchObject({ reference: 'MOCK-GHOST', provider: 'mock' });
+  });
+
+  it('reports orders whose provider is not configured', () => {
+    expect(issueFor(run, 'unverified', 'LV-RC-PAYSTACK')).toMatchObject({ details: 'paystack is not configured' });
+  });
+
+  it('keeps the run for the admin dashboard', async () => {
+    const [latest] = await listReconciliationRuns();
+    expect(latest).toMatchObject({ id: run.id, summary: { issues: run.issues.length } });
+    expect(run.issues).toHaveLength(4);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * LA VAGUE - Refund Tests
+ * Admin refunds against a local Paystack stand-in
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+
+// Minimal Paystack stand-in: accepts refunds unless the transaction is 'PSK-FAIL'.
+// beforeRefundReply runs before a refund is answered, e.g. to send its webhook early.
+const paystackCalls = [];
+let nextRefundId = 9000;
+let beforeRefundReply = null;
+const paystack = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', async () => {
+    const body = raw ? JSON.parse(raw) : {};
+    paystackCalls.push({ method: req.method, url: req.url, auth: req.headers.authorization, body });
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'POST' && req.url === '/refund' && body.transaction !== 'PSK-FAIL') {
+      if (beforeRefundReply) await beforeRefundReply(nextRefundId, body);
+      res.end(JSON.stringify({ status: true, message: 'Refund has been queued for processing', data: { id: nextRefundId++, status: 'pending', amount: body.amount } }));
+    } else {
+      res.statusCode = 400;
+      res.end(JSON.stringify({ status: false, message: 'Transaction has been fully reversed' }));
+    }
+  });
+});
+await new Promise(resolve => paystack.listen(0, '127.0.0.1', resolve));
+
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_refunds';
+process.env.PAYSTACK_BASE_URL = `http://127.0.0.1:${paystack.address().port}`;
+
+const { adapter, migrate, addVariant, stockOf } = await import('../helpers/test-db.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const { transitionOrder, recordOrderPlaced } = await import('../../src/services/orderStateMachine.js');
+const { createRefund, getOrderRefunds } = await import('../../src/services/refundService.js');
+const { processWebhook } = await import('../../src/services/paymentService.js');
+const { getPaymentProvider } = await import('../../src/services/payments/index.js');
+
+const inventoryService = new InventoryService(adapter, false);
+
+const items = [
+  { id: 'rf-001', variantId: 'var-rf-black', name: 'Refund Tee', color: 'Black', size: 'M', price: 10000, quantity: 2 }
+];
+
+async function paidOrder(orderId, reference = `PSK-${orderId}`) {
+  await adapter.exec(`
+    INSERT INTO orders (id, customer_name, customer_email, shipping_address, items, subtotal, shipping_cost, total,
+      payment_method, payment_status, payment_reference)
+    VALUES ($1, 'Ada', 'ada@example.com', '{}', $2, 20000, 0, 20000, 'paystack', 'paid', $3)
+  `, [orderId, JSON.stringify(items), reference]);
+  await recordOrderPlaced(orderId);
+  await inventoryService.reserveItems(items, orderId);
+  await inventoryService.confirmReservation(orderId, items);
+  await transitionOrder(orderId, 'processing', { actor: 'paystack', inventoryService });
+}
+
+const orderOf = orderId => adapter.one('SELECT order_status, payment_status FROM orders WHERE id = $1', [orderId]);
+
+beforeAll(async () => {
+  await migrate();
+  await addVariant('rf-001', 'var-rf-black', { stock: 20, product: { name: 'Refund Tee' } });
+});
+
+afterAll(() => new Promise(resolve => paystack.close(resolve)));
+
+beforeEach(() => {
+  paystackCalls.length = 0;
+});
+
+describe('admin refunds', () => {
+  it('sends a partial refund to Paystack in kobo and marks the order partially refunded', async () => {
+    await paidOrder('LV-RF1');
+
+    const refund = await createRefund('LV-RF1', { amount: 5000, reason: 'Late delivery', inventoryService });
+
+    expect(paystackCalls).toHaveLength(1);
+    expect(paystackCalls[0]).toMatchObject({
+      url: '/refund',
+      auth: 'Bearer sk_test_refunds',
+      body: { transaction: 'PSK-LV-RF1', amount: 500000, merchant_note: 'Late delivery' }
+    });
+    expect(refund).toMatchObject({ amount: 5000, status: 'pending', provider: 'paystack', paymentStatus: 'partially_refunded' });
+    expect(refund.provider_reference).toBeTruthy();
+    expect(await orderOf('LV-RF1')).toEqual({ order_status: 'processing', payment_status: 'partially_refunded' });
+  });
+
+  it('defaults to the remaining amount and moves a fully refunded order to refunded', async () => {
+    const refund = await createRefund('LV-RF1', { inventoryService });
+
+    expect(refund.amount).toBe(15000);
+    expect(await orderOf('LV-RF1')).toEqual({ order_status: 'refunded', payment_status: 'refunded' });
+    await expect(createRefund('LV-RF1', { amount: 1, inventoryService }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'REFUND_NOT_ALLOWED' });
+  });
+
+  it('rejects amounts above what is left to refund without calling Paystack', async () => {
+    await paidOrder('LV-RF2');
+
+    await expect(createRefund('LV-RF2', { amount: 20001, inventoryService }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(paystackCalls).toHaveLength(0);
+  });
+
+  it('records a failed refund when Paystack rejects it and leaves the payment untouched', async () => {
+    await paidOrder('LV-RF3', 'PSK-FAIL');
+
+    await expect(createRefund('LV-RF3', { amount: 5000, inventoryService }))
+      .rejects.toMatchObject({ statusCode: 502, code: 'REFUND_FAILED' });
+
+    const [failed] = await getOrderRefunds('LV-RF3');
+    expect(failed).toMatchObject({ status: 'failed', failure_reason: 'Transaction has been fully reversed' });
+    expect((await orderOf('LV-RF3')).payment_status).toBe('paid');
+  });
+
+  it('restocks refunded items once through the ledger', async () => {
+    await paidOrder('LV-RF4');
+    const before = await stockOf('var-rf-black');
+
+    const refund = await createRefund('LV-RF4', {
+      amount: 10000,
+      items: [{ variantId: 'var-rf-black', quantity: 1 }],
+      restock: true,
+      inventoryService
+    });
+
+    expect(refund.restocked).toBe(true);
+    expect(refund.items).toEqual([expect.objectContaining({ variantId: 'var-rf-black', quantity: 1 })]);
+    expect(await stockOf('var-rf-black')).toBe(before + 1);
+
+    const movement = await adapter.one(
+      'SELECT * FROM inventory_movements WHERE reference_id = $1', [refund.id]
+    );
+    expect(movement).toMatchObject({ movement_type: 'return', quantity_change: 1 });
+
+    await expect(createRefund('LV-RF4', {
+      amount: 5000,
+      items: [{ variantId: 'var-rf-black', quantity: 2 }],
+      restock: true,
+      inventoryService
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('refund.processed webhook', () => {
+  const paystackWebhook = body =>
+    processWebhook(getPaymentProvider('paystack').parseWebhook(body), inventoryService, 'paystack');
+
+  it('marks a dashboard refund processed', async () => {
+    const refund = await createRefund('LV-RF2', { amount: 2000, inventoryService });
+
+    await paystackWebhook({
+      event: 'refund.processed',
+      data: { id: Number(refund.provider_reference), transaction_reference: 'PSK-LV-RF2', amount: 200000, status: 'processed' }
+    });
+
+    const [processed] = await getOrderRefunds('LV-RF2');
+    expect(processed).toMatchObject({ id: refund.id, status: 'processed' });
+    expect(processed.processed_at).toBeTruthy();
+  });
+
+  it('matches a webhook that arrives before the refund call returns', async () => {
+    await paidOrder('LV-RF6');
+    beforeRefundReply = (id, body) => paystackWebhook({
+      event: 'refund.processed',
+      data: { id, transaction_reference: body.transaction, amount: body.amount, status: 'processed' }
+    });
+
+    let refund;
+    try {
+      refund = await createRefund('LV-RF6', { amount: 5000, inventoryService });
+    } finally {
+      beforeRefundReply = null;
+    }
+
+    const refunds = await getOrderRefunds('LV-RF6');
+    expect(refunds).toHaveLength(1);
+    expect(refunds[0]).toMatchObject({ id: refund.id, amount: 5000, status: 'processed', provider_reference: refund.provider_reference });
+    expect(await orderOf('LV-RF6')).toMatchObject({ payment_status: 'partially_refunded' });
+  });
+
+  it('records refunds made on Paystack directly', async () => {
+    await paidOrder('LV-RF5');
+
+    await paystackWebhook({
+      event: 'refund.processed',
+      data: { id: 777, transaction_reference: 'PSK-LV-RF5', amount: 2000000, status: 'processed' }
+    });
+
+    const [refund] = await getOrderRefunds('LV-RF5');
+    expect(refund).toMatchObject({ amount: 20000, status: 'processed', created_by: 'paystack', provider_reference: '777' });
+    expect(await orderOf('LV-RF5')).toEqual({ order_status: 'refunded', payment_status: 'refunded' });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * LA VAGUE - Returns (RMA) Tests
+ * Return eligibility, the RMA workflow and stock coming back through the ledger
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+const { adapter, migrate, addVariant, stockOf } = await import('../helpers/test-db.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const { transitionOrder, recordOrderPlaced } = await import('../../src/services/orderStateMachine.js');
+const {
+  createReturn, approveReturn, rejectReturn, receiveReturn, inspectReturn, refundReturn, getReturnableItems
+} = await import('../../src/services/returnService.js');
+
+const inventoryService = new InventoryService(adapter, false);
+const EMAIL = 'ada@example.com';
+
+const items = [
+  { id: 'rt-001', variantId: 'var-rt-black', name: 'Return Tee', color: 'Black', size: 'M', price: 10000, quantity: 2 },
+  { id: 'rt-001', variantId: 'var-rt-white', name: 'Return Tee', color: 'White', size: 'M', price: 12000, quantity: 1 }
+];
+
+async function deliveredOrder(orderId) {
+  await adapter.exec(`
+    INSERT INTO orders (id, customer_name, customer_email, shipping_address, items, subtotal, shipping_cost, total, payment_method)
+    VALUES ($1, 'Ada', $2, '{}', $3, 32000, 0, 32000, 'manual')
+  `, [orderId, EMAIL, JSON.stringify(items)]);
+  await recordOrderPlaced(orderId);
+  await inventoryService.reserveItems(items, orderId);
+  await inventoryService.confirmReservation(orderId, items);
+  for (const status of ['processing', 'shipped', 'delivered']) {
+    await transitionOrder(orderId, status, { actor: 'admin', inventoryService });
+  }
+}
+
+const statusOf = async orderId =>
+  (await adapter.one('SELECT order_status FROM orders WHERE id = $1', [orderId])).order_status;
+
+beforeAll(async () => {
+  await migrate();
+  await addVariant('rt-001', 'var-rt-black', { product: { name: 'Return Tee' } });
+  await addVariant('rt-001', 'var-rt-white', { color: 'White' });
+});
+
+describe('return eligibility', () => {
+  it('only accepts returns on delivered orders', async () => {
+    await adapter.exec(`
+      INSERT INTO orders (id, customer_name, customer_email, shipping_address, items, subtotal, shipping_cost, total, payment_method)
+      VALUES ('LV-RT0', 'Ada', $1, '{}', $2, 32000, 0, 32000, 'manual')
+    `, [EMAIL, JSON.stringify(items)]);
+
+    await expect(createReturn({
+      orderId: 'LV-RT0', email: EMAIL, items: [{ variantId: 'var-rt-black', quantity: 1, reason: 'wrong_size' }]
+    })).rejects.toMatchObject({ statusCode: 409, code: 'RETURN_NOT_ALLOWED' });
+  });
+
+  it('closes the return window 30 days after delivery', async () => {
+    await deliveredOrder('LV-RT1');
+    await adapter.exec(
+      `UPDATE order_status_history SET created_at = datetime('now', '-31 days') WHERE order_id = $1 AND to_status = 'delivered'`,
+      ['LV-RT1']
+    );
+
+    await expect(createReturn({
+      orderId: 'LV-RT1', email: EMAIL, items: [{ variantId: 'var-rt-black', quantity: 1, reason: 'wrong_size' }]
+    })).rejects.toMatchObject({ code: 'RETURN_NOT_ALLOWED' });
+  });
+
+  it('rejects more units than were ordered', async () => {
+    await deliveredOrder('LV-RT2');
+
+    await expect(createReturn({
+      orderId: 'LV-RT2', email: EMAIL, items: [{ variantId: 'var-rt-white', quantity: 2, reason: 'wrong_size' }]
+    })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_RETURN_ITEM' });
+  });
+});
+
+describe('RMA workflow', () => {
+  let rma;
+
+  beforeAll(async () => {
+    await deliveredOrder('LV-RT3');
+  });
+
+  it('issues an RMA number and reserves the returned units', async () => {
+    rma = await createReturn({
+      orderId: 'LV-RT3', email: EMAIL, items: [{ variantId: 'var-rt-black', quantity: 2, reason: 'wrong_size' }]
+    });
+
+    expect(rma.id).toMatch(/^RMA-[0-9A-F]{8}$/);
+    expect(rma.status).toBe('requested');
+    expect(rma.items).toMatchObject([{ variant_id: 'var-rt-black', quantity: 2, unit_price: 10000, reason: 'wrong_size' }]);
+
+    const order = await adapter.one('SELECT * FROM orders WHERE id = $1', ['LV-RT3']);
+    const returnable = await getReturnableItems(order);
+    expect(returnable.map(line => [line.variantId, line.returnable])).toEqual([
+      ['var-rt-black', 0],
+      ['var-rt-white', 1]
+    ]);
+  });
+
+  it('cannot be received before it is approved', async () => {
+    await expect(receiveReturn(rma.id, { inventoryService }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'INVALID_TRANSITION' });
+  });
+
+  it('restocks received units and partially returns the order', async () => {
+    const before = await stockOf('var-rt-black');
+    await approveReturn(rma.id);
+    const received = await receiveReturn(rma.id, { items: [{ id: rma.items[0].id, quantity: 2 }], inventoryService });
+
+    expect(received.status).toBe('received');
+    expect(await stockOf('var-rt-black')).toBe(before + 2);
+    expect(await statusOf('LV-RT3')).toBe('partially_returned');
+
+    const movement = await adapter.one(
+      'SELECT movement_type, quantity_change, reference_type FROM inventory_movements WHERE reference_id = $1',
+      [rma.id]
+    );
+    expect(movement).toEqual({ movement_type: 'return', quantity_change: 2, reference_type: 'return' });
+  });
+
+  it('writes off damaged units at inspection and records the refund', async () => {
+    const before = await stockOf('var-rt-black');
+    await inspectReturn(rma.id, { items: [{ id: rma.items[0].id, condition: 'damaged' }], inventoryService });
+    expect(await stockOf('var-rt-black')).toBe(before - 2);
+
+    await expect(refundReturn(rma.id, { amount: 50000, inventoryService }))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    const refunded = await refundReturn(rma.id, { inventoryService });
+    expect(refunded.refund_amount).toBe(20000);
+  });
+
+  it('returns the whole order once every unit is back, without restocking twice', async () => {
+    const before = await stockOf('var-rt-white');
+    const second = await createReturn({
+      orderId: 'LV-RT3', email: EMAIL, items: [{ variantId: 'var-rt-white', quantity: 1, reason: 'changed_mind' }]
+    });
+    await approveReturn(second.id);
+    await receiveReturn(second.id, { inventoryService });
+
+    expect(await statusOf('LV-RT3')).toBe('returned');
+    expect(await stockOf('var-rt-white')).toBe(before + 1);
+
+    await inspectReturn(second.id, { inventoryService });
+    await refundReturn(second.id, { inventoryService });
+    expect(await statusOf('LV-RT3')).toBe('refunded');
+  });
+
+  it('frees the units of a rejected return', async () => {
+    const rejected = await createReturn({
+      orderId: 'LV-RT2', email: EMAIL, items: [{ variantId: 'var-rt-white', quantity: 1, reason: 'other' }]
+    });
+    await rejectReturn(rejected.id, { notes: 'Worn' });
+
+    const order = await adapter.one('SELECT * FROM orders WHERE id = $1', ['LV-RT2']);
+    const white = (await getReturnableItems(order)).find(line => line.variantId === 'var-rt-white');
+    expect(white.returnable).toBe(1);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * LA VAGUE - Webhook Idempotency Tests
+ * Stored Paystack events: duplicates, amount checks, out-of-order delivery
+ * and admin replay
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_webhooks';
+
+const { adapter, migrate, addVariant } = await import('../helpers/test-db.js');
+const { InventoryService } = await import('../../src/services/inventory.js');
+const { recordOrderPlaced, getOrderHistory } = await import('../../src/services/orderStateMachine.js');
+const { processWebhook, replayWebhookEvent } = await import('../../src/services/paymentService.js');
+const { getWebhookEvent, listWebhookEvents } = await import('../../src/services/webhookService.js');
+const { getPaymentProvider } = await import('../../src/services/payments/index.js');
+
+const inventoryService = new InventoryService(adapter, false);
+
+const items = [
+  { id: 'wh-001', variantId: 'var-wh-black', name: 'Webhook Tee', color: 'Black', size: 'M', price: 12000, quantity: 1 }
+];
+
+async function pendingOrder(orderId) {
+  await adapter.exec(`
+    INSERT INTO orders (id, customer_name, customer_email, shipping_address, items, subtotal, shipping_cost, total,
+      payment_method, payment_status, payment_reference)
+    VALUES ($1, 'Ada', 'ada@example.com', '{}', $2, 12000, 0, 12000, 'paystack', 'pending', $1)
+  `, [orderId, JSON.stringify(items)]);
+  await recordOrderPlaced(orderId);
+  await inventoryService.reserveItems(items, orderId);
+}
+
+// A Paystack webhook body as verified and parsed by the route
+const deliver = (event, orderId, data = {}) => processWebhook(getPaymentProvider('paystack').parseWebhook({
+  event,
+  data: { id: `${orderId}-${event}`, reference: orderId, amount: 1200000, currency: 'NGN', metadata: { order_id: orderId }, ...data }
+}), inventoryService, 'paystack');
+
+const orderOf = orderId => adapter.one('SELECT order_status, payment_status FROM orders WHERE id = $1', [orderId]);
+
+beforeAll(async () => {
+  await migrate();
+  await addVariant('wh-001', 'var-wh-black', { stock: 20, product: { name: 'Webhook Tee', price: 12000 } });
+});
+
+describe('webhook idempotency', () => {
+  it('applies a redelivered charge.success once', async () => {
+    await pendingOrder('LV-WH1');
+
+    const first = await deliver('charge.success', 'LV-WH1');
+    const second = await deliver('charge.success', 'LV-WH1');
+
+    expect(first).toMatchObject({ duplicate: false, status: 'processed' });
+    expect(second).toMatchObject({ id: first.id, duplicate: true, status: 'processed' });
+    expect(await getWebhookEvent(first.id)).toMatchObject({ attempts: 1, duplicates: 1, event_id: 'charge.success:LV-WH1-charge.success' });
+    expect((await getOrderHistory('LV-WH1')).filter(entry => entry.to_status === 'processing')).toHaveLength(1);
+  });
+
+  it('ignores a failed charge that arrives after the payment succeeded', async () => {
+    await pendingOrder('LV-WH2');
+    await deliver('charge.success', 'LV-WH2');
+
+    const late = await deliver('charge.failed', 'LV-WH2');
+
+    expect(late).toMatchObject({ status: 'ignored', result: 'Order LV-WH2 already paid' });
+    expect(await orderOf('LV-WH2')).toEqual({ order_status: 'processing', payment_status: 'paid' });
+  });
+});
+
+describe('payment amount checks', () => {
+  it('rejects a payment for less than the order total', async () => {
+    await pendingOrder('LV-WH3');
+
+    const result = await deliver('charge.success', 'LV-WH3', { amount: 100000 });
+
+    expect(result).toMatchObject({ status: 'rejected', result: 'Paid ₦1,000, order total is ₦12,000' });
+    expect(await orderOf('LV-WH3')).toEqual({ order_status: 'pending', payment_status: 'pending' });
+  });
+
+  it('rejects a payment in another currency', async () => {
+    await pendingOrder('LV-WH4');
+
+    const result = await deliver('charge.success', 'LV-WH4', { currency: 'USD' });
+
+    expect(result).toMatchObject({ status: 'rejected', result: 'Paid in USD, order is in NGN' });
+    expect((await orderOf('LV-WH4')).payment_status).toBe('pending');
+  });
+});
+
+describe('webhook replay', () => {
+  it('reprocesses a stored event', async () => {
+    await pendingOrder('LV-WH5');
+    await adapter.exec('UPDATE orders SET total = 15000 WHERE id = $1', ['LV-WH5']);
+    const rejected = await deliver('charge.success', 'LV-WH5');
+    expect(rejected.status).toBe('rejected');
+
+    // The order total was entered wrong; once corrected the payment can be applied
+    await adapter.exec('UPDATE orders SET total = 12000 WHERE id = $1', ['LV-WH5']);
+    const replayed = await replayWebhookEvent(rejected.id, inventoryService);
+
+    expect(replayed).toMatchObject({ id: rejected.id, status: 'processed' });
+    expect(await getWebhookEvent(rejected.id)).toMatchObject({ attempts: 2, status: 'processed' });
+    expect((await orderOf('LV-WH5')).payment_status).toBe('paid');
+
+    const [listed] = await listWebhookEvents({ search: 'LV-WH5' });
+    expect(listed).toMatchObject({ id: rejected.id, status: 'processed' });
+    expect(listed.payload).toBeUndefined();
+  });
+
+  it('404s for an unknown event', async () => {
+    await expect(replayWebhookEvent('WH-MISSING', inventoryService)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});